@@ -56,7 +56,14 @@ tui.util.defineNamespace('tui.chart');
  *        }|{
  *          element: HTMLElement
  *        })
- *   })} rawData - raw data object or data container table element or table's id
+ *   }|{
+ *        csv: string,
+ *        delimiter: ?string,
+ *        headerRow: ?boolean
+ *   }|{
+ *        records: (Array.<object>|string)
+ *   })} rawData - raw data object, data container table element or table's id, CSV(TSV) string or records
+ *      (csv and records can have categoryField, valueFields and decimalSeparator)
  * @param {{
  *   chart: {
  *     width: number,
@@ -87,9 +94,7 @@ function _createChart(container, rawData, options, chartType) {
     var themeName, theme, chart, temp;
 
     if (rawData) {
-        if (rawData.table) {
-            rawData = seriesDataImporter.makeDataWithTable(rawData.table);
-        }
+        rawData = seriesDataImporter.makeRawData(rawData, chartType);
 
         if (rawData.series) {
             rawData = objectUtil.deepCopy(rawData);
@@ -147,6 +152,8 @@ function _createChart(container, rawData, options, chartType) {
  *              @param {number} options.xAxis.title.offsetY - title offset y
  *          @param {number} options.xAxis.min - minimum value for x axis
  *          @param {number} options.xAxis.max - maximum value for x axis
+ *          @param {string} options.xAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.xAxis.base - base of logarithmic scale (default: 10)
  *      @param {object} options.series - options for series component
  *          @param {string} options.series.stackType - type of stack
  *          @param {boolean} options.series.showLabel - whether show label or not
@@ -220,6 +227,7 @@ tui.chart.barChart = function(container, rawData, options) {
  * @param {rawData} rawData - raw data
  *      @param {Array.<string>} rawData.categories - categories
  *      @param {Array.<Array>} rawData.series - series data
+ *          @param {string | number} rawData.series.yAxis - name or index of y axis, which series is bound to
  * @param {object} options - chart options
  *      @param {object} options.chart - base options for chart
  *          @param {number} options.chart.width - chart width
@@ -229,14 +237,21 @@ tui.chart.barChart = function(container, rawData, options) {
  *              @param {number} options.chart.title.offsetX - title offset x
  *              @param {number} options.chart.title.offsetY - title offset y
  *          @param {string | function} options.chart.format - formatter for value
- *      @param {object} options.yAxis - options for y axis component
+ *      @param {object | Array.<object>} options.yAxis - options for y axis component, array for multiple y axes
  *          @param {string | object} options.yAxis.title - title text or title object
  *              @param {string} options.yAxis.title.text - title text
  *              @param {number} options.yAxis.title.offsetX - title offset x
  *              @param {number} options.yAxis.title.offsetY - title offset y
  *          @param {number} options.yAxis.min - minimum value for y axis
  *          @param {number} options.yAxis.max - maximum value for y axis
+ *          @param {string} options.yAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.yAxis.base - base of logarithmic scale (default: 10)
  *          @param {boolean} options.yAxis.rotateTitle - whether rotate title or not (default: true)
+ *          @param {string} options.yAxis.name - name of y axis, which series are bound to by rawData.series.yAxis
+ *          @param {string | function} options.yAxis.format - formatter for labels of y axis
+ *          @param {string} options.yAxis.align - 'left' or 'right', side of extra y axis (default: 'right')
+ *          @param {boolean} options.yAxis.showPlotLine - whether render plot lines of y axis or not
+ *              (default: true for first y axis, false for others)
  *      @param {object} options.xAxis - options for x axis component
  *          @param {string | object} options.xAxis.title - title text or title object
  *              @param {string} options.xAxis.title.text - title text
@@ -319,6 +334,7 @@ tui.chart.columnChart = function(container, rawData, options) {
  * @param {rawData} rawData - raw data
  *      @param {?Array.<string>} rawData.categories - categories
  *      @param {Array.<Array>} rawData.series - series data
+ *          @param {string | number} rawData.series.yAxis - name or index of y axis, which series is bound to
  * @param {object} options - chart options
  *      @param {object} options.chart - base options for chart
  *          @param {number} options.chart.width - chart width
@@ -328,14 +344,21 @@ tui.chart.columnChart = function(container, rawData, options) {
  *              @param {number} options.chart.title.offsetX - title offset x
  *              @param {number} options.chart.title.offsetY - title offset y
  *          @param {string | function} options.chart.format - formatter for value
- *      @param {object} options.yAxis - options for y axis component
+ *      @param {object | Array.<object>} options.yAxis - options for y axis component, array for multiple y axes
  *          @param {string | object} options.yAxis.title - title text or title object
  *              @param {string} options.yAxis.title.text - title text
  *              @param {number} options.yAxis.title.offsetX - title offset x
  *              @param {number} options.yAxis.title.offsetY - title offset y
  *          @param {number} options.yAxis.min - minimum value for y axis
  *          @param {number} options.yAxis.max - maximum value for y axis
+ *          @param {string} options.yAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.yAxis.base - base of logarithmic scale (default: 10)
  *          @param {boolean} options.yAxis.rotateTitle - whether rotate title or not (default: true)
+ *          @param {string} options.yAxis.name - name of y axis, which series are bound to by rawData.series.yAxis
+ *          @param {string | function} options.yAxis.format - formatter for labels of y axis
+ *          @param {string} options.yAxis.align - 'left' or 'right', side of extra y axis (default: 'right')
+ *          @param {boolean} options.yAxis.showPlotLine - whether render plot lines of y axis or not
+ *              (default: true for first y axis, false for others)
  *      @param {object} options.xAxis - options for x axis component
  *          @param {string | object} options.xAxis.title - title text or title object
  *              @param {string} options.xAxis.title.text - title text
@@ -433,6 +456,7 @@ tui.chart.lineChart = function(container, rawData, options) {
  * @param {rawData} rawData - raw data
  *      @param {?Array.<string>} rawData.categories - categories
  *      @param {Array.<Array>} rawData.series - series data
+ *          @param {string | number} rawData.series.yAxis - name or index of y axis, which series is bound to
  * @param {object} options - chart options
  *      @param {object} options.chart - base options for chart
  *          @param {number} options.chart.width - chart width
@@ -442,14 +466,21 @@ tui.chart.lineChart = function(container, rawData, options) {
  *              @param {number} options.chart.title.offsetX - title offset x
  *              @param {number} options.chart.title.offsetY - title offset y
  *          @param {string | function} options.chart.format - formatter for value
- *      @param {object} options.yAxis - options for y axis component
+ *      @param {object | Array.<object>} options.yAxis - options for y axis component, array for multiple y axes
  *          @param {string | object} options.yAxis.title - title text or title object
  *              @param {string} options.yAxis.title.text - title text
  *              @param {number} options.yAxis.title.offsetX - title offset x
  *              @param {number} options.yAxis.title.offsetY - title offset y
  *          @param {number} options.yAxis.min - minimum value for y axis
  *          @param {number} options.yAxis.max - maximum value for y axis
+ *          @param {string} options.yAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.yAxis.base - base of logarithmic scale (default: 10)
  *          @param {boolean} options.yAxis.rotateTitle - whether rotate title or not (default: true)
+ *          @param {string} options.yAxis.name - name of y axis, which series are bound to by rawData.series.yAxis
+ *          @param {string | function} options.yAxis.format - formatter for labels of y axis
+ *          @param {string} options.yAxis.align - 'left' or 'right', side of extra y axis (default: 'right')
+ *          @param {boolean} options.yAxis.showPlotLine - whether render plot lines of y axis or not
+ *              (default: true for first y axis, false for others)
  *      @param {object} options.xAxis - options for x axis component
  *          @param {string | object} options.xAxis.title - title text or title object
  *              @param {string} options.xAxis.title.text - title text
@@ -558,6 +589,8 @@ tui.chart.areaChart = function(container, rawData, options) {
  *              @param {number} options.yAxis.title.offsetY - title offset y
  *          @param {number} options.yAxis.min - minimum value for y axis
  *          @param {number} options.yAxis.max - maximum value for y axis
+ *          @param {string} options.yAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.yAxis.base - base of logarithmic scale (default: 10)
  *          @param {boolean} options.yAxis.rotateTitle - whether rotate title or not (default: true)
  *      @param {object} options.xAxis - options for x axis component
  *          @param {string | object} options.xAxis.title - title text or title object
@@ -568,6 +601,8 @@ tui.chart.areaChart = function(container, rawData, options) {
  *          @param {boolean} options.xAxis.rotateLabel - whether rotate label or not (default: true)
  *          @param {number} options.xAxis.min - minimum value for y axis
  *          @param {number} options.xAxis.max - maximum value for y axis
+ *          @param {string} options.xAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.xAxis.base - base of logarithmic scale (default: 10)
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showLabel - whether show label or not
  *          @param {boolean} options.series.allowSelect - whether allow select or not
@@ -666,6 +701,8 @@ tui.chart.bubbleChart = function(container, rawData, options) {
  *              @param {number} options.yAxis.title.offsetY - title offset y
  *          @param {number} options.yAxis.min - minimum value for y axis
  *          @param {number} options.yAxis.max - maximum value for y axis
+ *          @param {string} options.yAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.yAxis.base - base of logarithmic scale (default: 10)
  *          @param {boolean} options.yAxis.rotateTitle - whether rotate title or not (default: true)
  *      @param {object} options.xAxis - options for x axis component
  *          @param {string | object} options.xAxis.title - title text or title object
@@ -674,6 +711,8 @@ tui.chart.bubbleChart = function(container, rawData, options) {
  *              @param {number} options.xAxis.title.offsetY - title offset y
  *          @param {number} options.xAxis.min - minimum value for y axis
  *          @param {number} options.xAxis.max - maximum value for y axis
+ *          @param {string} options.xAxis.type - 'logarithmic' for logarithmic scale
+ *          @param {number} options.xAxis.base - base of logarithmic scale (default: 10)
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showLabel - whether show label or not
  *          @param {boolean} options.series.allowSelect - whether allow select or not
@@ -768,6 +807,21 @@ tui.chart.scatterChart = function(container, rawData, options) {
  *              @param {number} options.xAxis.title.offsetY - title offset y
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showLabel - whether show label or not
+ *          @param {object} options.series.colorScale - options of color scale
+ *              @param {string} options.series.colorScale.type - type of color scale
+ *                  (linear|diverging|quantize|quantile|threshold) (default: linear)
+ *              @param {Array.<string>} options.series.colorScale.colors - color stops,
+ *                  theme.series.startColor and theme.series.endColor are used by default
+ *              @param {string} options.series.colorScale.interpolation - color space of interpolation
+ *                  (rgb|lab|hcl) (default: rgb)
+ *              @param {number} options.series.colorScale.midpoint - value of middle color of diverging scale
+ *              @param {number} options.series.colorScale.classCount - count of classes of quantize and quantile scale
+ *                  (default: count of colors when it has more than two colors, otherwise 5)
+ *              @param {Array.<number>} options.series.colorScale.thresholds - values dividing classes of threshold scale
+ *          @param {object} options.series.noData - options of cell without value
+ *              @param {string} options.series.noData.color - fill color (default: '#e5e5e5')
+ *              @param {boolean} options.series.noData.pattern - whether fill with hatch pattern or not (default: false)
+ *              @param {string} options.series.noData.label - label of legend swatch and tooltip (default: 'No data')
  *      @param {object} options.tooltip - options for tooltip component
  *          @param {string} options.tooltip.suffix - suffix for tooltip
  *          @param {function} [options.tooltip.template] - template for tooltip
@@ -835,8 +889,20 @@ tui.chart.heatmapChart = function(container, rawData, options) {
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showLabel - whether show label or not
  *          @param {boolean} options.series.useColorValue - whether use colorValue or not
- *          @param {boolean} options.series.zoomable - whether zoomable or not
+ *          @param {object} options.series.colorScale - options of color scale
+ *              @param {string} options.series.colorScale.type - type of color scale
+ *                  (linear|diverging|quantize|quantile|threshold) (default: linear)
+ *              @param {Array.<string>} options.series.colorScale.colors - color stops,
+ *                  theme.series.startColor and theme.series.endColor are used by default
+ *              @param {string} options.series.colorScale.interpolation - color space of interpolation
+ *                  (rgb|lab|hcl) (default: rgb)
+ *              @param {number} options.series.colorScale.midpoint - value of middle color of diverging scale
+ *              @param {number} options.series.colorScale.classCount - count of classes of quantize and quantile scale
+ *                  (default: count of colors when it has more than two colors, otherwise 5)
+ *              @param {Array.<number>} options.series.colorScale.thresholds - values dividing classes of threshold scale
+ *          @param {boolean} options.series.zoomable - whether zoomable or not, with breadcrumb bar of zoom path
  *          @param {boolean} options.series.useLeafLabel - whether use leaf label or not
+ *          @param {string} options.series.rootLabel - label of root in breadcrumb bar (default: 'All')
  *      @param {object} options.tooltip - options for tooltip component
  *          @param {string} options.tooltip.suffix - suffix for tooltip
  *          @param {function} [options.tooltip.template] - template for tooltip
@@ -890,7 +956,15 @@ tui.chart.heatmapChart = function(container, rawData, options) {
  *         title: 'Treemap Chart'
  *       }
  *     };
- * tui.chart.treemapChart(container, rawData, options);
+ * var chart = tui.chart.treemapChart(container, rawData, options);
+ *
+ * chart.on('zoom', function(info) {
+ *     // info.path is array of {id, label} from root to current root of zoom. id of root is null.
+ *     console.log(info.id, info.path);
+ * });
+ * // zoom to node, which has children, by id of raw series datum, and back to parent of it
+ * chart.zoomToNode('nodeId');
+ * chart.zoomOut();
  */
 tui.chart.treemapChart = function(container, rawData, options) {
     return _createChart(container, rawData, options, chartConst.CHART_TYPE_TREEMAP);
@@ -1115,6 +1189,8 @@ tui.chart.pieChart = function(container, rawData, options) {
  * @param {HTMLElement} container - chart container
  * @param {rawData} rawData chart data
  *      @param {Array.<Array>} rawData.series - series data
+ *      @param {Array.<object>} rawData.points - data of points like markers and bubbles,
+ *          which are positioned by lon and lat or by x and y of map
  * @param {object} options - chart options
  *      @param {object} options.chart - base options for chart
  *          @param {number} options.chart.width - chart width
@@ -1126,9 +1202,25 @@ tui.chart.pieChart = function(container, rawData, options) {
  *          @param {string | function} options.chart.format - formatter for value
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showLabel - whether show label or not
+ *          @param {object} options.series.colorScale - options of color scale
+ *              @param {string} options.series.colorScale.type - type of color scale
+ *                  (linear|diverging|quantize|quantile|threshold) (default: linear)
+ *              @param {Array.<string>} options.series.colorScale.colors - color stops,
+ *                  theme.series.startColor and theme.series.endColor are used by default
+ *              @param {string} options.series.colorScale.interpolation - color space of interpolation
+ *                  (rgb|lab|hcl) (default: rgb)
+ *              @param {number} options.series.colorScale.midpoint - value of middle color of diverging scale
+ *              @param {number} options.series.colorScale.classCount - count of classes of quantize and quantile scale
+ *                  (default: count of colors when it has more than two colors, otherwise 5)
+ *              @param {Array.<number>} options.series.colorScale.thresholds - values dividing classes of threshold scale
+ *          @param {object} options.series.noData - options of region without value
+ *              @param {string} options.series.noData.color - fill color (default: '#e5e5e5')
+ *              @param {boolean} options.series.noData.pattern - whether fill with hatch pattern or not (default: false)
+ *              @param {string} options.series.noData.label - label of legend swatch and tooltip (default: 'No data')
  *      @param {object} options.tooltip - options for tooltip component
  *          @param {string} options.tooltip.suffix - suffix for tooltip
  *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {function} [options.tooltip.pointTemplate] - template for tooltip of points
  *          @param {string} options.tooltip.align - align option for tooltip
  *          @param {object} options.tooltip.offset - tooltip offset
  *              @param {number} options.tooltip.offset.x - offset x
@@ -1138,6 +1230,13 @@ tui.chart.pieChart = function(container, rawData, options) {
  *              @param {number} options.tooltip.position.top - position top
  *      @param {object} options.legend - options for legend component
  *          @param {string} options.legend.align - align option for legend (top|bottom|left|center|outer)
+ *      @param {object} options.points - options for points
+ *          @param {string} options.points.type - type of points (marker|bubble) (default: marker)
+ *      @param {object} options.circleLegend - options for circleLegend of bubble points
+ *          @param {boolean} options.circleLegend.visible - whether visible or not (default: true)
+ *      @param {object} options.drilldown - options for drilldown to child maps
+ *          @param {object} options.drilldown.maps - names of registered child maps by code of region
+ *          @param {string} options.drilldown.rootLabel - label of root map on breadcrumb (default: options.map)
  *      @param {string} options.theme - theme name
  *      @param {string} options.map map type
  *      @param {string} options.libType - type of graph library
@@ -1159,15 +1258,55 @@ tui.chart.pieChart = function(container, rawData, options) {
  *           code: 'JP',
  *           data: 50
  *         }
+ *       ],
+ *       // points are positioned by projection of map registered by GeoJSON or TopoJSON,
+ *       // otherwise they are positioned by x and y of map
+ *       points: [
+ *         {
+ *           name: 'Seoul',
+ *           lon: 126.98,
+ *           lat: 37.57,
+ *           data: 320
+ *         },
+ *         {
+ *           name: 'Tokyo',
+ *           lon: 139.69,
+ *           lat: 35.69,
+ *           data: 180
+ *         }
  *       ]
  *     },
  *     options = {
  *       chart: {
  *         title: 'Map Chart'
  *       },
+ *       series: {
+ *         // classes are divided by thresholds, and legend shows swatches of them
+ *         colorScale: {
+ *           type: 'threshold',
+ *           colors: ['#fee5d9', '#fcae91', '#fb6a4a', '#cb181d'],
+ *           thresholds: [10, 50, 80]
+ *         }
+ *       },
+ *       points: {
+ *         type: 'bubble'
+ *       },
  *       map: 'world'
- *     };
- * tui.chart.mapChart(container, rawData, options);
+ *     },
+ *     chart = tui.chart.mapChart(container, rawData, options);
+ * chart.on('clickPoint', function(point) {
+ *   console.log(point.name, point.value);
+ * });
+ *
+ * // clicking a region of drilldown.maps option like {US: 'usa'} shows child map,
+ * // and data of child map can be loaded lazily by returning false
+ * chart.on('drilldown', function(drilldown) {
+ *   loadData(drilldown.code, function(childRawData) {
+ *     drilldown.setData(childRawData);
+ *   });
+ *
+ *   return false;
+ * });
  */
 tui.chart.mapChart = function(container, rawData, options) {
     return _createChart(container, rawData, options, chartConst.CHART_TYPE_MAP);
@@ -1191,6 +1330,7 @@ tui.chart.mapChart = function(container, rawData, options) {
  *      @param {object} options.series - options for series component
  *          @param {boolean} options.series.showDot - show dot or not (default: true)
  *          @param {boolean} options.series.showArea - show area or not (default: true)
+ *          @param {string} options.series.stackType - type of stack, which areas are stacked ('normal' or 'percent')
  *      @param {object} options.plot - options for plot component
  *          @param {boolean} options.plot.type - "spiderweb" or "circle" (default: "spiderweb")
  *      @param {object|Array} options.yAxis - options for y axis component
@@ -1198,6 +1338,7 @@ tui.chart.mapChart = function(container, rawData, options) {
  *          @param {number} options.yAxis.max - maximum value for y axis
  *      @param {object} options.tooltip - options for tooltip component
  *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {boolean} options.tooltip.grouped - whether group tooltip or not
  *          @param {function} [options.tooltip.template] - template for tooltip
  *          @param {string} options.tooltip.align - align option for tooltip
  *          @param {object} options.tooltip.offset - tooltip offset
@@ -1261,131 +1402,981 @@ tui.chart.radialChart = function(container, rawData, options) {
     return _createChart(container, rawData, options, chartConst.CHART_TYPE_RADIAL);
 };
 
-tui.chart.boxplotChart = function(container, rawData, options) {
-    return _createChart(container, rawData, options, chartConst.CHART_TYPE_BOXPLOT);
+/**
+ * Polar area chart creator.
+ * Polar area chart is radial chart, which values of categories are rendered as sectors, like nightingale rose.
+ * Sectors of series are placed side by side, or stacked from center by stackType option.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories
+ *      @param {Array.<Array>} rawData.series - series data
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.series - options for series component
+ *          @param {string} options.series.stackType - type of stack, which sectors are stacked ('normal' or 'percent')
+ *          @param {boolean} options.series.allowSelect - whether allow select or not
+ *      @param {object} options.plot - options for plot component
+ *          @param {boolean} options.plot.type - "spiderweb" or "circle" (default: "circle")
+ *      @param {object|Array} options.yAxis - options for y axis component
+ *          @param {number} options.yAxis.min - minimum value for y axis
+ *          @param {number} options.yAxis.max - maximum value for y axis
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *          @param {object} options.tooltip.offset - tooltip offset
+ *              @param {number} options.tooltip.offset.x - offset x
+ *              @param {number} options.tooltip.offset.y - offset y
+ *          @param {boolean} options.tooltip.grouped - whether group tooltip or not
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left|center|outer)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} polar area chart
+ * @api
+ * @example
+ *  var container = document.getElementById('chart-area'),
+ *  data = {
+ *      categories: ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun'],
+ *      series: [
+ *          {
+ *              name: 'Budget',
+ *              data: [5000, 3000, 5000, 7000, 6000, 4000]
+ *          },
+ *          {
+ *              name: 'Income',
+ *              data: [8000, 8000, 7000, 2000, 5000, 3000]
+ *          }
+ *      ]
+ *  },
+ *  options = {
+ *      chart: {
+ *          width: 600,
+ *          height: 400
+ *      },
+ *      series: {
+ *          stackType: 'normal'
+ *      },
+ *      tooltip: {
+ *          grouped: true
+ *      }
+ *  };
+ *  tui.chart.polarAreaChart(container, data, options);
+ */
+tui.chart.polarAreaChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_POLAR_AREA);
 };
 
 /**
- * Register theme.
+ * Boxplot chart creator.
  * @memberOf tui.chart
- * @param {string} themeName - theme name
- * @param {object} theme - application chart theme
- *      @param {object} theme.chart - chart theme
- *          @param {string} theme.chart.fontFamily - font family for chart
- *          @param {string} theme.chart.background - background for chart
- *      @param {object} theme.title - chart title theme
- *          @param {number} theme.title.fontSize - font size
- *          @param {string} theme.title.fontFamily - font family
- *          @param {string} theme.title.fontWeight - font weight
- *          @param {string} theme.title.color - font color
- *          @param {string} theme.title.background - background
- *      @param {object} theme.yAxis - y axis theme
- *          @param {object} theme.yAxis.title - theme for y axis title
- *              @param {number} theme.yAxis.title.fontSize - font size
- *              @param {string} theme.yAxis.title.fontFamily - font family
- *              @param {string} theme.yAxis.title.fontWeight - font weight
- *              @param {string} theme.yAxis.title.color - font color
- *          @param {object} theme.yAxis.label - theme for y axis label
- *              @param {number} theme.yAxis.label.fontSize - font size
- *              @param {string} theme.yAxis.label.fontFamily - font family
- *              @param {string} theme.yAxis.label.fontWeight - font weight
- *              @param {string} theme.yAxis.label.color - font color
- *          @param {string} theme.yAxis.tickColor - color for y axis tick
- *      @param {object} theme.xAxis - theme for x axis
- *          @param {object} theme.xAxis.title - theme for x axis title
- *              @param {number} theme.xAxis.title.fontSize - font size
- *              @param {string} theme.xAxis.title.fontFamily - font family
- *              @param {string} theme.xAxis.title.fontWeight - font weight
- *              @param {string} theme.xAxis.title.color - font color
- *          @param {object} theme.xAxis.label - theme for x axis label
- *              @param {number} theme.xAxis.label.fontSize - font size
- *              @param {string} theme.xAxis.label.fontFamily - font family
- *              @param {string} theme.xAxis.label.fontWeight - font weight
- *              @param {string} theme.xAxis.label.color - font color
- *          @param {string} theme.xAxis.tickColor - color for x axis tick
- *      @param {object} theme.plot - theme for plot
- *          @param {string} theme.plot.lineColor - line color
- *          @param {string} theme.plot.background - background
- *      @param {object} theme.series theme for series
- *          @param {Array.<string>} theme.series.colors - colors
- *          @param {string} theme.series.borderColor - border color
- *          @param {string} theme.series.selectionColor - selection color
- *          @param {string} theme.series.startColor - start color
- *          @param {string} theme.series.endColor - end color
- *          @param {string} theme.series.overColor - over color
- *      @param {object} theme.legend - theme for legend
- *          @param {object} theme.legend.label - theme for legend label
- *              @param {number} theme.legend.label.fontSize - font size
- *              @param {string} theme.legend.label.fontFamily - font family
- *              @param {string} theme.legend.label.fontWeight - font family
- *              @param {string} theme.legend.label.color - font color
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories
+ *      @param {Array.<Array>} rawData.series - series data
+ *          @param {Array.<Array.<number>>} rawData.series.data - data like [min, lq, median, uq, max] of each category
+ *          @param {Array.<Array.<number>>} rawData.series.outliers - outliers like [categoryIndex, value]
+ *          @param {Array.<Array.<number>>} rawData.series.samples - raw samples of each category,
+ *              data, outliers, count and mean of samples are calculated from them instead of data
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.yAxis - options for y axis component
+ *          @param {string | object} options.yAxis.title - title text or title object
+ *          @param {number} options.yAxis.min - minimum value for y axis
+ *          @param {number} options.yAxis.max - maximum value for y axis
+ *      @param {object} options.xAxis - options for x axis component
+ *          @param {string | object} options.xAxis.title - title text or title object
+ *      @param {object} options.series - options for series component
+ *          @param {string} options.series.quartileMethod - interpolation method of quartiles calculated from samples
+ *              (linear|lower|higher|nearest|midpoint, default: linear)
+ *          @param {string} options.series.whisker - whisker type of boxplot calculated from samples,
+ *              tukey whiskers reach to 1.5 IQR from box and samples beyond them are outliers,
+ *              minmax whiskers reach to minimum and maximum of samples (tukey|minmax, default: tukey)
+ *          @param {boolean} options.series.showMean - whether show mean marker of samples or not
+ *          @param {boolean} options.series.notched - whether show notch, which is confidence interval of median,
+ *              of boxplot calculated from samples or not
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} boxplot chart
  * @api
  * @example
- * var theme = {
- *   yAxis: {
- *     tickColor: '#ccbd9a',
- *       title: {
- *         color: '#333333'
- *       },
- *       label: {
- *         color: '#6f491d'
- *       }
- *     },
- *     xAxis: {
- *       tickColor: '#ccbd9a',
- *       title: {
- *         color: '#333333'
- *       },
- *       label: {
- *         color: '#6f491d'
- *       }
- *     },
- *     plot: {
- *       lineColor: '#e5dbc4',
- *       background: '#f6f1e5'
- *     },
- *     series: {
- *       colors: ['#40abb4', '#e78a31', '#c1c452', '#795224', '#f5f5f5'],
- *       borderColor: '#8e6535',
- *       selectionColor: '#cccccc',
- *       startColor: '#efefef',
- *       endColor: 'blue',
- *       overColor: 'yellow'
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       categories: ['Budget', 'Income'],
+ *       series: [
+ *         {
+ *           name: '2016',
+ *           samples: [[1000, 2500, 3100, 2800, 9000, 2200], [4000, 4500, 3900, 4700, 4100]]
+ *         }
+ *       ]
  *     },
- *     legend: {
- *       label: {
- *         color: '#6f491d'
+ *     options = {
+ *       series: {
+ *         whisker: 'tukey',
+ *         showMean: true,
+ *         notched: true
  *       }
- *     }
- *   };
- * tui.chart.registerTheme('newTheme', theme);
+ *     };
+ * tui.chart.boxplotChart(container, rawData, options);
  */
-tui.chart.registerTheme = function(themeName, theme) {
-    themeManager.register(themeName, theme);
+tui.chart.boxplotChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_BOXPLOT);
 };
 
 /**
- * Register map.
- * @param {string} mapName map name
- * @param {Array.<{code: string, name: string, path: string}>} data map data
+ * Candlestick chart creator.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories, date strings for datetime type x axis
+ *      @param {Array.<Array>} rawData.series - series data
+ *          @param {Array.<Array.<number>>} rawData.series.data - data like [open, high, low, close] of each category,
+ *              volume column is rendered, if data has volume like [open, high, low, close, volume]
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.yAxis - options for y axis component
+ *          @param {string | object} options.yAxis.title - title text or title object
+ *          @param {number} options.yAxis.min - minimum value for y axis
+ *          @param {number} options.yAxis.max - maximum value for y axis
+ *      @param {object} options.xAxis - options for x axis component
+ *          @param {string | object} options.xAxis.title - title text or title object
+ *          @param {number} options.xAxis.labelInterval - label interval for x axis
+ *          @param {string} options.xAxis.type - 'datetime' for date categories
+ *          @param {string} options.xAxis.dateFormat - date format
+ *      @param {object} options.series - options for series component
+ *          @param {number} options.series.barWidth - width of candle body
+ *          @param {boolean} options.series.zoomable - whether zoomable or not
+ *      @param {object} options.tooltip - options for tooltip component, tooltip is always grouped
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} candlestick chart
  * @api
  * @example
- * var data = [
- *   {
- *     code: 'KR',
- *     name: 'South Korea',
- *     path: 'M835.13,346.53L837.55,350.71...',
- *     labelCoordinate: {
- *       x: 0.6,
- *       y: 0.7
- *     }
- *   },
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       categories: ['2017-03-01', '2017-03-02', '2017-03-03'],
+ *       series: [
+ *         {
+ *           name: 'Stock',
+ *           data: [[100, 120, 95, 115, 3000], [115, 118, 101, 104, 4200], [104, 125, 103, 122, 5100]]
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       xAxis: {
+ *         type: 'datetime',
+ *         dateFormat: 'MM/DD'
+ *       },
+ *       series: {
+ *         zoomable: true
+ *       }
+ *     };
+ * tui.chart.candlestickChart(container, rawData, options);
+ */
+tui.chart.candlestickChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_CANDLESTICK);
+};
+
+/**
+ * Waterfall chart creator.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories
+ *      @param {Array.<Array>} rawData.series - series data
+ *          @param {Array.<number|string>} rawData.series.data - signed deltas of each category,
+ *              'subtotal' is column of deltas since previous subtotal and 'total' is column from zero
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.yAxis - options for y axis component
+ *          @param {string | object} options.yAxis.title - title text or title object
+ *          @param {number} options.yAxis.min - minimum value for y axis
+ *          @param {number} options.yAxis.max - maximum value for y axis
+ *      @param {object} options.xAxis - options for x axis component
+ *          @param {string | object} options.xAxis.title - title text or title object
+ *          @param {number} options.xAxis.labelInterval - label interval for x axis
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show label or not, label is delta of column
+ *          @param {number} options.series.barWidth - bar width
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip,
+ *              delta and cumulative are passed to template in addition to value
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} waterfall chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       categories: ['Start', 'Sales', 'Refunds', 'Q1', 'Costs', 'End'],
+ *       series: [
+ *         {
+ *           name: 'Profit',
+ *           data: [1000, 420, -120, 'subtotal', -300, 'total']
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       series: {
+ *         showLabel: true
+ *       }
+ *     };
+ * tui.chart.waterfallChart(container, rawData, options);
+ */
+tui.chart.waterfallChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_WATERFALL);
+};
+
+/**
+ * Funnel chart creator.
+ * Stages are rendered from top to bottom and height of each stage is proportional to its value.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<object>} rawData.series - series data, name is stage name and data is value of stage
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show value in label or not
+ *          @param {boolean} options.series.showLegend - whether show legend in label or not
+ *          @param {string} options.series.labelAlign - align of label (center|outer) (default: center),
+ *              label has percentage of first stage and percentage of previous stage
+ *          @param {string} options.series.previousStageLabel - label following percentage of previous stage
+ *              (default: 'of previous')
+ *          @param {number | string} options.series.neckWidth - neck width as pixel or percentage of width
+ *              (default: '30%')
+ *          @param {number | string} options.series.neckHeight - neck height as pixel or percentage of height
+ *              (default: '25%')
+ *          @param {boolean} options.series.reversed - whether flip vertically or not, first stage is on bottom, if true
+ *          @param {boolean} options.series.allowSelect - whether allow select or not
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} funnel chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       series: [
+ *         {
+ *           name: 'Visits',
+ *           data: 15654
+ *         },
+ *         {
+ *           name: 'Downloads',
+ *           data: 4064
+ *         },
+ *         {
+ *           name: 'Purchases',
+ *           data: 976
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       series: {
+ *         showLegend: true,
+ *         labelAlign: 'outer'
+ *       }
+ *     };
+ * tui.chart.funnelChart(container, rawData, options);
+ */
+tui.chart.funnelChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_FUNNEL);
+};
+
+/**
+ * Pyramid chart creator.
+ * Pyramid is funnel without neck, which apex is on top.
+ * First stage is on bottom, unless reversed option is true, which makes inverted pyramid.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<object>} rawData.series - series data, name is stage name and data is value of stage
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show value in label or not
+ *          @param {boolean} options.series.showLegend - whether show legend in label or not
+ *          @param {string} options.series.labelAlign - align of label (center|outer) (default: center),
+ *              label has percentage of first stage and percentage of previous stage
+ *          @param {string} options.series.previousStageLabel - label following percentage of previous stage
+ *              (default: 'of previous')
+ *          @param {number | string} options.series.neckWidth - neck width as pixel or percentage of width (default: 0)
+ *          @param {number | string} options.series.neckHeight - neck height as pixel or percentage of height (default: 0)
+ *          @param {boolean} options.series.reversed - whether flip vertically or not, apex is on bottom, if true
+ *          @param {boolean} options.series.allowSelect - whether allow select or not
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} pyramid chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       series: [
+ *         {
+ *           name: 'Leads',
+ *           data: 1200
+ *         },
+ *         {
+ *           name: 'Prospects',
+ *           data: 600
+ *         },
+ *         {
+ *           name: 'Customers',
+ *           data: 150
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       series: {
+ *         showLabel: true,
+ *         reversed: true
+ *       }
+ *     };
+ * tui.chart.pyramidChart(container, rawData, options);
+ */
+tui.chart.pyramidChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_PYRAMID);
+};
+
+/**
+ * Gauge chart creator.
+ * Value of first series is pointed by needle, or filled as solid arc if solid option is true.
+ * Value can be changed with animation by setValue API of created chart.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<object>} rawData.series - series data, name is label of value and data is value
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value label and tick labels
+ *      @param {object} options.series - options for series component
+ *          @param {number} options.series.min - minimum value of scale (default: 0)
+ *          @param {number} options.series.max - maximum value of scale, it is calculated by value if omitted
+ *          @param {number} options.series.startAngle - start angle of arc (default: 240)
+ *          @param {number} options.series.endAngle - end angle of arc (default: 120)
+ *          @param {Array.<string>} options.series.radiusRange - inner and outer radius of arc as percentage
+ *              (default: ['90%', '100%'], ['70%', '100%'] for solid gauge)
+ *          @param {boolean} options.series.solid - whether fill value as solid arc instead of needle or not
+ *          @param {Array.<object>} options.series.bands - colored bands on arc,
+ *              solid arc is filled with color of band, which contains value
+ *              @param {Array.<number>} options.series.bands.range - value range of band
+ *              @param {string} options.series.bands.color - band color
+ *          @param {boolean} options.series.showLabel - whether show value label on center or not (default: true)
+ *          @param {boolean} options.series.showLegend - whether show series name under value label or not
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} gauge chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       series: [
+ *         {
+ *           name: 'Speed',
+ *           data: 80
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       chart: {
+ *         format: '0'
+ *       },
+ *       series: {
+ *         max: 200,
+ *         bands: [
+ *           {
+ *             range: [0, 120],
+ *             color: '#90a959'
+ *           },
+ *           {
+ *             range: [120, 200],
+ *             color: '#ac4142'
+ *           }
+ *         ]
+ *       }
+ *     },
+ *     chart = tui.chart.gaugeChart(container, rawData, options);
+ *
+ * chart.setValue(150);
+ */
+tui.chart.gaugeChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_GAUGE);
+};
+
+/**
+ * Sankey chart creator.
+ * Nodes are placed in columns by depths of flow, and links between nodes are rendered as ribbons,
+ * which widths are proportional to values of links.
+ * Flows connected to node or link are highlighted, when mouse is over it.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {object} rawData - raw data
+ *      @param {Array.<string|object>} [rawData.nodes] - names of nodes or nodes like {name: 'Coal'},
+ *          nodes, which are not in this array, are added by order of links
+ *      @param {Array.<object>} rawData.links - links between nodes
+ *          @param {string | number} rawData.links.source - name or index of source node
+ *          @param {string | number} rawData.links.target - name or index of target node
+ *          @param {number} rawData.links.value - value of flow
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show names of nodes or not (default: true)
+ *          @param {number} options.series.nodeWidth - width of node (default: 20)
+ *          @param {number} options.series.nodePadding - vertical padding between nodes (default: 10)
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip,
+ *              it gets name and value for node, and isLink, source, target and value for link
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} sankey chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       nodes: ['Coal', 'Gas', 'Electricity', 'Industry', 'Homes'],
+ *       links: [
+ *         {
+ *           source: 'Coal',
+ *           target: 'Electricity',
+ *           value: 40
+ *         },
+ *         {
+ *           source: 'Gas',
+ *           target: 'Electricity',
+ *           value: 20
+ *         },
+ *         {
+ *           source: 'Gas',
+ *           target: 'Homes',
+ *           value: 15
+ *         },
+ *         {
+ *           source: 'Electricity',
+ *           target: 'Industry',
+ *           value: 35
+ *         },
+ *         {
+ *           source: 'Electricity',
+ *           target: 'Homes',
+ *           value: 25
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       chart: {
+ *         title: 'Energy Flow'
+ *       },
+ *       tooltip: {
+ *         suffix: 'TWh'
+ *       }
+ *     };
+ * tui.chart.sankeyChart(container, rawData, options);
+ */
+tui.chart.sankeyChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_SANKEY);
+};
+
+/**
+ * Sunburst chart creator.
+ * Same hierarchical data as treemap chart is rendered as concentric rings, from root at center to leaves at outside.
+ * Sector, which has children, is zoomed in by click, and center circle or breadcrumb bar are zoomed out.
+ * Items of breadcrumb bar are focusable, and they are zoomed to by enter and space key, zoomed out by escape key.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<object>} rawData.series - series data like treemap chart,
+ *          which has label, value, colorValue and children
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show label or not
+ *          @param {function} options.series.labelTemplate - template for label
+ *          @param {boolean} options.series.useColorValue - whether use colorValue or not
+ *          @param {boolean} options.series.zoomable - whether zoomable or not (default: true)
+ *          @param {string} options.series.rootLabel - label of root in breadcrumbs (default: 'All')
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip
+ *          @param {object} options.tooltip.offsetX - tooltip offset x
+ *          @param {object} options.tooltip.offsetY - tooltip offset y
+ *      @param {object} options.legend - options for spectrum legend component, when useColorValue
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} sunburst chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       series: [
+ *         {
+ *           label: 'Asia',
+ *           children: [
+ *             {
+ *               label: 'Korea',
+ *               value: 5
+ *             },
+ *             {
+ *               label: 'Japan',
+ *               value: 12
+ *             }
+ *           ]
+ *         },
+ *         {
+ *           label: 'Europe',
+ *           children: [
+ *             {
+ *               label: 'France',
+ *               value: 6
+ *             },
+ *             {
+ *               label: 'Germany',
+ *               value: 8
+ *             }
+ *           ]
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       chart: {
+ *         title: 'Sunburst Chart'
+ *       },
+ *       series: {
+ *         showLabel: true
+ *       }
+ *     };
+ * var chart = tui.chart.sunburstChart(container, rawData, options);
+ *
+ * chart.on('zoom', function(info) {
+ *     // info.path is array of {id, label} from root to current root of zoom. id of root is null.
+ *     console.log(info.id, info.path);
+ * });
+ * // zoom to node, which has children, by id of raw series datum, and back to parent of it
+ * chart.zoomToNode('nodeId');
+ * chart.zoomOut();
+ */
+tui.chart.sunburstChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_SUNBURST);
+};
+
+/**
+ * Bullet chart creator.
+ * Each category is a bullet, which has measure bar of actual value, marker lines of targets and range bands.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories
+ *      @param {Array.<Array>} rawData.series - series data
+ *          @param {Array.<number>} rawData.series.data - actual values of each category
+ *          @param {Array.<(number|Array.<number>)>} rawData.series.markers - target values of each category
+ *          @param {Array.<Array.<number>>} rawData.series.ranges - upper thresholds of qualitative ranges
+ *              of each category, first range starts from zero
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *          @param {string | function} options.chart.format - formatter for value
+ *      @param {object} options.yAxis - options for y axis component
+ *          @param {string | object} options.yAxis.title - title text or title object
+ *          @param {number} options.yAxis.min - minimum value for y axis, when vertical
+ *          @param {number} options.yAxis.max - maximum value for y axis, when vertical
+ *      @param {object} options.xAxis - options for x axis component
+ *          @param {string | object} options.xAxis.title - title text or title object
+ *          @param {number} options.xAxis.min - minimum value for x axis, when horizontal
+ *          @param {number} options.xAxis.max - maximum value for x axis, when horizontal
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.vertical - whether bullets are vertical or not (default: false)
+ *          @param {boolean} options.series.showLabel - whether show label of actual value or not
+ *          @param {number} options.series.barWidth - width of bullet, measure bar is narrower than it
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {string} options.tooltip.suffix - suffix for tooltip
+ *          @param {function} [options.tooltip.template] - template for tooltip,
+ *              markerLabel and rangeLabel are passed to template in addition to value
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} bullet chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       categories: ['Revenue', 'Profit', 'Order Size'],
+ *       series: [
+ *         {
+ *           name: '2017',
+ *           data: [270, 22, 310],
+ *           markers: [250, 26, [280, 350]],
+ *           ranges: [[150, 225, 300], [20, 25, 30], [200, 300, 400]]
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       series: {
+ *         vertical: false
+ *       }
+ *     };
+ * tui.chart.bulletChart(container, rawData, options);
+ */
+tui.chart.bulletChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_BULLET);
+};
+
+/**
+ * Gantt chart creator.
+ * Each category is a task row, which has datetime ranges as bars, milestones as diamonds
+ * and dependency arrows from previous tasks.
+ * @memberOf tui.chart
+ * @param {HTMLElement} container - chart container
+ * @param {rawData} rawData - raw data
+ *      @param {Array.<string>} rawData.categories - categories, which are names of tasks
+ *      @param {Array.<Array>} rawData.series - series data
+ *          @param {Array.<Array>} rawData.series.data - datetime range like [start, end]
+ *              or array of ranges of each task
+ *          @param {Array.<(string|number|Date|Array)>} rawData.series.milestones - date or dates of milestones
+ *              of each task
+ *          @param {Array.<{from: (string|number), to: (string|number)}>} rawData.series.dependencies - dependencies
+ *              between tasks by names or indexes of them, arrow is drawn from end of from task to start of to task
+ * @param {object} options - chart options
+ *      @param {object} options.chart - base options for chart
+ *          @param {number} options.chart.width - chart width
+ *          @param {number} options.chart.height - chart height
+ *          @param {string | object} options.chart.title - title text or title object
+ *              @param {string} options.chart.title.text - title text
+ *              @param {number} options.chart.title.offsetX - title offset x
+ *              @param {number} options.chart.title.offsetY - title offset y
+ *      @param {object} options.yAxis - options for y axis component
+ *          @param {string | object} options.yAxis.title - title text or title object
+ *      @param {object} options.xAxis - options for x axis component, which is always datetime type
+ *          @param {string | object} options.xAxis.title - title text or title object
+ *          @param {string} options.xAxis.dateFormat - date format for labels of axis and tooltip
+ *          @param {string|number|Date} options.xAxis.min - minimum date for x axis
+ *          @param {string|number|Date} options.xAxis.max - maximum date for x axis
+ *      @param {object} options.series - options for series component
+ *          @param {boolean} options.series.showLabel - whether show label of period or not
+ *          @param {number} options.series.barWidth - width of bar
+ *          @param {boolean} options.series.zoomable - whether time axis is zoomed by mouse wheel
+ *              and panned by dragging or not
+ *      @param {object} options.plot - options for plot component
+ *          @param {boolean|string|number|Date|object} options.plot.today - line of today,
+ *              true for now, date or object like {value: date, color: color}
+ *      @param {object} options.tooltip - options for tooltip component
+ *          @param {function} [options.tooltip.template] - template for tooltip,
+ *              periodLabel and milestoneLabel are passed to template in addition to value
+ *          @param {string} options.tooltip.align - align option for tooltip
+ *      @param {object} options.legend - options for legend component
+ *          @param {string} options.legend.align - align option for legend (top|bottom|left)
+ *          @param {boolean} options.legend.showCheckbox - whether show checkbox or not (default: true)
+ *          @param {boolean} options.legend.visible - whether visible or not (default: true)
+ *      @param {string} options.theme - theme name
+ *      @param {string} options.libType - type of graph library
+ * @returns {object} gantt chart
+ * @api
+ * @example
+ * var container = document.getElementById('container-id'),
+ *     rawData = {
+ *       categories: ['Design', 'Develop', 'Test'],
+ *       series: [
+ *         {
+ *           name: 'Plan',
+ *           data: [
+ *             ['2017-03-01', '2017-03-10'],
+ *             [['2017-03-08', '2017-03-20'], ['2017-03-23', '2017-03-30']],
+ *             ['2017-03-25', '2017-04-07']
+ *           ],
+ *           milestones: ['2017-03-10', null, ['2017-04-01', '2017-04-07']],
+ *           dependencies: [{from: 'Design', to: 'Develop'}, {from: 'Develop', to: 'Test'}]
+ *         }
+ *       ]
+ *     },
+ *     options = {
+ *       xAxis: {
+ *         dateFormat: 'MM.DD'
+ *       },
+ *       series: {
+ *         zoomable: true
+ *       },
+ *       plot: {
+ *         today: true
+ *       }
+ *     },
+ *     chart = tui.chart.ganttChart(container, rawData, options);
+ *
+ * chart.on('zoom', function(info) {
+ *     // info.min and info.max are times of limit of zoomed time axis.
+ * });
+ *
+ * // zoom to time range, and reset it
+ * chart.zoomToTimeRange('2017-03-05', '2017-03-25');
+ * chart.resetZoom();
+ */
+tui.chart.ganttChart = function(container, rawData, options) {
+    return _createChart(container, rawData, options, chartConst.CHART_TYPE_GANTT);
+};
+
+/**
+ * Register theme.
+ * @memberOf tui.chart
+ * @param {string} themeName - theme name
+ * @param {object} theme - application chart theme
+ *      @param {object} theme.chart - chart theme
+ *          @param {string} theme.chart.fontFamily - font family for chart
+ *          @param {string} theme.chart.background - background for chart
+ *      @param {object} theme.title - chart title theme
+ *          @param {number} theme.title.fontSize - font size
+ *          @param {string} theme.title.fontFamily - font family
+ *          @param {string} theme.title.fontWeight - font weight
+ *          @param {string} theme.title.color - font color
+ *          @param {string} theme.title.background - background
+ *      @param {object} theme.yAxis - y axis theme
+ *          @param {object} theme.yAxis.title - theme for y axis title
+ *              @param {number} theme.yAxis.title.fontSize - font size
+ *              @param {string} theme.yAxis.title.fontFamily - font family
+ *              @param {string} theme.yAxis.title.fontWeight - font weight
+ *              @param {string} theme.yAxis.title.color - font color
+ *          @param {object} theme.yAxis.label - theme for y axis label
+ *              @param {number} theme.yAxis.label.fontSize - font size
+ *              @param {string} theme.yAxis.label.fontFamily - font family
+ *              @param {string} theme.yAxis.label.fontWeight - font weight
+ *              @param {string} theme.yAxis.label.color - font color
+ *          @param {string} theme.yAxis.tickColor - color for y axis tick
+ *      @param {object} theme.xAxis - theme for x axis
+ *          @param {object} theme.xAxis.title - theme for x axis title
+ *              @param {number} theme.xAxis.title.fontSize - font size
+ *              @param {string} theme.xAxis.title.fontFamily - font family
+ *              @param {string} theme.xAxis.title.fontWeight - font weight
+ *              @param {string} theme.xAxis.title.color - font color
+ *          @param {object} theme.xAxis.label - theme for x axis label
+ *              @param {number} theme.xAxis.label.fontSize - font size
+ *              @param {string} theme.xAxis.label.fontFamily - font family
+ *              @param {string} theme.xAxis.label.fontWeight - font weight
+ *              @param {string} theme.xAxis.label.color - font color
+ *          @param {string} theme.xAxis.tickColor - color for x axis tick
+ *      @param {object} theme.plot - theme for plot
+ *          @param {string} theme.plot.lineColor - line color
+ *          @param {string} theme.plot.background - background
+ *          @param {string} theme.plot.todayLineColor - color of today line of gantt chart
+ *      @param {object} theme.series theme for series
+ *          @param {Array.<string>} theme.series.colors - colors
+ *          @param {string} theme.series.borderColor - border color
+ *          @param {string} theme.series.selectionColor - selection color
+ *          @param {string} theme.series.startColor - start color
+ *          @param {string} theme.series.endColor - end color
+ *          @param {string} theme.series.overColor - over color
+ *          @param {string} theme.series.risingColor - color of rising candle of candlestick chart
+ *          @param {string} theme.series.fallingColor - color of falling candle of candlestick chart
+ *          @param {string} theme.series.increaseColor - color of increase column of waterfall chart
+ *          @param {string} theme.series.decreaseColor - color of decrease column of waterfall chart
+ *          @param {string} theme.series.totalColor - color of subtotal and total column of waterfall chart
+ *          @param {string} theme.series.trackColor - color of track arc of gauge chart
+ *          @param {string} theme.series.needleColor - color of needle of gauge chart
+ *          @param {Array.<string>} theme.series.rangeColors - colors of range bands of bullet chart,
+ *              which are picked by order of range
+ *          @param {string} theme.series.markerColor - color of target marker of bullet chart and points of map chart
+ *          @param {string} theme.series.milestoneColor - color of milestone of gantt chart
+ *          @param {string} theme.series.dependencyColor - color of dependency arrow of gantt chart
+ *      @param {object} theme.legend - theme for legend
+ *          @param {object} theme.legend.label - theme for legend label
+ *              @param {number} theme.legend.label.fontSize - font size
+ *              @param {string} theme.legend.label.fontFamily - font family
+ *              @param {string} theme.legend.label.fontWeight - font family
+ *              @param {string} theme.legend.label.color - font color
+ * @api
+ * @example
+ * var theme = {
+ *   yAxis: {
+ *     tickColor: '#ccbd9a',
+ *       title: {
+ *         color: '#333333'
+ *       },
+ *       label: {
+ *         color: '#6f491d'
+ *       }
+ *     },
+ *     xAxis: {
+ *       tickColor: '#ccbd9a',
+ *       title: {
+ *         color: '#333333'
+ *       },
+ *       label: {
+ *         color: '#6f491d'
+ *       }
+ *     },
+ *     plot: {
+ *       lineColor: '#e5dbc4',
+ *       background: '#f6f1e5'
+ *     },
+ *     series: {
+ *       colors: ['#40abb4', '#e78a31', '#c1c452', '#795224', '#f5f5f5'],
+ *       borderColor: '#8e6535',
+ *       selectionColor: '#cccccc',
+ *       startColor: '#efefef',
+ *       endColor: 'blue',
+ *       overColor: 'yellow'
+ *     },
+ *     legend: {
+ *       label: {
+ *         color: '#6f491d'
+ *       }
+ *     }
+ *   };
+ * tui.chart.registerTheme('newTheme', theme);
+ */
+tui.chart.registerTheme = function(themeName, theme) {
+    themeManager.register(themeName, theme);
+};
+
+/**
+ * Register map.
+ * Map data can be GeoJSON FeatureCollection or TopoJSON Topology, which is converted to paths by projection.
+ * Regions are clipped at horizon of orthographic projection,
+ * and regions crossing antimeridian are split at edges of mercator and equirectangular projections.
+ * @param {string} mapName map name
+ * @param {Array.<{code: string, name: string, path: string}>|object} data map data, GeoJSON or TopoJSON
+ * @param {object} [options] - options for GeoJSON or TopoJSON
+ *      @param {string} [options.projection] - type of projection
+ *          (mercator|equirectangular|albersUsa|orthographic, default: mercator)
+ *      @param {Array.<number>} [options.center] - longitude and latitude of center of projection,
+ *          which is a point facing front for orthographic projection
+ *      @param {string} [options.object] - name of object in TopoJSON, first object is used by default
+ *      @param {string} [options.codeProperty] - name of property for code of region, id of feature is used by default
+ *      @param {string} [options.nameProperty] - name of property for name of region (default: name)
+ * @api
+ * @example
+ * var data = [
+ *   {
+ *     code: 'KR',
+ *     name: 'South Korea',
+ *     path: 'M835.13,346.53L837.55,350.71...',
+ *     labelCoordinate: {
+ *       x: 0.6,
+ *       y: 0.7
+ *     }
+ *   },
  *   //...
  * ];
  * tui.chart.registerMap('newMap', data);
+ *
+ * // GeoJSON of regions, which have code in properties
+ * tui.chart.registerMap('salesRegions', geoJson, {
+ *   projection: 'albersUsa',
+ *   codeProperty: 'regionCode'
+ * });
  */
-tui.chart.registerMap = function(mapName, data) {
-    mapManager.register(mapName, data);
+tui.chart.registerMap = function(mapName, data, options) {
+    mapManager.register(mapName, data, options);
 };
 
 /**
@@ -9,6 +9,7 @@
 var ChartBase = require('./chartBase');
 var DynamicDataHelper = require('./dynamicDataHelper');
 var rawDataHandler = require('../models/data/rawDataHandler');
+var multipleYAxesHelper = require('./multipleYAxesHelper');
 var Series = require('../components/series/areaChartSeries');
 
 var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype */ {
@@ -35,7 +36,6 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
      * @mixes lineTypeMixer
      */
     init: function(rawData, theme, options) {
-        rawDataHandler.removeSeriesStack(rawData.series);
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -46,6 +46,25 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
 
         this._dynamicDataHelper = new DynamicDataHelper(this);
     },
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        ChartBase.prototype._initializeOptions.call(this, options);
+        multipleYAxesHelper.normalizeYAxisOptions(options, this.dataProcessor);
+    },
+    /**
+     * Initialize raw data by removing stack of series data.
+     * @param {rawData} rawData - raw data
+     * @private
+     * @override
+     */
+    _initializeRawData: function(rawData) {
+        rawDataHandler.removeSeriesStack(rawData.series);
+    },
     /**
      * Add data.
      * @param {string} category - category
@@ -80,6 +99,10 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
             addDataRatio = function(chartType) {
                 self.dataProcessor.addDataRatiosForCoordinateType(chartType, limitMap, false);
             };
+        } else if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            addDataRatio = function(chartType) {
+                multipleYAxesHelper.addDataRatios(self.dataProcessor, limitMap, self.options.yAxis, chartType);
+            };
         } else {
             addDataRatio = function(chartType) {
                 var stackType = (seriesOption[chartType] || seriesOption).stackType;
@@ -101,7 +124,11 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
 
         this.componentManager.register('areaSeries', 'areaSeries');
 
-        this.componentManager.register('yAxis', 'axis');
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            multipleYAxesHelper.registerYAxes(this.componentManager, this.options.yAxis);
+        } else {
+            this.componentManager.register('yAxis', 'axis');
+        }
         this.componentManager.register('xAxis', 'axis');
 
         this.componentManager.register('chartExportMenu', 'chartExportMenu');
@@ -111,7 +138,7 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
     /**
      * Get scale option.
      * from lineTypeMixer
-     * @returns {{xAxis: ?{valueType:string}, yAxis: ?(boolean|{valueType:string})}}
+     * @returns {{xAxis: ?{valueType:string}, yAxis: ?(boolean|object), extraYAxes: ?Array.<object>}}
      * @override
      */
     getScaleOption: function() {
@@ -124,6 +151,10 @@ var AreaChart = tui.util.defineClass(ChartBase, /** @lends AreaChart.prototype *
             scaleOption.yAxis = {
                 valueType: 'y'
             };
+        } else if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            scaleOption = multipleYAxesHelper.makeScaleOption(
+                this.options.yAxis, this.dataProcessor.getSeriesDataModel(this.chartType).rawSeriesData
+            );
         } else {
             scaleOption.yAxis = true;
         }
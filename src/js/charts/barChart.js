@@ -27,9 +27,6 @@ var BarChart = tui.util.defineClass(ChartBase, /** @lends BarChart.prototype */
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        rawDataHandler.updateRawSeriesDataByOptions(rawData, options.series);
-        this._updateOptionsRelatedDiverging(options);
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -38,6 +35,44 @@ var BarChart = tui.util.defineClass(ChartBase, /** @lends BarChart.prototype */
         });
     },
 
+    /**
+     * Initialize raw data for diverging option.
+     * @param {rawData} rawData - raw data
+     * @param {object} options - chart options
+     * @private
+     * @override
+     */
+    _initializeRawData: function(rawData, options) {
+        rawDataHandler.updateRawSeriesDataByOptions(rawData, options.series);
+    },
+
+    /**
+     * Whether raw data should be initialized again or not, when options are changed.
+     * @param {object} prevOptions - previous options
+     * @param {object} options - changed options
+     * @returns {boolean}
+     * @private
+     * @override
+     */
+    _isRawDataChangedByOptions: function(prevOptions, options) {
+        var prevSeriesOptions = prevOptions.series || {};
+        var seriesOptions = options.series || {};
+
+        return prevSeriesOptions.stackType !== seriesOptions.stackType
+            || prevSeriesOptions.diverging !== seriesOptions.diverging;
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        this._updateOptionsRelatedDiverging(options);
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
     /**
      * Update options related diverging option.
      * @param {object} options - options
@@ -26,8 +26,6 @@ var BoxplotChart = tui.util.defineClass(ChartBase, /** @lends BoxplotChart.proto
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        rawDataHandler.appendOutliersToSeriesData(rawData);
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -37,6 +35,34 @@ var BoxplotChart = tui.util.defineClass(ChartBase, /** @lends BoxplotChart.proto
         });
     },
 
+    /**
+     * Initialize raw data by making summary from samples and appending outliers to series data.
+     * @param {rawData} rawData - raw data
+     * @param {object} options - chart options
+     * @private
+     * @override
+     */
+    _initializeRawData: function(rawData, options) {
+        rawDataHandler.updateBoxplotSeriesDataBySamples(rawData, options.series);
+        rawDataHandler.appendOutliersToSeriesData(rawData);
+    },
+
+    /**
+     * Whether raw data should be initialized again or not, when options are changed.
+     * @param {object} prevOptions - previous options
+     * @param {object} options - changed options
+     * @returns {boolean}
+     * @private
+     * @override
+     */
+    _isRawDataChangedByOptions: function(prevOptions, options) {
+        var prevSeriesOptions = prevOptions.series || {};
+        var seriesOptions = options.series || {};
+
+        return prevSeriesOptions.quartileMethod !== seriesOptions.quartileMethod
+            || prevSeriesOptions.whisker !== seriesOptions.whisker;
+    },
+
     /**
      * Add components
      * @override
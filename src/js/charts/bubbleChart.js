@@ -25,6 +25,21 @@ var BubbleChart = tui.util.defineClass(ChartBase, /** @lends BubbleChart.prototy
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
         options.tooltip = options.tooltip || {};
         options.circleLegend = options.circleLegend || {};
 
@@ -36,12 +51,7 @@ var BubbleChart = tui.util.defineClass(ChartBase, /** @lends BubbleChart.prototy
             options.circleLegend.visible = true;
         }
 
-        ChartBase.call(this, {
-            rawData: rawData,
-            theme: theme,
-            options: options,
-            hasAxes: true
-        });
+        ChartBase.prototype._initializeOptions.call(this, options);
     },
 
     /**
@@ -0,0 +1,95 @@
+/**
+ * @fileoverview Bullet chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+
+var BulletChart = tui.util.defineClass(ChartBase, /** @lends BulletChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-bullet-chart',
+
+    /**
+     * Bullet chart.
+     * @constructs BulletChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * Bullets are horizontal by default and vertical by series.vertical option.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        options.series = options.series || {};
+
+        this.isVertical = !!options.series.vertical;
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('plot', 'plot');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register('bulletSeries', 'bulletSeries');
+
+        this.componentManager.register('yAxis', 'axis');
+        this.componentManager.register('xAxis', 'axis');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    },
+
+    /**
+     * Get scale option.
+     * @returns {{xAxis: boolean}|{yAxis: boolean}}
+     * @override
+     */
+    getScaleOption: function() {
+        var valueAxisName = this.isVertical ? 'yAxis' : 'xAxis';
+        var scaleOption = {};
+
+        scaleOption[valueAxisName] = true;
+
+        return scaleOption;
+    },
+
+    /**
+     * Add data ratios.
+     * @param {object} limitMap - limit map
+     * @override
+     */
+    addDataRatios: function(limitMap) {
+        var chartType = this.chartType;
+
+        this.dataProcessor.addDataRatios(limitMap[chartType], null, chartType);
+    }
+});
+
+module.exports = BulletChart;
@@ -0,0 +1,136 @@
+/**
+ * @fileoverview Candlestick chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+var rawDataHandler = require('../models/data/rawDataHandler');
+
+var CandlestickChart = tui.util.defineClass(ChartBase, /** @lends CandlestickChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-candlestick-chart',
+
+    /**
+     * Candlestick chart.
+     * @constructs CandlestickChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true,
+            isVertical: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * Tooltip is always grouped, because OHLC values of category are shown together
+     * and zoom is supported by group type mouse event detector.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        ChartBase.prototype._initializeOptions.call(this, options);
+
+        options.tooltip.grouped = true;
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('plot', 'plot');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register('candlestickSeries', 'candlestickSeries');
+
+        this.componentManager.register('yAxis', 'axis');
+        this.componentManager.register('xAxis', 'axis');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    },
+
+    /**
+     * Get scale option.
+     * @returns {{yAxis: boolean}}
+     * @override
+     */
+    getScaleOption: function() {
+        return {
+            yAxis: true
+        };
+    },
+
+    /**
+     * Add data ratios.
+     * @param {object} limitMap - limit map
+     * @override
+     */
+    addDataRatios: function(limitMap) {
+        var chartType = this.chartType;
+
+        this.dataProcessor.addDataRatios(limitMap[chartType], null, chartType);
+    },
+
+    /**
+     * Render for zoom.
+     * from chart/zoomMixer
+     * @param {boolean} isResetZoom - whether reset zoom or not
+     * @private
+     */
+    _renderForZoom: function(isResetZoom) {
+        var boundsAndScale = this.readyForRender();
+
+        this.componentManager.render('zoom', boundsAndScale, {
+            isResetZoom: isResetZoom
+        });
+    },
+
+    /**
+     * On zoom.
+     * from chart/zoomMixer
+     * @param {Array.<number>} indexRange - index range for zoom
+     */
+    onZoom: function(indexRange) {
+        this.dataProcessor.updateRawDataForZoom(indexRange);
+        this._renderForZoom(false);
+    },
+
+    /**
+     * On reset zoom.
+     * Series of unchecked legend are kept hidden.
+     * from chart/zoomMixer
+     */
+    onResetZoom: function() {
+        var dataProcessor = this.dataProcessor;
+        var legend = this.componentManager.get('legend');
+        var rawData = dataProcessor.getOriginalRawData();
+
+        if (legend) {
+            rawData = rawDataHandler.filterCheckedRawData(rawData, legend.getCheckedIndexes());
+        }
+
+        dataProcessor.initData(rawData);
+        dataProcessor.initZoomedRawData();
+        this._renderForZoom(true);
+    }
+});
+
+module.exports = CandlestickChart;
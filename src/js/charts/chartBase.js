@@ -8,10 +8,16 @@
 
 var chartConst = require('../const');
 var ComponentManager = require('./componentManager');
+var ColorSpectrum = require('./colorSpectrum');
 var DefaultDataProcessor = require('../models/data/dataProcessor');
 var rawDataHandler = require('../models/data/rawDataHandler');
 var dom = require('../helpers/domHandler');
 var renderUtil = require('../helpers/renderUtil');
+var objectUtil = require('../helpers/objectUtil');
+var predicate = require('../helpers/predicate');
+var themeManager = require('../themes/themeManager');
+var imageExporter = require('../helpers/imageExporter');
+var seriesDataImporter = require('../helpers/seriesDataImporter');
 var boundsAndScaleBuilder = require('../models/boundsAndScaleBuilder.js');
 
 var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
@@ -27,19 +33,31 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
      *      @param {DataProcessor} params.DataProcessor DataProcessor
      */
     init: function(params) {
+        /**
+         * raw data before being processed
+         * @type {rawData}
+         */
+        this.originalRawData = objectUtil.deepCopy(params.rawData);
+
+        /**
+         * options before being initialized, for merging options by setOptions
+         * @type {object}
+         */
+        this.originalOptions = objectUtil.deepCopy(params.options);
+
+        this._initializeRawData(params.rawData, params.options);
+
         /**
          * theme
          * @type {object}
          */
         this.theme = params.theme;
 
-        this._initializeOptions(params.options);
-
         /**
          * chart type
          * @type {string}
          */
-        this.chartType = this.options.chartType;
+        this.chartType = params.options.chartType;
 
         /**
          * whether chart has axes or not
@@ -59,6 +77,8 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
          */
         this.dataProcessor = this._createDataProcessor(params);
 
+        this._initializeOptions(params.options);
+
         /**
          * event bus for transmitting message
          * @type {object}
@@ -71,6 +91,18 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
          */
         this.prevXAxisData = null;
 
+        /**
+         * whether series are rerendered by data, which is changed by setData without changing structure
+         * @type {boolean}
+         */
+        this.isChangingData = false;
+
+        /**
+         * color spectrum of series and legend, which is created by charts of spectrum legend
+         * @type {?ColorSpectrum}
+         */
+        this.colorSpectrum = null;
+
         /**
          * component manager
          * @type {ComponentManager}
@@ -90,10 +122,11 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         this.eventBus.on('changeCheckedLegends', this.onChangeCheckedLegends, this);
 
         if (this.onZoom) {
-            this.eventBus.on({
-                zoom: this.onZoom,
-                resetZoom: this.onResetZoom
-            }, this);
+            this.eventBus.on('zoom', this.onZoom, this);
+        }
+
+        if (this.onResetZoom) {
+            this.eventBus.on('resetZoom', this.onResetZoom, this);
         }
     },
 
@@ -179,6 +212,44 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         delete options.position;
     },
 
+    /**
+     * Initialize noData options of series, which are style of area without value, for charts of spectrum legend.
+     * @param {{noData: ?{color: ?string, pattern: ?boolean, label: ?string}}} options - series options
+     * @private
+     */
+    _initializeNoDataOptions: function(options) {
+        options.noData = tui.util.extend({
+            color: chartConst.NO_DATA_DEFAULT_COLOR,
+            pattern: false,
+            label: chartConst.NO_DATA_DEFAULT_LABEL
+        }, options.noData);
+    },
+
+    /**
+     * Create color spectrum by colors of series theme and colorScale, noData options of series.
+     * @returns {ColorSpectrum}
+     * @private
+     */
+    _createColorSpectrum: function() {
+        var seriesTheme = this.theme.series[this.chartType];
+        var seriesOptions = this.options.series;
+
+        return new ColorSpectrum(seriesTheme.startColor, seriesTheme.endColor,
+            seriesOptions.colorScale, seriesOptions.noData);
+    },
+
+    /**
+     * Set limit of legend and values of series to color spectrum, when chart has color spectrum.
+     * @param {{min: number, max: number}} limit - limit of legend
+     * @param {?string} valueType - type of value like colorValue
+     * @private
+     */
+    _setColorSpectrumLimit: function(limit, valueType) {
+        if (this.colorSpectrum) {
+            this.colorSpectrum.setLimit(limit, this.dataProcessor.getValues(this.chartType, valueType));
+        }
+    },
+
     /**
      * Initialize options.
      * @param {object} options - options for chart
@@ -213,6 +284,25 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         this.options = options;
     },
 
+    /**
+     * Initialize raw data before processing it.
+     * @param {rawData} rawData - raw data
+     * @param {object} options - chart options
+     * @abstract
+     */
+    _initializeRawData: function() {},
+
+    /**
+     * Whether raw data should be initialized again or not, when options are changed.
+     * @param {object} prevOptions - previous options
+     * @param {object} options - changed options
+     * @returns {boolean}
+     * @private
+     */
+    _isRawDataChangedByOptions: function() {
+        return false;
+    },
+
     /**
      * Create dataProcessor for processing raw data.
      * @param {object} params parameters
@@ -391,7 +481,8 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         boundsAndScale = this.readyForRender();
 
         this.componentManager.render('rerender', boundsAndScale, {
-            checkedLegends: checkedLegends
+            checkedLegends: checkedLegends,
+            isChangingData: !!this.isChangingData
         }, this.chartContainer);
     },
 
@@ -405,6 +496,222 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         this.rerender(checkedLegends, rawData, boundsParams);
     },
 
+    /**
+     * Make raw data, whose series are grouped by chart type, from raw data passed by user.
+     * @param {rawData} rawData - raw data, which can be data for importing like table, csv and records
+     * @returns {rawData}
+     * @private
+     */
+    _makeRawData: function(rawData) {
+        var seriesData;
+
+        rawData = objectUtil.deepCopy(seriesDataImporter.makeRawData(rawData, this.chartType));
+
+        if (!predicate.isComboChart(this.chartType)) {
+            seriesData = rawData.series;
+            rawData.series = {};
+            rawData.series[this.chartType] = seriesData;
+        }
+
+        return rawData;
+    },
+
+    /**
+     * Set new raw data and rerender chart with it.
+     * Zoom state and data added by addData are discarded.
+     * Data for importing like table, csv and records can be set too.
+     * When structure of data(chart types, count of series and categories, positions of null values) is not changed,
+     * rendered series are animated from previous data to new data.
+     * Otherwise, or when graph of series can not be animated like bullet and gantt,
+     * series are rendered again with animation of first rendering.
+     * @param {rawData} rawData - raw data
+     * @api
+     */
+    setData: function(rawData) {
+        var dataProcessor = this.dataProcessor;
+        var componentManager = this.componentManager;
+        var themeName = this.options.theme || chartConst.DEFAULT_THEME_NAME;
+        var prevRawData = dataProcessor.rawData;
+        var checkedLegends, checkedRawData;
+
+        rawData = this._makeRawData(rawData);
+
+        this.originalRawData = objectUtil.deepCopy(rawData);
+        this._initializeRawData(rawData, objectUtil.deepCopy(this.originalOptions));
+        dataProcessor.setRawData(rawData);
+
+        // theme objects are updated in place, because components refer to them
+        objectUtil.deepMerge(this.theme, themeManager.get(themeName, this.chartType, this.originalRawData.series));
+
+        if (this._dynamicDataHelper) {
+            this._dynamicDataHelper.clearTimers();
+        }
+
+        componentManager.execute('resetData');
+
+        checkedLegends = componentManager.has('legend') ? dataProcessor.getLegendVisibility() : null;
+        checkedRawData = rawDataHandler.filterCheckedRawData(rawData, checkedLegends);
+        this.isChangingData = !!prevRawData && rawDataHandler.hasSameStructure(prevRawData, checkedRawData);
+        this.onChangeCheckedLegends(checkedLegends, checkedRawData);
+
+        // without legend, series are not animated by rerendering, so they should be animated here
+        if (!checkedLegends && !this.isChangingData) {
+            tui.util.forEachArray(componentManager.where({componentType: 'series'}), function(series) {
+                series.animateComponent(true);
+            });
+        }
+
+        this.isChangingData = false;
+    },
+
+    /**
+     * Set options and rerender chart with them.
+     * Options are merged into the current options.
+     * Only components referring to changed options are rebuilt, and the others are rendered again in place.
+     * All components are rebuilt, when theme is changed or raw data is processed again by changed options.
+     * Checked state of legend and zoom state are kept.
+     * @param {object} options - chart options to be changed
+     * @api
+     */
+    setOptions: function(options) {
+        var dynamicDataHelper = this._dynamicDataHelper;
+        var prevOptions = objectUtil.deepCopy(this.originalOptions);
+        var paused = dynamicDataHelper ? dynamicDataHelper.paused : true;
+        var changedOptionKeys, themeName;
+
+        if (dynamicDataHelper) {
+            dynamicDataHelper.pauseAnimation();
+            dynamicDataHelper.clearTimers();
+        }
+
+        objectUtil.deepMerge(this.originalOptions, options);
+        changedOptionKeys = this._findChangedOptionKeys(prevOptions, this.originalOptions);
+        this._updateDataByOptions(prevOptions);
+
+        this._initializeOptions(objectUtil.deepCopy(this.originalOptions));
+        this.dataProcessor.options = this.options;
+
+        if (!changedOptionKeys) {
+            themeName = this.options.theme || chartConst.DEFAULT_THEME_NAME;
+            this.theme = themeManager.get(themeName, this.chartType, this.originalRawData.series);
+        }
+
+        this._rebuildComponents(changedOptionKeys);
+
+        if (dynamicDataHelper && !paused) {
+            dynamicDataHelper.restartAnimation();
+        }
+    },
+
+    /**
+     * Update data of data processor by changed options.
+     * If raw data is initialized again, legend items can be changed, so checked state of legend is not kept.
+     * @param {object} prevOptions - previous options
+     * @private
+     */
+    _updateDataByOptions: function(prevOptions) {
+        var dataProcessor = this.dataProcessor;
+        var legend = this.componentManager.get('legend');
+        var rawData;
+
+        if (this._isRawDataChangedByOptions(prevOptions, this.originalOptions)) {
+            rawData = objectUtil.deepCopy(this.originalRawData);
+            this._initializeRawData(rawData, objectUtil.deepCopy(this.originalOptions));
+            dataProcessor.setRawData(rawData);
+
+            return;
+        }
+
+        dataProcessor.initData(dataProcessor.getZoomedRawData());
+
+        // spectrum legend does not have checked state
+        if (legend && legend.getCheckedIndexes) {
+            dataProcessor.setLegendVisibility(legend.getCheckedIndexes());
+        }
+    },
+
+    /**
+     * Find keys of options, which are changed.
+     * Null is returned, if all components are affected by changed options.
+     * Theme, chart type and library type are referred by all components,
+     * and raw data initialized again changes data of all components.
+     * @param {object} prevOptions - previous options
+     * @param {object} options - changed options
+     * @returns {?Array.<string>}
+     * @private
+     */
+    _findChangedOptionKeys: function(prevOptions, options) {
+        var keys = tui.util.keys(tui.util.extend({}, prevOptions, options));
+        var changedOptionKeys = tui.util.filter(keys, function(key) {
+            return !objectUtil.isDeepEqual(prevOptions[key], options[key]);
+        });
+        var isAllChanged = tui.util.filter(['theme', 'chartType', 'libType'], function(optionKey) {
+            return tui.util.inArray(optionKey, changedOptionKeys) > -1;
+        }).length > 0;
+
+        if (isAllChanged || this._isRawDataChangedByOptions(prevOptions, options)) {
+            return null;
+        }
+
+        return changedOptionKeys;
+    },
+
+    /**
+     * Set theme and rerender chart with it.
+     * @param {string} themeName - theme name
+     * @api
+     */
+    setTheme: function(themeName) {
+        this.setOptions({
+            theme: themeName
+        });
+    },
+
+    /**
+     * Rebuild components with current options and theme, and render them on current paper.
+     * Components not referring to changed options are reused and rendered again in place without animation.
+     * Zoomed state is rendered again too.
+     * @param {?Array.<string>} changedOptionKeys - keys of changed options, all components are rebuilt if null
+     * @private
+     */
+    _rebuildComponents: function(changedOptionKeys) {
+        var prevComponentManager = this.componentManager;
+        var componentManager = this._createComponentManager();
+        var dataProcessor = this.dataProcessor;
+        var seriesVisibilityMap = dataProcessor.getLegendVisibility();
+        var boundsAndScale, chartDimension;
+
+        componentManager.prepareRebuilding(prevComponentManager, changedOptionKeys);
+        this.componentManager = componentManager;
+        this.addComponents();
+        componentManager.destroyUnusedComponents();
+
+        dataProcessor.initData(rawDataHandler.filterCheckedRawData(dataProcessor.rawData, seriesVisibilityMap));
+        boundsAndScale = this.readyForRender();
+        chartDimension = boundsAndScale.dimensionMap.chart;
+
+        this.paper.changeChartBackgroundColor(this.theme.chart.background.color);
+        this.paper.changeChartBackgroundOpacity(this.theme.chart.background.opacity);
+        this.paper.setSize(chartDimension.width, chartDimension.height);
+        this.paper.resizeBackground(chartDimension.width, chartDimension.height);
+        renderUtil.renderFontFamily(this.chartContainer, this.theme.chart.fontFamily);
+        renderUtil.renderDimension(this.chartContainer, chartDimension);
+
+        componentManager.renderRebuiltComponents(boundsAndScale, {
+            checkedLegends: seriesVisibilityMap
+        }, this.chartContainer);
+
+        tui.util.forEachArray(componentManager.components, function(component) {
+            if (component.animateComponent && !componentManager.isReusedComponent(component)) {
+                component.animateComponent();
+            }
+        });
+
+        if (dataProcessor.zoomedRawData && this._renderForZoom) {
+            this._renderForZoom(false);
+        }
+    },
+
     /**
      * Animate chart.
      */
@@ -445,6 +752,16 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
             updated = true;
         }
 
+        if (updated) {
+            // resized dimension should be kept, when options are changed by setOptions
+            objectUtil.deepMerge(this.originalOptions, {
+                chart: {
+                    width: options.chart.width,
+                    height: options.chart.height
+                }
+            });
+        }
+
         return updated;
     },
 
@@ -558,6 +875,26 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
         });
     },
 
+    /**
+     * Export image of chart.
+     * Image is passed to callback as data URL and Blob, instead of being downloaded.
+     * @param {object} [options] - options for exporting
+     *      @param {string} [options.type='png'] - image type (png|jpeg|svg)
+     *      @param {number} [options.scale=1] - scale of image size
+     * @param {function} callback - callback function receiving data URL and Blob of image
+     * @api
+     */
+    exportImage: function(options, callback) {
+        if (tui.util.isFunction(options)) {
+            callback = options;
+            options = {};
+        }
+
+        this.eventBus.fire('beforeImageDownload');
+        imageExporter.exportImage(this.paper.canvas, options, callback);
+        this.eventBus.fire('afterImageDownload');
+    },
+
     /**
      * Add data.
      * @abstract
@@ -586,7 +923,62 @@ var ChartBase = tui.util.defineClass(/** @lends ChartBase.prototype */ {
      * Remove plot band.
      * @abstract
      */
-    removePlotBand: function() {}
+    removePlotBand: function() {},
+
+    /**
+     * Replace all methods of this chart with function throwing error.
+     * @private
+     */
+    _disableAfterDestroy: function() {
+        var key;
+
+        for (key in this) {
+            if (tui.util.isFunction(this[key])) {
+                this[key] = throwDestroyedChartError;
+            }
+        }
+    },
+
+    /**
+     * Destroy chart.
+     * All components, DOM event handlers, animations and timers are cleared, and the chart element is removed.
+     * Calling any method of the chart after destroying throws error.
+     * @api
+     */
+    destroy: function() {
+        var chartContainer = this.chartContainer;
+
+        if (this._dynamicDataHelper) {
+            this._dynamicDataHelper.destroy();
+        }
+
+        this.componentManager.destroy();
+        this.eventBus.off();
+
+        if (this.paper) {
+            this.paper.remove();
+        }
+
+        if (chartContainer && chartContainer.parentNode) {
+            chartContainer.parentNode.removeChild(chartContainer);
+        }
+
+        this._disableAfterDestroy();
+
+        this.componentManager = null;
+        this.dataProcessor = null;
+        this.paper = null;
+        this.chartContainer = null;
+        this._dynamicDataHelper = null;
+    }
 });
 
+/**
+ * Throw error for calling method of destroyed chart.
+ * @ignore
+ */
+function throwDestroyedChartError() {
+    throw new Error('This chart has already been destroyed.');
+}
+
 module.exports = ChartBase;
@@ -18,6 +18,14 @@ var TreemapChart = require('./treemapChart');
 var MapChart = require('./mapChart');
 var RadialChart = require('./radialChart');
 var BoxplotChart = require('./boxplotChart');
+var CandlestickChart = require('./candlestickChart');
+var WaterfallChart = require('./waterfallChart');
+var FunnelChart = require('./funnelChart');
+var GaugeChart = require('./gaugeChart');
+var SankeyChart = require('./sankeyChart');
+var SunburstChart = require('./sunburstChart');
+var BulletChart = require('./bulletChart');
+var GanttChart = require('./ganttChart');
 
 chartFactory.register(chartConst.CHART_TYPE_BAR, BarChart);
 chartFactory.register(chartConst.CHART_TYPE_COLUMN, ColumnChart);
@@ -34,4 +42,14 @@ chartFactory.register(chartConst.CHART_TYPE_HEATMAP, HeatmapChart);
 chartFactory.register(chartConst.CHART_TYPE_TREEMAP, TreemapChart);
 chartFactory.register(chartConst.CHART_TYPE_MAP, MapChart);
 chartFactory.register(chartConst.CHART_TYPE_RADIAL, RadialChart);
+chartFactory.register(chartConst.CHART_TYPE_POLAR_AREA, RadialChart);
 chartFactory.register(chartConst.CHART_TYPE_BOXPLOT, BoxplotChart);
+chartFactory.register(chartConst.CHART_TYPE_CANDLESTICK, CandlestickChart);
+chartFactory.register(chartConst.CHART_TYPE_WATERFALL, WaterfallChart);
+chartFactory.register(chartConst.CHART_TYPE_FUNNEL, FunnelChart);
+chartFactory.register(chartConst.CHART_TYPE_PYRAMID, FunnelChart);
+chartFactory.register(chartConst.CHART_TYPE_GAUGE, GaugeChart);
+chartFactory.register(chartConst.CHART_TYPE_SANKEY, SankeyChart);
+chartFactory.register(chartConst.CHART_TYPE_SUNBURST, SunburstChart);
+chartFactory.register(chartConst.CHART_TYPE_BULLET, BulletChart);
+chartFactory.register(chartConst.CHART_TYPE_GANTT, GanttChart);
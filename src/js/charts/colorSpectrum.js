@@ -6,25 +6,216 @@
 
 'use strict';
 
+var chartConst = require('../const');
 var colorutil = require('../helpers/colorutil');
 
+/**
+ * Count of sections of gradient, which approximates perceptual interpolation by rgb gradient of svg.
+ * @type {number}
+ * @ignore
+ */
+var GRADIENT_SECTION_COUNT = 10;
+
 var ColorSpectrum = tui.util.defineClass(/** @lends ColorSpectrum.prototype */ {
     /**
      * ColorSpectrum create a color spectrum and provide color value.
+     * Color scale is continuous(linear|diverging) or classed(quantize|quantile|threshold).
      * @constructs ColorSpectrum
      * @private
      * @param {string} startColor hex color
      * @param {string} endColor hex color
+     * @param {?object} colorScale - options of color scale
+     *      @param {?string} colorScale.type - type of scale (linear|diverging|quantize|quantile|threshold)
+     *      @param {?Array.<string>} colorScale.colors - color stops, startColor and endColor are used by default
+     *      @param {?string} colorScale.interpolation - color space of interpolation (rgb|lab|hcl)
+     *      @param {?number} colorScale.midpoint - value of middle color stop of diverging scale
+     *      @param {?number} colorScale.classCount - count of classes of quantize and quantile scale
+     *      @param {?Array.<number>} colorScale.thresholds - values, which divide classes of threshold scale
+     * @param {?{color: string, pattern: boolean, label: string}} noData - style of area without value
      */
-    init: function(startColor, endColor) {
-        var endRGB;
+    init: function(startColor, endColor, colorScale, noData) {
+        var colors;
+
+        colorScale = colorScale || {};
+        colors = colorScale.colors && colorScale.colors.length > 1 ? colorScale.colors : [startColor, endColor];
+
+        /**
+         * hex colors of stops
+         * @type {Array.<string>}
+         */
+        this.colors = tui.util.map(colors, colorutil.colorNameToHex);
 
-        this.start = colorutil.colorNameToHex(startColor);
-        this.startRGB = colorutil.hexToRGB(this.start);
-        this.end = colorutil.colorNameToHex(endColor);
+        /**
+         * rgb colors of stops
+         * @type {Array.<Array.<number>>}
+         */
+        this.rgbColors = tui.util.map(this.colors, colorutil.hexToRGB);
+
+        /**
+         * style of area without value, which is rendered instead of color of spectrum
+         * @type {?{color: string, pattern: boolean, label: string}}
+         */
+        this.noData = noData || null;
+
+        this.start = this.colors[0];
+        this.end = this.colors[this.colors.length - 1];
+        this.colorMap = {};
+
+        /**
+         * type of scale
+         * @type {string}
+         */
+        this.type = colorScale.type || chartConst.COLOR_SCALE_TYPE_LINEAR;
+
+        /**
+         * color space of interpolation
+         * @type {string}
+         */
+        this.interpolation = colorScale.interpolation || chartConst.COLOR_INTERPOLATION_RGB;
+
+        /**
+         * value of middle color stop of diverging scale
+         * @type {?number}
+         */
+        this.midpoint = tui.util.isNumber(colorScale.midpoint) ? colorScale.midpoint : null;
+
+        /**
+         * ratio of midpoint, middle of scale is used until limit is set
+         * @type {number}
+         */
+        this.midpointRatio = chartConst.HALF_RATIO;
+
+        /**
+         * values, which divide classes of threshold scale
+         * @type {Array.<number>}
+         */
+        this.thresholds = colorScale.thresholds || [];
+
+        /**
+         * count of classes of classed scale
+         * @type {number}
+         */
+        this.classCount = this._makeClassCount(colorScale.classCount);
+
+        /**
+         * ratios, which divide classes of classed scale, it is null for continuous scale
+         * @type {?Array.<number>}
+         */
+        this.breaks = this.isClassed() ? this._makeEqualBreaks() : null;
+
+        /**
+         * colors of classes of classed scale
+         * @type {?Array.<string>}
+         */
+        this.classColors = this.isClassed() ? this._makeClassColors() : null;
+    },
+
+    /**
+     * Whether classed scale or not.
+     * @returns {boolean}
+     */
+    isClassed: function() {
+        return tui.util.inArray(this.type, [
+            chartConst.COLOR_SCALE_TYPE_QUANTIZE,
+            chartConst.COLOR_SCALE_TYPE_QUANTILE,
+            chartConst.COLOR_SCALE_TYPE_THRESHOLD
+        ]) > -1;
+    },
+
+    /**
+     * Make count of classes.
+     * Count of colors is used for quantize and quantile scale, when it has more than two colors.
+     * @param {?number} classCount - classCount option
+     * @returns {number}
+     * @private
+     */
+    _makeClassCount: function(classCount) {
+        if (this.type === chartConst.COLOR_SCALE_TYPE_THRESHOLD) {
+            return this.thresholds.length + 1;
+        }
+
+        if (classCount > 1) {
+            return classCount;
+        }
+
+        return this.colors.length > 2 ? this.colors.length : chartConst.COLOR_SCALE_CLASS_COUNT;
+    },
+
+    /**
+     * Make breaks, which divide ratio into classes of same size.
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeEqualBreaks: function() {
+        var classCount = this.classCount;
+
+        return tui.util.map(tui.util.range(1, classCount), function(index) {
+            return index / classCount;
+        });
+    },
+
+    /**
+     * Make colors of classes.
+     * Colors are used as they are when count of them is same as count of classes.
+     * Otherwise, colors of classes are picked from continuous scale of colors.
+     * @returns {Array.<string>}
+     * @private
+     */
+    _makeClassColors: function() {
+        var lastIndex = this.classCount - 1;
+        var self = this;
+
+        if (this.colors.length === this.classCount) {
+            return this.colors;
+        }
+
+        return tui.util.map(tui.util.range(this.classCount), function(index) {
+            return self._getColorOfPosition(lastIndex ? index / lastIndex : 0);
+        });
+    },
+
+    /**
+     * Calculate quantiles of values, which divide sorted values into classes of same count.
+     * @param {Array.<number>} values - values
+     * @returns {Array.<number>}
+     * @private
+     */
+    _calculateQuantiles: function(values) {
+        var sortedValues = values.slice().sort(function(a, b) {
+            return a - b;
+        });
+        var classCount = this.classCount;
+
+        return tui.util.map(tui.util.range(1, classCount), function(index) {
+            var position = (sortedValues.length - 1) * index / classCount;
+            var lowerIndex = Math.floor(position);
+            var lowerValue = sortedValues[lowerIndex];
+            var upperValue = sortedValues[Math.min(lowerIndex + 1, sortedValues.length - 1)];
+
+            return lowerValue + ((upperValue - lowerValue) * (position - lowerIndex));
+        });
+    },
+
+    /**
+     * Set limit of values, which is used to calculate ratios of midpoint, quantiles and thresholds.
+     * @param {{min: number, max: number}} limit - limit of legend
+     * @param {?Array.<number>} values - values of series, which are needed by quantile scale
+     */
+    setLimit: function(limit, values) {
+        var distance = limit.max - limit.min;
+        var toRatio = function(value) {
+            return distance ? Math.min(Math.max((value - limit.min) / distance, 0), 1) : 0;
+        };
+
+        if (this.type === chartConst.COLOR_SCALE_TYPE_DIVERGING && !tui.util.isNull(this.midpoint)) {
+            this.midpointRatio = toRatio(this.midpoint);
+        } else if (this.type === chartConst.COLOR_SCALE_TYPE_QUANTILE) {
+            values = tui.util.filter(values || [], tui.util.isNumber);
+            this.breaks = values.length ? tui.util.map(this._calculateQuantiles(values), toRatio) : this.breaks;
+        } else if (this.type === chartConst.COLOR_SCALE_TYPE_THRESHOLD) {
+            this.breaks = tui.util.map(this.thresholds, toRatio);
+        }
 
-        endRGB = colorutil.hexToRGB(this.end);
-        this.distances = this._makeDistances(this.startRGB, endRGB);
         this.colorMap = {};
     },
 
@@ -41,6 +232,130 @@ var ColorSpectrum = tui.util.defineClass(/** @lends ColorSpectrum.prototype */ {
         });
     },
 
+    /**
+     * Convert ratio to position among color stops.
+     * Midpoint of diverging scale is mapped to middle of color stops.
+     * @param {number} ratio - ratio
+     * @returns {number}
+     * @private
+     */
+    _ratioToPosition: function(ratio) {
+        var midpointRatio = this.midpointRatio;
+
+        if (this.type !== chartConst.COLOR_SCALE_TYPE_DIVERGING) {
+            return ratio;
+        }
+
+        if (ratio < midpointRatio) {
+            return chartConst.HALF_RATIO * ratio / midpointRatio;
+        }
+
+        return midpointRatio < 1 ? 0.5 + (0.5 * (ratio - midpointRatio) / (1 - midpointRatio)) : 1;
+    },
+
+    /**
+     * Convert position among color stops to ratio.
+     * @param {number} position - position among color stops
+     * @returns {number}
+     * @private
+     */
+    _positionToRatio: function(position) {
+        var midpointRatio = this.midpointRatio;
+
+        if (this.type !== chartConst.COLOR_SCALE_TYPE_DIVERGING) {
+            return position;
+        }
+
+        if (position <= chartConst.HALF_RATIO) {
+            return 2 * position * midpointRatio;
+        }
+
+        return midpointRatio + (((2 * position) - 1) * (1 - midpointRatio));
+    },
+
+    /**
+     * Interpolate two rgb colors in color space of interpolation option.
+     * @param {Array.<number>} startRGB - start rgb
+     * @param {Array.<number>} endRGB - end rgb
+     * @param {number} ratio - ratio between two colors
+     * @returns {Array.<number>} rgb
+     * @private
+     */
+    _interpolate: function(startRGB, endRGB, ratio) {
+        var startLab, endLab, startHCL, endHCL, hueDistance;
+
+        if (this.interpolation === chartConst.COLOR_INTERPOLATION_LAB) {
+            startLab = colorutil.rgbToLab(startRGB);
+            endLab = colorutil.rgbToLab(endRGB);
+
+            return colorutil.labToRGB(tui.util.map(startLab, function(value, index) {
+                return value + ((endLab[index] - value) * ratio);
+            }));
+        }
+
+        if (this.interpolation === chartConst.COLOR_INTERPOLATION_HCL) {
+            startHCL = colorutil.labToHCL(colorutil.rgbToLab(startRGB));
+            endHCL = colorutil.labToHCL(colorutil.rgbToLab(endRGB));
+
+            // hue of gray is meaningless, so hue of the other color is used
+            if (!startHCL[1]) {
+                startHCL[0] = endHCL[0];
+            } else if (!endHCL[1]) {
+                endHCL[0] = startHCL[0];
+            }
+
+            // hue is interpolated in shorter direction of color wheel
+            hueDistance = ((((endHCL[0] - startHCL[0]) % 360) + 540) % 360) - 180;
+
+            return colorutil.labToRGB(colorutil.hclToLab([
+                startHCL[0] + (hueDistance * ratio),
+                startHCL[1] + ((endHCL[1] - startHCL[1]) * ratio),
+                startHCL[2] + ((endHCL[2] - startHCL[2]) * ratio)
+            ]));
+        }
+
+        return tui.util.map(this._makeDistances(startRGB, endRGB), function(distance, index) {
+            return startRGB[index] + parseInt(distance * ratio, 10);
+        });
+    },
+
+    /**
+     * Get hex color of position among color stops.
+     * @param {number} position - position among color stops (0 ~ 1)
+     * @returns {string} hex color
+     * @private
+     */
+    _getColorOfPosition: function(position) {
+        var rgbColors = this.rgbColors;
+        var lastIndex = rgbColors.length - 1;
+        var index = Math.min(Math.floor(position * lastIndex), lastIndex - 1);
+        var rgbColor = this._interpolate(rgbColors[index], rgbColors[index + 1], (position * lastIndex) - index);
+
+        return colorutil.rgbToHEX.apply(null, rgbColor);
+    },
+
+    /**
+     * Get index of class of ratio.
+     * @param {number} ratio - ratio
+     * @returns {number}
+     * @private
+     */
+    _getClassIndex: function(ratio) {
+        var classIndex = 0;
+
+        tui.util.forEachArray(this.breaks, function(breakRatio) {
+            if (ratio < breakRatio) {
+                return false;
+            }
+
+            classIndex += 1;
+
+            return true;
+        });
+
+        return classIndex;
+    },
+
     /**
      * Get hex color.
      * @param {number} ratio ratio
@@ -48,17 +363,60 @@ var ColorSpectrum = tui.util.defineClass(/** @lends ColorSpectrum.prototype */ {
      */
     getColor: function(ratio) {
         var hexColor = this.colorMap[ratio];
-        var distances, rgbColor;
-
-        if (!hexColor) {
-            distances = this.distances;
-            rgbColor = tui.util.map(this.startRGB, function(start, index) {
-                return start + parseInt(distances[index] * ratio, 10);
-            });
-            hexColor = colorutil.rgbToHEX.apply(null, rgbColor);
+
+        if (!hexColor && tui.util.isNumber(ratio) && ratio >= 0 && ratio <= 1) {
+            if (this.breaks) {
+                hexColor = this.classColors[this._getClassIndex(ratio)];
+            } else {
+                hexColor = this._getColorOfPosition(this._ratioToPosition(ratio));
+            }
         }
 
         return hexColor || null;
+    },
+
+    /**
+     * Get color stops of gradient for rendering legend of continuous scale.
+     * Colors between stops are added, when interpolation is not rgb, because gradient of svg is rgb.
+     * @returns {Array.<{color: string, ratio: number}>}
+     */
+    getGradientStops: function() {
+        var stopCount = this.colors.length - 1;
+        var sectionCount = stopCount;
+        var self = this;
+
+        if (this.interpolation !== chartConst.COLOR_INTERPOLATION_RGB) {
+            sectionCount = Math.ceil(GRADIENT_SECTION_COUNT / stopCount) * stopCount;
+        }
+
+        return tui.util.map(tui.util.range(sectionCount + 1), function(index) {
+            var position = index / sectionCount;
+
+            return {
+                color: index === sectionCount ? self.end : self._getColorOfPosition(position),
+                ratio: self._positionToRatio(position)
+            };
+        });
+    },
+
+    /**
+     * Get classes for rendering legend of classed scale.
+     * Classes, which are out of limit, are excluded.
+     * @returns {Array.<{color: string, start: number, end: number}>}
+     */
+    getClasses: function() {
+        var breaks = this.breaks || [];
+        var classes = tui.util.map(this.classColors || [], function(color, index) {
+            return {
+                color: color,
+                start: index ? breaks[index - 1] : 0,
+                end: index < breaks.length ? breaks[index] : 1
+            };
+        });
+
+        return tui.util.filter(classes, function(classDatum) {
+            return classDatum.end > classDatum.start;
+        });
     }
 });
 
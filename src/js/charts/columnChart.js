@@ -9,6 +9,7 @@
 var ChartBase = require('./chartBase');
 var chartConst = require('../const');
 var rawDataHandler = require('../models/data/rawDataHandler');
+var multipleYAxesHelper = require('./multipleYAxesHelper');
 
 var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototype */ {
     /**
@@ -27,9 +28,6 @@ var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototy
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        rawDataHandler.updateRawSeriesDataByOptions(rawData, options.series);
-        this._updateOptionsRelatedDiverging(options);
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -39,6 +37,45 @@ var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototy
         });
     },
 
+    /**
+     * Initialize raw data for diverging option.
+     * @param {rawData} rawData - raw data
+     * @param {object} options - chart options
+     * @private
+     * @override
+     */
+    _initializeRawData: function(rawData, options) {
+        rawDataHandler.updateRawSeriesDataByOptions(rawData, options.series);
+    },
+
+    /**
+     * Whether raw data should be initialized again or not, when options are changed.
+     * @param {object} prevOptions - previous options
+     * @param {object} options - changed options
+     * @returns {boolean}
+     * @private
+     * @override
+     */
+    _isRawDataChangedByOptions: function(prevOptions, options) {
+        var prevSeriesOptions = prevOptions.series || {};
+        var seriesOptions = options.series || {};
+
+        return prevSeriesOptions.stackType !== seriesOptions.stackType
+            || prevSeriesOptions.diverging !== seriesOptions.diverging;
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        this._updateOptionsRelatedDiverging(options);
+        ChartBase.prototype._initializeOptions.call(this, options);
+        multipleYAxesHelper.normalizeYAxisOptions(options, this.dataProcessor);
+    },
+
     /**
      * Update options related diverging option.
      * @param {object} options - options
@@ -63,7 +100,11 @@ var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototy
 
         this.componentManager.register('columnSeries', 'columnSeries');
 
-        this.componentManager.register('yAxis', 'axis');
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            multipleYAxesHelper.registerYAxes(this.componentManager, this.options.yAxis);
+        } else {
+            this.componentManager.register('yAxis', 'axis');
+        }
         this.componentManager.register('xAxis', 'axis');
 
         this.componentManager.register('chartExportMenu', 'chartExportMenu');
@@ -73,13 +114,21 @@ var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototy
 
     /**
      * Get scale option.
-     * @returns {{yAxis: boolean}}
+     * @returns {{yAxis: (boolean|object), extraYAxes: ?Array.<object>}}
      * @override
      */
     getScaleOption: function() {
-        return {
+        var scaleOption = {
             yAxis: true
         };
+
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            scaleOption = multipleYAxesHelper.makeScaleOption(
+                this.options.yAxis, this.dataProcessor.getSeriesDataModel(this.chartType).rawSeriesData
+            );
+        }
+
+        return scaleOption;
     },
     /**
      * Add data ratios.
@@ -91,7 +140,11 @@ var ColumnChart = tui.util.defineClass(ChartBase, /** @lends ColumnChart.prototy
         var chartType = this.chartType;
         var stackType = (seriesOption[chartType] || seriesOption).stackType;
 
-        this.dataProcessor.addDataRatios(limitMap[chartType], stackType, chartType);
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            multipleYAxesHelper.addDataRatios(this.dataProcessor, limitMap, this.options.yAxis, chartType);
+        } else {
+            this.dataProcessor.addDataRatios(limitMap[chartType], stackType, chartType);
+        }
     }
 });
 
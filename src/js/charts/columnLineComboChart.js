@@ -38,6 +38,22 @@ var ColumnLineComboChart = tui.util.defineClass(ChartBase, /** @lends ColumnLine
          */
         this.seriesTypes = typeData.seriesTypes;
 
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true,
+            isVertical: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
         /**
          * yAxis options
          * @type {object}
@@ -53,13 +69,7 @@ var ColumnLineComboChart = tui.util.defineClass(ChartBase, /** @lends ColumnLine
         options.tooltip = options.tooltip || {};
         options.tooltip.grouped = true;
 
-        ChartBase.call(this, {
-            rawData: rawData,
-            theme: theme,
-            options: options,
-            hasAxes: true,
-            isVertical: true
-        });
+        ChartBase.prototype._initializeOptions.call(this, options);
     },
 
     /**
@@ -13,6 +13,7 @@ var Plot = require('../components/plots/plot');
 var title = require('../components/title/title');
 var RadialPlot = require('../components/plots/radialPlot');
 var ChartExportMenu = require('../components/chartExportMenu/chartExportMenu');
+var Breadcrumb = require('../components/breadcrumb/breadcrumb');
 var DrawingToolPicker = require('../helpers/drawingToolPicker');
 
 // legends
@@ -34,6 +35,7 @@ var BarSeries = require('../components/series/barChartSeries');
 var ColumnSeries = require('../components/series/columnChartSeries');
 var LineSeries = require('../components/series/lineChartSeries');
 var RadialSeries = require('../components/series/radialSeries');
+var PolarAreaSeries = require('../components/series/polarAreaChartSeries');
 var AreaSeries = require('../components/series/areaChartSeries');
 var BubbleSeries = require('../components/series/bubbleChartSeries');
 var ScatterSeries = require('../components/series/scatterChartSeries');
@@ -42,6 +44,14 @@ var PieSeries = require('../components/series/pieChartSeries');
 var HeatmapSeries = require('../components/series/heatmapChartSeries');
 var TreemapSeries = require('../components/series/treemapChartSeries');
 var BoxplotSeries = require('../components/series/boxPlotChartSeries');
+var CandlestickSeries = require('../components/series/candlestickChartSeries');
+var WaterfallSeries = require('../components/series/waterfallChartSeries');
+var FunnelSeries = require('../components/series/funnelChartSeries');
+var GaugeSeries = require('../components/series/gaugeChartSeries');
+var SankeySeries = require('../components/series/sankeyChartSeries');
+var SunburstSeries = require('../components/series/sunburstChartSeries');
+var BulletSeries = require('../components/series/bulletChartSeries');
+var GanttSeries = require('../components/series/ganttChartSeries');
 
 var Zoom = require('../components/series/zoom');
 
@@ -61,6 +71,7 @@ var COMPONENT_FACTORY_MAP = {
     columnSeries: ColumnSeries,
     lineSeries: LineSeries,
     radialSeries: RadialSeries,
+    polarAreaSeries: PolarAreaSeries,
     areaSeries: AreaSeries,
     bubbleSeries: BubbleSeries,
     scatterSeries: ScatterSeries,
@@ -69,11 +80,31 @@ var COMPONENT_FACTORY_MAP = {
     heatmapSeries: HeatmapSeries,
     treemapSeries: TreemapSeries,
     boxplotSeries: BoxplotSeries,
+    candlestickSeries: CandlestickSeries,
+    waterfallSeries: WaterfallSeries,
+    funnelSeries: FunnelSeries,
+    gaugeSeries: GaugeSeries,
+    sankeySeries: SankeySeries,
+    sunburstSeries: SunburstSeries,
+    bulletSeries: BulletSeries,
+    ganttSeries: GanttSeries,
     zoom: Zoom,
     chartExportMenu: ChartExportMenu,
+    breadcrumb: Breadcrumb,
     title: title
 };
 
+// option keys, which components refer to through options of chart besides their own option key
+var REFERRED_OPTION_KEYS_MAP = {
+    title: ['chart'],
+    chartExportMenu: ['chart'],
+    axis: ['series'],
+    plot: ['xAxis'],
+    legend: ['circleLegend'],
+    tooltip: ['xAxis', 'series'],
+    mouseEventDetector: ['tooltip', 'series']
+};
+
 var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototype */ {
     /**
      * ComponentManager manages components of chart.
@@ -154,6 +185,100 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
          * @type {Array.<string>}
          */
         this.seriesTypes = params.seriesTypes;
+
+        /**
+         * rendered elements of components, which are not drawn on raphael paper
+         * @type {object.<string, HTMLElement>}
+         */
+        this.elementMap = {};
+
+        /**
+         * components of previous component manager, which can be reused by registering with same parameters
+         * @type {object.<string, object>}
+         */
+        this.reusableComponentMap = {};
+
+        /**
+         * components of previous component manager
+         * @type {Array.<object>}
+         */
+        this.prevComponents = [];
+
+        /**
+         * options of previous component manager
+         * @type {object}
+         */
+        this.prevOptions = {};
+    },
+
+    /**
+     * Prepare to rebuild components of previous component manager.
+     * Components, which do not refer to changed options, are reused by registering them again.
+     * Drawing tools are taken over too, for rendering in place of previous components.
+     * @param {ComponentManager} prevComponentManager - previous component manager
+     * @param {?Array.<string>} changedOptionKeys - keys of changed options, all components are rebuilt if null
+     */
+    prepareRebuilding: function(prevComponentManager, changedOptionKeys) {
+        var reusableComponentMap = this.reusableComponentMap;
+
+        this.drawingToolPicker = prevComponentManager.drawingToolPicker;
+        this.elementMap = prevComponentManager.elementMap;
+        this.prevComponents = prevComponentManager.components;
+        this.prevOptions = prevComponentManager.options;
+
+        if (!changedOptionKeys) {
+            return;
+        }
+
+        tui.util.forEachArray(this.prevComponents, function(component) {
+            var referredOptionKeys = REFERRED_OPTION_KEYS_MAP[component.componentType] || [];
+            var isChanged = tui.util.inArray(component.optionKey, changedOptionKeys) > -1;
+
+            tui.util.forEachArray(referredOptionKeys, function(optionKey) {
+                isChanged = isChanged || tui.util.inArray(optionKey, changedOptionKeys) > -1;
+            });
+
+            if (!isChanged && component.registrationKey) {
+                reusableComponentMap[component.componentName] = component;
+            }
+        });
+    },
+
+    /**
+     * Whether component is reused from previous component manager or not.
+     * @param {object} component - component
+     * @returns {boolean}
+     */
+    isReusedComponent: function(component) {
+        return this.reusableComponentMap[component.componentName] === component;
+    },
+
+    /**
+     * Destroy components of previous component manager, which are not reused.
+     */
+    destroyUnusedComponents: function() {
+        var self = this;
+        var unusedComponents = tui.util.filter(this.prevComponents, function(component) {
+            return self.componentMap[component.componentName] !== component;
+        });
+
+        tui.util.forEachArray(unusedComponents, function(component) {
+            var element = self.elementMap[component.componentName];
+
+            if (component.destroy) {
+                component.destroy();
+            }
+
+            if (tui.util.hasStamp(component)) {
+                self.eventBus.off(component);
+            }
+
+            if (element && element.parentNode) {
+                element.parentNode.removeChild(element);
+            }
+        });
+
+        this.prevComponents = [];
     },
 
     /**
@@ -172,6 +297,25 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
         return options;
     },
 
+    /**
+     * Find key for getting theme and options of component.
+     * @param {string} componentType - component type
+     * @param {string} name - component name
+     * @param {?string} optionKey - option key for component, which is not named by option key like yAxis1
+     * @returns {string}
+     * @private
+     */
+    _findOptionKey: function(componentType, name, optionKey) {
+        var key = componentType;
+
+        // axis의 경우 name으로 테마와 옵션을 가져온다. xAxis, yAxis
+        if (componentType === 'axis') {
+            key = optionKey || name;
+        }
+
+        return key;
+    },
+
     /**
      * Register component.
      * The component refers to a component of the chart.
@@ -182,9 +326,56 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
      * @param {object} params params that for alternative charts, 기본 흐름을 타지않는 특이 차트들을 위해 제공
      */
     register: function(name, classType, params) {
-        var index, component, componentType, componentFactory, optionKey;
+        var registrationKey, component;
 
         params = params || {};
+        registrationKey = this._makeRegistrationKey(classType, params);
+        component = this._findReusableComponent(name, registrationKey) ||
+            this._createComponent(name, classType, params);
+
+        // 팩토리에서 옵션에따라 생성을 거부할 수 있다.
+        if (component) {
+            component.registrationKey = registrationKey;
+
+            this.components.push(component);
+            this.componentMap[name] = component;
+        }
+    },
+
+    /**
+     * Find component of previous component manager, which is registered by same class and parameters.
+     * Options of reused component are taken over, because default options set by component like zoomable option
+     * of treemap series are referred by other components and chart.
+     * @param {string} name - component name
+     * @param {?string} registrationKey - key of registration
+     * @returns {?object}
+     * @private
+     */
+    _findReusableComponent: function(name, registrationKey) {
+        var reusableComponent = this.reusableComponentMap[name];
+        var optionKey;
+
+        if (reusableComponent && reusableComponent.registrationKey === registrationKey) {
+            optionKey = reusableComponent.optionKey;
+            this.options[optionKey] = this.prevOptions[optionKey];
+
+            return reusableComponent;
+        }
+        delete this.reusableComponentMap[name];
+
+        return null;
+    },
+
+    /**
+     * Create component by factory.
+     * @param {string} name - component name
+     * @param {string} classType - component factory name
+     * @param {object} params - parameters for component
+     * @returns {?object}
+     * @private
+     */
+    _createComponent: function(name, classType, params) {
+        var index, component, componentType, componentFactory, optionKey;
 
         params.name = name;
 
@@ -197,16 +388,16 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
         params.chartOptions = this.options;
         params.seriesTypes = this.seriesTypes;
 
-        // axis의 경우 name으로 테마와 옵션을 가져온다. xAxis, yAxis
-        if (componentType === 'axis') {
-            optionKey = name;
-        } else {
-            optionKey = componentType;
-        }
+        optionKey = this._findOptionKey(componentType, name, params.optionKey);
 
         params.theme = this.theme[optionKey];
         params.options = this.options[optionKey];
 
+        // optionKey를 지정한 경우에는 배열 옵션에서 index에 해당하는 옵션을 가져온다. yAxis1, yAxis2
+        if (params.optionKey) {
+            params.options = this._makeComponentOptions(params.options, optionKey, name, index);
+        }
+
         if (optionKey === 'series') {
             // 시리즈는 옵션과 테마가 시리즈 이름으로 뎊스가 한번더 들어간다.
             // 테마는 항상 뎊스가 더들어가고 옵션은 콤보인경우에만 더들어간다.
@@ -236,14 +427,33 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
 
         component = componentFactory(params);
 
-        // 팩토리에서 옵션에따라 생성을 거부할 수 있다.
         if (component) {
             component.componentName = name;
             component.componentType = componentType;
-
-            this.components.push(component);
-            this.componentMap[name] = component;
+            component.optionKey = optionKey;
         }
+
+        return component;
+    },
+
+    /**
+     * Make key of registration, which is same for components registered by same class and parameters.
+     * Parameters having instances like ColorSpectrum can not be compared, because chart creates them again.
+     * @param {string} classType - component factory name
+     * @param {object} params - parameters for registration
+     * @returns {?string}
+     * @private
+     */
+    _makeRegistrationKey: function(classType, params) {
+        var hasInstance = false;
+
+        tui.util.forEach(params, function(value) {
+            hasInstance = tui.util.isObject(value) && !tui.util.isArray(value) && value.constructor !== Object;
+
+            return !hasInstance;
+        });
+
+        return hasInstance ? null : classType + JSON.stringify(params);
     },
 
     /**
@@ -298,31 +508,63 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
      */
     render: function(funcName, boundsAndScale, additionalData, container) {
         var self = this;
-        var name, type;
-
         var elements = tui.util.map(this.components, function(component) {
-            var element = null;
-            var data, result, paper;
-
-            if (component[funcName]) {
-                name = component.componentName;
-                type = component.componentType;
-                paper = self.drawingToolPicker.getPaper(container, component.drawingType);
-                data = self._makeDataForRendering(name, type, paper, boundsAndScale, additionalData);
+            return self._renderComponent(component, funcName, boundsAndScale, additionalData, container);
+        });
 
-                result = component[funcName](data);
+        if (container) {
+            dom.append(container, elements);
+        }
+    },
 
-                if (result && !result.paper) {
-                    element = result;
-                }
+    /**
+     * Render rebuilt components.
+     * Reused components are rendered again in place by resizing, and the others are rendered newly.
+     * @param {object} boundsAndScale - bounds and scale data
+     * @param {?object} additionalData - additional data
+     * @param {HTMLElement} container - container
+     */
+    renderRebuiltComponents: function(boundsAndScale, additionalData, container) {
+        var self = this;
+        var elements = tui.util.map(this.components, function(component) {
+            if (self.isReusedComponent(component)) {
+                return self._renderComponent(component, 'resize', boundsAndScale, additionalData);
             }
 
-            return element;
+            return self._renderComponent(component, 'render', boundsAndScale, additionalData, container);
         });
 
-        if (container) {
-            dom.append(container, elements);
+        dom.append(container, elements);
+    },
+
+    /**
+     * Render component by function of given name.
+     * @param {object} component - component
+     * @param {string} funcName - function name for executing
+     * @param {object} boundsAndScale - bounds and scale data
+     * @param {?object} additionalData - additional data
+     * @param {?HTMLElement} container - container
+     * @returns {?HTMLElement} element, which is not drawn on raphael paper
+     * @private
+     */
+    _renderComponent: function(component, funcName, boundsAndScale, additionalData, container) {
+        var name = component.componentName;
+        var element = null;
+        var data, result, paper;
+
+        if (component[funcName]) {
+            paper = this.drawingToolPicker.getPaper(container, component.drawingType);
+            data = this._makeDataForRendering(name, component.componentType, paper, boundsAndScale, additionalData);
+
+            result = component[funcName](data);
+
+            if (result && !result.paper) {
+                element = result;
+                this.elementMap[name] = element;
+            }
         }
+
+        return element;
     },
 
     /**
@@ -376,6 +618,25 @@ var ComponentManager = tui.util.defineClass(/** @lends ComponentManager.prototyp
      */
     has: function(name) {
         return !!this.get(name);
+    },
+
+    /**
+     * Destroy all components.
+     */
+    destroy: function() {
+        var eventBus = this.eventBus;
+
+        this.execute('destroy');
+
+        // event bus outlives components, when they are rebuilt by changing options
+        tui.util.forEachArray(this.components, function(component) {
+            if (tui.util.hasStamp(component)) {
+                eventBus.off(component);
+            }
+        });
+
+        this.components = [];
+        this.componentMap = {};
     }
 });
 
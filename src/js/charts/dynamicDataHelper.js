@@ -10,6 +10,13 @@ var DynamicDataHelper = tui.util.defineClass(/** @lends DynamicDataHelper.protot
          * @type {ChartBase}
          */
         this.chart = chart;
+
+        /**
+         * timer id for restarting animation after changing checked legends
+         * @type {null|number}
+         */
+        this.restartingAnimationTimerId = null;
+
         this.reset();
     },
     reset: function() {
@@ -159,7 +166,8 @@ var DynamicDataHelper = tui.util.defineClass(/** @lends DynamicDataHelper.protot
         chart.rerender(checkedLegends, rawData, boundsParams);
 
         if (!pastPaused) {
-            setTimeout(function() {
+            this.restartingAnimationTimerId = setTimeout(function() {
+                self.restartingAnimationTimerId = null;
                 chart.dataProcessor.addDataFromRemainDynamicData(shiftingOption);
                 self.restartAnimation();
             }, chartConst.RERENDER_TIME);
@@ -218,6 +226,27 @@ var DynamicDataHelper = tui.util.defineClass(/** @lends DynamicDataHelper.protot
 
         this.chart.dataProcessor.addDynamicData(category, values);
         this._startLookup();
+    },
+
+    /**
+     * Clear timers for rerendering added data and restarting animation.
+     */
+    clearTimers: function() {
+        clearTimeout(this.rerenderingDelayTimerId);
+        clearTimeout(this.restartingAnimationTimerId);
+
+        this.rerenderingDelayTimerId = null;
+        this.restartingAnimationTimerId = null;
+    },
+
+    /**
+     * Clear all timers and stop looking up added data.
+     */
+    destroy: function() {
+        this.clearTimers();
+
+        this.paused = true;
+        this.lookupping = false;
     }
 });
 
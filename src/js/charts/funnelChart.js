@@ -0,0 +1,76 @@
+/**
+ * @fileoverview Funnel chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+var chartConst = require('../const');
+
+var FunnelChart = tui.util.defineClass(ChartBase, /** @lends FunnelChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-funnel-chart',
+
+    /**
+     * Funnel chart.
+     * It is used for pyramid chart too, which is funnel without neck.
+     * @constructs FunnelChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        options.tooltip = options.tooltip || {};
+
+        if (!options.tooltip.align) {
+            options.tooltip.align = chartConst.TOOLTIP_DEFAULT_ALIGN_OPTION;
+        }
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register(this.chartType + 'Series', 'funnelSeries');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    },
+
+    /**
+     * Add data ratios.
+     * @override
+     */
+    addDataRatios: function() {
+        this.dataProcessor.addDataRatiosOfFunnelChart(this.chartType);
+    }
+});
+
+module.exports = FunnelChart;
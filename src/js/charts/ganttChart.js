@@ -0,0 +1,276 @@
+/**
+ * @fileoverview Gantt chart is timeline of tasks, which have datetime ranges, milestones and dependencies.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+var chartConst = require('../const');
+
+var WHEEL_ZOOM_RATIO = 0.8;
+var MIN_TIME_DISTANCE = 3600000;
+
+var GanttChart = tui.util.defineClass(ChartBase, /** @lends GanttChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-gantt-chart',
+
+    /**
+     * Gantt chart.
+     * @constructs GanttChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        /**
+         * limit of whole time axis, which is not zoomed
+         * @type {?{min: number, max: number}}
+         */
+        this.fullTimeRange = null;
+
+        /**
+         * limit of time axis, which is displayed now
+         * @type {?{min: number, max: number}}
+         */
+        this.displayedTimeRange = null;
+
+        /**
+         * time range of zoom, it is null when time axis is not zoomed
+         * @type {?{min: number, max: number}}
+         */
+        this.timeRange = null;
+
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * Tasks are rows of horizontal bars, and x axis is always datetime type.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        options.xAxis = options.xAxis || {};
+        options.xAxis.type = chartConst.AXIS_TYPE_DATETIME;
+
+        if (this.timeRange) {
+            options.xAxis.min = this.timeRange.min;
+            options.xAxis.max = this.timeRange.max;
+        }
+
+        this.isVertical = false;
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('plot', 'plot');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register('ganttSeries', 'ganttSeries');
+
+        this.componentManager.register('yAxis', 'axis');
+        this.componentManager.register('xAxis', 'axis');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    },
+
+    /**
+     * Attach to event bus.
+     * @private
+     * @override
+     */
+    _attachToEventBus: function() {
+        ChartBase.prototype._attachToEventBus.call(this);
+
+        this.eventBus.on('zoomTimeAxis', this.onZoomTimeAxis, this);
+        this.eventBus.on('panTimeAxis', this.onPanTimeAxis, this);
+    },
+
+    /**
+     * Get scale option.
+     * @returns {{xAxis: boolean}}
+     * @override
+     */
+    getScaleOption: function() {
+        return {
+            xAxis: true
+        };
+    },
+
+    /**
+     * Add data ratios.
+     * @param {object} limitMap - limit map
+     * @override
+     */
+    addDataRatios: function(limitMap) {
+        var chartType = this.chartType;
+        var limit = limitMap[chartType];
+
+        this.dataProcessor.addDataRatios(limit, null, chartType);
+
+        this.displayedTimeRange = {
+            min: limit.min,
+            max: limit.max
+        };
+
+        if (!this.timeRange) {
+            this.fullTimeRange = this.displayedTimeRange;
+        }
+    },
+
+    /**
+     * Move time range into whole time axis, without changing distance of it.
+     * @param {number} min - minimum time
+     * @param {number} max - maximum time
+     * @returns {{min: number, max: number}}
+     * @private
+     */
+    _fitTimeRange: function(min, max) {
+        var fullTimeRange = this.fullTimeRange;
+        var distance = max - min;
+
+        if (min < fullTimeRange.min) {
+            min = fullTimeRange.min;
+            max = min + distance;
+        } else if (max > fullTimeRange.max) {
+            max = fullTimeRange.max;
+            min = max - distance;
+        }
+
+        return {
+            min: min,
+            max: max
+        };
+    },
+
+    /**
+     * Render components for current time range.
+     * Components are laid out again like resizing, so that elements of them are kept.
+     * @private
+     */
+    _renderForTimeRange: function() {
+        var originalXAxisOptions = this.originalOptions.xAxis || {};
+        var xAxisOptions = this.options.xAxis;
+        var timeRange = this.timeRange;
+
+        xAxisOptions.min = timeRange ? timeRange.min : originalXAxisOptions.min;
+        xAxisOptions.max = timeRange ? timeRange.max : originalXAxisOptions.max;
+
+        this.componentManager.render('resize', this.readyForRender());
+
+        this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'zoom', {
+            chartType: this.chartType,
+            min: this.displayedTimeRange.min,
+            max: this.displayedTimeRange.max
+        });
+    },
+
+    /**
+     * On zoom time axis by mouse wheel.
+     * Time axis is zoomed around the time of mouse position.
+     * @param {number} wheelDelta - wheel delta, zoom in when it is positive
+     * @param {number} ratio - ratio of mouse position on time axis
+     */
+    onZoomTimeAxis: function(wheelDelta, ratio) {
+        var timeRange = this.timeRange || this.fullTimeRange;
+        var distance = timeRange.max - timeRange.min;
+        var newDistance = wheelDelta > 0 ? distance * WHEEL_ZOOM_RATIO : distance / WHEEL_ZOOM_RATIO;
+        var fullDistance = this.fullTimeRange.max - this.fullTimeRange.min;
+        var min;
+
+        if (newDistance >= fullDistance) {
+            if (this.timeRange) {
+                this.resetZoom();
+            }
+
+            return;
+        }
+
+        newDistance = Math.max(newDistance, MIN_TIME_DISTANCE);
+
+        if (newDistance === distance) {
+            return;
+        }
+
+        min = timeRange.min + ((distance - newDistance) * ratio);
+
+        this.timeRange = this._fitTimeRange(min, min + newDistance);
+        this._renderForTimeRange();
+    },
+
+    /**
+     * On pan time axis by dragging.
+     * @param {number} ratio - ratio of dragged distance to width of time axis
+     */
+    onPanTimeAxis: function(ratio) {
+        var timeRange = this.timeRange;
+        var shift;
+
+        if (!timeRange) {
+            return;
+        }
+
+        shift = (this.displayedTimeRange.max - this.displayedTimeRange.min) * ratio;
+
+        this.timeRange = this._fitTimeRange(timeRange.min - shift, timeRange.max - shift);
+        this._renderForTimeRange();
+    },
+
+    /**
+     * Zoom time axis to time range.
+     * @param {string|number|Date} start - start of time range
+     * @param {string|number|Date} end - end of time range
+     * @api
+     * @example
+     * chart.zoomToTimeRange('2017-03-01', '2017-03-15');
+     */
+    zoomToTimeRange: function(start, end) {
+        var min = (new Date(start)).getTime();
+        var max = (new Date(end)).getTime();
+
+        if (isNaN(min) || isNaN(max) || min >= max) {
+            return;
+        }
+
+        if (max - min < MIN_TIME_DISTANCE) {
+            max = min + MIN_TIME_DISTANCE;
+        }
+
+        this.timeRange = {
+            min: min,
+            max: max
+        };
+        this._renderForTimeRange();
+    },
+
+    /**
+     * Reset zoom of time axis.
+     * @api
+     */
+    resetZoom: function() {
+        this.timeRange = null;
+        this._renderForTimeRange();
+    }
+});
+
+module.exports = GanttChart;
@@ -0,0 +1,88 @@
+/**
+ * @fileoverview Gauge chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+
+var GaugeChart = tui.util.defineClass(ChartBase, /** @lends GaugeChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-gauge-chart',
+
+    /**
+     * Gauge chart.
+     * Value of first series is pointed by needle or filled as solid arc.
+     * @constructs GaugeChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options
+        });
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+
+        this.componentManager.register('gaugeSeries', 'gaugeSeries');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+    },
+
+    /**
+     * Get scale option.
+     * Scale of gauge starts from zero, if min option is not passed.
+     * @returns {{series: {options: {min: number, max: ?number}}}}
+     * @override
+     */
+    getScaleOption: function() {
+        var seriesOptions = this.options.series;
+
+        return {
+            series: {
+                options: {
+                    min: tui.util.isExisty(seriesOptions.min) ? seriesOptions.min : 0,
+                    max: seriesOptions.max
+                }
+            }
+        };
+    },
+
+    /**
+     * Set value of gauge.
+     * Needle or solid arc is moved from previous value to new value with animation.
+     * @param {number} value - value
+     * @api
+     */
+    setValue: function(value) {
+        var rawData = this.dataProcessor.getOriginalRawData();
+        var seriesData = rawData.series[this.chartType];
+
+        if (!seriesData || !seriesData.length) {
+            return;
+        }
+
+        seriesData[0].data = value;
+        this.originalRawData.series[this.chartType][0].data = value;
+        this.dataProcessor.setRawData(rawData);
+
+        this.componentManager.render('changeValue', this.readyForRender());
+    }
+});
+
+module.exports = GaugeChart;
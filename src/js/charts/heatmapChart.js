@@ -8,7 +8,6 @@
 'use strict';
 
 var ChartBase = require('./chartBase');
-var ColorSpectrum = require('./colorSpectrum');
 var chartConst = require('../const');
 
 var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.prototype */ {
@@ -29,6 +28,22 @@ var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.proto
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true,
+            isVertical: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
         options.tooltip = options.tooltip || {};
 
         if (!options.tooltip.align) {
@@ -37,13 +52,8 @@ var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.proto
 
         options.tooltip.grouped = false;
 
-        ChartBase.call(this, {
-            rawData: rawData,
-            theme: theme,
-            options: options,
-            hasAxes: true,
-            isVertical: true
-        });
+        ChartBase.prototype._initializeOptions.call(this, options);
+        this._initializeNoDataOptions(options.series);
     },
 
     /**
@@ -51,8 +61,9 @@ var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.proto
      * @private
      */
     _addComponents: function() {
-        var seriesTheme = this.theme.series[this.chartType];
-        var colorSpectrum = new ColorSpectrum(seriesTheme.startColor, seriesTheme.endColor);
+        var colorSpectrum = this._createColorSpectrum();
+
+        this.colorSpectrum = colorSpectrum;
 
         this._addComponentsForAxisType({
             axis: [
@@ -100,6 +111,7 @@ var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.proto
      */
     addDataRatios: function(limitMap) {
         this.dataProcessor.addDataRatios(limitMap.legend, null, this.chartType);
+        this._setColorSpectrumLimit(limitMap.legend);
     },
 
     /**
@@ -108,8 +120,9 @@ var HeatmapChart = tui.util.defineClass(ChartBase, /** @lends HeatmapChart.proto
      * @private
      */
     addComponents: function() {
-        var seriesTheme = this.theme.series[this.chartType];
-        var colorSpectrum = new ColorSpectrum(seriesTheme.startColor, seriesTheme.endColor);
+        var colorSpectrum = this._createColorSpectrum();
+
+        this.colorSpectrum = colorSpectrum;
 
         this.componentManager.register('title', 'title');
         this.componentManager.register('legend', 'spectrumLegend', {
@@ -44,6 +44,24 @@ var LineAreaComboChart = tui.util.defineClass(ChartBase, /** @lends LineAreaComb
          */
         this.seriesTypes = typeData.seriesTypes;
 
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true,
+            isVertical: true
+        });
+
+        this._dynamicDataHelper = new DynamicDataHelper(this);
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
         /**
          * yAxis options
          * @type {object}
@@ -59,15 +77,7 @@ var LineAreaComboChart = tui.util.defineClass(ChartBase, /** @lends LineAreaComb
         options.tooltip = options.tooltip || {};
         options.tooltip.grouped = true;
 
-        ChartBase.call(this, {
-            rawData: rawData,
-            theme: theme,
-            options: options,
-            hasAxes: true,
-            isVertical: true
-        });
-
-        this._dynamicDataHelper = new DynamicDataHelper(this);
+        ChartBase.prototype._initializeOptions.call(this, options);
     },
 
     /**
@@ -11,6 +11,7 @@ var predicate = require('../helpers/predicate');
 var DynamicDataHelper = require('./dynamicDataHelper');
 var Series = require('../components/series/lineChartSeries');
 var rawDataHandler = require('../models/data/rawDataHandler');
+var multipleYAxesHelper = require('./multipleYAxesHelper');
 
 var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype */ {
     /**
@@ -44,14 +45,27 @@ var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype *
             isVertical: true
         });
 
+        this._dynamicDataHelper = new DynamicDataHelper(this);
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        ChartBase.prototype._initializeOptions.call(this, options);
+
         if (this.dataProcessor.isCoordinateType()) {
-            delete this.options.xAxis.tickInterval;
-            this.options.tooltip.grouped = false;
-            this.options.series.shifting = false;
+            delete options.xAxis.tickInterval;
+            options.tooltip.grouped = false;
+            options.series.shifting = false;
         }
 
-        this._dynamicDataHelper = new DynamicDataHelper(this);
+        multipleYAxesHelper.normalizeYAxisOptions(options, this.dataProcessor);
     },
+
     /**
      * Add data.
      * @param {string} category - category
@@ -88,6 +102,10 @@ var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype *
                 var hasRadius = predicate.isBubbleChart(chartType);
                 self.dataProcessor.addDataRatiosForCoordinateType(chartType, limitMap, hasRadius);
             };
+        } else if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            addDataRatio = function(chartType) {
+                multipleYAxesHelper.addDataRatios(self.dataProcessor, limitMap, self.options.yAxis, chartType);
+            };
         } else {
             addDataRatio = function(chartType) {
                 var stackType = (seriesOption[chartType] || seriesOption).stackType;
@@ -108,7 +126,11 @@ var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype *
 
         this.componentManager.register('lineSeries', 'lineSeries');
 
-        this.componentManager.register('yAxis', 'axis');
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            multipleYAxesHelper.registerYAxes(this.componentManager, this.options.yAxis);
+        } else {
+            this.componentManager.register('yAxis', 'axis');
+        }
         this.componentManager.register('xAxis', 'axis');
 
         this.componentManager.register('legend', 'legend');
@@ -121,7 +143,7 @@ var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype *
     /**
      * Get scale option.
      * from lineTypeMixer
-     * @returns {{xAxis: ?{valueType:string}, yAxis: ?(boolean|{valueType:string})}}
+     * @returns {{xAxis: ?{valueType:string}, yAxis: ?(boolean|object), extraYAxes: ?Array.<object>}}
      * @override
      */
     getScaleOption: function() {
@@ -149,7 +171,26 @@ var LineChart = tui.util.defineClass(ChartBase, /** @lends LineChart.prototype *
                 valueType: 'y'
             };
         } else {
-            scaleOption.yAxis = true;
+            scaleOption = this._makeScaleOptionForCategoryData();
+        }
+
+        return scaleOption;
+    },
+
+    /**
+     * Make scale option for data with categories.
+     * @returns {{yAxis: (boolean|object), extraYAxes: ?Array.<object>}}
+     * @private
+     */
+    _makeScaleOptionForCategoryData: function() {
+        var scaleOption = {
+            yAxis: true
+        };
+
+        if (multipleYAxesHelper.hasMultipleYAxes(this.options, this.dataProcessor)) {
+            scaleOption = multipleYAxesHelper.makeScaleOption(
+                this.options.yAxis, this.dataProcessor.getSeriesDataModel(this.chartType).rawSeriesData
+            );
         }
 
         return scaleOption;
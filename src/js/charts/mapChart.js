@@ -7,10 +7,11 @@
 'use strict';
 
 var ChartBase = require('./chartBase');
+var chartConst = require('../const');
+var objectUtil = require('../helpers/objectUtil');
 var mapManager = require('../factories/mapManager');
 var MapChartMapModel = require('./mapChartMapModel');
 var MapChartDataProcessor = require('../models/data/mapChartDataProcessor');
-var ColorSpectrum = require('./colorSpectrum');
 
 var MapChart = tui.util.defineClass(ChartBase, /** @lends MapChart.prototype */ {
     /**
@@ -28,9 +29,28 @@ var MapChart = tui.util.defineClass(ChartBase, /** @lends MapChart.prototype */
          */
         this.className = 'tui-map-chart';
 
-        options.map = mapManager.get(options.map);
-        options.tooltip = options.tooltip || {};
-        options.legend = options.legend || {};
+        /**
+         * projection of map for positioning points by longitude and latitude
+         * @type {?function}
+         */
+        this.mapProjection = null;
+
+        /**
+         * path of drilldown from root map to current map
+         * @type {Array.<{map: string, code: ?string, label: string, rawData: ?rawData}>}
+         */
+        this.drilldownPath = [{
+            map: options.map,
+            code: null,
+            label: tui.util.pick(options, 'drilldown', 'rootLabel') || options.map,
+            rawData: null
+        }];
+
+        /**
+         * id of last request of drilldown, for ignoring data of previous requests
+         * @type {number}
+         */
+        this.drilldownRequestId = 0;
 
         ChartBase.call(this, {
             rawData: rawData,
@@ -40,15 +60,52 @@ var MapChart = tui.util.defineClass(ChartBase, /** @lends MapChart.prototype */
         });
     },
 
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        this.mapProjection = mapManager.getProjection(options.map);
+        options.map = mapManager.get(options.map);
+        options.tooltip = options.tooltip || {};
+        options.legend = options.legend || {};
+        this._initializePointOptions(options);
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+        this._initializeNoDataOptions(options.series);
+    },
+
+    /**
+     * Initialize options for points and circle legend, which shows sizes of bubble points.
+     * @param {object} options - options for chart
+     * @private
+     */
+    _initializePointOptions: function(options) {
+        options.points = options.points || {};
+        options.circleLegend = options.circleLegend || {};
+
+        if (!options.points.type) {
+            options.points.type = chartConst.MAP_POINT_TYPE_MARKER;
+        }
+
+        if (tui.util.isUndefined(options.circleLegend.visible)) {
+            options.circleLegend.visible = true;
+        }
+    },
+
     /**
      * Add components.
      * @override
      * @private
      */
     addComponents: function() {
-        var seriesTheme = this.theme.series[this.chartType];
-        var mapModel = new MapChartMapModel(this.dataProcessor, this.options.map);
-        var colorSpectrum = new ColorSpectrum(seriesTheme.startColor, seriesTheme.endColor);
+        var hasBreadcrumb = this._isDrilldownEnabled();
+        var mapModel = new MapChartMapModel(this.dataProcessor, this.options.map, this.mapProjection);
+        var colorSpectrum = this._createColorSpectrum();
+
+        this.colorSpectrum = colorSpectrum;
 
         this.componentManager.register('title', 'title');
 
@@ -56,17 +113,216 @@ var MapChart = tui.util.defineClass(ChartBase, /** @lends MapChart.prototype */
             colorSpectrum: colorSpectrum
         });
 
+        if (this.options.points.type === chartConst.MAP_POINT_TYPE_BUBBLE) {
+            this.componentManager.register('circleLegend', 'circleLegend');
+        }
+
         this.componentManager.register('tooltip', 'tooltip', {
             mapModel: mapModel
         });
 
         this.componentManager.register('mapSeries', 'mapSeries', {
             mapModel: mapModel,
-            colorSpectrum: colorSpectrum
+            colorSpectrum: colorSpectrum,
+            pointOptions: this.options.points,
+            hasBreadcrumb: hasBreadcrumb
         });
 
-        this.componentManager.register('zoom', 'zoom');
+        this.componentManager.register('zoom', 'zoom', {
+            offsetTop: hasBreadcrumb ? chartConst.BREADCRUMB_HEIGHT : 0
+        });
         this.componentManager.register('mouseEventDetector', 'mapChartEventDetector');
+
+        if (hasBreadcrumb) {
+            this.componentManager.register('breadcrumb', 'breadcrumb', {
+                rootLabel: this.drilldownPath[0].label
+            });
+        }
+    },
+
+    /**
+     * Attach to event bus.
+     * @private
+     * @override
+     */
+    _attachToEventBus: function() {
+        ChartBase.prototype._attachToEventBus.call(this);
+
+        this.eventBus.on({
+            selectSeries: this.onSelectSeries,
+            zoomToNode: this.drillUp
+        }, this);
+    },
+
+    /**
+     * Whether drilldown is enabled by drilldown.maps option or not.
+     * @returns {boolean}
+     * @private
+     */
+    _isDrilldownEnabled: function() {
+        return !!tui.util.pick(this.options, 'drilldown', 'maps');
+    },
+
+    /**
+     * Find name of child map, which is registered for region of code.
+     * @param {string} code - code of region
+     * @returns {?string}
+     * @private
+     */
+    _findChildMapName: function(code) {
+        var maps = tui.util.pick(this.options, 'drilldown', 'maps') || {};
+
+        return maps[code] || null;
+    },
+
+    /**
+     * Fire changeZoomPath event for showing path of drilldown on breadcrumb.
+     * @private
+     */
+    _fireChangeDrilldownPath: function() {
+        var path = tui.util.map(this.drilldownPath, function(level, depth) {
+            return {
+                id: depth,
+                label: level.label
+            };
+        });
+
+        if (this.componentManager.has('breadcrumb')) {
+            this.eventBus.fire('changeZoomPath', path);
+        }
+    },
+
+    /**
+     * On select series.
+     * Map is drilled down to child map, if it is registered for selected region.
+     * @param {{code: string}} seriesData - data of selected region
+     */
+    onSelectSeries: function(seriesData) {
+        if (this._findChildMapName(seriesData.code)) {
+            this.drillDown(seriesData.code);
+        }
+    },
+
+    /**
+     * Change map and raw data, and rebuild all components with them.
+     * @param {string} mapName - name of registered map
+     * @param {rawData} rawData - raw data, whose series are grouped by chart type
+     * @private
+     */
+    _changeMap: function(mapName, rawData) {
+        this.originalOptions.map = mapName;
+        this.originalRawData = objectUtil.deepCopy(rawData);
+        this._initializeOptions(objectUtil.deepCopy(this.originalOptions));
+        this.dataProcessor.options = this.options;
+        this.dataProcessor.setRawData(objectUtil.deepCopy(rawData));
+
+        this._rebuildComponents();
+        this._fireChangeDrilldownPath();
+    },
+
+    /**
+     * Render child map of region with data of it, after zooming in to region.
+     * @param {{code: string, label: string, map: string}} level - level of drilldown path
+     * @param {rawData} rawData - raw data of child map
+     * @private
+     */
+    _renderChildMap: function(level, rawData) {
+        var self = this;
+
+        rawData = this._makeRawData(rawData);
+
+        this.componentManager.get('mapSeries').zoomInRegion(level.code, function() {
+            self.drilldownPath[self.drilldownPath.length - 1].rawData = self.originalRawData;
+            self.drilldownPath.push(level);
+            self._changeMap(level.map, rawData);
+            self.componentManager.get('mapSeries').fadeInMap();
+        });
+    },
+
+    /**
+     * Drill down to child map of region.
+     * Public drilldown event is fired with code of region and name of child map before rendering it.
+     * If handler of drilldown event returns false, child map is rendered when data is passed by setData of event data,
+     * so data of child map can be loaded lazily.
+     * Otherwise, it is rendered with data passed by setData in handler or empty data.
+     * @param {string} code - code of region, which has child map by drilldown.maps option
+     * @api
+     */
+    drillDown: function(code) {
+        var childMapName = this._findChildMapName(code);
+        var self = this;
+        var requestId, datum, level, isResolved, eventData;
+
+        if (!childMapName) {
+            return;
+        }
+
+        this.drilldownRequestId += 1;
+        requestId = this.drilldownRequestId;
+        datum = this.componentManager.get('mapSeries').mapModel.findDatumByCode(code);
+        level = {
+            map: childMapName,
+            code: code,
+            label: (datum && datum.name) || code,
+            rawData: null
+        };
+        isResolved = false;
+        eventData = {
+            chartType: this.chartType,
+            code: code,
+            name: level.label,
+            map: childMapName,
+            depth: this.drilldownPath.length,
+            setData: function(rawData) {
+                if (!isResolved && requestId === self.drilldownRequestId) {
+                    isResolved = true;
+                    self._renderChildMap(level, rawData);
+                }
+            }
+        };
+
+        if (this.eventBus.invoke(chartConst.PUBLIC_EVENT_PREFIX + 'drilldown', eventData) !== false) {
+            eventData.setData({
+                series: []
+            });
+        }
+    },
+
+    /**
+     * Drill up to ancestor map of current map.
+     * Data of ancestor map, which was shown before drilldown, is rendered again.
+     * @param {number} [depth] - depth of ancestor map, root is 0 and parent is default
+     * @api
+     */
+    drillUp: function(depth) {
+        var path = this.drilldownPath;
+        var childLevel, level;
+
+        depth = tui.util.isUndefined(depth) ? path.length - 2 : depth;
+
+        if (depth < 0 || depth >= path.length - 1) {
+            return;
+        }
+
+        this.drilldownRequestId += 1;
+        level = path[depth];
+        childLevel = path[depth + 1];
+        this.drilldownPath = path.slice(0, depth + 1);
+
+        this._changeMap(level.map, level.rawData);
+        this.componentManager.get('mapSeries').zoomOutFromRegion(childLevel.code);
+    },
+
+    /**
+     * Set new raw data of current map and rerender chart with it.
+     * Path of drilldown is kept.
+     * @param {rawData} rawData - raw data
+     * @override
+     * @api
+     */
+    setData: function(rawData) {
+        ChartBase.prototype.setData.call(this, rawData);
+        this._fireChangeDrilldownPath();
     },
 
     /**
@@ -86,6 +342,7 @@ var MapChart = tui.util.defineClass(ChartBase, /** @lends MapChart.prototype */
      */
     addDataRatios: function(limitMap) {
         this.dataProcessor.addDataRatios(limitMap.legend);
+        this._setColorSpectrumLimit(limitMap.legend);
     }
 });
 
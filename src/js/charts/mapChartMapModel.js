@@ -15,8 +15,9 @@ var MapChartMapModel = tui.util.defineClass(/** @lends MapChartMapModel.prototyp
      * @constructs MapChartMapModel
      * @param {MapChartDataProcessor} dataProcessor Map chart data processor
      * @param {Array.<{name: string, path: string, labelCoordinate: ?{x: number, y:number}}>} rawMapData raw map data
+     * @param {?function} projection projection of map, which converts longitude and latitude to coordinate of map
      */
-    init: function(dataProcessor, rawMapData) {
+    init: function(dataProcessor, rawMapData, projection) {
         /**
          * Command function map.
          * @type {{
@@ -69,6 +70,18 @@ var MapChartMapModel = tui.util.defineClass(/** @lends MapChartMapModel.prototyp
          * @type {null|Array.<object>}
          */
         this.mapData = null;
+
+        /**
+         * Projection of map.
+         * @type {?function(number, number): ?{x: number, y: number}}
+         */
+        this.projection = projection || null;
+
+        /**
+         * Point data.
+         * @type {null|Array.<object>}
+         */
+        this.pointData = null;
     },
 
     /**
@@ -317,7 +330,7 @@ var MapChartMapModel = tui.util.defineClass(/** @lends MapChartMapModel.prototyp
                 resultData.label = label;
             }
 
-            if (ratio) {
+            if (tui.util.isExisty(ratio)) {
                 resultData.ratio = ratio;
             }
 
@@ -337,6 +350,14 @@ var MapChartMapModel = tui.util.defineClass(/** @lends MapChartMapModel.prototyp
         return this.mapData;
     },
 
+    /**
+     * Clear map data for making it again with changed data.
+     */
+    clearMapData: function() {
+        this.mapData = null;
+        this.pointData = null;
+    },
+
     /**
      * Get map datum.
      * @param {number} index - index
@@ -346,6 +367,90 @@ var MapChartMapModel = tui.util.defineClass(/** @lends MapChartMapModel.prototyp
         return this.getMapData()[index];
     },
 
+    /**
+     * Find map datum by code of region.
+     * @param {string} code - code of region
+     * @returns {?object}
+     */
+    findDatumByCode: function(code) {
+        var foundDatum = null;
+
+        tui.util.forEachArray(this.getMapData(), function(datum) {
+            if (datum.code === code) {
+                foundDatum = datum;
+            }
+
+            return !foundDatum;
+        });
+
+        return foundDatum;
+    },
+
+    /**
+     * Make coordinate of point on map.
+     * Longitude and latitude are converted by projection of map, otherwise x and y are used as coordinate of map.
+     * @param {{lon: ?number, lat: ?number, x: ?number, y: ?number}} datum - point datum
+     * @returns {?{x: number, y: number}} coordinate
+     * @private
+     */
+    _makePointCoordinate: function(datum) {
+        var isGeographic = tui.util.isNumber(datum.lon) && tui.util.isNumber(datum.lat);
+
+        if (isGeographic) {
+            return this.projection ? this.projection(datum.lon, datum.lat) : null;
+        }
+
+        if (tui.util.isNumber(datum.x) && tui.util.isNumber(datum.y)) {
+            return {
+                x: datum.x,
+                y: datum.y
+            };
+        }
+
+        return null;
+    },
+
+    /**
+     * Create point data.
+     * Points, which can not be positioned, are excluded.
+     * @returns {Array.<object>}
+     * @private
+     */
+    _createPointData: function() {
+        var self = this;
+        var pointData = tui.util.map(this.dataProcessor.getPointData(), function(datum) {
+            var coordinate = self._makePointCoordinate(datum);
+
+            return coordinate ? tui.util.extend({
+                coordinate: coordinate
+            }, datum) : null;
+        });
+
+        return tui.util.filter(pointData, tui.util.isExisty);
+    },
+
+    /**
+     * Get point data.
+     * @returns {Array.<{name: ?string, value: ?number, label: ?string, ratio: ?number, color: ?string,
+     *          coordinate: {x: number, y: number}}>}
+     */
+    getPointData: function() {
+        if (!this.pointData) {
+            this.pointData = this._createPointData();
+        }
+
+        return this.pointData;
+    },
+
+    /**
+     * Get point datum.
+     * @param {number} index - index
+     * @returns {object}
+     */
+    getPointDatum: function(index) {
+        return this.getPointData()[index];
+    },
+
     /**
      * Get label data.
      * @param {number} ratio ratio
@@ -0,0 +1,179 @@
+/**
+ * @fileoverview Helper for binding series to multiple y axes of line, area and column chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var predicate = require('../helpers/predicate');
+
+/**
+ * Helper for multiple y axes.
+ * First item of yAxis options is base y axis, and it is rendered by component named yAxis.
+ * Rest items are extra y axes, and they are rendered by components named yAxis1, yAxis2 and so on.
+ * @module multipleYAxesHelper
+ * @private */
+var multipleYAxesHelper = {
+    /**
+     * Whether series can be bound to multiple y axes or not.
+     * It is not allowed for coordinate type data and stacked series.
+     * @param {object} options - chart options
+     * @param {DataProcessor} dataProcessor - DataProcessor instance
+     * @returns {boolean}
+     */
+    hasMultipleYAxes: function(options, dataProcessor) {
+        var yAxisOptions = options.yAxis;
+
+        return tui.util.isArray(yAxisOptions) && yAxisOptions.length > 1
+            && !predicate.isValidStackOption(options.series.stackType)
+            && !dataProcessor.isCoordinateType();
+    },
+
+    /**
+     * Normalize yAxis options to options of base y axis, when series can not be bound to multiple y axes.
+     * yAxis options can be array, even if it has only one item, series are stacked or data is coordinate type.
+     * @param {object} options - chart options
+     * @param {DataProcessor} dataProcessor - DataProcessor instance
+     */
+    normalizeYAxisOptions: function(options, dataProcessor) {
+        if (tui.util.isArray(options.yAxis) && !this.hasMultipleYAxes(options, dataProcessor)) {
+            options.yAxis = options.yAxis[0] || {};
+        }
+    },
+
+    /**
+     * Make component name of y axis.
+     * @param {number} index - index of y axis options
+     * @returns {string}
+     */
+    makeYAxisName: function(index) {
+        return index ? ('yAxis' + index) : 'yAxis';
+    },
+
+    /**
+     * Find index of y axis, which series is bound to.
+     * @param {Array.<object>} yAxisOptions - y axis options
+     * @param {?(string|number)} yAxisKey - name or index of y axis, it is yAxis property of raw series datum
+     * @returns {number}
+     * @private
+     */
+    _findYAxisIndex: function(yAxisOptions, yAxisKey) {
+        var foundIndex = 0;
+
+        if (tui.util.isNumber(yAxisKey) && yAxisOptions[yAxisKey]) {
+            foundIndex = yAxisKey;
+        } else if (tui.util.isString(yAxisKey)) {
+            tui.util.forEachArray(yAxisOptions, function(yAxisOption, index) {
+                if (yAxisOption.name === yAxisKey) {
+                    foundIndex = index;
+                }
+
+                return !foundIndex;
+            });
+        }
+
+        return foundIndex;
+    },
+
+    /**
+     * Make indexes of series bound to each y axis.
+     * Series which are not bound to any y axis are bound to base y axis.
+     * @param {Array.<object>} yAxisOptions - y axis options
+     * @param {Array.<object>} rawSeriesData - raw series data
+     * @returns {Array.<Array.<number>>}
+     * @private
+     */
+    _makeSeriesIndexesList: function(yAxisOptions, rawSeriesData) {
+        var self = this;
+        var seriesIndexesList = tui.util.map(yAxisOptions, function() {
+            return [];
+        });
+
+        tui.util.forEachArray(rawSeriesData, function(rawSeriesDatum, seriesIndex) {
+            var yAxisIndex = self._findYAxisIndex(yAxisOptions, rawSeriesDatum.yAxis);
+
+            seriesIndexesList[yAxisIndex].push(seriesIndex);
+        });
+
+        return seriesIndexesList;
+    },
+
+    /**
+     * Make scale option of each y axis.
+     * @param {Array.<object>} yAxisOptions - y axis options
+     * @param {Array.<object>} rawSeriesData - raw series data
+     * @returns {{
+     *      yAxis: {options: object, additionalOptions: {seriesIndexes: Array.<number>}},
+     *      extraYAxes: Array.<{
+     *          name: string,
+     *          options: object,
+     *          isPositionRight: boolean,
+     *          additionalOptions: {seriesIndexes: Array.<number>}
+     *      }>
+     * }}
+     */
+    makeScaleOption: function(yAxisOptions, rawSeriesData) {
+        var self = this;
+        var seriesIndexesList = this._makeSeriesIndexesList(yAxisOptions, rawSeriesData);
+        var extraYAxisOptions = yAxisOptions.slice(1);
+
+        return {
+            yAxis: {
+                options: yAxisOptions[0],
+                additionalOptions: {
+                    seriesIndexes: seriesIndexesList[0]
+                }
+            },
+            extraYAxes: tui.util.map(extraYAxisOptions, function(yAxisOption, index) {
+                return {
+                    name: self.makeYAxisName(index + 1),
+                    options: yAxisOption,
+                    isPositionRight: yAxisOption.align !== 'left',
+                    additionalOptions: {
+                        seriesIndexes: seriesIndexesList[index + 1]
+                    }
+                };
+            })
+        };
+    },
+
+    /**
+     * Register components of y axes.
+     * @param {ComponentManager} componentManager - ComponentManager instance
+     * @param {Array.<object>} yAxisOptions - y axis options
+     */
+    registerYAxes: function(componentManager, yAxisOptions) {
+        var self = this;
+
+        tui.util.forEachArray(yAxisOptions, function(yAxisOption, index) {
+            componentManager.register(self.makeYAxisName(index), 'axis', {
+                optionKey: 'yAxis',
+                index: index
+            });
+        });
+    },
+
+    /**
+     * Add data ratios of series bound to multiple y axes.
+     * @param {DataProcessor} dataProcessor - DataProcessor instance
+     * @param {object.<string, {min: number, max: number}>} limitMap - limit map
+     * @param {Array.<object>} yAxisOptions - y axis options
+     * @param {string} chartType - chart type
+     */
+    addDataRatios: function(dataProcessor, limitMap, yAxisOptions, chartType) {
+        var self = this;
+        var rawSeriesData = dataProcessor.getSeriesDataModel(chartType).rawSeriesData;
+        var seriesIndexesList = this._makeSeriesIndexesList(yAxisOptions, rawSeriesData);
+        var yAxes = tui.util.map(seriesIndexesList, function(seriesIndexes, index) {
+            return {
+                limit: limitMap[self.makeYAxisName(index)],
+                seriesIndexes: seriesIndexes
+            };
+        });
+
+        dataProcessor.addDataRatiosForMultipleYAxes(yAxes, chartType);
+    }
+};
+
+module.exports = multipleYAxesHelper;
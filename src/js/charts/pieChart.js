@@ -25,17 +25,27 @@ var PieChart = tui.util.defineClass(ChartBase, /** @lends PieChart.prototype */
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
         options.tooltip = options.tooltip || {};
 
         if (!options.tooltip.align) {
             options.tooltip.align = chartConst.TOOLTIP_DEFAULT_ALIGN_OPTION;
         }
 
-        ChartBase.call(this, {
-            rawData: rawData,
-            theme: theme,
-            options: options
-        });
+        ChartBase.prototype._initializeOptions.call(this, options);
     },
 
     /**
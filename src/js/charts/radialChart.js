@@ -8,6 +8,7 @@
 
 var ChartBase = require('./chartBase');
 var Series = require('../components/series/lineChartSeries');
+var predicate = require('../helpers/predicate');
 
 var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototype */ {
     /**
@@ -24,6 +25,7 @@ var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototy
 
     /**
      * Radial chart.
+     * Polar area chart is also made by this class, which renders sectors on radial plot instead of lines.
      * @constructs RadialChart
      * @extends ChartBase
      * @param {Array.<Array>} rawData raw data
@@ -31,11 +33,6 @@ var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototy
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        // Radial차트는 그룹툴팁을 지원하지 않음, 지원하게되면 아래 코드 삭제
-        if (options.tooltip) {
-            options.tooltip.grouped = false;
-        }
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -44,6 +41,22 @@ var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototy
             isVertical: true
         });
     },
+    /**
+     * Initialize options.
+     * Plot of polar area chart is circle type by default.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        if (predicate.isPolarAreaChart(options.chartType)) {
+            options.plot = tui.util.extend({
+                type: 'circle'
+            }, options.plot);
+        }
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
     /**
      * Add components
      * @override
@@ -53,7 +66,11 @@ var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototy
         this.componentManager.register('legend', 'legend');
         this.componentManager.register('plot', 'radialPlot');
 
-        this.componentManager.register('radialSeries', 'radialSeries');
+        if (predicate.isPolarAreaChart(this.chartType)) {
+            this.componentManager.register('polarAreaSeries', 'polarAreaSeries');
+        } else {
+            this.componentManager.register('radialSeries', 'radialSeries');
+        }
 
         this.componentManager.register('chartExportMenu', 'chartExportMenu');
         this.componentManager.register('tooltip', 'tooltip');
@@ -64,7 +81,9 @@ var RadialChart = tui.util.defineClass(ChartBase, /** @lends RadialChart.prototy
      * @override
      */
     addDataRatios: function(limitMap) {
-        this.dataProcessor.addDataRatios(limitMap[this.chartType], null, this.chartType);
+        var stackType = (this.options.series || {}).stackType;
+
+        this.dataProcessor.addDataRatios(limitMap[this.chartType], stackType, this.chartType);
     },
 
     /**
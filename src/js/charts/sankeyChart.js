@@ -0,0 +1,51 @@
+/**
+ * @fileoverview Sankey chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+
+var SankeyChart = tui.util.defineClass(ChartBase, /** @lends SankeyChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-sankey-chart',
+
+    /**
+     * Sankey chart.
+     * Nodes of flow are series, and links between them are kept in links of raw data.
+     * @constructs SankeyChart
+     * @extends ChartBase
+     * @param {{series: Array.<object>, links: Array.<object>}} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options
+        });
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register('sankeySeries', 'sankeySeries');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    }
+});
+
+module.exports = SankeyChart;
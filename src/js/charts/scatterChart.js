@@ -27,12 +27,6 @@ var ScatterChart = tui.util.defineClass(ChartBase, /** @lends ScatterChart.proto
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        options.tooltip = options.tooltip || {};
-
-        if (!options.tooltip.align) {
-            options.tooltip.align = chartConst.TOOLTIP_DEFAULT_ALIGN_OPTION;
-        }
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -41,6 +35,22 @@ var ScatterChart = tui.util.defineClass(ChartBase, /** @lends ScatterChart.proto
         });
     },
 
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        options.tooltip = options.tooltip || {};
+
+        if (!options.tooltip.align) {
+            options.tooltip.align = chartConst.TOOLTIP_DEFAULT_ALIGN_OPTION;
+        }
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
     /**
      * Get scale option.
      * @returns {{xAxis: {valueType: string}, yAxis: {valueType: string}}}
@@ -0,0 +1,131 @@
+/**
+ * @fileoverview Sunburst chart is graphical representation of hierarchical data by using concentric rings.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+
+var SunburstChart = tui.util.defineClass(ChartBase, /** @lends SunburstChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-sunburst-chart',
+    /**
+     * Sunburst chart is graphical representation of hierarchical data by using concentric rings.
+     * Raw data is same as treemap chart.
+     * @constructs SunburstChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: false,
+            isVertical: true
+        });
+    },
+
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        options.tooltip = options.tooltip || {};
+        options.tooltip.grouped = false;
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
+    /**
+     * Add components.
+     * @override
+     */
+    addComponents: function() {
+        var useColorValue = this.options.series.useColorValue;
+        var colorSpectrum = useColorValue ? this._createColorSpectrum() : null;
+
+        this.colorSpectrum = colorSpectrum;
+
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('sunburstSeries', 'sunburstSeries', {
+            colorSpectrum: colorSpectrum
+        });
+
+        if (useColorValue && this.options.legend.visible) {
+            this.componentManager.register('legend', 'spectrumLegend', {
+                colorSpectrum: colorSpectrum
+            });
+        }
+
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+
+        if (this.options.series.zoomable) {
+            this.componentManager.register('breadcrumb', 'breadcrumb', {
+                rootLabel: this.options.series.rootLabel
+            });
+        }
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+    },
+
+    /**
+     * Attach to event bus.
+     * @private
+     * @override
+     */
+    _attachToEventBus: function() {
+        ChartBase.prototype._attachToEventBus.call(this);
+
+        this.eventBus.on('zoomToNode', this.zoomToNode, this);
+    },
+
+    /**
+     * Get scale option.
+     * @returns {{legend: boolean}}
+     * @override
+     */
+    getScaleOption: function() {
+        return {
+            legend: true
+        };
+    },
+
+    /**
+     * Add data ratios to dataProcessor for rendering graph.
+     * @override
+     */
+    addDataRatios: function(limitMap) {
+        this.dataProcessor.addDataRatiosForTreemapChart(limitMap.legend, this.chartType);
+        this._setColorSpectrumLimit(limitMap.legend, 'colorValue');
+    },
+
+    /**
+     * Zoom to node of id.
+     * @param {?string} id - id of node, which has children. root is zoomed to, when id is null.
+     * @api
+     */
+    zoomToNode: function(id) {
+        this.componentManager.get('sunburstSeries').zoomToNode(id);
+    },
+
+    /**
+     * Zoom out to parent of current root of zoom.
+     * @api
+     */
+    zoomOut: function() {
+        this.componentManager.get('sunburstSeries').zoomOut();
+    }
+});
+
+module.exports = SunburstChart;
@@ -7,7 +7,6 @@
 'use strict';
 
 var ChartBase = require('./chartBase');
-var ColorSpectrum = require('./colorSpectrum');
 
 var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.prototype */ {
     /**
@@ -24,10 +23,6 @@ var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.proto
      * @param {object} options chart options
      */
     init: function(rawData, theme, options) {
-        // options.series = options.series || {};
-        options.tooltip = options.tooltip || {};
-        options.tooltip.grouped = false;
-
         ChartBase.call(this, {
             rawData: rawData,
             theme: theme,
@@ -37,14 +32,30 @@ var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.proto
         });
     },
 
+    /**
+     * Initialize options.
+     * @param {object} options - options for chart
+     * @private
+     * @override
+     */
+    _initializeOptions: function(options) {
+        // options.series = options.series || {};
+        options.tooltip = options.tooltip || {};
+        options.tooltip.grouped = false;
+
+        ChartBase.prototype._initializeOptions.call(this, options);
+    },
+
     /**
      * Add components.
      * @override
      */
     addComponents: function() {
-        var seriesTheme = this.theme.series[this.chartType];
         var useColorValue = this.options.series.useColorValue;
-        var colorSpectrum = useColorValue ? (new ColorSpectrum(seriesTheme.startColor, seriesTheme.endColor)) : null;
+        var colorSpectrum = useColorValue ? this._createColorSpectrum() : null;
+
+        this.colorSpectrum = colorSpectrum;
+
         this.componentManager.register('title', 'title');
         this.componentManager.register('treemapSeries', 'treemapSeries', {
             colorSpectrum: colorSpectrum
@@ -61,9 +72,27 @@ var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.proto
         }));
 
         this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+
+        if (this.options.series.zoomable) {
+            this.componentManager.register('breadcrumb', 'breadcrumb', {
+                rootLabel: this.options.series.rootLabel
+            });
+        }
+
         this.componentManager.register('chartExportMenu', 'chartExportMenu');
     },
 
+    /**
+     * Attach to event bus.
+     * @private
+     * @override
+     */
+    _attachToEventBus: function() {
+        ChartBase.prototype._attachToEventBus.call(this);
+
+        this.eventBus.on('zoomToNode', this.zoomToNode, this);
+    },
+
     /**
      * Get scale option.
      * @returns {{legend: boolean}}
@@ -81,6 +110,7 @@ var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.proto
      */
     addDataRatios: function(limitMap) {
         this.dataProcessor.addDataRatiosForTreemapChart(limitMap.legend, this.chartType);
+        this._setColorSpectrumLimit(limitMap.legend, 'colorValue');
     },
 
     /**
@@ -91,6 +121,23 @@ var TreemapChart = tui.util.defineClass(ChartBase, /** @lends TreemapChart.proto
         this.componentManager.render('zoom', null, {
             index: index
         });
+    },
+
+    /**
+     * Zoom to node of id.
+     * @param {?string} id - id of node, which has children. root is zoomed to, when id is null.
+     * @api
+     */
+    zoomToNode: function(id) {
+        this.componentManager.get('treemapSeries').zoomToNode(id);
+    },
+
+    /**
+     * Zoom out to parent of current root of zoom.
+     * @api
+     */
+    zoomOut: function() {
+        this.componentManager.get('treemapSeries').zoomOut();
     }
 });
 
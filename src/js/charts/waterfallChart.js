@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Waterfall chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ChartBase = require('./chartBase');
+
+var WaterfallChart = tui.util.defineClass(ChartBase, /** @lends WaterfallChart.prototype */ {
+    /**
+     * className
+     * @type {string}
+     */
+    className: 'tui-waterfall-chart',
+
+    /**
+     * Waterfall chart.
+     * @constructs WaterfallChart
+     * @extends ChartBase
+     * @param {Array.<Array>} rawData raw data
+     * @param {object} theme chart theme
+     * @param {object} options chart options
+     */
+    init: function(rawData, theme, options) {
+        ChartBase.call(this, {
+            rawData: rawData,
+            theme: theme,
+            options: options,
+            hasAxes: true,
+            isVertical: true
+        });
+    },
+
+    /**
+     * Add components
+     * @override
+     */
+    addComponents: function() {
+        this.componentManager.register('title', 'title');
+        this.componentManager.register('plot', 'plot');
+        this.componentManager.register('legend', 'legend');
+
+        this.componentManager.register('waterfallSeries', 'waterfallSeries');
+
+        this.componentManager.register('yAxis', 'axis');
+        this.componentManager.register('xAxis', 'axis');
+
+        this.componentManager.register('chartExportMenu', 'chartExportMenu');
+        this.componentManager.register('tooltip', 'tooltip');
+        this.componentManager.register('mouseEventDetector', 'mouseEventDetector');
+    },
+
+    /**
+     * Get scale option.
+     * @returns {{yAxis: boolean}}
+     * @override
+     */
+    getScaleOption: function() {
+        return {
+            yAxis: true
+        };
+    },
+
+    /**
+     * Add data ratios.
+     * @param {object} limitMap - limit map
+     * @override
+     */
+    addDataRatios: function(limitMap) {
+        var chartType = this.chartType;
+
+        this.dataProcessor.addDataRatios(limitMap[chartType], null, chartType);
+    }
+});
+
+module.exports = WaterfallChart;
@@ -264,6 +264,16 @@ var Axis = tui.util.defineClass(/** @lends Axis.prototype */ {
     resize: function(data) {
         this.rerender(data);
     },
+    /**
+     * Destroy axis component.
+     */
+    destroy: function() {
+        if (this.axisSet) {
+            this.axisSet.remove();
+        }
+
+        this.axisSet = null;
+    },
 
     /**
      * Zoom.
@@ -353,6 +363,37 @@ var Axis = tui.util.defineClass(/** @lends Axis.prototype */ {
             tickColor: tickColor,
             set: this.axisSet
         });
+
+        if (axisData.minorTickRatios) {
+            this._renderMinorTicks(size * sizeRatio, additionalSize);
+        }
+    },
+
+    /**
+     * Render minor ticks of logarithmic axis.
+     * Minor ticks are rendered shorter than major ticks.
+     * @param {number} size - width or height
+     * @param {number} [additionalSize] - additional size
+     * @private
+     */
+    _renderMinorTicks: function(size, additionalSize) {
+        var isYAxis = this.isYAxis;
+        var positions = tui.util.map(this.data.minorTickRatios, function(ratio) {
+            return isYAxis ? (size * (1 - ratio)) : (size * ratio);
+        });
+
+        this.graphRenderer.renderTicks({
+            paper: this.paper,
+            layout: this.layout,
+            positions: positions,
+            isVertical: isYAxis,
+            isCenter: this.data.options.isCenter,
+            additionalSize: additionalSize,
+            isPositionRight: this.data.isPositionRight,
+            tickColor: this.theme.tickColor,
+            tickSize: chartConst.MINOR_TICK_SIZE,
+            set: this.axisSet
+        });
     },
 
     /**
@@ -547,7 +588,7 @@ function axisFactory(axisParam) {
     var chartType = axisParam.chartOptions.chartType;
     var name = axisParam.name;
 
-    axisParam.isYAxis = (name === 'yAxis');
+    axisParam.isYAxis = (name === 'yAxis') || (axisParam.optionKey === 'yAxis');
     axisParam.shifting = axisParam.chartOptions.series.shifting;
 
     // 콤보에서 YAxis가 시리즈별로 두개인 경우를 고려해 시리즈이름으로 테마가 분기된다.
@@ -0,0 +1,385 @@
+/**
+ * @fileoverview Breadcrumb component for showing path of zoom of treemap type chart and drilldown of map chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var chartConst = require('../../const');
+var dom = require('../../helpers/domHandler');
+var eventListener = require('../../helpers/eventListener');
+var renderUtil = require('../../helpers/renderUtil');
+
+var CLASS_NAME_BREADCRUMB_CURRENT = 'current';
+var CLASS_NAME_BREADCRUMB_SEPARATOR = 'tui-chart-breadcrumb-separator';
+var BREADCRUMB_SEPARATOR = '>';
+var KEY_CODE_ENTER = 13;
+var KEY_CODE_ESCAPE = 27;
+var KEY_CODE_SPACE = 32;
+// direction of moving focus by arrow keys
+var FOCUS_DIRECTION_MAP = {
+    37: -1,
+    39: 1
+};
+
+var Breadcrumb = tui.util.defineClass(/** @lends Breadcrumb.prototype */ {
+    /**
+     * Breadcrumb component for showing path of zoom of treemap and sunburst chart.
+     * @constructs Breadcrumb
+     * @private
+     * @param {object} params parameters
+     *      @param {string} params.rootLabel - label of root
+     *      @param {object} params.eventBus - event bus
+     */
+    init: function(params) {
+        /**
+         * Breadcrumb view className
+         * @type {string}
+         */
+        this.className = chartConst.CLASS_NAME_BREADCRUMB;
+
+        /**
+         * label of root
+         * @type {string}
+         */
+        this.rootLabel = params.rootLabel;
+
+        /**
+         * Event bus
+         * @type {EventBus}
+         */
+        this.eventBus = params.eventBus;
+
+        /**
+         * path of zoom from root to current root of zoom
+         * @type {Array.<{id: ?string, label: string}>}
+         */
+        this.path = this._makeRootPath();
+
+        /**
+         * layout bounds information for this components
+         * @type {null|{dimension:{width:number, height:number}, position:{left:number, top:number}}}
+         */
+        this.layout = null;
+
+        /**
+         * breadcrumb container
+         * @type {null|HTMLElement}
+         */
+        this.breadcrumbContainer = null;
+
+        /**
+         * whether focus item after rendering or not, for zooming by keyboard
+         * @type {boolean}
+         */
+        this.isFocusAfterRendering = false;
+
+        this.drawingType = chartConst.COMPONENT_TYPE_DOM;
+
+        this.eventBus.on('changeZoomPath', this.onChangeZoomPath, this);
+    },
+
+    /**
+     * Make path, which has root only.
+     * @returns {Array.<{id: ?string, label: string}>}
+     * @private
+     */
+    _makeRootPath: function() {
+        return [{
+            id: null,
+            label: this.rootLabel
+        }];
+    },
+
+    /**
+     * Set data for rendering.
+     * Breadcrumb bar is placed on top of series area.
+     * @param {{dimensionMap: object, positionMap: object}} data - bounds data
+     * @private
+     */
+    _setDataForRendering: function(data) {
+        this.layout = {
+            dimension: {
+                width: data.dimensionMap.series.width,
+                height: chartConst.BREADCRUMB_HEIGHT
+            },
+            position: data.positionMap.series
+        };
+    },
+
+    /**
+     * Render area of breadcrumb bar.
+     * @private
+     */
+    _renderBreadcrumbArea: function() {
+        renderUtil.renderDimension(this.breadcrumbContainer, this.layout.dimension);
+        renderUtil.renderPosition(this.breadcrumbContainer, this.layout.position);
+    },
+
+    /**
+     * Make element of breadcrumb item.
+     * Items of ancestors are focusable for moving by keyboard.
+     * @param {{id: ?string, label: string}} datum - datum of path
+     * @param {number} index - index of path
+     * @param {boolean} isCurrent - whether current root of zoom or not
+     * @returns {HTMLElement}
+     * @private
+     */
+    _makeItemElement: function(datum, index, isCurrent) {
+        var item = dom.create('SPAN', chartConst.CLASS_NAME_BREADCRUMB_ITEM);
+
+        item.appendChild(document.createTextNode(datum.label));
+        item.setAttribute('data-index', index);
+
+        if (isCurrent) {
+            dom.addClass(item, CLASS_NAME_BREADCRUMB_CURRENT);
+        } else {
+            item.setAttribute('tabindex', 0);
+            item.setAttribute('role', 'button');
+        }
+
+        return item;
+    },
+
+    /**
+     * Render breadcrumb items.
+     * @private
+     */
+    _renderItems: function() {
+        var self = this;
+        var lastIndex = this.path.length - 1;
+        var elements = [];
+
+        this.breadcrumbContainer.innerHTML = '';
+
+        tui.util.forEachArray(this.path, function(datum, index) {
+            var separator;
+
+            elements.push(self._makeItemElement(datum, index, index === lastIndex));
+
+            if (index < lastIndex) {
+                separator = dom.create('SPAN', CLASS_NAME_BREADCRUMB_SEPARATOR);
+                separator.innerHTML = BREADCRUMB_SEPARATOR;
+                elements.push(separator);
+            }
+        });
+
+        dom.append(this.breadcrumbContainer, elements);
+
+        if (this.isFocusAfterRendering) {
+            this._focusItem(lastIndex - 1);
+        }
+    },
+
+    /**
+     * Render breadcrumb component.
+     * @param {object} data - bounds data
+     * @returns {HTMLElement} breadcrumb element
+     */
+    render: function(data) {
+        var container = this.breadcrumbContainer = data.paper;
+
+        dom.addClass(container, this.className);
+        container.setAttribute('role', 'navigation');
+
+        this._setDataForRendering(data);
+        this._renderBreadcrumbArea();
+        this._renderItems();
+        this._attachEvent();
+
+        return container;
+    },
+
+    /**
+     * Rerender.
+     * @param {object} data - bounds data
+     */
+    rerender: function(data) {
+        this._setDataForRendering(data);
+        this._renderBreadcrumbArea();
+    },
+
+    /**
+     * Resize.
+     * @param {object} data - bounds data
+     */
+    resize: function(data) {
+        this.rerender(data);
+    },
+
+    /**
+     * Reset path of zoom, when raw data of chart is changed.
+     */
+    resetData: function() {
+        this.path = this._makeRootPath();
+
+        if (this.breadcrumbContainer) {
+            this._renderItems();
+        }
+    },
+
+    /**
+     * Focus item of breadcrumb.
+     * @param {number} index - index of path
+     * @private
+     */
+    _focusItem: function(index) {
+        var items = this.breadcrumbContainer.getElementsByTagName('SPAN');
+
+        tui.util.forEachArray(items, function(item) {
+            var isTarget = item.getAttribute('data-index') === String(index);
+
+            if (isTarget && item.getAttribute('tabindex') !== null) {
+                item.focus();
+            }
+
+            return !isTarget;
+        });
+    },
+
+    /**
+     * Fire zoom event to node of path.
+     * @param {number} index - index of path
+     * @private
+     */
+    _zoomToPathIndex: function(index) {
+        if (index < 0 || index >= this.path.length - 1) {
+            return;
+        }
+
+        this.eventBus.fire('zoomToNode', this.path[index].id);
+    },
+
+    /**
+     * Find index of path from breadcrumb item.
+     * @param {HTMLElement} target - event target
+     * @returns {number} index of path or -1
+     * @private
+     */
+    _findPathIndex: function(target) {
+        var index = -1;
+
+        if (dom.hasClass(target, chartConst.CLASS_NAME_BREADCRUMB_ITEM)) {
+            index = parseInt(target.getAttribute('data-index'), 10);
+        }
+
+        return index;
+    },
+
+    /**
+     * On click.
+     * @param {MouseEvent} e - mouse event
+     * @private
+     */
+    _onClick: function(e) {
+        this._zoomToPathIndex(this._findPathIndex(e.target || e.srcElement));
+    },
+
+    /**
+     * Find index of path to zoom by key.
+     * Enter and space zoom to focused item, and escape zooms out.
+     * @param {number} keyCode - key code
+     * @param {number} index - index of path of focused item
+     * @returns {?number}
+     * @private
+     */
+    _findZoomIndexByKey: function(keyCode, index) {
+        var zoomIndex = null;
+
+        if (keyCode === KEY_CODE_ENTER || keyCode === KEY_CODE_SPACE) {
+            zoomIndex = index;
+        } else if (keyCode === KEY_CODE_ESCAPE) {
+            zoomIndex = this.path.length - 2;
+        }
+
+        return zoomIndex;
+    },
+
+    /**
+     * On keydown.
+     * Arrow keys move focus between items.
+     * @param {KeyboardEvent} e - keyboard event
+     * @private
+     */
+    _onKeydown: function(e) {
+        var index = this._findPathIndex(e.target || e.srcElement);
+        var zoomIndex = this._findZoomIndexByKey(e.keyCode, index);
+        var focusDirection = FOCUS_DIRECTION_MAP[e.keyCode];
+
+        if (tui.util.isExisty(zoomIndex)) {
+            // items are rendered again synchronously by zooming
+            this.isFocusAfterRendering = true;
+            this._zoomToPathIndex(zoomIndex);
+            this.isFocusAfterRendering = false;
+        } else if (focusDirection) {
+            this._focusItem(index + focusDirection);
+        } else {
+            return;
+        }
+
+        if (e.preventDefault) {
+            e.preventDefault();
+        }
+    },
+
+    /**
+     * Attach browser event.
+     * @private
+     */
+    _attachEvent: function() {
+        eventListener.on(this.breadcrumbContainer, {
+            click: this._onClick,
+            keydown: this._onKeydown
+        }, this);
+    },
+
+    /**
+     * Detach browser event.
+     * @private
+     */
+    _detachEvent: function() {
+        eventListener.off(this.breadcrumbContainer, {
+            click: this._onClick,
+            keydown: this._onKeydown
+        });
+    },
+
+    /**
+     * On change path of zoom.
+     * @param {Array.<{id: ?string, label: string}>} path - path of zoom from root to current root of zoom
+     */
+    onChangeZoomPath: function(path) {
+        this.path = path;
+
+        if (this.breadcrumbContainer) {
+            this._renderItems();
+        }
+    },
+
+    /**
+     * Destroy.
+     */
+    destroy: function() {
+        if (this.breadcrumbContainer) {
+            this._detachEvent();
+        }
+
+        this.breadcrumbContainer = null;
+    }
+});
+
+/**
+ * Factory for Breadcrumb
+ * @param {object} params parameter
+ * @returns {object}
+ * @ignore
+ */
+function breadcrumbFactory(params) {
+    return new Breadcrumb(params);
+}
+
+breadcrumbFactory.componentType = 'breadcrumb';
+breadcrumbFactory.Breadcrumb = Breadcrumb;
+
+module.exports = breadcrumbFactory;
@@ -10,10 +10,9 @@ var chartConst = require('../../const');
 var chartExporter = require('../../helpers/chartExporter');
 var dom = require('../../helpers/domHandler');
 var eventListener = require('../../helpers/eventListener');
-var predicate = require('../../helpers/predicate');
 var renderUtil = require('../../helpers/renderUtil');
 
-var CHART_EXPORT_MENU_ITEMS = ['xls', 'csv', 'png', 'jpeg'];
+var CHART_EXPORT_MENU_ITEMS = ['xls', 'xlsx', 'csv', 'json', 'png', 'jpeg', 'svg'];
 var CLASS_NAME_CHART_EXPORT_MENU_OPENED = 'menu-opened';
 
 var ChartExportMenu = tui.util.defineClass(/** @lends ChartExportMenu.prototype */ {
@@ -117,8 +116,7 @@ var ChartExportMenu = tui.util.defineClass(/** @lends ChartExportMenu.prototype
      * @private
      */
     _renderChartExportMenu: function(chartExportMenuContainer) {
-        var seriesDataModelMap = this.dataProcessor.seriesDataModelMap;
-        var isDataDownloadAvailable = this.isDataDownloadAvailable(seriesDataModelMap);
+        var isDataDownloadAvailable = this.isDataDownloadAvailable();
         var isDownloadSupported = chartExporter.isDownloadSupported;
         var isImageExtension = chartExporter.isImageExtension;
         var isImageDownloadAvailable = chartExporter.isImageDownloadAvailable;
@@ -285,26 +283,12 @@ var ChartExportMenu = tui.util.defineClass(/** @lends ChartExportMenu.prototype
     },
 
     /**
-     * Return boolean value for chart data is able to export
-     * @param {object} seriesDataModels series data model
+     * Return boolean value for chart data is able to export.
+     * Data of every chart type, including coordinate and treemap type, is flattened for exporting.
      * @returns {boolean}
      */
-    isDataDownloadAvailable: function(seriesDataModels) {
-        var result = true;
-
-        if (predicate.isTreemapChart(this.chartType)) {
-            result = false;
-        } else {
-            tui.util.forEach(seriesDataModels, function(seriesDataModel) {
-                if (seriesDataModel.isCoordinateType) {
-                    result = false;
-                }
-
-                return false;
-            });
-        }
-
-        return result;
+    isDataDownloadAvailable: function() {
+        return true;
     },
 
     /**
@@ -321,6 +305,19 @@ var ChartExportMenu = tui.util.defineClass(/** @lends ChartExportMenu.prototype
      */
     _detachEvent: function() {
         eventListener.off(this.chartExportMenuContainer.parentNode, 'click', this._onClick);
+    },
+
+    /**
+     * Destroy.
+     */
+    destroy: function() {
+        if (this.chartExportMenuContainer) {
+            this._detachEvent();
+        }
+
+        this.chartExportMenuContainer = null;
+        this.chartExportMenu = null;
+        this.container = null;
     }
 });
 
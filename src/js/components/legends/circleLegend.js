@@ -160,6 +160,17 @@ var CircleLegend = tui.util.defineClass(/** @lends CircleLegend.prototype */ {
      */
     resize: function(data) {
         this.rerender(data);
+    },
+
+    /**
+     * Destroy circle legend component.
+     */
+    destroy: function() {
+        if (this.circleLegendSet) {
+            this.circleLegendSet.remove();
+        }
+
+        this.circleLegendSet = null;
     }
 });
 
@@ -69,13 +69,7 @@ var Legend = tui.util.defineClass(/** @lends Legend.prototype */ {
         /**
          * legend model
          */
-        this.legendModel = new LegendModel({
-            theme: this.theme,
-            labels: params.dataProcessor.getLegendLabels(),
-            legendData: params.dataProcessor.getLegendData(),
-            seriesTypes: this.seriesTypes,
-            chartType: this.chartType
-        });
+        this.legendModel = this._createLegendModel();
 
         /**
          * layout bounds information for this components
@@ -98,6 +92,37 @@ var Legend = tui.util.defineClass(/** @lends Legend.prototype */ {
         this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
     },
 
+    /**
+     * Create legend model.
+     * @returns {LegendModel}
+     * @private
+     */
+    _createLegendModel: function() {
+        return new LegendModel({
+            theme: this.theme,
+            labels: this.dataProcessor.getLegendLabels(),
+            legendData: this.dataProcessor.getLegendData(),
+            seriesTypes: this.seriesTypes,
+            chartType: this.chartType
+        });
+    },
+
+    /**
+     * Reset legend model, when raw data of chart is changed.
+     * Checked and selected states of legend are reset too.
+     */
+    resetData: function() {
+        this.legendModel = this._createLegendModel();
+    },
+
+    /**
+     * Get checked indexes.
+     * @returns {object.<string, Array.<boolean>>} checked indexes map by chart type
+     */
+    getCheckedIndexes: function() {
+        return this.legendModel.getCheckedIndexes();
+    },
+
     /**
      * Set data for rendering.
      * @param {{
@@ -151,6 +176,16 @@ var Legend = tui.util.defineClass(/** @lends Legend.prototype */ {
     resize: function(data) {
         this.rerender(data);
     },
+    /**
+     * Destroy legend component.
+     */
+    destroy: function() {
+        if (this.legendSet) {
+            this.legendSet.remove();
+        }
+
+        this.legendSet = null;
+    },
 
     /**
      * Get legend rendering data
@@ -89,10 +89,10 @@ var SpectrumLegend = tui.util.defineClass(/** @lends SpectrumLegend.prototype */
     _attachToEventBus: function() {
         this.eventBus.on({
             showWedge: this.onShowWedge,
-            hideTooltip: this.onHideWedge
+            hideTooltip: this.onHideWedge,
+            beforeImageDownload: this._removeLocationURLFromFillAttribute,
+            afterImageDownload: this._restoreLocationURLToFillAttribute
         }, this);
-        this.eventBus.on('beforeImageDownload', tui.util.bind(this._removeLocationURLFromFillAttribute, this));
-        this.eventBus.on('afterImageDownload', tui.util.bind(this._restoreLocationURLToFillAttribute, this));
     },
 
     /**
@@ -196,13 +196,50 @@ var SpectrumLegend = tui.util.defineClass(/** @lends SpectrumLegend.prototype */
      */
     _renderLegendArea: function() {
         var legendSet = this.paper.set();
+        var position = tui.util.extend({}, this.layout.position);
 
         this._renderGraph(legendSet);
         this._renderTickArea(legendSet);
 
+        if (this._isNoDataSwatchVisible()) {
+            this._renderNoDataSwatch(position, legendSet);
+        }
+
         return legendSet;
     },
 
+    /**
+     * Whether swatch of no data is visible or not.
+     * It is visible, when series has area without value, which is styled by noData option.
+     * @returns {boolean}
+     * @private
+     */
+    _isNoDataSwatchVisible: function() {
+        return !!this.colorSpectrum.noData && this.dataProcessor.hasNoDataValue(this.chartType);
+    },
+
+    /**
+     * Render swatch of no data, which is placed after color bar.
+     * @param {{left: number, top: number}} position - position of legend
+     * @param {Array.<object>} legendSet - legend set
+     * @private
+     */
+    _renderNoDataSwatch: function(position, legendSet) {
+        var padding = chartConst.LEGEND_AREA_PADDING;
+        var swatchPosition = {
+            left: position.left + padding,
+            top: position.top + padding
+        };
+
+        if (this.isHorizontal) {
+            swatchPosition.left += this._makeHorizontalGraphDimension().width + chartConst.MAP_LEGEND_NO_DATA_GAP;
+        } else {
+            swatchPosition.top += this._makeVerticalGraphDimension().height + chartConst.MAP_LEGEND_NO_DATA_GAP;
+        }
+
+        this.graphRenderer.renderNoDataSwatch(this.paper, swatchPosition, this.colorSpectrum.noData, legendSet);
+    },
+
     /**
      * Set data for rendering.
      * @param {{
@@ -242,6 +279,16 @@ var SpectrumLegend = tui.util.defineClass(/** @lends SpectrumLegend.prototype */
     resize: function(data) {
         this.rerender(data);
     },
+    /**
+     * Destroy legend component.
+     */
+    destroy: function() {
+        if (this.legnedSet) {
+            this.legnedSet.remove();
+        }
+
+        this.legnedSet = null;
+    },
 
     /**
      * On show wedge.
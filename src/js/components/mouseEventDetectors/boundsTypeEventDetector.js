@@ -10,7 +10,6 @@
 var EventDetectorBase = require('./mouseEventDetectorBase');
 var chartConst = require('../../const');
 var predicate = require('../../helpers/predicate');
-var dom = require('../../helpers/domHandler');
 
 var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends BoundsTypeEventDetector.prototype */ {
     /**
@@ -27,18 +26,6 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
          * @type {null | object}
          */
         this.prevFoundData = null;
-
-        /**
-         * history array for treemap chart.
-         * @type {number}
-         */
-        this.zoomHistory = [-1];
-
-        /**
-         * button for zoom history back
-         * @type {null | HTMLElement}
-         */
-        this.historyBackBtn = null;
     },
 
     /**
@@ -49,7 +36,7 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
     _attachToEventBus: function() {
         EventDetectorBase.prototype._attachToEventBus.call(this);
 
-        this.eventBus.on('afterZoom', this.onAfterZoom, this);
+        this.eventBus.on('changeZoomPath', this.onChangeZoomPath, this);
     },
 
     /**
@@ -108,22 +95,6 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
         this.eventBus.fire('showTooltip', foundData);
     },
 
-    /**
-     * Zoom history back.
-     * @private
-     */
-    _zoomHistoryBack: function() {
-        var index = this.zoomHistory[this.zoomHistory.length - 2];
-
-        this.zoomHistory.pop();
-        this.eventBus.fire('zoom', index);
-
-        if (this.zoomHistory.length === 1) {
-            this.mouseEventDetectorContainer.removeChild(this.historyBackBtn);
-            this.historyBackBtn = null;
-        }
-    },
-
     /**
      * Get seriesItem by indexes
      * @param {{groupIndex: number, index: number}} indexes - indexes
@@ -143,7 +114,6 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
      * @override
      */
     _onClick: function(e) {
-        var target = e.target || e.srcElement;
         var layerPosition, foundData, seriesItem;
 
         EventDetectorBase.prototype._onClick.call(this, e);
@@ -152,13 +122,6 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
             return;
         }
 
-        if (dom.hasClass(target, chartConst.CLASS_NAME_RESET_ZOOM_BTN)) {
-            this._hideTooltip();
-            this._zoomHistoryBack();
-
-            return;
-        }
-
         layerPosition = this._calculateLayerPosition(e.clientX, e.clientY);
         foundData = this._findDataFromBoundsCoordinateModel(layerPosition);
 
@@ -197,18 +160,19 @@ var BoundsTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
     },
 
     /**
-     * On after zoom.
-     * @param {number} index - index of target seriesItem
+     * Reset found data, when raw data of chart is changed.
      */
-    onAfterZoom: function(index) {
-        if (!this.historyBackBtn) {
-            this.historyBackBtn = dom.create('DIV', chartConst.CLASS_NAME_RESET_ZOOM_BTN);
-            this.historyBackBtn.innerHTML = '< Back';
-            dom.append(this.mouseEventDetectorContainer, this.historyBackBtn);
-        }
+    resetData: function() {
+        this.prevFoundData = null;
+    },
 
-        if (this.zoomHistory[this.zoomHistory.length - 1] !== index) {
-            this.zoomHistory.push(index);
+    /**
+     * On change path of zoom.
+     * Tooltip of previous root of zoom is hidden, when zoomed by breadcrumb or API.
+     */
+    onChangeZoomPath: function() {
+        if (this.prevFoundData) {
+            this._hideTooltip();
         }
     }
 });
@@ -218,5 +182,6 @@ function boundsTypeEventDetectorFactory(params) {
 }
 
 boundsTypeEventDetectorFactory.componentType = 'mouseEventDetector';
+boundsTypeEventDetectorFactory.BoundsTypeEventDetector = BoundsTypeEventDetector;
 
 module.exports = boundsTypeEventDetectorFactory;
@@ -0,0 +1,216 @@
+/**
+ * @fileoverview GanttChartEventDetector is mouse event detector for gantt chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var BoundsTypeEventDetector = require('./boundsTypeEventDetector').BoundsTypeEventDetector;
+var chartConst = require('../../const');
+var eventListener = require('../../helpers/eventListener');
+var dom = require('../../helpers/domHandler');
+
+var GanttChartEventDetector = tui.util.defineClass(BoundsTypeEventDetector,
+    /** @lends GanttChartEventDetector.prototype */ {
+        /**
+         * GanttChartEventDetector is mouse event detector for gantt chart.
+         * When zoomable option, time axis is zoomed by mouse wheel and panned by dragging.
+         * @constructs GanttChartEventDetector
+         * @private
+         * @extends BoundsTypeEventDetector
+         * @param {object} params parameters
+         *      @param {boolean} params.zoomable - whether zoomable or not
+         */
+        init: function(params) {
+            BoundsTypeEventDetector.call(this, params);
+
+            /**
+             * whether zoomable or not
+             * @type {boolean}
+             */
+            this.zoomable = !!params.zoomable;
+
+            /**
+             * clientX of previous mouse event while mouse is down
+             * @type {?number}
+             */
+            this.dragClientX = null;
+
+            /**
+             * whether dragged or not
+             * @type {boolean}
+             */
+            this.isDrag = false;
+        },
+
+        /**
+         * Start to drag, when mouse is down.
+         * @param {MouseEvent} e - mouse event
+         * @private
+         * @override
+         */
+        _onMousedown: function(e) {
+            if (this.zoomable) {
+                this.dragClientX = e.clientX;
+                this.isDrag = false;
+            }
+        },
+
+        /**
+         * Finish dragging.
+         * @private
+         */
+        _dragEnd: function() {
+            this.dragClientX = null;
+            dom.removeClass(this.mouseEventDetectorContainer, 'drag');
+        },
+
+        /**
+         * Finish dragging, when mouse is up.
+         * @private
+         * @override
+         */
+        _onMouseup: function() {
+            this._dragEnd();
+        },
+
+        /**
+         * Pan time axis by distance of dragging, while mouse is down.
+         * But if mouse is not down, tooltip is shown.
+         * @param {MouseEvent} e - mouse event
+         * @private
+         * @override
+         */
+        _onMousemove: function(e) {
+            var distance;
+
+            if (tui.util.isNull(this.dragClientX)) {
+                BoundsTypeEventDetector.prototype._onMousemove.call(this, e);
+
+                return;
+            }
+
+            distance = e.clientX - this.dragClientX;
+
+            if (!distance) {
+                return;
+            }
+
+            if (!this.isDrag) {
+                this.isDrag = true;
+                dom.addClass(this.mouseEventDetectorContainer, 'drag');
+
+                if (this.prevFoundData) {
+                    this._hideTooltip();
+                }
+            }
+
+            this.dragClientX = e.clientX;
+            this.eventBus.fire('panTimeAxis', distance / this.layout.dimension.width);
+        },
+
+        /**
+         * Click is ignored, when it finishes dragging.
+         * @param {MouseEvent} e - mouse event
+         * @private
+         * @override
+         */
+        _onClick: function(e) {
+            if (this.isDrag) {
+                this.isDrag = false;
+
+                return;
+            }
+
+            BoundsTypeEventDetector.prototype._onClick.call(this, e);
+        },
+
+        /**
+         * Finish dragging, when mouse is out of mouse event detector.
+         * @param {MouseEvent} e - mouse event
+         * @private
+         * @override
+         */
+        _onMouseout: function(e) {
+            var bound = this.mouseEventDetectorContainer.getBoundingClientRect();
+            var isOut = (e.clientX < bound.left) || (e.clientX > bound.right)
+                || (e.clientY < bound.top) || (e.clientY > bound.bottom);
+
+            if (isOut) {
+                this._dragEnd();
+            }
+
+            BoundsTypeEventDetector.prototype._onMouseout.call(this, e);
+        },
+
+        /**
+         * Zoom time axis around mouse position by mouse wheel.
+         * @param {MouseEvent} e - mouse event
+         * @returns {?boolean}
+         * @private
+         */
+        _onMousewheel: function(e) {
+            var wheelDelta = e.wheelDelta || e.detail * chartConst.FF_WHEELDELTA_ADJUSTING_VALUE;
+            var bound = this.mouseEventDetectorContainer.getBoundingClientRect();
+            var ratio = bound.width ? (e.clientX - bound.left) / bound.width : 0.5;
+
+            if (this.prevFoundData) {
+                this._hideTooltip();
+            }
+
+            this.eventBus.fire('zoomTimeAxis', wheelDelta, Math.min(Math.max(ratio, 0), 1));
+
+            if (e.preventDefault) {
+                e.preventDefault();
+            }
+
+            return false;
+        },
+
+        /**
+         * Attach event.
+         * @param {HTMLElement} target target element
+         * @override
+         */
+        attachEvent: function(target) {
+            BoundsTypeEventDetector.prototype.attachEvent.call(this, target);
+
+            if (!this.zoomable) {
+                return;
+            }
+
+            if (tui.util.browser.firefox) {
+                eventListener.on(target, 'DOMMouseScroll', this._onMousewheel, this);
+            } else {
+                eventListener.on(target, 'mousewheel', this._onMousewheel, this);
+            }
+        },
+
+        /**
+         * Detach event.
+         * @param {HTMLElement} target target element
+         * @override
+         */
+        detachEvent: function(target) {
+            BoundsTypeEventDetector.prototype.detachEvent.call(this, target);
+
+            if (!this.zoomable) {
+                return;
+            }
+
+            if (tui.util.browser.firefox) {
+                eventListener.off(target, 'DOMMouseScroll', this._onMousewheel);
+            } else {
+                eventListener.off(target, 'mousewheel', this._onMousewheel);
+            }
+        }
+    });
+
+function ganttChartEventDetectorFactory(params) {
+    return new GanttChartEventDetector(params);
+}
+
+ganttChartEventDetectorFactory.componentType = 'mouseEventDetector';
+
+module.exports = ganttChartEventDetectorFactory;
@@ -132,6 +132,19 @@ var GroupTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
         return layerX < 0 || layerX > dimension.width || layerY < 0 || layerY > dimension.height;
     },
 
+    /**
+     * Make range of group for positioning tooltip.
+     * @param {number} index - index of group
+     * @returns {{start: number, end: number}}
+     * @private
+     */
+    _makeRange: function(index) {
+        var positionValue = (this.isVertical ? this.layout.position.left : this.layout.position.top)
+            - chartConst.CHART_PADDING;
+
+        return this.tickBaseCoordinateModel.makeRange(index, positionValue);
+    },
+
     /**
      * Show tooltip.
      * @param {{indexes: {groupIndex: number}}} foundData - data
@@ -140,13 +153,11 @@ var GroupTypeEventDetector = tui.util.defineClass(EventDetectorBase, /** @lends
      */
     _showTooltip: function(foundData, isMoving) {
         var index = foundData.indexes.groupIndex;
-        var positionValue = (this.isVertical ? this.layout.position.left : this.layout.position.top)
-            - chartConst.CHART_PADDING;
 
         this.prevIndex = index;
         this.eventBus.fire('showTooltip', {
             index: index,
-            range: this.tickBaseCoordinateModel.makeRange(index, positionValue),
+            range: this._makeRange(index),
             size: this.dimension[this.sizeType],
             isVertical: this.isVertical,
             isMoving: isMoving
@@ -211,5 +222,6 @@ function groupTypeEventDetectorFactory(params) {
 }
 
 groupTypeEventDetectorFactory.componentType = 'mouseEventDetector';
+groupTypeEventDetectorFactory.GroupTypeEventDetector = GroupTypeEventDetector;
 
 module.exports = groupTypeEventDetectorFactory;
@@ -176,6 +176,21 @@ var MapChartEventDetector = tui.util.defineClass(MouseEventDetectorBase, /** @le
         } else {
             eventListener.on(target, 'mousewheel', this._onMousewheel, this);
         }
+    },
+
+    /**
+     * Detach event.
+     * @param {HTMLElement} target target element
+     * @override
+     */
+    detachEvent: function(target) {
+        MouseEventDetectorBase.prototype.detachEvent.call(this, target);
+
+        if (tui.util.browser.firefox) {
+            eventListener.off(target, 'DOMMouseScroll', this._onMousewheel);
+        } else {
+            eventListener.off(target, 'mousewheel', this._onMousewheel);
+        }
     }
 });
 
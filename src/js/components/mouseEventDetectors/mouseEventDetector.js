@@ -9,8 +9,10 @@ var predicate = require('../../helpers/predicate');
 var areaTypeEventDetectorFactory = require('./areaTypeEventDetector');
 var simpleEventDetectorFactory = require('./simpleEventDetector');
 var groupTypeEventDetectorFactory = require('./groupTypeEventDetector');
+var radialEventDetectorFactory = require('./radialEventDetector');
 var boundsTypeEventDetectorFactory = require('./boundsTypeEventDetector');
 var mapChartEventDetectorFactory = require('./mapChartEventDetector');
+var ganttChartEventDetectorFactory = require('./ganttChartEventDetector');
 
 /**
  * Factory for MouseEventDetector
@@ -24,18 +26,27 @@ function mouseEventDetectorFactory(params) {
     var seriesAllowSelect = params.chartOptions.series.allowSelect;
     var factory;
 
-    if (params.chartOptions.tooltip.grouped) {
+    if (params.chartOptions.tooltip.grouped && predicate.isRadialTypeChart(chartType)) {
+        factory = radialEventDetectorFactory;
+    } else if (params.chartOptions.tooltip.grouped) {
         factory = groupTypeEventDetectorFactory;
     } else if (predicate.isMapChart(chartType)) {
         factory = mapChartEventDetectorFactory;
+    } else if (predicate.isGanttChart(chartType)) {
+        factory = ganttChartEventDetectorFactory;
     } else if (predicate.isBarTypeChart(chartType)
                || predicate.isBoxplotChart(chartType)
+               || predicate.isBulletChart(chartType)
                || predicate.isHeatmapChart(chartType)
                || predicate.isTreemapChart(chartType)
               ) {
         factory = boundsTypeEventDetectorFactory;
     } else if (predicate.isCoordinateTypeChart(chartType)
                || predicate.isPieChart(chartType)
+               || predicate.isFunnelTypeChart(chartType)
+               || predicate.isSankeyChart(chartType)
+               || predicate.isSunburstChart(chartType)
+               || predicate.isPolarAreaChart(chartType)
                || predicate.isPieDonutComboChart(chartType, seriesTypes)) {
         factory = simpleEventDetectorFactory;
     } else {
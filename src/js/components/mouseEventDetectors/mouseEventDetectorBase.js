@@ -450,6 +450,31 @@ var MouseEventDetectorBase = tui.util.defineClass(/** @lends MouseEventDetectorB
             mousemove: this._onMousemove,
             mouseout: this._onMouseout
         }, this);
+    },
+
+    /**
+     * Detach mouse event.
+     * @param {HTMLElement} target - target element
+     */
+    detachEvent: function(target) {
+        eventListener.off(target, {
+            click: this._onClick,
+            mousedown: this._onMousedown,
+            mouseup: this._onMouseup,
+            mousemove: this._onMousemove,
+            mouseout: this._onMouseout
+        });
+    },
+
+    /**
+     * Destroy mouse event detector.
+     */
+    destroy: function() {
+        if (this.mouseEventDetectorContainer) {
+            this.detachEvent(this.mouseEventDetectorContainer);
+        }
+
+        this.mouseEventDetectorContainer = null;
     }
 });
 
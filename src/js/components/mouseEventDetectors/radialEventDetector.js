@@ -0,0 +1,149 @@
+/**
+ * @fileoverview RadialEventDetector is mouse event detector for grouped tooltip of radial type chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var chartConst = require('../../const');
+var GroupTypeEventDetector = require('./groupTypeEventDetector').GroupTypeEventDetector;
+
+var DEGREE_360 = 360;
+
+var RadialEventDetector = tui.util.defineClass(GroupTypeEventDetector, /** @lends RadialEventDetector.prototype */ {
+    /**
+     * RadialEventDetector is mouse event detector for grouped tooltip of radial type chart.
+     * Group is found by angle of mouse position from center of radial plot, instead of tick.
+     * @param {object} params parameters
+     * @constructs RadialEventDetector
+     * @private
+     * @extends GroupTypeEventDetector
+     */
+    init: function(params) {
+        GroupTypeEventDetector.call(this, params);
+
+        /**
+         * bound for circle of radial plot
+         * @type {?{cx: number, cy: number, r: number}}
+         */
+        this.circleBound = null;
+    },
+
+    /**
+     * Set circle bound of radial plot from series data.
+     * @param {{chartType: string, data: {circleBound: object}}} seriesItemBoundsDatum - series item bounds datum
+     * @override
+     */
+    onReceiveSeriesData: function(seriesItemBoundsDatum) {
+        this.circleBound = seriesItemBoundsDatum.data.circleBound;
+    },
+
+    /**
+     * Find index of group by angle of layer position.
+     * Angle is clockwise from top of circle, and nearest category of angle is found.
+     * @param {number} layerX - layerX
+     * @param {number} layerY - layerY
+     * @returns {number} group index
+     * @private
+     */
+    _findGroupIndexByAngle: function(layerX, layerY) {
+        var circleBound = this.circleBound;
+        var groupCount = this.dataProcessor.getCategoryCount(false);
+        var stepAngle = DEGREE_360 / groupCount;
+        var angle = Math.atan2(layerX - circleBound.cx, circleBound.cy - layerY) / chartConst.RAD;
+
+        return Math.round((angle + DEGREE_360) / stepAngle) % groupCount;
+    },
+
+    /**
+     * Find data by client position.
+     * @param {number} clientX - clientX
+     * @param {number} clientY - clientY
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _findGroupData: function(clientX, clientY) {
+        var layerPosition = this._calculateLayerPosition(clientX, clientY, true);
+        var groupIndex = -1;
+
+        if (!this._isOuterPosition(layerPosition.x, layerPosition.y)) {
+            groupIndex = this._findGroupIndexByAngle(layerPosition.x, layerPosition.y);
+        }
+
+        return {
+            indexes: {
+                groupIndex: groupIndex
+            }
+        };
+    },
+
+    /**
+     * Find data for selecting series.
+     * Selecting series by click is not supported in grouped tooltip of radial type chart.
+     * @returns {null}
+     * @private
+     * @override
+     */
+    _findData: function() {
+        return null;
+    },
+
+    /**
+     * Whether outer position of circle or not.
+     * @param {number} layerX layerX
+     * @param {number} layerY layerY
+     * @returns {boolean} result boolean
+     * @private
+     * @override
+     */
+    _isOuterPosition: function(layerX, layerY) {
+        var circleBound = this.circleBound;
+        var x, y;
+
+        if (!circleBound) {
+            return true;
+        }
+
+        x = layerX - circleBound.cx;
+        y = layerY - circleBound.cy;
+
+        return Math.sqrt((x * x) + (y * y)) > circleBound.r;
+    },
+
+    /**
+     * Make range for positioning tooltip.
+     * Tooltip is placed beside point on circle at angle of category.
+     * @param {number} index - index of group
+     * @returns {{start: number, end: number}}
+     * @private
+     * @override
+     */
+    _makeRange: function(index) {
+        var circleBound = this.circleBound;
+        var radian = (DEGREE_360 / this.dataProcessor.getCategoryCount(false)) * index * chartConst.RAD;
+        var left = circleBound.cx + (circleBound.r * Math.sin(radian))
+            - (this.layout.position.left - chartConst.CHART_PADDING);
+
+        return {
+            start: left,
+            end: left
+        };
+    }
+});
+
+/**
+ * Factory for RadialEventDetector
+ * @param {object} params parameter
+ * @returns {RadialEventDetector}
+ * @ignore
+ */
+function radialEventDetectorFactory(params) {
+    return new RadialEventDetector(params);
+}
+
+radialEventDetectorFactory.componentType = 'mouseEventDetector';
+radialEventDetectorFactory.RadialEventDetector = RadialEventDetector;
+
+module.exports = radialEventDetectorFactory;
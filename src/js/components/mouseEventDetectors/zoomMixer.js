@@ -408,6 +408,40 @@ var zoomMixer = {
             this.mouseEventDetectorContainer.removeChild(this.resetZoomBtn);
             this.resetZoomBtn = null;
         }
+    },
+
+    /**
+     * Remove reset zoom button, when raw data of chart is changed.
+     */
+    resetData: function() {
+        this.prevFoundData = null;
+
+        if (this.resetZoomBtn) {
+            this.mouseEventDetectorContainer.removeChild(this.resetZoomBtn);
+            this.resetZoomBtn = null;
+        }
+    },
+
+    /**
+     * Destroy.
+     * Drag events bound to document are unbound too.
+     * @override
+     */
+    destroy: function() {
+        if (this.downTarget && this.downTarget.releaseCapture) {
+            this.downTarget.releaseCapture();
+        }
+
+        eventListener.off(document, {
+            mousemove: this._onDrag,
+            mouseup: this._onMouseupAfterDrag
+        });
+
+        MouseEventDetectorBase.prototype.destroy.call(this);
+
+        this.downTarget = null;
+        this.dragSelectionElement = null;
+        this.resetZoomBtn = null;
     }
 };
 
@@ -91,7 +91,7 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
 
         dimension = this.layout.dimension;
 
-        if (predicate.isLineTypeChart(this.chartType, this.chartTypes)) {
+        if (predicate.isLineTypeChart(this.chartType, this.chartTypes) || predicate.isGanttChart(this.chartType)) {
             this._renderOptionalLines(paper, dimension);
         }
 
@@ -130,6 +130,12 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
 
         this._setDataForRendering(data);
         this._renderPlotArea(this.paper);
+
+        // plot is behind series, even when it is rendered again after them by changing options
+        this.plotSet.toBack();
+        if (this.paper.pushDownBackgroundToBottom) {
+            this.paper.pushDownBackgroundToBottom();
+        }
     },
 
     /**
@@ -150,6 +156,16 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
         this.plotSet.toBack();
         this.paper.pushDownBackgroundToBottom();
     },
+    /**
+     * Destroy plot component.
+     */
+    destroy: function() {
+        if (this.plotSet) {
+            this.plotSet.remove();
+        }
+
+        this.plotSet = null;
+    },
 
     /**
      * Make template params for vertical line.
@@ -408,6 +424,30 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
         return tui.util.map(lines, makeOptionalLineHtml).join('');
     },
 
+    /**
+     * Make data of today line by today option.
+     * Today option can be true, a date or an object like {value: date, color: color}.
+     * @returns {Array.<{value: (string|number|Date), color: string}>}
+     * @private
+     */
+    _makeTodayLineData: function() {
+        var todayOption = this.options.today;
+        var today;
+
+        if (!todayOption) {
+            return [];
+        }
+
+        today = (tui.util.isObject(todayOption) && !(todayOption instanceof Date)) ? todayOption : {
+            value: todayOption
+        };
+
+        return [{
+            value: (today.value === true || !tui.util.isExisty(today.value)) ? new Date() : today.value,
+            color: today.color || this.theme.todayLineColor
+        }];
+    },
+
     /**
      * Render optional lines and bands.
      * @param {object} paper - paper
@@ -418,6 +458,7 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
         var optionalLines = [];
         optionalLines.concat(this._makeOptionalBands(this.options.bands, dimension));
         optionalLines.concat(this._makeOptionalLines(this.options.lines, dimension));
+        optionalLines.concat(this._makeOptionalLines(this._makeTodayLineData(), dimension));
 
         this.optionalLines = optionalLines;
     },
@@ -453,10 +494,11 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
      * Maker html for horizontal lines.
      * @param {{width: number, height: number}} dimension - dimension
      * @param {string} lineColor - line color
+     * @param {object} [yAxisData] - axis data of y axis, which lines are rendered by
      * @private
      */
-    _renderHorizontalLines: function(dimension, lineColor) {
-        var positions = this._makeVerticalPositions(dimension.height);
+    _renderHorizontalLines: function(dimension, lineColor, yAxisData) {
+        var positions = this._makeVerticalPositions(dimension.height, yAxisData);
         var self = this;
         var layout = this.layout;
         var left = layout.position.left;
@@ -483,24 +525,53 @@ var Plot = tui.util.defineClass(/** @lends Plot.prototype */ {
      * @private
      */
     _renderPlotLines: function(container, dimension) {
+        var self = this;
         var theme = this.theme;
 
         if (!predicate.isLineTypeChart(this.chartType)) {
             this._renderVerticalLines(dimension, theme.lineColor);
         }
 
-        this._renderHorizontalLines(dimension, theme.lineColor);
+        tui.util.forEachArray(this._findYAxisDataListForPlotLines(), function(yAxisData) {
+            self._renderHorizontalLines(dimension, theme.lineColor, yAxisData);
+        });
+    },
+
+    /**
+     * Find axis data of y axes, which horizontal lines are rendered by.
+     * Base y axis renders lines unless its showPlotLine option is false,
+     * and other y axes render lines only when their showPlotLine option is true.
+     * @returns {Array.<object>}
+     * @private
+     */
+    _findYAxisDataListForPlotLines: function() {
+        var axisDataMap = this.axisDataMap;
+        var baseYAxisData = axisDataMap.yAxis || axisDataMap.rightYAxis;
+        var yAxisDataList = [];
+
+        if ((baseYAxisData.options || {}).showPlotLine !== false) {
+            yAxisDataList.push(baseYAxisData);
+        }
+
+        tui.util.forEach(axisDataMap, function(axisData) {
+            if (axisData !== baseYAxisData && axisData.isVertical && (axisData.options || {}).showPlotLine) {
+                yAxisDataList.push(axisData);
+            }
+        });
+
+        return yAxisDataList;
     },
 
     /**
      * Make positions for vertical line.
      * @param {number} height plot height
+     * @param {object} [yAxisData] - axis data of y axis, base y axis is used if omitted
      * @returns {Array.<number>} positions
      * @private
      */
-    _makeVerticalPositions: function(height) {
+    _makeVerticalPositions: function(height, yAxisData) {
         var axisDataMap = this.axisDataMap;
-        var yAxis = axisDataMap.yAxis || axisDataMap.rightYAxis;
+        var yAxis = yAxisData || axisDataMap.yAxis || axisDataMap.rightYAxis;
         var positions = calculator.makeTickPixelPositions(height, yAxis.validTickCount);
 
         positions.shift();
@@ -183,6 +183,17 @@ var RadialPlot = tui.util.defineClass(/** @lends Plot.prototype */ {
      */
     resize: function(data) {
         this.rerender(data);
+    },
+
+    /**
+     * Destroy plot component.
+     */
+    destroy: function() {
+        if (this.plotSet) {
+            this.plotSet.remove();
+        }
+
+        this.plotSet = null;
     }
 });
 
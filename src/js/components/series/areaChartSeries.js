@@ -129,6 +129,16 @@ var AreaChartSeries = tui.util.defineClass(Series, /** @lends AreaChartSeries.pr
         paper = Series.prototype.rerender.call(this, data);
 
         return paper;
+    },
+
+    /**
+     * Destroy.
+     * @override
+     */
+    destroy: function() {
+        this._cancelMovingAnimation();
+
+        Series.prototype.destroy.call(this);
     }
 });
 
@@ -97,8 +97,10 @@ var BarTypeSeriesBase = tui.util.defineClass(/** @lends BarTypeSeriesBase.protot
         var columnTopOffset = -this.layout.position.top + chartConst.CHART_PADDING;
         var positionValue, itemCount, barSize, optionSize, basePosition, pointInterval, baseBounds;
         var zeroToMin = this._getLimitDistanceFromZeroPoint(baseBarSize, this.limit).toMin;
+        var isColumnType = predicate.isColumnChart(this.chartType) || predicate.isWaterfallChart(this.chartType)
+            || (predicate.isBulletChart(this.chartType) && this.isVertical);
 
-        if (predicate.isColumnChart(this.chartType)) {
+        if (isColumnType) {
             positionValue = columnTopOffset;
         } else if (predicate.isBoxplotChart(this.chartType)) {
             positionValue = this.layout.position.top - chartConst.CHART_PADDING;
@@ -119,7 +121,7 @@ var BarTypeSeriesBase = tui.util.defineClass(/** @lends BarTypeSeriesBase.protot
             barSize = this._getBarWidthOptionSize(pointInterval, optionSize) || barSize;
             basePosition = zeroToMin + positionValue;
 
-            if (predicate.isColumnChart(this.chartType)) {
+            if (isColumnType) {
                 basePosition = baseBarSize - basePosition;
             }
 
@@ -165,9 +167,11 @@ var BarTypeSeriesBase = tui.util.defineClass(/** @lends BarTypeSeriesBase.protot
                 return label;
             });
         });
+        var isHorizontal = predicate.isBarChart(this.chartType) || predicate.isGanttChart(this.chartType)
+            || (predicate.isBulletChart(this.chartType) && !this.isVertical);
         var positionsSet;
 
-        if (predicate.isBarChart(this.chartType)) {
+        if (isHorizontal) {
             positionsSet = labelHelper.boundsToLabelPositionsForBarChart(seriesDataModel, boundsSet, labelTheme);
         } else {
             positionsSet = labelHelper.boundsToLabelPositionsForColumnChart(seriesDataModel, boundsSet, labelTheme);
@@ -49,7 +49,9 @@ var BoxplotChartSeries = tui.util.defineClass(Series, /** @lends BoxplotChartSer
      * @param {number} index index
      * @returns {{
      *      start: {left: number, top: number, width: number, height: number},
-     *      end: {left: number, top: number, width: number, height: number}
+     *      end: {left: number, top: number, width: number, height: number},
+     *      mean: ?{left: number, top: number},
+     *      notch: ?{top: number, bottom: number}
      * }}
      * @private
      */
@@ -58,7 +60,7 @@ var BoxplotChartSeries = tui.util.defineClass(Series, /** @lends BoxplotChartSer
         var boxStartTop = baseData.baseBarSize * (1 - seriesItem.lqRatio);
         var startTop = baseData.basePosition + boxStartTop + chartConst.SERIES_EXPAND_SIZE;
         var baseTopPosition = baseData.basePosition + chartConst.SERIES_EXPAND_SIZE;
-        var pointCount, endTop, boundLeft, outliers;
+        var pointCount, endTop, boundLeft, outliers, mean, notch;
 
         pointCount = index;
         iterationData.left = iterationData.baseLeft + (baseData.pointInterval * pointCount);
@@ -82,6 +84,20 @@ var BoxplotChartSeries = tui.util.defineClass(Series, /** @lends BoxplotChartSer
             };
         });
 
+        if (tui.util.isExisty(seriesItem.meanRatio)) {
+            mean = {
+                top: (baseData.baseBarSize * (1 - seriesItem.meanRatio)) + baseTopPosition,
+                left: boundLeft + (baseData.barSize / 2)
+            };
+        }
+
+        if (seriesItem.notch) {
+            notch = {
+                top: (baseData.baseBarSize * (1 - seriesItem.notch.upperRatio)) + baseTopPosition,
+                bottom: (baseData.baseBarSize * (1 - seriesItem.notch.lowerRatio)) + baseTopPosition
+            };
+        }
+
         return {
             start: {
                 top: startTop,
@@ -113,7 +129,9 @@ var BoxplotChartSeries = tui.util.defineClass(Series, /** @lends BoxplotChartSer
                 width: baseData.barSize,
                 height: 0
             },
-            outliers: outliers
+            outliers: outliers,
+            mean: mean || null,
+            notch: notch || null
         };
     },
 
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Bullet chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var BarTypeSeriesBase = require('./barTypeSeriesBase');
+var chartConst = require('../../const');
+
+var MEASURE_BAR_SIZE_RATIO = 0.4;
+var MARKER_SIZE_RATIO = 0.8;
+
+var BulletChartSeries = tui.util.defineClass(Series, /** @lends BulletChartSeries.prototype */ {
+    /**
+     * Bullet chart series component.
+     * Each bullet has range bands, measure bar of actual value and marker lines of target values.
+     * @constructs BulletChartSeries
+     * @private
+     * @extends Series
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     *      @param {boolean} params.isVertical whether vertical or not
+     */
+    init: function(params) {
+        Series.call(this, params);
+
+        /**
+         * whether vertical or not
+         * @type {boolean}
+         */
+        this.isVertical = !!params.isVertical;
+    },
+
+    /**
+     * Calculate position of ratio on value axis.
+     * @param {{baseBarSize: number, basePosition: number}} baseData - base data for making bound
+     * @param {number} ratio - ratio of value
+     * @returns {number}
+     * @private
+     */
+    _calculateValuePosition: function(baseData, ratio) {
+        var distance = baseData.baseBarSize * ratio;
+
+        if (this.isVertical) {
+            return baseData.basePosition - distance + chartConst.SERIES_EXPAND_SIZE;
+        }
+
+        return baseData.basePosition + distance;
+    },
+
+    /**
+     * Make rect bound between two positions of value axis.
+     * @param {number} center - center position on category axis
+     * @param {number} size - size of rect on category axis
+     * @param {number} fromPosition - from position on value axis
+     * @param {number} toPosition - to position on value axis
+     * @returns {{left: number, top: number, width: number, height: number}}
+     * @private
+     */
+    _makeRectBound: function(center, size, fromPosition, toPosition) {
+        var startPosition = Math.min(fromPosition, toPosition);
+        var distance = Math.abs(toPosition - fromPosition);
+
+        if (this.isVertical) {
+            return {
+                left: center - (size / 2),
+                top: startPosition,
+                width: size,
+                height: distance
+            };
+        }
+
+        return {
+            left: startPosition,
+            top: center - (size / 2),
+            width: distance,
+            height: size
+        };
+    },
+
+    /**
+     * Make bound of marker line.
+     * @param {number} center - center position on category axis
+     * @param {number} size - size of marker on category axis
+     * @param {number} position - position of target value on value axis
+     * @returns {{start: {left: number, top: number}, end: {left: number, top: number}}}
+     * @private
+     */
+    _makeMarkerBound: function(center, size, position) {
+        var from = center - (size / 2);
+        var to = center + (size / 2);
+
+        if (this.isVertical) {
+            return {
+                start: {
+                    left: from,
+                    top: position
+                },
+                end: {
+                    left: to,
+                    top: position
+                }
+            };
+        }
+
+        return {
+            start: {
+                left: position,
+                top: from
+            },
+            end: {
+                left: position,
+                top: to
+            }
+        };
+    },
+
+    /**
+     * Make bound of bullet.
+     * Range bands fill whole size of bullet, and measure bar and markers are drawn over them.
+     * @param {{
+     *      baseBarSize: number,
+     *      barSize: number,
+     *      pointInterval: number,
+     *      basePosition: number
+     * }} baseData - base data for making bound
+     * @param {number} baseCenter - base position of group on category axis
+     * @param {SeriesItemForBullet} seriesItem - series item
+     * @param {number} index - index
+     * @returns {{
+     *      start: {left: number, top: number, width: number, height: number},
+     *      end: {left: number, top: number, width: number, height: number},
+     *      ranges: Array.<{left: number, top: number, width: number, height: number}>,
+     *      markers: Array.<{start: {left: number, top: number}, end: {left: number, top: number}}>
+     * }}
+     * @private
+     */
+    _makeBulletBound: function(baseData, baseCenter, seriesItem, index) {
+        var self = this;
+        var center = baseCenter + (baseData.pointInterval * (index + 1));
+        var barSize = baseData.barSize;
+        var measureSize = barSize * MEASURE_BAR_SIZE_RATIO;
+        var startPosition = this._calculateValuePosition(baseData, seriesItem.startRatio || 0);
+        var endPosition = this._calculateValuePosition(baseData, seriesItem.ratio);
+        var rangeStartPosition = startPosition;
+
+        return {
+            start: this._makeRectBound(center, measureSize, startPosition, startPosition),
+            end: this._makeRectBound(center, measureSize, startPosition, endPosition),
+            ranges: tui.util.map(seriesItem.rangeRatios, function(ratio) {
+                var rangeEndPosition = self._calculateValuePosition(baseData, ratio);
+                var bound = self._makeRectBound(center, barSize, rangeStartPosition, rangeEndPosition);
+
+                rangeStartPosition = rangeEndPosition;
+
+                return bound;
+            }),
+            markers: tui.util.map(seriesItem.markerRatios, function(ratio) {
+                return self._makeMarkerBound(center, barSize * MARKER_SIZE_RATIO,
+                    self._calculateValuePosition(baseData, ratio));
+            })
+        };
+    },
+
+    /**
+     * Make bounds of bullet chart.
+     * @returns {Array.<Array.<object>>} bounds
+     * @private
+     */
+    _makeBounds: function() {
+        var self = this;
+        var seriesDataModel = this._getSeriesDataModel();
+        var dimension = this.layout.dimension;
+        var position = this.layout.position;
+        var baseData, basePositionName;
+
+        if (this.isVertical) {
+            baseData = this._makeBaseDataForMakingBound(dimension.width, dimension.height);
+            basePositionName = 'left';
+        } else {
+            baseData = this._makeBaseDataForMakingBound(dimension.height, dimension.width);
+            basePositionName = 'top';
+        }
+
+        return seriesDataModel.map(function(seriesGroup, groupIndex) {
+            var baseCenter = (groupIndex * baseData.groupSize) + position[basePositionName];
+            var iteratee = tui.util.bind(self._makeBulletBound, self, baseData, baseCenter);
+
+            return seriesGroup.map(iteratee);
+        });
+    }
+});
+
+BarTypeSeriesBase.mixin(BulletChartSeries);
+
+function bulletSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'bullet';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new BulletChartSeries(params);
+}
+
+bulletSeriesFactory.componentType = 'series';
+bulletSeriesFactory.BulletChartSeries = BulletChartSeries;
+
+module.exports = bulletSeriesFactory;
@@ -0,0 +1,195 @@
+/**
+ * @fileoverview Candlestick chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+
+var DEFAULT_BAR_SIZE_RATIO_BY_POINT_INTERVAL = 0.8;
+// volume columns are drawn on bottom of series area, at most this ratio of series height
+var VOLUME_AREA_HEIGHT_RATIO = 0.2;
+
+var CandlestickChartSeries = tui.util.defineClass(Series, /** @lends CandlestickChartSeries.prototype */ {
+    /**
+     * Candlestick chart series component.
+     * @constructs CandlestickChartSeries
+     * @private
+     * @extends Series
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function() {
+        Series.apply(this, arguments);
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      groupBounds: Array.<Array.<object>>,
+     *      seriesDataModel: SeriesDataModel,
+     *      isAvailable: function
+     * }}
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var groupBounds = this._makeBounds();
+
+        this.groupBounds = groupBounds;
+
+        return {
+            groupBounds: groupBounds,
+            seriesDataModel: this._getSeriesDataModel(),
+            isAvailable: function() {
+                return groupBounds && groupBounds.length > 0;
+            }
+        };
+    },
+
+    /**
+     * Make top position by ratio of value.
+     * @param {number} ratio - ratio of value
+     * @returns {number}
+     * @private
+     */
+    _makeTop: function(ratio) {
+        return this.layout.position.top + (this.layout.dimension.height * (1 - ratio));
+    },
+
+    /**
+     * Make bound of volume column.
+     * @param {SeriesItemForCandlestick} seriesItem - series item
+     * @param {number} left - left position
+     * @param {number} barSize - width of column
+     * @param {number} maxVolume - maximum volume of all series
+     * @returns {?{left: number, top: number, width: number, height: number}}
+     * @private
+     */
+    _makeVolumeBound: function(seriesItem, left, barSize, maxVolume) {
+        var dimension = this.layout.dimension;
+        var height;
+
+        if (!tui.util.isExisty(seriesItem.volume) || !maxVolume) {
+            return null;
+        }
+
+        height = dimension.height * VOLUME_AREA_HEIGHT_RATIO * (seriesItem.volume / maxVolume);
+
+        return {
+            left: left,
+            top: this.layout.position.top + dimension.height - height,
+            width: barSize,
+            height: height
+        };
+    },
+
+    /**
+     * Make bound of candlestick.
+     * End is bound of body, which is rect between open and close like bar, wick is line between high and low.
+     * @param {{pointInterval: number, barSize: number, maxVolume: number}} baseData - base data for making bound
+     * @param {number} baseLeft - left position of group
+     * @param {SeriesItemForCandlestick} seriesItem - series item
+     * @param {number} index - index of series item in group
+     * @returns {{
+     *      end: {left: number, top: number, width: number, height: number},
+     *      wick: {left: number, top: number, bottom: number},
+     *      volume: ?{left: number, top: number, width: number, height: number},
+     *      isRising: boolean
+     * }}
+     * @private
+     */
+    _makeCandlestickBound: function(baseData, baseLeft, seriesItem, index) {
+        var center = baseLeft + (baseData.pointInterval * (index + 1));
+        var left = center - (baseData.barSize / 2);
+        var openTop = this._makeTop(seriesItem.openRatio);
+        var closeTop = this._makeTop(seriesItem.closeRatio);
+        var bodyTop = Math.min(openTop, closeTop);
+
+        return {
+            end: {
+                left: left,
+                top: bodyTop,
+                width: baseData.barSize,
+                height: Math.max(Math.max(openTop, closeTop) - bodyTop, 1)
+            },
+            wick: {
+                left: center,
+                top: this._makeTop(seriesItem.highRatio),
+                bottom: this._makeTop(seriesItem.lowRatio)
+            },
+            volume: this._makeVolumeBound(seriesItem, left, baseData.barSize, baseData.maxVolume),
+            isRising: seriesItem.isRising
+        };
+    },
+
+    /**
+     * Make bounds of candlestick chart.
+     * @returns {Array.<Array.<object>>} bounds
+     * @private
+     */
+    _makeBounds: function() {
+        var self = this;
+        var seriesDataModel = this._getSeriesDataModel();
+        var groupCount = seriesDataModel.getGroupCount();
+        var groupSize, pointInterval, baseData;
+
+        if (!groupCount) {
+            return [];
+        }
+
+        groupSize = this.layout.dimension.width / groupCount;
+        pointInterval = groupSize / (seriesDataModel.getFirstSeriesGroup().getSeriesItemCount() + 1);
+        baseData = {
+            pointInterval: pointInterval,
+            barSize: this.options.barWidth || (pointInterval * DEFAULT_BAR_SIZE_RATIO_BY_POINT_INTERVAL),
+            maxVolume: seriesDataModel.getMaxValue('volume')
+        };
+
+        return seriesDataModel.map(function(seriesGroup, groupIndex) {
+            var baseLeft = (groupIndex * groupSize) + self.layout.position.left;
+
+            return seriesGroup.map(tui.util.bind(self._makeCandlestickBound, self, baseData, baseLeft));
+        });
+    },
+
+    /**
+     * Zoom by mouse drag.
+     * @param {object} data - data for rendering
+     */
+    zoom: function(data) {
+        this._clearSeriesContainer(data.paper);
+        this._setDataForRendering(data);
+        this._renderSeriesArea(data.paper, tui.util.bind(this._renderGraph, this));
+
+        if (!tui.util.isNull(this.selectedLegendIndex)) {
+            this.graphRenderer.selectLegend(this.selectedLegendIndex);
+        }
+    }
+});
+
+/**
+ * Factory of candlestick chart series.
+ * @param {object} params - parameters
+ * @returns {CandlestickChartSeries}
+ * @ignore
+ */
+function candlestickSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'candlestick';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new CandlestickChartSeries(params);
+}
+
+candlestickSeriesFactory.componentType = 'series';
+candlestickSeriesFactory.CandlestickChartSeries = CandlestickChartSeries;
+
+module.exports = candlestickSeriesFactory;
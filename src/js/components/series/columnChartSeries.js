@@ -86,7 +86,7 @@ var ColumnChartSeries = tui.util.defineClass(Series, /** @lends ColumnChartSerie
     _makeColumnChartBound: function(baseData, iterationData, isStackType, seriesItem, index) {
         var barHeight = Math.abs(baseData.baseBarSize * seriesItem.ratioDistance);
         var barStartTop = baseData.baseBarSize * seriesItem.startRatio;
-        var startTop = baseData.basePosition + barStartTop + chartConst.SERIES_EXPAND_SIZE;
+        var startTop = baseData.basePosition - barStartTop + chartConst.SERIES_EXPAND_SIZE;
         var changedStack = (seriesItem.stack !== iterationData.prevStack);
         var pointCount, endTop, bound, boundLeft;
 
@@ -0,0 +1,495 @@
+/**
+ * @fileoverview Funnel chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var chartConst = require('../../const');
+var predicate = require('../../helpers/predicate');
+
+var DEFAULT_FUNNEL_NECK_WIDTH = '30%';
+var DEFAULT_FUNNEL_NECK_HEIGHT = '25%';
+var DEFAULT_PREVIOUS_STAGE_LABEL = 'of previous';
+// funnel body is drawn on left side of series area at this ratio of width, when labels are outer
+var OUTER_LABEL_BODY_WIDTH_RATIO = 0.6;
+
+var FunnelChartSeries = tui.util.defineClass(Series, /** @lends FunnelChartSeries.prototype */ {
+    /**
+     * Funnel chart series component.
+     * Each stage is rendered as segment, which height is proportional to value of stage.
+     * Pyramid chart is funnel without neck, which is flipped vertically.
+     * @constructs FunnelChartSeries
+     * @private
+     * @extends Series
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function(params) {
+        Series.call(this, params);
+
+        this.isShowOuterLabel = predicate.isShowOuterLabel(this.options);
+
+        /**
+         * previous clicked index.
+         * @type {?number}
+         */
+        this.prevClickedIndex = null;
+
+        this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
+
+        this._setDefaultOptions();
+    },
+
+    /**
+     * Set default options for series of funnel type chart.
+     * Pyramid has no neck and its apex is on top, unless reversed option is true.
+     * Label following percentage of previous stage is set too.
+     * @private
+     */
+    _setDefaultOptions: function() {
+        var options = this.options;
+        var isPyramid = predicate.isPyramidChart(this.chartType);
+
+        if (tui.util.isUndefined(options.neckWidth)) {
+            options.neckWidth = isPyramid ? 0 : DEFAULT_FUNNEL_NECK_WIDTH;
+        }
+
+        if (tui.util.isUndefined(options.neckHeight)) {
+            options.neckHeight = isPyramid ? 0 : DEFAULT_FUNNEL_NECK_HEIGHT;
+        }
+
+        if (tui.util.isUndefined(options.previousStageLabel)) {
+            options.previousStageLabel = DEFAULT_PREVIOUS_STAGE_LABEL;
+        }
+
+        this.isFlipped = isPyramid !== !!options.reversed;
+    },
+
+    /**
+     * Convert size option to pixel.
+     * @param {number|string} size - pixel size or percentage string like '30%'
+     * @param {number} baseSize - base size for percentage
+     * @returns {number}
+     * @private
+     */
+    _convertSizeToPixel: function(size, baseSize) {
+        var pixel = parseFloat(size) || 0;
+
+        if (tui.util.isString(size) && size.indexOf('%') > -1) {
+            pixel = baseSize * pixel * 0.01;
+        }
+
+        return Math.max(Math.min(pixel, baseSize), 0);
+    },
+
+    /**
+     * Make shape of funnel body.
+     * @returns {{
+     *      centerLeft: number, top: number, width: number, height: number,
+     *      neckWidth: number, neckHeight: number
+     * }}
+     * @private
+     */
+    _makeBodyShape: function() {
+        var dimension = this.layout.dimension;
+        var position = this.layout.position;
+        var width = dimension.width;
+        var centerLeft = position.left + (width / 2);
+
+        if (this.isShowOuterLabel) {
+            width *= OUTER_LABEL_BODY_WIDTH_RATIO;
+            centerLeft = position.left + (width / 2);
+        }
+
+        return {
+            centerLeft: centerLeft,
+            top: position.top,
+            width: width,
+            height: dimension.height,
+            neckWidth: this._convertSizeToPixel(this.options.neckWidth, width),
+            neckHeight: this._convertSizeToPixel(this.options.neckHeight, dimension.height)
+        };
+    },
+
+    /**
+     * Calculate width of funnel body at distance from wide end.
+     * Body narrows linearly to neck width and keeps neck width below it.
+     * @param {object} shape - shape of funnel body
+     * @param {number} distance - distance from wide end
+     * @returns {number}
+     * @private
+     */
+    _calculateWidthAt: function(shape, distance) {
+        var coneHeight = shape.height - shape.neckHeight;
+
+        if (distance >= coneHeight) {
+            return shape.neckWidth;
+        }
+
+        return shape.width - ((shape.width - shape.neckWidth) * distance / coneHeight);
+    },
+
+    /**
+     * Calculate top position from distance from wide end.
+     * @param {object} shape - shape of funnel body
+     * @param {number} distance - distance from wide end
+     * @returns {number}
+     * @private
+     */
+    _calculateTop: function(shape, distance) {
+        return this.isFlipped ? shape.top + shape.height - distance : shape.top + distance;
+    },
+
+    /**
+     * Make points of segment between two distances from wide end.
+     * Point of neck start is added, when segment crosses it.
+     * @param {object} shape - shape of funnel body
+     * @param {number} startDistance - start distance from wide end
+     * @param {number} endDistance - end distance from wide end
+     * @returns {Array.<{left: number, top: number}>}
+     * @private
+     */
+    _makeSegmentPoints: function(shape, startDistance, endDistance) {
+        var self = this;
+        var coneHeight = shape.height - shape.neckHeight;
+        var distances = [startDistance];
+        var rightPoints, leftPoints;
+
+        if (startDistance < coneHeight && coneHeight < endDistance) {
+            distances.push(coneHeight);
+        }
+        distances.push(endDistance);
+
+        rightPoints = tui.util.map(distances, function(distance) {
+            return {
+                left: shape.centerLeft + (self._calculateWidthAt(shape, distance) / 2),
+                top: self._calculateTop(shape, distance)
+            };
+        });
+        leftPoints = tui.util.map(distances.reverse(), function(distance) {
+            return {
+                left: shape.centerLeft - (self._calculateWidthAt(shape, distance) / 2),
+                top: self._calculateTop(shape, distance)
+            };
+        });
+
+        return rightPoints.concat(leftPoints);
+    },
+
+    /**
+     * Make segments information.
+     * @returns {Array.<object>} segments information
+     * @private
+     */
+    _makeSegmentData: function() {
+        var self = this;
+        var seriesGroup = this._getSeriesDataModel().getFirstSeriesGroup();
+        var shape = this._makeBodyShape();
+        var distance = 0;
+
+        if (!seriesGroup) {
+            return [];
+        }
+
+        return seriesGroup.map(function(seriesItem) {
+            var ratio = seriesItem ? seriesItem.ratio : 0;
+            var startDistance = distance;
+            var middleDistance = startDistance + (shape.height * ratio / 2);
+            var middleTop = self._calculateTop(shape, middleDistance);
+
+            distance += shape.height * ratio;
+
+            return {
+                ratio: ratio,
+                points: self._makeSegmentPoints(shape, startDistance, distance),
+                centerPosition: {
+                    left: shape.centerLeft,
+                    top: middleTop
+                },
+                outerPosition: {
+                    start: {
+                        left: shape.centerLeft + (self._calculateWidthAt(shape, middleDistance) / 2),
+                        top: middleTop
+                    },
+                    end: {
+                        left: shape.centerLeft + (shape.width / 2) + chartConst.SERIES_OUTER_LABEL_PADDING,
+                        top: middleTop
+                    }
+                }
+            };
+        });
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      chartBackground: string,
+     *      segmentData: Array.<object>,
+     *      isAvailable: function
+     * }} add data for graph rendering
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var segmentData = this._makeSegmentData();
+
+        return {
+            chartBackground: this.chartBackground,
+            segmentData: segmentData,
+            isAvailable: function() {
+                return segmentData && segmentData.length > 0;
+            }
+        };
+    },
+
+    /**
+     * Render raphael graph.
+     * @param {{width: number, height: number}} dimension dimension
+     * @param {object} seriesData series data
+     * @param {object} paper paper object
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _renderGraph: function(dimension, seriesData, paper) {
+        var showTooltip = tui.util.bind(this.showTooltip, this, {
+            allowNegativeTooltip: !!this.allowNegativeTooltip,
+            seriesType: this.seriesType,
+            chartType: this.chartType
+        });
+        var callbacks = {
+            showTooltip: showTooltip,
+            hideTooltip: tui.util.bind(this.hideTooltip, this)
+        };
+        var params = this._makeParamsForGraphRendering(dimension, seriesData);
+
+        return this.graphRenderer.render(paper, params, callbacks);
+    },
+
+    /**
+     * Resize.
+     * Labels are rendered again by resizing, so they are shown without animation.
+     * @override
+     */
+    resize: function() {
+        Series.prototype.resize.apply(this, arguments);
+
+        if (this.labelSet && this.labelSet.length) {
+            this.labelSet.attr({
+                opacity: 1
+            });
+        }
+    },
+
+    /**
+     * showTooltip is mouseover event callback on series graph.
+     * @param {object} params parameters
+     *      @param {boolean} params.allowNegativeTooltip whether allow negative tooltip or not
+     * @param {{top:number, left: number, width: number, height: number}} bound graph bound information
+     * @param {number} groupIndex group index
+     * @param {number} index index
+     * @param {{left: number, top: number}} mousePosition mouse position
+     */
+    showTooltip: function(params, bound, groupIndex, index, mousePosition) {
+        this.eventBus.fire('showTooltip', tui.util.extend({
+            indexes: {
+                groupIndex: groupIndex,
+                index: index
+            },
+            mousePosition: mousePosition
+        }, params));
+    },
+
+    /**
+     * hideTooltip is mouseout event callback on series graph.
+     */
+    hideTooltip: function() {
+        this.eventBus.fire('hideTooltip');
+    },
+
+    /**
+     * Make series data by selection.
+     * @param {number} index index
+     * @returns {{indexes: {index: number, groupIndex: number}}} series data
+     * @private
+     */
+    _makeSeriesDataBySelection: function(index) {
+        return {
+            indexes: {
+                index: index,
+                groupIndex: index
+            }
+        };
+    },
+
+    /**
+     * Make label of stage.
+     * Label has legend and value by showLegend and showLabel options,
+     * and percentages of first stage and previous stage at next line, if legend or value exists.
+     * @param {SeriesItem} seriesItem - series item
+     * @param {string} legendLabel - legend label
+     * @param {number} index - index of stage
+     * @returns {string}
+     * @private
+     */
+    _makeStageLabel: function(seriesItem, legendLabel, index) {
+        var texts = [];
+        var percentageLabel = '';
+
+        if (this.options.showLegend) {
+            texts.push(legendLabel);
+        }
+
+        if (this.options.showLabel) {
+            texts.push(seriesItem.label);
+        }
+
+        if (tui.util.isExisty(seriesItem.firstStageRatio)) {
+            percentageLabel = makePercentageLabel(seriesItem.firstStageRatio);
+        }
+
+        if (index > 0 && tui.util.isExisty(seriesItem.previousStageRatio)) {
+            percentageLabel += ' (' + makePercentageLabel(seriesItem.previousStageRatio) + ' '
+                + this.options.previousStageLabel + ')';
+        }
+
+        if (texts.length) {
+            percentageLabel = texts.join(': ') + '\n' + percentageLabel;
+        }
+
+        return percentageLabel;
+    },
+
+    /**
+     * Move outer position to center of label.
+     * @param {{left: number, top: number}} position - position of left side of label
+     * @param {string} label - label
+     * @returns {{left: number, top: number}}
+     * @private
+     */
+    _moveToOuterPosition: function(position, label) {
+        return {
+            left: position.left + (this.graphRenderer.getRenderedLabelWidth(label, this.theme.label) / 2),
+            top: position.top
+        };
+    },
+
+    /**
+     * Render series label.
+     * Label is rendered on center of segment or on right side of funnel by labelAlign option.
+     * Label of stage without value is empty, for keeping labels aligned with segments.
+     * @param {object} paper paper
+     * @returns {Array.<object>}
+     * @private
+     */
+    _renderSeriesLabel: function(paper) {
+        var self = this;
+        var legendLabels = this.dataProcessor.getLegendLabels(this.seriesType);
+        var segmentData = this.seriesData.segmentData;
+        var labels = this._getSeriesDataModel().getFirstSeriesGroup().map(function(seriesItem, index) {
+            return seriesItem ? self._makeStageLabel(seriesItem, legendLabels[index], index) : '';
+        });
+        var positions, lines;
+
+        if (this.isShowOuterLabel) {
+            positions = tui.util.map(segmentData, function(datum, index) {
+                return self._moveToOuterPosition(datum.outerPosition.end, labels[index]);
+            });
+            lines = tui.util.pluck(segmentData, 'outerPosition');
+        } else {
+            positions = tui.util.pluck(segmentData, 'centerPosition');
+        }
+
+        return this.graphRenderer.renderLabels(paper, positions, labels, this.theme.label, lines);
+    },
+
+    /**
+     * On click series.
+     * Selected segment is unselected by clicking other segment, when allowSelect option is true.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onClickSeries: function(position) {
+        var segmentInfo = this._executeGraphRenderer(position, 'findSegmentInfo');
+        var prevIndex = this.prevClickedIndex;
+        var allowSelect = this.options.allowSelect;
+        var foundIndex, shouldSelect;
+
+        if (!segmentInfo || segmentInfo.chartType !== this.chartType) {
+            return;
+        }
+
+        foundIndex = segmentInfo.index;
+        shouldSelect = foundIndex > -1 && (foundIndex !== prevIndex);
+
+        if (allowSelect && tui.util.isExisty(prevIndex)) {
+            this.onUnselectSeries({
+                chartType: this.chartType,
+                indexes: {
+                    index: prevIndex
+                }
+            });
+            this.prevClickedIndex = null;
+        }
+
+        if (allowSelect && !shouldSelect) {
+            return;
+        }
+
+        this.onSelectSeries({
+            chartType: this.chartType,
+            indexes: {
+                index: foundIndex,
+                legendIndex: segmentInfo.legendIndex
+            }
+        }, shouldSelect);
+
+        if (allowSelect && foundIndex > -1) {
+            this.prevClickedIndex = foundIndex;
+        }
+    },
+
+    /**
+     * On move series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onMoveSeries: function(position) {
+        this._executeGraphRenderer(position, 'moveMouseOnSeries');
+    }
+});
+
+/**
+ * Make label of ratio as percentage with one decimal place.
+ * @param {number} ratio - ratio
+ * @returns {string}
+ * @ignore
+ */
+function makePercentageLabel(ratio) {
+    return parseFloat((ratio * 100).toFixed(1)) + '%';
+}
+
+/**
+ * Factory of funnel chart series.
+ * @param {object} params - parameters
+ * @returns {FunnelChartSeries}
+ * @ignore
+ */
+function funnelSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = params.chartOptions.chartType;
+    params.chartBackground = chartTheme.chart.background;
+
+    return new FunnelChartSeries(params);
+}
+
+funnelSeriesFactory.componentType = 'series';
+funnelSeriesFactory.FunnelChartSeries = FunnelChartSeries;
+
+module.exports = funnelSeriesFactory;
@@ -0,0 +1,226 @@
+/**
+ * @fileoverview Gantt chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var BarTypeSeriesBase = require('./barTypeSeriesBase');
+
+var MILESTONE_SIZE_RATIO = 0.8;
+var DEPENDENCY_LINE_GAP = 10;
+
+var GanttChartSeries = tui.util.defineClass(Series, /** @lends GanttChartSeries.prototype */ {
+    /**
+     * Gantt chart series component.
+     * Each task has datetime ranges as bars, milestones as diamonds and dependency lines from previous tasks.
+     * Graphs out of limit of time axis are clipped to series area, when time axis is zoomed.
+     * @constructs GanttChartSeries
+     * @private
+     * @extends Series
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function() {
+        Series.apply(this, arguments);
+    },
+
+    /**
+     * Clamp ratio, so that graphs are not rendered out of series area.
+     * @param {number} ratio - ratio
+     * @returns {number}
+     * @private
+     */
+    _clampRatio: function(ratio) {
+        return Math.min(Math.max(ratio, 0), 1);
+    },
+
+    /**
+     * Calculate left position of ratio on time axis.
+     * @param {{baseBarSize: number, basePosition: number}} baseData - base data for making bound
+     * @param {number} ratio - ratio of time
+     * @returns {number}
+     * @private
+     */
+    _calculateLeft: function(baseData, ratio) {
+        return baseData.basePosition + (baseData.baseBarSize * this._clampRatio(ratio));
+    },
+
+    /**
+     * Make bound of bar between two ratios.
+     * @param {{baseBarSize: number, basePosition: number}} baseData - base data for making bound
+     * @param {number} top - top position
+     * @param {number} height - height of bar
+     * @param {number} startRatio - ratio of start
+     * @param {number} endRatio - ratio of end
+     * @returns {{
+     *      start: {left: number, top: number, width: number, height: number},
+     *      end: {left: number, top: number, width: number, height: number}
+     * }}
+     * @private
+     */
+    _makeBarBound: function(baseData, top, height, startRatio, endRatio) {
+        var left = this._calculateLeft(baseData, startRatio);
+
+        return {
+            start: {
+                left: left,
+                top: top,
+                width: 0,
+                height: height
+            },
+            end: {
+                left: left,
+                top: top,
+                width: this._calculateLeft(baseData, endRatio) - left,
+                height: height
+            }
+        };
+    },
+
+    /**
+     * Make bound of task.
+     * Start and end bounds are bounds of whole period of task, which are used by tooltip and label.
+     * @param {{
+     *      baseBarSize: number,
+     *      barSize: number,
+     *      pointInterval: number,
+     *      basePosition: number
+     * }} baseData - base data for making bound
+     * @param {number} baseTop - base top position of group
+     * @param {SeriesItemForGantt} seriesItem - series item
+     * @param {number} index - index
+     * @returns {{
+     *      start: {left: number, top: number, width: number, height: number},
+     *      end: {left: number, top: number, width: number, height: number},
+     *      ranges: Array.<{start: object, end: object}>,
+     *      milestones: Array.<?{left: number, top: number, size: number}>,
+     *      dependencies: Array.<Array.<{left: number, top: number}>>
+     * }}
+     * @private
+     */
+    _makeTaskBound: function(baseData, baseTop, seriesItem, index) {
+        var self = this;
+        var center = baseTop + (baseData.pointInterval * (index + 1));
+        var barSize = baseData.barSize;
+        var top = center - (barSize / 2);
+        var hasRanges = seriesItem.rangeRatios.length > 0;
+        var bound = this._makeBarBound(baseData, top, barSize,
+            hasRanges ? seriesItem.startRatio : 0, hasRanges ? seriesItem.endRatio : 0);
+
+        bound.ranges = tui.util.map(seriesItem.rangeRatios, function(ratios) {
+            return self._makeBarBound(baseData, top, barSize, ratios.start, ratios.end);
+        });
+        bound.milestones = tui.util.map(seriesItem.milestoneRatios, function(ratio) {
+            if (ratio < 0 || ratio > 1) {
+                return null;
+            }
+
+            return {
+                left: self._calculateLeft(baseData, ratio),
+                top: center,
+                size: barSize * MILESTONE_SIZE_RATIO
+            };
+        });
+        bound.dependencies = [];
+
+        return bound;
+    },
+
+    /**
+     * Make points of dependency line from end of previous task to start of next task.
+     * @param {{left: number, top: number, width: number, height: number}} fromBound - bound of previous task
+     * @param {{left: number, top: number, width: number, height: number}} toBound - bound of next task
+     * @returns {Array.<{left: number, top: number}>}
+     * @private
+     */
+    _makeDependencyPoints: function(fromBound, toBound) {
+        var fromLeft = fromBound.left + fromBound.width;
+        var fromTop = fromBound.top + (fromBound.height / 2);
+        var toTop = toBound.top + (toBound.height / 2);
+        var cornerLeft = fromLeft + DEPENDENCY_LINE_GAP;
+
+        return [
+            {
+                left: fromLeft,
+                top: fromTop
+            },
+            {
+                left: cornerLeft,
+                top: fromTop
+            },
+            {
+                left: cornerLeft,
+                top: toTop
+            },
+            {
+                left: toBound.left,
+                top: toTop
+            }
+        ];
+    },
+
+    /**
+     * Add dependency lines to bounds of next tasks.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @private
+     */
+    _addDependencies: function(groupBounds) {
+        var self = this;
+        var categories = this.dataProcessor.getCategories();
+        var dependencies = this._getSeriesDataModel().getDependencies(categories);
+
+        tui.util.forEachArray(dependencies, function(dependency) {
+            var fromBound = groupBounds[dependency.fromIndex] && groupBounds[dependency.fromIndex][dependency.index];
+            var toBound = groupBounds[dependency.toIndex] && groupBounds[dependency.toIndex][dependency.index];
+
+            if (fromBound && toBound && fromBound.ranges.length && toBound.ranges.length) {
+                toBound.dependencies.push(self._makeDependencyPoints(fromBound.end, toBound.end));
+            }
+        });
+    },
+
+    /**
+     * Make bounds of gantt chart.
+     * @returns {Array.<Array.<object>>} bounds
+     * @private
+     */
+    _makeBounds: function() {
+        var self = this;
+        var seriesDataModel = this._getSeriesDataModel();
+        var dimension = this.layout.dimension;
+        var baseData = this._makeBaseDataForMakingBound(dimension.height, dimension.width);
+        var groupBounds = seriesDataModel.map(function(seriesGroup, groupIndex) {
+            var baseTop = (groupIndex * baseData.groupSize) + self.layout.position.top;
+            var iteratee = tui.util.bind(self._makeTaskBound, self, baseData, baseTop);
+
+            return seriesGroup.map(iteratee);
+        });
+
+        this._addDependencies(groupBounds);
+
+        return groupBounds;
+    }
+});
+
+BarTypeSeriesBase.mixin(GanttChartSeries);
+
+function ganttSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'gantt';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new GanttChartSeries(params);
+}
+
+ganttSeriesFactory.componentType = 'series';
+ganttSeriesFactory.GanttChartSeries = GanttChartSeries;
+
+module.exports = ganttSeriesFactory;
@@ -0,0 +1,337 @@
+/**
+ * @fileoverview Gauge chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var pieSeriesFactory = require('./pieChartSeries');
+var Series = require('./series');
+var chartConst = require('../../const');
+
+var PieChartSeries = pieSeriesFactory.PieChartSeries;
+
+var DEFAULT_START_ANGLE = 240;
+var DEFAULT_END_ANGLE = 120;
+var DEFAULT_RADIUS_RANGE = ['90%', '100%'];
+var DEFAULT_SOLID_RADIUS_RANGE = ['70%', '100%'];
+var TICK_SIZE = 5;
+var TICK_LABEL_PADDING = 3;
+var VALUE_LABEL_TOP_RATIO = 0.4;
+var VALUE_LABEL_FONT_SIZE_RATIO = 2;
+
+var GaugeChartSeries = tui.util.defineClass(PieChartSeries, /** @lends GaugeChartSeries.prototype */ {
+    /**
+     * Gauge chart series component.
+     * Arc of gauge is rendered by sector of pie chart, between startAngle and endAngle option.
+     * @constructs GaugeChartSeries
+     * @private
+     * @extends PieChartSeries
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function() {
+        PieChartSeries.apply(this, arguments);
+
+        /**
+         * angle of value, which needle or solid arc is moved from when rendering
+         * @type {?number}
+         */
+        this.prevValueAngle = null;
+    },
+
+    /**
+     * Set default options for series of gauge chart.
+     * Value label is shown by default.
+     * @private
+     * @override
+     */
+    _setDefaultOptions: function() {
+        var options = this.options;
+
+        if (tui.util.isUndefined(options.startAngle)) {
+            options.startAngle = DEFAULT_START_ANGLE;
+            options.endAngle = tui.util.isUndefined(options.endAngle) ? DEFAULT_END_ANGLE : options.endAngle;
+        }
+
+        if (tui.util.isUndefined(options.showLabel)) {
+            options.showLabel = true;
+        }
+
+        if (!options.radiusRange) {
+            options.radiusRange = options.solid ? DEFAULT_SOLID_RADIUS_RANGE : DEFAULT_RADIUS_RANGE;
+        }
+
+        PieChartSeries.prototype._setDefaultOptions.call(this);
+    },
+
+    /**
+     * Set data for rendering.
+     * Scale data of series is used for tick labels and angles of values.
+     * @param {object} data - data for rendering
+     * @private
+     * @override
+     */
+    _setDataForRendering: function(data) {
+        PieChartSeries.prototype._setDataForRendering.call(this, data);
+
+        this.scaleData = data.seriesScaleData;
+    },
+
+    /**
+     * Calculate angle of value.
+     * Value out of scale is pointed at start or end of arc.
+     * @param {number} value - value
+     * @returns {number}
+     * @private
+     */
+    _calculateAngle: function(value) {
+        var limit = this.scaleData.limit;
+        var ratio = (value - limit.min) / (limit.max - limit.min);
+
+        ratio = Math.max(Math.min(ratio, 1), 0);
+
+        return this.options.startAngle + (this._calculateAngleForRendering() * ratio);
+    },
+
+    /**
+     * Make angles of bands.
+     * @returns {Array.<{angles: {startAngle: number, endAngle: number}, color: string}>}
+     * @private
+     */
+    _makeBandData: function() {
+        var self = this;
+
+        return tui.util.map(this.options.bands || [], function(band) {
+            return {
+                angles: {
+                    startAngle: self._calculateAngle(band.range[0]),
+                    endAngle: self._calculateAngle(band.range[1])
+                },
+                color: band.color
+            };
+        });
+    },
+
+    /**
+     * Make tick data, which has positions of tick line and label.
+     * Labels are placed inside of arc, far enough not to overlap arc.
+     * @param {{cx: number, cy: number, r: number}} circleBound - circle bound
+     * @returns {Array.<{start: object, end: object, labelPosition: object, label: string}>}
+     * @private
+     */
+    _makeTickData: function(circleBound) {
+        var self = this;
+        var scaleData = this.scaleData;
+        var labelTheme = this.theme.label;
+        var innerRadius = circleBound.r * this.options.radiusRange[0];
+
+        return tui.util.map(scaleData.labels, function(label, index) {
+            var angle = self._calculateAngle(scaleData.limit.min + (scaleData.step * index));
+            var radian = angle * chartConst.RAD;
+            var labelDistance = TICK_SIZE + TICK_LABEL_PADDING
+                + (self.graphRenderer.getRenderedLabelWidth(label, labelTheme) * Math.abs(Math.sin(radian)) / 2)
+                + (self.graphRenderer.getRenderedLabelHeight(label, labelTheme) * Math.abs(Math.cos(radian)) / 2);
+            var positionData = {
+                cx: circleBound.cx,
+                cy: circleBound.cy,
+                angle: angle
+            };
+
+            return {
+                start: self._getArcPosition(tui.util.extend({
+                    r: innerRadius
+                }, positionData)),
+                end: self._getArcPosition(tui.util.extend({
+                    r: innerRadius - TICK_SIZE
+                }, positionData)),
+                labelPosition: self._getArcPosition(tui.util.extend({
+                    r: innerRadius - labelDistance
+                }, positionData)),
+                label: label
+            };
+        });
+    },
+
+    /**
+     * Find color of band, which contains value.
+     * @param {number} value - value
+     * @returns {?string}
+     * @private
+     */
+    _findBandColor: function(value) {
+        var foundBand = tui.util.filter(this.options.bands || [], function(band) {
+            return band.range[0] <= value && value <= band.range[1];
+        })[0];
+
+        return foundBand ? foundBand.color : null;
+    },
+
+    /**
+     * Make data of value, which is pointed by needle or filled as solid arc.
+     * @param {{cx: number, cy: number, r: number}} circleBound - circle bound
+     * @returns {?{
+     *      angle: number, fromAngle: number, color: string, needleLength: number,
+     *      label: string, legend: string, labelPosition: {left: number, top: number}
+     * }}
+     * @private
+     */
+    _makeValueData: function(circleBound) {
+        var seriesItem = this._getSeriesDataModel().getSeriesItem(0, 0);
+        var innerRadius = circleBound.r * this.options.radiusRange[0];
+        var labelTop = circleBound.cy;
+
+        if (!seriesItem) {
+            return null;
+        }
+
+        if (!this.options.solid) {
+            labelTop += circleBound.r * VALUE_LABEL_TOP_RATIO;
+        }
+
+        return {
+            angle: this._calculateAngle(seriesItem.value),
+            fromAngle: tui.util.isNull(this.prevValueAngle) ? this.options.startAngle : this.prevValueAngle,
+            color: this._findBandColor(seriesItem.value) || this.theme.colors[0],
+            needleLength: innerRadius - TICK_SIZE,
+            label: seriesItem.label,
+            legend: this.dataProcessor.getLegendLabels(this.seriesType)[0],
+            labelPosition: {
+                left: circleBound.cx,
+                top: labelTop
+            }
+        };
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      chartBackground: string,
+     *      circleBound: ({cx: number, cy: number, r: number}),
+     *      trackAngles: {startAngle: number, endAngle: number},
+     *      bandData: Array.<object>,
+     *      tickData: Array.<object>,
+     *      valueData: ?object
+     * }} add data for graph rendering
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var circleBound = this._makeCircleBound();
+        var valueData = this._makeValueData(circleBound);
+
+        return {
+            chartBackground: this.chartBackground,
+            circleBound: circleBound,
+            trackAngles: {
+                startAngle: this.options.startAngle,
+                endAngle: this.options.startAngle + this._calculateAngleForRendering()
+            },
+            bandData: this._makeBandData(),
+            tickData: this._makeTickData(circleBound),
+            valueData: valueData,
+            isAvailable: function() {
+                return !!valueData;
+            }
+        };
+    },
+
+    /**
+     * Render value label on center of gauge.
+     * Legend label is rendered under value label, when showLegend option is true.
+     * @param {object} paper - raphael paper
+     * @returns {Array.<object>}
+     * @private
+     * @override
+     */
+    _renderSeriesLabel: function(paper) {
+        var valueData = this.seriesData.valueData;
+        var position = valueData.labelPosition;
+        var labelTheme = this.theme.label;
+        var valueLabelTheme = tui.util.extend({}, labelTheme, {
+            fontSize: labelTheme.fontSize * VALUE_LABEL_FONT_SIZE_RATIO
+        });
+        var labelSet = this.graphRenderer.renderLabels(paper, [position], [valueData.label], valueLabelTheme);
+        var legendPosition;
+
+        if (this.options.showLegend) {
+            legendPosition = {
+                left: position.left,
+                top: position.top + this.graphRenderer.getRenderedLabelHeight(valueData.label, valueLabelTheme)
+            };
+            labelSet.push(this.graphRenderer.renderLabels(paper, [legendPosition], [valueData.legend], labelTheme)[0]);
+        }
+
+        return labelSet;
+    },
+
+    /**
+     * Resize raphael graph.
+     * Graph of gauge is rendered again, because count of ticks can be changed.
+     * @param {{width: number, height: number}} dimension - chart dimension
+     * @param {object} seriesData - series data
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _resizeGraph: function(dimension, seriesData) {
+        return this.graphRenderer.resize(tui.util.extend({
+            dimension: this.dimensionMap.chart
+        }, seriesData));
+    },
+
+    /**
+     * Resize.
+     * Value label is shown without animation.
+     * @override
+     */
+    resize: function() {
+        Series.prototype.resize.apply(this, arguments);
+
+        if (this.labelSet && this.labelSet.attr) {
+            this.labelSet.attr({
+                opacity: 1
+            });
+        }
+    },
+
+    /**
+     * Change value of gauge.
+     * Needle or solid arc is moved from angle of previous value.
+     * @param {object} data - data for rendering
+     */
+    changeValue: function(data) {
+        var valueData = this.seriesData && this.seriesData.valueData;
+
+        this.prevValueAngle = valueData ? valueData.angle : null;
+        this.rerender(data);
+        this.prevValueAngle = null;
+
+        this.animateComponent(true);
+    }
+});
+
+/**
+ * Factory of gauge chart series.
+ * @param {object} params - parameters
+ * @returns {GaugeChartSeries}
+ * @ignore
+ */
+function gaugeSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'gauge';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new GaugeChartSeries(params);
+}
+
+gaugeSeriesFactory.componentType = 'series';
+gaugeSeriesFactory.GaugeChartSeries = GaugeChartSeries;
+
+module.exports = gaugeSeriesFactory;
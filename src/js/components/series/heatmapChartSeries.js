@@ -95,14 +95,17 @@ var HeatmapChartSeries = tui.util.defineClass(Series, /** @lends HeatmapChartSer
 
     /**
      * Call showWedge event of spectrum legend, when call showTooltip event.
+     * Wedge is not shown for cell without value.
      * @param {{indexes: {groupIndex: number, index: number}}} params - parameters
      */
     onShowTooltip: function(params) {
         var seriesDataModel = this._getSeriesDataModel();
         var indexes = params.indexes;
-        var ratio = seriesDataModel.getSeriesItem(indexes.groupIndex, indexes.index).ratio;
+        var seriesItem = seriesDataModel.getSeriesItem(indexes.groupIndex, indexes.index);
 
-        this.eventBus.fire('showWedge', ratio);
+        if (!tui.util.isNull(seriesItem.value)) {
+            this.eventBus.fire('showWedge', seriesItem.ratio);
+        }
     },
 
     /**
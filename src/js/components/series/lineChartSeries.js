@@ -72,6 +72,16 @@ var LineChartSeries = tui.util.defineClass(Series, /** @lends LineChartSeries.pr
         paper = Series.prototype.rerender.call(this, data);
 
         return paper;
+    },
+
+    /**
+     * Destroy.
+     * @override
+     */
+    destroy: function() {
+        this._cancelMovingAnimation();
+
+        Series.prototype.destroy.call(this);
     }
 });
 
@@ -8,6 +8,7 @@
 
 var Series = require('./series');
 var chartConst = require('../../const');
+var predicate = require('../../helpers/predicate');
 
 var browser = tui.util.browser;
 var IS_LTE_THAN_IE8 = browser.msie && browser.version <= 8;
@@ -22,6 +23,8 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
      *      @param {object} params.options series options
      *      @param {object} params.theme series theme
      *      @param {MapChartDataProcessor} params.dataProcessor data processor for map chart
+     *      @param {{type: string}} params.pointOptions options for points like markers and bubbles
+     *      @param {boolean} params.hasBreadcrumb whether breadcrumb of drilldown is placed on top of series or not
      */
     init: function(params) {
         /**
@@ -69,6 +72,24 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
          */
         this.colorSpectrum = params.colorSpectrum;
 
+        /**
+         * Options for points.
+         * @type {{type: string}}
+         */
+        this.pointOptions = params.pointOptions || {};
+
+        /**
+         * Whether breadcrumb of drilldown is placed on top of series or not.
+         * @type {boolean}
+         */
+        this.hasBreadcrumb = !!params.hasBreadcrumb;
+
+        /**
+         * Max radius for bubble points.
+         * @type {?number}
+         */
+        this.maxRadius = null;
+
         /**
          * Previous mouse position.
          * @type {?{left: number, top: number}}
@@ -81,6 +102,12 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
          */
         this.prevMovedIndex = null;
 
+        /**
+         * Previous moved index of point.
+         * @type {?number}
+         */
+        this.prevMovedPointIndex = null;
+
         /**
          * Whether drag or not.
          * @type {boolean}
@@ -140,6 +167,35 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         };
     },
 
+    /**
+     * Set data for rendering.
+     * Map is rendered below breadcrumb of drilldown, if it exists.
+     * @param {{maxRadius: ?number}} data - data for rendering
+     * @private
+     * @override
+     */
+    _setDataForRendering: function(data) {
+        var breadcrumbHeight = chartConst.BREADCRUMB_HEIGHT;
+        var layout;
+
+        Series.prototype._setDataForRendering.call(this, data);
+        this.maxRadius = data.maxRadius;
+
+        if (this.hasBreadcrumb) {
+            layout = this.layout;
+            this.layout = {
+                dimension: {
+                    width: layout.dimension.width,
+                    height: layout.dimension.height - breadcrumbHeight
+                },
+                position: {
+                    left: layout.position.left,
+                    top: layout.position.top + breadcrumbHeight
+                }
+            };
+        }
+    },
+
     /**
      * Render series component.
      * @param {object} data data for rendering
@@ -149,6 +205,29 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         this._setMapRatio();
     },
 
+    /**
+     * Rerender series component.
+     * Map is not rendered again for keeping zoom and position of it, only colors and labels are updated.
+     * @param {object} data data for rendering
+     * @override
+     */
+    rerender: function(data) {
+        this._setDataForRendering(data);
+        this.mapModel.clearMapData();
+
+        if (this.labelSet && this.labelSet.remove) {
+            this.labelSet.remove();
+        }
+
+        this.graphRenderer.updateColors(this.mapModel.getMapData(), this.colorSpectrum);
+        this.graphRenderer.updatePoints(this._makePointsForRendering());
+        this.prevMovedPointIndex = null;
+
+        if (predicate.isShowLabel(this.options)) {
+            this.labelSet = this._renderSeriesLabel(this.paper);
+        }
+    },
+
     /**
      * Set limit position to move map.
      * @private
@@ -163,6 +242,20 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         };
     },
 
+    /**
+     * Make points for rendering markers or bubbles.
+     * @returns {{data: Array.<object>, type: string, maxRadius: ?number, color: string}}
+     * @private
+     */
+    _makePointsForRendering: function() {
+        return {
+            data: this.mapModel.getPointData(),
+            type: this.pointOptions.type,
+            maxRadius: this.maxRadius,
+            color: this.theme.markerColor
+        };
+    },
+
     /**
      * Render raphael graph.
      * @private
@@ -177,7 +270,8 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
             colorSpectrum: this.colorSpectrum,
             mapModel: this.mapModel,
             layout: this.layout,
-            theme: this.theme
+            theme: this.theme,
+            points: this._makePointsForRendering()
         });
     },
 
@@ -275,7 +369,17 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
      * @param {{left: number, top: number}} position - mouse position
      */
     onClickSeries: function(position) {
-        var foundIndex = this._executeGraphRenderer(position, 'findSectorIndex');
+        var foundPointIndex = this._executeGraphRenderer(position, 'findPointIndex');
+        var foundIndex;
+
+        if (!tui.util.isNull(foundPointIndex)) {
+            this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'clickPoint',
+                this._makePointEventData(foundPointIndex));
+
+            return;
+        }
+
+        foundIndex = this._executeGraphRenderer(position, 'findSectorIndex');
 
         if (!tui.util.isNull(foundIndex)) {
             this.eventBus.fire('selectSeries', {
@@ -286,6 +390,50 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         }
     },
 
+    /**
+     * Zoom in to region with animation, before map is changed to child map of region by drilldown.
+     * @param {string} code - code of region
+     * @param {function} callback - callback, which is called after animation
+     */
+    zoomInRegion: function(code, callback) {
+        var datum = this.mapModel.findDatumByCode(code);
+
+        this.eventBus.fire('hideTooltip');
+
+        if (this.labelSet && this.labelSet.attr) {
+            this.labelSet.attr({
+                opacity: 0
+            });
+        }
+
+        if (datum) {
+            this.graphRenderer.zoomInBound(datum.bound, callback);
+        } else {
+            callback();
+        }
+    },
+
+    /**
+     * Zoom out from region with animation, after map is changed to parent map of region by drilldown.
+     * @param {string} code - code of region
+     */
+    zoomOutFromRegion: function(code) {
+        var datum = this.mapModel.findDatumByCode(code);
+
+        if (datum) {
+            this.graphRenderer.zoomOutFromBound(datum.bound);
+        } else {
+            this.graphRenderer.fadeIn();
+        }
+    },
+
+    /**
+     * Fade in map with animation, after map is changed to child map by drilldown.
+     */
+    fadeInMap: function() {
+        this.graphRenderer.fadeIn();
+    },
+
     /**
      * Whether changed position or not.
      * @param {?{left: number, top: number}} prevPosition previous position
@@ -310,18 +458,48 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         }
     },
 
+    /**
+     * Make data of point for public event.
+     * @param {number} index - index of point
+     * @returns {{chartType: string, index: number, name: ?string, value: ?number,
+     *          lon: ?number, lat: ?number, x: ?number, y: ?number}}
+     * @private
+     */
+    _makePointEventData: function(index) {
+        var datum = this.mapModel.getPointDatum(index);
+        var eventData = {
+            chartType: this.chartType,
+            index: index
+        };
+
+        tui.util.forEachArray(['name', 'value', 'lon', 'lat', 'x', 'y'], function(key) {
+            if (tui.util.isExisty(datum[key])) {
+                eventData[key] = datum[key];
+            }
+        });
+
+        return eventData;
+    },
+
     /**
      * Show tooltip.
-     * @param {number} index map data index
+     * @param {number} index map data index or point index
      * @param {{left: number, top: number}} mousePosition mouse position
+     * @param {boolean} [isPoint] whether tooltip of point or not
      * @private
      */
-    _showTooltip: function(index, mousePosition) {
+    _showTooltip: function(index, mousePosition, isPoint) {
+        var indexes = {
+            index: index
+        };
+
+        if (isPoint) {
+            indexes.isPoint = true;
+        }
+
         this.eventBus.fire('showTooltip', {
             chartType: this.chartType,
-            indexes: {
-                index: index
-            },
+            indexes: indexes,
             mousePosition: {
                 left: mousePosition.left,
                 top: mousePosition.top - chartConst.TOOLTIP_GAP
@@ -329,13 +507,74 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
         });
     },
 
+    /**
+     * Restore previous moved sector and hide tooltip of it.
+     * @private
+     */
+    _leaveSector: function() {
+        if (!tui.util.isNull(this.prevMovedIndex)) {
+            this.graphRenderer.restoreColor(this.prevMovedIndex);
+            this.eventBus.fire('hideTooltip');
+            this.prevMovedIndex = null;
+        }
+    },
+
+    /**
+     * Restore previous moved point and hide tooltip of it.
+     * @private
+     */
+    _leavePoint: function() {
+        if (!tui.util.isNull(this.prevMovedPointIndex)) {
+            this.graphRenderer.restorePointColor(this.prevMovedPointIndex);
+            this.eventBus.fire('hideTooltip');
+            this.prevMovedPointIndex = null;
+        }
+    },
+
+    /**
+     * On move point.
+     * @param {number} index index of point
+     * @param {{left: number, top: number}} position position
+     * @private
+     */
+    _onMovePoint: function(index, position) {
+        var containerBound;
+
+        if (this.prevMovedPointIndex !== index) {
+            this._leavePoint();
+            this.graphRenderer.changePointColor(index);
+            this.prevMovedPointIndex = index;
+            this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'hoverPoint', this._makePointEventData(index));
+        }
+
+        if (this._isChangedPosition(this.prevPosition, position)) {
+            containerBound = this.paper.canvas.getBoundingClientRect();
+            this._showTooltip(index, {
+                left: position.left - containerBound.left,
+                top: position.top - containerBound.top
+            }, true);
+        }
+    },
+
     /**
      * On move series.
+     * Points like markers are hovered prior to sectors, because they are rendered over sectors.
      * @param {{left: number, top: number}} position position
      */
     onMoveSeries: function(position) {
-        var foundIndex = this._executeGraphRenderer(position, 'findSectorIndex'),
-            containerBound;
+        var foundPointIndex = this._executeGraphRenderer(position, 'findPointIndex');
+        var foundIndex, containerBound;
+
+        if (!tui.util.isNull(foundPointIndex)) {
+            this._leaveSector();
+            this._onMovePoint(foundPointIndex, position);
+            this.prevPosition = position;
+
+            return;
+        }
+
+        this._leavePoint();
+        foundIndex = this._executeGraphRenderer(position, 'findSectorIndex');
 
         if (!tui.util.isNull(foundIndex)) {
             if (this.prevMovedIndex !== foundIndex) {
@@ -358,10 +597,8 @@ var MapChartSeries = tui.util.defineClass(Series, /** @lends MapChartSeries.prot
             }
 
             this._showWedge(foundIndex);
-        } else if (!tui.util.isNull(this.prevMovedIndex)) {
-            this.graphRenderer.restoreColor(this.prevMovedIndex);
-            this.eventBus.fire('hideTooltip');
-            this.prevMovedIndex = null;
+        } else {
+            this._leaveSector();
         }
         this.prevPosition = position;
     },
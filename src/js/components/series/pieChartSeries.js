@@ -419,6 +419,16 @@ var PieChartSeries = tui.util.defineClass(Series, /** @lends PieChartSeries.prot
         this._moveLegendLines();
     },
 
+    /**
+     * Animate graph for changing data.
+     * @private
+     * @override
+     */
+    _animateForChangingData: function() {
+        Series.prototype._animateForChangingData.apply(this, arguments);
+        this._moveLegendLines();
+    },
+
     /**
      * showTooltip is mouseover event callback on series graph.
      * @param {object} params parameters
@@ -0,0 +1,210 @@
+/**
+ * @fileoverview Polar area chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var RadialChartSeries = require('./radialSeries').RadialChartSeries;
+var chartConst = require('../../const');
+var predicate = require('../../helpers/predicate');
+
+var DEGREE_360 = 360;
+
+var PolarAreaChartSeries = tui.util.defineClass(RadialChartSeries, /** @lends PolarAreaChartSeries.prototype */ {
+    /**
+     * Polar area chart series component.
+     * Each category is rendered as sectors, which radius is decided by value, like nightingale rose.
+     * Sectors of series are placed side by side in angle of category,
+     * but they are stacked from center of circle, when stackType option exists.
+     * @constructs PolarAreaChartSeries
+     * @private
+     * @extends RadialChartSeries
+     * @param {object} params parameters
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function(params) {
+        Series.call(this, params);
+
+        this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
+
+        this.theme.borderColor = this.theme.borderColor || this.chartBackground.color;
+    },
+
+    /**
+     * Make sector data.
+     * Sector of category is centered on angle of category, as points of radial chart.
+     * @param {{cx: number, cy: number, r: number}} circleBound - circle bound
+     * @returns {Array.<{
+     *      groupIndex: number, index: number,
+     *      angles: {startAngle: number, endAngle: number},
+     *      radiusRange: {inner: number, outer: number}
+     * }>}
+     * @private
+     */
+    _makeSectorData: function(circleBound) {
+        var seriesGroups = this._getSeriesGroups();
+        var stepAngle = DEGREE_360 / this._getSeriesDataModel().getGroupCount();
+        var isStacked = predicate.isValidStackOption(this.options.stackType);
+        var sectorAngle = isStacked ? stepAngle : (stepAngle / seriesGroups.length);
+        var startRatios = [];
+        var sectorData = [];
+
+        tui.util.forEachArray(seriesGroups, function(seriesGroup, index) {
+            tui.util.forEachArray(seriesGroup, function(seriesItem, groupIndex) {
+                var startRatio = startRatios[groupIndex] || 0;
+                var endRatio = startRatio + seriesItem.ratio;
+                var startAngle = (stepAngle * groupIndex) - (stepAngle / 2);
+
+                if (tui.util.isNull(seriesItem.end)) {
+                    return;
+                }
+
+                if (isStacked) {
+                    startRatios[groupIndex] = endRatio;
+                } else {
+                    startAngle += sectorAngle * index;
+                }
+
+                sectorData.push({
+                    groupIndex: groupIndex,
+                    index: index,
+                    angles: {
+                        startAngle: startAngle,
+                        endAngle: startAngle + sectorAngle
+                    },
+                    radiusRange: {
+                        inner: startRatio * circleBound.r,
+                        outer: endRatio * circleBound.r
+                    }
+                });
+            });
+        });
+
+        return sectorData;
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      circleBound: {cx: number, cy: number, r: number},
+     *      sectorData: Array.<object>,
+     *      isAvailable: function
+     * }}
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var circleBound = this._makeCircleBound();
+        var sectorData = this._makeSectorData(circleBound);
+
+        return {
+            circleBound: circleBound,
+            sectorData: sectorData,
+            isAvailable: function() {
+                return sectorData.length > 0;
+            }
+        };
+    },
+
+    /**
+     * Render raphael graph.
+     * @param {{width: number, height: number}} dimension - dimension
+     * @param {object} seriesData - series data
+     * @param {object} paper - raphael paper
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _renderGraph: function(dimension, seriesData, paper) {
+        var showTooltip = tui.util.bind(this.showTooltip, this, {
+            seriesType: this.seriesType,
+            chartType: this.chartType
+        });
+        var callbacks = {
+            showTooltip: showTooltip,
+            hideTooltip: tui.util.bind(this.hideTooltip, this)
+        };
+        var params = this._makeParamsForGraphRendering(dimension, seriesData);
+
+        return this.graphRenderer.render(paper, params, callbacks);
+    },
+
+    /**
+     * showTooltip is mouseover event callback on series graph.
+     * @param {object} params parameters
+     * @param {object} bound graph bound information
+     * @param {number} groupIndex group index
+     * @param {number} index index of series
+     * @param {{left: number, top: number}} mousePosition mouse position
+     */
+    showTooltip: function(params, bound, groupIndex, index, mousePosition) {
+        this.eventBus.fire('showTooltip', tui.util.extend({
+            indexes: {
+                groupIndex: groupIndex,
+                index: index
+            },
+            mousePosition: mousePosition
+        }, params));
+    },
+
+    /**
+     * hideTooltip is mouseout event callback on series graph.
+     */
+    hideTooltip: function() {
+        this.eventBus.fire('hideTooltip');
+    },
+
+    /**
+     * On click series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onClickSeries: function(position) {
+        var sectorInfo = this._executeGraphRenderer(position, 'findSectorInfo');
+
+        if (!sectorInfo) {
+            return;
+        }
+
+        this.onSelectSeries({
+            chartType: this.chartType,
+            indexes: {
+                groupIndex: sectorInfo.groupIndex,
+                index: sectorInfo.index
+            }
+        });
+    },
+
+    /**
+     * On move series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onMoveSeries: function(position) {
+        this._executeGraphRenderer(position, 'moveMouseOnSeries');
+    }
+});
+
+/**
+ * Factory of polar area chart series.
+ * @param {object} params - parameters
+ * @returns {PolarAreaChartSeries}
+ * @ignore
+ */
+function polarAreaChartSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = chartConst.CHART_TYPE_POLAR_AREA;
+    params.chartBackground = chartTheme.chart.background;
+
+    return new PolarAreaChartSeries(params);
+}
+
+polarAreaChartSeriesFactory.componentType = 'series';
+polarAreaChartSeriesFactory.PolarAreaChartSeries = PolarAreaChartSeries;
+
+module.exports = polarAreaChartSeriesFactory;
@@ -8,7 +8,9 @@
 
 var Series = require('./series');
 var chartConst = require('../../const');
-var geom = require('../../helpers/geometric');
+var predicate = require('../../helpers/predicate');
+
+var DEGREE_360 = 360;
 
 var RadialChartSeries = tui.util.defineClass(Series, /** @lends RadialChartSeries.prototype */ {
     /**
@@ -38,47 +40,57 @@ var RadialChartSeries = tui.util.defineClass(Series, /** @lends RadialChartSerie
         this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
     },
 
+    /**
+     * Make circle bound of radial plot.
+     * Area for category labels is excluded from series area.
+     * @returns {{cx: number, cy: number, r: number}}
+     * @private
+     */
+    _makeCircleBound: function() {
+        var layout = this.layout;
+        var padding = chartConst.RADIAL_PLOT_PADDING + chartConst.RADIAL_MARGIN_FOR_CATEGORY;
+        var width = layout.dimension.width - padding;
+        var height = layout.dimension.height - padding;
+
+        return {
+            cx: (width / 2) + (padding / 2) + layout.position.left,
+            cy: (height / 2) + (padding / 2) + layout.position.top,
+            r: Math.min(width, height) / 2
+        };
+    },
+
     /**
      * Make positions data for radial series
+     * When stackType option exists, ratio of seriesItem is stacked on ratios of previous series,
+     * and stacked positions have start position for rendering area between them.
      * @param {Array.<Array>} seriesGroups series data per category
      * @param {number} groupCount category count
      * @returns {Array.<Array.<object>>}
      * @private
      */
     _makePositionsForRadial: function(seriesGroups, groupCount) {
-        var layout = this.layout;
-        var dimension = layout.dimension;
-        var width = dimension.width - chartConst.RADIAL_PLOT_PADDING - chartConst.RADIAL_MARGIN_FOR_CATEGORY;
-        var height = dimension.height - chartConst.RADIAL_PLOT_PADDING - chartConst.RADIAL_MARGIN_FOR_CATEGORY;
-        var centerX = (width / 2) + (chartConst.RADIAL_PLOT_PADDING / 2) + (chartConst.RADIAL_MARGIN_FOR_CATEGORY / 2)
-            + layout.position.left;
-        var centerY = (height / 2) - (chartConst.RADIAL_PLOT_PADDING / 2) - (chartConst.RADIAL_MARGIN_FOR_CATEGORY / 2)
-            - layout.position.top;
-
-        var stepAngle = 360 / groupCount;
-        var radius;
-
-        radius = Math.min(width, height) / 2;
+        var circleBound = this._makeCircleBound();
+        var stepAngle = DEGREE_360 / groupCount;
+        var isStacked = predicate.isValidStackOption(this.options.stackType);
+        var startRatios = [];
 
         return tui.util.map(seriesGroups, function(seriesGroup) {
             var positions = tui.util.map(seriesGroup, function(seriesItem, index) {
-                var position, y, angle, point, valueSize;
-
-                if (!tui.util.isNull(seriesItem.end)) {
-                    valueSize = seriesItem.ratio * radius;
+                var angle = stepAngle * index;
+                var startRatio = startRatios[index] || 0;
+                var position, startPosition;
 
-                    // centerY에 데이터의 값에 해당하는 높이만큼 더 해서 실제 좌표Y를 만든다.
-                    y = centerY + valueSize;
-
-                    // 각도를 시계 방향으로 바꿈
-                    angle = 360 - (stepAngle * index);
+                if (tui.util.isNull(seriesItem.end)) {
+                    return null;
+                }
 
-                    point = geom.rotatePointAroundOrigin(centerX, centerY, centerX, y, angle);
+                position = makeRadialPosition(circleBound, startRatio + seriesItem.ratio, angle);
 
-                    position = {
-                        left: point.x,
-                        top: height - point.y // y좌표를 top좌표로 변환(4/4분면)
-                    };
+                if (isStacked) {
+                    startPosition = makeRadialPosition(circleBound, startRatio, angle);
+                    position.startLeft = startPosition.left;
+                    position.startTop = startPosition.top;
+                    startRatios[index] = startRatio + seriesItem.ratio;
                 }
 
                 return position;
@@ -87,7 +99,7 @@ var RadialChartSeries = tui.util.defineClass(Series, /** @lends RadialChartSerie
             positions.push(positions[0]);
 
             return positions;
-        }, true);
+        });
     },
 
     /**
@@ -116,6 +128,7 @@ var RadialChartSeries = tui.util.defineClass(Series, /** @lends RadialChartSerie
         var groupPositions = this._makePositionsForRadial(groups, this._getSeriesDataModel().getGroupCount());
 
         return {
+            circleBound: this._makeCircleBound(),
             groupPositions: groupPositions,
             isAvailable: function() {
                 return groupPositions && groupPositions.length > 0;
@@ -134,6 +147,25 @@ var RadialChartSeries = tui.util.defineClass(Series, /** @lends RadialChartSerie
     }
 });
 
+/**
+ * Make position of point on radial plot.
+ * Angle is clockwise from top of circle.
+ * @param {{cx: number, cy: number, r: number}} circleBound - circle bound
+ * @param {number} ratio - ratio of distance from center to radius
+ * @param {number} angle - angle
+ * @returns {{left: number, top: number}}
+ * @ignore
+ */
+function makeRadialPosition(circleBound, ratio, angle) {
+    var radian = angle * chartConst.RAD;
+    var distance = ratio * circleBound.r;
+
+    return {
+        left: circleBound.cx + (distance * Math.sin(radian)),
+        top: circleBound.cy - (distance * Math.cos(radian))
+    };
+}
+
 function radialSeriesFactory(params) {
     var chartType = params.chartOptions.chartType;
     var libType = params.chartOptions.libType;
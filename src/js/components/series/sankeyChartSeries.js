@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Sankey chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var chartConst = require('../../const');
+var calculator = require('../../helpers/calculator');
+
+var DEFAULT_NODE_WIDTH = 20;
+var DEFAULT_NODE_PADDING = 10;
+var MIN_NODE_HEIGHT = 1;
+var NODE_LABEL_PADDING = 5;
+
+var SankeyChartSeries = tui.util.defineClass(Series, /** @lends SankeyChartSeries.prototype */ {
+    /**
+     * Sankey chart series component.
+     * Nodes are placed in columns by their depths of flow, and links between them are rendered as ribbons,
+     * which widths are proportional to values of links.
+     * @constructs SankeyChartSeries
+     * @private
+     * @extends Series
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function(params) {
+        Series.call(this, params);
+
+        this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
+
+        this._setDefaultOptions();
+    },
+
+    /**
+     * Set default options for series of sankey chart.
+     * Names of nodes are shown by default.
+     * @private
+     */
+    _setDefaultOptions: function() {
+        var options = this.options;
+
+        if (tui.util.isUndefined(options.showLabel)) {
+            options.showLabel = true;
+        }
+
+        if (tui.util.isUndefined(options.nodeWidth)) {
+            options.nodeWidth = DEFAULT_NODE_WIDTH;
+        }
+
+        if (tui.util.isUndefined(options.nodePadding)) {
+            options.nodePadding = DEFAULT_NODE_PADDING;
+        }
+    },
+
+    /**
+     * Make nodes from series items, which are visible by legend.
+     * @returns {Array.<{
+     *      index: number, name: string, value: number, column: number,
+     *      incomingLinks: Array.<object>, outgoingLinks: Array.<object>
+     * }>}
+     * @private
+     */
+    _makeNodes: function() {
+        var seriesData = this.dataProcessor.rawData.series[this.seriesType] || [];
+
+        return this._getSeriesDataModel().getFirstSeriesGroup().map(function(seriesItem, index) {
+            return {
+                index: index,
+                name: seriesData[index].name,
+                value: seriesItem.value,
+                column: 0,
+                incomingLinks: [],
+                outgoingLinks: []
+            };
+        });
+    },
+
+    /**
+     * Make links between visible nodes.
+     * Index of link is index of raw links, because links are not filtered by legend.
+     * @param {Array.<object>} nodes - nodes
+     * @returns {Array.<{index: number, source: object, target: object, value: number}>}
+     * @private
+     */
+    _makeLinks: function(nodes) {
+        var nodeMap = {};
+        var links = [];
+
+        tui.util.forEachArray(nodes, function(node) {
+            nodeMap[node.name] = node;
+        });
+
+        tui.util.forEachArray(this.dataProcessor.rawData.links || [], function(rawLink, index) {
+            var source = nodeMap[rawLink.source];
+            var target = nodeMap[rawLink.target];
+            var link;
+
+            if (!source || !target || source === target) {
+                return;
+            }
+
+            link = {
+                index: index,
+                source: source,
+                target: target,
+                value: rawLink.value
+            };
+            source.outgoingLinks.push(link);
+            target.incomingLinks.push(link);
+            links.push(link);
+        });
+
+        return links;
+    },
+
+    /**
+     * Push columns of target nodes to next of columns of source nodes.
+     * @param {Array.<object>} links - links
+     * @returns {boolean} whether column of any node is changed or not
+     * @private
+     */
+    _pushTargetColumns: function(links) {
+        var changed = false;
+
+        tui.util.forEachArray(links, function(link) {
+            if (link.target.column < link.source.column + 1) {
+                link.target.column = link.source.column + 1;
+                changed = true;
+            }
+        });
+
+        return changed;
+    },
+
+    /**
+     * Set columns of nodes.
+     * Column of node is length of longest path from source nodes, and nodes without outgoing links are
+     * placed on last column. Iteration is limited by count of nodes, not to loop forever by cycle of links.
+     * @param {Array.<object>} nodes - nodes
+     * @param {Array.<object>} links - links
+     * @returns {number} count of columns
+     * @private
+     */
+    _setNodeColumns: function(nodes, links) {
+        var changed = true;
+        var iteration = 0;
+        var lastColumn;
+
+        while (changed && iteration < nodes.length) {
+            changed = this._pushTargetColumns(links);
+            iteration += 1;
+        }
+
+        lastColumn = tui.util.reduce(tui.util.pluck(nodes, 'column').concat(0), function(prev, column) {
+            return Math.max(prev, column);
+        });
+
+        tui.util.forEachArray(nodes, function(node) {
+            if (!node.outgoingLinks.length && node.incomingLinks.length) {
+                node.column = lastColumn;
+            }
+        });
+
+        return this._compactNodeColumns(nodes);
+    },
+
+    /**
+     * Compact columns of nodes, by removing columns without nodes.
+     * Empty columns can be made by cycle of links.
+     * @param {Array.<object>} nodes - nodes
+     * @returns {number} count of columns
+     * @private
+     */
+    _compactNodeColumns: function(nodes) {
+        var usedColumns = [];
+
+        tui.util.forEachArray(nodes, function(node) {
+            if (tui.util.inArray(node.column, usedColumns) === -1) {
+                usedColumns.push(node.column);
+            }
+        });
+
+        usedColumns.sort(function(prev, next) {
+            return prev - next;
+        });
+
+        tui.util.forEachArray(nodes, function(node) {
+            node.column = tui.util.inArray(node.column, usedColumns);
+        });
+
+        return Math.max(usedColumns.length, 1);
+    },
+
+    /**
+     * Group nodes by column.
+     * @param {Array.<object>} nodes - nodes
+     * @param {number} columnCount - count of columns
+     * @returns {Array.<Array.<object>>}
+     * @private
+     */
+    _groupNodesByColumn: function(nodes, columnCount) {
+        var columns = tui.util.map(tui.util.range(columnCount), function() {
+            return [];
+        });
+
+        tui.util.forEachArray(nodes, function(node) {
+            columns[node.column].push(node);
+        });
+
+        return columns;
+    },
+
+    /**
+     * Calculate ratio of pixel to value.
+     * Ratio is fitted to column, which needs largest height for its nodes.
+     * @param {Array.<Array.<object>>} columns - nodes grouped by column
+     * @returns {number}
+     * @private
+     */
+    _calculateValueRatio: function(columns) {
+        var height = this.layout.dimension.height;
+        var nodePadding = this.options.nodePadding;
+        var ratios = [];
+
+        tui.util.forEachArray(columns, function(columnNodes) {
+            var sum = calculator.sum(tui.util.pluck(columnNodes, 'value'));
+            var availableHeight = Math.max(height - (nodePadding * (columnNodes.length - 1)), 0);
+
+            if (sum > 0) {
+                ratios.push(availableHeight / sum);
+            }
+        });
+
+        return ratios.length ? Math.min.apply(null, ratios) : 0;
+    },
+
+    /**
+     * Set bounds of nodes.
+     * Nodes of each column are stacked with padding, and placed at vertical center of series area.
+     * @param {Array.<object>} nodes - nodes
+     * @param {number} columnCount - count of columns
+     * @returns {number} ratio of pixel to value
+     * @private
+     */
+    _setNodeBounds: function(nodes, columnCount) {
+        var position = this.layout.position;
+        var dimension = this.layout.dimension;
+        var nodeWidth = this.options.nodeWidth;
+        var nodePadding = this.options.nodePadding;
+        var columns = this._groupNodesByColumn(nodes, columnCount);
+        var ratio = this._calculateValueRatio(columns);
+        var columnGap = columnCount > 1 ? (dimension.width - nodeWidth) / (columnCount - 1) : 0;
+
+        tui.util.forEachArray(columns, function(columnNodes, column) {
+            var heights = tui.util.map(columnNodes, function(node) {
+                return Math.max(node.value * ratio, MIN_NODE_HEIGHT);
+            });
+            var totalHeight = calculator.sum(heights) + (nodePadding * (columnNodes.length - 1));
+            var top = position.top + ((dimension.height - totalHeight) / 2);
+
+            tui.util.forEachArray(columnNodes, function(node, index) {
+                node.bound = {
+                    left: position.left + (columnGap * column),
+                    top: top,
+                    width: nodeWidth,
+                    height: heights[index]
+                };
+                top += heights[index] + nodePadding;
+            });
+        });
+
+        return ratio;
+    },
+
+    /**
+     * Set tops of links on source and target nodes.
+     * Links of node are stacked by order of tops of nodes on the other side, not to cross each other.
+     * @param {Array.<object>} nodes - nodes
+     * @param {number} ratio - ratio of pixel to value
+     * @private
+     */
+    _setLinkTops: function(nodes, ratio) {
+        var compareSourceTop = function(prev, next) {
+            return prev.source.bound.top - next.source.bound.top;
+        };
+        var compareTargetTop = function(prev, next) {
+            return prev.target.bound.top - next.target.bound.top;
+        };
+
+        tui.util.forEachArray(nodes, function(node) {
+            var sourceTop = node.bound.top;
+            var targetTop = node.bound.top;
+
+            tui.util.forEachArray(node.outgoingLinks.sort(compareTargetTop), function(link) {
+                link.width = link.value * ratio;
+                link.sourceTop = sourceTop;
+                sourceTop += link.width;
+            });
+
+            tui.util.forEachArray(node.incomingLinks.sort(compareSourceTop), function(link) {
+                link.targetTop = targetTop;
+                targetTop += link.value * ratio;
+            });
+        });
+    },
+
+    /**
+     * Make path of link ribbon, which is curved from right side of source node to left side of target node.
+     * @param {object} link - link
+     * @returns {string}
+     * @private
+     */
+    _makeLinkPath: function(link) {
+        var sourceBound = link.source.bound;
+        var startLeft = sourceBound.left + sourceBound.width;
+        var endLeft = link.target.bound.left;
+        var middleLeft = (startLeft + endLeft) / 2;
+        var sourceTop = link.sourceTop;
+        var targetTop = link.targetTop;
+        var width = link.width;
+
+        return [
+            'M', startLeft, sourceTop,
+            'C', middleLeft, sourceTop, middleLeft, targetTop, endLeft, targetTop,
+            'L', endLeft, targetTop + width,
+            'C', middleLeft, targetTop + width, middleLeft, sourceTop + width, startLeft, sourceTop + width,
+            'Z'
+        ].join(' ');
+    },
+
+    /**
+     * Make data of node for rendering.
+     * Label of node is placed on right side of node, but on left side when node is on last column.
+     * @param {object} node - node
+     * @param {number} lastColumn - last column
+     * @returns {{index: number, bound: object, labelPosition: {left: number, top: number}, isLabelOnLeft: boolean}}
+     * @private
+     */
+    _makeNodeDatum: function(node, lastColumn) {
+        var bound = node.bound;
+        var isLabelOnLeft = lastColumn > 0 && node.column === lastColumn;
+        var labelLeft = isLabelOnLeft ? bound.left - NODE_LABEL_PADDING : bound.left + bound.width + NODE_LABEL_PADDING;
+
+        return {
+            index: node.index,
+            bound: bound,
+            labelPosition: {
+                left: labelLeft,
+                top: bound.top + (bound.height / 2)
+            },
+            isLabelOnLeft: isLabelOnLeft
+        };
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      chartBackground: string,
+     *      nodeData: Array.<object>,
+     *      linkData: Array.<{index: number, sourceIndex: number, targetIndex: number, path: string}>,
+     *      isAvailable: function
+     * }} add data for graph rendering
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var self = this;
+        var nodes = this._makeNodes();
+        var links = this._makeLinks(nodes);
+        var columnCount = this._setNodeColumns(nodes, links);
+        var nodeData;
+
+        this._setLinkTops(nodes, this._setNodeBounds(nodes, columnCount));
+
+        nodeData = tui.util.map(nodes, function(node) {
+            return self._makeNodeDatum(node, columnCount - 1);
+        });
+
+        return {
+            chartBackground: this.chartBackground,
+            nodeData: nodeData,
+            linkData: tui.util.map(links, function(link) {
+                return {
+                    index: link.index,
+                    sourceIndex: link.source.index,
+                    targetIndex: link.target.index,
+                    path: self._makeLinkPath(link)
+                };
+            }),
+            isAvailable: function() {
+                return nodeData.length > 0;
+            }
+        };
+    },
+
+    /**
+     * Render raphael graph.
+     * @param {{width: number, height: number}} dimension dimension
+     * @param {object} seriesData series data
+     * @param {object} paper paper object
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _renderGraph: function(dimension, seriesData, paper) {
+        var showTooltip = tui.util.bind(this.showTooltip, this, {
+            seriesType: this.seriesType,
+            chartType: this.chartType
+        });
+        var callbacks = {
+            showTooltip: showTooltip,
+            hideTooltip: tui.util.bind(this.hideTooltip, this)
+        };
+        var params = this._makeParamsForGraphRendering(dimension, seriesData);
+
+        return this.graphRenderer.render(paper, params, callbacks);
+    },
+
+    /**
+     * Resize.
+     * Labels are rendered again by resizing, so they are shown without animation.
+     * @override
+     */
+    resize: function() {
+        Series.prototype.resize.apply(this, arguments);
+
+        if (this.labelSet && this.labelSet.length) {
+            this.labelSet.attr({
+                opacity: 1
+            });
+        }
+    },
+
+    /**
+     * showTooltip is mouseover event callback on series graph.
+     * Group index is SANKEY_NODE_GROUP_INDEX for node, and SANKEY_LINK_GROUP_INDEX for link.
+     * @param {object} params parameters
+     * @param {object} bound graph bound information
+     * @param {number} groupIndex group index
+     * @param {number} index index of node or link
+     * @param {{left: number, top: number}} mousePosition mouse position
+     */
+    showTooltip: function(params, bound, groupIndex, index, mousePosition) {
+        this.eventBus.fire('showTooltip', tui.util.extend({
+            indexes: {
+                groupIndex: groupIndex,
+                index: index
+            },
+            mousePosition: mousePosition
+        }, params));
+    },
+
+    /**
+     * hideTooltip is mouseout event callback on series graph.
+     */
+    hideTooltip: function() {
+        this.eventBus.fire('hideTooltip');
+    },
+
+    /**
+     * Render names of nodes.
+     * @param {object} paper paper
+     * @returns {Array.<object>}
+     * @private
+     * @override
+     */
+    _renderSeriesLabel: function(paper) {
+        var legendLabels = this.dataProcessor.getLegendLabels(this.seriesType);
+        var nodeData = this.seriesData.nodeData;
+
+        return this.graphRenderer.renderLabels(paper, nodeData, tui.util.map(nodeData, function(nodeDatum) {
+            return legendLabels[nodeDatum.index];
+        }), this.theme.label);
+    },
+
+    /**
+     * Make data of node or link for public event.
+     * @param {{groupIndex: number, index: number}} indexes - indexes of node or link
+     * @returns {object}
+     * @private
+     */
+    _makeFlowEventData: function(indexes) {
+        var rawData = this.dataProcessor.rawData;
+        var result = {
+            chartType: this.chartType,
+            index: indexes.index
+        };
+        var link;
+
+        if (indexes.groupIndex === chartConst.SANKEY_LINK_GROUP_INDEX) {
+            link = rawData.links[indexes.index];
+            result.source = link.source;
+            result.target = link.target;
+            result.value = link.value;
+        } else {
+            result.legend = rawData.series[this.seriesType][indexes.index].name;
+            result.legendIndex = indexes.index;
+        }
+
+        return result;
+    },
+
+    /**
+     * On click series.
+     * selectSeries public event is fired with data of clicked node or link.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onClickSeries: function(position) {
+        var indexes = this._executeGraphRenderer(position, 'findFlowIndexes');
+
+        if (!indexes) {
+            return;
+        }
+
+        this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'selectSeries', this._makeFlowEventData(indexes));
+    },
+
+    /**
+     * On move series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onMoveSeries: function(position) {
+        this._executeGraphRenderer(position, 'moveMouseOnSeries');
+    }
+});
+
+/**
+ * Factory of sankey chart series.
+ * @param {object} params - parameters
+ * @returns {SankeyChartSeries}
+ * @ignore
+ */
+function sankeySeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'sankey';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new SankeyChartSeries(params);
+}
+
+sankeySeriesFactory.componentType = 'series';
+sankeySeriesFactory.SankeyChartSeries = SankeyChartSeries;
+
+module.exports = sankeySeriesFactory;
@@ -419,22 +419,22 @@ var Series = tui.util.defineClass(/** @lends Series.prototype */ {
     rerender: function(data) {
         var checkedLegends;
 
+        if (this._isAnimatableForChangingData(data)) {
+            this._animateForChangingData(data);
+
+            return;
+        }
+
         this._clearSeriesContainer();
 
         if (this.dataProcessor.getGroupCount(this.seriesType)) {
-            if (data.checkedLegends) {
-                checkedLegends = data.checkedLegends[this.seriesType];
-                this.theme = this._getCheckedSeriesTheme(this.orgTheme, checkedLegends);
-            }
+            checkedLegends = this._changeThemeByCheckedLegends(data.checkedLegends);
 
             this._setDataForRendering(data);
             this._renderSeriesArea(data.paper, tui.util.bind(this._renderGraph, this));
+            this._clearLabelShowEffector();
 
-            if (this.labelShowEffector) {
-                clearInterval(this.labelShowEffector.timerId);
-            }
-
-            if (checkedLegends) {
+            if (checkedLegends || data.isChangingData) {
                 this.animateComponent(true);
             }
 
@@ -444,6 +444,83 @@ var Series = tui.util.defineClass(/** @lends Series.prototype */ {
         }
     },
 
+    /**
+     * Change theme to theme of checked series.
+     * @param {?object} checkedLegendsMap - checked legends by series type
+     * @returns {?Array.<?boolean>} checked legends of this series
+     * @private
+     */
+    _changeThemeByCheckedLegends: function(checkedLegendsMap) {
+        var checkedLegends = checkedLegendsMap && checkedLegendsMap[this.seriesType];
+
+        if (checkedLegends) {
+            this.theme = this._getCheckedSeriesTheme(this.orgTheme, checkedLegends);
+        }
+
+        return checkedLegends;
+    },
+
+    /**
+     * Clear timer of label show effector.
+     * @private
+     */
+    _clearLabelShowEffector: function() {
+        if (this.labelShowEffector) {
+            clearInterval(this.labelShowEffector.timerId);
+        }
+    },
+
+    /**
+     * Whether graph can be animated from previous data to changed data or not.
+     * @param {{isChangingData: ?boolean}} data - data for rendering
+     * @returns {boolean}
+     * @private
+     */
+    _isAnimatableForChangingData: function(data) {
+        return !!(data.isChangingData && this.seriesSet && this.graphRenderer.animateForChangingData);
+    },
+
+    /**
+     * Animate graph from previous data to changed data, keeping rendered raphael elements.
+     * @param {object} data - data for rendering
+     * @private
+     */
+    _animateForChangingData: function(data) {
+        this._changeThemeByCheckedLegends(data.checkedLegends);
+        this._setDataForRendering(data);
+        this._clearLabelShowEffector();
+
+        if (this.seriesSet.stop) {
+            this.seriesSet.stop();
+        }
+        if (this.labelSet && this.labelSet.remove) {
+            this.labelSet.remove();
+        }
+
+        this._renderSeriesArea(data.paper, tui.util.bind(this._animateGraphForChangingData, this));
+
+        if (this.graphRenderer.selectLegend) {
+            this.graphRenderer.selectLegend(this.selectedLegendIndex);
+        }
+
+        this.animateSeriesLabelArea(true);
+    },
+
+    /**
+     * Animate raphael graph to given series data.
+     * @param {{width: number, height: number}} dimension - dimension
+     * @param {object} seriesData - series data
+     * @returns {Array.<object>}
+     * @private
+     */
+    _animateGraphForChangingData: function(dimension, seriesData) {
+        var params = this._makeParamsForGraphRendering(dimension, seriesData);
+
+        this.graphRenderer.animateForChangingData(params, this.seriesSet);
+
+        return this.seriesSet;
+    },
+
     /**
      * Return whether label visible or not.
      * @returns {boolean}
@@ -782,6 +859,33 @@ var Series = tui.util.defineClass(/** @lends Series.prototype */ {
      */
     hasDataForRendering: function(seriesData) {
         return !!(seriesData && seriesData.isAvailable());
+    },
+
+    /**
+     * Reset selected legend, when raw data of chart is changed.
+     */
+    resetData: function() {
+        this.selectedLegendIndex = null;
+    },
+
+    /**
+     * Destroy series component.
+     */
+    destroy: function() {
+        if (this.labelShowEffector) {
+            clearInterval(this.labelShowEffector.timerId);
+            this.labelShowEffector = null;
+        }
+
+        if (this.graphRenderer.destroy) {
+            this.graphRenderer.destroy();
+        }
+
+        this._clearSeriesContainer();
+
+        this.seriesSet = null;
+        this.labelSet = null;
+        this.paper = null;
     }
 });
 
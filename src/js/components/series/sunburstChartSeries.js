@@ -0,0 +1,552 @@
+/**
+ * @fileoverview Series component for rendering graph of sunburst chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var Series = require('./series');
+var chartConst = require('../../const');
+
+var DEGREE_360 = 360;
+var HOLE_RATIO = 0.2;
+var MIN_LABEL_ANGLE = 15;
+
+var SunburstChartSeries = tui.util.defineClass(Series, /** @lends SunburstChartSeries.prototype */ {
+    /**
+     * Series component for rendering graph of sunburst chart.
+     * SeriesItems of same hierarchical data as treemap are rendered as sectors of concentric rings,
+     * and ring of sector is decided by depth of seriesItem.
+     * @constructs SunburstChartSeries
+     * @private
+     * @param {object} params - parameters
+     * @extends Series
+     */
+    init: function(params) {
+        Series.call(this, params);
+
+        this.drawingType = chartConst.COMPONENT_TYPE_RAPHAEL;
+
+        this.theme.borderColor = this.theme.borderColor || this.chartBackground.color;
+
+        /**
+         * root id
+         * @type {string}
+         */
+        this.rootId = chartConst.TREEMAP_ROOT_ID;
+
+        /**
+         * start depth of seriesItem for rendering graph
+         * @type {number}
+         */
+        this.startDepth = 1;
+
+        /**
+         * color spectrum
+         * @type {ColorSpectrum}
+         */
+        this.colorSpectrum = params.colorSpectrum;
+
+        this._initOptions();
+    },
+
+    /**
+     * Initialize options.
+     * @private
+     */
+    _initOptions: function() {
+        this.options.useColorValue = !!this.options.useColorValue;
+
+        if (tui.util.isUndefined(this.options.zoomable)) {
+            this.options.zoomable = true;
+        }
+
+        this.options.rootLabel = this.options.rootLabel || chartConst.TREEMAP_DEFAULT_ROOT_LABEL;
+    },
+
+    /**
+     * Make series data.
+     * @returns {{
+     *      circleBound: {cx: number, cy: number, r: number},
+     *      sectorData: Array.<object>,
+     *      centerDatum: ?object,
+     *      colorSpectrum: ?ColorSpectrum,
+     *      isAvailable: function
+     * }}
+     * @private
+     * @override
+     */
+    _makeSeriesData: function() {
+        var circleBound = this._makeCircleBound();
+        var holeRadius = circleBound.r * HOLE_RATIO;
+        var indexMap = this._makeIndexMap();
+        var sectorData = this._makeSectorData(circleBound, holeRadius, indexMap);
+
+        return {
+            chartBackground: this.chartBackground,
+            circleBound: circleBound,
+            holeRatio: HOLE_RATIO,
+            sectorData: sectorData,
+            centerDatum: this._makeCenterDatum(holeRadius, indexMap),
+            colorSpectrum: this.options.useColorValue ? this.colorSpectrum : null,
+            isAvailable: function() {
+                return sectorData.length > 0;
+            }
+        };
+    },
+
+    /**
+     * Make circle bound.
+     * Area for breadcrumb bar is excluded from series area, when zoomable option.
+     * @returns {{cx: number, cy: number, r: number}}
+     * @private
+     */
+    _makeCircleBound: function() {
+        var dimension = this.layout.dimension;
+        var position = this.layout.position;
+        var breadcrumbHeight = this.options.zoomable ? chartConst.BREADCRUMB_HEIGHT : 0;
+        var height = dimension.height - breadcrumbHeight;
+
+        return {
+            cx: position.left + (dimension.width / 2),
+            cy: position.top + breadcrumbHeight + (height / 2),
+            r: (Math.min(dimension.width, height) / 2) * chartConst.PIE_GRAPH_DEFAULT_RATIO
+        };
+    },
+
+    /**
+     * Make map of pivot indexes of seriesItems by id.
+     * @returns {object.<string, number>}
+     * @private
+     */
+    _makeIndexMap: function() {
+        var indexMap = {};
+
+        this._getSeriesDataModel().getFirstSeriesGroup(true).each(function(seriesItem, index) {
+            indexMap[seriesItem.id] = index;
+        });
+
+        return indexMap;
+    },
+
+    /**
+     * Push sectors of descendants of parent, by dividing angles of parent in proportion to ratio.
+     * @param {Array.<object>} sectors - sectors
+     * @param {string} parent - parent id
+     * @param {{startAngle: number, endAngle: number}} angles - angles of parent
+     * @param {object.<string, number>} indexMap - map of indexes
+     * @private
+     */
+    _pushSectors: function(sectors, parent, angles, indexMap) {
+        var self = this;
+        var seriesItems = this._getSeriesDataModel().findSeriesItemsByParent(parent);
+        var angleRange = angles.endAngle - angles.startAngle;
+        var startAngle = angles.startAngle;
+
+        tui.util.forEachArray(seriesItems, function(seriesItem) {
+            var sectorAngles = {
+                startAngle: startAngle,
+                endAngle: startAngle + (angleRange * (seriesItem.ratio || 0))
+            };
+
+            sectors.push({
+                index: indexMap[seriesItem.id],
+                seriesItem: seriesItem,
+                angles: sectorAngles
+            });
+
+            if (seriesItem.hasChild) {
+                self._pushSectors(sectors, seriesItem.id, sectorAngles, indexMap);
+            }
+
+            startAngle = sectorAngles.endAngle;
+        });
+    },
+
+    /**
+     * Make sector data of descendants of root.
+     * Rings between hole and outline of circle are divided equally by depths.
+     * @param {{cx: number, cy: number, r: number}} circleBound - circle bound
+     * @param {number} holeRadius - radius of hole
+     * @param {object.<string, number>} indexMap - map of indexes
+     * @returns {Array.<{
+     *      index: number, seriesItem: SeriesItem,
+     *      angles: {startAngle: number, endAngle: number},
+     *      radiusRange: {inner: number, outer: number}
+     * }>}
+     * @private
+     */
+    _makeSectorData: function(circleBound, holeRadius, indexMap) {
+        var startDepth = this.startDepth;
+        var sectors = [];
+        var ringWidth;
+
+        this._pushSectors(sectors, this.rootId, {
+            startAngle: 0,
+            endAngle: DEGREE_360
+        }, indexMap);
+
+        ringWidth = (circleBound.r - holeRadius) / this._getRingCount(sectors);
+
+        tui.util.forEachArray(sectors, function(sector) {
+            var inner = holeRadius + (ringWidth * (sector.seriesItem.depth - startDepth));
+
+            sector.radiusRange = {
+                inner: inner,
+                outer: inner + ringWidth
+            };
+        });
+
+        return sectors;
+    },
+
+    /**
+     * Get count of rings.
+     * @param {Array.<{seriesItem: SeriesItem}>} sectors - sectors
+     * @returns {number}
+     * @private
+     */
+    _getRingCount: function(sectors) {
+        var maxDepth = this.startDepth;
+
+        tui.util.forEachArray(sectors, function(sector) {
+            maxDepth = Math.max(maxDepth, sector.seriesItem.depth);
+        });
+
+        return maxDepth - this.startDepth + 1;
+    },
+
+    /**
+     * Make datum of center circle, which means root of zoom.
+     * It is null, when not zoomed.
+     * @param {number} holeRadius - radius of hole
+     * @param {object.<string, number>} indexMap - map of indexes
+     * @returns {?{index: number, seriesItem: SeriesItem, r: number}}
+     * @private
+     */
+    _makeCenterDatum: function(holeRadius, indexMap) {
+        var seriesItem = this._getSeriesDataModel().seriesItemMap[this.rootId];
+
+        if (!seriesItem) {
+            return null;
+        }
+
+        return {
+            index: indexMap[seriesItem.id],
+            seriesItem: seriesItem,
+            r: holeRadius
+        };
+    },
+
+    /**
+     * Make path of zoom from root to current root of zoom.
+     * Id of root is null.
+     * @returns {Array.<{id: ?string, label: string}>}
+     * @private
+     */
+    _makeZoomPath: function() {
+        var seriesItemMap = this._getSeriesDataModel().seriesItemMap;
+        var seriesItem = seriesItemMap[this.rootId];
+        var path = [];
+
+        while (seriesItem) {
+            path.unshift({
+                id: seriesItem.id,
+                label: seriesItem.label
+            });
+            seriesItem = seriesItemMap[seriesItem.parent];
+        }
+
+        path.unshift({
+            id: null,
+            label: this.options.rootLabel
+        });
+
+        return path;
+    },
+
+    /**
+     * Render series label.
+     * Labels are rendered at center of sectors, which are wide enough.
+     * @param {object} paper - paper
+     * @returns {Array.<object>}
+     * @private
+     * @override
+     */
+    _renderSeriesLabel: function(paper) {
+        var circleBound = this.seriesData.circleBound;
+        var labelTemplate = this.options.labelTemplate;
+        var sectorData = this.seriesData.sectorData;
+        var positions = tui.util.map(sectorData, function(sector) {
+            var angles = sector.angles;
+            var radian = ((angles.startAngle + angles.endAngle) / 2) * chartConst.RAD;
+            var radius = (sector.radiusRange.inner + sector.radiusRange.outer) / 2;
+
+            if (angles.endAngle - angles.startAngle < MIN_LABEL_ANGLE) {
+                return null;
+            }
+
+            return {
+                left: circleBound.cx + (radius * Math.sin(radian)),
+                top: circleBound.cy - (radius * Math.cos(radian))
+            };
+        });
+        var labels = tui.util.map(sectorData, function(sector) {
+            var seriesItem = sector.seriesItem;
+
+            return labelTemplate ? labelTemplate(seriesItem.pickLabelTemplateData()) : seriesItem.label;
+        });
+
+        return this.graphRenderer.renderLabels(paper, positions, labels, this.theme.label);
+    },
+
+    /**
+     * Render raphael graph.
+     * @param {{width: number, height: number}} dimension - dimension
+     * @param {object} seriesData - series data
+     * @param {object} paper - raphael paper
+     * @returns {object}
+     * @private
+     * @override
+     */
+    _renderGraph: function(dimension, seriesData, paper) {
+        var showTooltip = tui.util.bind(this.showTooltip, this, {
+            seriesType: this.seriesType,
+            chartType: this.chartType
+        });
+        var callbacks = {
+            showTooltip: showTooltip,
+            hideTooltip: tui.util.bind(this.hideTooltip, this)
+        };
+        var params = this._makeParamsForGraphRendering(dimension, seriesData);
+
+        return this.graphRenderer.render(paper, params, callbacks);
+    },
+
+    /**
+     * Resize.
+     * Labels are rendered again by resizing, so they are shown without animation.
+     * @override
+     */
+    resize: function() {
+        Series.prototype.resize.apply(this, arguments);
+
+        if (this.labelSet && this.labelSet.length) {
+            this.labelSet.attr({
+                opacity: 1
+            });
+        }
+    },
+
+    /**
+     * showTooltip is mouseover event callback on series graph.
+     * @param {object} params parameters
+     * @param {object} bound graph bound information
+     * @param {number} groupIndex group index
+     * @param {number} index pivot index of seriesItem
+     * @param {{left: number, top: number}} mousePosition mouse position
+     */
+    showTooltip: function(params, bound, groupIndex, index, mousePosition) {
+        this.eventBus.fire('showTooltip', tui.util.extend({
+            indexes: {
+                groupIndex: groupIndex,
+                index: index
+            },
+            mousePosition: mousePosition
+        }, params));
+    },
+
+    /**
+     * hideTooltip is mouseout event callback on series graph.
+     */
+    hideTooltip: function() {
+        this.eventBus.fire('hideTooltip');
+    },
+
+    /**
+     * Reset zoom state, when raw data of chart is changed.
+     * @override
+     */
+    resetData: function() {
+        Series.prototype.resetData.call(this);
+
+        this.rootId = chartConst.TREEMAP_ROOT_ID;
+        this.startDepth = 1;
+    },
+
+    /**
+     * Zoom to seriesItem of root id.
+     * Descendants of root are rendered again with fade in animation.
+     * @param {string} rootId - root id
+     * @private
+     */
+    _zoom: function(rootId) {
+        var seriesItem = this._getSeriesDataModel().seriesItemMap[rootId];
+        var path;
+
+        this.hideTooltip();
+        this._clearSeriesContainer();
+        this.rootId = seriesItem ? rootId : chartConst.TREEMAP_ROOT_ID;
+        this.startDepth = seriesItem ? seriesItem.depth + 1 : 1;
+        this._renderSeriesArea(this.paper, tui.util.bind(this._renderGraph, this));
+        this.animateComponent(true);
+
+        path = this._makeZoomPath();
+        this.eventBus.fire('changeZoomPath', path);
+        this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'zoom', {
+            chartType: this.chartType,
+            id: path[path.length - 1].id,
+            path: path
+        });
+    },
+
+    /**
+     * Zoom
+     * @param {{index: number}} data - data for zoom, index -1 means root
+     */
+    zoom: function(data) {
+        var detectedIndex = data.index;
+        var seriesItem;
+
+        if (detectedIndex === -1) {
+            this._zoom(chartConst.TREEMAP_ROOT_ID);
+
+            return;
+        }
+
+        seriesItem = this._getSeriesDataModel().getSeriesItem(0, detectedIndex, true);
+
+        if (!seriesItem || !seriesItem.hasChild) {
+            return;
+        }
+
+        this._zoom(seriesItem.id);
+    },
+
+    /**
+     * Zoom to node of id.
+     * Root is zoomed to, when id is null.
+     * @param {?string} id - id of node, which has children
+     */
+    zoomToNode: function(id) {
+        var seriesItem;
+
+        if (tui.util.isExisty(id) && id !== chartConst.TREEMAP_ROOT_ID) {
+            seriesItem = this._getSeriesDataModel().seriesItemMap[id];
+
+            if (!seriesItem || !seriesItem.hasChild) {
+                return;
+            }
+        }
+
+        this._zoom(id);
+    },
+
+    /**
+     * Zoom out to parent of current root of zoom.
+     */
+    zoomOut: function() {
+        var seriesItem = this._getSeriesDataModel().seriesItemMap[this.rootId];
+
+        if (seriesItem) {
+            this.zoomToNode(seriesItem.parent);
+        }
+    },
+
+    /**
+     * Make exportation data for public event of series type.
+     * @param {object} seriesData series data
+     * @returns {{chartType: string, indexes: Array.<number>}} export data
+     * @private
+     * @override
+     */
+    _makeExportationSeriesData: function(seriesData) {
+        var indexes = seriesData.indexes;
+        var seriesItem = this._getSeriesDataModel().getSeriesItem(indexes.groupIndex, indexes.index, true);
+
+        return {
+            chartType: this.chartType,
+            indexes: seriesItem.indexes
+        };
+    },
+
+    /**
+     * On click series.
+     * Clicked sector is zoomed in, and center circle is zoomed out.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onClickSeries: function(position) {
+        var target = this._executeGraphRenderer(position, 'findZoomTarget');
+
+        if (!target) {
+            return;
+        }
+
+        if (target.isCenter) {
+            this.zoomOut();
+        } else {
+            this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'selectSeries', this._makeExportationSeriesData({
+                indexes: {
+                    groupIndex: 0,
+                    index: target.index
+                }
+            }));
+
+            if (this.options.zoomable) {
+                this.zoom({
+                    index: target.index
+                });
+            }
+        }
+    },
+
+    /**
+     * On move series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    onMoveSeries: function(position) {
+        this._executeGraphRenderer(position, 'moveMouseOnSeries');
+    },
+
+    /**
+     * On show tooltip for calling showWedge.
+     * @param {{indexes: {groupIndex: number, index: number}}} params - parameters
+     */
+    onShowTooltip: function(params) {
+        var indexes = params.indexes;
+        var seriesItem;
+
+        if (!this.options.useColorValue || params.chartType !== this.chartType) {
+            return;
+        }
+
+        seriesItem = this._getSeriesDataModel().getSeriesItem(indexes.groupIndex, indexes.index, true);
+
+        if (seriesItem && seriesItem.colorRatio > -1) {
+            this.eventBus.fire('showWedge', seriesItem.colorRatio);
+        }
+    }
+});
+
+/**
+ * Factory of sunburst chart series.
+ * @param {object} params - parameters
+ * @returns {SunburstChartSeries}
+ * @ignore
+ */
+function sunburstChartSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'sunburst';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new SunburstChartSeries(params);
+}
+
+sunburstChartSeriesFactory.componentType = 'series';
+sunburstChartSeriesFactory.SunburstChartSeries = SunburstChartSeries;
+
+module.exports = sunburstChartSeriesFactory;
@@ -72,6 +72,8 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
         if (tui.util.isUndefined(this.options.useLeafLabel)) {
             this.options.useLeafLabel = !this.options.zoomable;
         }
+
+        this.options.rootLabel = this.options.rootLabel || chartConst.TREEMAP_DEFAULT_ROOT_LABEL;
     },
 
     /**
@@ -102,6 +104,25 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
         };
     },
 
+    /**
+     * Make layout of root.
+     * Area for breadcrumb bar is excluded from series area, when zoomable option.
+     * @returns {{left: number, top: number, width: number, height: number}}
+     * @private
+     */
+    _makeRootLayout: function() {
+        var dimension = this.layout.dimension;
+        var position = this.layout.position;
+        var breadcrumbHeight = this.options.zoomable ? chartConst.BREADCRUMB_HEIGHT : 0;
+
+        return {
+            left: position.left,
+            top: position.top + breadcrumbHeight,
+            width: dimension.width,
+            height: dimension.height - breadcrumbHeight
+        };
+    },
+
     /**
      * Make bound map by dimension.
      * @param {string | number} parent - parent id
@@ -113,10 +134,9 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
     _makeBoundMap: function(parent, boundMap, layout) {
         var self = this;
         var seriesDataModel = this._getSeriesDataModel();
-        var defaultLayout = tui.util.extend({}, this.layout.dimension, this.layout.position);
         var seriesItems;
 
-        layout = layout || defaultLayout;
+        layout = layout || this._makeRootLayout();
         seriesItems = seriesDataModel.findSeriesItemsByParent(parent);
         boundMap = tui.util.extend(boundMap || {}, squarifier.squarify(layout, seriesItems));
 
@@ -240,6 +260,57 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
         Series.prototype.resize.apply(this, arguments);
     },
 
+    /**
+     * Reset zoom state, when raw data of chart is changed.
+     * @override
+     */
+    resetData: function() {
+        Series.prototype.resetData.call(this);
+
+        this.isRenderedByZoom = this.rootId !== chartConst.TREEMAP_ROOT_ID;
+        this.boundMap = null;
+        this.rootId = chartConst.TREEMAP_ROOT_ID;
+        this.startDepth = 1;
+        this.selectedGroup = null;
+    },
+
+    /**
+     * Boxes rendered by zoom are only part of tree, so those can not be animated to changed data.
+     * @returns {boolean}
+     * @private
+     * @override
+     */
+    _isAnimatableForChangingData: function() {
+        return !this.isRenderedByZoom && Series.prototype._isAnimatableForChangingData.apply(this, arguments);
+    },
+
+    /**
+     * Make path of zoom from root to current root of zoom.
+     * Id of root is null.
+     * @returns {Array.<{id: ?string, label: string}>}
+     * @private
+     */
+    _makeZoomPath: function() {
+        var seriesDataModel = this._getSeriesDataModel();
+        var seriesItem = seriesDataModel.findSeriesItemById(this.rootId);
+        var path = [];
+
+        while (seriesItem) {
+            path.unshift({
+                id: seriesItem.id,
+                label: seriesItem.label
+            });
+            seriesItem = seriesDataModel.findSeriesItemById(seriesItem.parent);
+        }
+
+        path.unshift({
+            id: null,
+            label: this.options.rootLabel
+        });
+
+        return path;
+    },
+
     /**
      * Zoom.
      * @param {string | number} rootId - root id
@@ -248,12 +319,36 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
      * @private
      */
     _zoom: function(rootId, startDepth, group) {
+        var path;
+
         this._clearSeriesContainer();
         this.boundMap = null;
         this.rootId = rootId;
         this.startDepth = startDepth;
         this.selectedGroup = group;
         this._renderSeriesArea(this.paper, tui.util.bind(this._renderGraph, this));
+
+        path = this._makeZoomPath();
+        this.eventBus.fire('changeZoomPath', path);
+        this.eventBus.fire(chartConst.PUBLIC_EVENT_PREFIX + 'zoom', {
+            chartType: this.chartType,
+            id: path[path.length - 1].id,
+            path: path
+        });
+    },
+
+    /**
+     * Zoom to seriesItem.
+     * Root is zoomed to, when seriesItem is not exist.
+     * @param {?SeriesItem} seriesItem - seriesItem, which has children
+     * @private
+     */
+    _zoomToSeriesItem: function(seriesItem) {
+        if (seriesItem) {
+            this._zoom(seriesItem.id, seriesItem.depth + 1, seriesItem.group);
+        } else {
+            this._zoom(chartConst.TREEMAP_ROOT_ID, 1, null);
+        }
     },
 
     /**
@@ -262,25 +357,51 @@ var TreemapChartSeries = tui.util.defineClass(Series, /** @lends TreemapChartSer
      */
     zoom: function(data) {
         var detectedIndex = data.index;
-        var seriesDataModel, seriesItem;
-
-        this.labelSet.remove();
+        var seriesItem;
 
         if (detectedIndex === -1) {
-            this._zoom(chartConst.TREEMAP_ROOT_ID, 1, null);
+            this._zoomToSeriesItem(null);
 
             return;
         }
 
-        seriesDataModel = this._getSeriesDataModel();
-        seriesItem = seriesDataModel.getSeriesItem(0, detectedIndex, true);
+        seriesItem = this._getSeriesDataModel().getSeriesItem(0, detectedIndex, true);
 
         if (!seriesItem || !seriesItem.hasChild) {
             return;
         }
 
-        this._zoom(seriesItem.id, seriesItem.depth + 1, seriesItem.group);
-        this.eventBus.fire('afterZoom', detectedIndex);
+        this._zoomToSeriesItem(seriesItem);
+    },
+
+    /**
+     * Zoom to node of id.
+     * Root is zoomed to, when id is null.
+     * @param {?string} id - id of node, which has children
+     */
+    zoomToNode: function(id) {
+        var seriesItem = null;
+
+        if (tui.util.isExisty(id) && id !== chartConst.TREEMAP_ROOT_ID) {
+            seriesItem = this._getSeriesDataModel().findSeriesItemById(id);
+
+            if (!seriesItem || !seriesItem.hasChild) {
+                return;
+            }
+        }
+
+        this._zoomToSeriesItem(seriesItem);
+    },
+
+    /**
+     * Zoom out to parent of current root of zoom.
+     */
+    zoomOut: function() {
+        var seriesItem = this._getSeriesDataModel().findSeriesItemById(this.rootId);
+
+        if (seriesItem) {
+            this.zoomToNode(seriesItem.parent);
+        }
     },
 
     /**
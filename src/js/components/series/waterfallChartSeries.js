@@ -0,0 +1,120 @@
+/**
+ * @fileoverview Waterfall chart series component.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var columnSeriesFactory = require('./columnChartSeries');
+var labelHelper = require('./renderingLabelHelper');
+var chartConst = require('../../const');
+
+var ColumnChartSeries = columnSeriesFactory.ColumnChartSeries;
+
+var WaterfallChartSeries = tui.util.defineClass(ColumnChartSeries, /** @lends WaterfallChartSeries.prototype */ {
+    /**
+     * Waterfall chart series component.
+     * Each column is range between cumulative values before and after delta.
+     * @constructs WaterfallChartSeries
+     * @private
+     * @extends ColumnChartSeries
+     * @param {object} params parameters
+     *      @param {object} params.model series model
+     *      @param {object} params.options series options
+     *      @param {object} params.theme series theme
+     */
+    init: function() {
+        ColumnChartSeries.apply(this, arguments);
+    },
+
+    /**
+     * Make bounds of waterfall chart.
+     * Connector, which is line from cumulative value of column to next column, is added to bound.
+     * @returns {Array.<Array.<object>>} bounds
+     * @private
+     * @override
+     */
+    _makeBounds: function() {
+        var seriesDataModel = this._getSeriesDataModel();
+        var dimension = this.layout.dimension;
+        var baseData = this._makeBaseDataForMakingBound(dimension.width, dimension.height);
+        var groupBounds = ColumnChartSeries.prototype._makeBounds.call(this);
+
+        tui.util.forEachArray(groupBounds.slice(0, -1), function(bounds, groupIndex) {
+            var nextBounds = groupBounds[groupIndex + 1];
+
+            tui.util.forEachArray(bounds, function(bound, index) {
+                var seriesItem = seriesDataModel.getSeriesItem(groupIndex, index);
+
+                if (!bound || !nextBounds[index]) {
+                    return;
+                }
+
+                bound.connector = {
+                    left: bound.end.left + bound.end.width,
+                    right: nextBounds[index].end.left,
+                    top: baseData.basePosition - (baseData.baseBarSize * seriesItem.cumulativeRatio)
+                        + chartConst.SERIES_EXPAND_SIZE
+                };
+            });
+        });
+
+        return groupBounds;
+    },
+
+    /**
+     * Render series label.
+     * Only delta label is rendered on end of column, though column is range.
+     * @param {object} paper paper
+     * @returns {Array.<object>}
+     * @private
+     * @override
+     */
+    _renderNormalSeriesLabel: function(paper) {
+        var seriesDataModel = this._getSeriesDataModel();
+        var labelTheme = this.theme.label;
+        var groupLabels = seriesDataModel.map(function(seriesGroup) {
+            return seriesGroup.map(function(seriesItem) {
+                return {
+                    end: seriesItem.label
+                };
+            });
+        });
+        var positionsSet = labelHelper.boundsToLabelPositionsForColumnChart(seriesDataModel,
+            this.seriesData.groupBounds, labelTheme);
+
+        positionsSet = tui.util.map(positionsSet, function(positions) {
+            return tui.util.map(positions, function(position) {
+                return {
+                    end: position.end
+                };
+            });
+        });
+
+        return this.graphRenderer.renderSeriesLabel(paper, positionsSet, groupLabels, labelTheme,
+            this.selectedLegendIndex);
+    }
+});
+
+/**
+ * Factory of waterfall chart series.
+ * @param {object} params - parameters
+ * @returns {WaterfallChartSeries}
+ * @ignore
+ */
+function waterfallSeriesFactory(params) {
+    var libType = params.chartOptions.libType;
+    var chartTheme = params.chartTheme;
+
+    params.libType = libType;
+    params.chartType = 'waterfall';
+    params.chartBackground = chartTheme.chart.background;
+
+    return new WaterfallChartSeries(params);
+}
+
+waterfallSeriesFactory.componentType = 'series';
+waterfallSeriesFactory.WaterfallChartSeries = WaterfallChartSeries;
+
+module.exports = waterfallSeriesFactory;
@@ -22,7 +22,8 @@ var Zoom = tui.util.defineClass(/** @lends Zoom.prototype */{
     className: 'tui-chart-zoom-area',
     /**
      * Zoom component.
-     * @param {{eventBus: object}} params - parameters
+     * @param {{eventBus: object, offsetTop: ?number}} params - parameters
+     *      offsetTop is distance from top of series area, for placing buttons below other component like breadcrumb
      * @constructs Zoom
      * @private
      */
@@ -33,6 +34,12 @@ var Zoom = tui.util.defineClass(/** @lends Zoom.prototype */{
          */
         this.eventBus = params.eventBus;
 
+        /**
+         * Distance from top of series area.
+         * @type {number}
+         */
+        this.offsetTop = params.offsetTop || 0;
+
         /**
          * Magnification.
          * @type {number}
@@ -45,6 +52,12 @@ var Zoom = tui.util.defineClass(/** @lends Zoom.prototype */{
          */
         this.stackedWheelDelta = 0;
 
+        /**
+         * Container for zoom buttons.
+         * @type {?HTMLElement}
+         */
+        this.zoomContainer = null;
+
         this.drawingType = chartConst.COMPONENT_TYPE_DOM;
 
         this._attachToEventBus();
@@ -70,8 +83,12 @@ var Zoom = tui.util.defineClass(/** @lends Zoom.prototype */{
             container = dom.create('DIV', this.className);
 
             container.innerHTML += seriesTemplate.ZOOM_BUTTONS;
-            renderUtil.renderPosition(container, data.positionMap.series);
+            renderUtil.renderPosition(container, {
+                left: data.positionMap.series.left,
+                top: data.positionMap.series.top + this.offsetTop
+            });
             this._attachEvent(container);
+            this.zoomContainer = container;
         }
 
         return container;
@@ -140,6 +157,16 @@ var Zoom = tui.util.defineClass(/** @lends Zoom.prototype */{
         eventListener.on(target, 'click', this._onClick, this);
     },
 
+    /**
+     * Destroy.
+     */
+    destroy: function() {
+        if (this.zoomContainer) {
+            eventListener.off(this.zoomContainer, 'click', this._onClick);
+            this.zoomContainer = null;
+        }
+    },
+
     /**
      * Calculate magnification from zoomDirection.
      * @param {number} zoomDirection zoomDirection (positive is zoomIn)
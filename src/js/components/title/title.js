@@ -79,6 +79,16 @@ var Title = tui.util.defineClass(/** @lends Title.prototype */ {
 
         this.render(data);
     },
+    /**
+     * Destroy title component.
+     */
+    destroy: function() {
+        if (this.titleSet) {
+            this.titleSet.remove();
+        }
+
+        this.titleSet = null;
+    },
 
     /**
      * Render title on given paper
@@ -10,6 +10,7 @@ var TooltipBase = require('./tooltipBase');
 var GroupTooltipPositionModel = require('./groupTooltipPositionModel');
 var chartConst = require('../../const');
 var dom = require('../../helpers/domHandler');
+var predicate = require('../../helpers/predicate');
 var renderUtil = require('../../helpers/renderUtil');
 var defaultTheme = require('../../themes/defaultTheme');
 var tooltipTemplate = require('./tooltipTemplate');
@@ -39,12 +40,14 @@ var GroupTooltip = tui.util.defineClass(TooltipBase, /** @lends GroupTooltip.pro
      * @private
      */
     _makeTooltipHtml: function(category, items) {
-        var template = tooltipTemplate.tplGroupItem,
+        var isCandlestick = predicate.isCandlestickChart(this.chartType),
+            template = isCandlestick ? tooltipTemplate.tplCandlestickGroupItem : tooltipTemplate.tplGroupItem,
             cssTextTemplate = tooltipTemplate.tplGroupCssText,
             colors = this._makeColors(this.theme),
             itemsHtml = tui.util.map(items, function(item, index) {
                 return template(tui.util.extend({
-                    cssText: cssTextTemplate({color: colors[index]})
+                    cssText: cssTextTemplate({color: colors[index]}),
+                    volumeVisible: item.volume ? 'show' : 'hide'
                 }, item));
             }).join('');
 
@@ -137,17 +140,35 @@ var GroupTooltip = tui.util.defineClass(TooltipBase, /** @lends GroupTooltip.pro
 
     /**
      * Make tooltip data.
+     * Category is formatted by date format, when category axis is datetime type.
      * @returns {Array.<object>} tooltip data
      * @override
      */
     makeTooltipData: function() {
         var self = this;
+        var hasValueMaps = predicate.isCandlestickChart(this.chartType);
+        var isDatetimeType = predicate.isDatetimeType(this.xAxisType);
 
         return tui.util.map(this.dataProcessor.getSeriesGroups(), function(seriesGroup, index) {
-            return {
-                category: self.dataProcessor.getCategory(index),
+            var category = self.dataProcessor.getCategory(index);
+            var tooltipDatum;
+
+            if (isDatetimeType) {
+                category = renderUtil.formatDate(category, self.dateFormat);
+            }
+
+            tooltipDatum = {
+                category: category,
                 values: seriesGroup.pluck('label')
             };
+
+            if (hasValueMaps) {
+                tooltipDatum.valueMaps = seriesGroup.map(function(seriesItem) {
+                    return seriesItem.pickValueMapForTooltip();
+                });
+            }
+
+            return tooltipDatum;
         });
     },
 
@@ -187,22 +208,23 @@ var GroupTooltip = tui.util.defineClass(TooltipBase, /** @lends GroupTooltip.pro
     /**
      * Make rendering data about legend item.
      * @param {Array.<string>} values values
+     * @param {?Array.<object>} valueMaps - value maps of items, like open, high, low, close of candlestick chart
      * @returns {Array.<{value: string, legend: string, chartType: string, suffix: ?string}>} legend item data.
      * @private
      */
-    _makeItemRenderingData: function(values) {
+    _makeItemRenderingData: function(values, valueMaps) {
         var dataProcessor = this.dataProcessor,
             suffix = this.suffix;
 
         return tui.util.map(values, function(value, index) {
             var legendLabel = dataProcessor.getLegendItem(index);
 
-            return {
+            return tui.util.extend({
                 value: value,
                 legend: legendLabel.label,
                 chartType: legendLabel.chartType,
                 suffix: suffix
-            };
+            }, valueMaps ? valueMaps[index] : null);
         });
     },
 
@@ -217,7 +239,7 @@ var GroupTooltip = tui.util.defineClass(TooltipBase, /** @lends GroupTooltip.pro
         var items, htmlString = '';
 
         if (data) {
-            items = this._makeItemRenderingData(data.values);
+            items = this._makeItemRenderingData(data.values, data.valueMaps);
             htmlString = this.templateFunc(data.category, items);
         }
 
@@ -31,6 +31,18 @@ var MapChartTooltip = tui.util.defineClass(TooltipBase, /** @lends MapChartToolt
         this.mapModel = params.mapModel;
 
         TooltipBase.apply(this, arguments);
+
+        /**
+         * Tooltip template function for points like markers and bubbles.
+         * @type {function}
+         */
+        this.pointTemplateFunc = this.options.pointTemplate || tooltipTemplate.tplMapChartPoint;
+
+        /**
+         * Label of region without value, which is set by noData option of series.
+         * @type {?string}
+         */
+        this.noDataLabel = tui.util.pick(params.chartOptions, 'series', 'noData', 'label') || null;
     },
 
     /**
@@ -51,8 +63,22 @@ var MapChartTooltip = tui.util.defineClass(TooltipBase, /** @lends MapChartToolt
      * @private
      */
     _makeSingleTooltipHtml: function(chartType, indexes) {
-        var datum = this.mapModel.getDatum(indexes.index),
-            suffix = this.options.suffix ? ' ' + this.options.suffix : '';
+        var datum, suffix;
+
+        if (indexes.isPoint) {
+            return this._makePointTooltipHtml(indexes.index);
+        }
+
+        datum = this.mapModel.getDatum(indexes.index);
+        suffix = this.options.suffix ? ' ' + this.options.suffix : '';
+
+        if (this.noDataLabel && tui.util.isUndefined(datum.ratio)) {
+            return this.templateFunc({
+                name: datum.name || datum.code,
+                value: this.noDataLabel,
+                suffix: ''
+            });
+        }
 
         return this.templateFunc({
             name: datum.name || datum.code,
@@ -61,6 +87,24 @@ var MapChartTooltip = tui.util.defineClass(TooltipBase, /** @lends MapChartToolt
         });
     },
 
+    /**
+     * Make tooltip html of point.
+     * @param {number} index - index of point
+     * @returns {string} tooltip html
+     * @private
+     */
+    _makePointTooltipHtml: function(index) {
+        var datum = this.mapModel.getPointDatum(index);
+        var hasValue = tui.util.isExisty(datum.label);
+
+        return this.pointTemplateFunc({
+            name: datum.name || '',
+            value: hasValue ? datum.label : '',
+            valueVisible: hasValue ? 'show' : 'hide',
+            suffix: this.options.suffix ? ' ' + this.options.suffix : ''
+        });
+    },
+
     /**
      * Make parameters for show tooltip user event.
      * @param {{groupIndex: number, index: number}} indexes indexes
@@ -69,9 +113,21 @@ var MapChartTooltip = tui.util.defineClass(TooltipBase, /** @lends MapChartToolt
      * @private
      */
     _makeShowTooltipParams: function(indexes, additionParams) {
-        var datum = this.mapModel.getDatum(indexes.index),
-            params;
+        var datum, params;
+
+        if (indexes.isPoint) {
+            datum = this.mapModel.getPointDatum(indexes.index);
+
+            return tui.util.extend({
+                chartType: this.chartType,
+                name: datum.name,
+                value: datum.label,
+                index: indexes.index,
+                isPoint: true
+            }, additionParams);
+        }
 
+        datum = this.mapModel.getDatum(indexes.index);
         params = tui.util.extend({
             chartType: this.chartType,
             code: datum.code,
@@ -25,8 +25,14 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
      * @private
      * @override
      */
-    init: function() {
+    init: function(params) {
         TooltipBase.apply(this, arguments);
+
+        /**
+         * Label of series item without value, which is set by noData option of series like heatmap chart.
+         * @type {?string}
+         */
+        this.noDataLabel = tui.util.pick(params.chartOptions, 'series', 'noData', 'label') || null;
     },
 
     /**
@@ -38,7 +44,8 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
      */
     _makeTooltipHtml: function(category, item) {
         var isPieOrPieDonutComboChart = predicate.isPieChart(this.chartType)
-            || predicate.isPieDonutComboChart(this.chartType, this.chartTypes);
+            || predicate.isPieDonutComboChart(this.chartType, this.chartTypes)
+            || predicate.isFunnelTypeChart(this.chartType);
         var template;
 
         if (predicate.isBoxplotChart(this.chartType)) {
@@ -47,7 +54,15 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
                 item.label = item.outliers[item.outlierIndex].label;
             } else {
                 template = tooltipTemplate.tplBoxplotChartDefault;
+                item.statisticsVisible = tui.util.isNumber(item.count) ? 'show' : 'hide';
             }
+        } else if (predicate.isBulletChart(this.chartType)) {
+            template = tooltipTemplate.tplBulletChart;
+            item.markerVisible = item.markerLabel ? 'show' : 'hide';
+            item.rangeVisible = item.rangeLabel ? 'show' : 'hide';
+        } else if (predicate.isGanttChart(this.chartType)) {
+            template = tooltipTemplate.tplGanttChart;
+            item.milestoneVisible = item.milestoneLabel ? 'show' : 'hide';
         } else if (isPieOrPieDonutComboChart) {
             template = tooltipTemplate.tplPieChart;
         } else if (this.dataProcessor.coordinateType) {
@@ -140,6 +155,20 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
         return params;
     },
 
+    /**
+     * Get label of series item, label of noData option is used for series item without value.
+     * @param {SeriesItem} seriesItem - SeriesItem
+     * @returns {string}
+     * @private
+     */
+    _getSeriesItemLabel: function(seriesItem) {
+        if (this.noDataLabel && tui.util.isNull(seriesItem.value)) {
+            return this.noDataLabel;
+        }
+
+        return seriesItem.label;
+    },
+
     /**
      * Make tooltip datum.
      * @param {string} legendLabel - legend label
@@ -149,14 +178,15 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
      * @private
      */
     _makeTooltipDatum: function(legendLabel, category, seriesItem) {
-        var labelPrefix = (legendLabel && seriesItem.label) ? ':&nbsp;' : '';
+        var seriesLabel = this._getSeriesItemLabel(seriesItem);
+        var labelPrefix = (legendLabel && seriesLabel) ? ':&nbsp;' : '';
         var tooltipLabel = seriesItem.tooltipLabel;
         var labelFormatter = this.labelFormatter;
         var tooltipDatum = {
             legend: (legendLabel || '')
         };
 
-        tooltipDatum.label = tooltipLabel || (seriesItem.label ? labelPrefix + seriesItem.label : '');
+        tooltipDatum.label = tooltipLabel || (seriesLabel ? labelPrefix + seriesLabel : '');
 
         if (labelFormatter) {
             tooltipDatum = labelFormatter(seriesItem, tooltipDatum, labelPrefix);
@@ -179,7 +209,7 @@ var NormalTooltip = tui.util.defineClass(TooltipBase, /** @lends NormalTooltip.p
     makeTooltipData: function() {
         var self = this;
         var orgLegendLabels = this.dataProcessor.getLegendLabels();
-        var isPivot = predicate.isTreemapChart(this.chartType);
+        var isPivot = predicate.isTreemapTypeChart(this.chartType);
         var legendLabels = {};
         var tooltipData = {};
 
@@ -0,0 +1,146 @@
+/**
+ * @fileoverview Tooltip component for sankey chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var chartConst = require('../../const');
+var TooltipBase = require('./tooltipBase');
+var singleTooltipMixer = require('./singleTooltipMixer');
+var tooltipTemplate = require('./tooltipTemplate');
+var renderUtil = require('../../helpers/renderUtil');
+
+/**
+ * @classdesc SankeyChartTooltip component.
+ * @class SankeyChartTooltip
+ * @private
+ */
+var SankeyChartTooltip = tui.util.defineClass(TooltipBase, /** @lends SankeyChartTooltip.prototype */ {
+    /**
+     * Sankey chart tooltip component.
+     * Tooltip of node has name and value of node, and tooltip of link has names of source and target nodes.
+     * @constructs SankeyChartTooltip
+     * @private
+     * @override
+     */
+    init: function() {
+        TooltipBase.apply(this, arguments);
+    },
+
+    /**
+     * Make tooltip html.
+     * @param {{isLink: boolean, name: ?string, source: ?string, target: ?string, value: string, suffix: string}} datum
+     *      tooltip datum
+     * @returns {string} tooltip html
+     * @private
+     */
+    _makeTooltipHtml: function(datum) {
+        return datum.isLink ? tooltipTemplate.tplSankeyLink(datum) : tooltipTemplate.tplSankeyNode(datum);
+    },
+
+    /**
+     * Make tooltip datum of node or link.
+     * Value of link is formatted like values of nodes.
+     * @param {{groupIndex: number, index: number}} indexes indexes of node or link
+     * @returns {?object}
+     * @private
+     */
+    _makeFlowDatum: function(indexes) {
+        var rawData = this.dataProcessor.rawData;
+        var link, seriesItem;
+
+        if (indexes.groupIndex === chartConst.SANKEY_LINK_GROUP_INDEX) {
+            link = rawData.links[indexes.index];
+
+            return link ? {
+                isLink: true,
+                source: link.source,
+                target: link.target,
+                value: renderUtil.formatValue(link.value, this.dataProcessor.getFormatFunctions(),
+                    this.chartType, 'tooltip')
+            } : null;
+        }
+
+        seriesItem = this.dataProcessor.getSeriesDataModel(this.chartType).getSeriesItem(0, indexes.index);
+
+        return seriesItem ? {
+            isLink: false,
+            name: this.dataProcessor.getLegendLabels(this.chartType)[indexes.index],
+            value: seriesItem.tooltipLabel || seriesItem.label
+        } : null;
+    },
+
+    /**
+     * Make single tooltip html.
+     * @param {string} chartType chart type
+     * @param {{groupIndex: number, index: number}} indexes indexes
+     * @returns {string} tooltip html
+     * @private
+     */
+    _makeSingleTooltipHtml: function(chartType, indexes) {
+        var datum = this._makeFlowDatum(indexes);
+
+        if (!datum) {
+            return '';
+        }
+
+        return this.templateFunc(tui.util.extend({
+            suffix: this.options.suffix ? ' ' + this.options.suffix : ''
+        }, datum));
+    },
+
+    /**
+     * Make parameters for show tooltip user event.
+     * @param {{groupIndex: number, index: number}} indexes indexes
+     * @param {object} additionParams addition parameters
+     * @returns {?object} parameters for show tooltip
+     * @private
+     */
+    _makeShowTooltipParams: function(indexes, additionParams) {
+        var datum = this._makeFlowDatum(indexes);
+
+        if (!datum) {
+            return null;
+        }
+
+        return tui.util.extend({
+            chartType: this.chartType,
+            isLink: datum.isLink,
+            name: datum.name,
+            source: datum.source,
+            target: datum.target,
+            value: datum.value,
+            index: indexes.index
+        }, additionParams);
+    },
+
+    /**
+     * Set default align option of tooltip.
+     * @private
+     * @override
+     */
+    _setDefaultTooltipPositionOption: function() {
+        if (!this.options.align) {
+            this.options.align = chartConst.TOOLTIP_DEFAULT_ALIGN_OPTION;
+        }
+    }
+});
+
+singleTooltipMixer.mixin(SankeyChartTooltip);
+
+/**
+ * Factory of sankey chart tooltip.
+ * @param {object} params - parameters
+ * @returns {SankeyChartTooltip}
+ * @ignore
+ */
+function sankeyChartTooltipFactory(params) {
+    return new SankeyChartTooltip(params);
+}
+
+sankeyChartTooltipFactory.componentType = 'tooltip';
+sankeyChartTooltipFactory.SankeyChartTooltip = SankeyChartTooltip;
+
+module.exports = sankeyChartTooltipFactory;
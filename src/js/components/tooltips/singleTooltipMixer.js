@@ -267,6 +267,18 @@ var singleTooltipMixer = {
         return position;
     },
 
+    /**
+     * Whether bars of chart are horizontal or not.
+     * Bullet chart is horizontal, unless it is vertical.
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     * @private
+     */
+    _isHorizontalBarType: function(chartType) {
+        return predicate.isBarChart(chartType) || predicate.isGanttChart(chartType)
+            || (predicate.isBulletChart(chartType) && !this.isVertical);
+    },
+
     /**
      * Make tooltip position.
      * @param {object} params parameters
@@ -285,7 +297,7 @@ var singleTooltipMixer = {
         if (params.mousePosition) {
             position = this._makeTooltipPositionToMousePosition(params);
         } else {
-            if (predicate.isBarChart(params.chartType)) {
+            if (this._isHorizontalBarType(params.chartType)) {
                 position = this._makeTooltipPositionForBarChart(params);
                 sizeType = 'width';
                 positionType = 'left';
@@ -336,7 +348,7 @@ var singleTooltipMixer = {
         var positionType = params.positionType;
         var seriesType = params.seriesType || params.chartType;
         var value = this.dataProcessor.getValue(params.indexes.groupIndex, params.indexes.index, seriesType);
-        var direction = predicate.isBarChart(this.chartType) ? -1 : 1;
+        var direction = this._isHorizontalBarType(this.chartType) ? -1 : 1;
         var tooltipSize, barSize, movedPositionValue;
 
         if (value < 0) {
@@ -471,7 +483,10 @@ var singleTooltipMixer = {
                 delete this.prevIndexes;
             }
 
-            setTimeout(function() {
+            clearTimeout(this.hidingTimerId);
+            this.hidingTimerId = setTimeout(function() {
+                self.hidingTimerId = null;
+
                 if (self._isShowedTooltip(tooltipElement)) {
                     return;
                 }
@@ -9,8 +9,24 @@
 var normalTooltipFactory = require('./normalTooltip');
 var groupTooltipFactory = require('./groupTooltip');
 var mapChartTooltipFactory = require('./mapChartTooltip');
+var sankeyChartTooltipFactory = require('./sankeyChartTooltip');
 var predicate = require('../../helpers/predicate');
 
+/**
+ * Make label of ratio as percentage.
+ * @param {number} ratio - ratio
+ * @returns {string}
+ */
+function makeRatioLabel(ratio) {
+    var percentageString = (ratio * 100).toFixed(4);
+    var percent = parseFloat(percentageString);
+    var needSlice = (percent < 0.0009 || percentageString.length > 5);
+
+    percentageString = needSlice ? percentageString.substr(0, 4) : String(percent);
+
+    return percentageString + '&nbsp;%&nbsp;';
+}
+
 /**
  * Label formatter function for pie chart
  * @param {object} seriesItem series item
@@ -19,20 +35,51 @@ var predicate = require('../../helpers/predicate');
  * @returns {object}
  */
 function pieTooltipLabelFormatter(seriesItem, tooltipDatum, labelPrefix) {
-    var ratioLabel;
-    var percentageString = (seriesItem.ratio * 100).toFixed(4);
-    var percent = parseFloat(percentageString);
-    var needSlice = (percent < 0.0009 || percentageString.length > 5);
+    tooltipDatum.ratioLabel = labelPrefix + makeRatioLabel(seriesItem.ratio);
+    tooltipDatum.label = seriesItem.tooltipLabel || (seriesItem.label ? seriesItem.label : '');
 
-    percentageString = needSlice ? percentageString.substr(0, 4) : String(percent);
-    ratioLabel = percentageString + '&nbsp;%&nbsp;' || '';
+    return tooltipDatum;
+}
+
+/**
+ * Label formatter function for funnel type chart.
+ * Ratio of funnel type chart is ratio to value of first stage.
+ * @param {object} seriesItem series item
+ * @param {object} tooltipDatum tooltip datum object
+ * @param {string} labelPrefix label prefix
+ * @returns {object}
+ */
+function funnelTooltipLabelFormatter(seriesItem, tooltipDatum, labelPrefix) {
+    var hasFirstStageRatio = tui.util.isExisty(seriesItem.firstStageRatio);
 
-    tooltipDatum.ratioLabel = labelPrefix + ratioLabel;
+    tooltipDatum.ratioLabel = hasFirstStageRatio ? labelPrefix + makeRatioLabel(seriesItem.firstStageRatio) : '';
     tooltipDatum.label = seriesItem.tooltipLabel || (seriesItem.label ? seriesItem.label : '');
 
     return tooltipDatum;
 }
 
+/**
+ * Pick factory of tooltip by chart type and tooltip options.
+ * @param {string} chartType - chart type
+ * @param {object} tooltipOptions - tooltip options
+ * @returns {function}
+ */
+function pickTooltipFactory(chartType, tooltipOptions) {
+    var factory;
+
+    if (chartType === 'map') {
+        factory = mapChartTooltipFactory;
+    } else if (predicate.isSankeyChart(chartType)) {
+        factory = sankeyChartTooltipFactory;
+    } else if (tooltipOptions.grouped) {
+        factory = groupTooltipFactory;
+    } else {
+        factory = normalTooltipFactory;
+    }
+
+    return factory;
+}
+
 /**
  * Factory for Tooltip
  * @param {object} params parameter
@@ -43,7 +90,6 @@ function tooltipFactory(params) {
     var seriesTypes = params.seriesTypes;
     var xAxisOptions = params.chartOptions.xAxis;
     var colors = [];
-    var factory;
 
     tui.util.forEach(tui.util.filter(params.chartTheme.legend, function(item) {
         return tui.util.isArray(item.colors);
@@ -51,25 +97,20 @@ function tooltipFactory(params) {
         colors = colors.concat(series.colors);
     });
 
-    if (chartType === 'map') {
-        factory = mapChartTooltipFactory;
-    } else if (params.options.grouped) {
-        factory = groupTooltipFactory;
-    } else {
-        factory = normalTooltipFactory;
-    }
-
     if (chartType === 'pie' || predicate.isPieDonutComboChart(chartType, seriesTypes)) {
         params.labelFormatter = pieTooltipLabelFormatter;
+    } else if (predicate.isFunnelTypeChart(chartType)) {
+        params.labelFormatter = funnelTooltipLabelFormatter;
     }
 
     params.chartType = chartType;
     params.chartTypes = seriesTypes;
-    params.xAxisType = xAxisOptions.type;
+    // categories of gantt chart are names of tasks, though x axis is datetime type
+    params.xAxisType = predicate.isGanttChart(chartType) ? null : xAxisOptions.type;
     params.dateFormat = xAxisOptions.dateFormat;
     params.colors = colors;
 
-    return factory(params);
+    return pickTooltipFactory(chartType, params.options)(params);
 }
 
 tooltipFactory.componentType = 'tooltip';
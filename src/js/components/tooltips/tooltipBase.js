@@ -153,6 +153,12 @@ var TooltipBase = tui.util.defineClass(/** @lends TooltipBase.prototype */ {
          */
         this.positionMap = null;
 
+        /**
+         * timer id for hiding tooltip
+         * @type {null|number}
+         */
+        this.hidingTimerId = null;
+
         /**
          * Drawing type
          * @type {string}
@@ -456,6 +462,20 @@ var TooltipBase = tui.util.defineClass(/** @lends TooltipBase.prototype */ {
     resetOffset: function() {
         this.options.offset = this.orgPositionOptions.offset;
         this._updateOffsetOption(this.options.offset);
+    },
+
+    /**
+     * Destroy tooltip component.
+     * Sliding animation and hiding timer are stopped.
+     */
+    destroy: function() {
+        renderUtil.cancelAnimation(this.slidingAnimation);
+        clearTimeout(this.hidingTimerId);
+
+        this.slidingAnimation = null;
+        this.hidingTimerId = null;
+        this.tooltipElement = null;
+        this.tooltipContainer = null;
     }
 });
 
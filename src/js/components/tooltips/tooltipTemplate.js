@@ -41,10 +41,32 @@ var htmls = {
         '&nbsp;<span>{{ legend }}</span>:&nbsp;<span>{{ value }}</span>' +
         '<span>{{ suffix }}</span>' +
     '</div>',
+    HTML_CANDLESTICK_GROUP_ITEM: '<div>' +
+            '<div class="tui-chart-legend-rect {{ chartType }}" style="{{ cssText }}"></div>' +
+            '&nbsp;<span>{{ legend }}</span>' +
+        '</div>' +
+        '<div><span>Open: </span><span>{{ open }}</span><span>{{ suffix }}</span></div>' +
+        '<div><span>High: </span><span>{{ high }}</span><span>{{ suffix }}</span></div>' +
+        '<div><span>Low: </span><span>{{ low }}</span><span>{{ suffix }}</span></div>' +
+        '<div><span>Close: </span><span>{{ close }}</span><span>{{ suffix }}</span></div>' +
+        '<div class="{{ volumeVisible }}"><span>Volume: </span><span>{{ volume }}</span></div>',
     GROUP_CSS_TEXT: 'background-color:{{ color }}',
     HTML_MAP_CHART_DEFAULT_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
         '<div>{{ name }}: {{ value }}{{ suffix }}</div>' +
     '</div>',
+    HTML_MAP_CHART_POINT_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
+        '<div>{{ name }}</div>' +
+        '<div class="{{ valueVisible }}">' +
+            '<span>{{ value }}</span>' +
+            '<span>{{ suffix }}</span>' +
+        '</div>' +
+    '</div>',
+    HTML_SANKEY_NODE_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
+        '<div>{{ name }}: {{ value }}{{ suffix }}</div>' +
+    '</div>',
+    HTML_SANKEY_LINK_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
+        '<div>{{ source }} &rarr; {{ target }}: {{ value }}{{ suffix }}</div>' +
+    '</div>',
     HTML_BOXPLOT_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
         '<div class="{{ categoryVisible }}">{{ category }}</div>' +
             '<div>' +
@@ -75,6 +97,50 @@ var htmls = {
                 '<span>{{ minLabel }}</span>' +
                 '<span>{{ suffix }}</span>' +
             '</div>' +
+            '<div class="{{ statisticsVisible }}">' +
+                '<span>Mean: </span>' +
+                '<span>{{ mean }}</span>' +
+                '<span>{{ suffix }}</span>' +
+            '</div>' +
+            '<div class="{{ statisticsVisible }}">' +
+                '<span>Count: </span>' +
+                '<span>{{ count }}</span>' +
+            '</div>' +
+    '</div>',
+    HTML_BULLET_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
+        '<div class="{{ categoryVisible }}">{{ category }}</div>' +
+            '<div>' +
+                '<span>{{ legend }}</span>' +
+            '</div>' +
+            '<div>' +
+                '<span>Actual: </span>' +
+                '<span>{{ value }}</span>' +
+                '<span>{{ suffix }}</span>' +
+            '</div>' +
+            '<div class="{{ markerVisible }}">' +
+                '<span>Target: </span>' +
+                '<span>{{ markerLabel }}</span>' +
+                '<span>{{ suffix }}</span>' +
+            '</div>' +
+            '<div class="{{ rangeVisible }}">' +
+                '<span>Range: </span>' +
+                '<span>{{ rangeLabel }}</span>' +
+                '<span>{{ suffix }}</span>' +
+            '</div>' +
+    '</div>',
+    HTML_GANTT_TEMPLATE: '<div class="tui-chart-default-tooltip">' +
+        '<div class="{{ categoryVisible }}">{{ category }}</div>' +
+            '<div>' +
+                '<span>{{ legend }}</span>' +
+            '</div>' +
+            '<div>' +
+                '<span>Period: </span>' +
+                '<span>{{ periodLabel }}</span>' +
+            '</div>' +
+            '<div class="{{ milestoneVisible }}">' +
+                '<span>Milestone: </span>' +
+                '<span>{{ milestoneLabel }}</span>' +
+            '</div>' +
     '</div>',
     HTML_BOXPLOT_OUTLIER: '<div class="tui-chart-default-tooltip">' +
         '<div class="{{ categoryVisible }}">{{ category }}</div>' +
@@ -95,8 +161,14 @@ module.exports = {
     tplCoordinatetypeChart: templateMaker.template(htmls.HTML_COORDINATE_TYPE_CHART_TEMPLATE),
     tplGroup: templateMaker.template(htmls.HTML_GROUP),
     tplGroupItem: templateMaker.template(htmls.HTML_GROUP_ITEM),
+    tplCandlestickGroupItem: templateMaker.template(htmls.HTML_CANDLESTICK_GROUP_ITEM),
     tplGroupCssText: templateMaker.template(htmls.GROUP_CSS_TEXT),
     tplMapChartDefault: templateMaker.template(htmls.HTML_MAP_CHART_DEFAULT_TEMPLATE),
+    tplMapChartPoint: templateMaker.template(htmls.HTML_MAP_CHART_POINT_TEMPLATE),
+    tplSankeyNode: templateMaker.template(htmls.HTML_SANKEY_NODE_TEMPLATE),
+    tplSankeyLink: templateMaker.template(htmls.HTML_SANKEY_LINK_TEMPLATE),
     tplBoxplotChartDefault: templateMaker.template(htmls.HTML_BOXPLOT_TEMPLATE),
-    tplBoxplotChartOutlier: templateMaker.template(htmls.HTML_BOXPLOT_OUTLIER)
+    tplBoxplotChartOutlier: templateMaker.template(htmls.HTML_BOXPLOT_OUTLIER),
+    tplBulletChart: templateMaker.template(htmls.HTML_BULLET_TEMPLATE),
+    tplGanttChart: templateMaker.template(htmls.HTML_GANTT_TEMPLATE)
 };
@@ -26,6 +26,10 @@ var chartConst = {
     /** @type {string} */
     CLASS_NAME_RESET_ZOOM_BTN: 'tui-chart-reset-zoom-btn',
     /** @type {string} */
+    CLASS_NAME_BREADCRUMB: 'tui-chart-breadcrumb',
+    /** @type {string} */
+    CLASS_NAME_BREADCRUMB_ITEM: 'tui-chart-breadcrumb-item',
+    /** @type {string} */
     CLASS_NAME_CHART_EXPORT_MENU_AREA: 'tui-chart-chartExportMenu-area',
     /** @type {string} */
     CLASS_NAME_CHART_EXPORT_MENU_ITEM: 'tui-chart-chartExportMenu-item',
@@ -66,7 +70,27 @@ var chartConst = {
     /** @type {string} */
     CHART_TYPE_RADIAL: 'radial',
     /** @type {string} */
+    CHART_TYPE_POLAR_AREA: 'polarArea',
+    /** @type {string} */
     CHART_TYPE_BOXPLOT: 'boxplot',
+    /** @type {string} */
+    CHART_TYPE_CANDLESTICK: 'candlestick',
+    /** @type {string} */
+    CHART_TYPE_WATERFALL: 'waterfall',
+    /** @type {string} */
+    CHART_TYPE_FUNNEL: 'funnel',
+    /** @type {string} */
+    CHART_TYPE_PYRAMID: 'pyramid',
+    /** @type {string} */
+    CHART_TYPE_GAUGE: 'gauge',
+    /** @type {string} */
+    CHART_TYPE_SANKEY: 'sankey',
+    /** @type {string} */
+    CHART_TYPE_SUNBURST: 'sunburst',
+    /** @type {string} */
+    CHART_TYPE_BULLET: 'bullet',
+    /** @type {string} */
+    CHART_TYPE_GANTT: 'gantt',
     /** chart padding */
     CHART_PADDING: 10,
     /** chart default width */
@@ -138,6 +162,14 @@ var chartConst = {
      * @type {string}
      */
     TREEMAP_DEFAULT_BORDER: '#ccc',
+    /** default label of root for breadcrumbs of treemap type chart
+     * @type {string}
+     */
+    TREEMAP_DEFAULT_ROOT_LABEL: 'All',
+    /** height of breadcrumb bar, which is rendered by zooming treemap type chart or drilling down map chart
+     * @type {number}
+     */
+    BREADCRUMB_HEIGHT: 24,
     /** empty axis label */
     EMPTY_AXIS_LABEL: '',
     /** angel */
@@ -173,6 +205,44 @@ var chartConst = {
         x: 0.5,
         y: 0.5
     },
+    /** @type {string} */
+    MAP_PROJECTION_MERCATOR: 'mercator',
+    /** @type {string} */
+    MAP_PROJECTION_EQUIRECTANGULAR: 'equirectangular',
+    /** @type {string} */
+    MAP_PROJECTION_ALBERS_USA: 'albersUsa',
+    /** @type {string} */
+    MAP_PROJECTION_ORTHOGRAPHIC: 'orthographic',
+    /** width of map, which is converted from GeoJSON or TopoJSON */
+    MAP_PROJECTION_BASE_WIDTH: 1000,
+    /** @type {string} */
+    MAP_POINT_TYPE_MARKER: 'marker',
+    /** @type {string} */
+    MAP_POINT_TYPE_BUBBLE: 'bubble',
+    /** radius of marker of map chart */
+    MAP_MARKER_RADIUS: 5,
+    /** min radius of bubble of map chart */
+    MAP_BUBBLE_MIN_RADIUS: 2,
+    /** ratio of max radius of bubble of map chart to shorter side of series area */
+    MAP_BUBBLE_MAX_RADIUS_RATIO: 0.08,
+    /** @type {string} */
+    COLOR_SCALE_TYPE_LINEAR: 'linear',
+    /** @type {string} */
+    COLOR_SCALE_TYPE_DIVERGING: 'diverging',
+    /** @type {string} */
+    COLOR_SCALE_TYPE_QUANTIZE: 'quantize',
+    /** @type {string} */
+    COLOR_SCALE_TYPE_QUANTILE: 'quantile',
+    /** @type {string} */
+    COLOR_SCALE_TYPE_THRESHOLD: 'threshold',
+    /** @type {string} */
+    COLOR_INTERPOLATION_RGB: 'rgb',
+    /** @type {string} */
+    COLOR_INTERPOLATION_LAB: 'lab',
+    /** @type {string} */
+    COLOR_INTERPOLATION_HCL: 'hcl',
+    /** default count of classes of quantize and quantile color scale */
+    COLOR_SCALE_CLASS_COUNT: 5,
     /** dot radius */
     DOT_RADIUS: 4,
     /** radius for circle of scatter chart*/
@@ -184,7 +254,8 @@ var chartConst = {
     THEME_PROPS_MAP: {
         yAxis: ['tickColor', 'title', 'label'],
         series: ['label', 'colors', 'borderColor', 'borderWidth', 'selectionColor', 'startColor', 'endColor',
-            'overColor', 'dot']
+            'overColor', 'dot', 'risingColor', 'fallingColor', 'increaseColor', 'decreaseColor', 'totalColor',
+            'trackColor', 'needleColor', 'rangeColors', 'markerColor', 'milestoneColor', 'dependencyColor']
     },
     /** title area width padding */
     TITLE_AREA_WIDTH_PADDING: 20,
@@ -255,6 +326,21 @@ var chartConst = {
      * @type {string}
      */
     AXIS_TYPE_DATETIME: 'datetime',
+    /**
+     * logarithmic axis type
+     * @type {string}
+     */
+    AXIS_TYPE_LOGARITHMIC: 'logarithmic',
+    /**
+     * default base of logarithmic axis
+     * @type {number}
+     */
+    DEFAULT_LOGARITHMIC_BASE: 10,
+    /**
+     * size of minor tick of logarithmic axis
+     * @type {number}
+     */
+    MINOR_TICK_SIZE: 3,
     /**
      * default dateFormat
      * @type {string}
@@ -288,6 +374,14 @@ var chartConst = {
     MAP_LEGEND_GRAPH_SIZE: 25,
     /** map legend label padding */
     MAP_LEGEND_LABEL_PADDING: 10,
+    /** gap between color bar and swatch of no data in map legend */
+    MAP_LEGEND_NO_DATA_GAP: 10,
+    /** size of swatch of no data in map legend */
+    MAP_LEGEND_NO_DATA_SWATCH_SIZE: 14,
+    /** default color of area without value like region of map and cell of heatmap */
+    NO_DATA_DEFAULT_COLOR: '#e5e5e5',
+    /** default label of area without value */
+    NO_DATA_DEFAULT_LABEL: 'No data',
     CIRCLE_LEGEND_LABEL_FONT_SIZE: 9,
     CIRCLE_LEGEND_PADDING: 10,
     HALF_RATIO: 0.5,
@@ -372,17 +466,23 @@ var chartConst = {
         unselectSeries: true,
         beforeShowTooltip: true,
         afterShowTooltip: true,
-        zoom: true
+        zoom: true,
+        hoverPoint: true,
+        clickPoint: true,
+        drilldown: true
     },
     /** for radial */
     RADIAL_PLOT_PADDING: 15, // Prevent cross paper boundaries by line width
     RADIAL_MARGIN_FOR_CATEGORY: 60,
     RADIAL_CATEGORY_PADDING: 20,
+    /** for sankey, group index of tooltip and mouse event data for node and link */
+    SANKEY_NODE_GROUP_INDEX: 0,
+    SANKEY_LINK_GROUP_INDEX: 1,
 
     COMPONENT_TYPE_DOM: 'DOM',
     COMPONENT_TYPE_RAPHAEL: 'Raphael',
 
-    IMAGE_EXTENSIONS: ['png', 'jpeg'],
-    DATA_EXTENSIONS: ['xls', 'csv']
+    IMAGE_EXTENSIONS: ['png', 'jpeg', 'svg'],
+    DATA_EXTENSIONS: ['xlsx', 'xls', 'csv', 'json']
 };
 module.exports = chartConst;
@@ -6,7 +6,10 @@
 
 'use strict';
 
+var mapDataConverter = require('../helpers/mapDataConverter');
+
 var maps = {};
+var projections = {};
 
 module.exports = {
     /**
@@ -24,12 +27,34 @@ module.exports = {
         return data;
     },
 
+    /**
+     * Get projection of map, which converts longitude and latitude to coordinate of map data.
+     * Only maps registered by GeoJSON or TopoJSON have projection.
+     * @param {string} mapName map name
+     * @returns {?function(number, number): ?{x: number, y: number}} projection
+     */
+    getProjection: function(mapName) {
+        return projections[mapName] || null;
+    },
+
     /**
      * Register Map.
+     * GeoJSON and TopoJSON are converted to map data by projection of options.
      * @param {string} mapName map name
-     * @param {Array} data map data
+     * @param {Array|object} data map data, GeoJSON or TopoJSON
+     * @param {?object} options options for converting GeoJSON or TopoJSON
      */
-    register: function(mapName, data) {
+    register: function(mapName, data, options) {
+        var converted;
+
+        projections[mapName] = null;
+
+        if (mapDataConverter.isGeographicData(data)) {
+            converted = mapDataConverter.convertWithProjection(data, options);
+            data = converted.mapData;
+            projections[mapName] = converted.projection;
+        }
+
         maps[mapName] = data;
     }
 };
@@ -8,6 +8,34 @@
 
 var arrayUtil = require('./arrayUtil');
 var PERCENT_DIVISOR = 100;
+var LOG_PRECISION = 1e10;
+
+/**
+ * Functions for picking quantile from sorted values by interpolation method.
+ * Each function is called with sorted values and position, which is (length - 1) * ratio.
+ * @type {object.<string, function>}
+ * @ignore
+ */
+var quantileInterpolators = {
+    linear: function(sortedValues, position) {
+        var lower = sortedValues[Math.floor(position)];
+        var higher = sortedValues[Math.ceil(position)];
+
+        return lower + ((higher - lower) * (position - Math.floor(position)));
+    },
+    lower: function(sortedValues, position) {
+        return sortedValues[Math.floor(position)];
+    },
+    higher: function(sortedValues, position) {
+        return sortedValues[Math.ceil(position)];
+    },
+    nearest: function(sortedValues, position) {
+        return sortedValues[Math.round(position)];
+    },
+    midpoint: function(sortedValues, position) {
+        return (sortedValues[Math.floor(position)] + sortedValues[Math.ceil(position)]) / 2;
+    }
+};
 
 /**
  * Calculator.
@@ -146,6 +174,53 @@ var calculator = {
      */
     calculateRatio: function(value, divNumber, subNumber, baseRatio) {
         return ((value - subNumber) / divNumber) * baseRatio;
+    },
+
+    /**
+     * Calculate logarithm of value.
+     * Result is rounded off to 10 decimal places for preventing error of floating point like log(1000) = 2.9999.
+     * @param {number} value - value
+     * @param {number} base - base of logarithm
+     * @returns {number}
+     */
+    log: function(value, base) {
+        return Math.round(Math.log(value) / Math.log(base) * LOG_PRECISION) / LOG_PRECISION;
+    },
+
+    /**
+     * Calculate ratio for making bound in logarithmic scale.
+     * Value, which is not greater than minimum of limit, is treated as minimum of limit.
+     * @param {number} value - value
+     * @param {{min: number, max: number}} limit - limit, min should be greater than zero
+     * @returns {number}
+     */
+    calculateLogarithmicRatio: function(value, limit) {
+        var logMin = Math.log(limit.min);
+
+        return (Math.log(Math.max(value, limit.min)) - logMin) / (Math.log(limit.max) - logMin);
+    },
+
+    /**
+     * Calculate mean of values.
+     * @param {Array.<number>} values - values
+     * @returns {number}
+     */
+    mean: function(values) {
+        return calculator.sum(values) / values.length;
+    },
+
+    /**
+     * Calculate quantile of sorted values.
+     * Interpolation method is one of linear, lower, higher, nearest and midpoint, default is linear.
+     * @param {Array.<number>} sortedValues - values sorted in ascending order
+     * @param {number} ratio - ratio of quantile, between 0 and 1
+     * @param {string} [method] - interpolation method, when quantile is between two values
+     * @returns {number}
+     */
+    calculateQuantile: function(sortedValues, ratio, method) {
+        var interpolator = quantileInterpolators[method] || quantileInterpolators.linear;
+
+        return interpolator(sortedValues, (sortedValues.length - 1) * ratio);
     }
 };
 
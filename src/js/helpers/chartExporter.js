@@ -51,7 +51,7 @@ function exportChart(fileName, extension, rawData, svgElement, downloadOptions)
     var downloadOption = (downloadOptions && downloadOptions[extension] ? downloadOptions[extension] : {});
 
     if (isImageExtension(extension)) {
-        imageExporter.downloadImage(fileName, extension, svgElement);
+        imageExporter.downloadImage(fileName, extension, svgElement, downloadOption);
     } else if (isDataExtension(extension)) {
         dataExporter.downloadData(fileName, extension, rawData, downloadOption);
     }
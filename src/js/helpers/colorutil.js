@@ -7,6 +7,19 @@
 
 var hexRX = /(^#[0-9A-F]{6}$)|(^#[0-9A-F]{3}$)/i;
 
+/**
+ * Reference white of D65 illuminant and constants of CIE Lab.
+ * @type {object}
+ * @ignore
+ */
+var LAB = {
+    whiteX: 0.95047,
+    whiteZ: 1.08883,
+    epsilon: 0.008856,
+    kappa: 7.787
+};
+var RAD = Math.PI / 180;
+
 /**
  * Color map.
  * http://stackoverflow.com/questions/1573053/javascript-function-to-convert-color-names-to-hex-codes
@@ -238,9 +251,116 @@ var colorutil = {
      */
     colorNameToHex: function(colorName) {
         return colorMap[colorName.toLowerCase()] || colorName;
+    },
+
+    /**
+     * Convert rgb number array to CIE Lab number array (D65 illuminant)
+     * @param {number[]} rgb - rgb numbers
+     * @returns {number[]} lab numbers
+     */
+    rgbToLab: function(rgb) {
+        var r = toLinearChannel(rgb[0]);
+        var g = toLinearChannel(rgb[1]);
+        var b = toLinearChannel(rgb[2]);
+        var x = xyzToLabValue(((0.4124564 * r) + (0.3575761 * g) + (0.1804375 * b)) / LAB.whiteX);
+        var y = xyzToLabValue((0.2126729 * r) + (0.7151522 * g) + (0.0721750 * b));
+        var z = xyzToLabValue(((0.0193339 * r) + (0.1191920 * g) + (0.9503041 * b)) / LAB.whiteZ);
+
+        return [(116 * y) - 16, 500 * (x - y), 200 * (y - z)];
+    },
+
+    /**
+     * Convert CIE Lab number array to rgb number array (D65 illuminant)
+     * Colors out of sRGB gamut are clipped.
+     * @param {number[]} lab - lab numbers
+     * @returns {number[]} rgb numbers
+     */
+    labToRGB: function(lab) {
+        var fy = (lab[0] + 16) / 116;
+        var x = labValueToXYZ(fy + (lab[1] / 500)) * LAB.whiteX;
+        var y = labValueToXYZ(fy);
+        var z = labValueToXYZ(fy - (lab[2] / 200)) * LAB.whiteZ;
+
+        return [
+            toSRGBChannel((3.2404542 * x) - (1.5371385 * y) - (0.4985314 * z)),
+            toSRGBChannel((-0.9692660 * x) + (1.8760108 * y) + (0.0415560 * z)),
+            toSRGBChannel((0.0556434 * x) - (0.2040259 * y) + (1.0572252 * z))
+        ];
+    },
+
+    /**
+     * Convert CIE Lab number array to hcl(hue, chroma, lightness) number array
+     * @param {number[]} lab - lab numbers
+     * @returns {number[]} hcl numbers, hue is degree (0 ~ 360)
+     */
+    labToHCL: function(lab) {
+        var hue = Math.atan2(lab[2], lab[1]) / RAD;
+
+        return [
+            hue < 0 ? hue + 360 : hue,
+            Math.sqrt((lab[1] * lab[1]) + (lab[2] * lab[2])),
+            lab[0]
+        ];
+    },
+
+    /**
+     * Convert hcl(hue, chroma, lightness) number array to CIE Lab number array
+     * @param {number[]} hcl - hcl numbers
+     * @returns {number[]} lab numbers
+     */
+    hclToLab: function(hcl) {
+        var hue = hcl[0] * RAD;
+
+        return [hcl[2], Math.cos(hue) * hcl[1], Math.sin(hue) * hcl[1]];
     }
 };
 
+/**
+ * Convert channel of sRGB to linear RGB.
+ * @param {number} channel - channel of sRGB (0 ~ 255)
+ * @returns {number}
+ * @ignore
+ */
+function toLinearChannel(channel) {
+    channel /= 255;
+
+    return channel <= 0.04045 ? channel / 12.92 : Math.pow((channel + 0.055) / 1.055, 2.4);
+}
+
+/**
+ * Convert channel of linear RGB to sRGB.
+ * @param {number} channel - channel of linear RGB
+ * @returns {number} channel of sRGB (0 ~ 255)
+ * @ignore
+ */
+function toSRGBChannel(channel) {
+    channel = channel <= 0.0031308 ? 12.92 * channel : (1.055 * Math.pow(channel, 1 / 2.4)) - 0.055;
+
+    return Math.min(Math.max(Math.round(channel * 255), 0), 255);
+}
+
+/**
+ * Convert XYZ to Lab value.
+ * @param {number} value - value of XYZ, which is divided by reference white
+ * @returns {number}
+ * @ignore
+ */
+function xyzToLabValue(value) {
+    return value > LAB.epsilon ? Math.pow(value, 1 / 3) : (LAB.kappa * value) + (16 / 116);
+}
+
+/**
+ * Convert Lab value to XYZ.
+ * @param {number} value - Lab value
+ * @returns {number} value of XYZ, which is divided by reference white
+ * @ignore
+ */
+function labValueToXYZ(value) {
+    var cube = Math.pow(value, 3);
+
+    return cube > LAB.epsilon ? cube : (value - (16 / 116)) / LAB.kappa;
+}
+
 tui.util.defineNamespace('tui.chart');
 tui.chart.colorutil = colorutil;
 
@@ -7,16 +7,26 @@
 'use strict';
 
 var downloader = require('./downloader');
+var zipArchiver = require('./zipArchiver');
+var predicate = require('./predicate');
 var chartConst = require('../const');
 
 var DATA_URI_HEADERS = {
+    xlsx: 'data:application/vnd.openxmlformats-officedocument.spreadsheetml.sheet;base64,',
     xls: 'data:application/vnd.ms-excel;base64,',
-    csv: 'data:text/csv,'
+    csv: 'data:text/csv,',
+    json: 'data:application/json,'
 };
 var DATA_URI_BODY_MAKERS = {
+    xlsx: _makeXlsxBodyWithRawData,
     xls: _makeXlsBodyWithRawData,
     csv: _makeCsvBodyWithRawData
 };
+var BOXPLOT_SUMMARY_LENGTH = 5;
+var XLSX_NAMESPACE = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+var XLSX_RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+var XLSX_PACKAGE_RELATIONSHIP_NAMESPACE = 'http://schemas.openxmlformats.org/package/2006/relationships';
+var XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>';
 var dataExtensions = [].concat([], chartConst.DATA_EXTENSIONS);
 
 var dataExporter = {
@@ -28,8 +38,14 @@ var dataExporter = {
      * @param {object} [downloadOption] download option
      */
     downloadData: function(fileName, extension, rawData, downloadOption) {
-        var chartData2DArray = _get2DArrayFromRawData(rawData);
-        var content = DATA_URI_HEADERS[extension] + DATA_URI_BODY_MAKERS[extension](chartData2DArray, downloadOption);
+        var content;
+
+        if (extension === 'json') {
+            content = DATA_URI_HEADERS.json + _makeJsonBodyWithRawData(rawData);
+        } else {
+            content = DATA_URI_HEADERS[extension] +
+                DATA_URI_BODY_MAKERS[extension](_get2DArrayFromRawData(rawData), downloadOption);
+        }
 
         downloader.execDownload(fileName, extension, content);
     },
@@ -44,43 +60,425 @@ var dataExporter = {
 };
 
 /**
- * Get pivoted second dimension array from table to use element.innerText
+ * Whether series data is coordinate type like [{x, y}] or [[x, y]].
+ * @param {rawData} rawData - chart's raw data
+ * @param {string} chartType - chart type of first series
+ * @returns {boolean}
+ * @private
+ */
+function _isCoordinateData(rawData, chartType) {
+    var seriesItem = rawData.series[chartType][0];
+
+    return predicate.isCoordinateTypeChart(chartType) ||
+        (!rawData.categories && !!seriesItem && tui.util.isObject(seriesItem.data[0]));
+}
+
+/**
+ * Whether series data of series item is range type like [[start, end]].
+ * @param {{data: Array}} seriesItem - series item
+ * @returns {boolean}
+ * @private
+ */
+function _isRangeData(seriesItem) {
+    return tui.util.isArray(seriesItem.data) && tui.util.isArray(seriesItem.data[0]);
+}
+
+/**
+ * Make 2D array of category type data.
+ * Range data is divided to start and end rows.
  * @param {rawData} rawData - chart's raw data
  * @returns {Array.<Array>}
  * @private
  */
-function _get2DArrayFromRawData(rawData) {
-    var resultArray = [];
-    var categories, seriesName, data;
-    var isHeatMap = (rawData.categories && tui.util.isExisty(rawData.categories.x));
-
-    if (rawData) {
-        if (isHeatMap) {
-            categories = rawData.categories.x;
-        } else if (rawData.categories) {
-            categories = rawData.categories;
-        }
+function _make2DArrayOfCategoryData(rawData) {
+    var resultArray = [[''].concat(rawData.categories || [])];
+
+    tui.util.forEach(rawData.series, function(seriesData) {
+        tui.util.forEachArray(seriesData, function(seriesItem) {
+            if (_isRangeData(seriesItem)) {
+                resultArray.push([seriesItem.name + ' (start)'].concat(tui.util.pluck(seriesItem.data, 0)));
+                resultArray.push([seriesItem.name + ' (end)'].concat(tui.util.pluck(seriesItem.data, 1)));
+            } else {
+                resultArray.push([seriesItem.name].concat(seriesItem.data));
+            }
+        });
+    });
+
+    return resultArray;
+}
+
+/**
+ * Make 2D array of heatmap data.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfHeatmapData(rawData) {
+    var resultArray = [[''].concat(rawData.categories.x)];
+
+    tui.util.forEach(rawData.series, function(seriesData) {
+        tui.util.forEachArray(seriesData, function(data, index) {
+            resultArray.push([rawData.categories.y[index]].concat(data));
+        });
+    });
 
-        resultArray.push([''].concat(categories));
+    return resultArray;
+}
+
+/**
+ * Make 2D array of coordinate type data.
+ * Each datum becomes row of series name, x, y and r, label if they exist.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfCoordinateData(rawData) {
+    var fields = ['x', 'y'];
+    var data = [];
 
-        tui.util.forEach(rawData.series, function(seriesDatum) {
-            tui.util.forEach(seriesDatum, function(seriesItem, index) {
-                if (isHeatMap) {
-                    seriesName = rawData.categories.y[index];
-                    data = seriesItem;
-                } else {
-                    seriesName = seriesItem.name;
-                    data = seriesItem.data;
+    tui.util.forEach(rawData.series, function(seriesData) {
+        tui.util.forEachArray(seriesData, function(seriesItem) {
+            tui.util.forEachArray(seriesItem.data, function(datum) {
+                if (tui.util.isArray(datum)) {
+                    datum = {
+                        x: datum[0],
+                        y: datum[1]
+                    };
                 }
 
-                resultArray.push([seriesName].concat(data));
+                data.push(tui.util.extend({
+                    name: seriesItem.name
+                }, datum));
+            });
+        });
+    });
+
+    tui.util.forEachArray(['r', 'label'], function(field) {
+        if (tui.util.filter(tui.util.pluck(data, field), tui.util.isExisty).length) {
+            fields.push(field);
+        }
+    });
+
+    return [[''].concat(fields)].concat(tui.util.map(data, function(datum) {
+        return tui.util.map(['name'].concat(fields), function(field) {
+            return datum[field];
+        });
+    }));
+}
+
+/**
+ * Make rows of treemap data recursively.
+ * Id of node, which has no id, is made by its indexes.
+ * @param {Array.<object>} nodes - nodes of treemap
+ * @param {string} parentId - id of parent node
+ * @param {Array.<Array>} rows - rows to be appended
+ * @private
+ */
+function _appendTreemapRows(nodes, parentId, rows) {
+    tui.util.forEachArray(nodes, function(node, index) {
+        var id = tui.util.isExisty(node.id) ? node.id : (parentId ? parentId + '_' : '') + index;
+
+        rows.push([id, node.parent || parentId, node.label, node.value, node.colorValue]);
+
+        if (node.children) {
+            _appendTreemapRows(node.children, id, rows);
+        }
+    });
+}
+
+/**
+ * Make 2D array of treemap data.
+ * Each node becomes row of id, parent, label, value and colorValue.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfTreemapData(rawData) {
+    var rows = [];
+    var hasColorValue;
+
+    tui.util.forEach(rawData.series, function(seriesData) {
+        _appendTreemapRows(seriesData, '', rows);
+    });
+
+    hasColorValue = tui.util.filter(rows, function(row) {
+        return tui.util.isExisty(row[4]);
+    }).length > 0;
+
+    return [['id', 'parent', 'label', 'value'].concat(hasColorValue ? ['colorValue'] : [])].concat(
+        tui.util.map(rows, function(row) {
+            return hasColorValue ? row : row.slice(0, 4);
+        })
+    );
+}
+
+/**
+ * Pick outlier values of category.
+ * @param {?Array.<Array.<number>>} outliers - outliers like [[categoryIndex, value]]
+ * @param {number} categoryIndex - category index
+ * @returns {Array.<number>}
+ * @private
+ */
+function _pickOutlierValues(outliers, categoryIndex) {
+    var outliersOfCategory = tui.util.filter(outliers || [], function(outlier) {
+        return outlier[0] === categoryIndex;
+    });
+
+    return tui.util.pluck(outliersOfCategory, 1);
+}
+
+/**
+ * Make 2D array of boxplot data.
+ * Each category of series becomes row of series name, category, five-number summary and outliers.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfBoxplotData(rawData) {
+    var resultArray = [['', 'category', 'min', 'q1', 'median', 'q3', 'max', 'outliers']];
+
+    tui.util.forEach(rawData.series, function(seriesData) {
+        tui.util.forEachArray(seriesData, function(seriesItem) {
+            tui.util.forEachArray(seriesItem.data, function(summary, categoryIndex) {
+                resultArray.push([seriesItem.name, rawData.categories[categoryIndex]]
+                    .concat(summary.slice(0, BOXPLOT_SUMMARY_LENGTH))
+                    .concat(_pickOutlierValues(seriesItem.outliers, categoryIndex).join(' ')));
+            });
+        });
+    });
+
+    return resultArray;
+}
+
+/**
+ * Make 2D array of candlestick data.
+ * Each category of series becomes row of series name, category, open, high, low, close and volume.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfCandlestickData(rawData) {
+    var resultArray = [['', 'category', 'open', 'high', 'low', 'close', 'volume']];
+
+    tui.util.forEach(rawData.series, function(seriesData) {
+        tui.util.forEachArray(seriesData, function(seriesItem) {
+            tui.util.forEachArray(seriesItem.data, function(datum, categoryIndex) {
+                var volume = tui.util.isExisty(datum[4]) ? datum[4] : '';
+
+                resultArray.push([seriesItem.name, rawData.categories[categoryIndex]]
+                    .concat(datum.slice(0, 4), volume));
             });
         });
+    });
+
+    return resultArray;
+}
+
+/**
+ * Make 2D array of sankey data.
+ * Each link becomes row of source, target and value.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _make2DArrayOfSankeyData(rawData) {
+    return [['source', 'target', 'value']].concat(tui.util.map(rawData.links || [], function(link) {
+        return [link.source, link.target, link.value];
+    }));
+}
+
+/**
+ * Get maker of 2D array for chart type, which has its own data shape.
+ * @param {string} chartType - chart type
+ * @returns {?function}
+ * @private
+ */
+function _get2DArrayMakerByChartType(chartType) {
+    var maker = null;
+
+    if (predicate.isTreemapTypeChart(chartType)) {
+        maker = _make2DArrayOfTreemapData;
+    } else if (predicate.isBoxplotChart(chartType)) {
+        maker = _make2DArrayOfBoxplotData;
+    } else if (predicate.isCandlestickChart(chartType)) {
+        maker = _make2DArrayOfCandlestickData;
+    } else if (predicate.isSankeyChart(chartType)) {
+        maker = _make2DArrayOfSankeyData;
+    }
+
+    return maker;
+}
+
+/**
+ * Get maker of 2D array by data shape of raw data.
+ * @param {rawData} rawData - chart's raw data
+ * @param {string} chartType - chart type of first series
+ * @returns {function}
+ * @private
+ */
+function _get2DArrayMakerByDataShape(rawData, chartType) {
+    var maker = _make2DArrayOfCategoryData;
+
+    if (rawData.categories && tui.util.isExisty(rawData.categories.x)) {
+        maker = _make2DArrayOfHeatmapData;
+    } else if (_isCoordinateData(rawData, chartType)) {
+        maker = _make2DArrayOfCoordinateData;
+    }
+
+    return maker;
+}
+
+/**
+ * Get maker of 2D array by chart type or data shape of raw data.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {function}
+ * @private
+ */
+function _get2DArrayMaker(rawData) {
+    var chartType = tui.util.keys(rawData.series)[0];
+
+    return _get2DArrayMakerByChartType(chartType) || _get2DArrayMakerByDataShape(rawData, chartType);
+}
+
+/**
+ * Get pivoted second dimension array from raw data of every chart type.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {Array.<Array>}
+ * @private
+ */
+function _get2DArrayFromRawData(rawData) {
+    var resultArray = [];
+
+    if (rawData && rawData.series) {
+        resultArray = _get2DArrayMaker(rawData)(rawData);
     }
 
     return resultArray;
 }
 
+/**
+ * Escape special characters of xml.
+ * @param {string} value - value
+ * @returns {string}
+ * @private
+ */
+function _escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Get column name of spreadsheet like A, B, ..., Z, AA.
+ * @param {number} columnIndex - column index
+ * @returns {string}
+ * @private
+ */
+function _getColumnName(columnIndex) {
+    var columnName = '';
+    var index = columnIndex + 1;
+    var remainder;
+
+    while (index > 0) {
+        remainder = (index - 1) % 26;
+        columnName = String.fromCharCode(65 + remainder) + columnName;
+        index = Math.floor((index - remainder) / 26);
+    }
+
+    return columnName;
+}
+
+/**
+ * Make cell xml of xlsx worksheet.
+ * Numbers are kept as number type, and empty cells are omitted.
+ * @param {*} cell - cell value
+ * @param {string} reference - cell reference like A1
+ * @returns {string}
+ * @private
+ */
+function _makeXlsxCell(cell, reference) {
+    var cellXml = '';
+
+    if (tui.util.isNumber(cell) && isFinite(cell)) {
+        cellXml = '<c r="' + reference + '"><v>' + cell + '</v></c>';
+    } else if (tui.util.isExisty(cell) && cell !== '') {
+        cellXml = '<c r="' + reference + '" t="inlineStr"><is><t>' + _escapeXml(cell) + '</t></is></c>';
+    }
+
+    return cellXml;
+}
+
+/**
+ * Make worksheet xml of xlsx.
+ * @param {Array.<Array.<object>>} chartData2DArray - chart chartData2DArray
+ * @returns {string}
+ * @private
+ */
+function _makeXlsxWorksheet(chartData2DArray) {
+    var rowsXml = tui.util.map(chartData2DArray, function(row, rowIndex) {
+        var rowNumber = rowIndex + 1;
+        var cellsXml = tui.util.map(row, function(cell, cellIndex) {
+            return _makeXlsxCell(cell, _getColumnName(cellIndex) + rowNumber);
+        });
+
+        return '<row r="' + rowNumber + '">' + cellsXml.join('') + '</row>';
+    });
+
+    return XML_DECLARATION +
+        '<worksheet xmlns="' + XLSX_NAMESPACE + '"><sheetData>' + rowsXml.join('') + '</sheetData></worksheet>';
+}
+
+/**
+ * Make xlsx(Office Open XML) file with chart series data
+ * @param {Array.<Array.<object>>} chartData2DArray - chart chartData2DArray
+ * @param {object} [option] - download option
+ * @param {string} [option.sheetName = 'Sheet1'] - sheet name
+ * @returns {string} base64 xlsx file content
+ * @private
+ */
+function _makeXlsxBodyWithRawData(chartData2DArray, option) {
+    var sheetName = (option && option.sheetName) || 'Sheet1';
+    var zipString = zipArchiver.makeZip([{
+        name: '[Content_Types].xml',
+        content: XML_DECLARATION +
+            '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                '<Default Extension="xml" ContentType="application/xml"/>' +
+                '<Override PartName="/xl/workbook.xml" ' +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                '<Override PartName="/xl/worksheets/sheet1.xml" ' +
+                    'ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+            '</Types>'
+    }, {
+        name: '_rels/.rels',
+        content: XML_DECLARATION +
+            '<Relationships xmlns="' + XLSX_PACKAGE_RELATIONSHIP_NAMESPACE + '">' +
+                '<Relationship Id="rId1" Target="xl/workbook.xml" ' +
+                    'Type="' + XLSX_RELATIONSHIP_NAMESPACE + '/officeDocument"/>' +
+            '</Relationships>'
+    }, {
+        name: 'xl/workbook.xml',
+        content: XML_DECLARATION +
+            '<workbook xmlns="' + XLSX_NAMESPACE + '" xmlns:r="' + XLSX_RELATIONSHIP_NAMESPACE + '">' +
+                '<sheets><sheet name="' + _escapeXml(sheetName) + '" sheetId="1" r:id="rId1"/></sheets>' +
+            '</workbook>'
+    }, {
+        name: 'xl/_rels/workbook.xml.rels',
+        content: XML_DECLARATION +
+            '<Relationships xmlns="' + XLSX_PACKAGE_RELATIONSHIP_NAMESPACE + '">' +
+                '<Relationship Id="rId1" Target="worksheets/sheet1.xml" ' +
+                    'Type="' + XLSX_RELATIONSHIP_NAMESPACE + '/worksheet"/>' +
+            '</Relationships>'
+    }, {
+        name: 'xl/worksheets/sheet1.xml',
+        content: _makeXlsxWorksheet(chartData2DArray)
+    }]);
+
+    return window.btoa(zipString);
+}
+
 /**
  * Get table element from chart data 2D array for xls content
  * @param {Array.<Array<*>>} chartData2DArray - chart data 2D array
@@ -145,6 +543,25 @@ function _makeXlsBodyWithRawData(chartData2DArray) {
     return window.btoa(unescape(encodeURIComponent(xlsString)));
 }
 
+/**
+ * Make csv cell.
+ * Strings are quoted, and empty values are left blank.
+ * @param {*} cell - cell value
+ * @returns {string|number}
+ * @private
+ */
+function _makeCsvCell(cell) {
+    var cellContent = '';
+
+    if (tui.util.isNumber(cell)) {
+        cellContent = cell;
+    } else if (tui.util.isExisty(cell)) {
+        cellContent = '"' + String(cell).replace(/"/g, '""') + '"';
+    }
+
+    return cellContent;
+}
+
 /**
  * Make csv text with chart series data
  * @param {Array.<Array.<object>>} chartData2DArray - chart chartData2DArray
@@ -164,7 +581,7 @@ function _makeCsvBodyWithRawData(chartData2DArray, option) {
         var lastCellIndex = row.length - 1;
 
         tui.util.forEachArray(row, function(cell, cellIndex) {
-            var cellContent = (tui.util.isNumber(cell) ? cell : '"' + cell + '"');
+            var cellContent = _makeCsvCell(cell);
 
             csvText += cellContent;
 
@@ -181,9 +598,42 @@ function _makeCsvBodyWithRawData(chartData2DArray, option) {
     return encodeURIComponent(csvText);
 }
 
+/**
+ * Make json text with raw data.
+ * Series of single chart type is unwrapped like raw data of chart creation,
+ * and outliers appended to boxplot data are removed.
+ * @param {rawData} rawData - chart's raw data
+ * @returns {string} URI encoded json text
+ * @private
+ */
+function _makeJsonBodyWithRawData(rawData) {
+    var jsonData = tui.util.extend({}, rawData);
+    var chartTypes = tui.util.keys(rawData.series || {});
+
+    jsonData.series = tui.util.extend({}, rawData.series);
+
+    if (jsonData.series.boxplot) {
+        jsonData.series.boxplot = tui.util.map(jsonData.series.boxplot, function(seriesItem) {
+            return tui.util.extend({}, seriesItem, {
+                data: tui.util.map(seriesItem.data, function(summary) {
+                    return summary.slice(0, BOXPLOT_SUMMARY_LENGTH);
+                })
+            });
+        });
+    }
+
+    if (chartTypes.length === 1) {
+        jsonData.series = jsonData.series[chartTypes[0]];
+    }
+
+    return encodeURIComponent(JSON.stringify(jsonData));
+}
+
 // export private methods for Test
 dataExporter._makeCsvBodyWithRawData = _makeCsvBodyWithRawData;
 dataExporter._makeXlsBodyWithRawData = _makeXlsBodyWithRawData;
+dataExporter._makeXlsxBodyWithRawData = _makeXlsxBodyWithRawData;
+dataExporter._makeJsonBodyWithRawData = _makeJsonBodyWithRawData;
 dataExporter._get2DArrayFromRawData = _get2DArrayFromRawData;
 
 module.exports = dataExporter;
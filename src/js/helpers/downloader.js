@@ -6,9 +6,6 @@
 
 'use strict';
 
-var arrayUtil = require('../helpers/arrayUtil');
-var chartConst = require('../const');
-
 var DOWNLOAD_HANDLERS = {
     downloadAttribute: downloadWithAnchorElementDownloadAttribute,
     msSaveOrOpenBlob: downloadWithMsSaveOrOpenBlob
@@ -66,14 +63,12 @@ function base64toBlob(base64String) {
 }
 
 /**
- * Return given extension type is image format
- * @param {string} extension extension
+ * Return given content is base64 encoded data URI like image or xlsx
+ * @param {string} content - file content
  * @returns {boolean}
  */
-function isImageExtension(extension) {
-    return arrayUtil.any(chartConst.IMAGE_EXTENSIONS, function(imageExtension) {
-        return extension === imageExtension;
-    });
+function isBase64DataURI(content) {
+    return /^data:[^,]*;base64,/.test(content);
 }
 
 /**
@@ -83,7 +78,14 @@ function isImageExtension(extension) {
  * @param {string} content - file content
  */
 function downloadWithMsSaveOrOpenBlob(fileName, extension, content) {
-    var blobObject = isImageExtension(extension) ? base64toBlob(content) : new Blob([content]);
+    var blobObject;
+
+    if (isBase64DataURI(content)) {
+        blobObject = base64toBlob(content);
+    } else {
+        // URI encoded data URI like csv, json
+        blobObject = new Blob([decodeURIComponent(content.substr(content.indexOf(',') + 1))]);
+    }
 
     window.navigator.msSaveOrOpenBlob(blobObject, fileName + '.' + extension);
 }
@@ -126,5 +128,6 @@ function execDownload(fileName, extension, content) {
 }
 
 module.exports = {
-    execDownload: execDownload
+    execDownload: execDownload,
+    base64toBlob: base64toBlob
 };
@@ -13,6 +13,54 @@ var bindHandlerMap = {};
  * @module eventListener
  * @private */
 var eventListener = {
+    /**
+     * Store bind handler by target, type and handler.
+     * @memberOf module:eventListener
+     * @param {HTMLElement} target - target element
+     * @param {string} type - event type
+     * @param {function} handler - handler
+     * @param {function} bindHandler - bind handler
+     * @private
+     */
+    _pushBindHandler: function(target, type, handler, bindHandler) {
+        var key = type + handler;
+
+        bindHandlerMap[key] = bindHandlerMap[key] || [];
+        bindHandlerMap[key].push({
+            target: target,
+            bindHandler: bindHandler
+        });
+    },
+
+    /**
+     * Pull bind handler out of stored bind handlers, by target, type and handler.
+     * @memberOf module:eventListener
+     * @param {HTMLElement} target - target element
+     * @param {string} type - event type
+     * @param {function} handler - handler
+     * @returns {?function}
+     * @private
+     */
+    _pullBindHandler: function(target, type, handler) {
+        var key = type + handler;
+        var items = bindHandlerMap[key] || [];
+        var bindHandler = null;
+
+        tui.util.forEachArray(items, function(item, index) {
+            if (item.target === target) {
+                bindHandler = items.splice(index, 1)[0].bindHandler;
+            }
+
+            return !bindHandler;
+        });
+
+        if (!items.length) {
+            delete bindHandlerMap[key];
+        }
+
+        return bindHandler;
+    },
+
     /**
      * Add event listener for IE.
      * @memberOf module:eventListener
@@ -31,7 +79,7 @@ var eventListener = {
             bindHandler = handler;
         }
 
-        bindHandlerMap[type + handler] = bindHandler;
+        eventListener._pushBindHandler(target, type, handler, bindHandler);
         target.attachEvent('on' + type, bindHandler);
     },
 
@@ -53,7 +101,7 @@ var eventListener = {
             bindHandler = handler;
         }
 
-        bindHandlerMap[type + handler] = bindHandler;
+        eventListener._pushBindHandler(target, type, handler, bindHandler);
         target.addEventListener(type, bindHandler);
     },
 
@@ -111,9 +159,10 @@ var eventListener = {
      * @private
      */
     _detachEvent: function(target, type, handler) {
-        if (bindHandlerMap[type + handler]) {
-            target.detachEvent('on' + type, bindHandlerMap[type + handler]);
-            delete bindHandlerMap[type + handler];
+        var bindHandler = eventListener._pullBindHandler(target, type, handler);
+
+        if (bindHandler) {
+            target.detachEvent('on' + type, bindHandler);
         }
     },
 
@@ -126,8 +175,11 @@ var eventListener = {
      * @private
      */
     _removeEventListener: function(target, type, handler) {
-        target.removeEventListener(type, bindHandlerMap[type + handler]);
-        delete bindHandlerMap[type + handler];
+        var bindHandler = eventListener._pullBindHandler(target, type, handler);
+
+        if (bindHandler) {
+            target.removeEventListener(type, bindHandler);
+        }
     },
 
     /**
@@ -0,0 +1,462 @@
+/**
+ * @fileoverview Projections, which convert longitude and latitude of geographic data to coordinate of plane.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var chartConst = require('../const');
+
+var RAD = Math.PI / 180;
+var MAX_MERCATOR_LATITUDE = 85.0511287798;
+
+/*
+ * Longitude of edges of cylindrical projections, which is slightly inside of antimeridian,
+ * for keeping split points of ring on their own side.
+ */
+var EDGE_LONGITUDE = 180 - 1e-6;
+
+/*
+ * Count of bisections for finding point on horizon of orthographic projection,
+ * and angle step of arc along horizon in radian.
+ */
+var HORIZON_BISECTION_COUNT = 20;
+var HORIZON_ARC_STEP = 5 * RAD;
+
+/*
+ * Parameters of conic equal area projections of Albers-USA, which follow d3-geo.
+ * Alaska and Hawaii are scaled and moved to bottom left of lower 48 states.
+ */
+var ALBERS_USA_SCALE = 1070;
+var ALBERS_USA_PARAMS = {
+    lower48: {
+        parallels: [29.5, 45.5],
+        rotate: 96,
+        center: [-0.6, 38.7],
+        scale: 1,
+        translate: [0, 0]
+    },
+    alaska: {
+        parallels: [55, 65],
+        rotate: 154,
+        center: [-2, 58.5],
+        scale: 0.35,
+        translate: [-0.307, 0.201]
+    },
+    hawaii: {
+        parallels: [8, 18],
+        rotate: 157,
+        center: [-3, 19.9],
+        scale: 1,
+        translate: [-0.205, 0.212]
+    }
+};
+var projectionMakerMap = {};
+var ringProjectionMakerMap = {};
+
+/**
+ * Normalize longitude to range from -180 to 180.
+ * @param {number} longitude - longitude
+ * @returns {number}
+ * @ignore
+ */
+function normalizeLongitude(longitude) {
+    return ((((longitude + 180) % 360) + 360) % 360) - 180;
+}
+
+/**
+ * Make equirectangular projection, which maps longitude and latitude to x and y linearly.
+ * @param {Array.<number>} center - longitude and latitude of center
+ * @returns {function} projection
+ * @ignore
+ */
+function makeEquirectangular(center) {
+    return function(longitude, latitude) {
+        return {
+            x: normalizeLongitude(longitude - center[0]) * RAD,
+            y: -latitude * RAD
+        };
+    };
+}
+
+/**
+ * Make mercator projection.
+ * Latitude is limited to about 85 degrees, because poles are projected to infinity.
+ * @param {Array.<number>} center - longitude and latitude of center
+ * @returns {function} projection
+ * @ignore
+ */
+function makeMercator(center) {
+    return function(longitude, latitude) {
+        var phi = Math.max(Math.min(latitude, MAX_MERCATOR_LATITUDE), -MAX_MERCATOR_LATITUDE) * RAD;
+
+        return {
+            x: normalizeLongitude(longitude - center[0]) * RAD,
+            y: -Math.log(Math.tan((Math.PI / 4) + (phi / 2)))
+        };
+    };
+}
+
+/**
+ * Make orthographic projection, which looks globe from infinite distance.
+ * Points on the hemisphere of the other side of center are not projected.
+ * @param {Array.<number>} center - longitude and latitude of center
+ * @returns {function} projection
+ * @ignore
+ */
+function makeOrthographic(center) {
+    var centerPhi = center[1] * RAD;
+    var sinCenterPhi = Math.sin(centerPhi);
+    var cosCenterPhi = Math.cos(centerPhi);
+
+    return function(longitude, latitude) {
+        var lambda = (longitude - center[0]) * RAD;
+        var phi = latitude * RAD;
+        var cosPhi = Math.cos(phi);
+        var cosLambda = Math.cos(lambda);
+
+        if ((sinCenterPhi * Math.sin(phi)) + (cosCenterPhi * cosPhi * cosLambda) < 0) {
+            return null;
+        }
+
+        return {
+            x: cosPhi * Math.sin(lambda),
+            y: -((cosCenterPhi * Math.sin(phi)) - (sinCenterPhi * cosPhi * cosLambda))
+        };
+    };
+}
+
+/**
+ * Make conic equal area projection.
+ * @param {{
+ *      parallels: Array.<number>,
+ *      rotate: number,
+ *      center: Array.<number>,
+ *      scale: number,
+ *      translate: Array.<number>
+ * }} params - parameters of projection, translate is ratio of scale of Albers-USA
+ * @returns {function} projection
+ * @ignore
+ */
+function makeConicEqualArea(params) {
+    var sinPhi1 = Math.sin(params.parallels[0] * RAD);
+    var n = (sinPhi1 + Math.sin(params.parallels[1] * RAD)) / 2;
+    var c = 1 + (sinPhi1 * ((2 * n) - sinPhi1));
+    var r0 = Math.sqrt(c) / n;
+    var scale = params.scale * ALBERS_USA_SCALE;
+    var translateX = params.translate[0] * ALBERS_USA_SCALE;
+    var translateY = params.translate[1] * ALBERS_USA_SCALE;
+    var project = function(longitude, latitude) {
+        var lambda = normalizeLongitude(longitude + params.rotate) * RAD;
+        var r = Math.sqrt(Math.max(c - (2 * n * Math.sin(latitude * RAD)), 0)) / n;
+
+        return {
+            x: r * Math.sin(lambda * n),
+            y: r0 - (r * Math.cos(lambda * n))
+        };
+    };
+    var centerPoint = project(params.center[0] - params.rotate, params.center[1]);
+
+    return function(longitude, latitude) {
+        var point = project(longitude, latitude);
+
+        return {
+            x: translateX + (scale * (point.x - centerPoint.x)),
+            y: translateY - (scale * (point.y - centerPoint.y))
+        };
+    };
+}
+
+/**
+ * Make Albers-USA projection, which is composite of conic equal area projections
+ * of lower 48 states, Alaska and Hawaii.
+ * @returns {function} projection
+ * @ignore
+ */
+function makeAlbersUsa() {
+    var lower48 = makeConicEqualArea(ALBERS_USA_PARAMS.lower48);
+    var alaska = makeConicEqualArea(ALBERS_USA_PARAMS.alaska);
+    var hawaii = makeConicEqualArea(ALBERS_USA_PARAMS.hawaii);
+
+    return function(longitude, latitude) {
+        var isWestOfLower48 = (longitude < -129) || (longitude > 170);
+        var projection = lower48;
+
+        if (isWestOfLower48 && latitude >= 50) {
+            projection = alaska;
+        } else if (isWestOfLower48 && latitude < 30) {
+            projection = hawaii;
+        }
+
+        return projection(longitude, latitude);
+    };
+}
+
+/**
+ * Find point, where segment from visible position to invisible position crosses horizon of orthographic projection.
+ * Point is found by bisection of segment, and it is moved onto horizon, which is unit circle.
+ * @param {function} projection - orthographic projection
+ * @param {Array.<number>} from - longitude and latitude of visible position
+ * @param {Array.<number>} to - longitude and latitude of invisible position
+ * @returns {{x: number, y: number}}
+ * @ignore
+ */
+function findHorizonPoint(projection, from, to) {
+    var point = projection(from[0], from[1]);
+    var low = 0;
+    var high = 1;
+    var count, ratio, middlePoint, distance;
+
+    for (count = 0; count < HORIZON_BISECTION_COUNT; count += 1) {
+        ratio = (low + high) / 2;
+        middlePoint = projection(from[0] + ((to[0] - from[0]) * ratio), from[1] + ((to[1] - from[1]) * ratio));
+
+        if (middlePoint) {
+            low = ratio;
+            point = middlePoint;
+        } else {
+            high = ratio;
+        }
+    }
+
+    distance = Math.sqrt((point.x * point.x) + (point.y * point.y)) || 1;
+
+    return {
+        x: point.x / distance,
+        y: point.y / distance
+    };
+}
+
+/**
+ * Make points of shorter arc along horizon between two points on horizon, except both ends.
+ * @param {{x: number, y: number}} start - start point on horizon
+ * @param {{x: number, y: number}} end - end point on horizon
+ * @returns {Array.<{x: number, y: number}>}
+ * @ignore
+ */
+function makeHorizonArc(start, end) {
+    var startAngle = Math.atan2(start.y, start.x);
+    var angleDistance = Math.atan2(end.y, end.x) - startAngle;
+    var points = [];
+    var stepCount, step, index, angle;
+
+    if (angleDistance > Math.PI) {
+        angleDistance -= 2 * Math.PI;
+    } else if (angleDistance < -Math.PI) {
+        angleDistance += 2 * Math.PI;
+    }
+
+    stepCount = Math.ceil(Math.abs(angleDistance) / HORIZON_ARC_STEP);
+    step = angleDistance / stepCount;
+
+    for (index = 1; index < stepCount; index += 1) {
+        angle = startAngle + (step * index);
+        points.push({
+            x: Math.cos(angle),
+            y: Math.sin(angle)
+        });
+    }
+
+    return points;
+}
+
+/**
+ * Add point on horizon to clipping of ring, where ring leaves or enters visible hemisphere.
+ * When ring enters again, arc along horizon from point of leaving is added before point of entering.
+ * @param {{points: Array.<object>, exitPoint: ?object, firstEntryPoint: ?object}} clipping - clipping of ring
+ * @param {function} projection - orthographic projection
+ * @param {Array.<number>} prevPosition - longitude and latitude of previous position
+ * @param {Array.<number>} position - longitude and latitude of position
+ * @param {boolean} isLeaving - whether ring leaves visible hemisphere or not
+ * @ignore
+ */
+function addHorizonPoint(clipping, projection, prevPosition, position, isLeaving) {
+    var horizonPoint;
+
+    if (isLeaving) {
+        clipping.exitPoint = findHorizonPoint(projection, prevPosition, position);
+        clipping.points.push(clipping.exitPoint);
+
+        return;
+    }
+
+    horizonPoint = findHorizonPoint(projection, position, prevPosition);
+
+    if (clipping.exitPoint) {
+        clipping.points = clipping.points.concat(makeHorizonArc(clipping.exitPoint, horizonPoint));
+    } else {
+        clipping.firstEntryPoint = horizonPoint;
+    }
+
+    clipping.points.push(horizonPoint);
+    clipping.exitPoint = null;
+}
+
+/**
+ * Make ring projection of orthographic projection, which clips ring at horizon.
+ * Ring leaving visible hemisphere is connected to point of entering it again by arc along horizon.
+ * @param {function} projection - orthographic projection
+ * @returns {function(Array.<Array.<number>>): Array.<Array.<{x: number, y: number}>>} ring projection
+ * @ignore
+ */
+function makeHorizonClippingRingProjection(projection) {
+    return function(ring) {
+        var clipping = {
+            points: [],
+            exitPoint: null,
+            firstEntryPoint: null
+        };
+        var prevPoint = null;
+
+        tui.util.forEachArray(ring, function(position, index) {
+            var point = projection(position[0], position[1]);
+
+            if (index > 0 && !point !== !prevPoint) {
+                addHorizonPoint(clipping, projection, ring[index - 1], position, !point);
+            }
+
+            if (point) {
+                clipping.points.push(point);
+            }
+
+            prevPoint = point;
+        });
+
+        if (clipping.exitPoint && clipping.firstEntryPoint) {
+            clipping.points = clipping.points.concat(makeHorizonArc(clipping.exitPoint, clipping.firstEntryPoint));
+        }
+
+        return [clipping.points];
+    };
+}
+
+/**
+ * Make point on antimeridian, where segment between two positions crosses it.
+ * Longitudes of positions are relative to center, and latitude of point is interpolated linearly.
+ * @param {Array.<number>} from - relative longitude and latitude of start position
+ * @param {Array.<number>} to - relative longitude and latitude of end position
+ * @returns {{latitude: number, side: number}} latitude of point and side of start position (1 or -1)
+ * @ignore
+ */
+function makeAntimeridianPoint(from, to) {
+    var side = from[0] > 0 ? 1 : -1;
+    var distance = 360 - Math.abs(to[0] - from[0]);
+    var ratio = distance ? (180 - Math.abs(from[0])) / distance : 0;
+
+    return {
+        latitude: from[1] + ((to[1] - from[1]) * ratio),
+        side: side
+    };
+}
+
+/**
+ * Split ring into pieces at antimeridian of center.
+ * Ring crossing antimeridian odd times, which surrounds pole, is not split.
+ * Last piece is joined to first piece, because ring is closed.
+ * @param {Array.<Array.<number>>} ring - ring of longitude and latitude
+ * @param {number} centerLongitude - longitude of center
+ * @returns {Array.<Array.<Array.<number>>>} pieces of ring
+ * @ignore
+ */
+function splitRingAtAntimeridian(ring, centerLongitude) {
+    var pieces = [[]];
+    var prevPosition = null;
+
+    tui.util.forEachArray(ring, function(position) {
+        var relativePosition = [normalizeLongitude(position[0] - centerLongitude), position[1]];
+        var crossing;
+
+        if (prevPosition && Math.abs(relativePosition[0] - prevPosition[0]) > 180) {
+            crossing = makeAntimeridianPoint(prevPosition, relativePosition);
+            pieces[pieces.length - 1].push([centerLongitude + (crossing.side * EDGE_LONGITUDE), crossing.latitude]);
+            pieces.push([[centerLongitude - (crossing.side * EDGE_LONGITUDE), crossing.latitude]]);
+        }
+
+        pieces[pieces.length - 1].push(position);
+        prevPosition = relativePosition;
+    });
+
+    if (pieces.length % 2 === 0) {
+        return [ring];
+    }
+
+    if (pieces.length > 1) {
+        pieces[0] = pieces.pop().concat(pieces[0]);
+    }
+
+    return pieces;
+}
+
+/**
+ * Make ring projection of cylindrical projection like mercator, which splits ring at antimeridian.
+ * @param {function} projection - cylindrical projection
+ * @param {Array.<number>} center - longitude and latitude of center
+ * @returns {function(Array.<Array.<number>>): Array.<Array.<{x: number, y: number}>>} ring projection
+ * @ignore
+ */
+function makeAntimeridianSplittingRingProjection(projection, center) {
+    return function(ring) {
+        return tui.util.map(splitRingAtAntimeridian(ring, center[0]), function(piece) {
+            return tui.util.map(piece, function(position) {
+                return projection(position[0], position[1]);
+            });
+        });
+    };
+}
+
+projectionMakerMap[chartConst.MAP_PROJECTION_MERCATOR] = makeMercator;
+projectionMakerMap[chartConst.MAP_PROJECTION_EQUIRECTANGULAR] = makeEquirectangular;
+projectionMakerMap[chartConst.MAP_PROJECTION_ALBERS_USA] = makeAlbersUsa;
+projectionMakerMap[chartConst.MAP_PROJECTION_ORTHOGRAPHIC] = makeOrthographic;
+
+ringProjectionMakerMap[chartConst.MAP_PROJECTION_MERCATOR] = makeAntimeridianSplittingRingProjection;
+ringProjectionMakerMap[chartConst.MAP_PROJECTION_EQUIRECTANGULAR] = makeAntimeridianSplittingRingProjection;
+ringProjectionMakerMap[chartConst.MAP_PROJECTION_ORTHOGRAPHIC] = makeHorizonClippingRingProjection;
+
+/**
+ * Create projection.
+ * Projection is a function, which converts longitude and latitude to {x, y} of plane, whose y grows downward.
+ * It returns null for a point, which is not visible like the other side of globe of orthographic projection.
+ * Scale of plane differs by type of projection, so projected coordinates should be fitted to size of map.
+ * @param {?string} type - type of projection (mercator|equirectangular|albersUsa|orthographic), default is mercator
+ * @param {?Array.<number>} center - longitude and latitude of center, which is not used by albersUsa
+ * @returns {function(number, number): ?{x: number, y: number}}
+ */
+function createProjection(type, center) {
+    var makeProjection = projectionMakerMap[type || chartConst.MAP_PROJECTION_MERCATOR];
+
+    if (!makeProjection) {
+        throw new Error('Not exist ' + type + ' projection.');
+    }
+
+    return makeProjection(center || [0, 0]);
+}
+
+/**
+ * Create ring projection, which projects ring of longitude and latitude to rings of plane.
+ * Ring is clipped at horizon of orthographic projection, and split at antimeridian of cylindrical projections,
+ * so it can be projected to several rings or no ring.
+ * @param {?string} type - type of projection (mercator|equirectangular|albersUsa|orthographic), default is mercator
+ * @param {?Array.<number>} center - longitude and latitude of center, which is not used by albersUsa
+ * @returns {function(Array.<Array.<number>>): Array.<Array.<{x: number, y: number}>>}
+ */
+function createRingProjection(type, center) {
+    var projection = createProjection(type, center);
+    var makeRingProjection = ringProjectionMakerMap[type || chartConst.MAP_PROJECTION_MERCATOR];
+
+    if (makeRingProjection) {
+        return makeRingProjection(projection, center || [0, 0]);
+    }
+
+    return function(ring) {
+        return [tui.util.map(ring, function(position) {
+            return projection(position[0], position[1]);
+        })];
+    };
+}
+
+module.exports = {
+    createProjection: createProjection,
+    createRingProjection: createRingProjection
+};
@@ -13,6 +13,10 @@ var browser = tui.util.browser;
 var isIE10OrIE11 = browser.msie && (browser.version === 10 || browser.version === 11);
 var DOMURL = window.URL || window.webkitURL || window;
 var imageExtensions = [].concat([], chartConst.IMAGE_EXTENSIONS);
+var SVG_EXTENSION = 'svg';
+var JPEG_EXTENSION = 'jpeg';
+var JPEG_DEFAULT_BACKGROUND_COLOR = '#ffffff';
+var SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
 
 /**
  * Return svg outerHTML string
@@ -20,28 +24,74 @@ var imageExtensions = [].concat([], chartConst.IMAGE_EXTENSIONS);
  * @returns {string}
  */
 function getSvgString(svgElement) {
-    var svgParent = svgElement.parentNode;
     var tempWrapper = document.createElement('DIV');
-    var svgString;
 
-    tempWrapper.appendChild(svgElement);
-    svgString = tempWrapper.innerHTML;
-    svgParent.appendChild(svgElement);
+    // svg element is cloned, for keeping its position in the chart
+    tempWrapper.appendChild(svgElement.cloneNode(true));
 
-    tempWrapper = null;
-    svgParent = null;
+    return tempWrapper.innerHTML;
+}
+
+/**
+ * Get dimension of svg element.
+ * @param {HTMLElement} svgElement svg element
+ * @returns {{width: number, height: number}}
+ */
+function getSvgDimension(svgElement) {
+    var parentNode = svgElement.parentNode;
+
+    return {
+        width: parseFloat(svgElement.getAttribute('width')) || parentNode.offsetWidth,
+        height: parseFloat(svgElement.getAttribute('height')) || parentNode.offsetHeight
+    };
+}
+
+/**
+ * Make svg string for exporting.
+ * Size of svg is scaled, and viewBox keeps coordinates of the chart.
+ * @param {HTMLElement} svgElement svg element
+ * @param {number} scale scale
+ * @param {?string} backgroundColor background color to be filled under the chart
+ * @returns {string}
+ */
+function makeSvgStringForExport(svgElement, scale, backgroundColor) {
+    var dimension = getSvgDimension(svgElement);
+    var clonedSvg = svgElement.cloneNode(true);
+    var backgroundRect;
+
+    clonedSvg.setAttribute('xmlns', SVG_NAMESPACE);
+    clonedSvg.setAttribute('width', dimension.width * scale);
+    clonedSvg.setAttribute('height', dimension.height * scale);
+    clonedSvg.setAttribute('viewBox', '0 0 ' + dimension.width + ' ' + dimension.height);
+
+    if (backgroundColor) {
+        backgroundRect = document.createElementNS(SVG_NAMESPACE, 'rect');
+        backgroundRect.setAttribute('width', dimension.width);
+        backgroundRect.setAttribute('height', dimension.height);
+        backgroundRect.setAttribute('fill', backgroundColor);
+        clonedSvg.insertBefore(backgroundRect, clonedSvg.firstChild);
+    }
 
-    return svgString;
+    return getSvgString(clonedSvg);
 }
 
 /**
- * Download with SVG string and canvg
+ * Make data URL of svg string
+ * @param {string} svgString svg HTML string
+ * @returns {string}
+ */
+function makeSvgDataURL(svgString) {
+    // unicode characters like Korean should be encoded as UTF-8, before encoding as base64
+    return 'data:image/svg+xml;base64,' + window.btoa(unescape(encodeURIComponent(svgString)));
+}
+
+/**
+ * Draw SVG string to canvas with canvg
  * @param {HTMLElement} canvas canvas element
  * @param {string} svgString svg HTML string
- * @param {string} fileName file name
- * @param {string} extension file extension
+ * @param {function} callback callback function to be called after drawing
  */
-function downloadSvgWithCanvg(canvas, svgString, fileName, extension) {
+function drawSvgWithCanvg(canvas, svgString, callback) {
     var ctx = canvas.getContext('2d');
 
     // remove name space for IE
@@ -52,19 +102,18 @@ function downloadSvgWithCanvg(canvas, svgString, fileName, extension) {
         svgString = svgString.replace(/xmlns:xlink="http:\/\/www\.w3\.org\/1999\/xlink"/, '');
     }
 
-    ctx.drawSvg(svgString, 0, 0);
+    ctx.drawSvg(svgString, 0, 0, canvas.width, canvas.height);
 
-    downloader.execDownload(fileName, extension, canvas.toDataURL('image/' + extension, 1));
+    callback();
 }
 
 /**
- * Download with SVG string and blob URL
+ * Draw SVG string to canvas with blob URL
  * @param {HTMLElement} canvas canvas element
  * @param {string} svgString svg HTML string
- * @param {string} fileName file name
- * @param {string} extension file extension
+ * @param {function} callback callback function to be called after drawing
  */
-function downloadSvgWithBlobURL(canvas, svgString, fileName, extension) {
+function drawSvgWithBlobURL(canvas, svgString, callback) {
     var ctx = canvas.getContext('2d');
     var blob = new Blob([svgString], {type: 'image/svg+xml'});
     var url = DOMURL.createObjectURL(blob);
@@ -73,44 +122,100 @@ function downloadSvgWithBlobURL(canvas, svgString, fileName, extension) {
     img.onload = function() {
         ctx.drawImage(img, 0, 0, canvas.width, canvas.height);
 
-        downloader.execDownload(fileName, extension, canvas.toDataURL('image/' + extension, 1));
-
         DOMURL.revokeObjectURL(url);
+
+        callback();
     };
 
     img.src = url;
 }
 
+/**
+ * Make image data URL of svg element
+ * @param {HTMLElement} svgElement svg element
+ * @param {string} extension file extension
+ * @param {{scale: number, backgroundColor: ?string}} options options
+ * @param {function} callback callback function receiving data URL
+ */
+function makeImageDataURLWithSvg(svgElement, extension, options, callback) {
+    var svgString = makeSvgStringForExport(svgElement, options.scale, options.backgroundColor);
+    var dimension = getSvgDimension(svgElement);
+    var canvas, onDrawn;
+
+    if (extension === SVG_EXTENSION) {
+        callback(makeSvgDataURL(svgString));
+
+        return;
+    }
+
+    canvas = document.createElement('canvas');
+    canvas.width = dimension.width * options.scale;
+    canvas.height = dimension.height * options.scale;
+
+    onDrawn = function() {
+        callback(canvas.toDataURL('image/' + extension, 1));
+    };
+
+    if (isIE10OrIE11) {
+        drawSvgWithCanvg(canvas, svgString, onDrawn);
+    } else {
+        drawSvgWithBlobURL(canvas, svgString, onDrawn);
+    }
+}
+
+/**
+ * Make image data URL of image source element
+ * @param {HTMLElement} imageSourceElement - image source element
+ * @param {{type: ?string, scale: ?number, backgroundColor: ?string}} options - options
+ * @param {function} callback - callback function receiving data URL
+ */
+function makeImageDataURL(imageSourceElement, options, callback) {
+    var extension = options.type || chartConst.IMAGE_EXTENSIONS[0];
+    var backgroundColor = options.backgroundColor;
+
+    // jpeg does not support transparency, so transparent area would be black without background
+    if (!backgroundColor && extension === JPEG_EXTENSION) {
+        backgroundColor = JPEG_DEFAULT_BACKGROUND_COLOR;
+    }
+
+    if (imageSourceElement.tagName === 'svg') {
+        makeImageDataURLWithSvg(imageSourceElement, extension, {
+            scale: options.scale || 1,
+            backgroundColor: backgroundColor
+        }, callback);
+    } else if (imageSourceElement.tagName === 'canvas') {
+        callback(imageSourceElement.toDataURL('image/' + extension, 1));
+    }
+}
+
 module.exports = {
     /**
      * Download image with png format
      * @param {string} fileName - file name to save
      * @param {string} extension - extension type
      * @param {HTMLElement} imageSourceElement - image source element
+     * @param {{scale: ?number, backgroundColor: ?string}} [downloadOption] - download option
      */
-    downloadImage: function(fileName, extension, imageSourceElement) {
-        var svgString, parentNode, canvas;
-
-        if (imageSourceElement.tagName === 'svg') {
-            parentNode = imageSourceElement.parentNode;
-
-            canvas = document.createElement('canvas');
-
-            canvas.width = parentNode.offsetWidth;
-            canvas.height = parentNode.offsetHeight;
-
-            svgString = getSvgString(imageSourceElement);
-
-            if (isIE10OrIE11) {
-                downloadSvgWithCanvg(canvas, svgString, fileName, extension);
-            } else {
-                downloadSvgWithBlobURL(canvas, svgString, fileName, extension);
-            }
-        } else if (imageSourceElement.tagName === 'canvas') {
-            canvas = imageSourceElement;
+    downloadImage: function(fileName, extension, imageSourceElement, downloadOption) {
+        var options = tui.util.extend({}, downloadOption, {
+            type: extension
+        });
+
+        makeImageDataURL(imageSourceElement, options, function(dataURL) {
+            downloader.execDownload(fileName, extension, dataURL);
+        });
+    },
 
-            downloader.execDownload(fileName, extension, canvas.toDataURL('image/' + extension, 1));
-        }
+    /**
+     * Export image as data URL and Blob
+     * @param {HTMLElement} imageSourceElement - image source element
+     * @param {{type: ?string, scale: ?number, backgroundColor: ?string}} options - options
+     * @param {function} callback - callback function receiving data URL and Blob
+     */
+    exportImage: function(imageSourceElement, options, callback) {
+        makeImageDataURL(imageSourceElement, options || {}, function(dataURL) {
+            callback(dataURL, downloader.base64toBlob(dataURL));
+        });
     },
 
     /**
@@ -0,0 +1,488 @@
+/**
+ * @fileoverview Converter, which converts GeoJSON and TopoJSON to map data of map chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var chartConst = require('../const');
+var geoProjection = require('./geoProjection');
+
+var GEO_JSON_TYPES = ['FeatureCollection', 'Feature'];
+var TOPO_JSON_TYPE = 'Topology';
+var MIN_RING_POINT_COUNT = 3;
+
+/**
+ * Round coordinate to two decimal places like built-in map data.
+ * @param {number} value - value of coordinate
+ * @returns {number}
+ * @ignore
+ */
+function round(value) {
+    return Math.round(value * 100) / 100;
+}
+
+/**
+ * Flatten array of arrays by one depth.
+ * @param {Array.<Array>} arrays - array of arrays
+ * @returns {Array}
+ * @ignore
+ */
+function flatten(arrays) {
+    return Array.prototype.concat.apply([], arrays);
+}
+
+/**
+ * Calculate bound of points.
+ * Bound is calculated by loop, because points of map can be too many to be arguments of Math.min.
+ * @param {Array.<{x: number, y: number}>} points - points
+ * @returns {{left: number, top: number, width: number, height: number}}
+ * @ignore
+ */
+function calculateBound(points) {
+    var left = Infinity;
+    var top = Infinity;
+    var right = -Infinity;
+    var bottom = -Infinity;
+
+    tui.util.forEachArray(points, function(point) {
+        left = Math.min(left, point.x);
+        right = Math.max(right, point.x);
+        top = Math.min(top, point.y);
+        bottom = Math.max(bottom, point.y);
+    });
+
+    return {
+        left: left,
+        top: top,
+        width: right - left,
+        height: bottom - top
+    };
+}
+
+/**
+ * Whether GeoJSON or not.
+ * @param {*} data - map data
+ * @returns {boolean}
+ * @ignore
+ */
+function isGeoJson(data) {
+    return !!data && tui.util.inArray(data.type, GEO_JSON_TYPES) > -1;
+}
+
+/**
+ * Whether TopoJSON or not.
+ * @param {*} data - map data
+ * @returns {boolean}
+ * @ignore
+ */
+function isTopoJson(data) {
+    return !!data && data.type === TOPO_JSON_TYPE;
+}
+
+/**
+ * Decode arcs of topology, which are quantized and delta-encoded when topology has transform.
+ * @param {{arcs: Array.<Array.<Array.<number>>>, transform: ?object}} topology - topology
+ * @returns {Array.<Array.<Array.<number>>>} arcs of longitude and latitude
+ * @ignore
+ */
+function decodeArcs(topology) {
+    var transform = topology.transform;
+
+    if (!transform) {
+        return topology.arcs;
+    }
+
+    return tui.util.map(topology.arcs, function(arc) {
+        var x = 0;
+        var y = 0;
+
+        return tui.util.map(arc, function(position) {
+            x += position[0];
+            y += position[1];
+
+            return [
+                (x * transform.scale[0]) + transform.translate[0],
+                (y * transform.scale[1]) + transform.translate[1]
+            ];
+        });
+    });
+}
+
+/**
+ * Make ring by stitching arcs of indexes.
+ * Negative index like ~index means that arc of index is reversed.
+ * @param {Array.<Array.<Array.<number>>>} arcs - decoded arcs
+ * @param {Array.<number>} arcIndexes - indexes of arcs
+ * @returns {Array.<Array.<number>>}
+ * @ignore
+ */
+function stitchArcs(arcs, arcIndexes) {
+    var ring = [];
+
+    tui.util.forEachArray(arcIndexes, function(arcIndex) {
+        var arc = (arcIndex < 0) ? arcs[~arcIndex].slice().reverse() : arcs[arcIndex];
+
+        ring = ring.concat(ring.length ? arc.slice(1) : arc);
+    });
+
+    return ring;
+}
+
+/**
+ * Convert geometry object of topology to GeoJSON features.
+ * @param {object} geometry - geometry object of topology
+ * @param {Array.<Array.<Array.<number>>>} arcs - decoded arcs
+ * @returns {Array.<object>} features
+ * @ignore
+ */
+function convertTopologyGeometry(geometry, arcs) {
+    var makeRings = function(ringArcIndexes) {
+        return tui.util.map(ringArcIndexes, function(arcIndexes) {
+            return stitchArcs(arcs, arcIndexes);
+        });
+    };
+    var coordinates;
+
+    if (geometry.type === 'GeometryCollection') {
+        return flatten(tui.util.map(geometry.geometries, function(childGeometry) {
+            return convertTopologyGeometry(childGeometry, arcs);
+        }));
+    }
+
+    if (geometry.type === 'Polygon') {
+        coordinates = makeRings(geometry.arcs);
+    } else if (geometry.type === 'MultiPolygon') {
+        coordinates = tui.util.map(geometry.arcs, makeRings);
+    } else {
+        return [];
+    }
+
+    return [{
+        type: 'Feature',
+        id: geometry.id,
+        properties: geometry.properties || {},
+        geometry: {
+            type: geometry.type,
+            coordinates: coordinates
+        }
+    }];
+}
+
+/**
+ * Get features from TopoJSON.
+ * @param {object} topology - topology
+ * @param {?string} objectName - name of object in topology, first object is used when it is not passed
+ * @returns {Array.<object>} features
+ * @ignore
+ */
+function getFeaturesFromTopoJson(topology, objectName) {
+    var objects = topology.objects || {};
+    var object;
+
+    objectName = objectName || tui.util.keys(objects)[0];
+    object = objects[objectName];
+
+    if (!object) {
+        throw new Error('Not exist ' + objectName + ' object in topology.');
+    }
+
+    return convertTopologyGeometry(object, decodeArcs(topology));
+}
+
+/**
+ * Get features from GeoJSON.
+ * @param {object} geoJson - FeatureCollection or Feature
+ * @returns {Array.<object>} features
+ * @ignore
+ */
+function getFeaturesFromGeoJson(geoJson) {
+    return (geoJson.type === 'FeatureCollection') ? (geoJson.features || []) : [geoJson];
+}
+
+/**
+ * Get polygons of geometry, which are arrays of rings of longitude and latitude.
+ * Geometries except polygon like point and line are ignored, because they do not have area.
+ * @param {?object} geometry - GeoJSON geometry
+ * @returns {Array.<Array.<Array.<Array.<number>>>>}
+ * @ignore
+ */
+function getPolygons(geometry) {
+    var polygons = [];
+
+    if (!geometry) {
+        return polygons;
+    }
+
+    if (geometry.type === 'Polygon') {
+        polygons = [geometry.coordinates];
+    } else if (geometry.type === 'MultiPolygon') {
+        polygons = geometry.coordinates;
+    } else if (geometry.type === 'GeometryCollection') {
+        polygons = flatten(tui.util.map(geometry.geometries, getPolygons));
+    }
+
+    return polygons;
+}
+
+/**
+ * Project rings of feature.
+ * Ring can be clipped or split into several rings by ring projection, and rings, which do not have enough points,
+ * are removed.
+ * @param {Array.<Array.<Array.<Array.<number>>>>} polygons - polygons
+ * @param {function} ringProjection - ring projection, which projects ring to rings of plane
+ * @returns {Array.<Array.<{x: number, y: number}>>} projected rings
+ * @ignore
+ */
+function projectRings(polygons, ringProjection) {
+    var rings = [];
+
+    tui.util.forEachArray(polygons, function(polygon) {
+        tui.util.forEachArray(polygon, function(ring) {
+            tui.util.forEachArray(ringProjection(ring), function(points) {
+                if (points.length >= MIN_RING_POINT_COUNT) {
+                    rings.push(points);
+                }
+            });
+        });
+    });
+
+    return rings;
+}
+
+/**
+ * Calculate area and centroid of ring.
+ * @param {Array.<{x: number, y: number}>} ring - ring
+ * @returns {{area: number, x: number, y: number}}
+ * @ignore
+ */
+function calculateRingCentroid(ring) {
+    var area = 0;
+    var x = 0;
+    var y = 0;
+
+    tui.util.forEachArray(ring, function(point, index) {
+        var nextPoint = ring[(index + 1) % ring.length];
+        var cross = (point.x * nextPoint.y) - (nextPoint.x * point.y);
+
+        area += cross;
+        x += (point.x + nextPoint.x) * cross;
+        y += (point.y + nextPoint.y) * cross;
+    });
+
+    area /= 2;
+
+    return {
+        area: Math.abs(area),
+        x: area ? x / (6 * area) : ring[0].x,
+        y: area ? y / (6 * area) : ring[0].y
+    };
+}
+
+/**
+ * Make label coordinate, which is ratio of centroid of largest ring in bound of rings.
+ * @param {Array.<Array.<{x: number, y: number}>>} rings - rings
+ * @returns {?{x: number, y: number}}
+ * @ignore
+ */
+function makeLabelCoordinate(rings) {
+    var bound = calculateBound(flatten(rings));
+    var centroid = null;
+
+    if (!bound.width || !bound.height) {
+        return null;
+    }
+
+    tui.util.forEachArray(rings, function(ring) {
+        var ringCentroid = calculateRingCentroid(ring);
+
+        if (!centroid || ringCentroid.area > centroid.area) {
+            centroid = ringCentroid;
+        }
+    });
+
+    return {
+        x: round((centroid.x - bound.left) / bound.width),
+        y: round((centroid.y - bound.top) / bound.height)
+    };
+}
+
+/**
+ * Make path of rings.
+ * @param {Array.<Array.<{x: number, y: number}>>} rings - rings
+ * @returns {string}
+ * @ignore
+ */
+function makePath(rings) {
+    return tui.util.map(rings, function(ring) {
+        return 'M' + tui.util.map(ring, function(point) {
+            return point.x + ',' + point.y;
+        }).join('L') + 'Z';
+    }).join('');
+}
+
+/**
+ * Pick code of feature.
+ * @param {object} feature - GeoJSON feature
+ * @param {object} properties - properties of feature
+ * @param {?string} codeProperty - name of property for code
+ * @returns {?string}
+ * @ignore
+ */
+function pickCode(feature, properties, codeProperty) {
+    var code = codeProperty ? properties[codeProperty] : feature.id;
+
+    if (!tui.util.isExisty(code)) {
+        code = tui.util.isExisty(properties.code) ? properties.code : properties.id;
+    }
+
+    return tui.util.isExisty(code) ? String(code) : null;
+}
+
+/**
+ * Project features of GeoJSON or TopoJSON and calculate bound and scale for fitting them to base width of map.
+ * @param {object} data - GeoJSON FeatureCollection, Feature or TopoJSON Topology
+ * @param {object} options - options of converting
+ * @returns {{
+ *      features: Array.<object>,
+ *      featureRings: Array.<Array.<Array.<{x: number, y: number}>>>,
+ *      projection: function,
+ *      bound: {left: number, top: number, width: number, height: number},
+ *      scale: number
+ * }}
+ * @ignore
+ */
+function projectFeatures(data, options) {
+    var projection = geoProjection.createProjection(options.projection, options.center);
+    var ringProjection = geoProjection.createRingProjection(options.projection, options.center);
+    var features = isTopoJson(data) ? getFeaturesFromTopoJson(data, options.object) : getFeaturesFromGeoJson(data);
+    var featureRings = tui.util.map(features, function(feature) {
+        return projectRings(getPolygons(feature.geometry), ringProjection);
+    });
+    var bound = calculateBound(flatten(flatten(featureRings)));
+
+    return {
+        features: features,
+        featureRings: featureRings,
+        projection: projection,
+        bound: bound,
+        scale: bound.width ? chartConst.MAP_PROJECTION_BASE_WIDTH / bound.width : 1
+    };
+}
+
+/**
+ * Fit projected point to base width of map.
+ * Paths of regions and positions of points like markers are fitted by this, for not drifting apart.
+ * @param {{x: number, y: number}} point - projected point
+ * @param {{bound: object, scale: number}} projected - result of projectFeatures()
+ * @returns {{x: number, y: number}}
+ * @ignore
+ */
+function fitPoint(point, projected) {
+    return {
+        x: round((point.x - projected.bound.left) * projected.scale),
+        y: round((point.y - projected.bound.top) * projected.scale)
+    };
+}
+
+/**
+ * Make projection of map, which converts longitude and latitude to coordinate fitted to base width of map.
+ * @param {{projection: function, bound: object, scale: number}} projected - result of projectFeatures()
+ * @returns {function(number, number): ?{x: number, y: number}}
+ * @ignore
+ */
+function makeFittedProjection(projected) {
+    return function(longitude, latitude) {
+        var point = projected.projection(longitude, latitude);
+
+        return point ? fitPoint(point, projected) : null;
+    };
+}
+
+/**
+ * Convert GeoJSON or TopoJSON to map data of map chart and projection of the map.
+ * Projected coordinates are fitted to base width of map, because map chart scales map by its dimension.
+ * Projection converts longitude and latitude to coordinate of map data for positioning points like markers.
+ * @param {object} data - GeoJSON FeatureCollection, Feature or TopoJSON Topology
+ * @param {?object} options - options
+ *      @param {?string} options.projection - type of projection (mercator|equirectangular|albersUsa|orthographic)
+ *      @param {?Array.<number>} options.center - longitude and latitude of center of projection
+ *      @param {?string} options.object - name of object in topology
+ *      @param {?string} options.codeProperty - name of property for code, id of feature is used by default
+ *      @param {?string} options.nameProperty - name of property for name (default: name)
+ * @returns {{
+ *      mapData: Array.<{code: string, name: string, path: string, labelCoordinate: ?{x: number, y: number}}>,
+ *      projection: ?function(number, number): ?{x: number, y: number}
+ * }}
+ */
+function convertWithProjection(data, options) {
+    var projected, projection, mapData;
+
+    options = options || {};
+    projected = projectFeatures(data, options);
+
+    if (!isFinite(projected.bound.left)) {
+        return {
+            mapData: [],
+            projection: null
+        };
+    }
+
+    projection = makeFittedProjection(projected);
+    mapData = tui.util.filter(tui.util.map(projected.features, function(feature, index) {
+        var properties = feature.properties || {};
+        var code = pickCode(feature, properties, options.codeProperty);
+        var rings = tui.util.map(projected.featureRings[index], function(ring) {
+            return tui.util.map(ring, function(point) {
+                return fitPoint(point, projected);
+            });
+        });
+        var datum, labelCoordinate;
+
+        if (!rings.length || !code) {
+            return null;
+        }
+
+        datum = {
+            code: code,
+            name: properties[options.nameProperty || 'name'] || code,
+            path: makePath(rings)
+        };
+        labelCoordinate = makeLabelCoordinate(rings);
+
+        if (labelCoordinate) {
+            datum.labelCoordinate = labelCoordinate;
+        }
+
+        return datum;
+    }), tui.util.isExisty);
+
+    return {
+        mapData: mapData,
+        projection: projection
+    };
+}
+
+/**
+ * Convert GeoJSON or TopoJSON to map data of map chart.
+ * @param {object} data - GeoJSON FeatureCollection, Feature or TopoJSON Topology
+ * @param {?object} options - options, which are same as options of convertWithProjection()
+ * @returns {Array.<{code: string, name: string, path: string, labelCoordinate: ?{x: number, y: number}}>}
+ */
+function convert(data, options) {
+    return convertWithProjection(data, options).mapData;
+}
+
+module.exports = {
+    /**
+     * Whether GeoJSON or TopoJSON or not.
+     * @param {*} data - map data
+     * @returns {boolean}
+     */
+    isGeographicData: function(data) {
+        return isGeoJson(data) || isTopoJson(data);
+    },
+    convert: convert,
+    convertWithProjection: convertWithProjection
+};
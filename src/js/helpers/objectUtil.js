@@ -34,12 +34,84 @@ var deepCopy = function(origin) {
     return clone;
 };
 
+/**
+ * Deep merge source object into target object.
+ * Plain objects are merged recursively, and the others like arrays are overwritten.
+ * Objects of target are updated in place, for keeping references of them.
+ * @memberOf module:objectUtil
+ * @param {object} target - target object
+ * @param {object} source - source object
+ * @returns {object} target object
+ */
+var deepMerge = function(target, source) {
+    tui.util.forEach(source, function(value, key) {
+        var targetValue = target[key];
+
+        if (tui.util.isObject(value) && !tui.util.isArray(value) && !tui.util.isFunction(value)
+            && tui.util.isObject(targetValue) && !tui.util.isArray(targetValue)) {
+            deepMerge(targetValue, value);
+        } else {
+            target[key] = value;
+        }
+    });
+
+    return target;
+};
+
+/**
+ * Whether value is compared by its items or not.
+ * @param {*} value - value
+ * @returns {boolean}
+ * @ignore
+ */
+var isComparedByItems = function(value) {
+    return tui.util.isObject(value) && !tui.util.isFunction(value) && !tui.util.isDate(value);
+};
+
+/**
+ * Whether two values are deeply equal or not.
+ * Arrays and plain objects are compared by their items, and the others like functions are compared by identity.
+ * @memberOf module:objectUtil
+ * @param {*} value - value
+ * @param {*} otherValue - other value
+ * @returns {boolean}
+ */
+var isDeepEqual = function(value, otherValue) {
+    var isEqual = true;
+    var keys;
+
+    if (value === otherValue) {
+        return true;
+    }
+
+    if (!isComparedByItems(value) || !isComparedByItems(otherValue) ||
+        tui.util.isArray(value) !== tui.util.isArray(otherValue)) {
+        return false;
+    }
+
+    keys = tui.util.keys(value);
+
+    if (keys.length !== tui.util.keys(otherValue).length) {
+        return false;
+    }
+
+    tui.util.forEachArray(keys, function(key) {
+        isEqual = isDeepEqual(value[key], otherValue[key]);
+
+        return isEqual;
+    });
+
+    return isEqual;
+};
+
 /**
  * util for object
  * @module objectUtil
  * @private */
 var objectUtil = {
-    deepCopy: deepCopy
+    deepCopy: deepCopy,
+    deepMerge: deepMerge,
+    isDeepEqual: isDeepEqual
 };
 
 module.exports = objectUtil;
@@ -41,7 +41,8 @@ var predicate = {
      * @returns {boolean}
      */
     isBarTypeChart: function(chartType) {
-        return predicate.isBarChart(chartType) || predicate.isColumnChart(chartType);
+        return predicate.isBarChart(chartType) || predicate.isColumnChart(chartType)
+            || predicate.isWaterfallChart(chartType);
     },
 
     /**
@@ -54,6 +55,46 @@ var predicate = {
         return chartType === chartConst.CHART_TYPE_BOXPLOT;
     },
 
+    /**
+     * Whether candlestick chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isCandlestickChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_CANDLESTICK;
+    },
+
+    /**
+     * Whether waterfall chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isWaterfallChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_WATERFALL;
+    },
+
+    /**
+     * Whether bullet chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isBulletChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_BULLET;
+    },
+
+    /**
+     * Whether gantt chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isGanttChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_GANTT;
+    },
+
     /**
      * Whether radial type chart or not.
      * @memberOf module:predicate
@@ -64,6 +105,27 @@ var predicate = {
         return chartType === chartConst.CHART_TYPE_RADIAL;
     },
 
+    /**
+     * Whether polar area chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isPolarAreaChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_POLAR_AREA;
+    },
+
+    /**
+     * Whether radial type chart or not.
+     * Radial type chart is radial or polar area chart, which is rendered on radial plot.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @returns {boolean}
+     */
+    isRadialTypeChart: function(chartType) {
+        return predicate.isRadialChart(chartType) || predicate.isPolarAreaChart(chartType);
+    },
+
     /**
      * Whether diverging chart or not.
      * @memberOf module:predicate
@@ -245,6 +307,27 @@ var predicate = {
         return chartType === chartConst.CHART_TYPE_TREEMAP;
     },
 
+    /**
+     * Whether sunburst chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isSunburstChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_SUNBURST;
+    },
+
+    /**
+     * Whether treemap type chart or not.
+     * Treemap type charts(treemap, sunburst) use same hierarchical data.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isTreemapTypeChart: function(chartType) {
+        return predicate.isTreemapChart(chartType) || predicate.isSunburstChart(chartType);
+    },
+
     /**
      * Whether box type chart or not.
      * @memberOf module:predicate
@@ -266,6 +349,57 @@ var predicate = {
         return chartType && chartType.indexOf(chartConst.CHART_TYPE_PIE) !== -1;
     },
 
+    /**
+     * Whether funnel chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isFunnelChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_FUNNEL;
+    },
+
+    /**
+     * Whether pyramid chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isPyramidChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_PYRAMID;
+    },
+
+    /**
+     * Whether funnel type chart or not.
+     * Funnel type chart is funnel or pyramid chart, which stages are rendered as stacked segments.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isFunnelTypeChart: function(chartType) {
+        return predicate.isFunnelChart(chartType) || predicate.isPyramidChart(chartType);
+    },
+
+    /**
+     * Whether gauge chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isGaugeChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_GAUGE;
+    },
+
+    /**
+     * Whether sankey chart or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    isSankeyChart: function(chartType) {
+        return chartType === chartConst.CHART_TYPE_SANKEY;
+    },
+
     /**
      * Whether map chart or not.
      * @memberOf module:predicate
@@ -276,6 +410,18 @@ var predicate = {
         return chartType === chartConst.CHART_TYPE_MAP;
     },
 
+    /**
+     * Whether map chart, which has bubble points, or not.
+     * @memberOf module:predicate
+     * @param {string} chartType - type of chart
+     * @param {?{type: string}} pointOptions - points option of map chart
+     * @returns {boolean}
+     */
+    isMapBubbleChart: function(chartType, pointOptions) {
+        return predicate.isMapChart(chartType) && !!pointOptions
+            && pointOptions.type === chartConst.MAP_POINT_TYPE_BUBBLE;
+    },
+
     /**
      * Whether coordinate type chart or not.
      * @memberOf module:predicate
@@ -294,7 +440,7 @@ var predicate = {
      */
     allowMinusPointRender: function(chartType) {
         return predicate.isLineTypeChart(chartType) || predicate.isCoordinateTypeChart(chartType) ||
-            predicate.isBoxTypeChart(chartType);
+            predicate.isBoxTypeChart(chartType) || predicate.isCandlestickChart(chartType);
     },
 
     /**
@@ -305,7 +451,9 @@ var predicate = {
      */
     isChartToDetectMouseEventOnSeries: function(chartType) {
         return predicate.isPieChart(chartType) || predicate.isMapChart(chartType)
-            || predicate.isCoordinateTypeChart(chartType);
+            || predicate.isCoordinateTypeChart(chartType) || predicate.isFunnelTypeChart(chartType)
+            || predicate.isSankeyChart(chartType)
+            || predicate.isSunburstChart(chartType);
     },
 
     /**
@@ -394,7 +542,7 @@ var predicate = {
      */
     isAllowedStackOption: function(chartType) {
         return predicate.isBarChart(chartType) || predicate.isColumnChart(chartType)
-            || predicate.isAreaChart(chartType);
+            || predicate.isAreaChart(chartType) || predicate.isRadialTypeChart(chartType);
     },
 
     /**
@@ -484,6 +632,15 @@ var predicate = {
      */
     isDatetimeType: function(type) {
         return type === chartConst.AXIS_TYPE_DATETIME;
+    },
+
+    /**
+     * Whether logarithmic type or not.
+     * @param {string} type - type
+     * @returns {boolean}
+     */
+    isLogarithmicType: function(type) {
+        return type === chartConst.AXIS_TYPE_LOGARITHMIC;
     }
 };
 
@@ -7,6 +7,25 @@
 'use strict';
 
 var arrayUtil = require('./arrayUtil');
+var predicate = require('./predicate');
+
+var DEFAULT_CSV_DELIMITER = ',';
+var DEFAULT_DECIMAL_SEPARATOR = '.';
+var DEFAULT_SERIES_FIELD = 'name';
+var DEFAULT_COORDINATE_FIELDS = {
+    x: 'x',
+    y: 'y',
+    r: 'r',
+    label: 'label'
+};
+var DEFAULT_TREEMAP_FIELDS = {
+    id: 'id',
+    parent: 'parent',
+    label: 'label',
+    value: 'value'
+};
+var DEFAULT_BOXPLOT_VALUE_FIELDS = ['min', 'q1', 'median', 'q3', 'max'];
+var DEFAULT_BOXPLOT_OUTLIERS_FIELD = 'outliers';
 
 /**
  * Get series data from 2D array
@@ -95,6 +114,517 @@ function makeDataWithTable(table) {
     return chartData;
 }
 
+/**
+ * Make cell of CSV from matched result of cell regular expression.
+ * Quoted cell is unquoted and its escaped quotes("") are unescaped, and unquoted cell is used as it is.
+ * @param {Array.<string>} matched - matched result, which has quoted cell at 1 and unquoted cell at 2
+ * @returns {string}
+ * @private
+ */
+function makeCsvCell(matched) {
+    if (tui.util.isExisty(matched[1])) {
+        return matched[1].replace(/""/g, '"');
+    }
+
+    return matched[2];
+}
+
+/**
+ * Parse CSV string to 2D array.
+ * Quoted cells can have delimiters, line breaks and escaped quotes("").
+ * Cell is quoted, only when it is closed by quote just before delimiter, line break or end of CSV.
+ * Otherwise, quotes in cell are kept as they are, like 5" screen.
+ * @param {string} csvString - CSV string
+ * @param {string} delimiter - delimiter of cells
+ * @returns {Array.<Array.<string>>}
+ * @private
+ */
+function parseCsv(csvString, delimiter) {
+    var escapedDelimiter = delimiter.replace(/[-[\]{}()*+?.\\^$|]/g, '\\$&');
+    var cellEnd = escapedDelimiter + '|\\r\\n|\\n|\\r|$';
+    var cellRegExp = new RegExp('(?:"((?:[^"]|"")*)"(?=' + cellEnd + ')|([^\\r\\n' + escapedDelimiter + ']*))' +
+        '(' + cellEnd + ')', 'g');
+    var rows = [];
+    var row = [];
+    var matched;
+
+    do {
+        matched = cellRegExp.exec(csvString);
+        row.push(makeCsvCell(matched));
+
+        if (matched[3] !== delimiter) {
+            rows.push(row);
+            row = [];
+        }
+    } while (matched[3]);
+
+    return tui.util.filter(rows, function(cells) {
+        return cells.length > 1 || cells[0] !== '';
+    });
+}
+
+/**
+ * Make records from 2D array.
+ * @param {Array.<Array.<string>>} table2DArray - 2D array
+ * @param {boolean} hasHeaderRow - whether first row is header or not
+ * @returns {{fields: Array.<string>, records: Array.<object>}}
+ * @private
+ */
+function makeRecordsFrom2DArray(table2DArray, hasHeaderRow) {
+    var fields;
+
+    if (hasHeaderRow) {
+        fields = table2DArray.shift() || [];
+    } else {
+        fields = tui.util.map(table2DArray[0] || [], function(cell, index) {
+            return String(index);
+        });
+    }
+
+    return {
+        fields: fields,
+        records: tui.util.map(table2DArray, function(cells) {
+            var record = {};
+
+            tui.util.forEachArray(fields, function(field, index) {
+                record[field] = cells[index];
+            });
+
+            return record;
+        })
+    };
+}
+
+/**
+ * Parse number with locale-aware decimal separator.
+ * Thousands separators and spaces are ignored.
+ * @param {string|number} value - value
+ * @param {string} decimalSeparator - decimal separator (. or ,)
+ * @returns {?number} number, or null if value is not number
+ * @private
+ */
+function parseNumber(value, decimalSeparator) {
+    var thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    var number = value;
+
+    if (tui.util.isString(value)) {
+        value = value.replace(/\s/g, '').split(thousandsSeparator).join('').replace(decimalSeparator, '.');
+        number = value === '' ? NaN : Number(value);
+    }
+
+    return (tui.util.isNumber(number) && !isNaN(number)) ? number : null;
+}
+
+/**
+ * Pick unique values of field from records, with keeping order.
+ * @param {Array.<object>} records - records
+ * @param {string} field - field name
+ * @returns {Array}
+ * @private
+ */
+function pickUniqueValues(records, field) {
+    var values = [];
+
+    tui.util.forEachArray(records, function(record) {
+        var value = record[field];
+
+        if (tui.util.inArray(value, values) === -1) {
+            values.push(value);
+        }
+    });
+
+    return values;
+}
+
+/**
+ * Make raw data of category type like bar, line chart.
+ * Each value field becomes series.
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makeCategoryRawData(records, fieldOptions) {
+    var decimalSeparator = fieldOptions.decimalSeparator;
+
+    return {
+        categories: tui.util.pluck(records, fieldOptions.categoryField),
+        series: tui.util.map(fieldOptions.valueFields, function(field) {
+            return {
+                name: field,
+                data: tui.util.map(records, function(record) {
+                    return parseNumber(record[field], decimalSeparator);
+                })
+            };
+        })
+    };
+}
+
+/**
+ * Make raw data of pie chart and funnel type chart.
+ * Each record becomes series, with value of first value field.
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makePieRawData(records, fieldOptions) {
+    var valueField = fieldOptions.valueFields[0];
+
+    return {
+        series: tui.util.map(records, function(record) {
+            return {
+                name: record[fieldOptions.categoryField],
+                data: parseNumber(record[valueField], fieldOptions.decimalSeparator)
+            };
+        })
+    };
+}
+
+/**
+ * Make raw data of heatmap chart.
+ * Values of category field become y categories, and value fields become x categories.
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makeHeatmapRawData(records, fieldOptions) {
+    return {
+        categories: {
+            x: fieldOptions.valueFields,
+            y: tui.util.pluck(records, fieldOptions.categoryField)
+        },
+        series: tui.util.map(records, function(record) {
+            return tui.util.map(fieldOptions.valueFields, function(field) {
+                return parseNumber(record[field], fieldOptions.decimalSeparator);
+            });
+        })
+    };
+}
+
+/**
+ * Make raw data of coordinate type like bubble, scatter chart.
+ * Records are grouped to series by series field.
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makeCoordinateRawData(records, fieldOptions) {
+    var decimalSeparator = fieldOptions.decimalSeparator;
+    var fields = tui.util.extend({}, DEFAULT_COORDINATE_FIELDS, fieldOptions.coordinateFields);
+    var seriesNames = pickUniqueValues(records, fieldOptions.seriesField);
+
+    return {
+        series: tui.util.map(seriesNames, function(seriesName) {
+            var seriesRecords = tui.util.filter(records, function(record) {
+                return record[fieldOptions.seriesField] === seriesName;
+            });
+
+            return {
+                name: seriesName,
+                data: tui.util.map(seriesRecords, function(record) {
+                    var x = parseNumber(record[fields.x], decimalSeparator);
+                    var datum = {
+                        // x can be datetime string
+                        x: tui.util.isNull(x) ? record[fields.x] : x,
+                        y: parseNumber(record[fields.y], decimalSeparator)
+                    };
+
+                    if (tui.util.isExisty(record[fields.r])) {
+                        datum.r = parseNumber(record[fields.r], decimalSeparator);
+                    }
+
+                    if (tui.util.isExisty(record[fields.label])) {
+                        datum.label = record[fields.label];
+                    }
+
+                    return datum;
+                })
+            };
+        })
+    };
+}
+
+/**
+ * Make raw data of treemap chart.
+ * Hierarchy is made by parent field, which refers id field(or label field, if id does not exist).
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makeTreemapRawData(records, fieldOptions) {
+    var fields = tui.util.extend({}, DEFAULT_TREEMAP_FIELDS, fieldOptions.treemapFields);
+    var nodeMap = {};
+    var series = [];
+    var nodes = tui.util.map(records, function(record) {
+        var value = parseNumber(record[fields.value], fieldOptions.decimalSeparator);
+        var id = tui.util.isExisty(record[fields.id]) ? record[fields.id] : record[fields.label];
+        var node = {
+            label: record[fields.label]
+        };
+
+        if (!tui.util.isNull(value)) {
+            node.value = value;
+        }
+
+        nodeMap[id] = node;
+
+        return node;
+    });
+
+    tui.util.forEachArray(records, function(record, index) {
+        var parentNode = nodeMap[record[fields.parent]];
+
+        if (parentNode && record[fields.parent] !== '') {
+            parentNode.children = parentNode.children || [];
+            parentNode.children.push(nodes[index]);
+        } else {
+            series.push(nodes[index]);
+        }
+    });
+
+    return {
+        series: series
+    };
+}
+
+/**
+ * Make raw data of boxplot chart.
+ * Each record has five-number summary of a category of a series.
+ * Outliers can be array or string separated by spaces.
+ * @param {Array.<object>} records - records
+ * @param {object} fieldOptions - field options
+ * @returns {rawData}
+ * @private
+ */
+function makeBoxplotRawData(records, fieldOptions) {
+    var decimalSeparator = fieldOptions.decimalSeparator;
+    var categories = pickUniqueValues(records, fieldOptions.categoryField);
+    var seriesNames = pickUniqueValues(records, fieldOptions.seriesField);
+    var valueFields = fieldOptions.boxplotFields || DEFAULT_BOXPLOT_VALUE_FIELDS;
+    var outliersField = fieldOptions.outliersField || DEFAULT_BOXPLOT_OUTLIERS_FIELD;
+    var series = tui.util.map(seriesNames, function(seriesName) {
+        return {
+            name: seriesName,
+            data: [],
+            outliers: []
+        };
+    });
+
+    tui.util.forEachArray(records, function(record) {
+        var seriesDatum = series[tui.util.inArray(record[fieldOptions.seriesField], seriesNames)];
+        var categoryIndex = tui.util.inArray(record[fieldOptions.categoryField], categories);
+        var outliers = record[outliersField];
+
+        seriesDatum.data[categoryIndex] = tui.util.map(valueFields, function(field) {
+            return parseNumber(record[field], decimalSeparator);
+        });
+
+        if (tui.util.isString(outliers)) {
+            outliers = tui.util.filter(outliers.split(/\s+/), function(outlier) {
+                return outlier !== '';
+            });
+        }
+
+        tui.util.forEachArray(outliers || [], function(outlier) {
+            seriesDatum.outliers.push([categoryIndex, parseNumber(outlier, decimalSeparator)]);
+        });
+    });
+
+    return {
+        categories: categories,
+        series: series
+    };
+}
+
+/**
+ * Whether data of chart type has shape of pie chart data or not.
+ * Each series of pie, funnel type and gauge chart has single value.
+ * @param {string} chartType - chart type
+ * @returns {boolean}
+ * @private
+ */
+function hasPieDataShape(chartType) {
+    return predicate.isPieChart(chartType) || predicate.isFunnelTypeChart(chartType)
+        || predicate.isGaugeChart(chartType);
+}
+
+/**
+ * Get raw data maker by data shape of chart type.
+ * @param {string} chartType - chart type
+ * @returns {function}
+ * @private
+ */
+function getRawDataMaker(chartType) {
+    var maker = makeCategoryRawData;
+
+    if (hasPieDataShape(chartType)) {
+        maker = makePieRawData;
+    } else if (predicate.isHeatmapChart(chartType)) {
+        maker = makeHeatmapRawData;
+    } else if (predicate.isCoordinateTypeChart(chartType)) {
+        maker = makeCoordinateRawData;
+    } else if (predicate.isTreemapTypeChart(chartType)) {
+        maker = makeTreemapRawData;
+    } else if (predicate.isBoxplotChart(chartType)) {
+        maker = makeBoxplotRawData;
+    }
+
+    return maker;
+}
+
+/**
+ * Make raw data with records.
+ * @param {Array.<object>} records - records
+ * @param {Array.<string>} fields - all fields of records
+ * @param {object} importOptions - import options
+ * @param {string} chartType - chart type
+ * @returns {rawData}
+ * @private
+ */
+function makeDataWithRecordsAndFields(records, fields, importOptions, chartType) {
+    var categoryField = importOptions.categoryField || fields[0];
+    var seriesField = importOptions.seriesField || DEFAULT_SERIES_FIELD;
+    var fieldOptions = tui.util.extend({}, importOptions, {
+        categoryField: categoryField,
+        seriesField: seriesField,
+        decimalSeparator: importOptions.decimalSeparator || DEFAULT_DECIMAL_SEPARATOR,
+        valueFields: importOptions.valueFields || tui.util.filter(fields, function(field) {
+            return field !== categoryField && field !== seriesField;
+        })
+    });
+
+    return getRawDataMaker(chartType)(records, fieldOptions);
+}
+
+/**
+ * Make chart data with CSV string.
+ * TSV can be imported by setting delimiter to tab character.
+ * @param {object} csvData - object for CSV data import
+ *      @param {string} csvData.csv - CSV string
+ *      @param {string} [csvData.delimiter=','] - delimiter of cells
+ *      @param {boolean} [csvData.headerRow=true] - whether first row is header or not
+ *      @param {string} [csvData.decimalSeparator='.'] - decimal separator of numbers
+ *      @param {string} [csvData.categoryField] - field for categories (default: first field)
+ *      @param {Array.<string>} [csvData.valueFields] - fields for values (default: other fields)
+ * @param {string} chartType - chart type
+ * @returns {rawData}
+ * @api
+ */
+function makeDataWithCsv(csvData, chartType) {
+    var table2DArray = parseCsv(csvData.csv, csvData.delimiter || DEFAULT_CSV_DELIMITER);
+    var recordsData = makeRecordsFrom2DArray(table2DArray, csvData.headerRow !== false);
+
+    return makeDataWithRecordsAndFields(recordsData.records, recordsData.fields, csvData, chartType);
+}
+
+/**
+ * Make chart data with records like JSON from API.
+ * @param {object} recordsData - object for records data import
+ *      @param {Array.<object>|string} recordsData.records - records or JSON string of them
+ *      @param {string} [recordsData.decimalSeparator='.'] - decimal separator of string numbers
+ *      @param {string} [recordsData.categoryField] - field for categories (default: first field)
+ *      @param {Array.<string>} [recordsData.valueFields] - fields for values (default: other fields)
+ * @param {string} chartType - chart type
+ * @returns {rawData}
+ * @api
+ */
+function makeDataWithRecords(recordsData, chartType) {
+    var records = recordsData.records;
+
+    if (tui.util.isString(records)) {
+        records = JSON.parse(records);
+    }
+
+    return makeDataWithRecordsAndFields(records, tui.util.keys(records[0] || {}), recordsData, chartType);
+}
+
+/**
+ * Find name of node, which is pointed by source or target of link.
+ * Node can be pointed by its index of nodes too.
+ * @param {Array.<string>} names - names of nodes
+ * @param {string|number} key - name or index of node
+ * @returns {string}
+ * @private
+ */
+function findNodeName(names, key) {
+    return tui.util.isNumber(key) ? names[key] : String(key);
+}
+
+/**
+ * Make chart data with nodes and links of flow like sankey chart.
+ * Each node becomes series, which value is larger one of sums of incoming and outgoing links.
+ * Nodes, which are not in nodes option, are appended by order of links.
+ * @param {object} flowData - object for flow data
+ *      @param {Array.<string|{name: string}>} [flowData.nodes] - nodes
+ *      @param {Array.<{source: (string|number), target: (string|number), value: number}>} flowData.links - links
+ * @returns {rawData}
+ * @api
+ */
+function makeDataWithNodesAndLinks(flowData) {
+    var names = tui.util.map(flowData.nodes || [], function(node) {
+        return tui.util.isObject(node) ? node.name : String(node);
+    });
+    var incomingSums = {};
+    var outgoingSums = {};
+    var links = tui.util.map(flowData.links, function(link) {
+        return {
+            source: findNodeName(names, link.source),
+            target: findNodeName(names, link.target),
+            value: Number(link.value) || 0
+        };
+    });
+
+    tui.util.forEachArray(links, function(link) {
+        tui.util.forEachArray([link.source, link.target], function(name) {
+            if (tui.util.inArray(name, names) === -1) {
+                names.push(name);
+            }
+        });
+
+        outgoingSums[link.source] = (outgoingSums[link.source] || 0) + link.value;
+        incomingSums[link.target] = (incomingSums[link.target] || 0) + link.value;
+    });
+
+    return {
+        series: tui.util.map(names, function(name) {
+            return {
+                name: name,
+                data: Math.max(incomingSums[name] || 0, outgoingSums[name] || 0)
+            };
+        }),
+        links: links
+    };
+}
+
+/**
+ * Make chart data with data for importing like table, CSV, records and nodes with links of flow.
+ * Raw data, which is not for importing, is returned as it is.
+ * @param {object} rawData - raw data or data for importing
+ * @param {string} chartType - chart type
+ * @returns {rawData}
+ */
+function makeRawData(rawData, chartType) {
+    if (rawData.table) {
+        rawData = makeDataWithTable(rawData.table);
+    } else if (tui.util.isString(rawData.csv)) {
+        rawData = makeDataWithCsv(rawData, chartType);
+    } else if (rawData.records) {
+        rawData = makeDataWithRecords(rawData, chartType);
+    } else if (rawData.links && !rawData.series) {
+        rawData = makeDataWithNodesAndLinks(rawData);
+    }
+
+    return rawData;
+}
+
 module.exports = {
-    makeDataWithTable: makeDataWithTable
+    makeDataWithTable: makeDataWithTable,
+    makeDataWithCsv: makeDataWithCsv,
+    makeDataWithRecords: makeDataWithRecords,
+    makeDataWithNodesAndLinks: makeDataWithNodesAndLinks,
+    makeRawData: makeRawData
 };
@@ -0,0 +1,158 @@
+/**
+ * @fileOverview Zip archiver to make uncompressed(stored) zip file like xlsx.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var LOCAL_FILE_HEADER_SIGNATURE = 0x04034b50;
+var CENTRAL_DIRECTORY_SIGNATURE = 0x02014b50;
+var END_OF_CENTRAL_DIRECTORY_SIGNATURE = 0x06054b50;
+var ZIP_VERSION = 20;
+var UTF8_FILE_NAME_FLAG = 0x0800;
+// 1980-01-01 00:00:00, minimum value of MS-DOS date format
+var DOS_TIME = 0;
+var DOS_DATE = 0x0021;
+
+var crcTable;
+
+/**
+ * Make CRC-32 lookup table.
+ * @returns {Array.<number>}
+ * @private
+ */
+function makeCrcTable() {
+    var table = [];
+    var index, bitIndex, value;
+
+    for (index = 0; index < 256; index += 1) {
+        value = index;
+
+        for (bitIndex = 0; bitIndex < 8; bitIndex += 1) {
+            value = (value & 1) ? (0xedb88320 ^ (value >>> 1)) : (value >>> 1);
+        }
+
+        table[index] = value >>> 0;
+    }
+
+    return table;
+}
+
+/**
+ * Calculate CRC-32 of binary string.
+ * @param {string} binaryString - binary string
+ * @returns {number}
+ * @private
+ */
+function calculateCrc32(binaryString) {
+    var crc = 0xffffffff;
+    var length = binaryString.length;
+    var index;
+
+    crcTable = crcTable || makeCrcTable();
+
+    for (index = 0; index < length; index += 1) {
+        crc = (crc >>> 8) ^ crcTable[(crc ^ binaryString.charCodeAt(index)) & 0xff];
+    }
+
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Make little endian binary string of number.
+ * @param {number} value - value
+ * @param {number} byteLength - byte length
+ * @returns {string}
+ * @private
+ */
+function toLittleEndian(value, byteLength) {
+    var result = '';
+    var index;
+
+    for (index = 0; index < byteLength; index += 1) {
+        result += String.fromCharCode((value >>> (index * 8)) & 0xff);
+    }
+
+    return result;
+}
+
+/**
+ * Encode string to UTF-8 binary string.
+ * @param {string} value - string
+ * @returns {string}
+ * @private
+ */
+function encodeUtf8(value) {
+    return unescape(encodeURIComponent(value));
+}
+
+/**
+ * Make header fields, which are common in local file header and central directory.
+ * @param {{name: string, content: string, crc: number}} file - file
+ * @returns {string}
+ * @private
+ */
+function makeCommonHeader(file) {
+    return toLittleEndian(ZIP_VERSION, 2) +
+        toLittleEndian(UTF8_FILE_NAME_FLAG, 2) +
+        toLittleEndian(0, 2) + // compression method: stored
+        toLittleEndian(DOS_TIME, 2) +
+        toLittleEndian(DOS_DATE, 2) +
+        toLittleEndian(file.crc, 4) +
+        toLittleEndian(file.content.length, 4) + // compressed size
+        toLittleEndian(file.content.length, 4) +
+        toLittleEndian(file.name.length, 2) +
+        toLittleEndian(0, 2); // extra field length
+}
+
+/**
+ * Make zip binary string with files.
+ * Contents are stored without compression.
+ * @param {Array.<{name: string, content: string}>} files - files, content should be text
+ * @returns {string} binary string of zip file
+ */
+function makeZip(files) {
+    var localFiles = '';
+    var centralDirectory = '';
+
+    tui.util.forEachArray(files, function(file) {
+        var content = encodeUtf8(file.content);
+        var encodedFile = {
+            name: encodeUtf8(file.name),
+            content: content,
+            crc: calculateCrc32(content)
+        };
+        var commonHeader = makeCommonHeader(encodedFile);
+
+        centralDirectory += toLittleEndian(CENTRAL_DIRECTORY_SIGNATURE, 4) +
+            toLittleEndian(ZIP_VERSION, 2) + // version made by
+            commonHeader +
+            toLittleEndian(0, 2) + // file comment length
+            toLittleEndian(0, 2) + // disk number start
+            toLittleEndian(0, 2) + // internal file attributes
+            toLittleEndian(0, 4) + // external file attributes
+            toLittleEndian(localFiles.length, 4) + // offset of local header
+            encodedFile.name;
+
+        localFiles += toLittleEndian(LOCAL_FILE_HEADER_SIGNATURE, 4) +
+            commonHeader +
+            encodedFile.name +
+            encodedFile.content;
+    });
+
+    return localFiles + centralDirectory +
+        toLittleEndian(END_OF_CENTRAL_DIRECTORY_SIGNATURE, 4) +
+        toLittleEndian(0, 2) + // number of this disk
+        toLittleEndian(0, 2) + // disk where central directory starts
+        toLittleEndian(files.length, 2) +
+        toLittleEndian(files.length, 2) +
+        toLittleEndian(centralDirectory.length, 4) +
+        toLittleEndian(localFiles.length, 4) +
+        toLittleEndian(0, 2); // comment length
+}
+
+module.exports = {
+    makeZip: makeZip,
+    calculateCrc32: calculateCrc32
+};
@@ -106,6 +106,15 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
 
         this.positionMap = {};
 
+        /**
+         * component names of extra y axes, which are placed at left or right side
+         * @type {{left: Array.<string>, right: Array.<string>}}
+         */
+        this.extraYAxisNamesMap = {
+            left: [],
+            right: []
+        };
+
         /**
          * chart left padding
          * @type {number}
@@ -270,12 +279,14 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
     registerSpectrumLegendDimension: function() {
         var maxValue = this.dataProcessor.getFormattedMaxValue(this.chartType, 'legend');
         var labelTheme = this.theme.label;
+        var noData = tui.util.pick(this.options, 'series', 'noData');
         var dimension;
 
         if (predicate.isHorizontalLegend(this.options.legend.align)) {
             dimension = spectrumLegendCalculator._makeHorizontalDimension(maxValue, labelTheme);
         } else {
-            dimension = spectrumLegendCalculator._makeVerticalDimension(maxValue, labelTheme);
+            dimension = spectrumLegendCalculator._makeVerticalDimension(maxValue, labelTheme,
+                noData && this.dataProcessor.hasNoDataValue(this.chartType) ? noData.label : null);
         }
 
         this._registerDimension('legend', dimension);
@@ -305,14 +316,54 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         });
     },
 
+    /**
+     * Register dimension for extra y axis.
+     * @param {{min: number, max: number}} limit - min, max
+     * @param {string} componentName - component name like yAxis1
+     * @param {object} options - options for y axis
+     * @param {{title: object, label: object}} theme - theme for y axis
+     * @param {boolean} isPositionRight - whether right position or not
+     */
+    registerExtraYAxisDimension: function(limit, componentName, options, theme, isPositionRight) {
+        this.registerYAxisDimension(limit, componentName, options, theme, true);
+        this.extraYAxisNamesMap[isPositionRight ? 'right' : 'left'].push(componentName);
+    },
+
+    /**
+     * Get total width of extra y axes.
+     * @param {Array.<string>} names - component names of extra y axes
+     * @returns {number}
+     * @private
+     */
+    _getExtraYAxesWidth: function(names) {
+        var self = this;
+        var width = 0;
+
+        tui.util.forEachArray(names, function(name) {
+            width += self.getDimension(name).width;
+        });
+
+        return width;
+    },
+
+    /**
+     * Get component names of all extra y axes.
+     * @returns {Array.<string>}
+     * @private
+     */
+    _getExtraYAxisNames: function() {
+        return this.extraYAxisNamesMap.left.concat(this.extraYAxisNamesMap.right);
+    },
+
     /**
      * Create series width.
      * @returns {number} series width
      */
     calculateSeriesWidth: function() {
         var dimensionMap = this.getDimensionMap(['chart', 'yAxis', 'legend', 'rightYAxis']);
+        var extraYAxesWidth = this._getExtraYAxesWidth(this._getExtraYAxisNames());
 
-        return seriesCalculator.calculateWidth(dimensionMap, this.options.legend);
+        return seriesCalculator.calculateWidth(dimensionMap, this.options.legend) - extraYAxesWidth;
     },
 
     /**
@@ -441,6 +492,7 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
      * @private
      */
     _registerAxisComponentsDimension: function() {
+        var self = this;
         var plotDimension = this._makePlotDimension();
 
         this._registerDimension('plot', plotDimension);
@@ -456,6 +508,12 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         this._registerDimension('rightYAxis', {
             height: plotDimension.height
         });
+
+        tui.util.forEachArray(this._getExtraYAxisNames(), function(name) {
+            self._registerDimension(name, {
+                height: plotDimension.height
+            });
+        });
     },
 
     /**
@@ -477,6 +535,12 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
      * @private
      */
     _updateDimensionsHeight: function(diffHeight) {
+        var dimensionMap = this.dimensionMap;
+
+        tui.util.forEachArray(this._getExtraYAxisNames(), function(name) {
+            dimensionMap[name].height -= diffHeight;
+        });
+
         this.dimensionMap.plot.height -= diffHeight;
         this.dimensionMap.series.height -= diffHeight;
         this.dimensionMap.mouseEventDetector.height -= diffHeight;
@@ -510,7 +574,8 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         var seriesPosition = this.getPosition('series'),
             seriesDimension = this.getDimension('series'),
             yAxisWidth = this.getDimension('yAxis').width,
-            leftAreaWidth = yAxisWidth + seriesDimension.width + leftLegendWidth;
+            leftExtraYAxesWidth = this._getExtraYAxesWidth(this.extraYAxisNamesMap.left),
+            leftAreaWidth = leftExtraYAxesWidth + yAxisWidth + seriesDimension.width + leftLegendWidth;
 
         this.positionMap.plot = {
             top: seriesPosition.top,
@@ -519,7 +584,7 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
 
         this.positionMap.yAxis = {
             top: seriesPosition.top,
-            left: this.chartLeftPadding + leftLegendWidth
+            left: this.chartLeftPadding + leftLegendWidth + leftExtraYAxesWidth
         };
 
         this.positionMap.xAxis = {
@@ -531,6 +596,39 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
             top: seriesPosition.top,
             left: this.chartLeftPadding + leftAreaWidth - chartConst.OVERLAPPING_WIDTH
         };
+
+        this._registerExtraYAxesPosition(this.chartLeftPadding + leftLegendWidth);
+    },
+
+    /**
+     * Register positions of extra y axes.
+     * Left extra y axes are placed outside of yAxis, and right ones are placed outside of rightYAxis.
+     * @param {number} leftAreaStart - left of area for left y axes
+     * @private
+     */
+    _registerExtraYAxesPosition: function(leftAreaStart) {
+        var self = this;
+        var top = this.getPosition('series').top;
+        var rightYAxisPosition = this.positionMap.rightYAxis;
+        var left = leftAreaStart;
+
+        tui.util.forEachArray(this.extraYAxisNamesMap.left, function(name) {
+            self.positionMap[name] = {
+                top: top,
+                left: left
+            };
+            left += self.getDimension(name).width;
+        });
+
+        left = rightYAxisPosition.left + this.getDimension('rightYAxis').width;
+
+        tui.util.forEachArray(this.extraYAxisNamesMap.right, function(name) {
+            self.positionMap[name] = {
+                top: top,
+                left: left
+            };
+            left += self.getDimension(name).width;
+        });
     },
 
     /**
@@ -555,7 +653,8 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         } else if (predicate.isLegendAlignLeft(legendOption.align)) {
             left = 0;
         } else {
-            yAxisAreaWidth = this.getDimension('yAxis').width + this.getDimension('rightYAxis').width;
+            yAxisAreaWidth = this.getDimension('yAxis').width + this.getDimension('rightYAxis').width
+                + this._getExtraYAxesWidth(this._getExtraYAxisNames());
             left = seriesDimension.width + yAxisAreaWidth + this.chartLeftPadding;
         }
 
@@ -615,8 +714,11 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         var chartType = this.chartType;
 
         return !(predicate.isPieChart(chartType) || predicate.isMapChart(chartType))
-            && !predicate.isTreemapChart(chartType)
-            && !predicate.isRadialChart(chartType)
+            && !predicate.isTreemapTypeChart(chartType)
+            && !predicate.isRadialTypeChart(chartType)
+            && !predicate.isFunnelTypeChart(chartType)
+            && !predicate.isGaugeChart(chartType)
+            && !predicate.isSankeyChart(chartType)
             && !predicate.isPieDonutComboChart(chartType, this.seriesTypes);
     },
 
@@ -659,9 +761,10 @@ var BoundsModel = tui.util.defineClass(/** @lends BoundsModel.prototype */{
         var legendDimension = this.getDimension('legend');
         var topLegendHeight = (predicate.isLegendAlignTop(alignOption) && isVisibleLegend) ? legendDimension.height : 0;
         var leftLegendWidth = (predicate.isLegendAlignLeft(alignOption) && isVisibleLegend) ? legendDimension.width : 0;
+        var leftExtraYAxesWidth = this._getExtraYAxesWidth(this.extraYAxisNamesMap.left);
         var seriesPosition = {
             top: this.getDimension('title').height + chartConst.CHART_PADDING + topLegendHeight,
-            left: this.chartLeftPadding + leftLegendWidth + this.getDimension('yAxis').width
+            left: this.chartLeftPadding + leftLegendWidth + leftExtraYAxesWidth + this.getDimension('yAxis').width
         };
 
         this.positionMap.series = seriesPosition;
@@ -36,14 +36,22 @@ var circleLegendCalculator = {
 
     /**
      * Calculate radius by axis data.
+     * Chart without axes like map chart uses radius by ratio of shorter side of series area.
      * @param {{width: number, height: number}} seriesDimension - dimension for series
-     * @param {{xAxis: object, yAxis: object}} axisDataMap - axis data map
+     * @param {?{xAxis: object, yAxis: object}} axisDataMap - axis data map
      * @returns {number}
      * @private
      */
     _calculateRadiusByAxisData: function(seriesDimension, axisDataMap) {
-        var yPixelStep = this._calculatePixelStep(axisDataMap.yAxis, seriesDimension.height);
-        var xPixelStep = this._calculatePixelStep(axisDataMap.xAxis, seriesDimension.width);
+        var yPixelStep, xPixelStep;
+
+        if (!axisDataMap || !axisDataMap.xAxis || !axisDataMap.yAxis) {
+            return parseInt(Math.min(seriesDimension.width, seriesDimension.height)
+                * chartConst.MAP_BUBBLE_MAX_RADIUS_RATIO, 10);
+        }
+
+        yPixelStep = this._calculatePixelStep(axisDataMap.yAxis, seriesDimension.height);
+        xPixelStep = this._calculatePixelStep(axisDataMap.xAxis, seriesDimension.width);
 
         return Math.min(yPixelStep, xPixelStep);
     },
@@ -80,8 +88,9 @@ var circleLegendCalculator = {
 
     /**
      * Calculate max radius.
+     * Max radius is not limited by width of circle legend, when circle legend is not visible.
      * @param {{series: {width: number, height: number}, circleLegend: {width: number}}} dimensionMap - dimension map
-     * @param {{xAxis: object, yAxis: object}} axisDataMap - axis data map
+     * @param {?{xAxis: object, yAxis: object}} axisDataMap - axis data map
      * @returns {number}
      * @private
      */
@@ -89,6 +98,10 @@ var circleLegendCalculator = {
         var maxRadius = this._calculateRadiusByAxisData(dimensionMap.series, axisDataMap);
         var circleLegendWidth = dimensionMap.circleLegend.width;
 
+        if (!circleLegendWidth) {
+            return maxRadius;
+        }
+
         return Math.min((circleLegendWidth - chartConst.CIRCLE_LEGEND_PADDING) / 2, maxRadius);
     }
 };
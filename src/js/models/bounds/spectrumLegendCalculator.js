@@ -16,17 +16,25 @@ var renderUtil = require('../../helpers/renderUtil');
 var spectrumLegendCalculator = {
     /**
      * Make vertical dimension.
+     * Width is extended for label of swatch of no data, which is placed below color bar.
      * @param {string} maxValue - formatted max value
      * @param {object} labelTheme - theme for label
+     * @param {?string} [noDataLabel] - label of swatch of no data, when it is visible
      * @returns {{width: number, height: number}}
      * @private
      */
-    _makeVerticalDimension: function(maxValue, labelTheme) {
+    _makeVerticalDimension: function(maxValue, labelTheme, noDataLabel) {
         var labelWidth = renderUtil.getRenderedLabelWidth(maxValue, labelTheme);
         var padding = chartConst.LEGEND_AREA_PADDING + chartConst.MAP_LEGEND_LABEL_PADDING;
+        var width = chartConst.MAP_LEGEND_GRAPH_SIZE + labelWidth + padding;
+
+        if (noDataLabel) {
+            width = Math.max(width, chartConst.MAP_LEGEND_NO_DATA_SWATCH_SIZE
+                + renderUtil.getRenderedLabelWidth(noDataLabel, labelTheme) + padding);
+        }
 
         return {
-            width: chartConst.MAP_LEGEND_GRAPH_SIZE + labelWidth + padding,
+            width: width,
             height: chartConst.MAP_LEGEND_SIZE
         };
     },
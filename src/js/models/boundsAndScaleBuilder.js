@@ -71,6 +71,39 @@ var boundsAndScaleBuilder = {
         }, scaleOption.additionalOptions);
     },
 
+    /**
+     * Add scales of extra y axes.
+     * @param {ScaleDataModel} scaleDataModel - ScaleDataModel instance
+     * @param {?Array.<object>} extraYAxes - scale options of extra y axes
+     * @private
+     */
+    _addExtraYAxesScale: function(scaleDataModel, extraYAxes) {
+        tui.util.forEachArray(extraYAxes || [], function(extraYAxis) {
+            scaleDataModel.addExtraYAxisScale(
+                extraYAxis.name, extraYAxis.options, extraYAxis.isPositionRight, extraYAxis.additionalOptions
+            );
+        });
+    },
+
+    /**
+     * Register dimensions for extra y axes.
+     * @param {ComponentManager} componentManager - ComponentManager instance
+     * @param {BoundsModel} boundsModel - BoundsModel instance
+     * @param {object.<string, object>} scaleDataMap - scale data map
+     * @param {?Array.<object>} extraYAxes - scale options of extra y axes
+     * @private
+     */
+    _registerExtraYAxesDimension: function(componentManager, boundsModel, scaleDataMap, extraYAxes) {
+        tui.util.forEachArray(extraYAxes || [], function(extraYAxis) {
+            var name = extraYAxis.name;
+            var yAxis = componentManager.get(name);
+
+            boundsModel.registerExtraYAxisDimension(
+                scaleDataMap[name].limit, name, yAxis.options, yAxis.theme, extraYAxis.isPositionRight
+            );
+        });
+    },
+
     /**
      * Register dimension for y axis.
      * @param {ComponentManager} componentManager - ComponentManager instance
@@ -135,6 +168,8 @@ var boundsAndScaleBuilder = {
             this.addYAxisScale(scaleDataModel, 'rightYAxis', scaleOption.rightYAxis);
         }
 
+        this._addExtraYAxesScale(scaleDataModel, scaleOption.extraYAxes);
+
         if (scaleOption.legend) {
             scaleDataModel.addScale('legend', {}, {
                 chartType: params.chartType
@@ -143,11 +178,20 @@ var boundsAndScaleBuilder = {
             });
         }
 
+        // scale of series is used by chart without axes like gauge chart
+        if (scaleOption.series) {
+            scaleDataModel.addScale('series', scaleOption.series.options || {}, {
+                chartType: params.chartType,
+                valueType: 'value'
+            });
+        }
+
         scaleDataMap = scaleDataModel.scaleDataMap;
 
         // 03. y axis dimension 등록
         this._registerYAxisDimension(componentManager, boundsModel, scaleDataMap, 'yAxis', isVertical);
         this._registerYAxisDimension(componentManager, boundsModel, scaleDataMap, 'rightYAxis', isVertical);
+        this._registerExtraYAxesDimension(componentManager, boundsModel, scaleDataMap, scaleOption.extraYAxes);
 
         // 04. x axis scale 추가
         if (scaleOption.xAxis) {
@@ -183,6 +227,17 @@ var boundsAndScaleBuilder = {
         boundsModel.registerBoundsData(scaleDataModel.axisDataMap.xAxis);
     },
 
+    /**
+     * Whether chart has bubble, whose radius is made by max radius, or not.
+     * @param {{chartType: string, options: object}} params - parameter for building layout bounds and scale data
+     * @returns {boolean}
+     * @private
+     */
+    _hasBubble: function(params) {
+        return predicate.isBubbleChart(params.chartType)
+            || predicate.isMapBubbleChart(params.chartType, params.options.points);
+    },
+
     /**
      * Build layout bounds and scale data.
      * @param {DataProcessor} dataProcessor - DataProcessor instance
@@ -199,7 +254,8 @@ var boundsAndScaleBuilder = {
      *      },
      *      axisDataMap: ?object,
      *      maxRadius: ?number,
-     *      legendScaleData: ?object
+     *      legendScaleData: ?object,
+     *      seriesScaleData: ?object
      * }}
      */
     build: function(dataProcessor, componentManager, params) {
@@ -219,7 +275,7 @@ var boundsAndScaleBuilder = {
             boundsAndScale.axisDataMap = scaleDataModel.axisDataMap;
         }
 
-        if (predicate.isBubbleChart(params.chartType)) {
+        if (this._hasBubble(params)) {
             boundsAndScale.maxRadius = boundsModel.calculateMaxRadius(scaleDataModel.axisDataMap);
         }
 
@@ -227,6 +283,10 @@ var boundsAndScaleBuilder = {
             boundsAndScale.legendScaleData = scaleDataModel.scaleDataMap.legend;
         }
 
+        if (scaleDataModel.scaleDataMap.series) {
+            boundsAndScale.seriesScaleData = scaleDataModel.scaleDataMap.series;
+        }
+
         return boundsAndScale;
     }
 };
@@ -12,6 +12,10 @@ var chartConst = require('../../const');
 var DataProcessorBase = require('./dataProcessorBase');
 var SeriesDataModel = require('../data/seriesDataModel');
 var SeriesDataModelForBoxplot = require('../data/seriesDataModelForBoxplot');
+var SeriesDataModelForCandlestick = require('../data/seriesDataModelForCandlestick');
+var SeriesDataModelForWaterfall = require('../data/seriesDataModelForWaterfall');
+var SeriesDataModelForBullet = require('../data/seriesDataModelForBullet');
+var SeriesDataModelForGantt = require('../data/seriesDataModelForGantt');
 var SeriesDataModelForTreemap = require('../data/seriesDataModelForTreemap');
 var SeriesGroup = require('./seriesGroup');
 var rawDataHandler = require('../../models/data/rawDataHandler');
@@ -103,6 +107,22 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
         this.baseInit();
     },
 
+    /**
+     * Set new raw data.
+     * Zoomed raw data and data that is waiting for being added are discarded.
+     * @param {rawData} rawData - raw data
+     */
+    setRawData: function(rawData) {
+        this.originalRawData = objectUtil.deepCopy(rawData);
+        this.originalLegendData = null;
+        this.legendVisibilities = null;
+        this.dynamicData = [];
+
+        this.initData(rawData);
+        this.initZoomedRawData();
+        this.baseInit();
+    },
+
     /**
      * Get original raw data.
      * @returns {rawData} raw data
@@ -286,7 +306,11 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
      * @private
      */
     _mapCategories: function(categories) {
-        if (predicate.isDatetimeType(this.options.xAxis.type)) {
+        // categories of gantt chart are names of tasks, though x axis of it is datetime type
+        var isDatetimeCategory = predicate.isDatetimeType(this.options.xAxis.type)
+            && !predicate.isGanttChart(this.chartType);
+
+        if (isDatetimeCategory) {
             categories = tui.util.map(categories, function(value) {
                 var date = new Date(value);
 
@@ -534,7 +558,15 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
 
             if (predicate.isBoxplotChart(this.chartType)) {
                 SeriesDataModelClass = SeriesDataModelForBoxplot;
-            } else if (predicate.isTreemapChart(this.chartType)) {
+            } else if (predicate.isCandlestickChart(this.chartType)) {
+                SeriesDataModelClass = SeriesDataModelForCandlestick;
+            } else if (predicate.isWaterfallChart(this.chartType)) {
+                SeriesDataModelClass = SeriesDataModelForWaterfall;
+            } else if (predicate.isBulletChart(this.chartType)) {
+                SeriesDataModelClass = SeriesDataModelForBullet;
+            } else if (predicate.isGanttChart(this.chartType)) {
+                SeriesDataModelClass = SeriesDataModelForGantt;
+            } else if (predicate.isTreemapTypeChart(this.chartType)) {
                 SeriesDataModelClass = SeriesDataModelForTreemap;
             } else {
                 SeriesDataModelClass = SeriesDataModel;
@@ -547,6 +579,15 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
         return this.seriesDataModelMap[seriesType];
     },
 
+    /**
+     * Whether series has item without value or not, like null cell of heatmap chart.
+     * @param {string} chartType - chart type
+     * @returns {boolean}
+     */
+    hasNoDataValue: function(chartType) {
+        return this.getSeriesDataModel(chartType).hasNullValue();
+    },
+
     /**
      * Get group count.
      * @param {string} chartType chart type
@@ -983,6 +1024,26 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
         return this.legendVisibilities[chartType] || this.legendVisibilities;
     },
 
+    /**
+     * Set legend visibility by checked indexes of legend.
+     * @param {object.<string, Array.<boolean>>} checkedIndexesMap - checked indexes map by chart type
+     */
+    setLegendVisibility: function(checkedIndexesMap) {
+        var legendVisibilities = {};
+
+        tui.util.forEach(this.originalRawData.series, function(seriesData, chartType) {
+            var checkedIndexes = checkedIndexesMap[chartType] || [];
+
+            legendVisibilities[chartType] = tui.util.map(seriesData, function(seriesDatum, index) {
+                return !!checkedIndexes[index];
+            });
+        });
+
+        this.legendVisibilities = legendVisibilities;
+        this.legendData = null;
+        this.originalLegendData = null;
+    },
+
     /**
      * Make legend data.
      * @returns {Array} labels
@@ -1067,6 +1128,14 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
         this.getSeriesDataModel(chartType).addDataRatiosOfPieChart();
     },
 
+    /**
+     * Add data ratios of funnel type chart.
+     * @param {string} chartType - type of chart.
+     */
+    addDataRatiosOfFunnelChart: function(chartType) {
+        this.getSeriesDataModel(chartType).addDataRatiosOfFunnelChart();
+    },
+
     /**
      * Add data ratios for chart of coordinate type.
      * @param {string} chartType - type of chart.
@@ -1087,6 +1156,16 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
      * @private
      */
     _addStartValueToAllSeriesItem: function(limit, chartType) {
+        this.getSeriesDataModel(chartType).addStartValueToAllSeriesItem(this._makeStartValue(limit));
+    },
+
+    /**
+     * Make start value, which is the nearest value to zero in limit.
+     * @param {{min: number, max: number}} limit - limit
+     * @returns {number}
+     * @private
+     */
+    _makeStartValue: function(limit) {
         var start = 0;
 
         if (limit.min >= 0) {
@@ -1095,12 +1174,13 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
             start = limit.max;
         }
 
-        this.getSeriesDataModel(chartType).addStartValueToAllSeriesItem(start);
+        return start;
     },
 
     /**
      * Register percent values.
-     * @param {{min: number, max: number}} limit axis limit
+     * If limit has logBase, ratios are made in logarithmic scale.
+     * @param {{min: number, max: number, logBase: ?number}} limit axis limit
      * @param {string} stackType stackType option
      * @param {string} chartType chart type
      */
@@ -1111,6 +1191,31 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
         seriesDataModel.addDataRatios(limit, stackType);
     },
 
+    /**
+     * Add data ratios, when series are bound to multiple y axes.
+     * Ratios of series bound to extra y axes are converted to the space of base y axis,
+     * because series components are rendered by limit of base y axis.
+     * @param {Array.<{limit: {min: number, max: number}, seriesIndexes: Array.<number>}>} yAxes - limit and
+     *      indexes of bound series of each y axis, first one is base y axis
+     * @param {string} chartType - chart type
+     */
+    addDataRatiosForMultipleYAxes: function(yAxes, chartType) {
+        var self = this;
+        var seriesDataModel = this.getSeriesDataModel(chartType);
+        var baseLimit = yAxes[0].limit;
+        var extraYAxes = yAxes.slice(1);
+
+        tui.util.forEachArray(extraYAxes, function(yAxis) {
+            seriesDataModel.addStartValueToSeries(yAxis.seriesIndexes, self._makeStartValue(yAxis.limit));
+        });
+
+        this.addDataRatios(baseLimit, null, chartType);
+
+        tui.util.forEachArray(extraYAxes, function(yAxis) {
+            seriesDataModel.addRatiosToSeries(yAxis.seriesIndexes, yAxis.limit, baseLimit);
+        });
+    },
+
     /**
      * Add data ratios for treemap chart.
      * @param {{min: number, max: number}} limit - limit
@@ -1159,7 +1264,7 @@ var DataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends DataProce
             if (predicate.isNormalStackChart(chartType, stackType)) {
                 baseValues = baseValues.concat(this._createBaseValuesForNormalStackedChart(chartType));
             }
-        } else if (predicate.isTreemapChart(chartType)) {
+        } else if (predicate.isTreemapTypeChart(chartType)) {
             baseValues = this.getValues(chartType, 'colorValue');
         } else if (predicate.isNormalStackChart(chartType, stackType)) {
             baseValues = this._createBaseValuesForNormalStackedChart(chartType);
@@ -163,12 +163,14 @@ var DataProcessorBase = tui.util.defineClass(/** @lends DataProcessorBase.protot
 
     /**
      * Find format functions.
+     * @param {?(string|function)} format - format, chart format option is used if it is not passed
      * @returns {function[]} functions
      */
-    _findFormatFunctions: function() {
-        var format = tui.util.pick(this.options, 'chart', 'format');
+    _findFormatFunctions: function(format) {
         var funcs = [];
 
+        format = format || tui.util.pick(this.options, 'chart', 'format');
+
         if (tui.util.isFunction(format)) {
             funcs = [format];
         } else if (tui.util.isString(format)) {
@@ -180,9 +182,14 @@ var DataProcessorBase = tui.util.defineClass(/** @lends DataProcessorBase.protot
 
     /**
      * Get format functions.
+     * @param {?(string|function)} format - format like axis format option, chart format option is used if omitted
      * @returns {Array.<function>} functions
      */
-    getFormatFunctions: function() {
+    getFormatFunctions: function(format) {
+        if (format) {
+            return this._findFormatFunctions(format);
+        }
+
         if (!this.formatFunctions) {
             this.formatFunctions = this._findFormatFunctions();
         }
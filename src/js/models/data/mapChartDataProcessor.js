@@ -8,12 +8,19 @@
 
 var DataProcessorBase = require('./dataProcessorBase');
 var renderUtil = require('../../helpers/renderUtil');
+var arrayUtil = require('../../helpers/arrayUtil');
 
 /**
  * Raw series data.
  * @typedef {Array.<{code: string, name: ?string, data: number}>} rawSeriesData
  */
 
+/**
+ * Raw point data, which is positioned by longitude and latitude or by x and y of map.
+ * @typedef {Array.<{name: ?string, data: ?number, lon: ?number, lat: ?number, x: ?number, y: ?number,
+ *          color: ?string}>} rawPointData
+ */
+
 /**
  * Value map.
  * @typedef {{value: number, label: string, name: ?string}} valueMap
@@ -45,7 +52,7 @@ var MapChartDataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends M
 
     /**
      * Update raw data.
-     * @param {{series: rawSeriesData}} rawData raw data
+     * @param {{series: rawSeriesData, points: ?rawPointData}} rawData raw data
      */
     initData: function(rawData) {
         this.rawData = rawData;
@@ -55,6 +62,29 @@ var MapChartDataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends M
          * @type {valueMap}
          */
         this.valueMap = null;
+
+        /**
+         * point data
+         * @type {?Array.<object>}
+         */
+        this.pointData = null;
+    },
+
+    /**
+     * Set new raw data.
+     * @param {{series: rawSeriesData, points: ?rawPointData}} rawData raw data
+     */
+    setRawData: function(rawData) {
+        this.initData(rawData);
+    },
+
+    /**
+     * Get raw data for updating data by options.
+     * Map chart is not zoomed by data, so current raw data is returned.
+     * @returns {{series: rawSeriesData, points: ?rawPointData}}
+     */
+    getZoomedRawData: function() {
+        return this.rawData;
     },
 
     /**
@@ -99,12 +129,62 @@ var MapChartDataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends M
         return this.valueMap;
     },
 
+    /**
+     * Make point data.
+     * Ratio of point is ratio of value to max value of points like radius of bubble chart.
+     * @returns {Array.<{name: ?string, value: ?number, label: ?string, ratio: ?number,
+     *          lon: ?number, lat: ?number, x: ?number, y: ?number, color: ?string}>} point data
+     * @private
+     */
+    _makePointData: function() {
+        var rawPointData = this.rawData.points || [];
+        var formatFunctions = this._findFormatFunctions();
+        var maxValue = arrayUtil.max(tui.util.filter(tui.util.pluck(rawPointData, 'data'), tui.util.isNumber));
+
+        return tui.util.map(rawPointData, function(datum) {
+            var result = {};
+
+            tui.util.forEachArray(['name', 'lon', 'lat', 'x', 'y', 'color'], function(key) {
+                if (tui.util.isExisty(datum[key])) {
+                    result[key] = datum[key];
+                }
+            });
+
+            if (tui.util.isNumber(datum.data)) {
+                result.value = datum.data;
+                result.label = renderUtil.formatValue(datum.data, formatFunctions, 'map', 'series');
+                result.ratio = maxValue > 0 ? Math.max(datum.data, 0) / maxValue : 0;
+            }
+
+            return result;
+        });
+    },
+
+    /**
+     * Get point data.
+     * @returns {Array.<object>} point data
+     */
+    getPointData: function() {
+        if (!this.pointData) {
+            this.pointData = this._makePointData();
+        }
+
+        return this.pointData;
+    },
+
     /**
      * Get values.
+     * Values of points are returned for radius(r) value type, which is used by circle legend.
+     * @param {?string} chartType - chart type
+     * @param {?string} valueType - value type
      * @returns {Array.<number>} picked values.
      */
-    getValues: function() {
-        return tui.util.pluck(this.getValueMap(), 'value');
+    getValues: function(chartType, valueType) {
+        if (valueType === 'r') {
+            return tui.util.filter(tui.util.pluck(this.getPointData(), 'value'), tui.util.isNumber);
+        }
+
+        return tui.util.filter(tui.util.pluck(this.getValueMap(), 'value'), tui.util.isExisty);
     },
 
     /**
@@ -125,8 +205,27 @@ var MapChartDataProcessor = tui.util.defineClass(DataProcessorBase, /** @lends M
         var min = limit.min,
             max = limit.max - min;
         tui.util.forEach(this.getValueMap(), function(map) {
-            map.ratio = (map.value - min) / max;
+            if (tui.util.isExisty(map.value)) {
+                map.ratio = (map.value - min) / max;
+            }
+        });
+    },
+
+    /**
+     * Whether map has region without value or not.
+     * @returns {boolean}
+     */
+    hasNoDataValue: function() {
+        var valueMap = this.getValueMap();
+        var hasNoData = false;
+
+        tui.util.forEachArray(this.options.map || [], function(datum) {
+            hasNoData = !valueMap[datum.code] || !tui.util.isExisty(valueMap[datum.code].value);
+
+            return !hasNoData;
         });
+
+        return hasNoData;
     },
 
     createBaseValuesForLimit: function() {
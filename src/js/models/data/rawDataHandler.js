@@ -9,6 +9,10 @@
 var chartConst = require('../../const');
 var predicate = require('../../helpers/predicate');
 var arrayUtil = require('../../helpers/arrayUtil');
+var calculator = require('../../helpers/calculator');
+
+// whiskers of Tukey boxplot reach to the farthest sample within this ratio of IQR from the box
+var TUKEY_WHISKER_IQR_RATIO = 1.5;
 
 /**
  * Raw data Handler.
@@ -224,6 +228,96 @@ var rawDataHandler = {
         }
     },
 
+    /**
+     * Make boxplot summary from samples.
+     * Whiskers of tukey type reach to the farthest sample within 1.5 IQR from the box
+     * and samples beyond them are outliers, whiskers of minmax type reach to minimum and maximum of samples.
+     * @param {Array.<number>} samples - samples of a category
+     * @param {{quartileMethod: ?string, whisker: ?string}} seriesOptions - series options
+     * @returns {{summary: Array.<?number>, outliers: Array.<number>, statistics: {count: number, mean: ?number}}}
+     * @private
+     */
+    _makeBoxplotSummaryFromSamples: function(samples, seriesOptions) {
+        var sortedSamples = tui.util.filter(tui.util.map(samples, parseFloat), function(sample) {
+            return !isNaN(sample);
+        }).sort(function(a, b) {
+            return a - b;
+        });
+        var count = sortedSamples.length;
+        var q1, median, q3, fence, inFence, outliers;
+
+        if (!count) {
+            return {
+                summary: [null, null, null, null, null],
+                outliers: [],
+                statistics: {
+                    count: 0,
+                    mean: null
+                }
+            };
+        }
+
+        q1 = calculator.calculateQuantile(sortedSamples, 0.25, seriesOptions.quartileMethod);
+        median = calculator.calculateQuantile(sortedSamples, 0.5, seriesOptions.quartileMethod);
+        q3 = calculator.calculateQuantile(sortedSamples, 0.75, seriesOptions.quartileMethod);
+        inFence = sortedSamples;
+        outliers = [];
+
+        if (seriesOptions.whisker !== 'minmax') {
+            fence = (q3 - q1) * TUKEY_WHISKER_IQR_RATIO;
+            inFence = tui.util.filter(sortedSamples, function(sample) {
+                return sample >= q1 - fence && sample <= q3 + fence;
+            });
+            outliers = tui.util.filter(sortedSamples, function(sample) {
+                return sample < q1 - fence || sample > q3 + fence;
+            });
+        }
+
+        return {
+            summary: [Math.min(inFence[0], q1), q1, median, q3, Math.max(inFence[inFence.length - 1], q3)],
+            outliers: outliers,
+            statistics: {
+                count: count,
+                mean: calculator.mean(sortedSamples)
+            }
+        };
+    },
+
+    /**
+     * Update boxplot series data by samples.
+     * Series, which has samples instead of data, gets data of five-number summary,
+     * outliers and statistics like count and mean of samples for each category.
+     * @param {object} rawData - raw data
+     * @param {{quartileMethod: ?string, whisker: ?string}} [seriesOptions] - series options
+     */
+    updateBoxplotSeriesDataBySamples: function(rawData, seriesOptions) {
+        var self = this;
+
+        seriesOptions = seriesOptions || {};
+
+        tui.util.forEach(rawData.series.boxplot, function(seriesItem) {
+            if (!seriesItem.samples) {
+                return;
+            }
+
+            seriesItem.data = [];
+            seriesItem.outliers = [];
+            seriesItem.statistics = [];
+
+            tui.util.forEachArray(seriesItem.samples, function(samples, categoryIndex) {
+                var result = self._makeBoxplotSummaryFromSamples([].concat(samples || []), seriesOptions);
+
+                seriesItem.data.push(result.summary);
+                seriesItem.statistics.push(result.statistics);
+                tui.util.forEachArray(result.outliers, function(outlier) {
+                    seriesItem.outliers.push([categoryIndex, outlier]);
+                });
+            });
+
+            delete seriesItem.samples;
+        });
+    },
+
     /**
      * Append outlier value to boxplot series data end
      * @param {object} rawData - raw data
@@ -262,6 +356,86 @@ var rawDataHandler = {
         }
 
         return cloneData;
+    },
+
+    /**
+     * Make shape of values, which keeps only whether each value exists or not.
+     * Values like range, boxplot and coordinate are regarded as a value, because count of items in them can vary.
+     * @param {*} value - value or values of raw series data
+     * @returns {Array.<number>|number}
+     * @private
+     */
+    _makeValueShape: function(value) {
+        var makeShape = function(item) {
+            return tui.util.isExisty(item) ? 1 : 0;
+        };
+
+        return tui.util.isArray(value) ? tui.util.map(value, makeShape) : makeShape(value);
+    },
+
+    /**
+     * Make shape of raw series datum.
+     * Values are ignored, but existence of them and identifiers like id, parent and code are kept.
+     * @param {object|Array} seriesDatum - raw series datum
+     * @returns {object|Array}
+     * @private
+     */
+    _makeSeriesDatumShape: function(seriesDatum) {
+        var self = this;
+
+        if (!tui.util.isObject(seriesDatum) || tui.util.isArray(seriesDatum)) {
+            return this._makeValueShape(seriesDatum);
+        }
+
+        return {
+            data: this._makeValueShape(seriesDatum.data),
+            value: this._makeValueShape(seriesDatum.value),
+            id: seriesDatum.id,
+            parent: seriesDatum.parent,
+            code: seriesDatum.code,
+            stack: seriesDatum.stack,
+            children: tui.util.map(seriesDatum.children || [], function(child) {
+                return self._makeSeriesDatumShape(child);
+            })
+        };
+    },
+
+    /**
+     * Make shape of raw data, which consists of count of categories and shapes of series data by chart type.
+     * @param {rawData} rawData - raw data
+     * @returns {string}
+     * @private
+     */
+    _makeStructure: function(rawData) {
+        var self = this;
+        var categories = rawData.categories || [];
+        var seriesShapes = {};
+
+        tui.util.forEach(rawData.series, function(seriesData, chartType) {
+            seriesShapes[chartType] = tui.util.map(seriesData || [], function(seriesDatum) {
+                return self._makeSeriesDatumShape(seriesDatum);
+            });
+        });
+
+        return JSON.stringify({
+            categories: tui.util.isArray(categories) ? categories.length : [
+                (categories.x || []).length,
+                (categories.y || []).length
+            ],
+            series: seriesShapes
+        });
+    },
+
+    /**
+     * Whether two raw data have same structure or not.
+     * Structure is same, when chart types, count of series and categories, and positions of null values are same.
+     * So graph rendered by one can be transformed into graph of the other.
+     * @param {rawData} rawData - raw data
+     * @param {rawData} otherRawData - other raw data
+     * @returns {boolean}
+     */
+    hasSameStructure: function(rawData, otherRawData) {
+        return this._makeStructure(rawData) === this._makeStructure(otherRawData);
     }
 };
 
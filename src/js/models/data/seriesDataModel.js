@@ -154,7 +154,9 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
         var isDivergingChart = this.isDivergingChart;
         var isCoordinateType = this.isCoordinateType;
         var isPieChart = predicate.isPieChart(this.chartType);
-        var hasRawDatumAsArray = predicate.isHeatmapChart(this.chartType) || predicate.isTreemapChart(this.chartType);
+        var isFunnelTypeChart = predicate.isFunnelTypeChart(this.chartType);
+        var hasRawDatumAsArray = predicate.isHeatmapChart(this.chartType)
+            || predicate.isTreemapTypeChart(this.chartType);
         var sortValues, SeriesItemClass;
 
         if (isCoordinateType) {
@@ -179,7 +181,7 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
                 stack = rawDatum.stack;
             }
 
-            if (isCoordinateType || isPieChart) {
+            if (isCoordinateType || isPieChart || isFunnelTypeChart) {
                 data = tui.util.filter(data, tui.util.isExisty);
             }
 
@@ -526,6 +528,41 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
         });
     },
 
+    /**
+     * Add ratios, when limit is logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     * @private
+     */
+    _addLogarithmicRatios: function(limit) {
+        this.each(function(seriesGroup) {
+            seriesGroup.addLogarithmicRatios(limit);
+        });
+    },
+
+    /**
+     * Add ratios to specific series.
+     * Ratios are made in the space of base limit, so that the series are rendered by base limit.
+     * But ratios of logarithmic limit are made in its own space, because it can not be converted linearly.
+     * @param {Array.<number>} seriesIndexes - indexes of series
+     * @param {{min: number, max: number}} limit - limit of axis, which series are bound to
+     * @param {{min: number, max: number}} baseLimit - limit of base axis
+     */
+    addRatiosToSeries: function(seriesIndexes, limit, baseLimit) {
+        var distance = Math.abs(limit.max - limit.min);
+        var baseDistance = Math.abs(baseLimit.max - baseLimit.min);
+        var baseSubValue = this._makeSubtractionValue(baseLimit);
+        var subValue = limit.min - ((baseLimit.min - baseSubValue) * distance / baseDistance);
+        var pivotGroups = this._getPivotGroups();
+
+        tui.util.forEachArray(seriesIndexes, function(seriesIndex) {
+            if (limit.logBase) {
+                pivotGroups[seriesIndex].addLogarithmicRatios(limit);
+            } else {
+                pivotGroups[seriesIndex].addRatios(distance, subValue);
+            }
+        });
+    },
+
     /**
      * Add data ratios.
      * @param {{min: number, max: number}} limit - axis limit
@@ -535,7 +572,9 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
     addDataRatios: function(limit, stackType) {
         var isAllowedStackOption = predicate.isAllowedStackOption(this.chartType);
 
-        if (isAllowedStackOption && predicate.isNormalStack(stackType)) {
+        if (limit && limit.logBase) {
+            this._addLogarithmicRatios(limit);
+        } else if (isAllowedStackOption && predicate.isNormalStack(stackType)) {
             this._addRatiosWhenNormalStacked(limit);
         } else if (isAllowedStackOption && predicate.isPercentStack(stackType)) {
             if (this.isDivergingChart) {
@@ -559,26 +598,53 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
         });
     },
 
+    /**
+     * Add data ratios of funnel type chart.
+     * Ratio of sum is used for height of segment and ratios of stages are used for labels.
+     */
+    addDataRatiosOfFunnelChart: function() {
+        this.each(function(seriesGroup) {
+            var sum = calculator.sum(seriesGroup.pluck('value'));
+
+            seriesGroup.addRatios(sum);
+            seriesGroup.addStageRatios();
+        });
+    },
+
+    /**
+     * Make function for adding ratio of specific value type to series item of coordinate type.
+     * @param {?{min: number, max: number, logBase: ?number}} limit - axis limit
+     * @returns {function} function, which takes series item and value type
+     * @private
+     */
+    _makeCoordinateRatioAdder: function(limit) {
+        var distance, subValue;
+
+        if (limit && limit.logBase) {
+            return function(item, valueType) {
+                item.addLogarithmicRatio(valueType, limit);
+            };
+        }
+
+        if (limit) {
+            distance = Math.abs(limit.max - limit.min);
+            subValue = this._makeSubtractionValue(limit);
+        }
+
+        return function(item, valueType) {
+            item.addRatio(valueType, distance, subValue);
+        };
+    },
+
     /**
      * Add ratios of data for chart of coordinate type.
      * @param {{x: {min: number, max: number}, y: {min: number, max: number}}} limitMap - limit map
      * @param {boolean} [hasRadius] - whether has radius or not
      */
     addDataRatiosForCoordinateType: function(limitMap, hasRadius) {
-        var xLimit = limitMap.xAxis;
-        var yLimit = limitMap.yAxis;
         var maxRadius = hasRadius ? arrayUtil.max(this.getValues('r')) : 0;
-        var xDistance, xSubValue, yDistance, ySubValue;
-
-        if (xLimit) {
-            xDistance = Math.abs(xLimit.max - xLimit.min);
-            xSubValue = this._makeSubtractionValue(xLimit);
-        }
-
-        if (yLimit) {
-            yDistance = Math.abs(yLimit.max - yLimit.min);
-            ySubValue = this._makeSubtractionValue(yLimit);
-        }
+        var addXRatio = this._makeCoordinateRatioAdder(limitMap.xAxis);
+        var addYRatio = this._makeCoordinateRatioAdder(limitMap.yAxis);
 
         this.each(function(seriesGroup) {
             seriesGroup.each(function(item) {
@@ -586,12 +652,12 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
                     return;
                 }
 
-                item.addRatio('x', xDistance, xSubValue);
-                item.addRatio('y', yDistance, ySubValue);
+                addXRatio(item, 'x');
+                addYRatio(item, 'y');
                 item.addRatio('r', maxRadius, 0);
 
                 if (tui.util.isExisty(item.start)) {
-                    item.addRatio('start', yDistance, ySubValue);
+                    addYRatio(item, 'start');
                 }
             });
         });
@@ -607,6 +673,38 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
         });
     },
 
+    /**
+     * Add start to series items of specific series.
+     * @param {Array.<number>} seriesIndexes - indexes of series
+     * @param {number} start - start value
+     */
+    addStartValueToSeries: function(seriesIndexes, start) {
+        var pivotGroups = this._getPivotGroups();
+
+        tui.util.forEachArray(seriesIndexes, function(seriesIndex) {
+            pivotGroups[seriesIndex].addStartValueToAllSeriesItem(start);
+        });
+    },
+
+    /**
+     * Get values of specific series.
+     * @param {Array.<number>} seriesIndexes - indexes of series
+     * @param {?string} valueType - type of value
+     * @returns {Array.<number>}
+     */
+    getValuesOfSeries: function(seriesIndexes, valueType) {
+        var pivotGroups = this._getPivotGroups();
+        var values = [];
+
+        tui.util.forEachArray(seriesIndexes, function(seriesIndex) {
+            values = values.concat(pivotGroups[seriesIndex].getValues(valueType));
+        });
+
+        return tui.util.filter(values, function(value) {
+            return !isNaN(value);
+        });
+    },
+
     /**
      * Whether has range data or not.
      * @returns {boolean}
@@ -623,6 +721,22 @@ var SeriesDataModel = tui.util.defineClass(/** @lends SeriesDataModel.prototype
         return hasRangeData;
     },
 
+    /**
+     * Whether has item of null value or not.
+     * @returns {boolean}
+     */
+    hasNullValue: function() {
+        var hasNullValue = false;
+
+        this.each(function(seriesGroup) {
+            hasNullValue = seriesGroup.hasNullValue();
+
+            return !hasNullValue;
+        });
+
+        return hasNullValue;
+    },
+
     /**
      * Traverse groups, and executes iteratee function.
      * @param {function} iteratee - iteratee function
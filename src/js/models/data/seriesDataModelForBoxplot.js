@@ -108,9 +108,11 @@ var SeriesDataModelForBoxplot = tui.util.defineClass(SeriesDataModel, /** @lends
 
         return tui.util.map(this.rawSeriesData, function(rawDatum) {
             var data = tui.util.isArray(rawDatum) ? rawDatum : [].concat(rawDatum.data);
+            var statistics = rawDatum.statistics || [];
             var items = tui.util.map(data, function(datum, index) {
                 return new SeriesItemForBoxplot({
                     datum: datum,
+                    statistics: statistics[index],
                     chartType: chartType,
                     formatFunctions: formatFunctions,
                     index: index
@@ -136,6 +138,14 @@ var SeriesDataModelForBoxplot = tui.util.defineClass(SeriesDataModel, /** @lends
                 values.push(group.uq);
                 values.push(group.lq);
                 values.push(group.median);
+
+                if (tui.util.isExisty(group.mean)) {
+                    values.push(group.mean);
+                }
+
+                tui.util.forEach(group.outliers, function(outlier) {
+                    values.push(outlier.value);
+                });
             });
         });
 
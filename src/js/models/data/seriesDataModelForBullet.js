@@ -0,0 +1,89 @@
+/**
+ * @fileoverview SeriesDataModelForBullet is bullet series model for drawing graph of chart series area,
+ *                  and create from rawSeriesData by user.
+ * SeriesDataModel.groups has SeriesGroups.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+/*
+ * Raw series datum.
+ * Each item of markers is target values and each item of ranges is upper thresholds of qualitative ranges,
+ * for category of same index.
+ * @typedef {{
+ *      name: ?string,
+ *      data: Array.<number>,
+ *      markers: ?Array.<(number|Array.<number>)>,
+ *      ranges: ?Array.<Array.<number>>
+ * }} rawSeriesDatum
+ */
+
+var SeriesItemForBullet = require('./seriesItemForBullet');
+var SeriesDataModel = require('./seriesDataModel');
+
+var SeriesDataModelForBullet = tui.util.defineClass(
+    SeriesDataModel, /** @lends SeriesDataModelForBullet.prototype */ {
+        /**
+         * SeriesDataModelForBullet is series model for bullet chart.
+         * SeriesDataModel.groups has SeriesGroups.
+         * @constructs SeriesDataModelForBullet
+         * @private
+         * @extends SeriesDataModel
+         */
+        init: function() {
+            SeriesDataModel.apply(this, arguments);
+        },
+
+        /**
+         * Create base groups.
+         * Base groups is two-dimensional array by seriesItems.
+         * @returns {Array.<Array.<SeriesItemForBullet>>}
+         * @private
+         * @override
+         */
+        _createBaseGroups: function() {
+            var chartType = this.chartType;
+            var formatFunctions = this.formatFunctions;
+
+            return tui.util.map(this.rawSeriesData, function(rawDatum) {
+                var data = tui.util.isArray(rawDatum) ? rawDatum : [].concat(rawDatum.data);
+                var markers = rawDatum.markers || [];
+                var ranges = rawDatum.ranges || [];
+
+                return tui.util.map(data, function(datum, index) {
+                    return new SeriesItemForBullet({
+                        datum: datum,
+                        markers: markers[index],
+                        ranges: ranges[index],
+                        chartType: chartType,
+                        formatFunctions: formatFunctions,
+                        index: index
+                    });
+                });
+            });
+        },
+
+        /**
+         * Create values that picked value from SeriesItems of SeriesGroups.
+         * Target values and range thresholds are included, so that axis covers markers and ranges.
+         * @param {?string} valueType - type of value
+         * @returns {Array.<number>}
+         * @private
+         * @override
+         */
+        _createValues: function(valueType) {
+            var values = SeriesDataModel.prototype._createValues.call(this, valueType);
+
+            this.each(function(seriesGroup) {
+                seriesGroup.each(function(seriesItem) {
+                    values = values.concat(seriesItem.markers, seriesItem.ranges);
+                });
+            });
+
+            return values;
+        }
+    });
+
+module.exports = SeriesDataModelForBullet;
@@ -0,0 +1,91 @@
+/**
+ * @fileoverview SeriesDataModelForCandlestick is candlestick series model for drawing graph of chart series area,
+ *                  and create from rawSeriesData by user.
+ * SeriesDataModel.groups has SeriesGroups.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+/*
+ * Raw series datum.
+ * Each datum of data is array like [open, high, low, close] or [open, high, low, close, volume].
+ * @typedef {{name: ?string, data: Array.<Array.<number>>}} rawSeriesDatum
+ */
+
+var SeriesItemForCandlestick = require('./seriesItemForCandlestick');
+var SeriesDataModel = require('./seriesDataModel');
+
+var SeriesDataModelForCandlestick = tui.util.defineClass(
+    SeriesDataModel, /** @lends SeriesDataModelForCandlestick.prototype */ {
+        /**
+         * SeriesDataModelForCandlestick is series model for candlestick chart.
+         * SeriesDataModel.groups has SeriesGroups.
+         * @constructs SeriesDataModelForCandlestick
+         * @private
+         * @extends SeriesDataModel
+         */
+        init: function() {
+            SeriesDataModel.apply(this, arguments);
+        },
+
+        /**
+         * Datum of candlestick chart is not range data, so it is kept as it is.
+         * @private
+         * @override
+         */
+        _removeRangeValue: function() {},
+
+        /**
+         * Create base groups.
+         * Base groups is two-dimensional array by seriesItems.
+         * @returns {Array.<Array.<SeriesItemForCandlestick>>}
+         * @private
+         * @override
+         */
+        _createBaseGroups: function() {
+            var chartType = this.chartType;
+            var formatFunctions = this.formatFunctions;
+
+            return tui.util.map(this.rawSeriesData, function(rawDatum) {
+                var data = tui.util.isArray(rawDatum) ? rawDatum : [].concat(rawDatum.data);
+
+                return tui.util.map(data, function(datum, index) {
+                    return new SeriesItemForCandlestick({
+                        datum: datum,
+                        chartType: chartType,
+                        formatFunctions: formatFunctions,
+                        index: index
+                    });
+                });
+            });
+        },
+
+        /**
+         * Create values that picked value from SeriesItems of SeriesGroups.
+         * Volume values are made only by volume value type, because volume is not drawn by value axis.
+         * @param {?string} valueType - type of value
+         * @returns {Array.<number>}
+         * @private
+         * @override
+         */
+        _createValues: function(valueType) {
+            var valueTypes = (valueType === 'volume') ? ['volume'] : ['high', 'low'];
+            var values = [];
+
+            this.each(function(seriesGroup) {
+                seriesGroup.each(function(item) {
+                    tui.util.forEachArray(valueTypes, function(type) {
+                        values.push(item[type]);
+                    });
+                });
+            });
+
+            return tui.util.filter(values, function(value) {
+                return tui.util.isExisty(value) && !isNaN(value);
+            });
+        }
+    });
+
+module.exports = SeriesDataModelForCandlestick;
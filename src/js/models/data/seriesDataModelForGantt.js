@@ -0,0 +1,129 @@
+/**
+ * @fileoverview SeriesDataModelForGantt is gantt series model for drawing graph of chart series area,
+ *                  and create from rawSeriesData by user.
+ * SeriesDataModel.groups has SeriesGroups.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+/*
+ * Raw series datum.
+ * Each item of data is a datetime range like [start, end] or array of ranges of the task of same index.
+ * Each item of milestones is a date or array of dates of the task of same index.
+ * Each item of dependencies links two tasks by category names or indexes of them.
+ * @typedef {{
+ *      name: ?string,
+ *      data: Array.<?Array>,
+ *      milestones: ?Array.<?(string|number|Date|Array)>,
+ *      dependencies: ?Array.<{from: (string|number), to: (string|number)}>
+ * }} rawSeriesDatum
+ */
+
+var SeriesItemForGantt = require('./seriesItemForGantt');
+var SeriesDataModel = require('./seriesDataModel');
+
+var SeriesDataModelForGantt = tui.util.defineClass(
+    SeriesDataModel, /** @lends SeriesDataModelForGantt.prototype */ {
+        /**
+         * SeriesDataModelForGantt is series model for gantt chart.
+         * SeriesDataModel.groups has SeriesGroups.
+         * @constructs SeriesDataModelForGantt
+         * @private
+         * @extends SeriesDataModel
+         */
+        init: function() {
+            SeriesDataModel.apply(this, arguments);
+        },
+
+        /**
+         * Datum of gantt chart is datetime ranges of a task, so it is kept as it is.
+         * @private
+         * @override
+         */
+        _removeRangeValue: function() {},
+
+        /**
+         * Create base groups.
+         * Base groups is two-dimensional array by seriesItems.
+         * @returns {Array.<Array.<SeriesItemForGantt>>}
+         * @private
+         * @override
+         */
+        _createBaseGroups: function() {
+            var chartType = this.chartType;
+            var formatFunctions = this.formatFunctions;
+            var dateFormat = this.options.xAxis.dateFormat;
+
+            return tui.util.map(this.rawSeriesData, function(rawDatum) {
+                var data = tui.util.isArray(rawDatum) ? rawDatum : (rawDatum.data || []);
+                var milestones = rawDatum.milestones || [];
+
+                return tui.util.map(data, function(datum, index) {
+                    return new SeriesItemForGantt({
+                        datum: datum,
+                        milestones: milestones[index],
+                        dateFormat: dateFormat,
+                        chartType: chartType,
+                        formatFunctions: formatFunctions,
+                        index: index
+                    });
+                });
+            });
+        },
+
+        /**
+         * Create values that picked value from SeriesItems of SeriesGroups.
+         * Starts of tasks and milestones are included, so that axis covers all of them.
+         * @param {?string} valueType - type of value
+         * @returns {Array.<number>}
+         * @private
+         * @override
+         */
+        _createValues: function(valueType) {
+            var values = SeriesDataModel.prototype._createValues.call(this, valueType);
+
+            this.each(function(seriesGroup) {
+                seriesGroup.each(function(seriesItem) {
+                    values = values.concat(tui.util.pluck(seriesItem.ranges, 'start'), seriesItem.milestones);
+                });
+            });
+
+            return values;
+        },
+
+        /**
+         * Get dependencies between tasks of each series.
+         * Tasks are found by category names or indexes of them, and dependencies of unknown tasks are ignored.
+         * @param {Array.<string>} categories - categories, which are names of tasks
+         * @returns {Array.<{index: number, fromIndex: number, toIndex: number}>}
+         */
+        getDependencies: function(categories) {
+            var findTaskIndex = function(task) {
+                var taskIndex = tui.util.isNumber(task) ? task : tui.util.inArray(String(task), categories);
+
+                return (taskIndex >= 0 && taskIndex < categories.length) ? taskIndex : -1;
+            };
+            var dependencies = [];
+
+            tui.util.forEachArray(this.rawSeriesData, function(rawDatum, index) {
+                tui.util.forEachArray(rawDatum.dependencies || [], function(dependency) {
+                    var fromIndex = findTaskIndex(dependency.from);
+                    var toIndex = findTaskIndex(dependency.to);
+
+                    if (fromIndex > -1 && toIndex > -1 && fromIndex !== toIndex) {
+                        dependencies.push({
+                            index: index,
+                            fromIndex: fromIndex,
+                            toIndex: toIndex
+                        });
+                    }
+                });
+            });
+
+            return dependencies;
+        }
+    });
+
+module.exports = SeriesDataModelForGantt;
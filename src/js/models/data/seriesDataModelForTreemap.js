@@ -11,6 +11,7 @@ var SeriesDataModel = require('./seriesDataModel');
 var SeriesItem = require('./seriesItemForTreemap');
 var chartConst = require('../../const');
 var calculator = require('../../helpers/calculator');
+var objectUtil = require('../../helpers/objectUtil');
 
 var aps = Array.prototype.slice;
 
@@ -78,7 +79,7 @@ var SeriesDataModelForTreeMap = tui.util.defineClass(SeriesDataModel, /** @lends
             }
 
             if (children) {
-                flatData = flatData.concat(self._flattenHierarchicalData(children, id, indexes));
+                flatData = flatData.concat(self._flattenHierarchicalData(children, datum.id, indexes));
                 delete datum.children;
             }
         });
@@ -182,7 +183,8 @@ var SeriesDataModelForTreeMap = tui.util.defineClass(SeriesDataModel, /** @lends
         var chartType = this.chartType;
         var seriesItemMap = this.seriesItemMap;
         var formatFunctions = this.formatFunctions;
-        var flatSeriesData = this._flattenHierarchicalData(this.rawSeriesData);
+        // raw series data is copied, because flattening removes children of it
+        var flatSeriesData = this._flattenHierarchicalData(objectUtil.deepCopy(this.rawSeriesData));
         flatSeriesData = this._setTreeProperties(flatSeriesData, 1, chartConst.TREEMAP_ROOT_ID);
         this._setRatio(flatSeriesData, chartConst.TREEMAP_ROOT_ID);
 
@@ -280,6 +282,17 @@ var SeriesDataModelForTreeMap = tui.util.defineClass(SeriesDataModel, /** @lends
         });
     },
 
+    /**
+     * Find SeriesItem by id.
+     * @param {string} id - id
+     * @returns {SeriesItem|null}
+     */
+    findSeriesItemById: function(id) {
+        this._getBaseGroups();
+
+        return this.seriesItemMap[id] || null;
+    },
+
     /**
      * Find parent by depth.
      * @param {string} id - id
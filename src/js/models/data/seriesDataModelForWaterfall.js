@@ -0,0 +1,109 @@
+/**
+ * @fileoverview SeriesDataModelForWaterfall is waterfall series model for drawing graph of chart series area,
+ *                  and create from rawSeriesData by user.
+ * SeriesDataModel.groups has SeriesGroups.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+/*
+ * Raw series datum.
+ * Each datum of data is delta or marker like 'subtotal' and 'total'.
+ * @typedef {{name: ?string, data: Array.<(number|string)>}} rawSeriesDatum
+ */
+
+var SeriesItemForWaterfall = require('./seriesItemForWaterfall');
+var SeriesDataModel = require('./seriesDataModel');
+var calculator = require('../../helpers/calculator');
+
+var SUBTOTAL_MARKER = 'subtotal';
+var TOTAL_MARKER = 'total';
+
+var SeriesDataModelForWaterfall = tui.util.defineClass(
+    SeriesDataModel, /** @lends SeriesDataModelForWaterfall.prototype */ {
+        /**
+         * SeriesDataModelForWaterfall is series model for waterfall chart.
+         * SeriesDataModel.groups has SeriesGroups.
+         * @constructs SeriesDataModelForWaterfall
+         * @private
+         * @extends SeriesDataModel
+         */
+        init: function() {
+            SeriesDataModel.apply(this, arguments);
+        },
+
+        /**
+         * Datum of waterfall chart is delta, so it is kept as it is.
+         * @private
+         * @override
+         */
+        _removeRangeValue: function() {},
+
+        /**
+         * Make parameters of waterfall items from deltas and markers.
+         * Subtotal covers deltas from previous subtotal and total covers all deltas from zero.
+         * @param {Array.<(number|string)>} data - deltas and markers
+         * @returns {Array.<{datum: Array.<number>, waterfallType: string, delta: number, cumulative: number}>}
+         * @private
+         */
+        _makeWaterfallItemParams: function(data) {
+            var cumulative = 0;
+            var subtotalStart = 0;
+
+            return tui.util.map(data, function(datum) {
+                var start = cumulative;
+                var waterfallType, delta;
+
+                if (datum === TOTAL_MARKER) {
+                    waterfallType = TOTAL_MARKER;
+                    start = 0;
+                    delta = cumulative;
+                } else if (datum === SUBTOTAL_MARKER) {
+                    waterfallType = SUBTOTAL_MARKER;
+                    start = subtotalStart;
+                    delta = calculator.subtract(cumulative, subtotalStart);
+                    subtotalStart = cumulative;
+                } else {
+                    delta = parseFloat(datum) || 0;
+                    waterfallType = delta < 0 ? 'decrease' : 'increase';
+                    cumulative = calculator.add(cumulative, delta);
+                }
+
+                return {
+                    datum: [start, cumulative],
+                    waterfallType: waterfallType,
+                    delta: delta,
+                    cumulative: cumulative
+                };
+            });
+        },
+
+        /**
+         * Create base groups.
+         * Base groups is two-dimensional array by seriesItems.
+         * @returns {Array.<Array.<SeriesItemForWaterfall>>}
+         * @private
+         * @override
+         */
+        _createBaseGroups: function() {
+            var self = this;
+            var chartType = this.chartType;
+            var formatFunctions = this.formatFunctions;
+
+            return tui.util.map(this.rawSeriesData, function(rawDatum) {
+                var data = tui.util.isArray(rawDatum) ? rawDatum : [].concat(rawDatum.data);
+
+                return tui.util.map(self._makeWaterfallItemParams(data), function(params, index) {
+                    return new SeriesItemForWaterfall(tui.util.extend({
+                        chartType: chartType,
+                        formatFunctions: formatFunctions,
+                        index: index
+                    }, params));
+                });
+            });
+        }
+    });
+
+module.exports = SeriesDataModelForWaterfall;
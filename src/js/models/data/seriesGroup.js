@@ -200,6 +200,36 @@ var SeriesGroup = tui.util.defineClass(/** @lends SeriesGroup.prototype */{
         });
     },
 
+    /**
+     * Add ratios to values of first and previous stages.
+     * Series items of group are stages of funnel type chart.
+     */
+    addStageRatios: function() {
+        var firstValue = this.items[0] ? this.items[0].value : null;
+        var previousValue = firstValue;
+
+        this.each(function(item) {
+            if (!item) {
+                return;
+            }
+            item.addStageRatios(firstValue, previousValue);
+            previousValue = item.value;
+        });
+    },
+
+    /**
+     * Add ratios of logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     */
+    addLogarithmicRatios: function(limit) {
+        this.each(function(item) {
+            if (!item) {
+                return;
+            }
+            item.addLogarithmicRatio(limit);
+        });
+    },
+
     /**
      * Whether has range data or not.
      * @returns {boolean}
@@ -216,6 +246,22 @@ var SeriesGroup = tui.util.defineClass(/** @lends SeriesGroup.prototype */{
         return hasRangeData;
     },
 
+    /**
+     * Whether has item of null value or not.
+     * @returns {boolean}
+     */
+    hasNullValue: function() {
+        var hasNullValue = false;
+
+        this.each(function(seriesItem) {
+            hasNullValue = !!seriesItem && tui.util.isNull(seriesItem.value);
+
+            return !hasNullValue;
+        });
+
+        return hasNullValue;
+    },
+
     /**
      * Traverse items, and executes iteratee function.
      * @param {function} iteratee - iteratee function
@@ -116,6 +116,18 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
          */
         this.ratioDistance = null;
 
+        /**
+         * ratio of value to value of first stage, it is used by funnel type chart
+         * @type {?number}
+         */
+        this.firstStageRatio = null;
+
+        /**
+         * ratio of value to value of previous stage, it is used by funnel type chart
+         * @type {?number}
+         */
+        this.previousStageRatio = null;
+
         this._initValues(params.datum, params.index);
     },
 
@@ -216,6 +228,30 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
         }
     },
 
+    /**
+     * Add ratio of logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     */
+    addLogarithmicRatio: function(limit) {
+        this.ratio = this.endRatio = calculator.calculateLogarithmicRatio(this.value, limit);
+
+        if (tui.util.isExisty(this.start)) {
+            this.startRatio = calculator.calculateLogarithmicRatio(this.start, limit);
+            this.ratioDistance = Math.abs(this.endRatio - this.startRatio);
+        }
+    },
+
+    /**
+     * Add ratios to values of first and previous stages.
+     * Ratio is null, when value of stage is zero.
+     * @param {number} firstValue - value of first stage
+     * @param {number} previousValue - value of previous stage
+     */
+    addStageRatios: function(firstValue, previousValue) {
+        this.firstStageRatio = firstValue ? this.value / firstValue : null;
+        this.previousStageRatio = previousValue ? this.value / previousValue : null;
+    },
+
     /**
      * Get formatted value for tooltip.
      * @param {string} valueType - value type
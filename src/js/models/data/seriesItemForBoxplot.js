@@ -10,6 +10,9 @@
 var renderUtil = require('../../helpers/renderUtil');
 var calculator = require('../../helpers/calculator');
 
+// half height of notch is this ratio of IQR divided by square root of sample count (McGill et al., 1978)
+var NOTCH_IQR_RATIO = 1.57;
+
 var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
     /**
      * SeriesItem is a element of SeriesGroup.items.
@@ -22,6 +25,7 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
      *      @param {?Array.<function>} params.formatFunctions - format functions
      *      @param {number} params.index - raw data index
      *      @param {?string} params.stack - stack
+     *      @param {?{count: number, mean: ?number}} params.statistics - statistics of samples
      */
     init: function(params) {
         /**
@@ -144,6 +148,36 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
          */
         this.uqRatio = null;
 
+        /**
+         * count of samples, it exists only when item is made from samples
+         * @type {?number}
+         */
+        this.count = null;
+
+        /**
+         * mean of samples
+         * @type {?number}
+         */
+        this.mean = null;
+
+        /**
+         * mean label
+         * @type {?string}
+         */
+        this.meanLabel = null;
+
+        /**
+         * ratio of mean value
+         * @type {?number}
+         */
+        this.meanRatio = null;
+
+        /**
+         * lower and upper value of notch, which is confidence interval of median
+         * @type {?{lower: number, upper: number}}
+         */
+        this.notch = null;
+
         /**
          * distance of start ratio and end ratio
          * @type {null}
@@ -151,6 +185,35 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
         this.ratioDistance = null;
 
         this._initValues(params.datum, params.index);
+        this._initStatistics(params.statistics);
+    },
+
+    /**
+     * Initialize statistics of samples like count, mean and notch.
+     * @param {?{count: number, mean: ?number}} statistics - statistics of samples
+     * @private
+     */
+    _initStatistics: function(statistics) {
+        var notchDistance;
+
+        if (!statistics) {
+            return;
+        }
+
+        this.count = statistics.count;
+
+        if (!this.count) {
+            return;
+        }
+
+        this.mean = statistics.mean;
+        this.meanLabel = renderUtil.formatValue(this.mean, this.formatFunctions, this.chartType, 'makingSeriesLabel');
+
+        notchDistance = NOTCH_IQR_RATIO * (this.uq - this.lq) / Math.sqrt(this.count);
+        this.notch = {
+            lower: this.median - notchDistance,
+            upper: this.median + notchDistance
+        };
     },
 
     /**
@@ -258,6 +321,15 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
             outlier.ratio = calculateRatio(outlier.value, divNumber, subNumber, baseRatio);
         });
 
+        if (tui.util.isExisty(this.mean)) {
+            this.meanRatio = calculateRatio(this.mean, divNumber, subNumber, baseRatio);
+        }
+
+        if (this.notch) {
+            this.notch.lowerRatio = calculateRatio(this.notch.lower, divNumber, subNumber, baseRatio);
+            this.notch.upperRatio = calculateRatio(this.notch.upper, divNumber, subNumber, baseRatio);
+        }
+
         this.ratioDistance = Math.abs(this.uqRatio - this.lqRatio);
     },
 
@@ -273,12 +345,14 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
 
     /**
      * Pick value map for tooltip.
-     * @returns {{value: number, min: ?number, max: ?number}}
+     * @returns {{value: number, min: ?number, max: ?number, count: (number|string), mean: string}}
      */
     pickValueMapForTooltip: function() {
         var valueMap = {
             value: this._getFormattedValueForTooltip('value'),
-            ratio: this.ratio
+            ratio: this.ratio,
+            count: '',
+            mean: ''
         };
 
         if (tui.util.isExisty(this.min)) {
@@ -294,6 +368,11 @@ var SeriesItem = tui.util.defineClass(/** @lends SeriesItem.prototype */{
             valueMap.outliers = this.outliers;
         }
 
+        if (tui.util.isExisty(this.count)) {
+            valueMap.count = this.count;
+            valueMap.mean = tui.util.isExisty(this.mean) ? this._getFormattedValueForTooltip('mean') : '';
+        }
+
         return valueMap;
     }
 });
@@ -0,0 +1,168 @@
+/**
+ * @fileoverview SeriesItemForBullet is a element of SeriesGroup.items for bullet chart.
+ * SeriesItemForBullet has actual value, target markers and thresholds of qualitative ranges.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItem = require('./seriesItem');
+var renderUtil = require('../../helpers/renderUtil');
+var calculator = require('../../helpers/calculator');
+
+var SeriesItemForBullet = tui.util.defineClass(SeriesItem, /** @lends SeriesItemForBullet.prototype */{
+    /**
+     * SeriesItemForBullet is a element of SeriesGroup.items for bullet chart.
+     * @constructs SeriesItemForBullet
+     * @private
+     * @extends SeriesItem
+     * @param {object} params - parameters
+     *      @param {number} params.datum - actual value
+     *      @param {?(number|Array.<number>)} params.markers - target values
+     *      @param {?Array.<number>} params.ranges - upper thresholds of qualitative ranges
+     *      @param {string} params.chartType - type of chart
+     *      @param {?Array.<function>} params.formatFunctions - format functions
+     *      @param {number} params.index - raw data index
+     */
+    init: function(params) {
+        /**
+         * target values
+         * @type {Array.<number>}
+         */
+        this.markers = this._makeNumbers(params.markers);
+
+        /**
+         * upper thresholds of qualitative ranges in ascending order
+         * @type {Array.<number>}
+         */
+        this.ranges = this._makeNumbers(params.ranges).sort(function(a, b) {
+            return a - b;
+        });
+
+        /**
+         * ratios of target values
+         * @type {Array.<number>}
+         */
+        this.markerRatios = [];
+
+        /**
+         * ratios of range thresholds
+         * @type {Array.<number>}
+         */
+        this.rangeRatios = [];
+
+        SeriesItem.call(this, params);
+    },
+
+    /**
+     * Make numbers from raw values, values which are not number are removed.
+     * @param {?(number|Array.<number>)} rawValues - raw values
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeNumbers: function(rawValues) {
+        var values = tui.util.isExisty(rawValues) ? [].concat(rawValues) : [];
+
+        values = tui.util.map(values, function(value) {
+            return parseFloat(value);
+        });
+
+        return tui.util.filter(values, function(value) {
+            return !isNaN(value);
+        });
+    },
+
+    /**
+     * Add ratio.
+     * @param {number} divNumber - number for division
+     * @param {?number} subNumber - number for subtraction
+     * @param {?number} baseRatio - base ratio
+     * @override
+     */
+    addRatio: function(divNumber, subNumber, baseRatio) {
+        var calculateRatio = function(value) {
+            return calculator.calculateRatio(value, divNumber || 1, subNumber || 0, baseRatio || 1);
+        };
+
+        SeriesItem.prototype.addRatio.call(this, divNumber, subNumber, baseRatio);
+
+        this.markerRatios = tui.util.map(this.markers, calculateRatio);
+        this.rangeRatios = tui.util.map(this.ranges, calculateRatio);
+    },
+
+    /**
+     * Add ratio of logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     * @override
+     */
+    addLogarithmicRatio: function(limit) {
+        var calculateRatio = function(value) {
+            return calculator.calculateLogarithmicRatio(value, limit);
+        };
+
+        SeriesItem.prototype.addLogarithmicRatio.call(this, limit);
+
+        this.markerRatios = tui.util.map(this.markers, calculateRatio);
+        this.rangeRatios = tui.util.map(this.ranges, calculateRatio);
+    },
+
+    /**
+     * Format value for tooltip.
+     * @param {number} value - value
+     * @returns {string}
+     * @private
+     */
+    _formatForTooltip: function(value) {
+        return renderUtil.formatValue(value, this.formatFunctions, this.chartType, 'tooltip', 'value');
+    },
+
+    /**
+     * Make label of range, which contains actual value.
+     * First range starts from zero and the others start from threshold of previous range.
+     * @returns {string}
+     * @private
+     */
+    _makeRangeLabel: function() {
+        var ranges = this.ranges;
+        var value = this.value;
+        var rangeIndex = -1;
+        var from;
+
+        if (!ranges.length || tui.util.isNull(value)) {
+            return '';
+        }
+
+        tui.util.forEachArray(ranges, function(threshold, index) {
+            if (value <= threshold) {
+                rangeIndex = index;
+            }
+
+            return rangeIndex < 0;
+        });
+
+        if (rangeIndex < 0) {
+            return '> ' + this._formatForTooltip(ranges[ranges.length - 1]);
+        }
+
+        from = rangeIndex ? ranges[rangeIndex - 1] : 0;
+
+        return this._formatForTooltip(from) + ' ~ ' + this._formatForTooltip(ranges[rangeIndex]);
+    },
+
+    /**
+     * Pick value map for tooltip.
+     * @returns {{value: string, markerLabel: string, rangeLabel: string}}
+     * @override
+     */
+    pickValueMapForTooltip: function() {
+        var valueMap = SeriesItem.prototype.pickValueMapForTooltip.call(this);
+
+        valueMap.markerLabel = tui.util.map(this.markers, tui.util.bind(this._formatForTooltip, this)).join(', ');
+        valueMap.rangeLabel = this._makeRangeLabel();
+
+        return valueMap;
+    }
+});
+
+module.exports = SeriesItemForBullet;
@@ -0,0 +1,201 @@
+/**
+ * @fileoverview SeriesItemForCandlestick is a element of SeriesGroup.items for candlestick chart.
+ * SeriesItemForCandlestick has processed terminal data like open, high, low, close, volume and ratios of them.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var renderUtil = require('../../helpers/renderUtil');
+var calculator = require('../../helpers/calculator');
+
+var PRICE_TYPES = ['open', 'high', 'low', 'close'];
+
+var SeriesItemForCandlestick = tui.util.defineClass(/** @lends SeriesItemForCandlestick.prototype */{
+    /**
+     * SeriesItemForCandlestick is a element of SeriesGroup.items for candlestick chart.
+     * @constructs SeriesItemForCandlestick
+     * @private
+     * @param {object} params - parameters
+     *      @param {Array.<number>} params.datum - values like [open, high, low, close] or
+     *                                              [open, high, low, close, volume]
+     *      @param {string} params.chartType - type of chart
+     *      @param {?Array.<function>} params.formatFunctions - format functions
+     *      @param {number} params.index - raw data index
+     */
+    init: function(params) {
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = params.chartType;
+
+        /**
+         * format functions
+         * @type {Array.<function>}
+         */
+        this.formatFunctions = params.formatFunctions;
+
+        /**
+         * value of item, it is same as close value
+         * @type {number}
+         */
+        this.value = null;
+
+        /**
+         * label of item, it is same as close label
+         * @type {string}
+         */
+        this.label = null;
+
+        /**
+         * ratio of value, it is same as close ratio
+         * @type {number}
+         */
+        this.ratio = null;
+
+        /**
+         * open value
+         * @type {number}
+         */
+        this.open = null;
+
+        /**
+         * high value
+         * @type {number}
+         */
+        this.high = null;
+
+        /**
+         * low value
+         * @type {number}
+         */
+        this.low = null;
+
+        /**
+         * close value
+         * @type {number}
+         */
+        this.close = null;
+
+        /**
+         * volume, it is null when volume is not in raw datum
+         * @type {?number}
+         */
+        this.volume = null;
+
+        /**
+         * whether close value is greater than or equal to open value or not
+         * @type {boolean}
+         */
+        this.isRising = false;
+
+        this._initValues(params.datum, params.index);
+    },
+
+    /**
+     * Initialize values of item.
+     * @param {Array.<number>} rawValues - raw values like [open, high, low, close, volume]
+     * @param {number} index - raw data index
+     * @private
+     */
+    _initValues: function(rawValues, index) {
+        var self = this;
+        var values = tui.util.map([].concat(rawValues), function(value) {
+            return tui.util.isExisty(value) ? parseFloat(value) : null;
+        });
+
+        tui.util.forEachArray(PRICE_TYPES, function(valueType, valueIndex) {
+            self[valueType] = values[valueIndex];
+            self[valueType + 'Label'] = self._formatValue(values[valueIndex], 'makingSeriesLabel');
+        });
+
+        if (tui.util.isExisty(values[4])) {
+            this.volume = values[4];
+            this.volumeLabel = this._formatValue(this.volume, 'makingSeriesLabel');
+        }
+
+        this.index = index;
+        this.value = this.close;
+        this.label = this.closeLabel;
+        this.isRising = this.close >= this.open;
+    },
+
+    /**
+     * Format value.
+     * @param {number} value - value
+     * @param {string} areaType - type of area like makingSeriesLabel, tooltip
+     * @param {string} [valueType] - type of value
+     * @returns {string}
+     * @private
+     */
+    _formatValue: function(value, areaType, valueType) {
+        return renderUtil.formatValue(value, this.formatFunctions, this.chartType, areaType, valueType);
+    },
+
+    /**
+     * Add start value.
+     * Candle is drawn between values of item, so start value of axis is not used.
+     */
+    addStart: function() {},
+
+    /**
+     * Add ratios of open, high, low and close.
+     * @param {number} divNumber - number for division
+     * @param {?number} subNumber - number for subtraction
+     * @param {?number} baseRatio - base ratio
+     */
+    addRatio: function(divNumber, subNumber, baseRatio) {
+        var self = this;
+
+        divNumber = divNumber || 1;
+        baseRatio = baseRatio || 1;
+        subNumber = subNumber || 0;
+
+        tui.util.forEachArray(PRICE_TYPES, function(valueType) {
+            self[valueType + 'Ratio'] = calculator.calculateRatio(self[valueType], divNumber, subNumber, baseRatio);
+        });
+
+        this.ratio = this.closeRatio;
+    },
+
+    /**
+     * Add ratios of open, high, low and close for logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     */
+    addLogarithmicRatio: function(limit) {
+        var self = this;
+
+        tui.util.forEachArray(PRICE_TYPES, function(valueType) {
+            self[valueType + 'Ratio'] = calculator.calculateLogarithmicRatio(self[valueType], limit);
+        });
+
+        this.ratio = this.closeRatio;
+    },
+
+    /**
+     * Pick value map for tooltip.
+     * @returns {{value: string, open: string, high: string, low: string, close: string, volume: ?string}}
+     */
+    pickValueMapForTooltip: function() {
+        var self = this;
+        var valueMap = {
+            value: this._formatValue(this.value, 'tooltip', 'value'),
+            ratio: this.ratio,
+            volume: ''
+        };
+
+        tui.util.forEachArray(PRICE_TYPES, function(valueType) {
+            valueMap[valueType] = self._formatValue(self[valueType], 'tooltip', valueType);
+        });
+
+        if (tui.util.isExisty(this.volume)) {
+            valueMap.volume = this._formatValue(this.volume, 'tooltip', 'volume');
+        }
+
+        return valueMap;
+    }
+});
+
+module.exports = SeriesItemForCandlestick;
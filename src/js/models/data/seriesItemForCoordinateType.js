@@ -7,6 +7,7 @@
 
 'use strict';
 
+var calculator = require('../../helpers/calculator');
 var predicate = require('../../helpers/predicate');
 var renderUtil = require('../../helpers/renderUtil');
 
@@ -120,6 +121,17 @@ var SeriesItemForCoordinateType = tui.util.defineClass(/** @lends SeriesItemForC
         }
     },
 
+    /**
+     * Add ratio of logarithmic scale.
+     * @param {string} valueType - type of value like x, y
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     */
+    addLogarithmicRatio: function(valueType, limit) {
+        if (!tui.util.isExisty(this.ratioMap[valueType])) {
+            this.ratioMap[valueType] = calculator.calculateLogarithmicRatio(this[valueType], limit);
+        }
+    },
+
     /**
      * Get formatted value for tooltip.
      * @param {string} valueType - value type
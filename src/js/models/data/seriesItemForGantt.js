@@ -0,0 +1,224 @@
+/**
+ * @fileoverview SeriesItemForGantt is a element of SeriesGroup.items for gantt chart.
+ * SeriesItemForGantt has datetime ranges and milestones of a task.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItem = require('./seriesItem');
+var renderUtil = require('../../helpers/renderUtil');
+var calculator = require('../../helpers/calculator');
+
+var SeriesItemForGantt = tui.util.defineClass(SeriesItem, /** @lends SeriesItemForGantt.prototype */{
+    /**
+     * SeriesItemForGantt is a element of SeriesGroup.items for gantt chart.
+     * Start of item is start of first range and end of item is end of last range.
+     * @constructs SeriesItemForGantt
+     * @private
+     * @extends SeriesItem
+     * @param {object} params - parameters
+     *      @param {?Array} params.datum - a range of [start, end] or array of ranges
+     *      @param {?(string|number|Date|Array)} params.milestones - dates of milestones
+     *      @param {?string} params.dateFormat - date format
+     *      @param {string} params.chartType - type of chart
+     *      @param {?Array.<function>} params.formatFunctions - format functions
+     *      @param {number} params.index - raw data index
+     */
+    init: function(params) {
+        /**
+         * date format
+         * @type {?string}
+         */
+        this.dateFormat = params.dateFormat;
+
+        /**
+         * datetime ranges, which are sorted by start
+         * @type {Array.<{start: number, end: number}>}
+         */
+        this.ranges = this._makeRanges(params.datum);
+
+        /**
+         * times of milestones in ascending order
+         * @type {Array.<number>}
+         */
+        this.milestones = this._makeTimes(params.milestones).sort(function(a, b) {
+            return a - b;
+        });
+
+        /**
+         * ratios of ranges
+         * @type {Array.<{start: number, end: number}>}
+         */
+        this.rangeRatios = [];
+
+        /**
+         * ratios of milestones
+         * @type {Array.<number>}
+         */
+        this.milestoneRatios = [];
+
+        SeriesItem.call(this, params);
+    },
+
+    /**
+     * Convert value of date to time.
+     * @param {?(string|number|Date)} value - value of date
+     * @returns {?number}
+     * @private
+     */
+    _toTime: function(value) {
+        var time = null;
+
+        if (tui.util.isNumber(value)) {
+            time = value;
+        } else if (tui.util.isDate(value)) {
+            time = value.getTime();
+        } else if (tui.util.isExisty(value)) {
+            time = (new Date(value)).getTime();
+        }
+
+        return isNaN(time) ? null : time;
+    },
+
+    /**
+     * Make times from raw values, values which are not date are removed.
+     * @param {?(string|number|Date|Array)} rawValues - raw values
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeTimes: function(rawValues) {
+        var times = tui.util.map(tui.util.isExisty(rawValues) ? [].concat(rawValues) : [],
+            tui.util.bind(this._toTime, this));
+
+        return tui.util.filter(times, tui.util.isExisty);
+    },
+
+    /**
+     * Make ranges from raw datum.
+     * Raw datum is a range like [start, end] or array of ranges like [[start, end], [start, end]].
+     * @param {?Array} rawDatum - raw datum
+     * @returns {Array.<{start: number, end: number}>}
+     * @private
+     */
+    _makeRanges: function(rawDatum) {
+        var self = this;
+        var rawRanges = [];
+        var ranges;
+
+        if (tui.util.isArray(rawDatum)) {
+            rawRanges = tui.util.isArray(rawDatum[0]) ? rawDatum : [rawDatum];
+        }
+
+        ranges = tui.util.map(rawRanges, function(rawRange) {
+            var times = self._makeTimes(rawRange);
+
+            return (times.length === 2) ? {
+                start: Math.min(times[0], times[1]),
+                end: Math.max(times[0], times[1])
+            } : null;
+        });
+
+        return tui.util.filter(ranges, tui.util.isExisty).sort(function(a, b) {
+            return a.start - b.start;
+        });
+    },
+
+    /**
+     * Initialize values of item by ranges.
+     * @param {?Array} rawValue - raw value
+     * @param {number} index - raw data index
+     * @private
+     * @override
+     */
+    _initValues: function(rawValue, index) {
+        var ranges = this.ranges;
+        var starts, ends;
+
+        this.index = index;
+
+        if (!ranges.length) {
+            this.label = this.endLabel = '';
+
+            return;
+        }
+
+        starts = tui.util.pluck(ranges, 'start');
+        ends = tui.util.pluck(ranges, 'end');
+
+        this.value = this.end = Math.max.apply(null, ends);
+        this.start = Math.min.apply(null, starts);
+        this.startLabel = this._formatDate(this.start);
+        this.endLabel = this._formatDate(this.end);
+        this.isRange = true;
+        this._updateFormattedValueforRange();
+    },
+
+    /**
+     * Format date by date format.
+     * @param {number} time - time
+     * @returns {string}
+     * @private
+     */
+    _formatDate: function(time) {
+        return renderUtil.formatDate(time, this.dateFormat);
+    },
+
+    /**
+     * Add start.
+     * Start of gantt item is always start of its first range, so start of limit is ignored.
+     * @override
+     */
+    addStart: function() {},
+
+    /**
+     * Add ratio.
+     * @param {number} divNumber - number for division
+     * @param {?number} subNumber - number for subtraction
+     * @param {?number} baseRatio - base ratio
+     * @override
+     */
+    addRatio: function(divNumber, subNumber, baseRatio) {
+        var calculateRatio = function(value) {
+            return calculator.calculateRatio(value, divNumber || 1, subNumber || 0, baseRatio || 1);
+        };
+
+        SeriesItem.prototype.addRatio.call(this, divNumber, subNumber, baseRatio);
+
+        this.rangeRatios = tui.util.map(this.ranges, function(range) {
+            return {
+                start: calculateRatio(range.start),
+                end: calculateRatio(range.end)
+            };
+        });
+        this.milestoneRatios = tui.util.map(this.milestones, calculateRatio);
+    },
+
+    /**
+     * Pick value map for tooltip.
+     * @returns {{value: string, start: ?string, end: ?string, periodLabel: string, milestoneLabel: string}}
+     * @override
+     */
+    pickValueMapForTooltip: function() {
+        var self = this;
+        var valueMap = {
+            value: this.label,
+            ratio: this.ratio
+        };
+
+        if (this.ranges.length) {
+            valueMap.start = this.startLabel;
+            valueMap.end = this.endLabel;
+        }
+
+        valueMap.periodLabel = tui.util.map(this.ranges, function(range) {
+            return self._formatDate(range.start) + ' ~ ' + self._formatDate(range.end);
+        }).join(', ');
+        valueMap.milestoneLabel = tui.util.map(this.milestones, tui.util.bind(this._formatDate, this)).join(', ');
+
+        return valueMap;
+    }
+});
+
+module.exports = SeriesItemForGantt;
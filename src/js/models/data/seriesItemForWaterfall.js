@@ -0,0 +1,107 @@
+/**
+ * @fileoverview SeriesItemForWaterfall is a element of SeriesGroup.items for waterfall chart.
+ * SeriesItemForWaterfall is range item between cumulative values before and after delta.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItem = require('./seriesItem');
+var renderUtil = require('../../helpers/renderUtil');
+var calculator = require('../../helpers/calculator');
+
+var SeriesItemForWaterfall = tui.util.defineClass(SeriesItem, /** @lends SeriesItemForWaterfall.prototype */{
+    /**
+     * SeriesItemForWaterfall is a element of SeriesGroup.items for waterfall chart.
+     * @constructs SeriesItemForWaterfall
+     * @private
+     * @extends SeriesItem
+     * @param {object} params - parameters
+     *      @param {Array.<number>} params.datum - range like [start, end]
+     *      @param {string} params.waterfallType - type of item like increase, decrease, subtotal, total
+     *      @param {number} params.delta - delta, it is sum of deltas for subtotal and total
+     *      @param {number} params.cumulative - cumulative value after this item
+     *      @param {string} params.chartType - type of chart
+     *      @param {?Array.<function>} params.formatFunctions - format functions
+     *      @param {number} params.index - raw data index
+     */
+    init: function(params) {
+        /**
+         * type of item like increase, decrease, subtotal, total
+         * @type {string}
+         */
+        this.waterfallType = params.waterfallType;
+
+        /**
+         * delta
+         * @type {number}
+         */
+        this.delta = params.delta;
+
+        /**
+         * cumulative value after this item
+         * @type {number}
+         */
+        this.cumulative = params.cumulative;
+
+        /**
+         * ratio of cumulative value
+         * @type {?number}
+         */
+        this.cumulativeRatio = null;
+
+        SeriesItem.call(this, params);
+    },
+
+    /**
+     * Update formatted value for range.
+     * Label of waterfall item is delta instead of range.
+     * @private
+     * @override
+     */
+    _updateFormattedValueforRange: function() {
+        this.label = renderUtil.formatValue(this.delta, this.formatFunctions, this.chartType, 'makingSeriesLabel');
+    },
+
+    /**
+     * Add ratio.
+     * @param {number} divNumber - number for division
+     * @param {?number} subNumber - number for subtraction
+     * @param {?number} baseRatio - base ratio
+     * @override
+     */
+    addRatio: function(divNumber, subNumber, baseRatio) {
+        SeriesItem.prototype.addRatio.call(this, divNumber, subNumber, baseRatio);
+
+        this.cumulativeRatio = calculator.calculateRatio(this.cumulative, divNumber || 1, subNumber || 0,
+            baseRatio || 1);
+    },
+
+    /**
+     * Add ratio of logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - axis limit
+     * @override
+     */
+    addLogarithmicRatio: function(limit) {
+        SeriesItem.prototype.addLogarithmicRatio.call(this, limit);
+
+        this.cumulativeRatio = calculator.calculateLogarithmicRatio(this.cumulative, limit);
+    },
+
+    /**
+     * Pick value map for tooltip.
+     * @returns {{value: string, delta: string, cumulative: string, start: string, end: string}}
+     * @override
+     */
+    pickValueMapForTooltip: function() {
+        var valueMap = SeriesItem.prototype.pickValueMapForTooltip.call(this);
+
+        valueMap.delta = this._getFormattedValueForTooltip('delta');
+        valueMap.cumulative = this._getFormattedValueForTooltip('cumulative');
+
+        return valueMap;
+    }
+});
+
+module.exports = SeriesItemForWaterfall;
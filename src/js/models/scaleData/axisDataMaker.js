@@ -11,6 +11,7 @@ var predicate = require('../../helpers/predicate');
 var geomatric = require('../../helpers/geometric');
 var renderUtil = require('../../helpers/renderUtil');
 var arrayUtil = require('../../helpers/arrayUtil');
+var calculator = require('../../helpers/calculator');
 
 /**
  * Axis data maker.
@@ -87,6 +88,53 @@ var axisDataMaker = {
         };
     },
 
+    /**
+     * Make values of minor ticks for logarithmic axis.
+     * If step is 1, minor ticks are multiples of each power like 20, 30, ... 90 between 10 and 100.
+     * Otherwise, minor ticks are powers which are skipped by step.
+     * @param {{min: number, max: number, logBase: number}} limit - limit of logarithmic scale
+     * @param {number} step - count of powers between major ticks
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeLogarithmicMinorTickValues: function(limit, step) {
+        var base = limit.logBase;
+        var minPower = calculator.log(limit.min, base);
+        var maxPower = calculator.log(limit.max, base);
+        var values = [];
+
+        tui.util.forEachArray(tui.util.range(minPower, maxPower), function(power) {
+            var powerValue = Math.pow(base, power);
+            var multiplier;
+
+            if (step > 1) {
+                if ((power - minPower) % step) {
+                    values.push(powerValue);
+                }
+            } else {
+                for (multiplier = 2; multiplier < base; multiplier += 1) {
+                    values.push(multiplier * powerValue);
+                }
+            }
+        });
+
+        return values;
+    },
+
+    /**
+     * Make ratios of minor ticks for logarithmic axis.
+     * Ratio is distance from minimum of limit to tick in logarithmic scale.
+     * @param {{min: number, max: number, logBase: number}} limit - limit of logarithmic scale
+     * @param {number} step - count of powers between major ticks
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeLogarithmicMinorTickRatios: function(limit, step) {
+        return tui.util.map(this._makeLogarithmicMinorTickValues(limit, step), function(value) {
+            return calculator.calculateLogarithmicRatio(value, limit);
+        });
+    },
+
     /**
      * Make data for value type axis.
      * @memberOf module:axisDataMaker
@@ -99,7 +147,8 @@ var axisDataMaker = {
      *      validTickCount: number,
      *      isLabelAxis: boolean,
      *      limit: {min: number, max: number},
-     *      isVertical: boolean
+     *      isVertical: boolean,
+     *      minorTickRatios: ?Array.<number>
      * }} axis data
      */
     makeValueAxisData: function(params) {
@@ -120,6 +169,10 @@ var axisDataMaker = {
             aligned: !!params.aligned
         };
 
+        if (limit.logBase) {
+            axisData.minorTickRatios = this._makeLogarithmicMinorTickRatios(limit, params.step);
+        }
+
         return axisData;
     },
 
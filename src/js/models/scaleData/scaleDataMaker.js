@@ -186,18 +186,43 @@ var scaleDataMaker = {
         return limit;
     },
 
+    /**
+     * Get limit of datetime values.
+     * Dates of limit option are used in place of minimum or maximum of values.
+     * @param {Array.<number>} baseValues - base values
+     * @param {?{min: ?(string|number|Date), max: ?(string|number|Date)}} limitOption - limit options
+     * @returns {{min: number, max: number}}
+     * @private
+     */
+    _getDatetimeLimit: function(baseValues, limitOption) {
+        var limit = this._getLimitSafely(baseValues);
+
+        limitOption = limitOption || {};
+
+        tui.util.forEachArray(['min', 'max'], function(key) {
+            var time = tui.util.isExisty(limitOption[key]) ? (new Date(limitOption[key])).getTime() : NaN;
+
+            if (!isNaN(time)) {
+                limit[key] = time;
+            }
+        });
+
+        return limit;
+    },
+
     /**
      * Calculate date time scale.
      * @param {Array.<number>} baseValues - base values for calculating scale data
      * @param {number} baseSize - base size(width or height) for calculating scale data
      * @param {boolean} isDiverging - is diverging or not
+     * @param {?{min: ?(string|number|Date), max: ?(string|number|Date)}} limitOption - limit options
      * @returns {{limit: {min: number, max: number}, step: number}}
      * @private
      */
-    _calculateDatetimeScale: function(baseValues, baseSize, isDiverging) {
+    _calculateDatetimeScale: function(baseValues, baseSize, isDiverging, limitOption) {
         var datetimeInfo, scale, limit;
 
-        datetimeInfo = this._makeDatetimeInfo(this._getLimitSafely(baseValues), baseValues.length);
+        datetimeInfo = this._makeDatetimeInfo(this._getDatetimeLimit(baseValues, limitOption), baseValues.length);
 
         limit = datetimeInfo.dataLimit;
 
@@ -281,6 +306,74 @@ var scaleDataMaker = {
         return scaleData;
     },
 
+    /**
+     * Get limit of positive values for logarithmic scale.
+     * Values which are not positive can not be displayed on logarithmic scale, so they are ignored.
+     * @param {Array.<number>} baseValues - base values
+     * @param {?{min: ?number, max: ?number}} limitOption - limit options
+     * @returns {{min: number, max: number}}
+     * @private
+     */
+    _getLogarithmicLimit: function(baseValues, limitOption) {
+        var positiveValues = tui.util.filter(baseValues, function(value) {
+            return value > 0;
+        });
+        var limit = {
+            min: positiveValues.length ? arrayUtil.min(positiveValues) : 1,
+            max: positiveValues.length ? arrayUtil.max(positiveValues) : 1
+        };
+
+        limitOption = limitOption || {};
+
+        if (limitOption.min > 0) {
+            limit.min = limitOption.min;
+        }
+
+        if (limitOption.max > 0) {
+            limit.max = limitOption.max;
+        }
+
+        return limit;
+    },
+
+    /**
+     * Calculate logarithmic scale.
+     * Limit is extended to powers of base, and step is count of powers between ticks.
+     * For example, limit of values from 3 to 2000 is 1 ~ 10000 and labels are 1, 10, 100, 1000 and 10000.
+     * @param {Array.<number>} baseValues - base values
+     * @param {number} baseSize - base size(width or height) for calculating scale data
+     * @param {object} options - scale options
+     * @param {?number} options.base - base of logarithm
+     * @param {{min: ?number, max: ?number}} options.limitOption - limit options
+     * @returns {{limit: {min: number, max: number, logBase: number}, step: number, stepCount: number}}
+     * @private
+     */
+    _calculateLogarithmicScale: function(baseValues, baseSize, options) {
+        var base = options.base > 1 ? options.base : chartConst.DEFAULT_LOGARITHMIC_BASE;
+        var limit = this._getLogarithmicLimit(baseValues, options.limitOption);
+        var minPower = Math.floor(calculator.log(limit.min, base));
+        var maxPower = Math.ceil(calculator.log(limit.max, base));
+        var maxStepCount = Math.max(Math.floor(baseSize / chartConst.MIN_PIXEL_TYPE_STEP_SIZE), 1);
+        var step, stepCount;
+
+        if (minPower === maxPower) {
+            maxPower += 1;
+        }
+
+        step = Math.ceil((maxPower - minPower) / maxStepCount);
+        stepCount = Math.ceil((maxPower - minPower) / step);
+
+        return {
+            limit: {
+                min: Math.pow(base, minPower),
+                max: Math.pow(base, minPower + (stepCount * step)),
+                logBase: base
+            },
+            step: step,
+            stepCount: stepCount
+        };
+    },
+
     /**
      * Make scale data.
      * @param {Array.<number>} baseValues - base values for calculating scale data
@@ -288,6 +381,7 @@ var scaleDataMaker = {
      * @param {string} chartType - chart type
      * @param {{
      *      type: string,
+     *      base: ?number,
      *      stackType: string,
      *      diverging: boolean,
      *      isVertical: boolean,
@@ -301,12 +395,14 @@ var scaleDataMaker = {
         var isDiverging = predicate.isDivergingChart(chartType, options.diverging);
         var overflowItem = options.overflowItem;
 
-        if (predicate.isPercentStackChart(chartType, options.stackType)) {
+        if (predicate.isLogarithmicType(options.type)) {
+            scaleData = this._calculateLogarithmicScale(baseValues, baseSize, options);
+        } else if (predicate.isPercentStackChart(chartType, options.stackType)) {
             scaleData = this._calculatePercentStackedScale(baseValues, isDiverging);
         } else if (predicate.isDatetimeType(options.type)) {
-            scaleData = this._calculateDatetimeScale(baseValues, baseSize, isDiverging);
+            scaleData = this._calculateDatetimeScale(baseValues, baseSize, isDiverging, options.limitOption);
         } else {
-            if (predicate.isRadialChart(chartType)) {
+            if (predicate.isRadialTypeChart(chartType)) {
                 options.stepCount = Math.floor(baseSize / 100);
             }
 
@@ -34,6 +34,12 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
         this.scaleDataMap = {};
         this.axisDataMap = {};
         this.addedDataCount = addedDataCount;
+
+        /**
+         * extra y axes, which have series bound to them
+         * @type {Array.<{name: string, isPositionRight: boolean}>}
+         */
+        this.extraYAxes = [];
     },
 
     /**
@@ -58,6 +64,31 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
         };
     },
 
+    /**
+     * Create base values for calculating limit.
+     * If seriesIndexes of additional options exist, only values of those series are used.
+     * @param {{chartType: string, valueType: string}} typeMap - type map
+     * @param {{stackType: string}} baseOptions - base options
+     * @param {{isSingleYAxis: ?boolean, seriesIndexes: ?Array.<number>}} additionalOptions - additional options
+     * @returns {Array.<number>}
+     * @private
+     */
+    _createBaseValues: function(typeMap, baseOptions, additionalOptions) {
+        var seriesIndexes = additionalOptions.seriesIndexes;
+        var baseValues;
+
+        if (seriesIndexes && seriesIndexes.length) {
+            baseValues = this.dataProcessor.getSeriesDataModel(typeMap.chartType)
+                .getValuesOfSeries(seriesIndexes, typeMap.valueType);
+        } else {
+            baseValues = this.dataProcessor.createBaseValuesForLimit(
+                typeMap.chartType, additionalOptions.isSingleYAxis, baseOptions.stackType, typeMap.valueType
+            );
+        }
+
+        return baseValues;
+    },
+
     /**
      * Create base scale data.
      * @param {{
@@ -78,9 +109,7 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
     _createBaseScaleData: function(typeMap, baseOptions, axisOptions, additionalOptions) {
         var chartType = typeMap.chartType;
         var isVertical = typeMap.areaType !== 'xAxis';
-        var baseValues = this.dataProcessor.createBaseValuesForLimit(
-            chartType, additionalOptions.isSingleYAxis, baseOptions.stackType, typeMap.valueType
-        );
+        var baseValues = this._createBaseValues(typeMap, baseOptions, additionalOptions);
         var baseSize = this.boundsModel.getBaseSizeForLimit(isVertical);
         var options = tui.util.extend(baseOptions, {
             isVertical: isVertical,
@@ -109,11 +138,12 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
      *      diverging: boolean
      * }} baseOptions - base options
      * @param {string} dateFormat - date format
+     * @param {?(string|function)} format - format option of axis
      * @returns {Array.<string>}
      * @private
      */
-    _createScaleLabels: function(baseScaleData, typeMap, baseOptions, dateFormat) {
-        var formatFunctions = this.dataProcessor.getFormatFunctions();
+    _createScaleLabels: function(baseScaleData, typeMap, baseOptions, dateFormat, format) {
+        var formatFunctions = this.dataProcessor.getFormatFunctions(format);
         var options = tui.util.extend(baseOptions, {
             dateFormat: dateFormat
         });
@@ -139,12 +169,15 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
         baseOptions = {
             stackType: additionalOptions.stackType || seriesOptions.stackType,
             diverging: seriesOptions.diverging,
-            type: axisOptions.type
+            type: axisOptions.type,
+            base: axisOptions.base
         };
         baseScaleData = this._createBaseScaleData(typeMap, baseOptions, axisOptions, additionalOptions);
 
         return tui.util.extend(baseScaleData, {
-            labels: this._createScaleLabels(baseScaleData, typeMap, baseOptions, axisOptions.dateFormat),
+            labels: this._createScaleLabels(
+                baseScaleData, typeMap, baseOptions, axisOptions.dateFormat, axisOptions.format
+            ),
             axisOptions: axisOptions
         });
     },
@@ -168,9 +201,9 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
      */
     _createValueAxisData: function(scaleData, labelTheme, aligned, isVertical, isPositionRight) {
         var hasCategories = this.dataProcessor.hasCategories();
-        var isCoordinateLineType = !isVertical && !hasCategories && aligned;
-        var labels = scaleData.labels;
         var limit = scaleData.limit;
+        var isCoordinateLineType = !isVertical && !hasCategories && aligned && !limit.logBase;
+        var labels = scaleData.labels;
         var step = scaleData.step;
         var tickCount = labels.length;
         var values, additional;
@@ -256,6 +289,7 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
      * @private
      */
     _createAxesData: function() {
+        var self = this;
         var scaleDataMap = this.scaleDataMap;
         var options = this.options;
         var theme = this.theme;
@@ -272,6 +306,16 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
             dataMap.rightYAxis.aligned = dataMap.xAxis.aligned;
         }
 
+        tui.util.forEachArray(this.extraYAxes, function(extraYAxis) {
+            var scaleData = scaleDataMap[extraYAxis.name];
+            var axisData = self._createAxisData(
+                scaleData, scaleData.axisOptions, theme.yAxis.label, true, extraYAxis.isPositionRight
+            );
+
+            axisData.aligned = dataMap.xAxis.aligned;
+            dataMap[extraYAxis.name] = axisData;
+        });
+
         return dataMap;
     },
 
@@ -291,6 +335,25 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
         this.scaleDataMap[axisName] = this._createScaleData(axisOptions, typeMap, additionalOptions);
     },
 
+    /**
+     * Add scale of extra y axis.
+     * @param {string} axisName - axis name like yAxis1
+     * @param {object} axisOptions - axis options
+     * @param {boolean} isPositionRight - whether right position or not
+     * @param {{seriesIndexes: Array.<number>}} additionalOptions - additional options
+     */
+    addExtraYAxisScale: function(axisName, axisOptions, isPositionRight, additionalOptions) {
+        this.addScale(axisName, axisOptions, {
+            valueType: 'value',
+            areaType: 'yAxis'
+        }, additionalOptions);
+
+        this.extraYAxes.push({
+            name: axisName,
+            isPositionRight: isPositionRight
+        });
+    },
+
     /**
      * Set axis data map.
      */
@@ -421,6 +484,10 @@ var ScaleDataModel = tui.util.defineClass(/** @lends ScaleDataModel.prototype */
             limitMap.legend = scaleDataMap.legend.limit;
         }
 
+        tui.util.forEachArray(this.extraYAxes, function(extraYAxis) {
+            limitMap[extraYAxis.name] = scaleDataMap[extraYAxis.name].limit;
+        });
+
         tui.util.forEachArray(seriesTypes, function(seriesType, index) {
             limitMap[seriesType] = self._findLimit(limitMap, index, isVertical);
         });
@@ -36,6 +36,22 @@ var scaleLabelFormatter = {
         return formatFunctions;
     },
 
+    /**
+     * Create scale values of logarithmic scale, which are powers of base.
+     * @param {{limit: {min: number, max: number, logBase: number}, step: number}} scale - scale data
+     * @returns {Array.<number>}
+     * @private
+     */
+    _createLogarithmicScaleValues: function(scale) {
+        var base = scale.limit.logBase;
+        var minPower = calculator.log(scale.limit.min, base);
+        var maxPower = calculator.log(scale.limit.max, base);
+
+        return tui.util.map(tui.util.range(minPower, maxPower + 1, scale.step), function(power) {
+            return Math.pow(base, power);
+        });
+    },
+
     /**
      * Create scale values.
      * @param {{limit: {min: number, max: number}, step: number}} scale - scale data
@@ -45,7 +61,13 @@ var scaleLabelFormatter = {
      * @private
      */
     _createScaleValues: function(scale, chartType, diverging) {
-        var values = calculator.makeLabelsFromLimit(scale.limit, scale.step);
+        var values;
+
+        if (scale.limit.logBase) {
+            return this._createLogarithmicScaleValues(scale);
+        }
+
+        values = calculator.makeLabelsFromLimit(scale.limit, scale.step);
 
         return predicate.isDivergingChart(chartType, diverging) ? tui.util.map(values, abs) : values;
     },
@@ -10,10 +10,19 @@ var raphael = window.Raphael;
 
 var BarChart = require('./raphaelBarChart');
 var Boxplot = require('./raphaelBoxplotChart');
+var CandlestickChart = require('./raphaelCandlestickChart');
+var WaterfallChart = require('./raphaelWaterfallChart');
+var BulletChart = require('./raphaelBulletChart');
+var GanttChart = require('./raphaelGanttChart');
+var FunnelChart = require('./raphaelFunnelChart');
+var GaugeChart = require('./raphaelGaugeChart');
+var SankeyChart = require('./raphaelSankeyChart');
+var SunburstChart = require('./raphaelSunburstChart');
 var LineChart = require('./raphaelLineChart');
 var AreaChart = require('./raphaelAreaChart');
 var PieChart = require('./raphaelPieChart');
 var RadialLineSeries = require('./raphaelRadialLineSeries');
+var PolarAreaChart = require('./raphaelPolarAreaChart');
 var CoordinateTypeChart = require('./raphaelCoordinateTypeChart');
 var BoxTypeChart = require('./raphaelBoxTypeChart');
 var MapChart = require('./raphaelMapChart');
@@ -30,6 +39,15 @@ var pluginName = 'Raphael';
 var pluginRaphael = {
     bar: BarChart,
     boxplot: Boxplot,
+    candlestick: CandlestickChart,
+    waterfall: WaterfallChart,
+    bullet: BulletChart,
+    gantt: GanttChart,
+    funnel: FunnelChart,
+    pyramid: FunnelChart,
+    gauge: GaugeChart,
+    sankey: SankeyChart,
+    sunburst: SunburstChart,
     column: BarChart,
     line: LineChart,
     area: AreaChart,
@@ -40,6 +58,7 @@ var pluginRaphael = {
     treemap: BoxTypeChart,
     map: MapChart,
     radial: RadialLineSeries,
+    polarArea: PolarAreaChart,
     legend: legend,
     mapLegend: MapLegend,
     circleLegend: CircleLegend,
@@ -421,6 +421,31 @@ var RaphaelAreaChart = tui.util.defineClass(RaphaelLineBase, /** @lends RaphaelA
         });
     },
 
+    /**
+     * Animate areas, lines and dots from positions of previous data to positions of changed data.
+     * @param {{groupPositions: Array.<Array.<object>>, zeroTop: number, options: object}} params - data for rendering
+     */
+    animateForChangingData: function(params) {
+        var self = this;
+        var groupPositions = params.groupPositions;
+
+        this.zeroTop = params.zeroTop;
+        this.groupPositions = groupPositions;
+        this.groupPaths = this._getAreaChartPath(groupPositions, null, params.options.connectNulls);
+
+        tui.util.forEachArray(this.groupAreas, function(area, groupIndex) {
+            var pathMap = self.groupPaths[groupIndex];
+
+            self._animateDotsForChangingData(self.groupDots[groupIndex], groupPositions[groupIndex]);
+            self._animateByPath(area.area, pathMap.area);
+            self._animateByPath(area.line, pathMap.line);
+
+            if (area.startLine) {
+                self._animateByPath(area.startLine, pathMap.startLine);
+            }
+        });
+    },
+
     renderSeriesLabel: function(paper, groupPositions, groupLabels, labelTheme) {
         var attributes = {
             'font-size': labelTheme.fontSize,
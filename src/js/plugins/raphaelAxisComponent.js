@@ -8,6 +8,8 @@
 
 var raphaelRenderUtil = require('./raphaelRenderUtil');
 
+var DEFAULT_TICK_SIZE = 5;
+
 var RaphaelAxisComponent = tui.util.defineClass(/** @lends RaphaelAxisComponent.prototype */ {
     init: function() {
         this.ticks = [];
@@ -191,6 +193,7 @@ var RaphaelAxisComponent = tui.util.defineClass(/** @lends RaphaelAxisComponent.
         var isCenter = data.isCenter;
         var isPositionRight = data.isPositionRight;
         var tickColor = data.tickColor;
+        var tickSize = data.tickSize || DEFAULT_TICK_SIZE;
         var layout = data.layout;
         var rightEdgeOfAxis = layout.position.left + layout.dimension.width;
         var baseTop = layout.position.top;
@@ -205,20 +208,20 @@ var RaphaelAxisComponent = tui.util.defineClass(/** @lends RaphaelAxisComponent.
             if (isVertical) {
                 if (isCenter) {
                     pathString += baseLeft + ',' + (baseTop + position);
-                    pathString += 'H' + (baseLeft + 5);
+                    pathString += 'H' + (baseLeft + tickSize);
 
                     pathString += 'M' + rightEdgeOfAxis + ',' + (baseTop + position);
-                    pathString += 'H' + (rightEdgeOfAxis - 5);
+                    pathString += 'H' + (rightEdgeOfAxis - tickSize);
                 } else if (isPositionRight) {
                     pathString += baseLeft + ',' + (baseTop + position);
-                    pathString += 'H' + (baseLeft + 5);
+                    pathString += 'H' + (baseLeft + tickSize);
                 } else {
                     pathString += rightEdgeOfAxis + ',' + (baseTop + position);
-                    pathString += 'H' + (rightEdgeOfAxis - 5);
+                    pathString += 'H' + (rightEdgeOfAxis - tickSize);
                 }
             } else {
                 pathString += (baseLeft + position) + ',' + baseTop;
-                pathString += 'V' + (baseTop + 5);
+                pathString += 'V' + (baseTop + tickSize);
             }
 
             if (!isNaN(position)) {
@@ -95,6 +95,20 @@ var RaphaelBarChart = tui.util.defineClass(/** @lends RaphaelBarChart.prototype
         return rect;
     },
 
+    /**
+     * Pick color of bar.
+     * @param {SeriesItem} seriesItem - series item
+     * @param {number} groupIndex - group index
+     * @param {number} index - index
+     * @returns {string}
+     * @private
+     */
+    _pickBarColor: function(seriesItem, groupIndex, index) {
+        var colors = this.theme.colors;
+
+        return this.options.colorByPoint ? colors[groupIndex] : colors[index];
+    },
+
     /**
      * Render bars.
      * @param {Array.<Array.<{left: number, top:number, width: number, height: number}>>} groupBounds bounds
@@ -103,8 +117,6 @@ var RaphaelBarChart = tui.util.defineClass(/** @lends RaphaelBarChart.prototype
      */
     _renderBars: function(groupBounds) {
         var self = this;
-        var colors = this.theme.colors;
-        var colorByPoint = this.options.colorByPoint;
         var groupBars = tui.util.map(groupBounds, function(bounds, groupIndex) {
             return tui.util.map(bounds, function(bound, index) {
                 var color, rect, item;
@@ -115,7 +127,7 @@ var RaphaelBarChart = tui.util.defineClass(/** @lends RaphaelBarChart.prototype
 
                 item = self.seriesDataModel.getSeriesItem(groupIndex, index);
 
-                color = colorByPoint ? colors[groupIndex] : colors[index];
+                color = self._pickBarColor(item, groupIndex, index);
                 rect = self._renderBar(bound.start, color);
 
                 return {
@@ -463,6 +475,44 @@ var RaphaelBarChart = tui.util.defineClass(/** @lends RaphaelBarChart.prototype
         });
     },
 
+    /**
+     * Animate bars from bounds of previous data to bounds of changed data.
+     * Elements of bars are kept, so structure of changed data should be same as previous one.
+     * @param {{groupBounds: Array.<Array.<object>>, seriesDataModel: SeriesDataModel}} params - data for rendering
+     */
+    animateForChangingData: function(params) {
+        var self = this;
+        var groupBorders = this.groupBorders || [];
+        var groupBounds = params.groupBounds;
+
+        this.groupBounds = groupBounds;
+        this.seriesDataModel = params.seriesDataModel;
+
+        raphaelRenderUtil.forEach2dArray(this.groupBars, function(bar, groupIndex, index) {
+            var lines = groupBorders[groupIndex] && groupBorders[groupIndex][index];
+            var bound = groupBounds[groupIndex][index];
+
+            if (!bar || !bar.rect || !bound) {
+                return;
+            }
+
+            bar.bound = bound.end;
+            bar.item = self.seriesDataModel.getSeriesItem(groupIndex, index);
+            bar.color = self._pickBarColor(bar.item, groupIndex, index);
+            bar.rect.animate({
+                x: bar.bound.left,
+                y: bar.bound.top,
+                width: bar.bound.width,
+                height: bar.bound.height,
+                fill: bar.color
+            }, ANIMATION_DURATION, '>');
+
+            if (lines) {
+                self._animateBorders(lines, bar.bound, self.chartType, bar.item);
+            }
+        });
+    },
+
     /**
      * Change borders color.
      * @param {Array.<object>} lines raphael objects
@@ -588,6 +638,15 @@ var RaphaelBarChart = tui.util.defineClass(/** @lends RaphaelBarChart.prototype
         });
 
         return labelSet;
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
     }
 });
 
@@ -9,6 +9,7 @@
 var raphaelRenderUtil = require('./raphaelRenderUtil');
 
 var ANIMATION_DURATION = 100;
+var UPDATING_ANIMATION_DURATION = 700;
 var MIN_BORDER_WIDTH = 1;
 var MAX_BORDER_WIDTH = 3;
 
@@ -148,15 +149,38 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
     _getColorFromSpectrum: function(seriesItem) {
         var color;
 
-        if (!seriesItem.hasChild) {
-            color = this.colorSpectrum.getColor(seriesItem.colorRatio || seriesItem.ratio) || this.chartBackground;
-        } else {
+        if (seriesItem.hasChild) {
             color = 'none';
+        } else if (this._isNoData(seriesItem)) {
+            color = this.colorSpectrum.noData.color;
+        } else {
+            color = this.colorSpectrum.getColor(seriesItem.colorRatio || seriesItem.ratio) || this.chartBackground;
         }
 
         return color;
     },
 
+    /**
+     * Whether box is area of no data or not, which is styled by noData option.
+     * @param {SeriesItem} seriesItem - seriesItem
+     * @returns {boolean}
+     * @private
+     */
+    _isNoData: function(seriesItem) {
+        return !!(this.colorSpectrum && this.colorSpectrum.noData) && tui.util.isNull(seriesItem.value);
+    },
+
+    /**
+     * Fill box of no data with hatch pattern, when pattern of noData option is true.
+     * @param {{rect: object, seriesItem: SeriesItem, color: string}} box - rendered box information
+     * @private
+     */
+    _fillNoDataPattern: function(box) {
+        if (this._isNoData(box.seriesItem) && this.colorSpectrum.noData.pattern) {
+            raphaelRenderUtil.fillWithHatchPattern(this.paper, box.rect, box.color);
+        }
+    },
+
     /**
      * Get color from colors theme by group property of seriesItem.
      * @param {SeriesItem} seriesItem - seriesItem
@@ -253,6 +277,7 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
                         seriesItem: seriesItem,
                         color: color
                     };
+                    self._fillNoDataPattern(result);
                     rectToBack(result.rect);
 
                     if (seriesSet) {
@@ -270,9 +295,10 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
      * @param {object} rect - raphael object
      * @param {string} [color] - fill color
      * @param {number} [opacity] - fill opacity
+     * @param {function} [callback] - callback, which is called after animation
      * @private
      */
-    _animateChangingColor: function(rect, color, opacity) {
+    _animateChangingColor: function(rect, color, opacity, callback) {
         var properties = {
             'fill-opacity': tui.util.isExisty(opacity) ? opacity : 1
         };
@@ -281,7 +307,7 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
             properties.fill = color;
         }
 
-        rect.animate(properties, ANIMATION_DURATION, '>');
+        rect.animate(properties, ANIMATION_DURATION, '>', callback);
     },
 
     /**
@@ -317,6 +343,7 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
      * @param {boolean} [useColorValue] - whether use colorValue or not
      */
     hideAnimation: function(indexes, useColorValue) {
+        var self = this;
         var colorSpectrum = this.colorSpectrum;
         var box = this.boxesSet[indexes.groupIndex][indexes.index];
         var opacity = 1;
@@ -336,7 +363,9 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
             color = box.color;
         }
 
-        this._animateChangingColor(box.rect, color, opacity);
+        this._animateChangingColor(box.rect, color, opacity, function() {
+            self._fillNoDataPattern(box);
+        });
 
         setTimeout(function() {
             if (!colorSpectrum && box.seriesItem.hasChild) {
@@ -376,6 +405,73 @@ var RaphaelBoxTypeChart = tui.util.defineClass(/** @lends RaphaelBoxTypeChart.pr
         });
     },
 
+    /**
+     * Animate boxes from bounds and colors of previous data to those of changed data.
+     * @param {{
+     *      seriesDataModel: SeriesDataModel,
+     *      groupBounds: (Array.<Array.<object>>|object.<string, object>),
+     *      boundMap: ?object.<string, {left: number, top: number, width: number, height: number}>,
+     *      colorSpectrum: ?ColorSpectrum,
+     *      startDepth: ?number,
+     *      isPivot: ?boolean
+     * }} seriesData - data for graph rendering
+     */
+    animateForChangingData: function(seriesData) {
+        var self = this;
+        var seriesDataModel = seriesData.seriesDataModel;
+
+        this.groupBounds = seriesData.groupBounds;
+        this.boundMap = seriesData.boundMap;
+        this.colorSpectrum = seriesData.colorSpectrum;
+
+        raphaelRenderUtil.forEach2dArray(this.boxesSet, function(box, groupIndex, index) {
+            var seriesItem, bound;
+
+            if (!box) {
+                return;
+            }
+
+            seriesItem = seriesDataModel.getSeriesItem(groupIndex, index, !!seriesData.isPivot);
+            seriesItem.groupIndex = groupIndex;
+            seriesItem.index = index;
+            bound = self._getBound(seriesItem);
+
+            if (bound) {
+                box.seriesItem = seriesItem;
+                self._animateBoxForChangingData(box, bound, self._getColor(seriesItem, seriesData.startDepth));
+            }
+        });
+    },
+
+    /**
+     * Animate box to changed bound and color.
+     * Color is changed without animation, when it can not be interpolated like 'none'.
+     * @param {{rect: object, seriesItem: SeriesItem, color: string}} box - rendered box information
+     * @param {{left: number, top: number, width: number, height: number}} bound - changed bound
+     * @param {string} color - changed color
+     * @private
+     */
+    _animateBoxForChangingData: function(box, bound, color) {
+        var self = this;
+        var attributes = {
+            x: bound.left,
+            y: bound.top,
+            width: bound.width,
+            height: bound.height
+        };
+
+        if (box.color === 'none' || color === 'none') {
+            box.rect.attr({fill: color});
+        } else {
+            attributes.fill = color;
+        }
+
+        box.color = color;
+        box.rect.animate(attributes, UPDATING_ANIMATION_DURATION, '>', function() {
+            self._fillNoDataPattern(box);
+        });
+    },
+
     renderSeriesLabel: function(paper, positionSet, labels, labelTheme) {
         var labelSet = paper.set();
         var attributes = {
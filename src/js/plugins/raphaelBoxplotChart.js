@@ -18,6 +18,8 @@ var BOX_STROKE_WIDTH = 1;
 var EDGE_LINE_WIDTH = 2;
 var MEDIAN_LINE_WIDTH = 2;
 var WHISKER_LINE_WIDTH = 1;
+var MEAN_MARKER_LINE_WIDTH = 2;
+var MEAN_MARKER_HALF_SIZE = 4;
 
 /**
  * @classdesc RaphaelBoxplotChart is graph renderer for bar, column chart.
@@ -48,6 +50,7 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         this.paper.setStart();
         this.groupWhiskers = [];
         this.groupMedians = [];
+        this.groupMeans = [];
         this.groupBoxes = this._renderBoxplots(groupBounds);
         this.groupBorders = this._renderBoxBorders(groupBounds);
 
@@ -122,6 +125,51 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         return rect;
     },
 
+    /**
+     * Make path of notched box.
+     * Sides of box are indented to median line between lower and upper of notch.
+     * @param {{end: object, median: object, notch: {top: number, bottom: number}}} bound - bound of boxplot
+     * @returns {string}
+     * @private
+     */
+    _makeNotchedBoxPath: function(bound) {
+        var box = bound.end;
+        var left = box.left;
+        var right = box.left + box.width;
+        var top = box.top;
+        var bottom = box.top + box.height;
+        var notchTop = Math.max(bound.notch.top, top);
+        var notchBottom = Math.min(bound.notch.bottom, bottom);
+        var medianTop = bound.median.top;
+        var indent = box.width / 4;
+
+        return 'M' + left + ',' + top + 'H' + right + 'V' + notchTop +
+            'L' + (right - indent) + ',' + medianTop + 'L' + right + ',' + notchBottom +
+            'V' + bottom + 'H' + left + 'V' + notchBottom +
+            'L' + (left + indent) + ',' + medianTop + 'L' + left + ',' + notchTop + 'Z';
+    },
+
+    /**
+     * Render notched box.
+     * Notched box is not grown like rect, but faded in like whiskers.
+     * @param {{end: object, median: object, notch: object}} bound - bound of boxplot
+     * @param {string} color - series color
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderNotchedBox: function(bound, color) {
+        var box = this.paper.path(this._makeNotchedBoxPath(bound));
+
+        box.attr({
+            fill: '#fff',
+            stroke: color,
+            'stroke-width': BOX_STROKE_WIDTH,
+            opacity: 0
+        });
+
+        return box;
+    },
+
     /**
      * Render boxes.
      * @param {Array.<Array.<{left: number, top:number, width: number, height: number}>>} groupBounds bounds
@@ -132,9 +180,11 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         var self = this;
         var colors = this.theme.colors;
         var colorByPoint = this.options.colorByPoint;
+        var notched = this.options.notched;
 
         return tui.util.map(groupBounds, function(bounds, groupIndex) {
             return tui.util.map(bounds, function(bound, index) {
+                var isNotched = !!(notched && bound && bound.notch);
                 var color, rect, item;
 
                 if (!bound) {
@@ -145,7 +195,9 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
 
                 color = colorByPoint ? colors[groupIndex] : colors[index];
 
-                if (bound.start) {
+                if (isNotched) {
+                    rect = self._renderNotchedBox(bound, color);
+                } else if (bound.start) {
                     rect = self._renderBox(bound.start, color);
                 }
 
@@ -154,6 +206,7 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
                     color: color,
                     bound: bound.end,
                     item: item,
+                    isNotched: isNotched,
                     groupIndex: groupIndex,
                     index: index
                 };
@@ -174,20 +227,39 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         this.groupMedians = this._renderMedianLines(groupBounds);
         this.groupOutliers = this._renderOutliers(groupBounds);
 
+        if (this.options.showMean) {
+            this.groupMeans = this._renderMeanMarkers(groupBounds);
+        }
+
         return groupBoxes;
     },
 
-    _renderWhisker: function(end, start, color) {
-        var paper = this.paper;
+    /**
+     * Make paths of edge and whisker, which links edge to box.
+     * @param {{left: number, top: number, width: number}} end - bound of edge
+     * @param {{top: number}} start - bound of side of box
+     * @returns {{edge: string, whisker: string}}
+     * @private
+     */
+    _makeWhiskerPaths: function(end, start) {
         var topDistance = start.top - end.top;
         var whiskerDirection = topDistance > 0 ? 1 : -1;
         var width = end.width;
         var left = end.left;
         var quartileWidth = width / 4;
-        var edgePath = 'M' + (left + quartileWidth) + ',' + end.top + 'H' + (left + (quartileWidth * 3));
-        var whiskerPath = 'M' + (left + (quartileWidth * 2)) + ',' + end.top + 'V' + (end.top + (Math.abs(topDistance) * whiskerDirection));
-        var edge = raphaelRenderUtil.renderLine(paper, edgePath, color, EDGE_LINE_WIDTH);
-        var whisker = raphaelRenderUtil.renderLine(paper, whiskerPath, color, WHISKER_LINE_WIDTH);
+        var whiskerBottom = end.top + (Math.abs(topDistance) * whiskerDirection);
+
+        return {
+            edge: 'M' + (left + quartileWidth) + ',' + end.top + 'H' + (left + (quartileWidth * 3)),
+            whisker: 'M' + (left + (quartileWidth * 2)) + ',' + end.top + 'V' + whiskerBottom
+        };
+    },
+
+    _renderWhisker: function(end, start, color) {
+        var paper = this.paper;
+        var paths = this._makeWhiskerPaths(end, start);
+        var edge = raphaelRenderUtil.renderLine(paper, paths.edge, color, EDGE_LINE_WIDTH);
+        var whisker = raphaelRenderUtil.renderLine(paper, paths.whisker, color, WHISKER_LINE_WIDTH);
         var whiskers = [];
 
         edge.attr({
@@ -229,10 +301,19 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         return groupWhiskers;
     },
 
+    /**
+     * Make path of median line.
+     * @param {{left: number, top: number, width: number}} bound - bound of median
+     * @returns {string}
+     * @private
+     */
+    _makeMedianLinePath: function(bound) {
+        return 'M' + bound.left + ',' + bound.top + 'H' + (bound.left + bound.width);
+    },
+
     _renderMedianLine: function(bound, color) {
-        var width = bound.width;
-        var medianLinePath = 'M' + bound.left + ',' + bound.top + 'H' + (bound.left + width);
-        var median = raphaelRenderUtil.renderLine(this.paper, medianLinePath, color, MEDIAN_LINE_WIDTH);
+        var path = this._makeMedianLinePath(bound);
+        var median = raphaelRenderUtil.renderLine(this.paper, path, color, MEDIAN_LINE_WIDTH);
 
         median.attr({
             opacity: 0
@@ -265,6 +346,59 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         return groupMedians;
     },
 
+    /**
+     * Make path of mean marker, which is x mark on position of mean.
+     * @param {{left: number, top: number}} position - position of mean
+     * @returns {string}
+     * @private
+     */
+    _makeMeanMarkerPath: function(position) {
+        var size = MEAN_MARKER_HALF_SIZE;
+
+        return 'M' + (position.left - size) + ',' + (position.top - size) +
+            'L' + (position.left + size) + ',' + (position.top + size) +
+            'M' + (position.left + size) + ',' + (position.top - size) +
+            'L' + (position.left - size) + ',' + (position.top + size);
+    },
+
+    /**
+     * Render mean marker.
+     * @param {{left: number, top: number}} position - position of mean
+     * @param {string} color - series color
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderMeanMarker: function(position, color) {
+        var path = this._makeMeanMarkerPath(position);
+        var marker = raphaelRenderUtil.renderLine(this.paper, path, color, MEAN_MARKER_LINE_WIDTH);
+
+        marker.attr({
+            opacity: 0
+        });
+
+        return marker;
+    },
+
+    /**
+     * Render mean markers.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<object>>}
+     * @private
+     */
+    _renderMeanMarkers: function(groupBounds) {
+        var self = this;
+        var colors = this.theme.colors;
+        var colorByPoint = this.options.colorByPoint;
+
+        return tui.util.map(groupBounds, function(bounds, groupIndex) {
+            return tui.util.map(bounds, function(bound, index) {
+                var color = colorByPoint ? colors[groupIndex] : colors[index];
+
+                return (bound && bound.mean) ? self._renderMeanMarker(bound.mean, color) : null;
+            });
+        });
+    },
+
     _renderOutlier: function(bound, color) {
         var outlier = raphaelRenderUtil.renderCircle(this.paper, {
             left: bound.left,
@@ -423,7 +557,12 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
             if (!box) {
                 return;
             }
-            self._animateRect(box.rect, box.bound);
+
+            if (box.isNotched) {
+                box.rect.animate(animation);
+            } else {
+                self._animateRect(box.rect, box.bound);
+            }
         });
 
         raphaelRenderUtil.forEach2dArray(self.groupWhiskers, function(whisker) {
@@ -434,6 +573,12 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
             median.animate(animation.delay(ANIMATION_DURATION));
         });
 
+        raphaelRenderUtil.forEach2dArray(self.groupMeans, function(mean) {
+            if (mean) {
+                mean.animate(animation.delay(ANIMATION_DURATION));
+            }
+        });
+
         raphaelRenderUtil.forEach2dArray(self.groupOutliers, function(outliers) {
             tui.util.forEach(outliers, function(outlier) {
                 outlier.animate(animation.delay(ANIMATION_DURATION));
@@ -541,6 +686,7 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
      *              }>>} params.groupBounds group bounds
      */
     resize: function(params) {
+        var self = this;
         var dimension = params.dimension;
         var groupBounds = params.groupBounds;
 
@@ -554,9 +700,136 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
                 return;
             }
 
-            bound = groupBounds[groupIndex][index].end;
-            bar.bound = bound;
-            raphaelRenderUtil.updateRectBound(bar.rect, bound);
+            bound = groupBounds[groupIndex][index];
+            bar.bound = bound.end;
+
+            if (bar.isNotched) {
+                bar.rect.attr({path: self._makeNotchedBoxPath(bound)});
+            } else {
+                raphaelRenderUtil.updateRectBound(bar.rect, bound.end);
+            }
+        });
+    },
+
+    /**
+     * Animate boxplots from current bounds to bounds of changed data.
+     * Whiskers are kept in order of min edge, min whisker, max edge and max whisker for each boxplot.
+     * Outliers can differ in count, so these are rendered again and faded in.
+     * @param {{groupBounds: Array.<Array.<object>>, seriesDataModel: SeriesDataModel}} params - parameters
+     * @param {Array.<object>} seriesSet - raphael set of series
+     */
+    animateForChangingData: function(params, seriesSet) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+
+        this.groupBounds = groupBounds;
+        this.seriesDataModel = params.seriesDataModel;
+
+        tui.util.forEachArray(groupBounds, function(bounds, groupIndex) {
+            var whiskers = self.groupWhiskers[groupIndex];
+            var whiskerIndex = 0;
+
+            tui.util.forEachArray(bounds, function(bound, index) {
+                if (!bound) {
+                    return;
+                }
+
+                self._animateBoxplotForChangingData(groupIndex, index, bound);
+                self._animateWhiskersForChangingData(whiskers.slice(whiskerIndex, whiskerIndex + 4), bound);
+                whiskerIndex += 4;
+            });
+        });
+
+        this._changeOutliers(groupBounds, seriesSet);
+    },
+
+    /**
+     * Animate box, median line and mean marker of a boxplot for changing data.
+     * @param {number} groupIndex - group index
+     * @param {number} index - index
+     * @param {object} bound - bound of boxplot
+     * @private
+     */
+    _animateBoxplotForChangingData: function(groupIndex, index, bound) {
+        var box = this.groupBoxes[groupIndex][index];
+        var median = this.groupMedians[groupIndex][index];
+        var mean = this.groupMeans[groupIndex] && this.groupMeans[groupIndex][index];
+
+        if (box && box.rect) {
+            box.bound = bound.end;
+            box.item = this.seriesDataModel.getSeriesItem(groupIndex, index);
+
+            if (box.isNotched) {
+                box.rect.animate({
+                    path: this._makeNotchedBoxPath(bound),
+                    opacity: 1
+                }, ANIMATION_DURATION, '>');
+            } else {
+                this._animateRect(box.rect, bound.end);
+            }
+        }
+
+        if (median) {
+            median.animate({
+                path: this._makeMedianLinePath(bound.median),
+                opacity: 1
+            }, ANIMATION_DURATION, '>');
+        }
+
+        if (mean && bound.mean) {
+            mean.animate({
+                path: this._makeMeanMarkerPath(bound.mean),
+                opacity: 1
+            }, ANIMATION_DURATION, '>');
+        }
+    },
+
+    /**
+     * Animate edges and whiskers of a boxplot for changing data.
+     * @param {Array.<object>} whiskers - min edge, min whisker, max edge and max whisker
+     * @param {object} bound - bound of boxplot
+     * @private
+     */
+    _animateWhiskersForChangingData: function(whiskers, bound) {
+        var minPaths = this._makeWhiskerPaths(bound.min, bound.start);
+        var maxPaths = this._makeWhiskerPaths(bound.max, bound.end);
+        var paths = [minPaths.edge, minPaths.whisker, maxPaths.edge, maxPaths.whisker];
+
+        tui.util.forEachArray(whiskers, function(whisker, index) {
+            whisker.animate({
+                path: paths[index],
+                opacity: 1
+            }, ANIMATION_DURATION, '>');
+        });
+    },
+
+    /**
+     * Replace outliers by outliers of changed data.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @param {Array.<object>} seriesSet - raphael set of series
+     * @private
+     */
+    _changeOutliers: function(groupBounds, seriesSet) {
+        raphaelRenderUtil.forEach2dArray(this.groupOutliers, function(outliers) {
+            tui.util.forEachArray(outliers || [], function(outlier) {
+                if (seriesSet) {
+                    seriesSet.exclude(outlier);
+                }
+                outlier.remove();
+            });
+        });
+
+        this.groupOutliers = this._renderOutliers(groupBounds);
+
+        raphaelRenderUtil.forEach2dArray(this.groupOutliers, function(outliers) {
+            tui.util.forEachArray(outliers, function(outlier) {
+                if (seriesSet) {
+                    seriesSet.push(outlier);
+                }
+                outlier.animate({
+                    opacity: 1
+                }, ANIMATION_DURATION, '>');
+            });
         });
     },
 
@@ -651,6 +924,13 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
 
             median.attr({'stroke-opacity': opacity});
         });
+        raphaelRenderUtil.forEach2dArray(this.groupMeans, function(mean, groupIndex, index) {
+            var opacity = (noneSelected || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+
+            if (mean) {
+                mean.attr({'stroke-opacity': opacity});
+            }
+        });
     },
 
     renderSeriesLabel: function(paper, groupPositions, groupLabels, labelTheme, isStacked) {
@@ -688,6 +968,15 @@ var RaphaelBoxplotChart = tui.util.defineClass(/** @lends RaphaelBoxplotChart.pr
         });
 
         return labelSet;
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
     }
 });
 
@@ -0,0 +1,170 @@
+/**
+ * @fileoverview Raphael bullet chart renderer.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelBarChart = require('./raphaelBarChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var MARKER_LINE_WIDTH = 3;
+
+/**
+ * @classdesc RaphaelBulletChart is graph renderer for bullet chart.
+ * @class RaphaelBulletChart
+ * @private
+ * @extends RaphaelBarChart
+ */
+var RaphaelBulletChart = tui.util.defineClass(RaphaelBarChart, /** @lends RaphaelBulletChart.prototype */ {
+    /**
+     * Count of range bands and markers can differ by data, so graph is rendered again
+     * instead of being animated, when data is changed.
+     * @type {null}
+     * @override
+     */
+    animateForChangingData: null,
+
+    /**
+     * Render range bands, measure bars and marker lines.
+     * Range bands are rendered first, so that they are placed behind measure bars.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<object>>} bars
+     * @private
+     * @override
+     */
+    _renderBars: function(groupBounds) {
+        var groupBars;
+
+        this.groupRanges = this._renderRanges(groupBounds);
+        groupBars = RaphaelBarChart.prototype._renderBars.call(this, groupBounds);
+        this.groupMarkers = this._renderMarkers(groupBounds);
+
+        return groupBars;
+    },
+
+    /**
+     * Render range bands of bullets.
+     * Colors of range bands are picked from rangeColors theme by order of range.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<Array.<object>>>}
+     * @private
+     */
+    _renderRanges: function(groupBounds) {
+        var self = this;
+        var rangeColors = this.theme.rangeColors || [];
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                if (!bound || !bound.ranges) {
+                    return [];
+                }
+
+                return tui.util.map(bound.ranges, function(rangeBound, rangeIndex) {
+                    return self._renderBar(rangeBound, rangeColors[rangeIndex % rangeColors.length]);
+                });
+            });
+        });
+    },
+
+    /**
+     * Make path of marker line.
+     * @param {{start: {left: number, top: number}, end: {left: number, top: number}}} markerBound - marker bound
+     * @returns {string}
+     * @private
+     */
+    _makeMarkerPath: function(markerBound) {
+        return raphaelRenderUtil.makeLinePath(markerBound.start, markerBound.end, MARKER_LINE_WIDTH).join(' ');
+    },
+
+    /**
+     * Render marker lines of target values.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<Array.<object>>>}
+     * @private
+     */
+    _renderMarkers: function(groupBounds) {
+        var self = this;
+        var markerColor = this.theme.markerColor;
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                if (!bound || !bound.markers) {
+                    return [];
+                }
+
+                return tui.util.map(bound.markers, function(markerBound) {
+                    return raphaelRenderUtil.renderLine(self.paper, self._makeMarkerPath(markerBound),
+                        markerColor, MARKER_LINE_WIDTH);
+                });
+            });
+        });
+    },
+
+    /**
+     * Resize graph of bullet chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<Array.<object>>} params.groupBounds group bounds
+     * @override
+     */
+    resize: function(params) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+
+        RaphaelBarChart.prototype.resize.call(this, params);
+
+        raphaelRenderUtil.forEach2dArray(this.groupRanges, function(ranges, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            tui.util.forEachArray(ranges, function(range, rangeIndex) {
+                if (range && bound.ranges[rangeIndex]) {
+                    raphaelRenderUtil.updateRectBound(range, bound.ranges[rangeIndex]);
+                }
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupMarkers, function(markers, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            tui.util.forEachArray(markers, function(marker, markerIndex) {
+                if (bound.markers[markerIndex]) {
+                    marker.attr({path: self._makeMarkerPath(bound.markers[markerIndex])});
+                }
+            });
+        });
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     * @override
+     */
+    selectLegend: function(legendIndex) {
+        var noneSelected = tui.util.isNull(legendIndex);
+        var pickOpacity = function(index) {
+            return (noneSelected || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+        };
+
+        RaphaelBarChart.prototype.selectLegend.call(this, legendIndex);
+
+        raphaelRenderUtil.forEach2dArray(this.groupRanges, function(ranges, groupIndex, index) {
+            tui.util.forEachArray(ranges, function(range) {
+                if (range) {
+                    range.attr({'fill-opacity': pickOpacity(index)});
+                }
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupMarkers, function(markers, groupIndex, index) {
+            tui.util.forEachArray(markers, function(marker) {
+                marker.attr({'stroke-opacity': pickOpacity(index)});
+            });
+        });
+    }
+});
+
+module.exports = RaphaelBulletChart;
@@ -0,0 +1,211 @@
+/**
+ * @fileoverview Raphael candlestick chart renderer.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var VOLUME_OPACITY = 0.3;
+var BODY_STROKE_WIDTH = 1;
+var WICK_LINE_WIDTH = 1;
+
+/**
+ * @classdesc RaphaelCandlestickChart is graph renderer for candlestick chart.
+ * @class RaphaelCandlestickChart
+ * @private
+ */
+var RaphaelCandlestickChart = tui.util.defineClass(/** @lends RaphaelCandlestickChart.prototype */ {
+    /**
+     * Render function of candlestick chart
+     * @param {object} paper paper object
+     * @param {{groupBounds: Array.<Array.<object>>, theme: object, options: object}} data chart data
+     * @returns {Array.<object>} seriesSet
+     */
+    render: function(paper, data) {
+        var groupBounds = data.groupBounds;
+
+        if (!groupBounds) {
+            return null;
+        }
+
+        this.paper = paper;
+        this.theme = data.theme;
+        this.options = data.options;
+        this.groupBounds = groupBounds;
+
+        this.paper.setStart();
+        this.groupCandles = this._renderCandles(groupBounds);
+
+        return this.paper.setFinish();
+    },
+
+    /**
+     * Make path of wick.
+     * @param {{left: number, top: number, bottom: number}} bound - wick bound
+     * @returns {string}
+     * @private
+     */
+    _makeWickPath: function(bound) {
+        return 'M' + bound.left + ',' + bound.top + 'V' + bound.bottom;
+    },
+
+    /**
+     * Render candle, which has body, wick and volume column.
+     * @param {{end: object, wick: object, volume: ?object, isRising: boolean}} bound - bound of candle
+     * @returns {{body: object, wick: object, volume: ?object, color: string}}
+     * @private
+     */
+    _renderCandle: function(bound) {
+        var color = bound.isRising ? this.theme.risingColor : this.theme.fallingColor;
+        var volume = null;
+        var wick, body;
+
+        if (bound.volume) {
+            volume = raphaelRenderUtil.renderRect(this.paper, bound.volume, {
+                fill: color,
+                'fill-opacity': VOLUME_OPACITY,
+                'stroke-width': 0
+            });
+        }
+
+        wick = raphaelRenderUtil.renderLine(this.paper, this._makeWickPath(bound.wick), color, WICK_LINE_WIDTH);
+        body = raphaelRenderUtil.renderRect(this.paper, bound.end, {
+            fill: color,
+            stroke: color,
+            'stroke-width': BODY_STROKE_WIDTH
+        });
+
+        tui.util.forEachArray([volume, wick, body], function(element) {
+            if (element) {
+                element.attr({opacity: 0});
+            }
+        });
+
+        return {
+            body: body,
+            wick: wick,
+            volume: volume,
+            color: color
+        };
+    },
+
+    /**
+     * Render candles.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<object>>}
+     * @private
+     */
+    _renderCandles: function(groupBounds) {
+        var self = this;
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                return bound ? self._renderCandle(bound) : null;
+            });
+        });
+    },
+
+    /**
+     * Call iteratee with each raphael element of candles.
+     * @param {function} iteratee - iteratee, which is called with element, groupIndex and index
+     * @private
+     */
+    _forEachCandleElement: function(iteratee) {
+        raphaelRenderUtil.forEach2dArray(this.groupCandles, function(candle, groupIndex, index) {
+            if (!candle) {
+                return;
+            }
+
+            tui.util.forEachArray([candle.volume, candle.wick, candle.body], function(element) {
+                if (element) {
+                    iteratee(element, groupIndex, index);
+                }
+            });
+        });
+    },
+
+    /**
+     * Animate.
+     * @param {function} onFinish finish callback function
+     */
+    animate: function(onFinish) {
+        var self = this;
+        var animation = raphael.animation({
+            opacity: 1
+        }, ANIMATION_DURATION);
+
+        this._forEachCandleElement(function(element) {
+            element.animate(animation);
+        });
+
+        if (onFinish) {
+            this.callbackTimeout = setTimeout(function() {
+                onFinish();
+                delete self.callbackTimeout;
+            }, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of candlestick chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<Array.<object>>} params.groupBounds group bounds
+     */
+    resize: function(params) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+        var dimension = params.dimension;
+
+        this.groupBounds = groupBounds;
+        this.paper.setSize(dimension.width, dimension.height);
+
+        raphaelRenderUtil.forEach2dArray(this.groupCandles, function(candle, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (!candle) {
+                return;
+            }
+
+            raphaelRenderUtil.updateRectBound(candle.body, bound.end);
+            candle.wick.attr({path: self._makeWickPath(bound.wick)});
+
+            if (candle.volume) {
+                raphaelRenderUtil.updateRectBound(candle.volume, bound.volume);
+            }
+        });
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     */
+    selectLegend: function(legendIndex) {
+        var noneSelected = tui.util.isNull(legendIndex);
+
+        this._forEachCandleElement(function(element, groupIndex, index) {
+            var opacity = (noneSelected || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+
+            element.attr({opacity: opacity});
+        });
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
+    }
+});
+
+module.exports = RaphaelCandlestickChart;
@@ -234,6 +234,33 @@ var RaphaelBubbleChart = tui.util.defineClass(/** @lends RaphaelBubbleChart.prot
         });
     },
 
+    /**
+     * Animate circles from bounds of previous data to bounds of changed data.
+     * @param {{groupBounds: Array.<Array.<bound>>, seriesDataModel: SeriesDataModel}} params - data for rendering
+     */
+    animateForChangingData: function(params) {
+        var groupBounds = params.groupBounds;
+
+        this.groupBounds = groupBounds;
+        this.seriesDataModel = params.seriesDataModel;
+
+        raphaelRenderUtil.forEach2dArray(this.groupCircleInfos, function(circleInfo, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (!circleInfo || !bound) {
+                return;
+            }
+
+            circleInfo.bound = bound;
+            circleInfo.circle.animate({
+                cx: bound.left,
+                cy: bound.top,
+                r: bound.radius,
+                opacity: CIRCLE_OPACITY
+            }, ANIMATION_DURATION, '>');
+        });
+    },
+
     /**
      * Find data indexes of rendered circle by position.
      * @param {{left: number, top: number}} position - mouse position
@@ -0,0 +1,442 @@
+/**
+ * @fileoverview RaphaelFunnelChart is graph renderer for funnel and pyramid chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var LOADING_ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var OVERLAY_OPACITY = 0.3;
+var DE_EMPHASIS_OPACITY = 0.3;
+var DEFAULT_LUMINANT_VALUE = 0.2;
+var OVERLAY_ID = 'overlay';
+var TOOLTIP_OFFSET_VALUE = 20;
+var LABEL_LINE_WIDTH = 1;
+
+/**
+ * @classdesc RaphaelFunnelChart is graph renderer for funnel and pyramid chart.
+ * @class RaphaelFunnelChart
+ * @private
+ */
+var RaphaelFunnelChart = tui.util.defineClass(/** @lends RaphaelFunnelChart.prototype */ {
+    /**
+     * Render function of funnel chart.
+     * @param {object} paper Raphael paper
+     * @param {{
+     *      segmentData: Array.<object>,
+     *      dimension: object, theme: object, options: object
+     * }} data render data
+     * @param {object} callbacks callbacks
+     *      @param {function} callbacks.showTooltip show tooltip function
+     *      @param {function} callbacks.hideTooltip hide tooltip function
+     * @returns {object} funnel series set
+     */
+    render: function(paper, data, callbacks) {
+        var funnelSeriesSet = paper.set();
+
+        /**
+         * raphael object
+         * @type {object}
+         */
+        this.paper = paper;
+
+        /**
+         * base background
+         * @type {object}
+         */
+        this.chartBackground = data.chartBackground;
+
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = data.chartType;
+
+        /**
+         * functions for tooltip control
+         * @type {{showTooltip: Function, hideTooltip: Function}}
+         */
+        this.callbacks = callbacks;
+
+        /**
+         * color for selection
+         * @type {string}
+         */
+        this.selectionColor = data.theme.selectionColor;
+
+        this.segmentInfos = this._renderSegments(data.segmentData, data.theme.colors, funnelSeriesSet);
+        this.overlay = this._renderOverlay();
+        funnelSeriesSet.push(this.overlay);
+
+        /**
+         * previous mouse position
+         * @type {{left: number, top: number}}
+         */
+        this.prevPosition = null;
+
+        /**
+         * previous hover segment
+         * @type {object}
+         */
+        this.prevHoverSegment = null;
+
+        return funnelSeriesSet;
+    },
+
+    /**
+     * Make path of segment.
+     * @param {Array.<{left: number, top: number}>} points - points of segment
+     * @returns {string}
+     * @private
+     */
+    _makeSegmentPath: function(points) {
+        var pathPoints = tui.util.map(points, function(point) {
+            return point.left + ',' + point.top;
+        });
+
+        return 'M' + pathPoints.join('L') + 'Z';
+    },
+
+    /**
+     * Render segments.
+     * @param {Array.<object>} segmentData - segment data
+     * @param {Array.<string>} colors - segment colors
+     * @param {Array.<object>} funnelSeriesSet - funnel series set
+     * @returns {Array.<object>}
+     * @private
+     */
+    _renderSegments: function(segmentData, colors, funnelSeriesSet) {
+        var self = this;
+        var chartBackground = this.chartBackground;
+
+        return tui.util.map(segmentData, function(segmentDatum, index) {
+            var segment = self.paper.path(self._makeSegmentPath(segmentDatum.points)).attr({
+                fill: colors[index],
+                stroke: chartBackground.color,
+                'stroke-width': 1,
+                opacity: 0
+            });
+
+            segment.data('index', index);
+            segment.data('legendIndex', index);
+            segment.data('chartType', self.chartType);
+
+            funnelSeriesSet.push(segment);
+
+            return {
+                segment: segment,
+                color: colors[index],
+                points: segmentDatum.points,
+                ratio: segmentDatum.ratio
+            };
+        });
+    },
+
+    /**
+     * Render overlay.
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderOverlay: function() {
+        var overlay = this.paper.path('M0,0').attr({
+            fill: '#fff',
+            opacity: 0,
+            'stroke-width': 0
+        });
+
+        overlay.data('id', OVERLAY_ID);
+        overlay.data('chartType', this.chartType);
+
+        return overlay;
+    },
+
+    /**
+     * Show overlay.
+     * @param {number} index - index
+     * @private
+     */
+    _showOverlay: function(index) {
+        var segmentInfo = this.segmentInfos[index];
+
+        this.overlay.attr({
+            path: this._makeSegmentPath(segmentInfo.points),
+            opacity: OVERLAY_OPACITY
+        });
+        this.overlay.data('index', index);
+        this.overlay.data('legendIndex', index);
+    },
+
+    /**
+     * Hide overlay.
+     * @private
+     */
+    _hideOverlay: function() {
+        this.overlay.attr({
+            opacity: 0
+        });
+    },
+
+    /**
+     * Animate.
+     * Segments are shown in order of stage.
+     * @param {function} callback callback
+     */
+    animate: function(callback) {
+        var segmentInfos = this.segmentInfos;
+        var animationTime = LOADING_ANIMATION_DURATION / (segmentInfos.length || 1);
+
+        tui.util.forEachArray(segmentInfos, function(segmentInfo, index) {
+            var anim = raphael.animation({
+                opacity: 1
+            }, animationTime);
+
+            segmentInfo.segment.animate(anim.delay(animationTime * index));
+        });
+
+        if (callback) {
+            this.callbackTimeout = setTimeout(callback, LOADING_ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of funnel chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<object>} params.segmentData segment data
+     */
+    resize: function(params) {
+        var self = this;
+        var dimension = params.dimension;
+        var segmentData = params.segmentData;
+
+        this.paper.setSize(dimension.width, dimension.height);
+
+        tui.util.forEachArray(this.segmentInfos, function(segmentInfo, index) {
+            segmentInfo.points = segmentData[index].points;
+            segmentInfo.segment.attr({
+                path: self._makeSegmentPath(segmentInfo.points)
+            });
+        });
+    },
+
+    /**
+     * Find information of segment by mouse position.
+     * @param {{left: number, top: number}} position - mouse position
+     * @returns {?{legendIndex: number, index: number, chartType: string}}
+     */
+    findSegmentInfo: function(position) {
+        var segment = this.paper.getElementByPoint(position.left, position.top);
+        var info = null;
+
+        if (segment) {
+            info = {
+                legendIndex: tui.util.isExisty(segment.data('legendIndex')) ? segment.data('legendIndex') : -1,
+                index: tui.util.isExisty(segment.data('index')) ? segment.data('index') : -1,
+                chartType: segment.data('chartType')
+            };
+        }
+
+        return info;
+    },
+
+    /**
+     * Whether changed or not.
+     * @param {{left: number, top: number}} prevPosition previous position
+     * @param {{left: number, top: number}} position position
+     * @returns {boolean} result boolean
+     * @private
+     */
+    _isChangedPosition: function(prevPosition, position) {
+        return !prevPosition || prevPosition.left !== position.left || prevPosition.top !== position.top;
+    },
+
+    /**
+     * Show tooltip.
+     * @param {object} segment - raphael object
+     * @param {{left: number, top: number}} position - mouse position
+     * @private
+     */
+    _showTooltip: function(segment, position) {
+        var args = [{}, 0, segment.data('index'), {
+            left: position.left - TOOLTIP_OFFSET_VALUE,
+            top: position.top - TOOLTIP_OFFSET_VALUE
+        }];
+
+        this.callbacks.showTooltip.apply(null, args);
+    },
+
+    /**
+     * Whether valid segment or not.
+     * @param {object} segment - raphael object
+     * @returns {boolean}
+     * @private
+     */
+    _isValidSegment: function(segment) {
+        return segment && segment.data('chartType') === this.chartType && tui.util.isExisty(segment.data('index'));
+    },
+
+    /**
+     * Move mouse on series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    moveMouseOnSeries: function(position) {
+        var segment = this.paper.getElementByPoint(position.left, position.top);
+
+        if (this._isValidSegment(segment)) {
+            if (this.prevHoverSegment !== segment) {
+                this._showOverlay(segment.data('index'));
+                this.prevHoverSegment = segment;
+            }
+
+            if (this._isChangedPosition(this.prevPosition, position)) {
+                this._showTooltip(segment, position);
+            }
+        } else if (this.prevHoverSegment) {
+            this._hideOverlay();
+            this.callbacks.hideTooltip();
+            this.prevHoverSegment = null;
+        }
+
+        this.prevPosition = position;
+    },
+
+    /**
+     * Select series.
+     * @param {{index: number}} indexes - index map
+     */
+    selectSeries: function(indexes) {
+        var segmentInfo = this.segmentInfos[indexes.index];
+        var luminanceColor;
+
+        if (!segmentInfo) {
+            return;
+        }
+
+        luminanceColor = raphaelRenderUtil.makeChangedLuminanceColor(raphael.color(segmentInfo.color).hex,
+            DEFAULT_LUMINANT_VALUE);
+
+        segmentInfo.segment.attr({
+            fill: this.selectionColor || luminanceColor
+        });
+    },
+
+    /**
+     * Unselect series.
+     * @param {{index: number}} indexes - index map
+     */
+    unselectSeries: function(indexes) {
+        var segmentInfo = this.segmentInfos[indexes.index];
+
+        if (!segmentInfo) {
+            return;
+        }
+
+        segmentInfo.segment.attr({
+            fill: segmentInfo.color
+        });
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     */
+    selectLegend: function(legendIndex) {
+        var isNull = tui.util.isNull(legendIndex);
+        var labelLines = this.labelLines;
+
+        tui.util.forEachArray(this.segmentInfos, function(segmentInfo, index) {
+            var opacity = (isNull || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+
+            segmentInfo.segment.attr({
+                'fill-opacity': opacity
+            });
+
+            if (labelLines && labelLines[index]) {
+                labelLines[index].attr({
+                    'stroke-opacity': opacity
+                });
+            }
+        });
+    },
+
+    /**
+     * Get rendered label width
+     * @param {string} text - text content
+     * @param {object} theme - label theme
+     * @returns {number}
+     */
+    getRenderedLabelWidth: function(text, theme) {
+        return raphaelRenderUtil.getRenderedTextSize(text, theme.fontSize, theme.fontFamily).width;
+    },
+
+    /**
+     * Get rendered label height
+     * @param {string} text - text content
+     * @param {object} theme - label theme
+     * @returns {number}
+     */
+    getRenderedLabelHeight: function(text, theme) {
+        return raphaelRenderUtil.getRenderedTextSize(text, theme.fontSize, theme.fontFamily).height;
+    },
+
+    /**
+     * Render labels and return label set.
+     * Lines from segments to labels are rendered too, when outer positions of lines are passed.
+     * @param {object} paper Raphael paper
+     * @param {Array.<{left: number, top: number}>} positions - center positions of labels
+     * @param {Array.<string>} labels series labels
+     * @param {object} theme label theme
+     * @param {Array.<{start: object, end: object}>} [linePositions] - positions of lines
+     * @returns {Array.<object>}
+     */
+    renderLabels: function(paper, positions, labels, theme, linePositions) {
+        var labelSet = paper.set();
+        var attributes = {
+            'font-size': theme.fontSize,
+            'font-family': theme.fontFamily,
+            'font-weight': theme.fontWeight,
+            'text-anchor': 'middle',
+            fill: theme.color,
+            opacity: 0
+        };
+
+        this.labelLines = tui.util.map(linePositions || [], function(linePosition) {
+            var path = raphaelRenderUtil.makeLinePath(linePosition.start, linePosition.end);
+            var line = raphaelRenderUtil.renderLine(paper, path, theme.color, LABEL_LINE_WIDTH);
+
+            line.attr({
+                opacity: 0
+            });
+            labelSet.push(line);
+
+            return line;
+        });
+
+        tui.util.forEachArray(positions, function(position, index) {
+            var label = raphaelRenderUtil.renderText(paper, position, labels[index], attributes);
+
+            label.node.style.userSelect = 'none';
+            label.node.style.cursor = 'default';
+            labelSet.push(label);
+        });
+
+        return labelSet;
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
+    }
+});
+
+module.exports = RaphaelFunnelChart;
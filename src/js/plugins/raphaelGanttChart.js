@@ -0,0 +1,323 @@
+/**
+ * @fileoverview Raphael gantt chart renderer.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelBarChart = require('./raphaelBarChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var DEPENDENCY_LINE_WIDTH = 1;
+var DEPENDENCY_ARROW = 'classic-wide-long';
+
+/**
+ * @classdesc RaphaelGanttChart is graph renderer for gantt chart.
+ * @class RaphaelGanttChart
+ * @private
+ * @extends RaphaelBarChart
+ */
+var RaphaelGanttChart = tui.util.defineClass(RaphaelBarChart, /** @lends RaphaelGanttChart.prototype */ {
+    /**
+     * Count of ranges, milestones and dependencies can differ by data, so graph is rendered again
+     * instead of being animated, when data is changed.
+     * @type {null}
+     * @override
+     */
+    animateForChangingData: null,
+
+    /**
+     * Render dependency lines, bars of ranges and milestones of tasks.
+     * Dependency lines are rendered first, so that they are placed behind bars.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<object>>} bars
+     * @private
+     * @override
+     */
+    _renderBars: function(groupBounds) {
+        var self = this;
+        var groupBars;
+
+        this.groupDependencies = this._renderDependencies(groupBounds);
+
+        groupBars = tui.util.map(groupBounds, function(bounds, groupIndex) {
+            return tui.util.map(bounds, function(bound, index) {
+                var item, color;
+
+                if (!bound) {
+                    return null;
+                }
+
+                item = self.seriesDataModel.getSeriesItem(groupIndex, index);
+                color = self._pickBarColor(item, groupIndex, index);
+
+                return {
+                    rects: tui.util.map(bound.ranges, function(rangeBound) {
+                        return self._renderBar(rangeBound.start, color);
+                    }),
+                    color: color,
+                    bound: bound.end,
+                    item: item,
+                    groupIndex: groupIndex,
+                    index: index,
+                    isRange: item.isRange
+                };
+            });
+        });
+
+        this.groupMilestones = this._renderMilestones(groupBounds);
+
+        return groupBars;
+    },
+
+    /**
+     * Borders are not rendered, because a task has several bars of ranges.
+     * @returns {null}
+     * @private
+     * @override
+     */
+    _renderBarBorders: function() {
+        return null;
+    },
+
+    /**
+     * Make path of diamond for milestone.
+     * @param {{left: number, top: number, size: number}} milestoneBound - center and size of milestone
+     * @returns {string}
+     * @private
+     */
+    _makeMilestonePath: function(milestoneBound) {
+        var left = milestoneBound.left;
+        var top = milestoneBound.top;
+        var half = milestoneBound.size / 2;
+
+        return 'M' + left + ',' + (top - half) +
+            'L' + (left + half) + ',' + top +
+            'L' + left + ',' + (top + half) +
+            'L' + (left - half) + ',' + top + 'Z';
+    },
+
+    /**
+     * Update milestone by bound, milestone is hidden when it is out of limit of time axis.
+     * @param {object} milestone - raphael object of milestone
+     * @param {?{left: number, top: number, size: number}} milestoneBound - bound of milestone
+     * @private
+     */
+    _updateMilestone: function(milestone, milestoneBound) {
+        if (milestoneBound) {
+            milestone.attr({path: this._makeMilestonePath(milestoneBound)});
+            milestone.show();
+        } else {
+            milestone.hide();
+        }
+    },
+
+    /**
+     * Render milestones of tasks as diamonds.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<Array.<object>>>}
+     * @private
+     */
+    _renderMilestones: function(groupBounds) {
+        var self = this;
+        var milestoneColor = this.theme.milestoneColor;
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                if (!bound) {
+                    return [];
+                }
+
+                return tui.util.map(bound.milestones, function(milestoneBound) {
+                    var milestone = self.paper.path('M0,0').attr({
+                        fill: milestoneColor,
+                        stroke: 'none'
+                    });
+
+                    self._updateMilestone(milestone, milestoneBound);
+
+                    return milestone;
+                });
+            });
+        });
+    },
+
+    /**
+     * Make path of dependency line.
+     * @param {Array.<{left: number, top: number}>} points - points of dependency line
+     * @returns {string}
+     * @private
+     */
+    _makeDependencyPath: function(points) {
+        return tui.util.map(points, function(point, index) {
+            return (index ? 'L' : 'M') + point.left + ',' + point.top;
+        }).join('');
+    },
+
+    /**
+     * Render dependency lines from previous tasks with arrows.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<Array.<object>>>}
+     * @private
+     */
+    _renderDependencies: function(groupBounds) {
+        var self = this;
+        var dependencyColor = this.theme.dependencyColor;
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                if (!bound) {
+                    return [];
+                }
+
+                return tui.util.map(bound.dependencies, function(points) {
+                    var line = raphaelRenderUtil.renderLine(self.paper, self._makeDependencyPath(points),
+                        dependencyColor, DEPENDENCY_LINE_WIDTH);
+
+                    line.attr({'arrow-end': DEPENDENCY_ARROW});
+
+                    return line;
+                });
+            });
+        });
+    },
+
+    /**
+     * Change color of bars of ranges.
+     * @param {{groupIndex: number, index: number}} indexes indexes
+     * @param {string} color fill color
+     * @private
+     * @override
+     */
+    _changeBarColor: function(indexes, color) {
+        var bar = this.groupBars[indexes.groupIndex][indexes.index];
+
+        tui.util.forEachArray(bar.rects, function(rect) {
+            if (rect) {
+                rect.attr({fill: color});
+            }
+        });
+    },
+
+    /**
+     * Animate bars of ranges.
+     * @param {function} onFinish finish callback function
+     * @override
+     */
+    animate: function(onFinish) {
+        var self = this;
+        var groupBounds = this.groupBounds;
+
+        raphaelRenderUtil.forEach2dArray(this.groupBars, function(bar, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (!bar) {
+                return;
+            }
+
+            tui.util.forEachArray(bar.rects, function(rect, rangeIndex) {
+                if (rect) {
+                    self._animateRect(rect, bound.ranges[rangeIndex].end);
+                }
+            });
+        });
+
+        if (onFinish) {
+            this.callbackTimeout = setTimeout(function() {
+                onFinish();
+                delete self.callbackTimeout;
+            }, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of gantt chart.
+     * Graphs are updated by this, when time axis is zoomed or panned, too.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<Array.<object>>} params.groupBounds group bounds
+     * @override
+     */
+    resize: function(params) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+
+        this.groupBounds = groupBounds;
+        this.paper.setSize(params.dimension.width, params.dimension.height);
+
+        raphaelRenderUtil.forEach2dArray(this.groupBars, function(bar, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (!bar) {
+                return;
+            }
+
+            bar.bound = bound.end;
+            tui.util.forEachArray(bar.rects, function(rect, rangeIndex) {
+                if (rect) {
+                    raphaelRenderUtil.updateRectBound(rect, bound.ranges[rangeIndex].end);
+                }
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupMilestones, function(milestones, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            tui.util.forEachArray(milestones, function(milestone, milestoneIndex) {
+                self._updateMilestone(milestone, bound.milestones[milestoneIndex]);
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupDependencies, function(lines, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            tui.util.forEachArray(lines, function(line, lineIndex) {
+                if (bound.dependencies[lineIndex]) {
+                    line.attr({path: self._makeDependencyPath(bound.dependencies[lineIndex])});
+                }
+            });
+        });
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     * @override
+     */
+    selectLegend: function(legendIndex) {
+        var noneSelected = tui.util.isNull(legendIndex);
+        var pickOpacity = function(index) {
+            return (noneSelected || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+        };
+
+        raphaelRenderUtil.forEach2dArray(this.groupBars, function(bar, groupIndex, index) {
+            if (!bar) {
+                return;
+            }
+
+            tui.util.forEachArray(bar.rects, function(rect) {
+                if (rect) {
+                    rect.attr({'fill-opacity': pickOpacity(index)});
+                }
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupMilestones, function(milestones, groupIndex, index) {
+            tui.util.forEachArray(milestones, function(milestone) {
+                milestone.attr({'fill-opacity': pickOpacity(index)});
+            });
+        });
+
+        raphaelRenderUtil.forEach2dArray(this.groupDependencies, function(lines, groupIndex, index) {
+            tui.util.forEachArray(lines, function(line) {
+                line.attr({'stroke-opacity': pickOpacity(index)});
+            });
+        });
+    }
+});
+
+module.exports = RaphaelGanttChart;
@@ -0,0 +1,278 @@
+/**
+ * @fileoverview RaphaelGaugeChart is graph renderer for gauge chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelPieChart = require('./raphaelPieChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var ANIMATION_DURATION = 700;
+var NEEDLE_WIDTH = 8;
+var NEEDLE_PIVOT_RADIUS = 6;
+var TICK_LINE_WIDTH = 1;
+
+/**
+ * @classdesc RaphaelGaugeChart is graph renderer for gauge chart.
+ * @class RaphaelGaugeChart
+ * @private
+ */
+var RaphaelGaugeChart = tui.util.defineClass(RaphaelPieChart, /** @lends RaphaelGaugeChart.prototype */ {
+    /**
+     * Gauge is not rendered by sectors of pie chart, and its needle is animated from fromAngle by rendering,
+     * so graph is rendered again instead of being animated, when data is changed.
+     * @type {null}
+     * @override
+     */
+    animateForChangingData: null,
+
+    /**
+     * Render function of gauge chart.
+     * Needle or solid arc is rendered at fromAngle of value data, and moved to angle of value by animation.
+     * @param {object} paper Raphael paper
+     * @param {{
+     *      circleBound: {cx: number, cy: number, r: number},
+     *      trackAngles: {startAngle: number, endAngle: number},
+     *      bandData: Array.<object>, tickData: Array.<object>, valueData: object,
+     *      theme: object, options: object
+     * }} data render data
+     * @returns {object} gauge series set
+     */
+    render: function(paper, data) {
+        /**
+         * raphael object
+         * @type {object}
+         */
+        this.paper = paper;
+
+        /**
+         * ratio for hole
+         * @type {number}
+         */
+        this.holeRatio = data.options.radiusRange[0];
+
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = data.chartType;
+
+        /**
+         * theme of series
+         * @type {object}
+         */
+        this.theme = data.theme;
+
+        /**
+         * whether value is filled as solid arc or not
+         * @type {boolean}
+         */
+        this.isSolid = !!data.options.solid;
+
+        /**
+         * sector attr's name for draw graph
+         * @type {string}
+         */
+        this.sectorName = 'sector_' + this.chartType;
+
+        this._setSectorAttr();
+
+        return this._renderGauge(data, data.valueData.fromAngle);
+    },
+
+    /**
+     * Render track, bands, ticks and value of gauge.
+     * @param {object} data - series data
+     * @param {number} valueAngle - angle for rendering value
+     * @returns {object} gauge series set
+     * @private
+     */
+    _renderGauge: function(data, valueAngle) {
+        var gaugeSeriesSet = this.paper.set();
+
+        /**
+         * bound for circle
+         * @type {{cx: number, cy: number, r: number}}
+         */
+        this.circleBound = data.circleBound;
+
+        /**
+         * angles of track, which is arc from min to max of scale
+         * @type {{startAngle: number, endAngle: number}}
+         */
+        this.trackAngles = data.trackAngles;
+
+        /**
+         * data of value
+         * @type {object}
+         */
+        this.valueData = data.valueData;
+
+        gaugeSeriesSet.push(this._renderArc(data.trackAngles, this.theme.trackColor));
+
+        if (!this.isSolid) {
+            tui.util.forEachArray(data.bandData, function(bandDatum) {
+                gaugeSeriesSet.push(this._renderArc(bandDatum.angles, bandDatum.color));
+            }, this);
+        }
+
+        this._renderTicks(data.tickData, gaugeSeriesSet);
+
+        if (this.isSolid) {
+            this.valueGraph = this._renderArc({
+                startAngle: data.trackAngles.startAngle,
+                endAngle: valueAngle
+            }, this.valueData.color);
+            gaugeSeriesSet.push(this.valueGraph);
+        } else {
+            this.valueGraph = this._renderNeedle(valueAngle);
+            gaugeSeriesSet.push(this.valueGraph, this._renderNeedlePivot());
+        }
+
+        this.gaugeSeriesSet = gaugeSeriesSet;
+
+        return gaugeSeriesSet;
+    },
+
+    /**
+     * Render arc between angles.
+     * @param {{startAngle: number, endAngle: number}} angles - angles
+     * @param {string} color - color of arc
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderArc: function(angles, color) {
+        return this._renderSector({
+            paper: this.paper,
+            circleBound: this.circleBound,
+            angles: angles,
+            attrs: {
+                fill: color,
+                stroke: 'none'
+            }
+        });
+    },
+
+    /**
+     * Render tick lines and tick labels.
+     * @param {Array.<{start: object, end: object, labelPosition: object, label: string}>} tickData - tick data
+     * @param {object} gaugeSeriesSet - gauge series set
+     * @private
+     */
+    _renderTicks: function(tickData, gaugeSeriesSet) {
+        var paper = this.paper;
+        var labelTheme = this.theme.label;
+        var attributes = {
+            'font-size': labelTheme.fontSize,
+            'font-family': labelTheme.fontFamily,
+            'font-weight': labelTheme.fontWeight,
+            'text-anchor': 'middle',
+            fill: labelTheme.color
+        };
+
+        tui.util.forEachArray(tickData, function(tickDatum) {
+            var path = raphaelRenderUtil.makeLinePath(tickDatum.start, tickDatum.end);
+            var label = raphaelRenderUtil.renderText(paper, tickDatum.labelPosition, tickDatum.label, attributes);
+
+            label.node.style.userSelect = 'none';
+            label.node.style.cursor = 'default';
+
+            gaugeSeriesSet.push(raphaelRenderUtil.renderLine(paper, path, labelTheme.color, TICK_LINE_WIDTH), label);
+        });
+    },
+
+    /**
+     * Make transform for rotating needle to angle.
+     * @param {number} angle - angle
+     * @returns {string}
+     * @private
+     */
+    _makeNeedleTransform: function(angle) {
+        return 'r' + angle + ',' + this.circleBound.cx + ',' + this.circleBound.cy;
+    },
+
+    /**
+     * Render needle, which points 12 o'clock before being rotated to angle.
+     * @param {number} angle - angle of needle
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderNeedle: function(angle) {
+        var cx = this.circleBound.cx;
+        var cy = this.circleBound.cy;
+        var halfWidth = NEEDLE_WIDTH / 2;
+        var path = [
+            'M', cx - halfWidth, cy,
+            'L', cx, cy - this.valueData.needleLength,
+            'L', cx + halfWidth, cy,
+            'Z'
+        ];
+
+        return this.paper.path(path).attr({
+            fill: this.theme.needleColor,
+            stroke: 'none',
+            transform: this._makeNeedleTransform(angle)
+        });
+    },
+
+    /**
+     * Render pivot of needle.
+     * @returns {object} raphael object
+     * @private
+     */
+    _renderNeedlePivot: function() {
+        return raphaelRenderUtil.renderCircle(this.paper, {
+            left: this.circleBound.cx,
+            top: this.circleBound.cy
+        }, NEEDLE_PIVOT_RADIUS, {
+            fill: this.theme.needleColor,
+            stroke: 'none'
+        });
+    },
+
+    /**
+     * Animate needle or solid arc to angle of value.
+     * @param {function} callback callback
+     */
+    animate: function(callback) {
+        var circleBound = this.circleBound;
+        var startAngle = this.trackAngles.startAngle;
+        var angle = this.valueData.angle;
+        var attrMap = {};
+
+        if (this.isSolid) {
+            attrMap[this.sectorName] = [circleBound.cx, circleBound.cy, circleBound.r, startAngle, angle];
+        } else {
+            attrMap.transform = this._makeNeedleTransform(angle);
+        }
+
+        this.valueGraph.animate(raphael.animation(attrMap, ANIMATION_DURATION, '>'));
+
+        if (callback) {
+            this.callbackTimeout = setTimeout(callback, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of gauge chart.
+     * Gauge is rendered again with value at its angle, because count of ticks can be changed.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {{cx:number, cy:number, r: number}} params.circleBound circle bound
+     * @returns {object} gauge series set
+     */
+    resize: function(params) {
+        var dimension = params.dimension;
+
+        this.paper.setSize(dimension.width, dimension.height);
+        this.gaugeSeriesSet.remove();
+
+        return this._renderGauge(params, params.valueData.angle);
+    }
+});
+
+module.exports = RaphaelGaugeChart;
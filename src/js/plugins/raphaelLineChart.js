@@ -229,6 +229,28 @@ var RaphaelLineChart = tui.util.defineClass(RaphaelLineBase, /** @lends RaphaelL
         });
     },
 
+    /**
+     * Animate lines and dots from positions of previous data to positions of changed data.
+     * @param {{groupPositions: Array.<Array.<object>>, options: object}} params - data for rendering
+     */
+    animateForChangingData: function(params) {
+        var self = this;
+        var groupPositions = params.groupPositions;
+        var connectNulls = params.options.connectNulls;
+
+        this.groupPositions = groupPositions;
+        if (this.isSpline) {
+            this.groupPaths = this._getSplineLinesPath(groupPositions, connectNulls);
+        } else {
+            this.groupPaths = this._getLinesPath(groupPositions, connectNulls);
+        }
+
+        tui.util.forEachArray(this.groupLines, function(line, groupIndex) {
+            self._animateDotsForChangingData(self.groupDots[groupIndex], groupPositions[groupIndex]);
+            self._animateByPath(line, self.groupPaths[groupIndex]);
+        });
+    },
+
     renderSeriesLabel: function(paper, groupPositions, groupLabels, labelTheme) {
         var attributes = {
             'font-size': labelTheme.fontSize,
@@ -761,6 +761,33 @@ var RaphaelLineTypeBase = tui.util.defineClass(/** @lends RaphaelLineTypeBase.pr
         raphaelObj.animate(attr, MOVING_ANIMATION_DURATION);
     },
 
+    /**
+     * Animate dots to positions of changed data.
+     * @param {Array.<{endDot: {dot: object}, startDot: ?{dot: object}}>} dots - dots
+     * @param {Array.<{left: number, top: number, startTop: ?number}>} positions - positions
+     * @private
+     */
+    _animateDotsForChangingData: function(dots, positions) {
+        var self = this;
+
+        tui.util.forEachArray(dots, function(item, index) {
+            var position = positions[index];
+
+            if (!position) {
+                return;
+            }
+
+            self._animateByPosition(item.endDot.dot, position);
+
+            if (item.startDot) {
+                self._animateByPosition(item.startDot.dot, {
+                    left: position.left,
+                    top: position.startTop
+                });
+            }
+        });
+    },
+
     /**
      * Remove first dot.
      * @param {Array.<object>} dots - dots
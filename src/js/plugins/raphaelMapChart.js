@@ -7,13 +7,18 @@
 'use strict';
 
 var raphaelRenderUtil = require('./raphaelRenderUtil');
+var chartConst = require('../const');
 var dom = require('../helpers/domHandler');
 var browser = tui.util.browser;
 
 var IS_LTE_THAN_IE8 = browser.msie && browser.version <= 8;
 var STROKE_COLOR = 'gray';
 var ANIMATION_DURATION = 100;
+var UPDATING_ANIMATION_DURATION = 700;
 var G_ID = 'tui-chart-series-group';
+var POINT_STROKE_COLOR = '#ffffff';
+var BUBBLE_OPACITY = 0.7;
+var DRILLDOWN_ANIMATION_DURATION = 500;
 
 /**
  * @classdesc RaphaelMapCharts is graph renderer for map chart.
@@ -28,6 +33,7 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
      *      @param {{width: number, height: number}} data.dimension series dimension
      *      @param {Array.<{code: string, path: string}>} data.map mapData
      *      @param {ColorSpectrum} data.colorSpectrum color model
+     *      @param {?{data: Array.<object>, type: string, maxRadius: ?number, color: string}} data.points points
      */
     render: function(paper, data) {
         var mapDimension = data.mapModel.getMapDimension();
@@ -36,8 +42,11 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
         this.dimension = data.layout.dimension;
         this.position = data.layout.position;
         this.paper = paper;
+        this.colorSpectrum = data.colorSpectrum;
+        this.noData = data.colorSpectrum.noData;
         this.sectorSet = paper.set();
         this.sectors = this._renderMap(data, this.ratio);
+        this.points = this._renderPoints(data.points);
 
         if (!IS_LTE_THAN_IE8) {
             this.g = createGElement(paper, this.sectorSet, G_ID);
@@ -71,11 +80,11 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
         var sectorSet = this.sectorSet;
         var position = data.layout.position;
         var paper = this.paper;
-        var colorSpectrum = data.colorSpectrum;
+        var self = this;
 
         return tui.util.map(data.mapModel.getMapData(), function(datum, index) {
-            var ratio = datum.ratio || 0;
-            var color = colorSpectrum.getColor(ratio);
+            var color = self._makeSectorColor(datum.ratio);
+            var renderedSector;
             var sector = raphaelRenderUtil.renderArea(paper, datum.path, {
                 fill: color,
                 opacity: 1,
@@ -89,14 +98,168 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
 
             sectorSet.push(sector);
 
-            return {
+            renderedSector = {
                 sector: sector,
                 color: color,
-                ratio: datum.ratio
+                ratio: datum.ratio,
+                isNoData: self._isNoData(datum.ratio)
             };
+            self._fillNoDataPattern(renderedSector);
+
+            return renderedSector;
         });
     },
 
+    /**
+     * Whether region is area of no data or not, which is styled by noData option.
+     * @param {?number} ratio - ratio of value of region
+     * @returns {boolean}
+     * @private
+     */
+    _isNoData: function(ratio) {
+        return !!this.noData && tui.util.isUndefined(ratio);
+    },
+
+    /**
+     * Make fill color of sector.
+     * Color of noData option is used for region without value.
+     * @param {?number} ratio - ratio of value of region
+     * @returns {string}
+     * @private
+     */
+    _makeSectorColor: function(ratio) {
+        return this._isNoData(ratio) ? this.noData.color : this.colorSpectrum.getColor(ratio || 0);
+    },
+
+    /**
+     * Fill sector of no data with hatch pattern, when pattern of noData option is true.
+     * @param {{sector: object, color: string, isNoData: boolean}} renderedSector - rendered sector information
+     * @private
+     */
+    _fillNoDataPattern: function(renderedSector) {
+        if (renderedSector.isNoData && this.noData.pattern) {
+            raphaelRenderUtil.fillWithHatchPattern(this.paper, renderedSector.sector, renderedSector.color, this.ratio);
+        }
+    },
+
+    /**
+     * Render points like markers and bubbles on map.
+     * Points use same transform with sectors, because they are positioned by coordinate of map.
+     * Bigger bubbles are rendered earlier for keeping smaller bubbles to be hovered.
+     * @param {?{data: Array.<object>, type: string, maxRadius: ?number, color: string}} points points
+     * @returns {Array.<{point: object, color: string}>} rendered points information
+     * @private
+     */
+    _renderPoints: function(points) {
+        var paper = this.paper;
+        var sectorSet = this.sectorSet;
+        var dimensionRatio = this.ratio;
+        var position = this.position;
+        var renderedPoints = [];
+        var isBubble, indexes;
+
+        if (!points || !points.data.length) {
+            return renderedPoints;
+        }
+
+        isBubble = points.type === chartConst.MAP_POINT_TYPE_BUBBLE;
+        indexes = tui.util.range(0, points.data.length);
+
+        if (isBubble) {
+            indexes.sort(function(a, b) {
+                return (points.data[b].ratio || 0) - (points.data[a].ratio || 0);
+            });
+        }
+
+        tui.util.forEachArray(indexes, function(index) {
+            var datum = points.data[index];
+            var color = datum.color || points.color;
+            var radius = chartConst.MAP_MARKER_RADIUS;
+            var point;
+
+            if (isBubble) {
+                radius = Math.max(points.maxRadius * (datum.ratio || 0), chartConst.MAP_BUBBLE_MIN_RADIUS);
+            }
+
+            point = raphaelRenderUtil.renderCircle(paper, {
+                left: datum.coordinate.x,
+                top: datum.coordinate.y
+            }, radius / dimensionRatio, {
+                fill: color,
+                'fill-opacity': isBubble ? BUBBLE_OPACITY : 1,
+                stroke: POINT_STROKE_COLOR,
+                'stroke-width': 1 / dimensionRatio,
+                transform: 's' + dimensionRatio + ',' + dimensionRatio + ',0,0'
+                    + 't' + (position.left / dimensionRatio) + ',' + (position.top / dimensionRatio)
+            });
+
+            point.data('pointIndex', index);
+            sectorSet.push(point);
+
+            renderedPoints[index] = {
+                point: point,
+                color: color
+            };
+        });
+
+        return renderedPoints;
+    },
+
+    /**
+     * Update points, when data of map is changed.
+     * @param {?{data: Array.<object>, type: string, maxRadius: ?number, color: string}} points points
+     */
+    updatePoints: function(points) {
+        var self = this;
+
+        tui.util.forEachArray(this.points, function(renderedPoint) {
+            self.sectorSet.exclude(renderedPoint.point);
+            renderedPoint.point.remove();
+        });
+
+        this.points = this._renderPoints(points);
+
+        if (this.g) {
+            tui.util.forEachArray(this.points, function(renderedPoint) {
+                dom.append(self.g, renderedPoint.point.node);
+            });
+        }
+    },
+
+    /**
+     * Find index of point like marker and bubble.
+     * @param {{left: number, top: number}} position position
+     * @returns {?number} found index
+     */
+    findPointIndex: function(position) {
+        var element = this.paper.getElementByPoint(position.left, position.top);
+        var foundIndex = element && element.data('pointIndex');
+
+        return tui.util.isExisty(foundIndex) ? foundIndex : null;
+    },
+
+    /**
+     * Change color of point.
+     * @param {number} index index
+     */
+    changePointColor: function(index) {
+        this.points[index].point.animate({
+            fill: this.overColor
+        }, ANIMATION_DURATION, '>');
+    },
+
+    /**
+     * Restore color of point.
+     * @param {number} index index
+     */
+    restorePointColor: function(index) {
+        var renderedPoint = this.points[index];
+
+        renderedPoint.point.animate({
+            fill: renderedPoint.color
+        }, ANIMATION_DURATION, '>');
+    },
+
     /**
      * Find sector index.
      * @param {{left: number, top: number}} position position
@@ -107,7 +270,7 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
             foundIndex = sector && sector.data('index'),
             data = !tui.util.isUndefined(foundIndex) && this.sectors[foundIndex];
 
-        return data && !tui.util.isUndefined(data.ratio) ? foundIndex : null;
+        return data && (!tui.util.isUndefined(data.ratio) || data.isNoData) ? foundIndex : null;
     },
 
     /**
@@ -128,10 +291,124 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
      */
     restoreColor: function(index) {
         var sector = this.sectors[index];
+        var self = this;
 
         sector.sector.animate({
             fill: sector.color
-        }, ANIMATION_DURATION, '>');
+        }, ANIMATION_DURATION, '>', function() {
+            self._fillNoDataPattern(sector);
+        });
+    },
+
+    /**
+     * Update colors of sectors with animation, when data of map is changed.
+     * @param {Array.<{ratio: ?number}>} mapData - map data
+     * @param {ColorSpectrum} colorSpectrum - color model
+     */
+    updateColors: function(mapData, colorSpectrum) {
+        var self = this;
+
+        this.colorSpectrum = colorSpectrum;
+
+        tui.util.forEachArray(this.sectors, function(sector, index) {
+            var ratio = mapData[index].ratio;
+
+            sector.color = self._makeSectorColor(ratio);
+            sector.ratio = ratio;
+            sector.isNoData = self._isNoData(ratio);
+            sector.sector.animate({
+                fill: sector.color
+            }, UPDATING_ANIMATION_DURATION, '>', function() {
+                self._fillNoDataPattern(sector);
+            });
+        });
+    },
+
+    /**
+     * Make transform for fitting bound of map to series area.
+     * @param {?{dimension: {width: number, height: number}, position: {left: number, top: number}}} bound
+     *          bound of region on map, whole map is fitted when it is null
+     * @returns {string} transform
+     * @private
+     */
+    _makeFittingTransform: function(bound) {
+        var ratio = this.ratio;
+        var left = this.position.left;
+        var top = this.position.top;
+        var boundDimension = bound && bound.dimension;
+
+        if (boundDimension && boundDimension.width && boundDimension.height) {
+            ratio = Math.min(this.dimension.width / boundDimension.width,
+                this.dimension.height / boundDimension.height);
+            left += ((this.dimension.width - (boundDimension.width * ratio)) / 2) - (bound.position.left * ratio);
+            top += ((this.dimension.height - (boundDimension.height * ratio)) / 2) - (bound.position.top * ratio);
+        }
+
+        return 's' + ratio + ',' + ratio + ',0,0t' + (left / ratio) + ',' + (top / ratio);
+    },
+
+    /**
+     * Animate sectors and points of map.
+     * @param {object} attributes - attributes for animation
+     * @param {function} [callback] - callback, which is called after animation
+     * @private
+     */
+    _animateMap: function(attributes, callback) {
+        callback = callback || function() {};
+
+        if (!this.sectorSet.length) {
+            callback();
+
+            return;
+        }
+
+        this.sectorSet.animate(attributes, DRILLDOWN_ANIMATION_DURATION, '>', callback);
+    },
+
+    /**
+     * Zoom in to bound of region with fading out, before map is changed to child map of region.
+     * Zoom and move of map by user are discarded.
+     * @param {{dimension: object, position: object}} bound - bound of region on map
+     * @param {function} callback - callback, which is called after animation
+     */
+    zoomInBound: function(bound, callback) {
+        if (this.g) {
+            this.g.removeAttribute('transform');
+        }
+
+        this._animateMap({
+            transform: this._makeFittingTransform(bound),
+            opacity: 0
+        }, callback);
+    },
+
+    /**
+     * Zoom out from bound of region with fading in, after map is changed to parent map of region.
+     * @param {{dimension: object, position: object}} bound - bound of region on map
+     */
+    zoomOutFromBound: function(bound) {
+        this.sectorSet.attr({
+            transform: this._makeFittingTransform(bound),
+            opacity: 0
+        });
+
+        this._animateMap({
+            transform: this._makeFittingTransform(null),
+            opacity: 1
+        });
+    },
+
+    /**
+     * Fade in map, after map is changed to child map.
+     */
+    fadeIn: function() {
+        this.sectorSet.attr({
+            opacity: 0
+        });
+
+        this._animateMap({
+            opacity: 1
+        });
     },
 
     /**
@@ -282,6 +559,16 @@ var RaphaelMapChart = tui.util.defineClass(/** @lends RaphaelMapChart.prototype
         });
 
         return set;
+    },
+
+    /**
+     * Destroy.
+     * Stop animation of drilldown, for not calling its callback after chart is destroyed.
+     */
+    destroy: function() {
+        if (this.sectorSet) {
+            this.sectorSet.stop();
+        }
     }
 });
 
@@ -14,6 +14,7 @@ var DEGREE_HORIZONTAL_BAR = 360;
 var DEGREE_VERTICAL_BAR = 270;
 var GAP_BETWEEN_LABEL_AND_LEGEND_BAR = 35;
 var TICK_BAR_LENGTH = 15;
+var NO_DATA_LABEL_PADDING = 5;
 
 /**
  * @classdesc RaphaelMapLegend is graph renderer for map chart legend.
@@ -23,6 +24,7 @@ var TICK_BAR_LENGTH = 15;
 var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototype */ {
     /**
      * Render function of map chart legend.
+     * Classed color scale is rendered as swatches of classes instead of gradient bar.
      * @param {object} paper raphael paper
      * @param {object} layout legend layout
      * @param {ColorSpectrum} colorSpectrum map chart color model
@@ -30,14 +32,19 @@ var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototyp
      * @param {Array.<object>} legendSet legend set
      */
     render: function(paper, layout, colorSpectrum, isHorizontal, legendSet) {
-        var gradientBar;
+        var gradientBar = null;
 
         layout.position.left += PADDING;
         layout.position.top += PADDING;
 
-        gradientBar = this._renderGradientBar(paper, layout, colorSpectrum, isHorizontal);
-
-        legendSet.push(gradientBar);
+        if (colorSpectrum.isClassed()) {
+            tui.util.forEachArray(this._renderSwatches(paper, layout, colorSpectrum, isHorizontal), function(swatch) {
+                legendSet.push(swatch);
+            });
+        } else {
+            gradientBar = this._renderGradientBar(paper, layout, colorSpectrum, isHorizontal);
+            legendSet.push(gradientBar);
+        }
 
         this.wedge = this._renderWedge(paper, layout.position);
         legendSet.push(this.wedge);
@@ -76,7 +83,39 @@ var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototyp
     },
 
     /**
-     * Render gradient bar.
+     * Render swatch of no data, which is separated from gradient bar or swatches of classes, and label of it.
+     * @param {object} paper raphael paper
+     * @param {{left: number, top: number}} position position of swatch
+     * @param {{color: string, pattern: boolean, label: string}} noData style of area without value
+     * @param {Array.<object>} legendSet legend set
+     */
+    renderNoDataSwatch: function(paper, position, noData, legendSet) {
+        var size = chartConst.MAP_LEGEND_NO_DATA_SWATCH_SIZE;
+        var swatch = raphaelRenderUtil.renderRect(paper, {
+            left: position.left,
+            top: position.top,
+            width: size,
+            height: size
+        }, {
+            fill: noData.color,
+            stroke: 'none'
+        });
+
+        if (noData.pattern) {
+            raphaelRenderUtil.fillWithHatchPattern(paper, swatch, noData.color);
+        }
+
+        legendSet.push(swatch);
+        legendSet.push(raphaelRenderUtil.renderText(paper, {
+            left: position.left + size + NO_DATA_LABEL_PADDING,
+            top: position.top + (size / 2)
+        }, noData.label, {
+            'text-anchor': 'start'
+        }));
+    },
+
+    /**
+     * Render gradient bar, which has color stops of continuous color scale.
      * @param {object} paper raphael object
      * @param {object} layout legend layout
      * @param {ColorSpectrum} colorSpectrum map chart color model
@@ -85,30 +124,71 @@ var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototyp
      * @private
      */
     _renderGradientBar: function(paper, layout, colorSpectrum, isHorizontal) {
+        var degree = isHorizontal ? DEGREE_HORIZONTAL_BAR : DEGREE_VERTICAL_BAR;
+        var stops = colorSpectrum.getGradientStops();
+        var lastIndex = stops.length - 1;
+        var fill = tui.util.map(stops, function(stop, index) {
+            var isEdge = !index || index === lastIndex;
+
+            return isEdge ? stop.color : stop.color + ':' + (Math.round(stop.ratio * 10000) / 100);
+        });
+
+        return raphaelRenderUtil.renderRect(paper, this._makeBarBound(layout, isHorizontal), {
+            fill: degree + '-' + fill.join('-'),
+            stroke: 'none'
+        });
+    },
+
+    /**
+     * Render swatches of classes of classed color scale, instead of gradient bar.
+     * @param {object} paper raphael object
+     * @param {object} layout legend layout
+     * @param {ColorSpectrum} colorSpectrum map chart color model
+     * @param {boolean} isHorizontal whether horizontal legend or not
+     * @returns {Array.<object>}
+     * @private
+     */
+    _renderSwatches: function(paper, layout, colorSpectrum, isHorizontal) {
+        var barBound = this._makeBarBound(layout, isHorizontal);
+        var sizeType = isHorizontal ? 'width' : 'height';
+        var positionType = isHorizontal ? 'left' : 'top';
+
+        return tui.util.map(colorSpectrum.getClasses(), function(classDatum) {
+            var bound = tui.util.extend({}, barBound);
+
+            bound[positionType] += barBound[sizeType] * classDatum.start;
+            bound[sizeType] = barBound[sizeType] * (classDatum.end - classDatum.start);
+
+            return raphaelRenderUtil.renderRect(paper, bound, {
+                fill: classDatum.color,
+                stroke: 'none'
+            });
+        });
+    },
+
+    /**
+     * Make bound of gradient bar or swatches, and set function for making path of wedge.
+     * @param {object} layout legend layout
+     * @param {boolean} isHorizontal whether horizontal legend or not
+     * @returns {{left: number, top: number, width: number, height: number}}
+     * @private
+     */
+    _makeBarBound: function(layout, isHorizontal) {
         var rectHeight = layout.dimension.height;
-        var left = layout.position.left;
-        var degree, bound;
 
         if (isHorizontal) {
             rectHeight -= PADDING;
-            degree = DEGREE_HORIZONTAL_BAR;
             this._makeWedghPath = this._makeHorizontalWedgePath;
         } else {
-            degree = DEGREE_VERTICAL_BAR;
             this._makeWedghPath = this._makeVerticalWedgePath;
         }
 
-        bound = {
-            left: left,
+        return {
+            left: layout.position.left,
             top: layout.position.top,
             width: layout.dimension.width - PADDING,
             height: rectHeight
         };
-
-        return raphaelRenderUtil.renderRect(paper, bound, {
-            fill: degree + '-' + colorSpectrum.start + '-' + colorSpectrum.end,
-            stroke: 'none'
-        });
     },
 
     /**
@@ -200,7 +280,13 @@ var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototyp
      */
     removeLocationURLFromFillAttribute: function() {
         var gradientBar = this.gradientBar;
-        var fillURL = gradientBar.node.getAttribute('fill');
+        var fillURL;
+
+        if (!gradientBar) {
+            return;
+        }
+
+        fillURL = gradientBar.node.getAttribute('fill');
         this.locationURL = /url\('?([^#]+)#[^#]+'?\)/.exec(fillURL)[1];
 
         gradientBar.node.setAttribute('fill', fillURL.replace(this.locationURL, ''));
@@ -212,7 +298,13 @@ var RaphaelMapLegend = tui.util.defineClass(/** @lends RaphaelMapLegend.prototyp
      */
     restoreLocationURLToFillAttribute: function() {
         var gradientBar = this.gradientBar;
-        var fillURL = gradientBar.node.getAttribute('fill');
+        var fillURL;
+
+        if (!gradientBar) {
+            return;
+        }
+
+        fillURL = gradientBar.node.getAttribute('fill');
 
         gradientBar.node.setAttribute('fill', fillURL.replace('#', this.locationURL + '#'));
     }
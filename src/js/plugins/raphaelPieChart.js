@@ -412,7 +412,7 @@ var RaphaelPieChart = tui.util.defineClass(/** @lends RaphaelPieChart.prototype
         });
 
         if (callback) {
-            setTimeout(callback, delayTime);
+            this.callbackTimeout = setTimeout(callback, delayTime);
         }
     },
 
@@ -473,6 +473,37 @@ var RaphaelPieChart = tui.util.defineClass(/** @lends RaphaelPieChart.prototype
         });
     },
 
+    /**
+     * Animate sectors from angles of previous data to angles of changed data.
+     * @param {object} params parameters
+     *      @param {Array.<object>} params.sectorData sector data
+     *      @param {{cx:number, cy:number, r: number}} params.circleBound circle bound
+     */
+    animateForChangingData: function(params) {
+        var circleBound = params.circleBound;
+        var sectorName = this.sectorName;
+        var sectorArgs = [circleBound.cx, circleBound.cy, circleBound.r];
+
+        this.circleBound = circleBound;
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo, index) {
+            var sectorDatum = params.sectorData[index];
+            var angles = sectorDatum.angles.end;
+            var attrMap = {
+                fill: sectorInfo.color
+            };
+
+            if ((angles.startAngle === 0) && (angles.endAngle === DEGREE_360)) {
+                angles.endAngle = DEGREE_360 - MIN_DEGREE;
+            }
+
+            sectorInfo.angles = angles;
+            sectorInfo.ratio = sectorDatum.ratio;
+            attrMap[sectorName] = sectorArgs.concat([angles.startAngle, angles.endAngle]);
+            sectorInfo.sector.animate(attrMap, LOADING_ANIMATION_DURATION, '>');
+        });
+    },
+
     /**
      * Move legend lines.
      * @param {Array.<object>} outerPositions outer positions
@@ -683,6 +714,15 @@ var RaphaelPieChart = tui.util.defineClass(/** @lends RaphaelPieChart.prototype
         this.labelSet = labelSet;
 
         return labelSet;
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
     }
 });
 
@@ -0,0 +1,438 @@
+/**
+ * @fileoverview RaphaelPolarAreaChart is graph renderer for polar area chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelPieChart = require('./raphaelPieChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var HOVER_LUMINANT_VALUE = 0.2;
+var TOOLTIP_OFFSET_VALUE = 20;
+
+/**
+ * @classdesc RaphaelPolarAreaChart is graph renderer for polar area chart.
+ * @class RaphaelPolarAreaChart
+ * @private
+ */
+var RaphaelPolarAreaChart = tui.util.defineClass(RaphaelPieChart, /** @lends RaphaelPolarAreaChart.prototype */ {
+    /**
+     * Sector data of polar area chart has radius ranges of stacked sectors, which pie chart can not animate,
+     * so graph is rendered again instead of being animated, when data is changed.
+     * @type {null}
+     * @override
+     */
+    animateForChangingData: null,
+
+    /**
+     * Render function of polar area chart.
+     * Sectors are rendered by donut sector of pie chart, with inner radius of stacked sector.
+     * @param {object} paper Raphael paper
+     * @param {{
+     *      circleBound: {cx: number, cy: number, r: number},
+     *      sectorData: Array.<object>, theme: object, options: object
+     * }} data render data
+     * @param {object} callbacks callbacks
+     *      @param {function} callbacks.showTooltip show tooltip function
+     *      @param {function} callbacks.hideTooltip hide tooltip function
+     * @returns {object} polar area series set
+     */
+    render: function(paper, data, callbacks) {
+        var polarAreaSeriesSet = paper.set();
+
+        /**
+         * raphael object
+         * @type {object}
+         */
+        this.paper = paper;
+
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = data.chartType;
+
+        /**
+         * theme of series
+         * @type {object}
+         */
+        this.theme = data.theme;
+
+        /**
+         * functions for tooltip control
+         * @type {{showTooltip: Function, hideTooltip: Function}}
+         */
+        this.callbacks = callbacks;
+
+        /**
+         * bound for circle
+         * @type {{cx: number, cy: number, r: number}}
+         */
+        this.circleBound = data.circleBound;
+
+        /**
+         * ratio for hole, sectors start from center, unless they are stacked
+         * @type {number}
+         */
+        this.holeRatio = 0;
+
+        /**
+         * sector attr's name for draw graph
+         * @type {string}
+         */
+        this.sectorName = 'sector_' + this.chartType;
+
+        /**
+         * color for selection
+         * @type {?string}
+         */
+        this.selectionColor = data.theme.selectionColor;
+
+        /**
+         * selected sector information
+         * @type {?object}
+         */
+        this.selectedSectorInfo = null;
+
+        this._setSectorAttr();
+
+        this.sectorInfos = this._renderSectors(data.sectorData, polarAreaSeriesSet);
+
+        /**
+         * previous mouse position
+         * @type {{left: number, top: number}}
+         */
+        this.prevPosition = null;
+
+        /**
+         * previous hover sector
+         * @type {object}
+         */
+        this.prevHoverSector = null;
+
+        return polarAreaSeriesSet;
+    },
+
+    /**
+     * Set sector attribute for raphael paper.
+     * Every sector of polar area chart is donut sector, which inner radius is decided by sector datum.
+     * @private
+     * @override
+     */
+    _setSectorAttr: function() {
+        if (this.paper.customAttributes[this.sectorName]) {
+            return;
+        }
+
+        this.paper.customAttributes[this.sectorName] = tui.util.bind(this._makeDonutSectorPath, this);
+    },
+
+    /**
+     * Make arguments of sector attr.
+     * @param {{angles: object, radiusRange: {inner: number, outer: number}}} sectorDatum - sector datum
+     * @param {boolean} [isStart] - whether start of animation or not, which has no size
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeSectorArgs: function(sectorDatum, isStart) {
+        var circleBound = this.circleBound;
+        var radiusRange = sectorDatum.radiusRange;
+        var outerRadius = isStart ? radiusRange.inner : radiusRange.outer;
+
+        return [circleBound.cx, circleBound.cy, outerRadius, sectorDatum.angles.startAngle,
+            sectorDatum.angles.endAngle, radiusRange.inner];
+    },
+
+    /**
+     * Render sectors.
+     * @param {Array.<object>} sectorData - sector data
+     * @param {object} polarAreaSeriesSet - polar area series set
+     * @returns {Array.<{sector: object, color: string, sectorDatum: object}>}
+     * @private
+     */
+    _renderSectors: function(sectorData, polarAreaSeriesSet) {
+        var self = this;
+        var colors = this.theme.colors;
+        var borderColor = this.theme.borderColor;
+
+        return tui.util.map(sectorData, function(sectorDatum) {
+            var color = colors[sectorDatum.index];
+            var attrs = {
+                fill: color,
+                stroke: borderColor,
+                'stroke-width': 1
+            };
+            var sector;
+
+            attrs[self.sectorName] = self._makeSectorArgs(sectorDatum, true);
+            sector = self.paper.path().attr(attrs);
+            sector.data('groupIndex', sectorDatum.groupIndex);
+            sector.data('index', sectorDatum.index);
+            sector.data('chartType', self.chartType);
+            polarAreaSeriesSet.push(sector);
+
+            return {
+                sector: sector,
+                color: color,
+                sectorDatum: sectorDatum
+            };
+        });
+    },
+
+    /**
+     * Animate.
+     * Sectors grow from their inner radius.
+     * @param {function} callback callback
+     */
+    animate: function(callback) {
+        var self = this;
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo) {
+            var attrMap = {};
+
+            attrMap[self.sectorName] = self._makeSectorArgs(sectorInfo.sectorDatum);
+            sectorInfo.sector.animate(raphael.animation(attrMap, ANIMATION_DURATION, '>'));
+        });
+
+        if (callback) {
+            this.callbackTimeout = setTimeout(callback, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of polar area chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {{cx:number, cy:number, r: number}} params.circleBound circle bound
+     *      @param {Array.<object>} params.sectorData sector data
+     */
+    resize: function(params) {
+        var self = this;
+
+        this.circleBound = params.circleBound;
+        this.paper.setSize(params.dimension.width, params.dimension.height);
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo, index) {
+            var attrs = {};
+
+            sectorInfo.sectorDatum = params.sectorData[index];
+            attrs[self.sectorName] = self._makeSectorArgs(sectorInfo.sectorDatum);
+            sectorInfo.sector.attr(attrs);
+        });
+    },
+
+    /**
+     * Find sector information by mouse position.
+     * @param {{left: number, top: number}} position - mouse position
+     * @returns {?{groupIndex: number, index: number, chartType: string}}
+     * @override
+     */
+    findSectorInfo: function(position) {
+        var sector = this.paper.getElementByPoint(position.left, position.top);
+
+        if (!this._isValidSector(sector)) {
+            return null;
+        }
+
+        return {
+            groupIndex: sector.data('groupIndex'),
+            index: sector.data('index'),
+            chartType: sector.data('chartType')
+        };
+    },
+
+    /**
+     * Move mouse on series.
+     * @param {{left: number, top: number}} position mouse position
+     * @override
+     */
+    moveMouseOnSeries: function(position) {
+        var sector = this.paper.getElementByPoint(position.left, position.top);
+
+        if (this._isValidSector(sector)) {
+            if (this.prevHoverSector !== sector || this._isChangedPosition(this.prevPosition, position)) {
+                this.callbacks.showTooltip({}, sector.data('groupIndex'), sector.data('index'), {
+                    left: position.left - TOOLTIP_OFFSET_VALUE,
+                    top: position.top - TOOLTIP_OFFSET_VALUE
+                });
+            }
+            this.prevHoverSector = sector;
+        } else if (this.prevHoverSector) {
+            this.callbacks.hideTooltip();
+            this.prevHoverSector = null;
+        }
+
+        this.prevPosition = position;
+    },
+
+    /**
+     * Find sector information of indexes.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     * @returns {?object}
+     * @private
+     */
+    _findSectorInfo: function(indexes) {
+        var foundSectorInfo = null;
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo) {
+            var sectorDatum = sectorInfo.sectorDatum;
+
+            if (sectorDatum.groupIndex === indexes.groupIndex && sectorDatum.index === indexes.index) {
+                foundSectorInfo = sectorInfo;
+            }
+
+            return !foundSectorInfo;
+        });
+
+        return foundSectorInfo;
+    },
+
+    /**
+     * Get base color of sector, which is selection color for selected sector.
+     * @param {object} sectorInfo - sector information
+     * @returns {string}
+     * @private
+     */
+    _getBaseColor: function(sectorInfo) {
+        var color = sectorInfo.color;
+
+        if (sectorInfo === this.selectedSectorInfo) {
+            color = this.selectionColor || raphaelRenderUtil.makeChangedLuminanceColor(color, HOVER_LUMINANT_VALUE);
+        }
+
+        return color;
+    },
+
+    /**
+     * Emphasize sectors by brightening their colors.
+     * @param {Array.<object>} sectorInfos - information of sectors
+     * @param {boolean} isEmphasized - whether emphasized or not
+     * @private
+     */
+    _emphasizeSectors: function(sectorInfos, isEmphasized) {
+        var self = this;
+
+        tui.util.forEachArray(sectorInfos, function(sectorInfo) {
+            var color = self._getBaseColor(sectorInfo);
+
+            if (isEmphasized) {
+                color = raphaelRenderUtil.makeChangedLuminanceColor(color, HOVER_LUMINANT_VALUE);
+            }
+
+            sectorInfo.sector.attr({
+                fill: color
+            });
+        });
+    },
+
+    /**
+     * Show animation of hovered sector.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     */
+    showAnimation: function(indexes) {
+        var sectorInfo = this._findSectorInfo(indexes);
+
+        if (sectorInfo) {
+            this._emphasizeSectors([sectorInfo], true);
+        }
+    },
+
+    /**
+     * Hide animation of hovered sector.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     */
+    hideAnimation: function(indexes) {
+        var sectorInfo = this._findSectorInfo(indexes);
+
+        if (sectorInfo) {
+            this._emphasizeSectors([sectorInfo], false);
+        }
+    },
+
+    /**
+     * Filter information of sectors of category.
+     * @param {number} groupIndex - index of category
+     * @returns {Array.<object>}
+     * @private
+     */
+    _filterSectorInfosOfGroup: function(groupIndex) {
+        return tui.util.filter(this.sectorInfos, function(sectorInfo) {
+            return sectorInfo.sectorDatum.groupIndex === groupIndex;
+        });
+    },
+
+    /**
+     * Show animation of sectors of category for group tooltip.
+     * @param {number} index - index of category
+     */
+    showGroupAnimation: function(index) {
+        this._emphasizeSectors(this._filterSectorInfosOfGroup(index), true);
+    },
+
+    /**
+     * Hide animation of sectors of category for group tooltip.
+     * @param {number} index - index of category
+     */
+    hideGroupAnimation: function(index) {
+        this._emphasizeSectors(this._filterSectorInfosOfGroup(index), false);
+    },
+
+    /**
+     * Select series.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     * @override
+     */
+    selectSeries: function(indexes) {
+        var prevSectorInfo = this.selectedSectorInfo;
+
+        this.selectedSectorInfo = this._findSectorInfo(indexes);
+
+        if (prevSectorInfo) {
+            this._emphasizeSectors([prevSectorInfo], false);
+        }
+
+        if (this.selectedSectorInfo) {
+            this._emphasizeSectors([this.selectedSectorInfo], false);
+        }
+    },
+
+    /**
+     * Unselect series.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     * @override
+     */
+    unselectSeries: function(indexes) {
+        var sectorInfo = this._findSectorInfo(indexes);
+
+        if (sectorInfo && sectorInfo === this.selectedSectorInfo) {
+            this.selectedSectorInfo = null;
+            this._emphasizeSectors([sectorInfo], false);
+        }
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     * @override
+     */
+    selectLegend: function(legendIndex) {
+        var isNull = tui.util.isNull(legendIndex);
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo) {
+            var isSelected = isNull || legendIndex === sectorInfo.sectorDatum.index;
+
+            sectorInfo.sector.attr({
+                'fill-opacity': isSelected ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY
+            });
+        });
+    }
+});
+
+module.exports = RaphaelPolarAreaChart;
@@ -8,6 +8,7 @@
 
 var RaphaelLineTypeBase = require('./raphaelLineTypeBase');
 var raphaelRenderUtil = require('./raphaelRenderUtil');
+var predicate = require('../helpers/predicate');
 
 var EMPHASIS_OPACITY = 1;
 var DE_EMPHASIS_OPACITY = 0.3;
@@ -62,9 +63,13 @@ var RaphaelRadialLineSeries = tui.util.defineClass(RaphaelLineTypeBase, /** @len
         this.theme = data.theme;
         this.dimension = dimension;
         this.position = data.position;
+        this.isStacked = predicate.isValidStackOption(data.options.stackType);
+        this.pivotGroupDots = null;
+        this.groupAreas = null;
 
         if (isShowArea) {
-            this.groupAreas = this._renderArea(paper, groupPaths, colors, radialSeriesSet);
+            this.groupAreas = this._renderArea(paper, this._getAreasPath(groupPositions, groupPaths), colors,
+                radialSeriesSet);
         }
 
         this.groupLines = this._renderLines(paper, groupPaths, colors, lineWidth, radialSeriesSet);
@@ -99,6 +104,35 @@ var RaphaelRadialLineSeries = tui.util.defineClass(RaphaelLineTypeBase, /** @len
         });
     },
 
+    /**
+     * Get areas path.
+     * Area of stacked series is rendered between its positions and start positions,
+     * by adding path of start positions in reverse direction.
+     * @param {Array.<Array.<{left: number, top: number, startLeft: ?number, startTop: ?number}>>} groupPositions
+     *      positions
+     * @param {Array.<Array.<string>>} groupPaths paths of lines
+     * @returns {Array.<Array.<string>>} path
+     * @private
+     */
+    _getAreasPath: function(groupPositions, groupPaths) {
+        var self = this;
+
+        if (!this.isStacked) {
+            return groupPaths;
+        }
+
+        return tui.util.map(groupPositions, function(positions, groupIndex) {
+            var startPositions = tui.util.map(positions, function(position) {
+                return position ? {
+                    left: position.startLeft,
+                    top: position.startTop
+                } : null;
+            }).reverse();
+
+            return groupPaths[groupIndex].concat(self._makeLinesPath(startPositions));
+        });
+    },
+
     /**
      * Render lines.
      * @param {object} paper raphael paper
@@ -156,15 +190,20 @@ var RaphaelRadialLineSeries = tui.util.defineClass(RaphaelLineTypeBase, /** @len
     resize: function(params) {
         var self = this,
             dimension = params.dimension,
-            groupPositions = params.groupPositions;
+            groupPositions = params.groupPositions,
+            groupAreaPaths;
 
         this.groupPositions = groupPositions;
         this.groupPaths = this._getLinesPath(groupPositions);
+        groupAreaPaths = this._getAreasPath(groupPositions, this.groupPaths);
         this.paper.setSize(dimension.width, dimension.height);
 
         tui.util.forEachArray(this.groupPaths, function(path, groupIndex) {
             self.groupLines[groupIndex].attr({path: path.join(' ')});
-            self.groupAreas[groupIndex].attr({path: path.join(' ')});
+
+            if (self.groupAreas) {
+                self.groupAreas[groupIndex].attr({path: groupAreaPaths[groupIndex].join(' ')});
+            }
 
             tui.util.forEachArray(self.groupDots[groupIndex], function(item, index) {
                 self._moveDot(item.endDot.dot, groupPositions[groupIndex][index]);
@@ -172,6 +211,29 @@ var RaphaelRadialLineSeries = tui.util.defineClass(RaphaelLineTypeBase, /** @len
         });
     },
 
+    /**
+     * Animate areas, lines and dots from positions of previous data to positions of changed data.
+     * @param {{groupPositions: Array.<Array.<object>>}} params - data for rendering
+     */
+    animateForChangingData: function(params) {
+        var self = this;
+        var groupPositions = params.groupPositions;
+        var groupAreaPaths;
+
+        this.groupPositions = groupPositions;
+        this.groupPaths = this._getLinesPath(groupPositions);
+        groupAreaPaths = this._getAreasPath(groupPositions, this.groupPaths);
+
+        tui.util.forEachArray(this.groupPaths, function(path, groupIndex) {
+            self._animateDotsForChangingData(self.groupDots[groupIndex], groupPositions[groupIndex]);
+            self._animateByPath(self.groupLines[groupIndex], path);
+
+            if (self.groupAreas) {
+                self._animateByPath(self.groupAreas[groupIndex], groupAreaPaths[groupIndex]);
+            }
+        });
+    },
+
     /**
      * Select legend.
      * raphaelLineCharts에서 가져옴, 구조 개편시 중복 제거
@@ -8,6 +8,12 @@
 
 var raphael = window.Raphael;
 
+var SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+var HATCH_PATTERN_ID_PREFIX = 'tui-chart-hatch-';
+var HATCH_PATTERN_SIZE = 6;
+var HATCH_LINE_COLOR = '#000000';
+var HATCH_LINE_OPACITY = 0.2;
+
 /**
  * Util for raphael rendering.
  * @module raphaelRenderUtil
@@ -225,6 +231,37 @@ var raphaelRenderUtil = {
         };
     },
 
+    /**
+     * Fill element with hatch pattern, which has diagonal lines on color.
+     * Pattern is rendered into defs of paper once by color and size,
+     * and element is filled with color only, when paper does not have defs like VML.
+     * Fill attribute is set to node directly, because raphael makes image pattern from url of fill.
+     * @param {object} paper - raphael paper
+     * @param {object} element - raphael element
+     * @param {string} color - color under lines
+     * @param {number} [scale] - scale of element by transform, for keeping size of pattern on screen
+     */
+    fillWithHatchPattern: function(paper, element, color, scale) {
+        var size = HATCH_PATTERN_SIZE / (scale || 1);
+        var id;
+
+        element.attr({
+            fill: color
+        });
+
+        if (!paper.defs) {
+            return;
+        }
+
+        id = HATCH_PATTERN_ID_PREFIX + color.replace(/[^\w]/g, '') + '-' + Math.round(size * 100);
+
+        if (!paper.defs.querySelector('#' + id)) {
+            paper.defs.appendChild(createHatchPattern(id, color, size));
+        }
+
+        element.node.setAttribute('fill', 'url(#' + id + ')');
+    },
+
     /**
      * Animate given element's opacity
      * @param {object} element element
@@ -248,6 +285,39 @@ var raphaelRenderUtil = {
     }
 };
 
+/**
+ * Create pattern element of diagonal lines on color.
+ * @param {string} id - id of pattern
+ * @param {string} color - color under lines
+ * @param {number} size - size of pattern
+ * @returns {SVGElement}
+ */
+function createHatchPattern(id, color, size) {
+    var pattern = document.createElementNS(SVG_NAMESPACE, 'pattern');
+    var rect = document.createElementNS(SVG_NAMESPACE, 'rect');
+    var line = document.createElementNS(SVG_NAMESPACE, 'path');
+
+    pattern.id = id;
+    pattern.setAttribute('patternUnits', 'userSpaceOnUse');
+    pattern.setAttribute('width', size);
+    pattern.setAttribute('height', size);
+    pattern.setAttribute('patternTransform', 'rotate(45)');
+
+    rect.setAttribute('width', size);
+    rect.setAttribute('height', size);
+    rect.setAttribute('fill', color);
+
+    line.setAttribute('d', 'M0,0V' + size);
+    line.setAttribute('stroke', HATCH_LINE_COLOR);
+    line.setAttribute('stroke-opacity', HATCH_LINE_OPACITY);
+    line.setAttribute('stroke-width', size / 3);
+
+    pattern.appendChild(rect);
+    pattern.appendChild(line);
+
+    return pattern;
+}
+
 /**
  * Return boolean value for given parameter is number or not
  * @param {*} numberSuspect number suspect
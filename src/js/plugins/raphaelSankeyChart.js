@@ -0,0 +1,383 @@
+/**
+ * @fileoverview RaphaelSankeyChart is graph renderer for sankey chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+var chartConst = require('../const');
+
+var raphael = window.Raphael;
+
+var ANIMATION_DURATION = 700;
+var LINK_OPACITY = 0.4;
+var LINK_EMPHASIS_OPACITY = 0.7;
+var LINK_DE_EMPHASIS_OPACITY = 0.1;
+var NODE_DE_EMPHASIS_OPACITY = 0.3;
+var TOOLTIP_OFFSET_VALUE = 20;
+
+/**
+ * @classdesc RaphaelSankeyChart is graph renderer for sankey chart.
+ * @class RaphaelSankeyChart
+ * @private
+ */
+var RaphaelSankeyChart = tui.util.defineClass(/** @lends RaphaelSankeyChart.prototype */ {
+    /**
+     * Render function of sankey chart.
+     * Links are rendered under nodes, with color of their source nodes.
+     * @param {object} paper Raphael paper
+     * @param {{
+     *      nodeData: Array.<object>, linkData: Array.<object>,
+     *      dimension: object, theme: object, options: object
+     * }} data render data
+     * @param {object} callbacks callbacks
+     *      @param {function} callbacks.showTooltip show tooltip function
+     *      @param {function} callbacks.hideTooltip hide tooltip function
+     * @returns {object} sankey series set
+     */
+    render: function(paper, data, callbacks) {
+        var sankeySeriesSet = paper.set();
+
+        /**
+         * raphael object
+         * @type {object}
+         */
+        this.paper = paper;
+
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = data.chartType;
+
+        /**
+         * functions for tooltip control
+         * @type {{showTooltip: Function, hideTooltip: Function}}
+         */
+        this.callbacks = callbacks;
+
+        this.linkInfos = this._renderLinks(data.linkData, data.theme.colors, sankeySeriesSet);
+        this.nodeInfos = this._renderNodes(data.nodeData, data.theme.colors, sankeySeriesSet);
+
+        /**
+         * previous mouse position
+         * @type {{left: number, top: number}}
+         */
+        this.prevPosition = null;
+
+        /**
+         * previous hover element
+         * @type {object}
+         */
+        this.prevHoverElement = null;
+
+        return sankeySeriesSet;
+    },
+
+    /**
+     * Set data of node or link to raphael object, for finding it by mouse position.
+     * @param {object} element - raphael object
+     * @param {number} groupIndex - group index of node or link
+     * @param {number} index - index of node or link
+     * @private
+     */
+    _setFlowData: function(element, groupIndex, index) {
+        element.data('groupIndex', groupIndex);
+        element.data('index', index);
+        element.data('chartType', this.chartType);
+    },
+
+    /**
+     * Render ribbons of links.
+     * @param {Array.<object>} linkData - link data
+     * @param {Array.<string>} colors - node colors
+     * @param {object} sankeySeriesSet - sankey series set
+     * @returns {Array.<object>}
+     * @private
+     */
+    _renderLinks: function(linkData, colors, sankeySeriesSet) {
+        var self = this;
+
+        return tui.util.map(linkData, function(linkDatum) {
+            var link = self.paper.path(linkDatum.path).attr({
+                fill: colors[linkDatum.sourceIndex],
+                'fill-opacity': LINK_OPACITY,
+                stroke: 'none',
+                opacity: 0
+            });
+
+            self._setFlowData(link, chartConst.SANKEY_LINK_GROUP_INDEX, linkDatum.index);
+            sankeySeriesSet.push(link);
+
+            return {
+                link: link,
+                index: linkDatum.index,
+                sourceIndex: linkDatum.sourceIndex,
+                targetIndex: linkDatum.targetIndex
+            };
+        });
+    },
+
+    /**
+     * Render rects of nodes.
+     * @param {Array.<object>} nodeData - node data
+     * @param {Array.<string>} colors - node colors
+     * @param {object} sankeySeriesSet - sankey series set
+     * @returns {Array.<object>}
+     * @private
+     */
+    _renderNodes: function(nodeData, colors, sankeySeriesSet) {
+        var self = this;
+
+        return tui.util.map(nodeData, function(nodeDatum) {
+            var node = raphaelRenderUtil.renderRect(self.paper, nodeDatum.bound, {
+                fill: colors[nodeDatum.index],
+                stroke: 'none',
+                opacity: 0
+            });
+
+            self._setFlowData(node, chartConst.SANKEY_NODE_GROUP_INDEX, nodeDatum.index);
+            sankeySeriesSet.push(node);
+
+            return {
+                node: node,
+                index: nodeDatum.index
+            };
+        });
+    },
+
+    /**
+     * Animate.
+     * Nodes and links are faded in.
+     * @param {function} callback callback
+     */
+    animate: function(callback) {
+        var anim = raphael.animation({
+            opacity: 1
+        }, ANIMATION_DURATION);
+
+        tui.util.forEachArray(this.nodeInfos, function(nodeInfo) {
+            nodeInfo.node.animate(anim);
+        });
+
+        tui.util.forEachArray(this.linkInfos, function(linkInfo) {
+            linkInfo.link.animate(anim);
+        });
+
+        if (callback) {
+            this.callbackTimeout = setTimeout(callback, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of sankey chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<object>} params.nodeData node data
+     *      @param {Array.<object>} params.linkData link data
+     */
+    resize: function(params) {
+        var dimension = params.dimension;
+
+        this.paper.setSize(dimension.width, dimension.height);
+
+        tui.util.forEachArray(this.nodeInfos, function(nodeInfo, index) {
+            raphaelRenderUtil.updateRectBound(nodeInfo.node, params.nodeData[index].bound);
+        });
+
+        tui.util.forEachArray(this.linkInfos, function(linkInfo, index) {
+            linkInfo.link.attr({
+                path: params.linkData[index].path
+            });
+        });
+    },
+
+    /**
+     * Whether valid element of node or link or not.
+     * @param {object} element - raphael object
+     * @returns {boolean}
+     * @private
+     */
+    _isValidElement: function(element) {
+        return !!element && element.data('chartType') === this.chartType
+            && tui.util.isExisty(element.data('groupIndex'));
+    },
+
+    /**
+     * Find indexes of node or link by mouse position.
+     * @param {{left: number, top: number}} position - mouse position
+     * @returns {?{groupIndex: number, index: number}}
+     */
+    findFlowIndexes: function(position) {
+        var element = this.paper.getElementByPoint(position.left, position.top);
+
+        if (!this._isValidElement(element)) {
+            return null;
+        }
+
+        return {
+            groupIndex: element.data('groupIndex'),
+            index: element.data('index')
+        };
+    },
+
+    /**
+     * Whether changed or not.
+     * @param {{left: number, top: number}} prevPosition previous position
+     * @param {{left: number, top: number}} position position
+     * @returns {boolean} result boolean
+     * @private
+     */
+    _isChangedPosition: function(prevPosition, position) {
+        return !prevPosition || prevPosition.left !== position.left || prevPosition.top !== position.top;
+    },
+
+    /**
+     * Move mouse on series.
+     * Tooltip of node or link is shown, and connected flows are highlighted by hoverSeries event of tooltip.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    moveMouseOnSeries: function(position) {
+        var element = this.paper.getElementByPoint(position.left, position.top);
+
+        if (this._isValidElement(element)) {
+            if (this.prevHoverElement !== element || this._isChangedPosition(this.prevPosition, position)) {
+                this.callbacks.showTooltip({}, element.data('groupIndex'), element.data('index'), {
+                    left: position.left - TOOLTIP_OFFSET_VALUE,
+                    top: position.top - TOOLTIP_OFFSET_VALUE
+                });
+            }
+            this.prevHoverElement = element;
+        } else if (this.prevHoverElement) {
+            this.callbacks.hideTooltip();
+            this.prevHoverElement = null;
+        }
+
+        this.prevPosition = position;
+    },
+
+    /**
+     * Whether link is connected to node or link of indexes or not.
+     * @param {object} linkInfo - link information
+     * @param {{groupIndex: number, index: number}} indexes - indexes of node or link
+     * @returns {boolean}
+     * @private
+     */
+    _isConnectedLink: function(linkInfo, indexes) {
+        if (indexes.groupIndex === chartConst.SANKEY_LINK_GROUP_INDEX) {
+            return linkInfo.index === indexes.index;
+        }
+
+        return linkInfo.sourceIndex === indexes.index || linkInfo.targetIndex === indexes.index;
+    },
+
+    /**
+     * Highlight flows, which are connected to node or link of indexes.
+     * Other links and nodes, which are not connected, are de-emphasized.
+     * @param {?{groupIndex: number, index: number}} indexes - indexes of node or link, null for resetting
+     * @private
+     */
+    _highlightFlows: function(indexes) {
+        var self = this;
+        var connectedNodeIndexes = {};
+
+        tui.util.forEachArray(this.linkInfos, function(linkInfo) {
+            var isConnected = indexes && self._isConnectedLink(linkInfo, indexes);
+            var opacity = LINK_OPACITY;
+
+            if (indexes) {
+                opacity = isConnected ? LINK_EMPHASIS_OPACITY : LINK_DE_EMPHASIS_OPACITY;
+            }
+
+            if (isConnected) {
+                connectedNodeIndexes[linkInfo.sourceIndex] = true;
+                connectedNodeIndexes[linkInfo.targetIndex] = true;
+            }
+
+            linkInfo.link.attr({
+                'fill-opacity': opacity
+            });
+        });
+
+        if (indexes && indexes.groupIndex === chartConst.SANKEY_NODE_GROUP_INDEX) {
+            connectedNodeIndexes[indexes.index] = true;
+        }
+
+        tui.util.forEachArray(this.nodeInfos, function(nodeInfo) {
+            var isEmphasized = !indexes || connectedNodeIndexes[nodeInfo.index];
+
+            nodeInfo.node.attr({
+                'fill-opacity': isEmphasized ? 1 : NODE_DE_EMPHASIS_OPACITY
+            });
+        });
+    },
+
+    /**
+     * Show animation, which highlights flows connected to hovered node or link.
+     * @param {{groupIndex: number, index: number}} indexes - indexes of node or link
+     */
+    showAnimation: function(indexes) {
+        this._highlightFlows(indexes);
+    },
+
+    /**
+     * Hide animation.
+     */
+    hideAnimation: function() {
+        this._highlightFlows(null);
+    },
+
+    /**
+     * Select legend.
+     * Flows of node, which is selected by legend, are highlighted.
+     * @param {?number} legendIndex legend index
+     */
+    selectLegend: function(legendIndex) {
+        this._highlightFlows(tui.util.isNull(legendIndex) ? null : {
+            groupIndex: chartConst.SANKEY_NODE_GROUP_INDEX,
+            index: legendIndex
+        });
+    },
+
+    /**
+     * Render names of nodes and return label set.
+     * @param {object} paper Raphael paper
+     * @param {Array.<{labelPosition: object, isLabelOnLeft: boolean}>} nodeData - node data
+     * @param {Array.<string>} labels - names of nodes
+     * @param {object} theme label theme
+     * @returns {Array.<object>}
+     */
+    renderLabels: function(paper, nodeData, labels, theme) {
+        var labelSet = paper.set();
+
+        tui.util.forEachArray(nodeData, function(nodeDatum, index) {
+            var label = raphaelRenderUtil.renderText(paper, nodeDatum.labelPosition, labels[index], {
+                'font-size': theme.fontSize,
+                'font-family': theme.fontFamily,
+                'font-weight': theme.fontWeight,
+                'text-anchor': nodeDatum.isLabelOnLeft ? 'end' : 'start',
+                fill: theme.color,
+                opacity: 0
+            });
+
+            label.node.style.userSelect = 'none';
+            label.node.style.cursor = 'default';
+            labelSet.push(label);
+        });
+
+        return labelSet;
+    },
+
+    /**
+     * Destroy.
+     * Clear timeout of animation callback.
+     */
+    destroy: function() {
+        clearTimeout(this.callbackTimeout);
+        delete this.callbackTimeout;
+    }
+});
+
+module.exports = RaphaelSankeyChart;
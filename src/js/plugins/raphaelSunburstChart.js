@@ -0,0 +1,402 @@
+/**
+ * @fileoverview RaphaelSunburstChart is graph renderer for sunburst chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelPieChart = require('./raphaelPieChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var DEGREE_360 = 360;
+var MIN_DEGREE = 0.01;
+var ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var DEPTH_LUMINANT_VALUE = 0.15;
+var TOOLTIP_OFFSET_VALUE = 20;
+
+/**
+ * @classdesc RaphaelSunburstChart is graph renderer for sunburst chart.
+ * @class RaphaelSunburstChart
+ * @private
+ */
+var RaphaelSunburstChart = tui.util.defineClass(RaphaelPieChart, /** @lends RaphaelSunburstChart.prototype */ {
+    /**
+     * Count and depth of sectors of rings can differ by data,
+     * so graph is rendered again instead of being animated, when data is changed.
+     * @type {null}
+     * @override
+     */
+    animateForChangingData: null,
+
+    /**
+     * Render function of sunburst chart.
+     * Sectors of rings are rendered by donut sector of pie chart, with their own hole radius.
+     * @param {object} paper Raphael paper
+     * @param {{
+     *      circleBound: {cx: number, cy: number, r: number},
+     *      sectorData: Array.<object>, centerDatum: ?object,
+     *      colorSpectrum: ?ColorSpectrum, theme: object, options: object
+     * }} data render data
+     * @param {object} callbacks callbacks
+     *      @param {function} callbacks.showTooltip show tooltip function
+     *      @param {function} callbacks.hideTooltip hide tooltip function
+     * @returns {object} sunburst series set
+     */
+    render: function(paper, data, callbacks) {
+        var sunburstSeriesSet = paper.set();
+
+        /**
+         * raphael object
+         * @type {object}
+         */
+        this.paper = paper;
+
+        /**
+         * ratio for hole
+         * @type {number}
+         */
+        this.holeRatio = data.holeRatio;
+
+        /**
+         * type of chart
+         * @type {string}
+         */
+        this.chartType = data.chartType;
+
+        /**
+         * theme of series
+         * @type {object}
+         */
+        this.theme = data.theme;
+
+        /**
+         * color spectrum for colorValue
+         * @type {?ColorSpectrum}
+         */
+        this.colorSpectrum = data.colorSpectrum;
+
+        /**
+         * functions for tooltip control
+         * @type {{showTooltip: Function, hideTooltip: Function}}
+         */
+        this.callbacks = callbacks;
+
+        /**
+         * bound for circle
+         * @type {{cx: number, cy: number, r: number}}
+         */
+        this.circleBound = data.circleBound;
+
+        /**
+         * sector attr's name for draw graph
+         * @type {string}
+         */
+        this.sectorName = 'sector_' + this.chartType;
+
+        this._setSectorAttr();
+
+        this.sectorInfos = this._renderSectors(data.sectorData, sunburstSeriesSet);
+        this.centerInfo = data.centerDatum ? this._renderCenter(data.centerDatum, sunburstSeriesSet) : null;
+
+        /**
+         * sunburst series set
+         * @type {object}
+         */
+        this.sunburstSeriesSet = sunburstSeriesSet;
+
+        /**
+         * previous mouse position
+         * @type {{left: number, top: number}}
+         */
+        this.prevPosition = null;
+
+        /**
+         * previous hover element
+         * @type {object}
+         */
+        this.prevHoverElement = null;
+
+        return sunburstSeriesSet;
+    },
+
+    /**
+     * Get color of seriesItem.
+     * Color of colorValue is picked from color spectrum,
+     * otherwise color of top level group is brightened by depth.
+     * @param {SeriesItem} seriesItem - seriesItem
+     * @returns {string}
+     * @private
+     */
+    _getColor: function(seriesItem) {
+        if (this.colorSpectrum && seriesItem.colorRatio > -1) {
+            return this.colorSpectrum.getColor(seriesItem.colorRatio);
+        }
+
+        return raphaelRenderUtil.makeChangedLuminanceColor(this.theme.colors[seriesItem.group],
+            (seriesItem.depth - 1) * DEPTH_LUMINANT_VALUE);
+    },
+
+    /**
+     * Make arguments of sector attr.
+     * Full circle is rendered by sector less than 360 degree, because arc of same points is not rendered.
+     * @param {{angles: object, radiusRange: {inner: number, outer: number}}} sectorDatum - sector datum
+     * @returns {Array.<number>}
+     * @private
+     */
+    _makeSectorArgs: function(sectorDatum) {
+        var circleBound = this.circleBound;
+        var angles = sectorDatum.angles;
+        var endAngle = Math.min(angles.endAngle, angles.startAngle + DEGREE_360 - MIN_DEGREE);
+
+        return [circleBound.cx, circleBound.cy, sectorDatum.radiusRange.outer, angles.startAngle, endAngle,
+            sectorDatum.radiusRange.inner];
+    },
+
+    /**
+     * Render sectors of rings.
+     * @param {Array.<object>} sectorData - sector data
+     * @param {object} sunburstSeriesSet - sunburst series set
+     * @returns {Array.<{sector: object, seriesItem: SeriesItem, index: number}>}
+     * @private
+     */
+    _renderSectors: function(sectorData, sunburstSeriesSet) {
+        var self = this;
+        var borderColor = this.theme.borderColor;
+
+        return tui.util.map(sectorData, function(sectorDatum) {
+            var attrs = {
+                fill: self._getColor(sectorDatum.seriesItem),
+                stroke: borderColor,
+                'stroke-width': 1,
+                opacity: 0
+            };
+            var sector;
+
+            attrs[self.sectorName] = self._makeSectorArgs(sectorDatum);
+            sector = self.paper.path().attr(attrs);
+            sector.data('index', sectorDatum.index);
+            sector.data('chartType', self.chartType);
+            sunburstSeriesSet.push(sector);
+
+            return {
+                sector: sector,
+                seriesItem: sectorDatum.seriesItem,
+                index: sectorDatum.index
+            };
+        });
+    },
+
+    /**
+     * Render center circle, which means root of zoom.
+     * @param {{index: number, seriesItem: SeriesItem, r: number}} centerDatum - center datum
+     * @param {object} sunburstSeriesSet - sunburst series set
+     * @returns {{circle: object, index: number}}
+     * @private
+     */
+    _renderCenter: function(centerDatum, sunburstSeriesSet) {
+        var circleBound = this.circleBound;
+        var circle = raphaelRenderUtil.renderCircle(this.paper, {
+            left: circleBound.cx,
+            top: circleBound.cy
+        }, centerDatum.r, {
+            fill: this._getColor(centerDatum.seriesItem),
+            stroke: this.theme.borderColor,
+            'stroke-width': 1,
+            opacity: 0
+        });
+
+        circle.data('index', centerDatum.index);
+        circle.data('isCenter', true);
+        circle.data('chartType', this.chartType);
+        sunburstSeriesSet.push(circle);
+
+        return {
+            circle: circle,
+            index: centerDatum.index
+        };
+    },
+
+    /**
+     * Animate.
+     * Sectors and center circle are faded in.
+     * @param {function} callback callback
+     */
+    animate: function(callback) {
+        this.sunburstSeriesSet.animate(raphael.animation({
+            opacity: 1
+        }, ANIMATION_DURATION));
+
+        if (callback) {
+            this.callbackTimeout = setTimeout(callback, ANIMATION_DURATION);
+        }
+    },
+
+    /**
+     * Resize graph of sunburst chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {{cx:number, cy:number, r: number}} params.circleBound circle bound
+     *      @param {Array.<object>} params.sectorData sector data
+     *      @param {?object} params.centerDatum center datum
+     */
+    resize: function(params) {
+        var self = this;
+        var circleBound = params.circleBound;
+
+        this.circleBound = circleBound;
+        this.paper.setSize(params.dimension.width, params.dimension.height);
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo, index) {
+            var attrs = {};
+
+            attrs[self.sectorName] = self._makeSectorArgs(params.sectorData[index]);
+            sectorInfo.sector.attr(attrs);
+        });
+
+        if (this.centerInfo) {
+            this.centerInfo.circle.attr({
+                cx: circleBound.cx,
+                cy: circleBound.cy,
+                r: params.centerDatum.r
+            });
+        }
+    },
+
+    /**
+     * Whether valid element of this chart or not.
+     * @param {object} element - raphael object
+     * @returns {boolean}
+     * @private
+     */
+    _isValidElement: function(element) {
+        return !!element && element.data('chartType') === this.chartType;
+    },
+
+    /**
+     * Find target of zoom by mouse position.
+     * @param {{left: number, top: number}} position - mouse position
+     * @returns {?{index: number, isCenter: boolean}}
+     */
+    findZoomTarget: function(position) {
+        var element = this.paper.getElementByPoint(position.left, position.top);
+
+        if (!this._isValidElement(element)) {
+            return null;
+        }
+
+        return {
+            index: element.data('index'),
+            isCenter: !!element.data('isCenter')
+        };
+    },
+
+    /**
+     * Move mouse on series.
+     * @param {{left: number, top: number}} position mouse position
+     */
+    moveMouseOnSeries: function(position) {
+        var element = this.paper.getElementByPoint(position.left, position.top);
+
+        if (this._isValidElement(element) && tui.util.isExisty(element.data('index'))) {
+            if (this.prevHoverElement !== element || this._isChangedPosition(this.prevPosition, position)) {
+                this.callbacks.showTooltip({}, 0, element.data('index'), {
+                    left: position.left - TOOLTIP_OFFSET_VALUE,
+                    top: position.top - TOOLTIP_OFFSET_VALUE
+                });
+            }
+            this.prevHoverElement = element;
+        } else if (this.prevHoverElement) {
+            this.callbacks.hideTooltip();
+            this.prevHoverElement = null;
+        }
+
+        this.prevPosition = position;
+    },
+
+    /**
+     * Find ids of seriesItem of index and its ancestors, which are rendered as sectors.
+     * @param {number} index - index of seriesItem
+     * @returns {?object.<string, boolean>}
+     * @private
+     */
+    _findPathIds: function(index) {
+        var seriesItemMap = {};
+        var pathIds = null;
+        var seriesItem = null;
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo) {
+            seriesItemMap[sectorInfo.seriesItem.id] = sectorInfo.seriesItem;
+
+            if (sectorInfo.index === index) {
+                seriesItem = sectorInfo.seriesItem;
+            }
+        });
+
+        while (seriesItem) {
+            pathIds = pathIds || {};
+            pathIds[seriesItem.id] = true;
+            seriesItem = seriesItemMap[seriesItem.parent];
+        }
+
+        return pathIds;
+    },
+
+    /**
+     * Highlight sectors of path from root to seriesItem of index.
+     * @param {?number} index - index of seriesItem, null for resetting
+     * @private
+     */
+    _highlightPath: function(index) {
+        var pathIds = tui.util.isNull(index) ? null : this._findPathIds(index);
+
+        tui.util.forEachArray(this.sectorInfos, function(sectorInfo) {
+            var isEmphasized = !pathIds || pathIds[sectorInfo.seriesItem.id];
+
+            sectorInfo.sector.attr({
+                'fill-opacity': isEmphasized ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY
+            });
+        });
+    },
+
+    /**
+     * Show animation, which highlights path from root to hovered sector.
+     * @param {{groupIndex: number, index: number}} indexes - indexes
+     */
+    showAnimation: function(indexes) {
+        this._highlightPath(indexes.index);
+    },
+
+    /**
+     * Hide animation.
+     */
+    hideAnimation: function() {
+        this._highlightPath(null);
+    },
+
+    /**
+     * Render labels and return label set.
+     * Labels don't take mouse events, for finding sectors under them.
+     * @param {object} paper Raphael paper
+     * @param {Array.<?{left: number, top: number}>} positions positions
+     * @param {Array.<string>} labels series labels
+     * @param {object} theme label theme
+     * @returns {Array.<object>}
+     * @override
+     */
+    renderLabels: function(paper, positions, labels, theme) {
+        var labelSet = RaphaelPieChart.prototype.renderLabels.call(this, paper, positions, labels, theme);
+
+        labelSet.forEach(function(label) {
+            label.node.style.pointerEvents = 'none';
+        });
+
+        return labelSet;
+    }
+});
+
+module.exports = RaphaelSunburstChart;
@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Raphael waterfall chart renderer.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelBarChart = require('./raphaelBarChart');
+var raphaelRenderUtil = require('./raphaelRenderUtil');
+
+var raphael = window.Raphael;
+
+var ANIMATION_DURATION = 700;
+var EMPHASIS_OPACITY = 1;
+var DE_EMPHASIS_OPACITY = 0.3;
+var CONNECTOR_COLOR = '#999999';
+var CONNECTOR_LINE_WIDTH = 1;
+
+/**
+ * @classdesc RaphaelWaterfallChart is graph renderer for waterfall chart.
+ * @class RaphaelWaterfallChart
+ * @private
+ * @extends RaphaelBarChart
+ */
+var RaphaelWaterfallChart = tui.util.defineClass(RaphaelBarChart, /** @lends RaphaelWaterfallChart.prototype */ {
+    /**
+     * Pick color of bar by type of waterfall item.
+     * @param {SeriesItemForWaterfall} seriesItem - series item
+     * @returns {string}
+     * @private
+     * @override
+     */
+    _pickBarColor: function(seriesItem) {
+        var colorMap = {
+            increase: this.theme.increaseColor,
+            decrease: this.theme.decreaseColor,
+            subtotal: this.theme.totalColor,
+            total: this.theme.totalColor
+        };
+
+        return colorMap[seriesItem.waterfallType];
+    },
+
+    /**
+     * Render bars and connectors between them.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<object>>} bars
+     * @private
+     * @override
+     */
+    _renderBars: function(groupBounds) {
+        var groupBars = RaphaelBarChart.prototype._renderBars.call(this, groupBounds);
+
+        this.groupConnectors = this._renderConnectors(groupBounds);
+
+        return groupBars;
+    },
+
+    /**
+     * Make path of connector.
+     * @param {{left: number, right: number, top: number}} connector - connector bound
+     * @returns {string}
+     * @private
+     */
+    _makeConnectorPath: function(connector) {
+        return 'M' + connector.left + ',' + connector.top + 'H' + connector.right;
+    },
+
+    /**
+     * Render connectors, which link cumulative values of adjacent bars.
+     * @param {Array.<Array.<object>>} groupBounds - bounds
+     * @returns {Array.<Array.<?object>>}
+     * @private
+     */
+    _renderConnectors: function(groupBounds) {
+        var self = this;
+
+        return tui.util.map(groupBounds, function(bounds) {
+            return tui.util.map(bounds, function(bound) {
+                var connector;
+
+                if (!bound || !bound.connector) {
+                    return null;
+                }
+
+                connector = raphaelRenderUtil.renderLine(self.paper, self._makeConnectorPath(bound.connector),
+                    CONNECTOR_COLOR, CONNECTOR_LINE_WIDTH);
+                connector.attr({opacity: 0});
+
+                return connector;
+            });
+        });
+    },
+
+    /**
+     * Animate.
+     * Connectors are shown after bars are grown.
+     * @param {function} onFinish finish callback function
+     * @override
+     */
+    animate: function(onFinish) {
+        var animation = raphael.animation({
+            opacity: 1
+        }, ANIMATION_DURATION);
+
+        RaphaelBarChart.prototype.animate.call(this, onFinish);
+
+        raphaelRenderUtil.forEach2dArray(this.groupConnectors, function(connector) {
+            if (connector) {
+                connector.animate(animation.delay(ANIMATION_DURATION));
+            }
+        });
+    },
+
+    /**
+     * Resize graph of waterfall chart.
+     * @param {object} params parameters
+     *      @param {{width: number, height:number}} params.dimension dimension
+     *      @param {Array.<Array.<object>>} params.groupBounds group bounds
+     * @override
+     */
+    resize: function(params) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+
+        RaphaelBarChart.prototype.resize.call(this, params);
+
+        raphaelRenderUtil.forEach2dArray(this.groupConnectors, function(connector, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (connector && bound.connector) {
+                connector.attr({path: self._makeConnectorPath(bound.connector)});
+            }
+        });
+    },
+
+    /**
+     * Animate bars and connectors from bounds of previous data to bounds of changed data.
+     * @param {{groupBounds: Array.<Array.<object>>, seriesDataModel: SeriesDataModel}} params - data for rendering
+     * @override
+     */
+    animateForChangingData: function(params) {
+        var self = this;
+        var groupBounds = params.groupBounds;
+
+        RaphaelBarChart.prototype.animateForChangingData.call(this, params);
+
+        raphaelRenderUtil.forEach2dArray(this.groupConnectors, function(connector, groupIndex, index) {
+            var bound = groupBounds[groupIndex][index];
+
+            if (connector && bound && bound.connector) {
+                connector.animate({
+                    path: self._makeConnectorPath(bound.connector)
+                }, ANIMATION_DURATION, '>');
+            }
+        });
+    },
+
+    /**
+     * Select legend.
+     * @param {?number} legendIndex legend index
+     * @override
+     */
+    selectLegend: function(legendIndex) {
+        var noneSelected = tui.util.isNull(legendIndex);
+
+        RaphaelBarChart.prototype.selectLegend.call(this, legendIndex);
+
+        raphaelRenderUtil.forEach2dArray(this.groupConnectors, function(connector, groupIndex, index) {
+            var opacity = (noneSelected || legendIndex === index) ? EMPHASIS_OPACITY : DE_EMPHASIS_OPACITY;
+
+            if (connector) {
+                connector.attr({'stroke-opacity': opacity});
+            }
+        });
+    }
+});
+
+module.exports = RaphaelWaterfallChart;
@@ -39,6 +39,7 @@ var defaultTheme = {
     plot: {
         lineColor: '#dddddd',
         background: '#ffffff',
+        todayLineColor: '#ff5a46',
         label: {
             fontSize: 11,
             fontFamily: EMPTY,
@@ -59,6 +60,17 @@ var defaultTheme = {
         startColor: '#F4F4F4',
         endColor: '#345391',
         overColor: '#F0C952',
+        risingColor: '#d84a4a',
+        fallingColor: '#3b74c4',
+        increaseColor: '#4aa366',
+        decreaseColor: '#d84a4a',
+        totalColor: '#3b74c4',
+        trackColor: '#e4e4e4',
+        needleColor: '#333333',
+        rangeColors: ['#999999', '#bbbbbb', '#dddddd', '#eeeeee'],
+        markerColor: '#333333',
+        milestoneColor: '#333333',
+        dependencyColor: '#888888',
         dot: {
             fillColor: EMPTY,
             fillOpacity: 1,
@@ -214,4 +214,121 @@ describe('Test public APIs for bar chart', function() {
             expect(barChart.options.series.showLabel).toBe(false);
         });
     });
+
+    describe('setData()', function() {
+        it('rerender legend with labels of new raw data', function() {
+            var legendData;
+
+            barChart.setData({
+                categories: ['June', 'July'],
+                series: [
+                    {
+                        name: 'Sales',
+                        data: [1000, 2000]
+                    }
+                ]
+            });
+
+            legendData = barChart.componentManager.get('legend').legendModel.getData();
+
+            expect(legendData.length).toBe(1);
+            expect(legendData[0].label).toBe('Sales');
+        });
+
+        it('process new raw data', function() {
+            barChart.setData({
+                categories: ['June', 'July'],
+                series: [
+                    {
+                        name: 'Sales',
+                        data: [1000, 2000]
+                    }
+                ]
+            });
+
+            expect(barChart.dataProcessor.getCategories()).toEqual(['June', 'July']);
+            expect(barChart.dataProcessor.getValues('bar')).toEqual([1000, 2000]);
+        });
+    });
+
+    describe('setOptions()', function() {
+        it('rerender chart in place with merged options', function() {
+            var container = barChart.chartContainer.parentNode;
+
+            barChart.setOptions({
+                legend: {
+                    align: 'bottom'
+                }
+            });
+
+            expect(container.childNodes.length).toBe(1);
+            expect(container.firstChild).toBe(barChart.chartContainer);
+            expect(barChart.options.legend.align).toBe('bottom');
+            expect(barChart.componentManager.get('legend').options.align).toBe('bottom');
+        });
+
+        it('keep checked state of legend', function() {
+            barChart.componentManager.get('legend')._checkboxClick(1);
+
+            barChart.setOptions({
+                tooltip: {
+                    grouped: true
+                }
+            });
+
+            expect(barChart.componentManager.get('legend').legendModel.isCheckedIndex(1)).toBe(false);
+            expect(barChart.dataProcessor.getLegendLabels('bar').length).toBe(3);
+        });
+
+        it('process raw data again, when diverging option is changed', function() {
+            barChart.setOptions({
+                series: {
+                    diverging: true
+                }
+            });
+
+            expect(barChart.options.series.stackType).toBe('normal');
+            expect(barChart.dataProcessor.getLegendLabels('bar')).toEqual(['Budget', 'Income']);
+
+            barChart.setOptions({
+                series: {
+                    diverging: false
+                }
+            });
+
+            expect(barChart.options.series.stackType).toBeUndefined();
+            expect(barChart.dataProcessor.getLegendLabels('bar').length).toBe(4);
+        });
+    });
+
+    describe('exportImage()', function() {
+        it('pass svg image of chart to callback', function() {
+            var callback = jasmine.createSpy('callback');
+
+            barChart.exportImage({
+                type: 'svg'
+            }, callback);
+
+            expect(callback.calls.argsFor(0)[0]).toMatch(/^data:image\/svg\+xml;base64,/);
+            expect(barChart.chartContainer.getElementsByTagName('svg')[0]).toBe(barChart.paper.canvas);
+        });
+    });
+
+    describe('destroy()', function() {
+        it('remove chart element from container', function() {
+            var container = barChart.chartContainer.parentNode;
+
+            barChart.destroy();
+
+            expect(container.childNodes.length).toBe(0);
+        });
+
+        it('throw error, when calling public API after destroying', function() {
+            barChart.destroy();
+
+            expect(function() {
+                barChart.showSeriesLabel();
+            }).toThrowError('This chart has already been destroyed.');
+        });
+    });
 });
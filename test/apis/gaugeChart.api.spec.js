@@ -0,0 +1,56 @@
+/**
+ * @fileoverview Test public APIs for gauge chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var dom = require('../../src/js/helpers/domHandler');
+
+describe('Test public APIs for gauge chart', function() {
+    var gaugeChart;
+
+    beforeEach(function() {
+        var container = dom.create('DIV');
+
+        gaugeChart = tui.chart.gaugeChart(container, {
+            categories: ['speed'],
+            series: [
+                {
+                    name: 'Speed',
+                    data: [80]
+                }
+            ]
+        }, {
+            series: {
+                bands: [
+                    {
+                        range: [0, 60],
+                        color: '#90a959'
+                    },
+                    {
+                        range: [60, 100],
+                        color: '#d28445'
+                    }
+                ]
+            }
+        });
+    });
+
+    describe('setData()', function() {
+        it('render gauge again, when data of same shape is set', function() {
+            gaugeChart.setData({
+                categories: ['speed'],
+                series: [
+                    {
+                        name: 'Speed',
+                        data: [40]
+                    }
+                ]
+            });
+
+            expect(gaugeChart.dataProcessor.getValues('gauge')).toEqual([40]);
+        });
+    });
+});
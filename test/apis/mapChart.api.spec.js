@@ -0,0 +1,85 @@
+/**
+ * @fileoverview Test public APIs for map chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var dom = require('../../src/js/helpers/domHandler');
+
+describe('Test public APIs for map chart', function() {
+    var mapChart;
+
+    /**
+     * Make GeoJSON feature of square region.
+     * @param {string} id - id of feature
+     * @param {number} left - longitude of left side
+     * @param {number} size - size of square
+     * @returns {object}
+     */
+    function makeSquareFeature(id, left, size) {
+        return {
+            type: 'Feature',
+            id: id,
+            properties: {
+                name: id
+            },
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[left, 0], [left + size, 0], [left + size, size], [left, size], [left, 0]]]
+            }
+        };
+    }
+
+    beforeAll(function() {
+        tui.chart.registerMap('apiTestParentMap', {
+            type: 'FeatureCollection',
+            features: [makeSquareFeature('A', 0, 10), makeSquareFeature('B', 10, 10)]
+        }, {
+            projection: 'equirectangular'
+        });
+        tui.chart.registerMap('apiTestChildMap', {
+            type: 'FeatureCollection',
+            features: [makeSquareFeature('A1', 0, 5), makeSquareFeature('A2', 5, 5)]
+        }, {
+            projection: 'equirectangular'
+        });
+    });
+
+    beforeEach(function() {
+        var container = dom.create('DIV');
+
+        mapChart = tui.chart.mapChart(container, {
+            series: [
+                {
+                    code: 'A',
+                    data: 20
+                },
+                {
+                    code: 'B',
+                    data: 15
+                }
+            ]
+        }, {
+            map: 'apiTestParentMap',
+            drilldown: {
+                maps: {
+                    A: 'apiTestChildMap'
+                }
+            }
+        });
+    });
+
+    describe('destroy()', function() {
+        it('do not drill down to child map after chart is destroyed during animation of drilldown', function(done) {
+            mapChart.drillDown('A');
+            mapChart.destroy();
+
+            setTimeout(function() {
+                expect(mapChart.drilldownPath.length).toBe(1);
+                done();
+            }, 800);
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Test public APIs for polar area chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var dom = require('../../src/js/helpers/domHandler');
+
+describe('Test public APIs for polar area chart', function() {
+    var rawData = {
+        categories: ['Mon', 'Tue', 'Wed'],
+        series: [
+            {
+                name: 'Budget',
+                data: [5000, 3000, 5000]
+            },
+            {
+                name: 'Income',
+                data: [8000, 1000, 7000]
+            }
+        ]
+    };
+    var changedRawData = {
+        categories: ['Mon', 'Tue', 'Wed'],
+        series: [
+            {
+                name: 'Budget',
+                data: [2000, 6000, 4000]
+            },
+            {
+                name: 'Income',
+                data: [3000, 5000, 1000]
+            }
+        ]
+    };
+    var polarAreaChart;
+
+    beforeEach(function() {
+        var container = dom.create('DIV');
+
+        polarAreaChart = tui.chart.polarAreaChart(container, rawData, {});
+    });
+
+    describe('setData()', function() {
+        it('render sectors again, when data of same shape is set', function() {
+            polarAreaChart.setData(changedRawData);
+
+            expect(polarAreaChart.dataProcessor.getValues('polarArea')).toEqual([2000, 3000, 6000, 5000, 4000, 1000]);
+        });
+
+        it('render sectors again, when data of same shape is set after toggling legend', function() {
+            var legend = polarAreaChart.componentManager.get('legend');
+
+            legend._checkboxClick(1);
+            legend._checkboxClick(1);
+
+            polarAreaChart.setData(changedRawData);
+
+            expect(polarAreaChart.componentManager.get('polarAreaSeries').seriesData.sectorData.length).toBe(6);
+        });
+    });
+});
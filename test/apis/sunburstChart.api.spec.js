@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Test public APIs for sunburst chart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var dom = require('../../src/js/helpers/domHandler');
+
+describe('Test public APIs for sunburst chart', function() {
+    var sunburstChart;
+
+    beforeEach(function() {
+        var container = dom.create('DIV');
+
+        sunburstChart = tui.chart.sunburstChart(container, {
+            series: [
+                {
+                    label: 'Asia',
+                    children: [
+                        {
+                            label: 'Korea',
+                            value: 3
+                        },
+                        {
+                            label: 'Japan',
+                            value: 1
+                        }
+                    ]
+                },
+                {
+                    label: 'Europe',
+                    value: 4
+                }
+            ]
+        }, {});
+    });
+
+    describe('setData()', function() {
+        it('render rings again, when data of same shape is set', function() {
+            sunburstChart.setData({
+                series: [
+                    {
+                        label: 'Asia',
+                        children: [
+                            {
+                                label: 'Korea',
+                                value: 1
+                            },
+                            {
+                                label: 'Japan',
+                                value: 5
+                            }
+                        ]
+                    },
+                    {
+                        label: 'Europe',
+                        value: 2
+                    }
+                ]
+            });
+
+            expect(sunburstChart.componentManager.get('sunburstSeries').seriesData.sectorData.length).toBe(4);
+        });
+    });
+});
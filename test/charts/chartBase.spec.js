@@ -8,7 +8,9 @@
 
 var ChartBase = require('../../src/js/charts/chartBase'),
     renderUtil = require('../../src/js/helpers/renderUtil'),
-    DataProcessor = require('../../src/js/models/data/dataProcessor');
+    DataProcessor = require('../../src/js/models/data/dataProcessor'),
+    ColorSpectrum = require('../../src/js/charts/colorSpectrum'),
+    imageExporter = require('../../src/js/helpers/imageExporter');
 
 describe('Test for ChartBase', function() {
     var chartBase, componentManager, boundsModel;
@@ -259,6 +261,68 @@ describe('Test for ChartBase', function() {
         });
     });
 
+    describe('_createColorSpectrum()', function() {
+        it('create color spectrum by colors of series theme and colorScale, noData options of series', function() {
+            var colorSpectrum;
+
+            chartBase.chartType = 'heatmap';
+            chartBase.theme.series = {
+                heatmap: {
+                    startColor: '#ffffff',
+                    endColor: '#ff0000'
+                }
+            };
+            chartBase.options.series = {
+                colorScale: {
+                    interpolation: 'lab'
+                },
+                noData: {
+                    color: '#cccccc'
+                }
+            };
+
+            colorSpectrum = chartBase._createColorSpectrum();
+
+            expect(colorSpectrum instanceof ColorSpectrum).toBe(true);
+            expect(colorSpectrum.colors).toEqual(['#ffffff', '#ff0000']);
+            expect(colorSpectrum.interpolation).toBe('lab');
+            expect(colorSpectrum.noData).toEqual({
+                color: '#cccccc'
+            });
+        });
+    });
+
+    describe('_setColorSpectrumLimit()', function() {
+        beforeEach(function() {
+            chartBase.chartType = 'treemap';
+            chartBase.dataProcessor = jasmine.createSpyObj('dataProcessor', ['getValues']);
+            chartBase.dataProcessor.getValues.and.returnValue([1, 2, 3]);
+        });
+
+        it('set limit and values of series to color spectrum', function() {
+            var limit = {
+                min: 0,
+                max: 10
+            };
+
+            chartBase.colorSpectrum = jasmine.createSpyObj('colorSpectrum', ['setLimit']);
+            chartBase._setColorSpectrumLimit(limit, 'colorValue');
+
+            expect(chartBase.dataProcessor.getValues).toHaveBeenCalledWith('treemap', 'colorValue');
+            expect(chartBase.colorSpectrum.setLimit).toHaveBeenCalledWith(limit, [1, 2, 3]);
+        });
+
+        it('do nothing, when chart has no color spectrum', function() {
+            chartBase.colorSpectrum = null;
+            chartBase._setColorSpectrumLimit({
+                min: 0,
+                max: 10
+            });
+
+            expect(chartBase.dataProcessor.getValues).not.toHaveBeenCalled();
+        });
+    });
+
     describe('_makeProcessedData()', function() {
         it('전달된 사용자 데이터를 이용하여 차트에서 사용이 용이한 변환 데이터를 생성합니다.', function() {
             var actual;
@@ -325,4 +389,318 @@ describe('Test for ChartBase', function() {
             expect(chartBase.readyForRender).not.toHaveBeenCalled();
         });
     });
+
+    describe('setData()', function() {
+        var rawData;
+
+        beforeEach(function() {
+            rawData = {
+                categories: ['cate1', 'cate2'],
+                series: [
+                    {
+                        name: 'NewLegend',
+                        data: [10, 20]
+                    }
+                ]
+            };
+            chartBase.chartType = 'bar';
+            chartBase.componentManager = jasmine.createSpyObj('componentManager', ['execute', 'has', 'where']);
+            chartBase.componentManager.where.and.returnValue([]);
+            spyOn(chartBase, 'onChangeCheckedLegends');
+        });
+
+        it('set raw data wrapped by chart type to data processor', function() {
+            chartBase.setData(rawData);
+
+            expect(chartBase.dataProcessor.getOriginalRawData()).toEqual({
+                categories: ['cate1', 'cate2'],
+                series: {
+                    bar: [
+                        {
+                            name: 'NewLegend',
+                            data: [10, 20]
+                        }
+                    ]
+                }
+            });
+        });
+
+        it('reset data of components and rerender with visibility of legends, when chart has legend', function() {
+            chartBase.componentManager.has.and.returnValue(true);
+
+            chartBase.setData(rawData);
+
+            expect(chartBase.componentManager.execute).toHaveBeenCalledWith('resetData');
+            expect(chartBase.onChangeCheckedLegends.calls.argsFor(0)[0]).toEqual({
+                bar: [true]
+            });
+        });
+
+        it('animate series after rerendering, when chart has no legend', function() {
+            var series = jasmine.createSpyObj('series', ['animateComponent']);
+
+            chartBase.componentManager.has.and.returnValue(false);
+            chartBase.componentManager.where.and.returnValue([series]);
+
+            chartBase.setData(rawData);
+
+            expect(chartBase.onChangeCheckedLegends.calls.argsFor(0)[0]).toBeNull();
+            expect(series.animateComponent).toHaveBeenCalledWith(true);
+        });
+
+        it('update theme with new series data', function() {
+            chartBase.theme = {
+                series: {
+                    bar: {
+                        colors: []
+                    }
+                }
+            };
+            chartBase.componentManager.has.and.returnValue(true);
+
+            chartBase.setData(rawData);
+
+            expect(chartBase.theme.series.bar.colors.length).toBe(2);
+        });
+
+        it('rerender as changing data without animation of first rendering, when structure of data is same', function() {
+            var series = jasmine.createSpyObj('series', ['animateComponent']);
+            var isChangingData;
+
+            chartBase.dataProcessor.rawData = {
+                categories: ['cate3', 'cate4'],
+                series: {
+                    bar: [{name: 'Legend', data: [30, 40]}]
+                }
+            };
+            chartBase.componentManager.has.and.returnValue(false);
+            chartBase.componentManager.where.and.returnValue([series]);
+            chartBase.onChangeCheckedLegends.and.callFake(function() {
+                isChangingData = chartBase.isChangingData;
+            });
+
+            chartBase.setData(rawData);
+
+            expect(isChangingData).toBe(true);
+            expect(chartBase.isChangingData).toBe(false);
+            expect(series.animateComponent).not.toHaveBeenCalled();
+        });
+
+        it('do not rerender as changing data, when count of categories is changed', function() {
+            var isChangingData;
+
+            chartBase.dataProcessor.rawData = {
+                categories: ['cate3'],
+                series: {
+                    bar: [{name: 'Legend', data: [30]}]
+                }
+            };
+            chartBase.componentManager.has.and.returnValue(true);
+            chartBase.onChangeCheckedLegends.and.callFake(function() {
+                isChangingData = chartBase.isChangingData;
+            });
+
+            chartBase.setData(rawData);
+
+            expect(isChangingData).toBe(false);
+        });
+    });
+
+    describe('setOptions()', function() {
+        beforeEach(function() {
+            chartBase.originalOptions = {
+                chartType: 'bar',
+                legend: {
+                    align: 'right'
+                }
+            };
+            chartBase.chartType = 'bar';
+            chartBase.componentManager = jasmine.createSpyObj('componentManager', ['get']);
+            spyOn(chartBase, '_rebuildComponents');
+        });
+
+        it('merge options into original options and initialize options with them', function() {
+            chartBase.setOptions({
+                legend: {
+                    visible: false
+                }
+            });
+
+            expect(chartBase.originalOptions.legend).toEqual({
+                align: 'right',
+                visible: false
+            });
+            expect(chartBase.options.legend).toEqual({
+                align: 'right',
+                visible: false
+            });
+            expect(chartBase.dataProcessor.options).toBe(chartBase.options);
+            expect(chartBase._rebuildComponents).toHaveBeenCalledWith(['legend']);
+        });
+
+        it('keep theme, when theme is not changed', function() {
+            var theme = chartBase.theme;
+
+            chartBase.setOptions({
+                legend: {
+                    visible: false
+                }
+            });
+
+            expect(chartBase.theme).toBe(theme);
+        });
+
+        it('rebuild all components with new theme, when theme is changed', function() {
+            var theme = chartBase.theme;
+
+            chartBase.setOptions({
+                theme: 'default'
+            });
+
+            expect(chartBase.theme).not.toBe(theme);
+            expect(chartBase._rebuildComponents).toHaveBeenCalledWith(null);
+        });
+
+        it('keep checked state of legend by updating legend visibility', function() {
+            var legend = jasmine.createSpyObj('legend', ['getCheckedIndexes']);
+
+            legend.getCheckedIndexes.and.returnValue({
+                bar: [true, false, true]
+            });
+            chartBase.componentManager.get.and.returnValue(legend);
+            chartBase.dataProcessor.originalRawData.series = {
+                bar: chartBase.dataProcessor.originalRawData.series
+            };
+
+            chartBase.setOptions({
+                legend: {
+                    align: 'bottom'
+                }
+            });
+
+            expect(chartBase.dataProcessor.getLegendVisibility('bar')).toEqual([true, false, true, false]);
+        });
+
+        it('initialize raw data again, when raw data is changed by options', function() {
+            spyOn(chartBase, '_isRawDataChangedByOptions').and.returnValue(true);
+            spyOn(chartBase, '_initializeRawData');
+            spyOn(chartBase.dataProcessor, 'setRawData');
+
+            chartBase.setOptions({
+                series: {
+                    stackType: 'normal'
+                }
+            });
+
+            expect(chartBase._initializeRawData).toHaveBeenCalled();
+            expect(chartBase.dataProcessor.setRawData).toHaveBeenCalled();
+            expect(chartBase._rebuildComponents).toHaveBeenCalledWith(null);
+        });
+    });
+
+    describe('setTheme()', function() {
+        it('set theme option by setOptions()', function() {
+            spyOn(chartBase, 'setOptions');
+
+            chartBase.setTheme('newTheme');
+
+            expect(chartBase.setOptions).toHaveBeenCalledWith({
+                theme: 'newTheme'
+            });
+        });
+    });
+
+    describe('exportImage()', function() {
+        beforeEach(function() {
+            chartBase.paper = {
+                canvas: {}
+            };
+            spyOn(imageExporter, 'exportImage');
+            spyOn(chartBase.eventBus, 'fire');
+        });
+
+        it('export image of svg element of paper with options', function() {
+            var callback = function() {};
+
+            chartBase.exportImage({
+                type: 'svg'
+            }, callback);
+
+            expect(imageExporter.exportImage).toHaveBeenCalledWith(chartBase.paper.canvas, {
+                type: 'svg'
+            }, callback);
+            expect(chartBase.eventBus.fire).toHaveBeenCalledWith('beforeImageDownload');
+            expect(chartBase.eventBus.fire).toHaveBeenCalledWith('afterImageDownload');
+        });
+
+        it('use empty options, when only callback is passed', function() {
+            var callback = function() {};
+
+            chartBase.exportImage(callback);
+
+            expect(imageExporter.exportImage).toHaveBeenCalledWith(chartBase.paper.canvas, {}, callback);
+        });
+    });
+
+    describe('destroy()', function() {
+        beforeEach(function() {
+            chartBase.componentManager = jasmine.createSpyObj('componentManager', ['destroy']);
+            chartBase.paper = jasmine.createSpyObj('paper', ['remove']);
+        });
+
+        it('destroy all components and remove paper', function() {
+            var componentManagerSpy = chartBase.componentManager;
+            var paperSpy = chartBase.paper;
+
+            chartBase.destroy();
+
+            expect(componentManagerSpy.destroy).toHaveBeenCalled();
+            expect(paperSpy.remove).toHaveBeenCalled();
+        });
+
+        it('unbind all handlers of event bus', function() {
+            var handler = jasmine.createSpy('handler');
+            var eventBus = chartBase.eventBus;
+
+            eventBus.on('customEvent', handler);
+            chartBase.destroy();
+            eventBus.fire('customEvent');
+
+            expect(handler).not.toHaveBeenCalled();
+        });
+
+        it('remove chart container from wrapper', function() {
+            var wrapper = document.createElement('DIV');
+            var chartContainer = document.createElement('DIV');
+
+            wrapper.appendChild(chartContainer);
+            chartBase.chartContainer = chartContainer;
+
+            chartBase.destroy();
+
+            expect(wrapper.childNodes.length).toBe(0);
+        });
+
+        it('destroy dynamic data helper, if exists', function() {
+            var dynamicDataHelper = jasmine.createSpyObj('dynamicDataHelper', ['destroy']);
+
+            chartBase._dynamicDataHelper = dynamicDataHelper;
+            chartBase.destroy();
+
+            expect(dynamicDataHelper.destroy).toHaveBeenCalled();
+        });
+
+        it('throw error, when calling method after destroying', function() {
+            chartBase.destroy();
+
+            expect(function() {
+                chartBase.resize({
+                    width: 400
+                });
+            }).toThrowError('This chart has already been destroyed.');
+            expect(function() {
+                chartBase.destroy();
+            }).toThrowError('This chart has already been destroyed.');
+        });
+    });
 });
@@ -36,6 +36,96 @@ describe('Test for ComponentManager', function() {
         });
     });
 
+    describe('prepareRebuilding()', function() {
+        var prevComponentManager;
+
+        beforeEach(function() {
+            componentManager.options = {
+                xAxis: {},
+                chart: {
+                    title: {
+                        text: 'Chart Title'
+                    }
+                }
+            };
+            prevComponentManager = new ComponentManager({
+                options: componentManager.options
+            });
+            prevComponentManager.register('plot', 'plot');
+            prevComponentManager.register('title', 'title');
+        });
+
+        it('reuse components, which do not refer to changed options', function() {
+            componentManager.prepareRebuilding(prevComponentManager, ['chart']);
+            componentManager.register('plot', 'plot');
+            componentManager.register('title', 'title');
+
+            expect(componentManager.get('plot')).toBe(prevComponentManager.get('plot'));
+            expect(componentManager.isReusedComponent(componentManager.get('plot'))).toBe(true);
+            expect(componentManager.get('title')).not.toBe(prevComponentManager.get('title'));
+        });
+
+        it('take over options of reused components, which are changed by components', function() {
+            componentManager.options = tui.util.extend({}, prevComponentManager.options, {
+                plot: {}
+            });
+            prevComponentManager.options.plot = {
+                hideLine: true
+            };
+
+            componentManager.prepareRebuilding(prevComponentManager, []);
+            componentManager.register('plot', 'plot');
+
+            expect(componentManager.options.plot).toBe(prevComponentManager.options.plot);
+        });
+
+        it('do not reuse components, which refer to changed options of other components', function() {
+            componentManager.prepareRebuilding(prevComponentManager, ['xAxis']);
+            componentManager.register('plot', 'plot');
+
+            expect(componentManager.get('plot')).not.toBe(prevComponentManager.get('plot'));
+        });
+
+        it('do not reuse components, which are registered by other parameters', function() {
+            componentManager.prepareRebuilding(prevComponentManager, []);
+            componentManager.register('plot', 'plot', {
+                index: 1
+            });
+
+            expect(componentManager.get('plot')).not.toBe(prevComponentManager.get('plot'));
+        });
+
+        it('do not reuse any component, when changed option keys are null', function() {
+            componentManager.prepareRebuilding(prevComponentManager, null);
+            componentManager.register('plot', 'plot');
+
+            expect(componentManager.get('plot')).not.toBe(prevComponentManager.get('plot'));
+        });
+    });
+
+    describe('destroyUnusedComponents()', function() {
+        it('destroy components of previous component manager, which are not reused', function() {
+            var plot = jasmine.createSpyObj('plot', ['destroy']);
+            var legend = jasmine.createSpyObj('legend', ['destroy']);
+            var element = document.createElement('DIV');
+            var container = document.createElement('DIV');
+
+            container.appendChild(element);
+            legend.componentName = 'legend';
+            plot.componentName = 'plot';
+            componentManager.prevComponents = [plot, legend];
+            componentManager.componentMap.plot = plot;
+            componentManager.elementMap.legend = element;
+
+            componentManager.destroyUnusedComponents();
+
+            expect(plot.destroy).not.toHaveBeenCalled();
+            expect(legend.destroy).toHaveBeenCalled();
+            expect(element.parentNode).toBeNull();
+            expect(componentManager.prevComponents).toEqual([]);
+        });
+    });
+
     describe('where()', function() {
         it('components에서 전달받은 객체의 key value들을 포함하는 component들을 필터링하여 반환합니다.', function() {
             var actual, expected;
@@ -66,4 +156,35 @@ describe('Test for ComponentManager', function() {
             expect(actual).toEqual(expected);
         });
     });
+
+    describe('destroy()', function() {
+        it('call destroy function of components and clear components', function() {
+            var tooltip = jasmine.createSpyObj('tooltip', ['destroy']);
+
+            componentManager.components.push(tooltip, {
+                componentName: 'plot'
+            });
+            componentManager.componentMap.tooltip = tooltip;
+
+            componentManager.destroy();
+
+            expect(tooltip.destroy).toHaveBeenCalled();
+            expect(componentManager.components).toEqual([]);
+            expect(componentManager.has('tooltip')).toBe(false);
+        });
+
+        it('detach event handlers of components from event bus', function() {
+            var handler = jasmine.createSpy('handler');
+            var component = {};
+
+            componentManager.eventBus = new tui.util.CustomEvents();
+            componentManager.eventBus.on('showTooltip', handler, component);
+            componentManager.components.push(component);
+
+            componentManager.destroy();
+            componentManager.eventBus.fire('showTooltip');
+
+            expect(handler).not.toHaveBeenCalled();
+        });
+    });
 });
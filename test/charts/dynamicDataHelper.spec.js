@@ -261,4 +261,30 @@ describe('Test for addingDynamicDataMixer', function() {
             }, 700);
         });
     });
+
+    describe('destroy()', function() {
+        it('clear timer for restarting animation, after changing checked legends', function(done) {
+            ddh.chart.rerender = jasmine.createSpy('rerender');
+            ddh.restartAnimation = jasmine.createSpy('restartAnimation');
+
+            ddh.changeCheckedLegends();
+            ddh.destroy();
+
+            setTimeout(function() {
+                expect(ddh.restartAnimation).not.toHaveBeenCalled();
+                done();
+            }, chartConst.RERENDER_TIME);
+        });
+
+        it('stop looking up added data', function() {
+            ddh.rerenderingDelayTimerId = 1;
+            ddh.lookupping = true;
+
+            ddh.destroy();
+
+            expect(ddh.rerenderingDelayTimerId).toBeNull();
+            expect(ddh.lookupping).toBe(false);
+            expect(ddh.paused).toBe(true);
+        });
+    });
 });
@@ -7,6 +7,7 @@
 'use strict';
 
 var ColorSpectrum = require('../../src/js/charts/colorSpectrum');
+var colorutil = require('../../src/js/helpers/colorutil');
 
 describe('Test for ColorSpectrum', function() {
     var colorSpectrum;
@@ -30,8 +31,7 @@ describe('Test for ColorSpectrum', function() {
         it('전달하는 ratio에 맞는 hex color를 계산하여 반환합니다.', function() {
             var actual, expected;
 
-            colorSpectrum.startRGB = [255, 255, 255];
-            colorSpectrum.distances = [-100, -150, -200];
+            colorSpectrum = new ColorSpectrum('#ffffff', '#9b6937');
 
             actual = colorSpectrum.getColor(0.5);
             expected = '#cdb49b';
@@ -52,4 +52,186 @@ describe('Test for ColorSpectrum', function() {
             expect(actual).toBe(expected);
         });
     });
+
+    describe('multiple color stops', function() {
+        it('interpolate colors of section, which contains ratio', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                colors: ['#ffffff', '#ff0000', '#000000']
+            });
+
+            expect(colorSpectrum.getColor(0)).toBe('#ffffff');
+            expect(colorSpectrum.getColor(0.25)).toBe('#ff8080');
+            expect(colorSpectrum.getColor(0.5)).toBe('#ff0000');
+            expect(colorSpectrum.getColor(0.75)).toBe('#800000');
+            expect(colorSpectrum.getColor(1)).toBe('#000000');
+        });
+
+        it('return null, when ratio is not number or out of range', function() {
+            expect(colorSpectrum.getColor()).toBeNull();
+            expect(colorSpectrum.getColor(-1)).toBeNull();
+            expect(colorSpectrum.getColor(1.5)).toBeNull();
+        });
+    });
+
+    describe('diverging scale', function() {
+        it('map midpoint to middle color stop', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'diverging',
+                colors: ['#0000ff', '#ffffff', '#ff0000'],
+                midpoint: 0
+            });
+            colorSpectrum.setLimit({
+                min: -20,
+                max: 80
+            });
+
+            expect(colorSpectrum.midpointRatio).toBe(0.2);
+            expect(colorSpectrum.getColor(0)).toBe('#0000ff');
+            expect(colorSpectrum.getColor(0.2)).toBe('#ffffff');
+            expect(colorSpectrum.getColor(0.6)).toBe('#ff8080');
+        });
+
+        it('make gradient stops, whose ratio of middle color is ratio of midpoint', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'diverging',
+                colors: ['#0000ff', '#ffffff', '#ff0000'],
+                midpoint: 0
+            });
+            colorSpectrum.setLimit({
+                min: -20,
+                max: 80
+            });
+
+            expect(colorSpectrum.getGradientStops()).toEqual([
+                {
+                    color: '#0000ff',
+                    ratio: 0
+                },
+                {
+                    color: '#ffffff',
+                    ratio: 0.2
+                },
+                {
+                    color: '#ff0000',
+                    ratio: 1
+                }
+            ]);
+        });
+    });
+
+    describe('perceptual interpolation', function() {
+        it('interpolate colors in lab color space', function() {
+            colorSpectrum = new ColorSpectrum('#000000', '#ffffff', {
+                interpolation: 'lab'
+            });
+
+            expect(colorSpectrum.getColor(0)).toBe('#000000');
+            expect(colorSpectrum.getColor(0.5)).toBe('#777777');
+            expect(colorSpectrum.getColor(1)).toBe('#ffffff');
+        });
+
+        it('interpolate hue in shorter direction in hcl color space', function() {
+            var rgb;
+
+            colorSpectrum = new ColorSpectrum('#ff0000', '#0000ff', {
+                interpolation: 'hcl'
+            });
+            rgb = colorutil.hexToRGB(colorSpectrum.getColor(0.5));
+
+            expect(rgb[0]).toBeGreaterThan(rgb[1]);
+            expect(rgb[2]).toBeGreaterThan(rgb[1]);
+        });
+
+        it('add colors between stops to gradient stops', function() {
+            colorSpectrum = new ColorSpectrum('#000000', '#ffffff', {
+                interpolation: 'lab'
+            });
+
+            expect(colorSpectrum.getGradientStops().length).toBe(11);
+        });
+    });
+
+    describe('classed scale', function() {
+        it('divide ratio into classes of same size by quantize scale', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'quantize',
+                colors: ['#eeeeee', '#999999', '#333333']
+            });
+
+            expect(colorSpectrum.isClassed()).toBe(true);
+            expect(colorSpectrum.getColor(0.2)).toBe('#eeeeee');
+            expect(colorSpectrum.getColor(0.5)).toBe('#999999');
+            expect(colorSpectrum.getColor(1)).toBe('#333333');
+        });
+
+        it('pick colors of classes from color stops, when count of colors differs from classCount', function() {
+            colorSpectrum = new ColorSpectrum('#ffffff', '#000000', {
+                type: 'quantize',
+                classCount: 3
+            });
+
+            expect(colorSpectrum.classColors).toEqual(['#ffffff', '#808080', '#000000']);
+        });
+
+        it('divide values into classes of same count by quantile scale', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'quantile',
+                colors: ['#eeeeee', '#333333']
+            });
+            colorSpectrum.setLimit({
+                min: 0,
+                max: 100
+            }, [0, 1, 2, 3, 4, 100]);
+
+            expect(colorSpectrum.classCount).toBe(5);
+            expect(colorSpectrum.breaks).toEqual([0.01, 0.02, 0.03, 0.04]);
+        });
+
+        it('divide classes by thresholds of threshold scale', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'threshold',
+                colors: ['#eeeeee', '#999999', '#333333'],
+                thresholds: [10, 50]
+            });
+            colorSpectrum.setLimit({
+                min: 0,
+                max: 100
+            });
+
+            expect(colorSpectrum.getColor(0.05)).toBe('#eeeeee');
+            expect(colorSpectrum.getColor(0.1)).toBe('#999999');
+            expect(colorSpectrum.getColor(0.7)).toBe('#333333');
+            expect(colorSpectrum.getClasses()).toEqual([
+                {
+                    color: '#eeeeee',
+                    start: 0,
+                    end: 0.1
+                },
+                {
+                    color: '#999999',
+                    start: 0.1,
+                    end: 0.5
+                },
+                {
+                    color: '#333333',
+                    start: 0.5,
+                    end: 1
+                }
+            ]);
+        });
+
+        it('exclude classes out of limit from classes for legend', function() {
+            colorSpectrum = new ColorSpectrum(null, null, {
+                type: 'threshold',
+                colors: ['#eeeeee', '#999999', '#333333'],
+                thresholds: [-10, 50]
+            });
+            colorSpectrum.setLimit({
+                min: 0,
+                max: 100
+            });
+
+            expect(colorSpectrum.getClasses().length).toBe(2);
+        });
+    });
 });
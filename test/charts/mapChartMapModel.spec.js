@@ -643,4 +643,92 @@ describe('MapChartMapModel', function() {
             expect(actual).toEqual(expected);
         });
     });
+
+    describe('getPointData()', function() {
+        var pointDataProcessor;
+
+        /**
+         * Fake projection, which does not project longitude over 90.
+         * @param {number} longitude - longitude
+         * @param {number} latitude - latitude
+         * @returns {?{x: number, y: number}}
+         */
+        function project(longitude, latitude) {
+            return longitude > 90 ? null : {
+                x: longitude * 10,
+                y: latitude * 10
+            };
+        }
+
+        beforeEach(function() {
+            pointDataProcessor = jasmine.createSpyObj('dataProcessor', ['getPointData']);
+        });
+
+        it('position points by projection or by x and y, and exclude points, which can not be positioned', function() {
+            var actual;
+
+            pointDataProcessor.getPointData.and.returnValue([{
+                name: 'A',
+                lon: 1,
+                lat: 2,
+                value: 10
+            }, {
+                name: 'B',
+                x: 5,
+                y: 6
+            }, {
+                name: 'C',
+                lon: 120,
+                lat: 0
+            }, {
+                name: 'D'
+            }]);
+            mapModel = new MapChartMapModel(pointDataProcessor, [], project);
+
+            actual = mapModel.getPointData();
+
+            expect(actual.length).toBe(2);
+            expect(actual[0].coordinate).toEqual({
+                x: 10,
+                y: 20
+            });
+            expect(actual[0].value).toBe(10);
+            expect(actual[1].coordinate).toEqual({
+                x: 5,
+                y: 6
+            });
+            expect(mapModel.getPointDatum(1).name).toBe('B');
+        });
+
+        it('exclude points of longitude and latitude, when map does not have projection', function() {
+            pointDataProcessor.getPointData.and.returnValue([{
+                name: 'A',
+                lon: 1,
+                lat: 2
+            }]);
+            mapModel = new MapChartMapModel(pointDataProcessor, []);
+
+            expect(mapModel.getPointData()).toEqual([]);
+        });
+    });
+
+    describe('findDatumByCode()', function() {
+        beforeEach(function() {
+            spyOn(mapModel, 'getMapData').and.returnValue([{
+                code: 'KR',
+                name: 'South Korea'
+            }, {
+                code: 'US',
+                name: 'United States'
+            }]);
+        });
+
+        it('find map datum by code of region', function() {
+            expect(mapModel.findDatumByCode('US').name).toBe('United States');
+        });
+
+        it('return null, when map does not have region of code', function() {
+            expect(mapModel.findDatumByCode('JP')).toBeNull();
+        });
+    });
 });
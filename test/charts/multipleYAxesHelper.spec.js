@@ -0,0 +1,199 @@
+/**
+ * @fileoverview Test for multipleYAxesHelper.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var multipleYAxesHelper = require('../../src/js/charts/multipleYAxesHelper');
+
+describe('Test for multipleYAxesHelper', function() {
+    var yAxisOptions = [{
+        title: 'count'
+    }, {
+        name: 'revenue'
+    }, {
+        name: 'percent',
+        align: 'left'
+    }];
+    var rawSeriesData = [{
+        name: 'A',
+        data: [1, 2]
+    }, {
+        name: 'B',
+        data: [1000, 2000],
+        yAxis: 'revenue'
+    }, {
+        name: 'C',
+        data: [10, 20],
+        yAxis: 2
+    }, {
+        name: 'D',
+        data: [3, 4],
+        yAxis: 'unknown'
+    }];
+    var dataProcessor;
+
+    beforeEach(function() {
+        dataProcessor = jasmine.createSpyObj('dataProcessor', [
+            'isCoordinateType', 'getSeriesDataModel', 'addDataRatiosForMultipleYAxes'
+        ]);
+        dataProcessor.isCoordinateType.and.returnValue(false);
+    });
+
+    describe('hasMultipleYAxes()', function() {
+        it('should return true, when yAxis options is array of more than one options.', function() {
+            expect(multipleYAxesHelper.hasMultipleYAxes({
+                yAxis: yAxisOptions,
+                series: {}
+            }, dataProcessor)).toBe(true);
+        });
+
+        it('should return false, when yAxis options is single.', function() {
+            expect(multipleYAxesHelper.hasMultipleYAxes({
+                yAxis: {},
+                series: {}
+            }, dataProcessor)).toBe(false);
+        });
+
+        it('should return false, when series are stacked.', function() {
+            expect(multipleYAxesHelper.hasMultipleYAxes({
+                yAxis: yAxisOptions,
+                series: {
+                    stackType: 'normal'
+                }
+            }, dataProcessor)).toBe(false);
+        });
+
+        it('should return false, when data is coordinate type.', function() {
+            dataProcessor.isCoordinateType.and.returnValue(true);
+
+            expect(multipleYAxesHelper.hasMultipleYAxes({
+                yAxis: yAxisOptions,
+                series: {}
+            }, dataProcessor)).toBe(false);
+        });
+    });
+
+    describe('normalizeYAxisOptions()', function() {
+        it('should normalize yAxis options to first item, when series are stacked.', function() {
+            var options = {
+                yAxis: yAxisOptions,
+                series: {
+                    stackType: 'normal'
+                }
+            };
+
+            multipleYAxesHelper.normalizeYAxisOptions(options, dataProcessor);
+
+            expect(options.yAxis).toBe(yAxisOptions[0]);
+        });
+
+        it('should normalize yAxis options to first item, when yAxis options has only one item.', function() {
+            var options = {
+                yAxis: [yAxisOptions[0]],
+                series: {}
+            };
+
+            multipleYAxesHelper.normalizeYAxisOptions(options, dataProcessor);
+
+            expect(options.yAxis).toBe(yAxisOptions[0]);
+        });
+
+        it('should normalize yAxis options to first item, when data is coordinate type.', function() {
+            var options = {
+                yAxis: yAxisOptions,
+                series: {}
+            };
+
+            dataProcessor.isCoordinateType.and.returnValue(true);
+            multipleYAxesHelper.normalizeYAxisOptions(options, dataProcessor);
+
+            expect(options.yAxis).toBe(yAxisOptions[0]);
+        });
+
+        it('should keep yAxis options, when series can be bound to multiple y axes.', function() {
+            var options = {
+                yAxis: yAxisOptions,
+                series: {}
+            };
+
+            multipleYAxesHelper.normalizeYAxisOptions(options, dataProcessor);
+
+            expect(options.yAxis).toBe(yAxisOptions);
+        });
+    });
+
+    describe('_makeSeriesIndexesList()', function() {
+        it('should bind series to y axis by name or index, and to base y axis if not bound.', function() {
+            var actual = multipleYAxesHelper._makeSeriesIndexesList(yAxisOptions, rawSeriesData);
+
+            expect(actual).toEqual([[0, 3], [1], [2]]);
+        });
+    });
+
+    describe('makeScaleOption()', function() {
+        it('should make scale options of base y axis and extra y axes.', function() {
+            var actual = multipleYAxesHelper.makeScaleOption(yAxisOptions, rawSeriesData);
+
+            expect(actual.yAxis).toEqual({
+                options: yAxisOptions[0],
+                additionalOptions: {
+                    seriesIndexes: [0, 3]
+                }
+            });
+            expect(actual.extraYAxes).toEqual([{
+                name: 'yAxis1',
+                options: yAxisOptions[1],
+                isPositionRight: true,
+                additionalOptions: {
+                    seriesIndexes: [1]
+                }
+            }, {
+                name: 'yAxis2',
+                options: yAxisOptions[2],
+                isPositionRight: false,
+                additionalOptions: {
+                    seriesIndexes: [2]
+                }
+            }]);
+        });
+    });
+
+    describe('registerYAxes()', function() {
+        it('should register axis component for each y axis options.', function() {
+            var componentManager = jasmine.createSpyObj('componentManager', ['register']);
+
+            multipleYAxesHelper.registerYAxes(componentManager, yAxisOptions);
+
+            expect(componentManager.register.calls.allArgs()).toEqual([
+                ['yAxis', 'axis', {optionKey: 'yAxis', index: 0}],
+                ['yAxis1', 'axis', {optionKey: 'yAxis', index: 1}],
+                ['yAxis2', 'axis', {optionKey: 'yAxis', index: 2}]
+            ]);
+        });
+    });
+
+    describe('addDataRatios()', function() {
+        it('should add data ratios with limit and bound series of each y axis.', function() {
+            var limitMap = {
+                yAxis: {min: 0, max: 5},
+                yAxis1: {min: 0, max: 2000},
+                yAxis2: {min: 0, max: 20}
+            };
+
+            dataProcessor.getSeriesDataModel.and.returnValue({
+                rawSeriesData: rawSeriesData
+            });
+
+            multipleYAxesHelper.addDataRatios(dataProcessor, limitMap, yAxisOptions, 'line');
+
+            expect(dataProcessor.addDataRatiosForMultipleYAxes).toHaveBeenCalledWith([
+                {limit: limitMap.yAxis, seriesIndexes: [0, 3]},
+                {limit: limitMap.yAxis1, seriesIndexes: [1]},
+                {limit: limitMap.yAxis2, seriesIndexes: [2]}
+            ], 'line');
+        });
+    });
+});
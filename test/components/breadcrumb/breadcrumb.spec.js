@@ -0,0 +1,111 @@
+/**
+ * @fileoverview Test for Breadcrumb.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var breadcrumbFactory = require('../../../src/js/components/breadcrumb/breadcrumb');
+var dom = require('../../../src/js/helpers/domHandler');
+
+describe('Test for Breadcrumb', function() {
+    var breadcrumb, eventBus;
+
+    beforeEach(function() {
+        eventBus = new tui.util.CustomEvents();
+        breadcrumb = new breadcrumbFactory.Breadcrumb({
+            rootLabel: 'All',
+            eventBus: eventBus
+        });
+        breadcrumb.breadcrumbContainer = dom.create('DIV');
+        breadcrumb.onChangeZoomPath([
+            {
+                id: null,
+                label: 'All'
+            },
+            {
+                id: 'A',
+                label: 'label1'
+            },
+            {
+                id: 'A1',
+                label: 'label1-1'
+            }
+        ]);
+        spyOn(eventBus, 'fire');
+    });
+
+    describe('_renderItems()', function() {
+        it('render items of path with separators, and only ancestors are focusable', function() {
+            var items = breadcrumb.breadcrumbContainer.childNodes;
+
+            expect(items.length).toBe(5);
+            expect(items[0].innerHTML).toBe('All');
+            expect(items[1].innerHTML).toBe('&gt;');
+            expect(items[2].getAttribute('tabindex')).toBe('0');
+            expect(items[4].innerHTML).toBe('label1-1');
+            expect(items[4].getAttribute('tabindex')).toBeNull();
+            expect(dom.hasClass(items[4], 'current')).toBe(true);
+        });
+    });
+
+    describe('_onClick()', function() {
+        it('fire zoomToNode event with id of clicked ancestor', function() {
+            breadcrumb._onClick({
+                target: breadcrumb.breadcrumbContainer.childNodes[0]
+            });
+
+            expect(eventBus.fire).toHaveBeenCalledWith('zoomToNode', null);
+        });
+
+        it('do not fire zoomToNode event, when current root of zoom is clicked', function() {
+            breadcrumb._onClick({
+                target: breadcrumb.breadcrumbContainer.childNodes[4]
+            });
+
+            expect(eventBus.fire).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('_onKeydown()', function() {
+        it('fire zoomToNode event with id of focused item, when enter key is pressed', function() {
+            breadcrumb._onKeydown({
+                target: breadcrumb.breadcrumbContainer.childNodes[2],
+                keyCode: 13
+            });
+
+            expect(eventBus.fire).toHaveBeenCalledWith('zoomToNode', 'A');
+        });
+
+        it('fire zoomToNode event with id of parent of current root, when escape key is pressed', function() {
+            breadcrumb._onKeydown({
+                target: breadcrumb.breadcrumbContainer,
+                keyCode: 27
+            });
+
+            expect(eventBus.fire).toHaveBeenCalledWith('zoomToNode', 'A');
+        });
+
+        it('move focus to next item, when right arrow key is pressed', function() {
+            spyOn(breadcrumb, '_focusItem');
+
+            breadcrumb._onKeydown({
+                target: breadcrumb.breadcrumbContainer.childNodes[0],
+                keyCode: 39
+            });
+
+            expect(breadcrumb._focusItem).toHaveBeenCalledWith(1);
+            expect(eventBus.fire).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resetData()', function() {
+        it('render root only', function() {
+            breadcrumb.resetData();
+
+            expect(breadcrumb.breadcrumbContainer.childNodes.length).toBe(1);
+            expect(breadcrumb.breadcrumbContainer.childNodes[0].innerHTML).toBe('All');
+        });
+    });
+});
@@ -74,6 +74,18 @@ describe('Test for Legend', function() {
         });
     });
 
+    describe('resetData()', function() {
+        it('create legend model again with changed legend data', function() {
+            var prevLegendModel = legend.legendModel;
+
+            dataProcessor.getLegendData.calls.reset();
+            legend.resetData();
+
+            expect(legend.legendModel).not.toBe(prevLegendModel);
+            expect(dataProcessor.getLegendData).toHaveBeenCalled();
+        });
+    });
+
     describe('_fireSelectLegendEvent()', function() {
         it('fire selectLegend event', function() {
             var data = {
@@ -268,6 +268,31 @@ describe('Test for Plot', function() {
         });
     });
 
+    describe('_findYAxisDataListForPlotLines()', function() {
+        it('should find base y axis and other y axes which have true showPlotLine option.', function() {
+            var yAxis = {isVertical: true, options: {}};
+            var yAxis1 = {isVertical: true, options: {showPlotLine: true}};
+            var yAxis2 = {isVertical: true, options: {}};
+
+            plot.axisDataMap = {
+                xAxis: {isVertical: false, options: {showPlotLine: true}},
+                yAxis: yAxis,
+                yAxis1: yAxis1,
+                yAxis2: yAxis2
+            };
+
+            expect(plot._findYAxisDataListForPlotLines()).toEqual([yAxis, yAxis1]);
+        });
+
+        it('should exclude base y axis, when its showPlotLine option is false.', function() {
+            plot.axisDataMap = {
+                yAxis: {isVertical: true, options: {showPlotLine: false}}
+            };
+
+            expect(plot._findYAxisDataListForPlotLines()).toEqual([]);
+        });
+    });
+
     describe('_makeDividedPlotPositions()', function() {
         it('make divided positions of plot', function() {
             var actual, expected;
@@ -0,0 +1,107 @@
+/**
+ * @fileoverview Test for BulletChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var bulletSeriesFactory = require('../../../src/js/components/series/bulletChartSeries.js');
+var SeriesItemForBullet = require('../../../src/js/models/data/seriesItemForBullet');
+
+describe('Test for BulletChartSeries', function() {
+    var baseData = {
+        baseBarSize: 200,
+        barSize: 40,
+        pointInterval: 50,
+        basePosition: 10
+    };
+    var seriesItem;
+
+    beforeEach(function() {
+        seriesItem = new SeriesItemForBullet({
+            datum: 50,
+            markers: [75],
+            ranges: [25, 100]
+        });
+        seriesItem.addStart(0);
+        seriesItem.addRatio(100);
+    });
+
+    function createSeries(isVertical) {
+        return new bulletSeriesFactory.BulletChartSeries({
+            chartType: 'bullet',
+            theme: {},
+            options: {},
+            isVertical: isVertical,
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel']),
+            eventBus: new tui.util.CustomEvents()
+        });
+    }
+
+    describe('_makeBulletBound()', function() {
+        it('make horizontal measure bar, range bands and marker lines, when not vertical', function() {
+            var actual = createSeries(false)._makeBulletBound(baseData, 0, seriesItem, 0);
+
+            expect(actual.start).toEqual({
+                left: 10,
+                top: 42,
+                width: 0,
+                height: 16
+            });
+            expect(actual.end).toEqual({
+                left: 10,
+                top: 42,
+                width: 100,
+                height: 16
+            });
+            expect(actual.ranges).toEqual([
+                {
+                    left: 10,
+                    top: 30,
+                    width: 50,
+                    height: 40
+                },
+                {
+                    left: 60,
+                    top: 30,
+                    width: 150,
+                    height: 40
+                }
+            ]);
+            expect(actual.markers).toEqual([{
+                start: {
+                    left: 160,
+                    top: 34
+                },
+                end: {
+                    left: 160,
+                    top: 66
+                }
+            }]);
+        });
+
+        it('make vertical measure bar and marker lines from bottom, when vertical', function() {
+            var actual = createSeries(true)._makeBulletBound(tui.util.extend({}, baseData, {
+                basePosition: 200
+            }), 0, seriesItem, 0);
+
+            expect(actual.end).toEqual({
+                left: 42,
+                top: 110,
+                width: 16,
+                height: 100
+            });
+            expect(actual.ranges[0]).toEqual({
+                left: 30,
+                top: 160,
+                width: 40,
+                height: 50
+            });
+            expect(actual.markers[0].start).toEqual({
+                left: 34,
+                top: 60
+            });
+        });
+    });
+});
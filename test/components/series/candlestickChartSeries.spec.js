@@ -0,0 +1,103 @@
+/**
+ * @fileoverview Test for CandlestickChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var candlestickSeriesFactory = require('../../../src/js/components/series/candlestickChartSeries.js');
+var SeriesItemForCandlestick = require('../../../src/js/models/data/seriesItemForCandlestick');
+
+describe('Test for CandlestickChartSeries', function() {
+    var series;
+
+    beforeEach(function() {
+        series = new candlestickSeriesFactory.CandlestickChartSeries({
+            chartType: 'candlestick',
+            theme: {},
+            options: {},
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel']),
+            eventBus: new tui.util.CustomEvents()
+        });
+        series.layout = {
+            dimension: {
+                width: 200,
+                height: 100
+            },
+            position: {
+                left: 10,
+                top: 10
+            }
+        };
+    });
+
+    describe('_makeVolumeBound()', function() {
+        it('make bound of volume column on bottom of series area by ratio of max volume', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30, 50]
+            });
+            var actual = series._makeVolumeBound(seriesItem, 20, 8, 100);
+
+            expect(actual).toEqual({
+                left: 20,
+                top: 100,
+                width: 8,
+                height: 10
+            });
+        });
+
+        it('return null, when there is no volume', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30]
+            });
+
+            expect(series._makeVolumeBound(seriesItem, 20, 8, 100)).toBeNull();
+        });
+    });
+
+    describe('_makeCandlestickBound()', function() {
+        it('make bound of body between open and close and wick between high and low', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [20, 40, 0, 30]
+            });
+            var actual;
+
+            seriesItem.addRatio(40);
+            actual = series._makeCandlestickBound({
+                pointInterval: 50,
+                barSize: 40,
+                maxVolume: 0
+            }, 10, seriesItem, 0);
+
+            expect(actual.end).toEqual({
+                left: 40,
+                top: 35,
+                width: 40,
+                height: 25
+            });
+            expect(actual.wick).toEqual({
+                left: 60,
+                top: 10,
+                bottom: 110
+            });
+            expect(actual.volume).toBeNull();
+            expect(actual.isRising).toBe(true);
+        });
+
+        it('height of body is at least 1, when open value is same as close value', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [20, 40, 0, 20]
+            });
+            var actual;
+
+            seriesItem.addRatio(40);
+            actual = series._makeCandlestickBound({
+                pointInterval: 50,
+                barSize: 40
+            }, 10, seriesItem, 0);
+
+            expect(actual.end.height).toBe(1);
+        });
+    });
+});
@@ -104,6 +104,30 @@ describe('ColumnChartSeries', function() {
 
             expect(actual).toEqual(expected);
         });
+
+        it('make bound of range column from top of start value, when start is not zero', function() {
+            var baseData = {
+                    baseBarSize: 100,
+                    basePosition: 50,
+                    barSize: 20,
+                    pointInterval: 20
+                },
+                iterationData = {
+                    baseLeft: 10,
+                    left: 0,
+                    plusTop: 0
+                },
+                seriesItem = {
+                    value: 30,
+                    startRatio: 0.1,
+                    ratioDistance: 0.2
+                },
+                actual = series._makeColumnChartBound(baseData, iterationData, false, seriesItem, 0);
+
+            expect(actual.start.top).toBe(50);
+            expect(actual.end.top).toBe(30);
+            expect(actual.end.height).toBe(20);
+        });
     });
 
     describe('_makeBounds()', function() {
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Test for FunnelChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var funnelSeriesFactory = require('../../../src/js/components/series/funnelChartSeries.js');
+var SeriesGroup = require('../../../src/js/models/data/seriesGroup');
+
+describe('Test for FunnelChartSeries', function() {
+    var series, shape;
+
+    beforeEach(function() {
+        series = new funnelSeriesFactory.FunnelChartSeries({
+            chartType: 'funnel',
+            theme: {},
+            options: {},
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel']),
+            eventBus: new tui.util.CustomEvents()
+        });
+        shape = {
+            centerLeft: 60,
+            top: 10,
+            width: 100,
+            height: 100,
+            neckWidth: 20,
+            neckHeight: 20
+        };
+    });
+
+    describe('_setDefaultOptions()', function() {
+        it('set neck options of funnel by default', function() {
+            expect(series.options.neckWidth).toBe('30%');
+            expect(series.options.neckHeight).toBe('25%');
+            expect(series.options.previousStageLabel).toBe('of previous');
+            expect(series.isFlipped).toBe(false);
+        });
+
+        it('pyramid has no neck and is flipped, unless reversed option is true', function() {
+            series.chartType = 'pyramid';
+            series.options = {};
+            series._setDefaultOptions();
+
+            expect(series.options.neckWidth).toBe(0);
+            expect(series.options.neckHeight).toBe(0);
+            expect(series.isFlipped).toBe(true);
+
+            series.options = {
+                reversed: true
+            };
+            series._setDefaultOptions();
+
+            expect(series.isFlipped).toBe(false);
+        });
+    });
+
+    describe('_convertSizeToPixel()', function() {
+        it('convert percentage to pixel by base size', function() {
+            expect(series._convertSizeToPixel('30%', 200)).toBe(60);
+        });
+
+        it('use number as pixel, but not greater than base size', function() {
+            expect(series._convertSizeToPixel(50, 200)).toBe(50);
+            expect(series._convertSizeToPixel(500, 200)).toBe(200);
+        });
+    });
+
+    describe('_calculateWidthAt()', function() {
+        it('narrow width linearly to neck width and keep neck width below it', function() {
+            expect(series._calculateWidthAt(shape, 0)).toBe(100);
+            expect(series._calculateWidthAt(shape, 40)).toBe(60);
+            expect(series._calculateWidthAt(shape, 90)).toBe(20);
+        });
+    });
+
+    describe('_makeSegmentPoints()', function() {
+        it('make points of trapezoid from right top to left top', function() {
+            var actual = series._makeSegmentPoints(shape, 0, 40);
+
+            expect(actual).toEqual([
+                {
+                    left: 110,
+                    top: 10
+                },
+                {
+                    left: 90,
+                    top: 50
+                },
+                {
+                    left: 30,
+                    top: 50
+                },
+                {
+                    left: 10,
+                    top: 10
+                }
+            ]);
+        });
+
+        it('add points of neck start, when segment crosses it', function() {
+            var actual = series._makeSegmentPoints(shape, 60, 100);
+
+            expect(actual.length).toBe(6);
+            expect(actual[1]).toEqual({
+                left: 70,
+                top: 90
+            });
+            expect(actual[4]).toEqual({
+                left: 50,
+                top: 90
+            });
+        });
+
+        it('make points from bottom, when flipped', function() {
+            var actual;
+
+            series.isFlipped = true;
+            actual = series._makeSegmentPoints(shape, 0, 40);
+
+            expect(actual[0].top).toBe(110);
+            expect(actual[1].top).toBe(70);
+        });
+    });
+
+    describe('_makeStageLabel()', function() {
+        it('make label with legend, value and percentages of first and previous stages', function() {
+            var seriesItem = {
+                label: '400',
+                firstStageRatio: 0.4,
+                previousStageRatio: 0.8
+            };
+
+            series.options.showLegend = true;
+            series.options.showLabel = true;
+
+            expect(series._makeStageLabel(seriesItem, 'Downloads', 1)).toBe('Downloads: 400\n40% (80% of previous)');
+        });
+
+        it('make label without percentage of previous stage for first stage', function() {
+            var seriesItem = {
+                label: '1000',
+                firstStageRatio: 1,
+                previousStageRatio: 1
+            };
+
+            series.options.showLabel = true;
+
+            expect(series._makeStageLabel(seriesItem, 'Visits', 0)).toBe('1000\n100%');
+        });
+
+        it('make label with previousStageLabel option', function() {
+            var seriesItem = {
+                label: '400',
+                firstStageRatio: 0.4,
+                previousStageRatio: 0.8
+            };
+
+            series.options.showLabel = true;
+            series.options.previousStageLabel = 'of prior step';
+
+            expect(series._makeStageLabel(seriesItem, 'Downloads', 1)).toBe('400\n40% (80% of prior step)');
+        });
+
+        it('make label of percentages only without line break, when legend and value are not shown', function() {
+            var seriesItem = {
+                label: '400',
+                firstStageRatio: 0.4,
+                previousStageRatio: 0.8
+            };
+
+            expect(series._makeStageLabel(seriesItem, 'Downloads', 1)).toBe('40% (80% of previous)');
+        });
+    });
+
+    describe('_renderSeriesLabel()', function() {
+        it('render empty label for stage without value, for keeping labels aligned with segments', function() {
+            var seriesItems = [{
+                label: '1000',
+                firstStageRatio: 1
+            }, null, {
+                label: '50',
+                firstStageRatio: 0.05,
+                previousStageRatio: 0.05
+            }];
+
+            series.options.showLabel = true;
+            series.dataProcessor.getLegendLabels = jasmine.createSpy('getLegendLabels')
+                .and.returnValue(['Visits', 'Downloads', 'Purchases']);
+            series.dataProcessor.getSeriesDataModel.and.returnValue(
+                jasmine.createSpyObj('seriesDataModel', ['getFirstSeriesGroup'])
+            );
+            series.dataProcessor.getSeriesDataModel().getFirstSeriesGroup.and.returnValue(new SeriesGroup(seriesItems));
+            series.seriesData = {
+                segmentData: [{
+                    centerPosition: {left: 60, top: 20}
+                }, {
+                    centerPosition: {left: 60, top: 40}
+                }, {
+                    centerPosition: {left: 60, top: 60}
+                }]
+            };
+            series.graphRenderer = jasmine.createSpyObj('graphRenderer', ['renderLabels']);
+
+            series._renderSeriesLabel('paper');
+
+            expect(series.graphRenderer.renderLabels.calls.argsFor(0)[2]).toEqual([
+                '1000\n100%',
+                '',
+                '50\n5% (5% of previous)'
+            ]);
+        });
+    });
+});
@@ -0,0 +1,122 @@
+/**
+ * @fileoverview Test for GanttChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var ganttSeriesFactory = require('../../../src/js/components/series/ganttChartSeries.js');
+var SeriesItemForGantt = require('../../../src/js/models/data/seriesItemForGantt');
+
+describe('Test for GanttChartSeries', function() {
+    var baseData = {
+        baseBarSize: 200,
+        barSize: 20,
+        pointInterval: 50,
+        basePosition: 10
+    };
+    var series;
+
+    beforeEach(function() {
+        series = new ganttSeriesFactory.GanttChartSeries({
+            chartType: 'gantt',
+            theme: {},
+            options: {},
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel', 'getCategories']),
+            eventBus: new tui.util.CustomEvents()
+        });
+    });
+
+    describe('_makeTaskBound()', function() {
+        it('make bounds of whole period, ranges and milestones of task', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [[100, 200], [300, 500]],
+                milestones: [400]
+            });
+            var actual;
+
+            seriesItem.addRatio(400, 100);
+            actual = series._makeTaskBound(baseData, 0, seriesItem, 0);
+
+            expect(actual.end).toEqual({
+                left: 10,
+                top: 40,
+                width: 200,
+                height: 20
+            });
+            expect(actual.ranges[0].start).toEqual({
+                left: 10,
+                top: 40,
+                width: 0,
+                height: 20
+            });
+            expect(actual.ranges[0].end.width).toBe(50);
+            expect(actual.ranges[1].end.left).toBe(110);
+            expect(actual.ranges[1].end.width).toBe(100);
+            expect(actual.milestones).toEqual([{
+                left: 160,
+                top: 50,
+                size: 16
+            }]);
+            expect(actual.dependencies).toEqual([]);
+        });
+
+        it('clamp bars and hide milestones, which are out of zoomed time axis', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [0, 300],
+                milestones: [0, 200]
+            });
+            var actual;
+
+            seriesItem.addRatio(200, 100);
+            actual = series._makeTaskBound(baseData, 0, seriesItem, 0);
+
+            expect(actual.ranges[0].end.left).toBe(10);
+            expect(actual.ranges[0].end.width).toBe(200);
+            expect(actual.milestones).toEqual([
+                null,
+                {
+                    left: 110,
+                    top: 50,
+                    size: 16
+                }
+            ]);
+        });
+    });
+
+    describe('_makeDependencyPoints()', function() {
+        it('make points of elbow line from end of previous task to start of next task', function() {
+            var actual = series._makeDependencyPoints({
+                left: 10,
+                top: 40,
+                width: 50,
+                height: 20
+            }, {
+                left: 100,
+                top: 90,
+                width: 50,
+                height: 20
+            });
+
+            expect(actual).toEqual([
+                {
+                    left: 60,
+                    top: 50
+                },
+                {
+                    left: 70,
+                    top: 50
+                },
+                {
+                    left: 70,
+                    top: 100
+                },
+                {
+                    left: 100,
+                    top: 100
+                }
+            ]);
+        });
+    });
+});
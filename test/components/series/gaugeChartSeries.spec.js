@@ -0,0 +1,142 @@
+/**
+ * @fileoverview Test for GaugeChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var gaugeSeriesFactory = require('../../../src/js/components/series/gaugeChartSeries.js');
+
+describe('Test for GaugeChartSeries', function() {
+    var series;
+
+    beforeEach(function() {
+        series = new gaugeSeriesFactory.GaugeChartSeries({
+            chartType: 'gauge',
+            theme: {
+                colors: ['#ac4142']
+            },
+            options: {
+                bands: [
+                    {
+                        range: [0, 60],
+                        color: '#90a959'
+                    },
+                    {
+                        range: [60, 100],
+                        color: '#d28445'
+                    }
+                ]
+            },
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel', 'getLegendLabels']),
+            eventBus: new tui.util.CustomEvents()
+        });
+        series.scaleData = {
+            limit: {
+                min: 0,
+                max: 100
+            }
+        };
+    });
+
+    describe('_setDefaultOptions()', function() {
+        it('set angles of arc from 240 to 120 and show value label by default', function() {
+            expect(series.options.startAngle).toBe(240);
+            expect(series.options.endAngle).toBe(120);
+            expect(series.options.showLabel).toBe(true);
+            expect(series.options.radiusRange).toEqual([0.9, 1]);
+        });
+
+        it('solid gauge has thicker arc by default', function() {
+            series.options = {
+                solid: true,
+                startAngle: 270,
+                endAngle: 90,
+                showLabel: false
+            };
+            series._setDefaultOptions();
+
+            expect(series.options.startAngle).toBe(270);
+            expect(series.options.endAngle).toBe(90);
+            expect(series.options.showLabel).toBe(false);
+            expect(series.options.radiusRange[0]).toBeCloseTo(0.7, 5);
+            expect(series.options.radiusRange[1]).toBe(1);
+        });
+    });
+
+    describe('_calculateAngle()', function() {
+        it('calculate angle of value by ratio of value in scale', function() {
+            expect(series._calculateAngle(0)).toBe(240);
+            expect(series._calculateAngle(50)).toBe(360);
+            expect(series._calculateAngle(100)).toBe(480);
+        });
+
+        it('value out of scale is pointed at start or end of arc', function() {
+            expect(series._calculateAngle(-10)).toBe(240);
+            expect(series._calculateAngle(120)).toBe(480);
+        });
+    });
+
+    describe('_makeBandData()', function() {
+        it('make angles of bands', function() {
+            var actual = series._makeBandData();
+
+            expect(actual[0].angles).toEqual({
+                startAngle: 240,
+                endAngle: 384
+            });
+            expect(actual[1].angles).toEqual({
+                startAngle: 384,
+                endAngle: 480
+            });
+            expect(actual[1].color).toBe('#d28445');
+        });
+    });
+
+    describe('_makeValueData()', function() {
+        var circleBound;
+
+        beforeEach(function() {
+            var seriesDataModel = jasmine.createSpyObj('seriesDataModel', ['getSeriesItem']);
+
+            seriesDataModel.getSeriesItem.and.returnValue({
+                value: 80,
+                label: '80'
+            });
+            series.dataProcessor.getSeriesDataModel.and.returnValue(seriesDataModel);
+            series.dataProcessor.getLegendLabels.and.returnValue(['Speed']);
+            circleBound = {
+                cx: 100,
+                cy: 100,
+                r: 100
+            };
+        });
+
+        it('make value data, which is colored by band containing value', function() {
+            var actual = series._makeValueData(circleBound);
+
+            expect(actual.angle).toBe(432);
+            expect(actual.fromAngle).toBe(240);
+            expect(actual.color).toBe('#d28445');
+            expect(actual.needleLength).toBe(85);
+            expect(actual.legend).toBe('Speed');
+            expect(actual.labelPosition).toEqual({
+                left: 100,
+                top: 140
+            });
+        });
+
+        it('needle is moved from angle of previous value and colored by theme without band', function() {
+            var actual;
+
+            series.prevValueAngle = 300;
+            series.options.bands = null;
+
+            actual = series._makeValueData(circleBound);
+
+            expect(actual.fromAngle).toBe(300);
+            expect(actual.color).toBe('#ac4142');
+        });
+    });
+});
@@ -166,4 +166,48 @@ describe('MapChartSeries', function() {
             expect(series.limitPosition.top).toBe(-100);
         });
     });
+
+    describe('_setDataForRendering()', function() {
+        var data;
+
+        beforeEach(function() {
+            data = {
+                limitMap: {},
+                maxRadius: 10,
+                layout: {
+                    dimension: {
+                        width: 600,
+                        height: 400
+                    },
+                    position: {
+                        left: 10,
+                        top: 20
+                    }
+                }
+            };
+        });
+
+        it('exclude height of breadcrumb from layout, when breadcrumb of drilldown is placed on top of series', function() {
+            series.hasBreadcrumb = true;
+            series._setDataForRendering(data);
+
+            expect(series.layout).toEqual({
+                dimension: {
+                    width: 600,
+                    height: 376
+                },
+                position: {
+                    left: 10,
+                    top: 44
+                }
+            });
+            expect(series.maxRadius).toBe(10);
+        });
+
+        it('use layout as it is, when series does not have breadcrumb', function() {
+            series._setDataForRendering(data);
+
+            expect(series.layout).toBe(data.layout);
+        });
+    });
 });
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Test for PolarAreaChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var polarAreaSeriesFactory = require('../../../src/js/components/series/polarAreaChartSeries.js');
+
+describe('Test for PolarAreaChartSeries', function() {
+    var series, seriesDataModel;
+
+    beforeEach(function() {
+        series = new polarAreaSeriesFactory.PolarAreaChartSeries({
+            chartType: 'polarArea',
+            theme: {
+                colors: ['red', 'blue']
+            },
+            options: {},
+            chartBackground: {
+                color: '#fff'
+            },
+            eventBus: new tui.util.CustomEvents()
+        });
+        seriesDataModel = jasmine.createSpyObj('seriesDataModel', ['getGroupCount']);
+        seriesDataModel.getGroupCount.and.returnValue(4);
+        spyOn(series, '_getSeriesDataModel').and.returnValue(seriesDataModel);
+        spyOn(series, '_getSeriesGroups').and.returnValue([
+            [{ratio: 0.5}, {ratio: 1}, {
+                ratio: 0.2,
+                end: null
+            }, {ratio: 0.4}],
+            [{ratio: 0.25}, {ratio: 0}, {ratio: 0.5}, {ratio: 0.1}]
+        ]);
+    });
+
+    it('use background color of chart as border color of sectors by default', function() {
+        expect(series.theme.borderColor).toBe('#fff');
+    });
+
+    describe('_makeSectorData()', function() {
+        it('place sectors of series side by side in angle of category', function() {
+            var sectorData = series._makeSectorData({
+                cx: 100,
+                cy: 100,
+                r: 100
+            });
+
+            expect(sectorData.length).toBe(7);
+            expect(sectorData[0]).toEqual({
+                groupIndex: 0,
+                index: 0,
+                angles: {
+                    startAngle: -45,
+                    endAngle: 0
+                },
+                radiusRange: {
+                    inner: 0,
+                    outer: 50
+                }
+            });
+            expect(sectorData[4].groupIndex).toBe(1);
+            expect(sectorData[4].index).toBe(1);
+            expect(sectorData[4].angles).toEqual({
+                startAngle: 90,
+                endAngle: 135
+            });
+        });
+
+        it('stack sectors of series from center, when stackType option exists', function() {
+            var sectorData;
+
+            series.options.stackType = 'normal';
+            sectorData = series._makeSectorData({
+                cx: 100,
+                cy: 100,
+                r: 100
+            });
+
+            expect(sectorData[3].groupIndex).toBe(0);
+            expect(sectorData[3].index).toBe(1);
+            expect(sectorData[3].angles).toEqual({
+                startAngle: -45,
+                endAngle: 45
+            });
+            expect(sectorData[3].radiusRange).toEqual({
+                inner: 50,
+                outer: 75
+            });
+            expect(sectorData[5].radiusRange).toEqual({
+                inner: 0,
+                outer: 50
+            });
+        });
+    });
+});
@@ -64,4 +64,38 @@ describe('Test for RadialSeries', function() {
         expect(parseInt(positions[0][2].left, 10)).toEqual(50);
         expect(parseInt(positions[0][2].top, 10)).toEqual(50);
     });
+
+    it('_makePositions should make start positions of stacked points, when stackType option exists', function() {
+        var positions;
+
+        series.options.stackType = 'normal';
+        series.layout = {
+            dimension: {
+                width: 100,
+                height: 100
+            },
+            position: {
+                left: 0,
+                top: 0
+            }
+        };
+
+        positions = series._makePositionsForRadial([
+            [
+                {
+                    ratio: 0.4
+                }
+            ],
+            [
+                {
+                    ratio: 0.6
+                }
+            ]
+        ], 1);
+
+        expect(positions[0][0].startTop).toBe(50);
+        expect(positions[0][0].top).toBe(45);
+        expect(positions[1][0].startTop).toBe(45);
+        expect(positions[1][0].top).toBe(37.5);
+    });
 });
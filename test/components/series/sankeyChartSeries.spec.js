@@ -0,0 +1,190 @@
+/**
+ * @fileoverview Test for SankeyChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var sankeySeriesFactory = require('../../../src/js/components/series/sankeyChartSeries.js');
+
+describe('Test for SankeyChartSeries', function() {
+    var series;
+
+    beforeEach(function() {
+        var values = [40, 40, 60, 35, 45];
+        var seriesGroup = jasmine.createSpyObj('seriesGroup', ['map']);
+
+        seriesGroup.map.and.callFake(function(iteratee) {
+            return tui.util.map(values, function(value, index) {
+                return iteratee({
+                    value: value
+                }, index);
+            });
+        });
+
+        series = new sankeySeriesFactory.SankeyChartSeries({
+            chartType: 'sankey',
+            theme: {
+                colors: ['#ac4142', '#d28445', '#f4bf75', '#90a959', '#75b5aa']
+            },
+            options: {},
+            dataProcessor: jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel']),
+            eventBus: new tui.util.CustomEvents()
+        });
+        series.dataProcessor.getSeriesDataModel.and.returnValue({
+            getFirstSeriesGroup: function() {
+                return seriesGroup;
+            }
+        });
+        series.dataProcessor.rawData = {
+            series: {
+                sankey: [{
+                    name: 'Coal'
+                }, {
+                    name: 'Gas'
+                }, {
+                    name: 'Electricity'
+                }, {
+                    name: 'Industry'
+                }, {
+                    name: 'Homes'
+                }]
+            },
+            links: [{
+                source: 'Coal',
+                target: 'Electricity',
+                value: 40
+            }, {
+                source: 'Gas',
+                target: 'Electricity',
+                value: 20
+            }, {
+                source: 'Electricity',
+                target: 'Industry',
+                value: 35
+            }, {
+                source: 'Gas',
+                target: 'Unknown',
+                value: 10
+            }, {
+                source: 'Electricity',
+                target: 'Homes',
+                value: 25
+            }, {
+                source: 'Gas',
+                target: 'Homes',
+                value: 20
+            }]
+        };
+        series.layout = {
+            position: {
+                left: 0,
+                top: 0
+            },
+            dimension: {
+                width: 420,
+                height: 170
+            }
+        };
+    });
+
+    describe('_setDefaultOptions()', function() {
+        it('show names of nodes and set size of nodes by default', function() {
+            expect(series.options.showLabel).toBe(true);
+            expect(series.options.nodeWidth).toBe(20);
+            expect(series.options.nodePadding).toBe(10);
+        });
+    });
+
+    describe('_makeLinks()', function() {
+        it('make links between visible nodes with indexes of raw links', function() {
+            var nodes = series._makeNodes();
+            var links = series._makeLinks(nodes);
+
+            expect(tui.util.pluck(links, 'index')).toEqual([0, 1, 2, 4, 5]);
+            expect(nodes[1].outgoingLinks.length).toBe(2);
+            expect(nodes[4].incomingLinks.length).toBe(2);
+        });
+    });
+
+    describe('_setNodeColumns()', function() {
+        it('place nodes by length of longest path from source nodes', function() {
+            var nodes = series._makeNodes();
+            var columnCount = series._setNodeColumns(nodes, series._makeLinks(nodes));
+
+            expect(columnCount).toBe(3);
+            expect(tui.util.pluck(nodes, 'column')).toEqual([0, 0, 1, 2, 2]);
+        });
+
+        it('compact columns, which are emptied by cycle of links', function() {
+            var nodes = series._makeNodes();
+            var columnCount;
+
+            series.dataProcessor.rawData.links = [{
+                source: 'Coal',
+                target: 'Gas',
+                value: 10
+            }, {
+                source: 'Gas',
+                target: 'Coal',
+                value: 5
+            }];
+            columnCount = series._setNodeColumns(nodes, series._makeLinks(nodes));
+
+            expect(columnCount).toBe(3);
+            expect(nodes[0].column).toBe(2);
+            expect(nodes[1].column).toBe(1);
+            expect(nodes[2].column).toBe(0);
+        });
+    });
+
+    describe('_setNodeBounds()', function() {
+        it('stack nodes of column at vertical center, with height in proportion to value', function() {
+            var nodes = series._makeNodes();
+            var ratio;
+
+            series._setNodeColumns(nodes, series._makeLinks(nodes));
+            ratio = series._setNodeBounds(nodes, 3);
+
+            expect(ratio).toBe(2);
+            expect(nodes[1].bound).toEqual({
+                left: 0,
+                top: 90,
+                width: 20,
+                height: 80
+            });
+            expect(nodes[2].bound).toEqual({
+                left: 200,
+                top: 25,
+                width: 20,
+                height: 120
+            });
+            expect(nodes[4].bound.left).toBe(400);
+            expect(nodes[4].bound.top).toBe(80);
+        });
+    });
+
+    describe('_makeSeriesData()', function() {
+        it('stack links on nodes by order of tops of nodes on the other side', function() {
+            var linkData = series._makeSeriesData().linkData;
+
+            expect(linkData[0].path).toBe('M 20 0 C 110 0 110 25 200 25 L 200 105 C 110 105 110 80 20 80 Z');
+            expect(linkData[4].sourceIndex).toBe(1);
+            expect(linkData[4].targetIndex).toBe(4);
+            expect(linkData[4].path).toBe('M 20 130 C 210 130 210 130 400 130 L 400 170 C 210 170 210 170 20 170 Z');
+        });
+
+        it('place label of node on left side, only when node is on last column', function() {
+            var nodeData = series._makeSeriesData().nodeData;
+
+            expect(nodeData[0].isLabelOnLeft).toBe(false);
+            expect(nodeData[0].labelPosition).toEqual({
+                left: 25,
+                top: 40
+            });
+            expect(nodeData[3].isLabelOnLeft).toBe(true);
+            expect(nodeData[3].labelPosition.left).toBe(395);
+        });
+    });
+});
@@ -91,4 +91,35 @@ describe('Series', function() {
             expect(actual).toBe(expected);
         });
     });
+
+    describe('rerender()', function() {
+        var data;
+
+        beforeEach(function() {
+            data = {
+                isChangingData: true
+            };
+            series.graphRenderer = jasmine.createSpyObj('graphRenderer', ['animateForChangingData']);
+            series.seriesSet = jasmine.createSpyObj('seriesSet', ['stop', 'remove']);
+            spyOn(series, '_animateForChangingData');
+            spyOn(series, '_clearSeriesContainer');
+        });
+
+        it('animate rendered graph, when data is changed and graph renderer can animate it', function() {
+            series.rerender(data);
+
+            expect(series._animateForChangingData).toHaveBeenCalledWith(data);
+            expect(series._clearSeriesContainer).not.toHaveBeenCalled();
+        });
+
+        it('render graph again, when graph renderer can not animate changing data', function() {
+            series.graphRenderer = {};
+            series.dataProcessor = jasmine.createSpyObj('dataProcessor', ['getGroupCount']);
+
+            series.rerender(data);
+
+            expect(series._animateForChangingData).not.toHaveBeenCalled();
+            expect(series._clearSeriesContainer).toHaveBeenCalled();
+        });
+    });
 });
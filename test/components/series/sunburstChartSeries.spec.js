@@ -0,0 +1,247 @@
+/**
+ * @fileoverview Test for SunburstChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var sunburstSeriesFactory = require('../../../src/js/components/series/sunburstChartSeries.js');
+var SeriesDataModel = require('../../../src/js/models/data/seriesDataModelForTreemap');
+var chartConst = require('../../../src/js/const');
+
+describe('Test for SunburstChartSeries', function() {
+    var series, seriesDataModel;
+
+    beforeEach(function() {
+        series = new sunburstSeriesFactory.SunburstChartSeries({
+            chartType: 'sunburst',
+            theme: {
+                label: {
+                    fontSize: 12,
+                    fontFamily: 'Verdana',
+                    fontWeight: 'normal'
+                }
+            },
+            options: {},
+            chartBackground: {
+                color: '#fff'
+            },
+            eventBus: new tui.util.CustomEvents()
+        });
+        series.layout = {
+            position: {
+                left: 0,
+                top: 0
+            },
+            dimension: {
+                width: 400,
+                height: 424
+            }
+        };
+        seriesDataModel = new SeriesDataModel([{
+            label: 'A',
+            children: [{
+                label: 'a1',
+                value: 3
+            }, {
+                label: 'a2',
+                value: 1
+            }]
+        }, {
+            label: 'B',
+            value: 4
+        }], 'sunburst');
+        spyOn(series, '_getSeriesDataModel').and.returnValue(seriesDataModel);
+    });
+
+    describe('_initOptions()', function() {
+        it('zoomable option is true and label of root is "All" by default', function() {
+            expect(series.options.zoomable).toBe(true);
+            expect(series.options.useColorValue).toBe(false);
+            expect(series.options.rootLabel).toBe('All');
+        });
+    });
+
+    describe('_makeCircleBound()', function() {
+        it('make circle bound under area of breadcrumb bar', function() {
+            expect(series._makeCircleBound()).toEqual({
+                cx: 200,
+                cy: 224,
+                r: 180
+            });
+        });
+    });
+
+    describe('_makeSectorData()', function() {
+        it('divide angles of parent by ratio, and rings by depth', function() {
+            var sectorData = series._makeSectorData({
+                cx: 200,
+                cy: 220,
+                r: 180
+            }, 36, series._makeIndexMap());
+
+            expect(tui.util.pluck(sectorData, 'index')).toEqual([0, 2, 3, 1]);
+            expect(sectorData[0].angles).toEqual({
+                startAngle: 0,
+                endAngle: 180
+            });
+            expect(sectorData[0].radiusRange).toEqual({
+                inner: 36,
+                outer: 108
+            });
+            expect(sectorData[1].angles).toEqual({
+                startAngle: 0,
+                endAngle: 135
+            });
+            expect(sectorData[1].radiusRange).toEqual({
+                inner: 108,
+                outer: 180
+            });
+            expect(sectorData[3].angles).toEqual({
+                startAngle: 180,
+                endAngle: 360
+            });
+        });
+
+        it('make sectors of descendants of root of zoom, from hole', function() {
+            var sectorData;
+
+            series.rootId = seriesDataModel.getSeriesItem(0, 0, true).id;
+            series.startDepth = 2;
+            sectorData = series._makeSectorData({
+                cx: 200,
+                cy: 220,
+                r: 180
+            }, 36, series._makeIndexMap());
+
+            expect(tui.util.pluck(sectorData, 'index')).toEqual([2, 3]);
+            expect(sectorData[0].angles.endAngle).toBe(270);
+            expect(sectorData[0].radiusRange).toEqual({
+                inner: 36,
+                outer: 180
+            });
+        });
+    });
+
+    describe('_makeCenterDatum()', function() {
+        it('make no center circle, when not zoomed', function() {
+            expect(series._makeCenterDatum(36, series._makeIndexMap())).toBeNull();
+        });
+
+        it('make center circle of root of zoom', function() {
+            var centerDatum;
+
+            series.rootId = seriesDataModel.getSeriesItem(0, 0, true).id;
+            centerDatum = series._makeCenterDatum(36, series._makeIndexMap());
+
+            expect(centerDatum.index).toBe(0);
+            expect(centerDatum.seriesItem.label).toBe('A');
+            expect(centerDatum.r).toBe(36);
+        });
+    });
+
+    describe('_makeZoomPath()', function() {
+        it('make path from root to current root of zoom, and id of root is null', function() {
+            series.rootId = seriesDataModel.getSeriesItem(0, 0, true).id;
+
+            expect(series._makeZoomPath()).toEqual([{
+                id: null,
+                label: 'All'
+            }, {
+                id: series.rootId,
+                label: 'A'
+            }]);
+        });
+    });
+
+    describe('_zoom()', function() {
+        it('fire changeZoomPath and public zoom event with path of zoom', function() {
+            var rootId = seriesDataModel.getSeriesItem(0, 0, true).id;
+            var changeZoomPath = jasmine.createSpy('changeZoomPath');
+            var publicZoom = jasmine.createSpy('publicZoom');
+
+            spyOn(series, '_clearSeriesContainer');
+            spyOn(series, '_renderSeriesArea');
+            spyOn(series, 'animateComponent');
+            series.eventBus.on('changeZoomPath', changeZoomPath);
+            series.eventBus.on(chartConst.PUBLIC_EVENT_PREFIX + 'zoom', publicZoom);
+
+            series._zoom(rootId);
+
+            expect(changeZoomPath).toHaveBeenCalledWith(series._makeZoomPath());
+            expect(publicZoom).toHaveBeenCalledWith({
+                chartType: 'sunburst',
+                id: rootId,
+                path: series._makeZoomPath()
+            });
+        });
+    });
+
+    describe('zoom()', function() {
+        beforeEach(function() {
+            spyOn(series, '_zoom');
+        });
+
+        it('zoom to seriesItem, which has children', function() {
+            series.zoom({
+                index: 0
+            });
+
+            expect(series._zoom).toHaveBeenCalledWith(seriesDataModel.getSeriesItem(0, 0, true).id);
+        });
+
+        it('do not zoom to leaf seriesItem', function() {
+            series.zoom({
+                index: 1
+            });
+
+            expect(series._zoom).not.toHaveBeenCalled();
+        });
+
+        it('zoom to root, when index is -1', function() {
+            series.zoom({
+                index: -1
+            });
+
+            expect(series._zoom).toHaveBeenCalledWith(chartConst.TREEMAP_ROOT_ID);
+        });
+    });
+
+    describe('zoomToNode()', function() {
+        beforeEach(function() {
+            spyOn(series, '_zoom');
+        });
+
+        it('zoom to node of id, which has children', function() {
+            var id = seriesDataModel.getSeriesItem(0, 0, true).id;
+
+            series.zoomToNode(id);
+
+            expect(series._zoom).toHaveBeenCalledWith(id);
+        });
+
+        it('do not zoom to leaf node', function() {
+            series.zoomToNode(seriesDataModel.getSeriesItem(0, 1, true).id);
+
+            expect(series._zoom).not.toHaveBeenCalled();
+        });
+
+        it('zoom to root, when id is null', function() {
+            series.zoomToNode(null);
+
+            expect(series._zoom).toHaveBeenCalledWith(null);
+        });
+    });
+
+    describe('zoomOut()', function() {
+        it('zoom to parent of current root of zoom', function() {
+            spyOn(series, '_zoom');
+            series.rootId = seriesDataModel.getSeriesItem(0, 0, true).id;
+
+            series.zoomOut();
+
+            expect(series._zoom).toHaveBeenCalledWith(chartConst.TREEMAP_ROOT_ID);
+        });
+    });
+});
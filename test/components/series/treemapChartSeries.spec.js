@@ -50,6 +50,7 @@ describe('TreemapChartSeries', function() {
         it('make bound map by dimension', function() {
             var actual, expected;
 
+            series.options.zoomable = false;
             seriesDataModel.rawSeriesData = [
                 {
                     id: 'id_0',
@@ -91,6 +92,30 @@ describe('TreemapChartSeries', function() {
 
             expect(actual).toEqual(expected);
         });
+
+        it('exclude area of breadcrumb bar from bound of root, when zoomable', function() {
+            var actual;
+
+            series.options.zoomable = true;
+            seriesDataModel.rawSeriesData = [
+                {
+                    id: 'id_0',
+                    parent: rootId,
+                    value: 6,
+                    depth: 1,
+                    group: 0
+                }
+            ];
+
+            actual = series._makeBoundMap(rootId);
+
+            expect(actual.id_0).toEqual({
+                left: 0,
+                top: 24,
+                width: 600,
+                height: 376
+            });
+        });
     });
 
     describe('_makeBounds()', function() {
@@ -132,15 +157,15 @@ describe('TreemapChartSeries', function() {
         it('make bounds for rendering graph, when zoomable', function() {
             var boundMap, actual;
 
-            boundMap = series._makeBoundMap(rootId);
             series.options.zoomable = true;
             series.startDepth = 1;
+            boundMap = series._makeBoundMap(rootId);
 
             actual = series._makeBounds(boundMap);
 
             expect(actual.length).toBe(1);
             expect(actual[0].length).toBe(7);
-            expect(actual[0][0]).toEqual({end: {left: 0, top: 0, width: 600, height: 400}});
+            expect(actual[0][0]).toEqual({end: {left: 0, top: 24, width: 600, height: 376}});
             expect(actual[0][1]).toBeNull();
             expect(actual[0][2]).toBeNull();
             expect(actual[0][3]).toBeNull();
@@ -152,9 +177,9 @@ describe('TreemapChartSeries', function() {
         it('make bounds for rendering graph, when not zoomable', function() {
             var boundMap, actual;
 
-            boundMap = series._makeBoundMap(rootId);
             series.options.zoomable = false;
             series.startDepth = 1;
+            boundMap = series._makeBoundMap(rootId);
 
             actual = series._makeBounds(boundMap);
 
@@ -169,4 +194,140 @@ describe('TreemapChartSeries', function() {
             expect(actual[0][6]).toEqual({end: {left: 500, top: 0, width: 100, height: 200}});
         });
     });
+
+    describe('_makeZoomPath()', function() {
+        beforeEach(function() {
+            seriesDataModel.rawSeriesData = [
+                {
+                    id: 'A',
+                    label: 'label1',
+                    children: [
+                        {
+                            id: 'A1',
+                            label: 'label1-1',
+                            children: [
+                                {
+                                    label: 'label1-1-1',
+                                    value: 2
+                                }
+                            ]
+                        }
+                    ]
+                }
+            ];
+        });
+
+        it('make path from root to current root of zoom, with null id of root', function() {
+            series.rootId = 'A1';
+
+            expect(series._makeZoomPath()).toEqual([
+                {
+                    id: null,
+                    label: 'All'
+                },
+                {
+                    id: 'A',
+                    label: 'label1'
+                },
+                {
+                    id: 'A1',
+                    label: 'label1-1'
+                }
+            ]);
+        });
+
+        it('make path of root only, when not zoomed', function() {
+            expect(series._makeZoomPath()).toEqual([
+                {
+                    id: null,
+                    label: 'All'
+                }
+            ]);
+        });
+    });
+
+    describe('zoomToNode()', function() {
+        beforeEach(function() {
+            seriesDataModel.rawSeriesData = [
+                {
+                    id: 'A',
+                    label: 'label1',
+                    children: [
+                        {
+                            id: 'A1',
+                            label: 'label1-1',
+                            value: 2
+                        }
+                    ]
+                }
+            ];
+            spyOn(series, '_zoom');
+        });
+
+        it('zoom to node of id with depth under it', function() {
+            series.zoomToNode('A');
+
+            expect(series._zoom).toHaveBeenCalledWith('A', 2, 0);
+        });
+
+        it('zoom to root, when id is null', function() {
+            series.zoomToNode(null);
+
+            expect(series._zoom).toHaveBeenCalledWith(rootId, 1, null);
+        });
+
+        it('do not zoom to leaf node or unknown node', function() {
+            series.zoomToNode('A1');
+            series.zoomToNode('B');
+
+            expect(series._zoom).not.toHaveBeenCalled();
+        });
+
+        it('zoom out to parent of current root of zoom', function() {
+            series.rootId = 'A';
+            series.zoomOut();
+
+            expect(series._zoom).toHaveBeenCalledWith(rootId, 1, null);
+        });
+    });
+
+    describe('_zoom()', function() {
+        it('fire zoom event with path of zoom', function() {
+            var publicZoom = jasmine.createSpy('zoom');
+
+            seriesDataModel.rawSeriesData = [
+                {
+                    id: 'A',
+                    label: 'label1',
+                    children: [
+                        {
+                            id: 'A1',
+                            label: 'label1-1',
+                            value: 2
+                        }
+                    ]
+                }
+            ];
+            spyOn(series, '_clearSeriesContainer');
+            spyOn(series, '_renderSeriesArea');
+            series.eventBus.on(chartConst.PUBLIC_EVENT_PREFIX + 'zoom', publicZoom);
+
+            series._zoom('A', 2, 0);
+
+            expect(publicZoom).toHaveBeenCalledWith({
+                chartType: 'treemap',
+                id: 'A',
+                path: [
+                    {
+                        id: null,
+                        label: 'All'
+                    },
+                    {
+                        id: 'A',
+                        label: 'label1'
+                    }
+                ]
+            });
+        });
+    });
 });
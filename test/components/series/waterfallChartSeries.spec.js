@@ -0,0 +1,78 @@
+/**
+ * @fileoverview Test for WaterfallChartSeries.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var waterfallSeriesFactory = require('../../../src/js/components/series/waterfallChartSeries.js');
+var columnSeriesFactory = require('../../../src/js/components/series/columnChartSeries.js');
+var SeriesDataModelForWaterfall = require('../../../src/js/models/data/seriesDataModelForWaterfall');
+
+describe('Test for WaterfallChartSeries', function() {
+    var series, dataProcessor;
+
+    beforeEach(function() {
+        dataProcessor = jasmine.createSpyObj('dataProcessor', ['getSeriesDataModel']);
+        series = new waterfallSeriesFactory.WaterfallChartSeries({
+            chartType: 'waterfall',
+            theme: {},
+            options: {},
+            dataProcessor: dataProcessor,
+            eventBus: new tui.util.CustomEvents()
+        });
+        series.layout = {
+            dimension: {
+                width: 200,
+                height: 100
+            },
+            position: {
+                left: 0,
+                top: 0
+            }
+        };
+    });
+
+    describe('_makeBounds()', function() {
+        it('add connector from right of column to left of next column at cumulative value', function() {
+            var seriesDataModel = new SeriesDataModelForWaterfall([{
+                data: [10, -5]
+            }], 'waterfall', {}, []);
+            var actual;
+
+            seriesDataModel.addDataRatios({
+                min: 0,
+                max: 20
+            });
+            dataProcessor.getSeriesDataModel.and.returnValue(seriesDataModel);
+            spyOn(series, '_makeBaseDataForMakingBound').and.returnValue({
+                baseBarSize: 100,
+                basePosition: 90
+            });
+            spyOn(columnSeriesFactory.ColumnChartSeries.prototype, '_makeBounds').and.returnValue([
+                [{
+                    end: {
+                        left: 10,
+                        width: 20
+                    }
+                }],
+                [{
+                    end: {
+                        left: 60,
+                        width: 20
+                    }
+                }]
+            ]);
+
+            actual = series._makeBounds();
+
+            expect(actual[0][0].connector).toEqual({
+                left: 30,
+                right: 60,
+                top: 50
+            });
+            expect(actual[1][0].connector).toBeUndefined();
+        });
+    });
+});
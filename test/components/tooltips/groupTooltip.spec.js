@@ -58,6 +58,23 @@ describe('GroupTooltip', function() {
             ];
             expect(actual).toEqual(expected);
         });
+
+        it('format category by date format, when xAxis type is datetime', function() {
+            var actual;
+
+            dataProcessor.getSeriesGroups.and.returnValue([
+                new seriesGroup([{
+                    label: '10'
+                }])
+            ]);
+            dataProcessor.getCategory.and.returnValue(new Date(2017, 1, 3).getTime());
+            tooltip.xAxisType = 'datetime';
+            tooltip.dateFormat = 'YYYY.MM.DD';
+
+            actual = tooltip.makeTooltipData();
+
+            expect(actual[0].category).toBe('2017.02.03');
+        });
     });
 
     describe('_makeColors()', function() {
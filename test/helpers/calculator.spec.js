@@ -81,4 +81,50 @@ describe('Test for calculator', function() {
             expect(actual).toEqual(expected);
         });
     });
+
+    describe('log()', function() {
+        it('calculate logarithm of value without error of floating point.', function() {
+            expect(calculator.log(1000, 10)).toBe(3);
+            expect(calculator.log(0.001, 10)).toBe(-3);
+            expect(calculator.log(8, 2)).toBe(3);
+        });
+    });
+
+    describe('calculateLogarithmicRatio()', function() {
+        it('calculate ratio of value in logarithmic scale.', function() {
+            var limit = {min: 1, max: 10000};
+
+            expect(calculator.calculateLogarithmicRatio(100, limit)).toBeCloseTo(0.5, 10);
+            expect(calculator.calculateLogarithmicRatio(10000, limit)).toBeCloseTo(1, 10);
+        });
+
+        it('calculate ratio of value, which is not greater than minimum of limit, as zero.', function() {
+            var limit = {min: 10, max: 1000};
+
+            expect(calculator.calculateLogarithmicRatio(-5, limit)).toBe(0);
+            expect(calculator.calculateLogarithmicRatio(0, limit)).toBe(0);
+        });
+    });
+
+    describe('mean()', function() {
+        it('calculate mean of values.', function() {
+            expect(calculator.mean([1, 2, 3, 6])).toBe(3);
+        });
+    });
+
+    describe('calculateQuantile()', function() {
+        it('interpolate linearly between two values by default.', function() {
+            expect(calculator.calculateQuantile([1, 2, 3, 4], 0.25)).toBe(1.75);
+            expect(calculator.calculateQuantile([1, 2, 3, 4], 0.5)).toBe(2.5);
+        });
+
+        it('pick quantile by interpolation method.', function() {
+            var values = [1, 2, 3, 4];
+
+            expect(calculator.calculateQuantile(values, 0.5, 'lower')).toBe(2);
+            expect(calculator.calculateQuantile(values, 0.5, 'higher')).toBe(3);
+            expect(calculator.calculateQuantile(values, 0.25, 'nearest')).toBe(2);
+            expect(calculator.calculateQuantile(values, 0.25, 'midpoint')).toBe(1.5);
+        });
+    });
 });
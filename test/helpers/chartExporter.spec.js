@@ -35,11 +35,21 @@ describe('Test for chartExporter', function() {
         });
         it('should download image when file extension is png.', function() {
             chartExporter.exportChart('myFile', 'png', rawData, canvas, null);
-            expect(imageExporter.downloadImage).toHaveBeenCalledWith('myFile', 'png', canvas);
+            expect(imageExporter.downloadImage).toHaveBeenCalledWith('myFile', 'png', canvas, {});
         });
         it('should download image when file extension is png.', function() {
             chartExporter.exportChart('myFile', 'jpeg', rawData, canvas, null);
-            expect(imageExporter.downloadImage).toHaveBeenCalledWith('myFile', 'jpeg', canvas);
+            expect(imageExporter.downloadImage).toHaveBeenCalledWith('myFile', 'jpeg', canvas, {});
+        });
+        it('should download image with download option of extension.', function() {
+            chartExporter.exportChart('myFile', 'png', rawData, canvas, {
+                png: {
+                    scale: 2
+                }
+            });
+            expect(imageExporter.downloadImage).toHaveBeenCalledWith('myFile', 'png', canvas, {
+                scale: 2
+            });
         });
         it('should not download file when extension neither image or data.', function() {
             chartExporter.exportChart('myFile', 'exe', rawData, canvas, null);
@@ -0,0 +1,57 @@
+/**
+ * @fileoverview Test for colorutil.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var colorutil = require('../../src/js/helpers/colorutil.js');
+
+describe('Test for colorutil', function() {
+    describe('rgbToLab()', function() {
+        it('convert rgb to CIE Lab of D65 illuminant', function() {
+            var actual = colorutil.rgbToLab([255, 0, 0]);
+
+            expect(actual[0]).toBeCloseTo(53.24, 1);
+            expect(actual[1]).toBeCloseTo(80.09, 1);
+            expect(actual[2]).toBeCloseTo(67.2, 1);
+        });
+
+        it('convert white to Lab, whose lightness is 100 and chroma is 0', function() {
+            var actual = colorutil.rgbToLab([255, 255, 255]);
+
+            expect(actual[0]).toBeCloseTo(100, 2);
+            expect(actual[1]).toBeCloseTo(0, 2);
+            expect(actual[2]).toBeCloseTo(0, 2);
+        });
+    });
+
+    describe('labToRGB()', function() {
+        it('convert Lab to rgb, which is inverse of rgbToLab()', function() {
+            expect(colorutil.labToRGB(colorutil.rgbToLab([52, 83, 145]))).toEqual([52, 83, 145]);
+        });
+
+        it('clip color out of sRGB gamut', function() {
+            expect(colorutil.labToRGB([50, 200, 0])).toEqual([255, 0, 130]);
+        });
+    });
+
+    describe('labToHCL(), hclToLab()', function() {
+        it('convert Lab to hcl, whose hue is degree from 0 to 360', function() {
+            var actual = colorutil.labToHCL([50, 0, -10]);
+
+            expect(actual[0]).toBeCloseTo(270, 5);
+            expect(actual[1]).toBeCloseTo(10, 5);
+            expect(actual[2]).toBe(50);
+        });
+
+        it('convert hcl to Lab, which is inverse of labToHCL()', function() {
+            var actual = colorutil.hclToLab(colorutil.labToHCL([60, 20, -30]));
+
+            expect(actual[0]).toBeCloseTo(60, 5);
+            expect(actual[1]).toBeCloseTo(20, 5);
+            expect(actual[2]).toBeCloseTo(-30, 5);
+        });
+    });
+});
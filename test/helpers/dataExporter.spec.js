@@ -44,6 +44,26 @@ describe('Test for dataExporter', function() {
             dataExporter.downloadData('myFile', extension, rawData, downloadOption);
             expect(downloader.execDownload).toHaveBeenCalledWith('myFile', extension, jasmine.any(String));
         });
+
+        it('should download data to xlsx.', function() {
+            dataExporter.downloadData('myFile', 'xlsx', rawData, downloadOption);
+            expect(downloader.execDownload).toHaveBeenCalledWith('myFile', 'xlsx',
+                jasmine.stringMatching(/^data:application\/vnd\.openxmlformats-officedocument\.spreadsheetml\.sheet;base64,/));
+        });
+
+        it('should download raw data to json.', function() {
+            dataExporter.downloadData('myFile', 'json', {
+                categories: ['jan'],
+                series: {
+                    bar: [{
+                        name: 'john',
+                        data: [10]
+                    }]
+                }
+            });
+            expect(downloader.execDownload).toHaveBeenCalledWith('myFile', 'json',
+                'data:application/json,' + encodeURIComponent('{"categories":["jan"],"series":[{"name":"john","data":[10]}]}'));
+        });
     });
     describe('_makeCsvTextWithRawData()', function() {
         it('should create csv string.', function() {
@@ -59,6 +79,10 @@ describe('Test for dataExporter', function() {
             expect(dataExporter._makeCsvBodyWithRawData([[1, 2, 3], [4, 5, 6], [7, 8, 9]], {lineDelimiter: '-'})).toBe('1%2C2%2C3-4%2C5%2C6-7%2C8%2C9');
         });
 
+        it('should quote strings with escaping quotes and leave empty values blank.', function() {
+            expect(dataExporter._makeCsvBodyWithRawData([['a"b', null, 1]])).toBe(encodeURIComponent('"a""b",,1'));
+        });
+
         it('should create csv string with item and line delimiter.', function() {
             expect(dataExporter._makeCsvBodyWithRawData([[1, 2, 3], [4, 5, 6], [7, 8, 9]], {
                 itemDelimiter: '.',
@@ -77,6 +101,59 @@ describe('Test for dataExporter', function() {
         });
     });
 
+    describe('_makeXlsxBodyWithRawData()', function() {
+        it('should create base64 zip, which has worksheet of number and string cells.', function() {
+            var zipString = window.atob(dataExporter._makeXlsxBodyWithRawData([['', 'jan'], ['<john>', 10]]));
+
+            expect(zipString.substr(0, 4)).toBe('PK\u0003\u0004');
+            expect(zipString).toContain('[Content_Types].xml');
+            expect(zipString).toContain('<sheet name="Sheet1" sheetId="1" r:id="rId1"/>');
+            expect(zipString).toContain('<row r="1"><c r="B1" t="inlineStr"><is><t>jan</t></is></c></row>' +
+                '<row r="2"><c r="A2" t="inlineStr"><is><t>&lt;john&gt;</t></is></c><c r="B2"><v>10</v></c></row>');
+        });
+
+        it('should set sheet name by download option.', function() {
+            var zipString = window.atob(dataExporter._makeXlsxBodyWithRawData([[1]], {sheetName: 'Data'}));
+
+            expect(zipString).toContain('<sheet name="Data" sheetId="1" r:id="rId1"/>');
+        });
+    });
+
+    describe('_makeJsonBodyWithRawData()', function() {
+        it('should remove outliers appended to boxplot data.', function() {
+            var actual = dataExporter._makeJsonBodyWithRawData({
+                categories: ['jan'],
+                series: {
+                    boxplot: [{
+                        name: 'john',
+                        data: [[1, 2, 3, 4, 5, 9]],
+                        outliers: [[0, 9]]
+                    }]
+                }
+            });
+
+            expect(JSON.parse(decodeURIComponent(actual)).series).toEqual([{
+                name: 'john',
+                data: [[1, 2, 3, 4, 5]],
+                outliers: [[0, 9]]
+            }]);
+        });
+
+        it('should keep series of combo chart by chart type.', function() {
+            var actual = dataExporter._makeJsonBodyWithRawData({
+                series: {
+                    column: [],
+                    line: []
+                }
+            });
+
+            expect(JSON.parse(decodeURIComponent(actual)).series).toEqual({
+                column: [],
+                line: []
+            });
+        });
+    });
+
     describe('_get2DArrayFromRawData()', function() {
         var result = [['', 'jan', 'feb'], ['john', 10, 20], ['jane', 30, 25]];
         it('should create 2D array from rawData.', function() {
@@ -105,5 +182,113 @@ describe('Test for dataExporter', function() {
                 }
             })).toEqual(result);
         });
+
+        it('should divide range data to start and end rows.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                categories: ['jan', 'feb'],
+                series: {
+                    bar: [{
+                        name: 'john',
+                        data: [[10, 20], [15, 25]]
+                    }]
+                }
+            })).toEqual([['', 'jan', 'feb'], ['john (start)', 10, 15], ['john (end)', 20, 25]]);
+        });
+
+        it('should create rows of x, y, r and label from bubble rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                series: {
+                    bubble: [{
+                        name: 'john',
+                        data: [{x: 10, y: 20, r: 5, label: 'a'}, {x: 30, y: 40, r: 6}]
+                    }]
+                }
+            })).toEqual([['', 'x', 'y', 'r', 'label'], ['john', 10, 20, 5, 'a'], ['john', 30, 40, 6, undefined]]);
+        });
+
+        it('should create rows of x, y from coordinate line rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                series: {
+                    line: [{
+                        name: 'john',
+                        data: [[1, 10], [2, 20]]
+                    }]
+                }
+            })).toEqual([['', 'x', 'y'], ['john', 1, 10], ['john', 2, 20]]);
+        });
+
+        it('should create rows of id, parent, label and value from treemap rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                series: {
+                    treemap: [{
+                        label: 'Asia',
+                        children: [{label: 'Korea', value: 10}]
+                    }, {
+                        label: 'Europe',
+                        value: 5
+                    }]
+                }
+            })).toEqual([
+                ['id', 'parent', 'label', 'value'],
+                ['0', '', 'Asia', undefined],
+                ['0_0', '0', 'Korea', 10],
+                ['1', '', 'Europe', 5]
+            ]);
+        });
+
+        it('should create rows of five-number summary and outliers from boxplot rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                categories: ['jan', 'feb'],
+                series: {
+                    boxplot: [{
+                        name: 'john',
+                        data: [[1, 2, 3, 4, 5, 9, 10], [2, 3, 4, 5, 6]],
+                        outliers: [[0, 9], [0, 10]]
+                    }]
+                }
+            })).toEqual([
+                ['', 'category', 'min', 'q1', 'median', 'q3', 'max', 'outliers'],
+                ['john', 'jan', 1, 2, 3, 4, 5, '9 10'],
+                ['john', 'feb', 2, 3, 4, 5, 6, '']
+            ]);
+        });
+
+        it('should create rows of open, high, low, close and volume from candlestick rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                categories: ['jan', 'feb'],
+                series: {
+                    candlestick: [{
+                        name: 'john',
+                        data: [[1, 5, 0, 3, 100], [3, 4, 2, 2]]
+                    }]
+                }
+            })).toEqual([
+                ['', 'category', 'open', 'high', 'low', 'close', 'volume'],
+                ['john', 'jan', 1, 5, 0, 3, 100],
+                ['john', 'feb', 3, 4, 2, 2, '']
+            ]);
+        });
+
+        it('should create rows of source, target and value from links of sankey rawData.', function() {
+            expect(dataExporter._get2DArrayFromRawData({
+                series: {
+                    sankey: [{
+                        name: 'Coal',
+                        data: 40
+                    }, {
+                        name: 'Electricity',
+                        data: 40
+                    }]
+                },
+                links: [{
+                    source: 'Coal',
+                    target: 'Electricity',
+                    value: 40
+                }]
+            })).toEqual([
+                ['source', 'target', 'value'],
+                ['Coal', 'Electricity', 40]
+            ]);
+        });
     });
 });
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Test for geoProjection.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var geoProjection = require('../../src/js/helpers/geoProjection.js');
+
+describe('Test for geoProjection', function() {
+    var RAD = Math.PI / 180;
+
+    describe('createProjection()', function() {
+        it('create equirectangular projection, which maps longitude and latitude linearly', function() {
+            var projection = geoProjection.createProjection('equirectangular');
+            var actual = projection(10, 20);
+
+            expect(actual.x).toBeCloseTo(10 * RAD, 10);
+            expect(actual.y).toBeCloseTo(-20 * RAD, 10);
+        });
+
+        it('create mercator projection by default, which limits latitude of poles', function() {
+            var projection = geoProjection.createProjection();
+
+            expect(projection(0, 0).x).toBeCloseTo(0, 10);
+            expect(projection(0, 0).y).toBeCloseTo(0, 10);
+            expect(projection(0, 90).y).toBeCloseTo(-Math.PI, 5);
+        });
+
+        it('create orthographic projection, which does not project points on the other side of center', function() {
+            var projection = geoProjection.createProjection('orthographic', [0, 0]);
+            var actual = projection(90, 0);
+
+            expect(actual.x).toBeCloseTo(1, 10);
+            expect(actual.y).toBeCloseTo(0, 10);
+            expect(projection(180, 0)).toBeNull();
+        });
+
+        it('create albersUsa projection, which moves Alaska to bottom left of lower 48 states', function() {
+            var projection = geoProjection.createProjection('albersUsa');
+            var center = projection(-96.6, 38.7);
+            var alaska = projection(-150, 61);
+
+            expect(center.x).toBeCloseTo(0, 5);
+            expect(center.y).toBeCloseTo(0, 5);
+            expect(alaska.x).toBeLessThan(0);
+            expect(alaska.y).toBeGreaterThan(0);
+        });
+
+        it('throw error, when type of projection is not exist', function() {
+            expect(tui.util.bind(geoProjection.createProjection, null, 'unknown'))
+                .toThrowError('Not exist unknown projection.');
+        });
+    });
+
+    describe('createRingProjection()', function() {
+        it('clip ring crossing horizon of orthographic projection, and connect it along horizon', function() {
+            var ringProjection = geoProjection.createRingProjection('orthographic', [0, 0]);
+            var rings = ringProjection([[60, -10], [120, -10], [120, 10], [60, 10], [60, -10]]);
+            var points = rings[0];
+
+            expect(rings.length).toBe(1);
+            expect(points[1].x).toBeCloseTo(Math.cos(10 * RAD), 5);
+            expect(points[1].y).toBeCloseTo(Math.sin(10 * RAD), 5);
+            tui.util.forEachArray(points, function(point) {
+                expect(point.x).toBeGreaterThan((Math.cos(10 * RAD) * Math.sin(60 * RAD)) - 1e-10);
+                expect(Math.sqrt((point.x * point.x) + (point.y * point.y))).toBeLessThan(1 + 1e-10);
+            });
+        });
+
+        it('project ring on the other side of center of orthographic projection to empty ring', function() {
+            var ringProjection = geoProjection.createRingProjection('orthographic', [0, 0]);
+
+            expect(ringProjection([[120, -10], [150, -10], [150, 10], [120, -10]])).toEqual([[]]);
+        });
+
+        it('split ring crossing antimeridian of cylindrical projection into rings of both sides', function() {
+            var ringProjection = geoProjection.createRingProjection('equirectangular', [0, 0]);
+            var rings = ringProjection([[170, 0], [-170, 0], [-170, 10], [170, 10], [170, 0]]);
+
+            expect(rings.length).toBe(2);
+            tui.util.forEachArray(rings[0], function(point) {
+                expect(point.x).toBeGreaterThan(169 * RAD);
+            });
+            tui.util.forEachArray(rings[1], function(point) {
+                expect(point.x).toBeLessThan(-169 * RAD);
+            });
+        });
+
+        it('do not split ring, which does not cross antimeridian of center', function() {
+            var ringProjection = geoProjection.createRingProjection('mercator', [150, 0]);
+
+            expect(ringProjection([[170, 0], [-170, 0], [-170, 10], [170, 10], [170, 0]]).length).toBe(1);
+        });
+    });
+});
@@ -7,6 +7,7 @@
 'use strict';
 
 var imageExporter = require('../../src/js/helpers/imageExporter');
+var downloader = require('../../src/js/helpers/downloader');
 
 describe('Test for imageExporter', function() {
     describe('create()', function() {
@@ -16,4 +17,109 @@ describe('Test for imageExporter', function() {
         it('ClassName을 포함한 Element 생성합니다.', function() {
         });
     });
+
+    describe('exportImage()', function() {
+        var svgElement;
+
+        beforeEach(function() {
+            var container = document.createElement('DIV');
+
+            svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            svgElement.setAttribute('width', '200');
+            svgElement.setAttribute('height', '100');
+            svgElement.appendChild(document.createElementNS('http://www.w3.org/2000/svg', 'rect'));
+            container.appendChild(svgElement);
+        });
+
+        it('pass svg data URL and Blob to callback, when type is svg', function() {
+            var callback = jasmine.createSpy('callback');
+            var dataURL;
+
+            imageExporter.exportImage(svgElement, {
+                type: 'svg'
+            }, callback);
+
+            dataURL = callback.calls.argsFor(0)[0];
+
+            expect(dataURL.indexOf('data:image/svg+xml;base64,')).toBe(0);
+            expect(callback.calls.argsFor(0)[1].type).toBe('image/svg+xml');
+        });
+
+        it('scale size of svg and keep coordinates by viewBox', function() {
+            var callback = jasmine.createSpy('callback');
+            var svgString;
+
+            imageExporter.exportImage(svgElement, {
+                type: 'svg',
+                scale: 2
+            }, callback);
+
+            svgString = decodeURIComponent(escape(window.atob(callback.calls.argsFor(0)[0].split(',')[1])));
+
+            expect(svgString).toMatch('width="400"');
+            expect(svgString).toMatch('height="200"');
+            expect(svgString).toMatch('viewBox="0 0 200 100"');
+        });
+
+        it('fill background under the chart, when backgroundColor option exists', function() {
+            var callback = jasmine.createSpy('callback');
+            var svgString;
+
+            imageExporter.exportImage(svgElement, {
+                type: 'svg',
+                backgroundColor: '#ff0000'
+            }, callback);
+
+            svgString = decodeURIComponent(escape(window.atob(callback.calls.argsFor(0)[0].split(',')[1])));
+
+            expect(svgString).toMatch(/<svg[^>]*><rect width="200" height="100" fill="#ff0000"/);
+        });
+
+        it('keep svg element in its parent', function() {
+            var parentNode = svgElement.parentNode;
+
+            imageExporter.exportImage(svgElement, {
+                type: 'svg'
+            }, function() {});
+
+            expect(svgElement.parentNode).toBe(parentNode);
+        });
+    });
+
+    describe('downloadImage()', function() {
+        it('pass download option for making image', function() {
+            var container = document.createElement('DIV');
+            var svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+            var svgString;
+
+            svgElement.setAttribute('width', '100');
+            svgElement.setAttribute('height', '50');
+            container.appendChild(svgElement);
+            spyOn(downloader, 'execDownload');
+
+            imageExporter.downloadImage('myFile', 'svg', svgElement, {
+                scale: 3,
+                backgroundColor: '#000000'
+            });
+
+            svgString = window.atob(downloader.execDownload.calls.argsFor(0)[2].split(',')[1]);
+
+            expect(svgString).toMatch('width="300"');
+            expect(svgString).toMatch('fill="#000000"');
+        });
+
+        it('download svg file with data URL, when extension is svg', function() {
+            var container = document.createElement('DIV');
+            var svgElement = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+
+            container.appendChild(svgElement);
+            spyOn(downloader, 'execDownload');
+
+            imageExporter.downloadImage('myFile', 'svg', svgElement);
+
+            expect(downloader.execDownload.calls.argsFor(0)[0]).toBe('myFile');
+            expect(downloader.execDownload.calls.argsFor(0)[1]).toBe('svg');
+            expect(downloader.execDownload.calls.argsFor(0)[2]).toMatch(/^data:image\/svg\+xml;base64,/);
+        });
+    });
 });
@@ -0,0 +1,236 @@
+/**
+ * @fileoverview Test for mapDataConverter.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var mapDataConverter = require('../../src/js/helpers/mapDataConverter.js');
+
+describe('Test for mapDataConverter', function() {
+    /**
+     * Make feature of square polygon.
+     * @param {?string} id - id
+     * @param {number} left - longitude of left side
+     * @param {object} properties - properties
+     * @returns {object}
+     */
+    function makeSquareFeature(id, left, properties) {
+        return {
+            type: 'Feature',
+            id: id,
+            properties: properties,
+            geometry: {
+                type: 'Polygon',
+                coordinates: [[[left, 0], [left + 10, 0], [left + 10, 10], [left, 10], [left, 0]]]
+            }
+        };
+    }
+
+    describe('isGeographicData()', function() {
+        it('GeoJSON and TopoJSON are geographic data, but array of map data is not', function() {
+            expect(mapDataConverter.isGeographicData({
+                type: 'FeatureCollection'
+            })).toBe(true);
+            expect(mapDataConverter.isGeographicData({
+                type: 'Topology'
+            })).toBe(true);
+            expect(mapDataConverter.isGeographicData([{
+                code: 'KR',
+                path: 'M0,0L1,1z'
+            }])).toBe(false);
+        });
+    });
+
+    describe('convert()', function() {
+        it('convert features of GeoJSON to paths fitted to base width of map', function() {
+            var actual = mapDataConverter.convert({
+                type: 'FeatureCollection',
+                features: [
+                    makeSquareFeature('A', 0, {name: 'Region A'}),
+                    makeSquareFeature('B', 10, {name: 'Region B'}),
+                    {
+                        type: 'Feature',
+                        id: 'C',
+                        properties: {},
+                        geometry: {
+                            type: 'Point',
+                            coordinates: [5, 5]
+                        }
+                    }
+                ]
+            }, {
+                projection: 'equirectangular'
+            });
+
+            expect(actual).toEqual([
+                {
+                    code: 'A',
+                    name: 'Region A',
+                    path: 'M0,500L500,500L500,0L0,0L0,500Z',
+                    labelCoordinate: {
+                        x: 0.5,
+                        y: 0.5
+                    }
+                },
+                {
+                    code: 'B',
+                    name: 'Region B',
+                    path: 'M500,500L1000,500L1000,0L500,0L500,500Z',
+                    labelCoordinate: {
+                        x: 0.5,
+                        y: 0.5
+                    }
+                }
+            ]);
+        });
+
+        it('pick code and name by properties of options', function() {
+            var actual = mapDataConverter.convert(makeSquareFeature(null, 0, {
+                regionCode: 'R1',
+                title: 'Region 1'
+            }), {
+                codeProperty: 'regionCode',
+                nameProperty: 'title'
+            });
+
+            expect(actual[0].code).toBe('R1');
+            expect(actual[0].name).toBe('Region 1');
+        });
+
+        it('convert geometries of TopoJSON by stitching quantized arcs', function() {
+            var actual = mapDataConverter.convert({
+                type: 'Topology',
+                transform: {
+                    scale: [1, 1],
+                    translate: [0, 0]
+                },
+                arcs: [
+                    [[0, 0], [10, 0], [0, 10]],
+                    [[10, 10], [-10, 0], [0, -10]]
+                ],
+                objects: {
+                    regions: {
+                        type: 'GeometryCollection',
+                        geometries: [
+                            {
+                                type: 'Polygon',
+                                id: 'A',
+                                arcs: [[0, 1]]
+                            },
+                            {
+                                type: 'MultiPolygon',
+                                id: 'B',
+                                arcs: [[[~1, ~0]]]
+                            }
+                        ]
+                    }
+                }
+            }, {
+                projection: 'equirectangular'
+            });
+
+            expect(actual[0].code).toBe('A');
+            expect(actual[0].path).toBe('M0,1000L1000,1000L1000,0L0,0L0,1000Z');
+            expect(actual[1].code).toBe('B');
+            expect(actual[1].path).toBe('M0,1000L0,0L1000,0L1000,1000L0,1000Z');
+        });
+
+        it('throw error, when object of topology is not exist', function() {
+            var topology = {
+                type: 'Topology',
+                arcs: [],
+                objects: {}
+            };
+
+            expect(tui.util.bind(mapDataConverter.convert, null, topology, {
+                object: 'regions'
+            })).toThrowError('Not exist regions object in topology.');
+        });
+    });
+
+    describe('convertWithProjection()', function() {
+        it('make projection, which converts longitude and latitude to coordinate of converted map data', function() {
+            var actual = mapDataConverter.convertWithProjection({
+                type: 'FeatureCollection',
+                features: [
+                    makeSquareFeature('A', 0, {}),
+                    makeSquareFeature('B', 10, {})
+                ]
+            }, {
+                projection: 'equirectangular'
+            });
+
+            expect(actual.mapData.length).toBe(2);
+            expect(actual.projection(0, 10)).toEqual({
+                x: 0,
+                y: 0
+            });
+            expect(actual.projection(20, 0)).toEqual({
+                x: 1000,
+                y: 500
+            });
+            expect(actual.projection(5, 5)).toEqual({
+                x: 250,
+                y: 250
+            });
+        });
+
+        it('fit position of point by projection same as vertex of path of region', function() {
+            var actual = mapDataConverter.convertWithProjection({
+                type: 'FeatureCollection',
+                features: [
+                    makeSquareFeature('A', 0, {}),
+                    makeSquareFeature('B', 13, {})
+                ]
+            });
+            var vertex = actual.projection(23, 10);
+
+            expect(actual.mapData[1].path).toContain(vertex.x + ',' + vertex.y);
+        });
+
+        it('split region crossing antimeridian into paths of both sides of map', function() {
+            var actual = mapDataConverter.convertWithProjection({
+                type: 'Feature',
+                id: 'FJ',
+                geometry: {
+                    type: 'Polygon',
+                    coordinates: [[[170, 0], [-170, 0], [-170, 10], [170, 10], [170, 0]]]
+                }
+            }, {
+                projection: 'equirectangular'
+            });
+
+            expect(actual.mapData[0].path.match(/M/g).length).toBe(2);
+        });
+
+        it('clip region crossing horizon of orthographic projection at horizon', function() {
+            var actual = mapDataConverter.convertWithProjection({
+                type: 'FeatureCollection',
+                features: [
+                    makeSquareFeature('A', 0, {}),
+                    makeSquareFeature('B', 85, {}),
+                    makeSquareFeature('C', 170, {})
+                ]
+            }, {
+                projection: 'orthographic',
+                center: [0, 0]
+            });
+            var horizonPoint = actual.projection(90, 0);
+
+            expect(tui.util.pluck(actual.mapData, 'code')).toEqual(['A', 'B']);
+            expect(actual.mapData[1].path).toContain(horizonPoint.x + ',' + horizonPoint.y);
+        });
+
+        it('projection is null, when there is no polygon to be projected', function() {
+            var actual = mapDataConverter.convertWithProjection({
+                type: 'FeatureCollection',
+                features: []
+            });
+
+            expect(actual.mapData).toEqual([]);
+            expect(actual.projection).toBeNull();
+        });
+    });
+});
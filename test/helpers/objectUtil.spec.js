@@ -0,0 +1,80 @@
+/**
+ * @fileoverview Test for objectUtil.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var objectUtil = require('../../src/js/helpers/objectUtil.js');
+
+describe('Test for objectUtil', function() {
+    describe('deepMerge()', function() {
+        it('merge source into target in place, for keeping references of target objects', function() {
+            var target = {
+                series: {
+                    bar: {
+                        colors: ['red', 'blue']
+                    }
+                }
+            };
+            var seriesTarget = target.series.bar;
+
+            objectUtil.deepMerge(target, {
+                series: {
+                    bar: {
+                        colors: ['green']
+                    }
+                }
+            });
+
+            expect(target.series.bar).toBe(seriesTarget);
+            expect(seriesTarget.colors).toEqual(['green']);
+        });
+
+        it('overwrite value of target, when value of target is not plain object', function() {
+            var target = {
+                chart: {
+                    title: 'Title'
+                }
+            };
+
+            objectUtil.deepMerge(target, {
+                chart: {
+                    title: {
+                        text: 'New Title'
+                    }
+                }
+            });
+
+            expect(target.chart.title).toEqual({
+                text: 'New Title'
+            });
+        });
+    });
+
+    describe('isDeepEqual()', function() {
+        it('compare arrays and plain objects by their items', function() {
+            expect(objectUtil.isDeepEqual({
+                legend: {align: 'top'},
+                series: [1, 2]
+            }, {
+                legend: {align: 'top'},
+                series: [1, 2]
+            })).toBe(true);
+            expect(objectUtil.isDeepEqual({
+                legend: {align: 'top'}
+            }, {
+                legend: {align: 'top', visible: false}
+            })).toBe(false);
+            expect(objectUtil.isDeepEqual([1, 2], {0: 1, 1: 2})).toBe(false);
+        });
+
+        it('compare functions by identity', function() {
+            var formatter = function() {};
+
+            expect(objectUtil.isDeepEqual({formatter: formatter}, {formatter: formatter})).toBe(true);
+            expect(objectUtil.isDeepEqual({formatter: formatter}, {formatter: function() {}})).toBe(false);
+        });
+    });
+});
@@ -67,4 +67,279 @@ describe('SeriesDataImporter', function() {
 
         expect(importedData).not.toBeDefined();
     });
+
+    describe('makeDataWithCsv()', function() {
+        it('should create categories and series with header row of CSV.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'Month,Budget,Income\nJune,5000,8000\nJuly,3000,1000\n'
+            }, 'bar');
+
+            expect(importedData).toEqual({
+                categories: ['June', 'July'],
+                series: [{
+                    name: 'Budget',
+                    data: [5000, 3000]
+                }, {
+                    name: 'Income',
+                    data: [8000, 1000]
+                }]
+            });
+        });
+
+        it('should parse quoted cells having delimiters, quotes and line breaks.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'Month,"Budget ""A"""\r\n"June, 2015",5000\r\n"July\n2015",3000'
+            }, 'line');
+
+            expect(importedData.categories).toEqual(['June, 2015', 'July\n2015']);
+            expect(importedData.series[0].name).toBe('Budget "A"');
+        });
+
+        it('should keep quotes of unquoted cells as they are.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'name,x\n5" screen,3\nab"c,4'
+            }, 'bar');
+
+            expect(importedData.categories).toEqual(['5" screen', 'ab"c']);
+            expect(importedData.series[0].data).toEqual([3, 4]);
+        });
+
+        it('should keep quotes of cell, which is not closed by quote just before delimiter.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'name,x\n"ab"c,3\n"d,4'
+            }, 'bar');
+
+            expect(importedData.categories).toEqual(['"ab"c', '"d']);
+            expect(importedData.series[0].data).toEqual([3, 4]);
+        });
+
+        it('should import TSV by tab delimiter.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'Month\tBudget\nJune\t5000',
+                delimiter: '\t'
+            }, 'column');
+
+            expect(importedData.series[0].data).toEqual([5000]);
+        });
+
+        it('should use index as field name, when headerRow is false.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'June,5000\nJuly,3000',
+                headerRow: false
+            }, 'bar');
+
+            expect(importedData.categories).toEqual(['June', 'July']);
+            expect(importedData.series[0].name).toBe('1');
+        });
+
+        it('should parse numbers with decimal separator and set null to empty or non-numeric values.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'Month;Budget\nJune;1.234,5\nJuly;\nAugust;n/a',
+                delimiter: ';',
+                decimalSeparator: ','
+            }, 'bar');
+
+            expect(importedData.series[0].data).toEqual([1234.5, null, null]);
+        });
+
+        it('should pick only value fields, when categoryField and valueFields are set.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'Budget,Month,Income\n5000,June,8000',
+                categoryField: 'Month',
+                valueFields: ['Income']
+            }, 'bar');
+
+            expect(importedData).toEqual({
+                categories: ['June'],
+                series: [{
+                    name: 'Income',
+                    data: [8000]
+                }]
+            });
+        });
+
+        it('should make hierarchy of treemap chart by parent field.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: 'id,parent,label,value\nasia,,Asia,\nkr,asia,Korea,10\njp,asia,Japan,20\neu,,Europe,5'
+            }, 'treemap');
+
+            expect(importedData).toEqual({
+                series: [{
+                    label: 'Asia',
+                    children: [{label: 'Korea', value: 10}, {label: 'Japan', value: 20}]
+                }, {
+                    label: 'Europe',
+                    value: 5
+                }]
+            });
+        });
+
+        it('should create five-number summaries and outliers of boxplot chart.', function() {
+            var importedData = seriesDataImporter.makeDataWithCsv({
+                csv: [
+                    'month,name,min,q1,median,q3,max,outliers',
+                    'Jan,Budget,1000,2500,3714,5500,7000,9000 10000',
+                    'Feb,Budget,1000,2750,4571,5250,8000,'
+                ].join('\n')
+            }, 'boxplot');
+
+            expect(importedData).toEqual({
+                categories: ['Jan', 'Feb'],
+                series: [{
+                    name: 'Budget',
+                    data: [[1000, 2500, 3714, 5500, 7000], [1000, 2750, 4571, 5250, 8000]],
+                    outliers: [[0, 9000], [0, 10000]]
+                }]
+            });
+        });
+    });
+
+    describe('makeDataWithRecords()', function() {
+        it('should create series of pie chart with first value field.', function() {
+            var importedData = seriesDataImporter.makeDataWithRecords({
+                records: [{browser: 'Chrome', share: 46.02}, {browser: 'IE', share: '20.47'}]
+            }, 'pie');
+
+            expect(importedData).toEqual({
+                series: [{
+                    name: 'Chrome',
+                    data: 46.02
+                }, {
+                    name: 'IE',
+                    data: 20.47
+                }]
+            });
+        });
+
+        it('should parse JSON string of records.', function() {
+            var importedData = seriesDataImporter.makeDataWithRecords({
+                records: '[{"month": "June", "budget": 5000}]'
+            }, 'area');
+
+            expect(importedData.series[0].data).toEqual([5000]);
+        });
+
+        it('should create x, y categories of heatmap chart.', function() {
+            var importedData = seriesDataImporter.makeDataWithRecords({
+                records: [{city: 'Seoul', Jan: -3.5, Feb: -1.1}, {city: 'Busan', Jan: 3.8, Feb: 5.8}]
+            }, 'heatmap');
+
+            expect(importedData).toEqual({
+                categories: {
+                    x: ['Jan', 'Feb'],
+                    y: ['Seoul', 'Busan']
+                },
+                series: [[-3.5, -1.1], [3.8, 5.8]]
+            });
+        });
+
+        it('should group coordinate data to series by series field.', function() {
+            var importedData = seriesDataImporter.makeDataWithRecords({
+                records: [
+                    {name: 'Africa', x: 4200, y: 70.35, r: 32209101, label: 'Morocco'},
+                    {name: 'America', x: '2010-01-01', y: 80.66},
+                    {name: 'Africa', x: 4200, y: 71.3}
+                ]
+            }, 'bubble');
+
+            expect(importedData).toEqual({
+                series: [{
+                    name: 'Africa',
+                    data: [
+                        {x: 4200, y: 70.35, r: 32209101, label: 'Morocco'},
+                        {x: 4200, y: 71.3}
+                    ]
+                }, {
+                    name: 'America',
+                    data: [{x: '2010-01-01', y: 80.66}]
+                }]
+            });
+        });
+    });
+
+    describe('makeDataWithNodesAndLinks()', function() {
+        it('should create series of nodes, which value is larger one of sums of incoming and outgoing links.', function() {
+            var importedData = seriesDataImporter.makeDataWithNodesAndLinks({
+                nodes: ['Coal', {
+                    name: 'Electricity'
+                }],
+                links: [{
+                    source: 'Coal',
+                    target: 'Electricity',
+                    value: 40
+                }, {
+                    source: 'Electricity',
+                    target: 'Homes',
+                    value: '25'
+                }]
+            });
+
+            expect(importedData).toEqual({
+                series: [{
+                    name: 'Coal',
+                    data: 40
+                }, {
+                    name: 'Electricity',
+                    data: 40
+                }, {
+                    name: 'Homes',
+                    data: 25
+                }],
+                links: [{
+                    source: 'Coal',
+                    target: 'Electricity',
+                    value: 40
+                }, {
+                    source: 'Electricity',
+                    target: 'Homes',
+                    value: 25
+                }]
+            });
+        });
+
+        it('should find nodes by indexes of source and target.', function() {
+            var importedData = seriesDataImporter.makeDataWithNodesAndLinks({
+                nodes: ['Coal', 'Electricity'],
+                links: [{
+                    source: 0,
+                    target: 1,
+                    value: 40
+                }]
+            });
+
+            expect(importedData.links[0].source).toBe('Coal');
+            expect(importedData.links[0].target).toBe('Electricity');
+        });
+    });
+
+    describe('makeRawData()', function() {
+        it('should return raw data as it is, when it is not data for importing.', function() {
+            var rawData = {
+                categories: ['June'],
+                series: [{name: 'Budget', data: [5000]}]
+            };
+
+            expect(seriesDataImporter.makeRawData(rawData, 'bar')).toBe(rawData);
+        });
+
+        it('should make raw data with csv.', function() {
+            var importedData = seriesDataImporter.makeRawData({
+                csv: 'Month,Budget\nJune,5000'
+            }, 'bar');
+
+            expect(importedData.categories).toEqual(['June']);
+        });
+
+        it('should make raw data with links of flow, when series is not passed.', function() {
+            var importedData = seriesDataImporter.makeRawData({
+                links: [{
+                    source: 'Coal',
+                    target: 'Electricity',
+                    value: 40
+                }]
+            }, 'sankey');
+
+            expect(importedData.series.length).toBe(2);
+        });
+    });
 });
@@ -0,0 +1,79 @@
+/**
+ * @fileoverview Test for zipArchiver.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var zipArchiver = require('../../src/js/helpers/zipArchiver');
+
+describe('Test for zipArchiver', function() {
+    /**
+     * Read little endian number from binary string.
+     * @param {string} binaryString - binary string
+     * @param {number} offset - offset
+     * @param {number} byteLength - byte length
+     * @returns {number}
+     */
+    function readNumber(binaryString, offset, byteLength) {
+        var value = 0;
+        var index;
+
+        for (index = byteLength - 1; index >= 0; index -= 1) {
+            value = (value * 256) + binaryString.charCodeAt(offset + index);
+        }
+
+        return value;
+    }
+
+    describe('calculateCrc32()', function() {
+        it('should calculate CRC-32 of binary string.', function() {
+            expect(zipArchiver.calculateCrc32('123456789')).toBe(0xcbf43926);
+        });
+
+        it('should return 0 for empty string.', function() {
+            expect(zipArchiver.calculateCrc32('')).toBe(0);
+        });
+    });
+
+    describe('makeZip()', function() {
+        it('should store files with local file headers.', function() {
+            var zip = zipArchiver.makeZip([{
+                name: 'a.txt',
+                content: 'hello'
+            }]);
+
+            expect(readNumber(zip, 0, 4)).toBe(0x04034b50);
+            expect(readNumber(zip, 14, 4)).toBe(zipArchiver.calculateCrc32('hello'));
+            expect(readNumber(zip, 18, 4)).toBe(5);
+            expect(zip.substr(30, 10)).toBe('a.txthello');
+        });
+
+        it('should end with end of central directory record, which has file count and offset.', function() {
+            var zip = zipArchiver.makeZip([{
+                name: 'a.txt',
+                content: 'hello'
+            }, {
+                name: 'b.txt',
+                content: 'world'
+            }]);
+            var endRecord = zip.substr(zip.length - 22);
+            var centralDirectoryOffset = readNumber(endRecord, 16, 4);
+
+            expect(readNumber(endRecord, 0, 4)).toBe(0x06054b50);
+            expect(readNumber(endRecord, 10, 2)).toBe(2);
+            expect(readNumber(zip, centralDirectoryOffset, 4)).toBe(0x02014b50);
+            expect(readNumber(zip, centralDirectoryOffset + 42, 4)).toBe(0);
+        });
+
+        it('should encode contents to UTF-8.', function() {
+            var zip = zipArchiver.makeZip([{
+                name: 'a.txt',
+                content: 'é'
+            }]);
+
+            expect(readNumber(zip, 18, 4)).toBe(2);
+        });
+    });
+});
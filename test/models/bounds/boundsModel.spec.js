@@ -385,6 +385,41 @@ describe('Test for BoundsModel', function() {
         });
     });
 
+    describe('_registerExtraYAxesPosition()', function() {
+        it('should place left extra y axes from left area start, and right ones outside of rightYAxis.', function() {
+            boundsModel.positionMap.series = {
+                left: 100,
+                top: 50
+            };
+            boundsModel.positionMap.rightYAxis = {
+                left: 400,
+                top: 50
+            };
+            boundsModel.dimensionMap.rightYAxis = {
+                width: 0
+            };
+            boundsModel.dimensionMap.yAxis1 = {
+                width: 30
+            };
+            boundsModel.dimensionMap.yAxis2 = {
+                width: 40
+            };
+            boundsModel.dimensionMap.yAxis3 = {
+                width: 20
+            };
+            boundsModel.extraYAxisNamesMap = {
+                left: ['yAxis3'],
+                right: ['yAxis1', 'yAxis2']
+            };
+
+            boundsModel._registerExtraYAxesPosition(10);
+
+            expect(boundsModel.getPosition('yAxis3')).toEqual({top: 50, left: 10});
+            expect(boundsModel.getPosition('yAxis1')).toEqual({top: 50, left: 400});
+            expect(boundsModel.getPosition('yAxis2')).toEqual({top: 50, left: 430});
+        });
+    });
+
     describe('_makeLegendPosition()', function() {
         it('기본 옵션의 legend position정보를 생성합니다.', function() {
             var actual, expected;
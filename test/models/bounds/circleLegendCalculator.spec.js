@@ -28,6 +28,16 @@ describe('Test for circleLegendCalculator', function() {
 
             expect(actual).toBe(80);
         });
+
+        it('calculate radius by shorter side of series, when chart does not have axes like map chart', function() {
+            var seriesDimension = {
+                width: 400,
+                height: 250
+            };
+            var actual = circleLegendCalculator._calculateRadiusByAxisData(seriesDimension, null);
+
+            expect(actual).toBe(parseInt(250 * chartConst.MAP_BUBBLE_MAX_RADIUS_RATIO, 10));
+        });
     });
 
     describe('_calculateRadiusByAxisData()', function() {
@@ -92,4 +102,48 @@ describe('Test for circleLegendCalculator', function() {
             expect(actual).toBe(90);
         });
     });
+
+    describe('calculateMaxRadius()', function() {
+        it('limit max radius by width of circle legend', function() {
+            var actual = circleLegendCalculator.calculateMaxRadius({
+                series: {
+                    width: 400,
+                    height: 240
+                },
+                circleLegend: {
+                    width: 70
+                }
+            }, {
+                xAxis: {
+                    tickCount: 5
+                },
+                yAxis: {
+                    tickCount: 4
+                }
+            });
+
+            expect(actual).toBe(30);
+        });
+
+        it('do not limit max radius, when circle legend is not visible', function() {
+            var actual = circleLegendCalculator.calculateMaxRadius({
+                series: {
+                    width: 400,
+                    height: 240
+                },
+                circleLegend: {
+                    width: 0
+                }
+            }, {
+                xAxis: {
+                    tickCount: 5
+                },
+                yAxis: {
+                    tickCount: 4
+                }
+            });
+
+            expect(actual).toBe(80);
+        });
+    });
 });
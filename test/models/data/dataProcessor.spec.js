@@ -112,6 +112,55 @@ describe('Test for DataProcessor', function() {
         });
     });
 
+    describe('setRawData()', function() {
+        it('set new raw data and discard zoomed raw data and dynamic data', function() {
+            var rawData = {
+                categories: ['cate1', 'cate2'],
+                series: {
+                    line: [{
+                        name: 'legend1',
+                        data: [1, 2]
+                    }]
+                }
+            };
+
+            dataProcessor.zoomedRawData = {};
+            dataProcessor.dynamicData = [{}];
+            dataProcessor.legendVisibilities = {};
+
+            dataProcessor.setRawData(rawData);
+
+            expect(dataProcessor.getRawData()).toBe(rawData);
+            expect(dataProcessor.getOriginalRawData()).toEqual(rawData);
+            expect(dataProcessor.getOriginalRawData()).not.toBe(rawData);
+            expect(dataProcessor.zoomedRawData).toBeNull();
+            expect(dataProcessor.dynamicData).toEqual([]);
+            expect(dataProcessor.legendVisibilities).toBeNull();
+        });
+    });
+
+    describe('setLegendVisibility()', function() {
+        it('set legend visibility by checked indexes of legend', function() {
+            dataProcessor.originalRawData = {
+                series: {
+                    column: [{}, {}],
+                    line: [{}]
+                }
+            };
+            dataProcessor.legendData = [];
+
+            dataProcessor.setLegendVisibility({
+                column: [false, true]
+            });
+
+            expect(dataProcessor.getLegendVisibility()).toEqual({
+                column: [false, true],
+                line: [false]
+            });
+            expect(dataProcessor.legendData).toBeNull();
+        });
+    });
+
     describe('_escapeCategories()', function() {
         it('카테고리에 대해 escaping 처리를 합니다.', function() {
             var actual = dataProcessor._escapeCategories(['<div>ABC</div>', 'EFG']);
@@ -1319,6 +1368,35 @@ describe('Test for DataProcessor', function() {
         });
     });
 
+    describe('addDataRatiosForMultipleYAxes()', function() {
+        it('should add start values of extra y axes before adding ratios by base limit, ' +
+            'and then add ratios of series bound to extra y axes.', function() {
+            var seriesDataModel = jasmine.createSpyObj('seriesDataModel', [
+                'addStartValueToSeries', 'addStartValueToAllSeriesItem', 'addDataRatios', 'addRatiosToSeries'
+            ]);
+            var baseLimit = {min: 0, max: 10};
+            var extraLimit = {min: -100, max: 100};
+
+            dataProcessor.seriesDataModelMap = {
+                line: seriesDataModel
+            };
+            seriesDataModel.addStartValueToAllSeriesItem.and.callFake(function() {
+                expect(seriesDataModel.addStartValueToSeries).toHaveBeenCalledWith([1], 0);
+            });
+            seriesDataModel.addDataRatios.and.callFake(function() {
+                expect(seriesDataModel.addRatiosToSeries).not.toHaveBeenCalled();
+            });
+
+            dataProcessor.addDataRatiosForMultipleYAxes([
+                {limit: baseLimit, seriesIndexes: [0]},
+                {limit: extraLimit, seriesIndexes: [1]}
+            ], 'line');
+
+            expect(seriesDataModel.addDataRatios).toHaveBeenCalledWith(baseLimit, null);
+            expect(seriesDataModel.addRatiosToSeries).toHaveBeenCalledWith([1], extraLimit, baseLimit);
+        });
+    });
+
     describe('_createBaseValuesForNormalStackedChart()', function() {
         it('create base values for normal stacked chart', function() {
             var seriesGroup, actual, expected;
@@ -167,5 +167,151 @@ describe('Test for MapChartDataProcessor', function() {
             expect(actual.KR.ratio).toBe(krExpected);
             expect(actual.JP.ratio).toBe(jpExpected);
         });
+
+        it('do not add ratio to region of null value', function() {
+            dataProcessor.valueMap = {
+                KR: {
+                    value: 100
+                },
+                JP: {
+                    value: null
+                }
+            };
+            dataProcessor.addDataRatios({
+                min: 0,
+                max: 200
+            });
+
+            expect(dataProcessor.getValueMap().KR.ratio).toBe(0.5);
+            expect(dataProcessor.getValueMap().JP.ratio).toBeUndefined();
+        });
+    });
+
+    describe('hasNoDataValue()', function() {
+        beforeEach(function() {
+            dataProcessor.options.map = [{
+                code: 'KR'
+            }, {
+                code: 'JP'
+            }];
+        });
+
+        it('return true, when map has region without entry of valueMap', function() {
+            dataProcessor.valueMap = {
+                KR: {
+                    value: 100
+                }
+            };
+
+            expect(dataProcessor.hasNoDataValue()).toBe(true);
+        });
+
+        it('return true, when map has region of null value', function() {
+            dataProcessor.valueMap = {
+                KR: {
+                    value: 100
+                },
+                JP: {
+                    value: null
+                }
+            };
+
+            expect(dataProcessor.hasNoDataValue()).toBe(true);
+        });
+
+        it('return false, when all regions have value', function() {
+            dataProcessor.valueMap = {
+                KR: {
+                    value: 100
+                },
+                JP: {
+                    value: 0
+                }
+            };
+
+            expect(dataProcessor.hasNoDataValue()).toBe(false);
+        });
+    });
+
+    describe('getPointData()', function() {
+        it('make point data with formatted label and ratio of value to max value', function() {
+            var actual;
+
+            dataProcessor.rawData = {
+                points: [{
+                    name: 'Seoul',
+                    lon: 126.98,
+                    lat: 37.57,
+                    data: 200
+                }, {
+                    name: 'Busan',
+                    x: 10,
+                    y: 20,
+                    data: 50,
+                    color: '#ff0000'
+                }, {
+                    name: 'Depot',
+                    x: 30,
+                    y: 40
+                }]
+            };
+
+            actual = dataProcessor.getPointData();
+
+            expect(actual).toEqual([{
+                name: 'Seoul',
+                lon: 126.98,
+                lat: 37.57,
+                value: 200,
+                label: '200',
+                ratio: 1
+            }, {
+                name: 'Busan',
+                x: 10,
+                y: 20,
+                color: '#ff0000',
+                value: 50,
+                label: '50',
+                ratio: 0.25
+            }, {
+                name: 'Depot',
+                x: 30,
+                y: 40
+            }]);
+        });
+
+        it('return empty array, when raw data does not have points', function() {
+            dataProcessor.rawData = {
+                series: {
+                    map: []
+                }
+            };
+
+            expect(dataProcessor.getPointData()).toEqual([]);
+        });
+    });
+
+    describe('getValues()', function() {
+        it('return values of points for radius value type, otherwise values of regions', function() {
+            dataProcessor.rawData = {
+                series: {
+                    map: [{
+                        code: 'KR',
+                        data: 100
+                    }]
+                },
+                points: [{
+                    x: 0,
+                    y: 0,
+                    data: 30
+                }, {
+                    x: 1,
+                    y: 1
+                }]
+            };
+
+            expect(dataProcessor.getValues()).toEqual([100]);
+            expect(dataProcessor.getValues('map', 'r')).toEqual([30]);
+        });
     });
 });
@@ -396,4 +396,155 @@ describe('Test for rawDataHandler', function() {
             expect(actual.series).toEqual(expected);
         });
     });
+
+    describe('updateBoxplotSeriesDataBySamples()', function() {
+        it('make five-number summary, outliers and statistics from samples by tukey whisker.', function() {
+            var rawData = {
+                series: {
+                    boxplot: [{
+                        name: 'a',
+                        samples: [[1, 2, 3, 4, 5, 6, 7, 8, 9, 100]]
+                    }]
+                }
+            };
+
+            rawDataHandler.updateBoxplotSeriesDataBySamples(rawData);
+
+            expect(rawData.series.boxplot[0]).toEqual({
+                name: 'a',
+                data: [[1, 3.25, 5.5, 7.75, 9]],
+                outliers: [[0, 100]],
+                statistics: [{
+                    count: 10,
+                    mean: 14.5
+                }]
+            });
+        });
+
+        it('make whiskers reach to minimum and maximum of samples by minmax whisker.', function() {
+            var rawData = {
+                series: {
+                    boxplot: [{
+                        name: 'a',
+                        samples: [[1, 2, 3, 4, 5, 6, 7, 8, 9, 100]]
+                    }]
+                }
+            };
+
+            rawDataHandler.updateBoxplotSeriesDataBySamples(rawData, {
+                whisker: 'minmax',
+                quartileMethod: 'lower'
+            });
+
+            expect(rawData.series.boxplot[0].data).toEqual([[1, 3, 5, 7, 100]]);
+            expect(rawData.series.boxplot[0].outliers).toEqual([]);
+        });
+
+        it('ignore values, which are not number, in samples.', function() {
+            var rawData = {
+                series: {
+                    boxplot: [{
+                        name: 'a',
+                        samples: [['3', null, 1, 'x', 2]]
+                    }]
+                }
+            };
+
+            rawDataHandler.updateBoxplotSeriesDataBySamples(rawData);
+
+            expect(rawData.series.boxplot[0].data).toEqual([[1, 1.5, 2, 2.5, 3]]);
+            expect(rawData.series.boxplot[0].statistics).toEqual([{
+                count: 3,
+                mean: 2
+            }]);
+        });
+
+        it('keep series data, when series does not have samples.', function() {
+            var seriesItem = {
+                name: 'a',
+                data: [[1, 2, 3, 4, 5]]
+            };
+
+            rawDataHandler.updateBoxplotSeriesDataBySamples({
+                series: {
+                    boxplot: [seriesItem]
+                }
+            });
+
+            expect(seriesItem).toEqual({
+                name: 'a',
+                data: [[1, 2, 3, 4, 5]]
+            });
+        });
+    });
+
+    describe('hasSameStructure()', function() {
+        it('return true, when only values are changed.', function() {
+            var actual = rawDataHandler.hasSameStructure({
+                categories: ['a', 'b'],
+                series: {
+                    column: [{name: 'A', data: [1, null]}]
+                }
+            }, {
+                categories: ['c', 'd'],
+                series: {
+                    column: [{name: 'B', data: [3, null]}]
+                }
+            });
+
+            expect(actual).toBe(true);
+        });
+
+        it('return false, when count of categories or series is changed.', function() {
+            var rawData = {
+                categories: ['a', 'b'],
+                series: {
+                    column: [{name: 'A', data: [1, 2]}]
+                }
+            };
+
+            expect(rawDataHandler.hasSameStructure(rawData, {
+                categories: ['a', 'b', 'c'],
+                series: {
+                    column: [{name: 'A', data: [1, 2, 3]}]
+                }
+            })).toBe(false);
+            expect(rawDataHandler.hasSameStructure(rawData, {
+                categories: ['a', 'b'],
+                series: {
+                    column: [{name: 'A', data: [1, 2]}, {name: 'B', data: [3, 4]}]
+                }
+            })).toBe(false);
+        });
+
+        it('return false, when position of null value is changed.', function() {
+            var actual = rawDataHandler.hasSameStructure({
+                categories: {x: ['a', 'b'], y: ['c']},
+                series: {
+                    heatmap: [[1, null]]
+                }
+            }, {
+                categories: {x: ['a', 'b'], y: ['c']},
+                series: {
+                    heatmap: [[null, 2]]
+                }
+            });
+
+            expect(actual).toBe(false);
+        });
+
+        it('return false, when hierarchy of treemap nodes is changed.', function() {
+            var actual = rawDataHandler.hasSameStructure({
+                series: {
+                    treemap: [{label: 'A', value: 1, children: [{label: 'B', value: 2}]}]
+                }
+            }, {
+                series: {
+                    treemap: [{label: 'A', value: 1}, {label: 'B', value: 2}]
+                }
+            });
+
+            expect(actual).toBe(false);
+        });
+    });
 });
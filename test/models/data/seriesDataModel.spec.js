@@ -509,6 +509,43 @@ describe('Test for SeriesDataModel', function() {
         });
     });
 
+    describe('addRatiosToSeries()', function() {
+        it('should add ratios of specific series in the space of base limit.', function() {
+            var targetGroup = jasmine.createSpyObj('seriesGroup', ['addRatios']);
+            var otherGroup = jasmine.createSpyObj('seriesGroup', ['addRatios']);
+
+            seriesDataModel.chartType = 'line';
+            seriesDataModel.pivotGroups = [otherGroup, targetGroup];
+            seriesDataModel.addRatiosToSeries([1], {min: 1000, max: 3000}, {min: 0, max: 10});
+
+            expect(targetGroup.addRatios).toHaveBeenCalledWith(2000, 1000);
+            expect(otherGroup.addRatios).not.toHaveBeenCalled();
+        });
+
+        it('should shift subtraction value by zero point of base limit, for column chart.', function() {
+            var seriesGroup = jasmine.createSpyObj('seriesGroup', ['addRatios']);
+
+            seriesDataModel.chartType = 'column';
+            seriesDataModel.pivotGroups = [seriesGroup];
+            seriesDataModel.addRatiosToSeries([0], {min: 0, max: 100}, {min: -5, max: 5});
+
+            // zero point of base limit is middle of series area, so value 50 of series is placed there.
+            expect(seriesGroup.addRatios).toHaveBeenCalledWith(100, 50);
+        });
+    });
+
+    describe('getValuesOfSeries()', function() {
+        it('should return values of specific series.', function() {
+            seriesDataModel.pivotGroups = [
+                new SeriesGroup([new SeriesItem({datum: 1}), new SeriesItem({datum: 2})]),
+                new SeriesGroup([new SeriesItem({datum: 10}), new SeriesItem({datum: 20})]),
+                new SeriesGroup([new SeriesItem({datum: 100}), new SeriesItem({datum: 200})])
+            ];
+
+            expect(seriesDataModel.getValuesOfSeries([0, 2])).toEqual([1, 2, 100, 200]);
+        });
+    });
+
     describe('addDataRatios()', function() {
         it('옵션이 없는 경우에는 _addRatios()를 호출하여 ratio를 추가합니다.', function() {
             spyOn(seriesDataModel, '_addRatios');
@@ -557,6 +594,14 @@ describe('Test for SeriesDataModel', function() {
 
             expect(seriesDataModel._addRatios).toHaveBeenCalled();
         });
+
+        it('call _addLogarithmicRatios(), when limit is logarithmic.', function() {
+            spyOn(seriesDataModel, '_addLogarithmicRatios');
+            seriesDataModel.chartType = 'bar';
+            seriesDataModel.addDataRatios({min: 1, max: 1000, logBase: 10}, 'normal');
+
+            expect(seriesDataModel._addLogarithmicRatios).toHaveBeenCalled();
+        });
     });
 
     describe('addDataRatiosOfPieChart()', function() {
@@ -615,6 +660,24 @@ describe('Test for SeriesDataModel', function() {
 
             expect(seriesItem.addRatio).toHaveBeenCalledWith('r', 10, 0);
         });
+
+        it('add logarithmic ratio, when limit is logarithmic.', function() {
+            var limitMap = {
+                xAxis: {
+                    min: 1,
+                    max: 1000,
+                    logBase: 10
+                }
+            };
+            var seriesItem = jasmine.createSpyObj('seriesItem', ['addRatio', 'addLogarithmicRatio']);
+
+            seriesDataModel.groups = [new SeriesGroup([seriesItem])];
+            spyOn(seriesDataModel, 'getValues').and.returnValue([]);
+            seriesDataModel.addDataRatiosForCoordinateType(limitMap);
+
+            expect(seriesItem.addLogarithmicRatio).toHaveBeenCalledWith('x', limitMap.xAxis);
+            expect(seriesItem.addRatio).not.toHaveBeenCalledWith('x', jasmine.any(Number), jasmine.any(Number));
+        });
     });
 
     describe('each()', function() {
@@ -0,0 +1,64 @@
+/**
+ * @fileoverview Test for SeriesDataModelForGantt.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesDataModelForGantt = require('../../../src/js/models/data/seriesDataModelForGantt');
+
+describe('Test for SeriesDataModelForGantt', function() {
+    describe('init()', function() {
+        it('keep ranges of raw data, though gantt chart is not a range type chart', function() {
+            var rawSeriesData = [{
+                data: [[100, 200], [[300, 400], [500, 600]]]
+            }];
+            var seriesDataModel = new SeriesDataModelForGantt(rawSeriesData, 'gantt', {xAxis: {}}, []);
+
+            expect(seriesDataModel.rawSeriesData[0].data).toEqual([[100, 200], [[300, 400], [500, 600]]]);
+        });
+    });
+
+    describe('getDependencies()', function() {
+        it('get dependencies by names or indexes of tasks, and unknown or self dependencies are ignored', function() {
+            var seriesDataModel = new SeriesDataModelForGantt([
+                {
+                    data: [],
+                    dependencies: [
+                        {
+                            from: 'Design',
+                            to: 'Develop'
+                        },
+                        {
+                            from: 1,
+                            to: 2
+                        },
+                        {
+                            from: 'Unknown',
+                            to: 'Test'
+                        },
+                        {
+                            from: 'Test',
+                            to: 2
+                        }
+                    ]
+                }
+            ], 'gantt', {xAxis: {}}, []);
+            var actual = seriesDataModel.getDependencies(['Design', 'Develop', 'Test']);
+
+            expect(actual).toEqual([
+                {
+                    index: 0,
+                    fromIndex: 0,
+                    toIndex: 1
+                },
+                {
+                    index: 0,
+                    fromIndex: 1,
+                    toIndex: 2
+                }
+            ]);
+        });
+    });
+});
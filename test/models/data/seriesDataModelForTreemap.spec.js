@@ -132,6 +132,30 @@ describe('Test for SeriesDataModelForTreemap', function() {
             expect(actual).toEqual(expected);
             expect(actual.length).toEqual(expected.length);
         });
+
+        it('set id of raw datum to parent of children, when raw datum has id', function() {
+            var rawSeriesData = [
+                {
+                    id: 'A',
+                    label: 'label1',
+                    children: [
+                        {
+                            label: 'label1-1',
+                            value: 5
+                        }
+                    ]
+                }
+            ];
+            var actual = seriesDataModel._flattenHierarchicalData(rawSeriesData);
+
+            expect(actual[1]).toEqual({
+                id: 'A_0',
+                parent: 'A',
+                label: 'label1-1',
+                value: 5,
+                indexes: [0, 0]
+            });
+        });
     });
 
     describe('_partitionRawSeriesDataByParent()', function() {
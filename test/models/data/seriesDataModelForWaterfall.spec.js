@@ -0,0 +1,86 @@
+/**
+ * @fileoverview Test for SeriesDataModelForWaterfall.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesDataModelForWaterfall = require('../../../src/js/models/data/seriesDataModelForWaterfall');
+var SeriesItemForWaterfall = require('../../../src/js/models/data/seriesItemForWaterfall');
+
+describe('Test for SeriesDataModelForWaterfall', function() {
+    var seriesDataModel;
+
+    beforeEach(function() {
+        seriesDataModel = new SeriesDataModelForWaterfall([], 'waterfall', {}, []);
+    });
+
+    describe('_makeWaterfallItemParams()', function() {
+        it('make range from cumulative value before delta to cumulative value after delta', function() {
+            var actual = seriesDataModel._makeWaterfallItemParams([10, -3, 5]);
+
+            expect(actual).toEqual([
+                {
+                    datum: [0, 10],
+                    waterfallType: 'increase',
+                    delta: 10,
+                    cumulative: 10
+                },
+                {
+                    datum: [10, 7],
+                    waterfallType: 'decrease',
+                    delta: -3,
+                    cumulative: 7
+                },
+                {
+                    datum: [7, 12],
+                    waterfallType: 'increase',
+                    delta: 5,
+                    cumulative: 12
+                }
+            ]);
+        });
+
+        it('make subtotal from previous subtotal and total from zero', function() {
+            var actual = seriesDataModel._makeWaterfallItemParams([10, 'subtotal', -4, 2, 'subtotal', 'total']);
+
+            expect(actual[1]).toEqual({
+                datum: [0, 10],
+                waterfallType: 'subtotal',
+                delta: 10,
+                cumulative: 10
+            });
+            expect(actual[4]).toEqual({
+                datum: [10, 8],
+                waterfallType: 'subtotal',
+                delta: -2,
+                cumulative: 8
+            });
+            expect(actual[5]).toEqual({
+                datum: [0, 8],
+                waterfallType: 'total',
+                delta: 8,
+                cumulative: 8
+            });
+        });
+    });
+
+    describe('_createBaseGroups()', function() {
+        it('create range items, which label is delta', function() {
+            var actual;
+
+            seriesDataModel.rawSeriesData = [{
+                data: [10, -3, 'total']
+            }];
+            actual = seriesDataModel._createBaseGroups();
+
+            expect(actual[0][1] instanceof SeriesItemForWaterfall).toBe(true);
+            expect(actual[0][1].isRange).toBe(true);
+            expect(actual[0][1].start).toBe(7);
+            expect(actual[0][1].value).toBe(10);
+            expect(actual[0][1].label).toBe('-3');
+            expect(actual[0][2].waterfallType).toBe('total');
+        });
+    });
+});
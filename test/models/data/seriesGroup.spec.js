@@ -196,4 +196,44 @@ describe('Test for seriesGroup', function() {
             expect(seriesItem.addRatio).toHaveBeenCalledWith(20, 10);
         });
     });
+
+    describe('hasNullValue()', function() {
+        it('return true, when it has item of null value', function() {
+            seriesGroup.items = [{
+                value: 10
+            }, {
+                value: null
+            }];
+
+            expect(seriesGroup.hasNullValue()).toBe(true);
+        });
+
+        it('return false, when all items have value', function() {
+            seriesGroup.items = [{
+                value: 10
+            }, {
+                value: 0
+            }];
+
+            expect(seriesGroup.hasNullValue()).toBe(false);
+        });
+    });
+
+    describe('addStageRatios()', function() {
+        it('pass values of first stage and previous stage to seriesItem.addStageRatios', function() {
+            var firstItem = jasmine.createSpyObj('seriesItem', ['addStageRatios']);
+            var secondItem = jasmine.createSpyObj('seriesItem', ['addStageRatios']);
+            var thirdItem = jasmine.createSpyObj('seriesItem', ['addStageRatios']);
+
+            firstItem.value = 100;
+            secondItem.value = 40;
+            thirdItem.value = 10;
+            seriesGroup.items = [firstItem, secondItem, thirdItem];
+            seriesGroup.addStageRatios();
+
+            expect(firstItem.addStageRatios).toHaveBeenCalledWith(100, 100);
+            expect(secondItem.addStageRatios).toHaveBeenCalledWith(100, 100);
+            expect(thirdItem.addStageRatios).toHaveBeenCalledWith(100, 40);
+        });
+    });
 });
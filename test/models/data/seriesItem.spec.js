@@ -99,4 +99,38 @@ describe('Test for SeriesItem', function() {
             expect(seriesItem.startRatio).toBe(0.2);
         });
     });
+
+    describe('addLogarithmicRatio()', function() {
+        it('calculate ratio of value and start in logarithmic scale.', function() {
+            seriesItem.start = 1;
+            seriesItem.value = 100;
+            seriesItem.addLogarithmicRatio({
+                min: 1,
+                max: 10000,
+                logBase: 10
+            });
+
+            expect(seriesItem.ratio).toBeCloseTo(0.5, 10);
+            expect(seriesItem.endRatio).toBeCloseTo(0.5, 10);
+            expect(seriesItem.startRatio).toBe(0);
+        });
+    });
+
+    describe('addStageRatios()', function() {
+        it('calculate ratios of value to values of first stage and previous stage', function() {
+            seriesItem.value = 40;
+            seriesItem.addStageRatios(200, 80);
+
+            expect(seriesItem.firstStageRatio).toBe(0.2);
+            expect(seriesItem.previousStageRatio).toBe(0.5);
+        });
+
+        it('ratio is null, when value of stage is zero', function() {
+            seriesItem.value = 40;
+            seriesItem.addStageRatios(0, 0);
+
+            expect(seriesItem.firstStageRatio).toBeNull();
+            expect(seriesItem.previousStageRatio).toBeNull();
+        });
+    });
 });
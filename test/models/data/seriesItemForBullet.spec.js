@@ -0,0 +1,83 @@
+/**
+ * @fileoverview Test for SeriesItemForBullet.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItemForBullet = require('../../../src/js/models/data/seriesItemForBullet');
+
+describe('Test for SeriesItemForBullet', function() {
+    describe('init()', function() {
+        it('initialize markers and sort thresholds of ranges in ascending order', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 270,
+                markers: 250,
+                ranges: [300, '150', 225, null]
+            });
+
+            expect(seriesItem.value).toBe(270);
+            expect(seriesItem.markers).toEqual([250]);
+            expect(seriesItem.ranges).toEqual([150, 225, 300]);
+        });
+
+        it('markers and ranges are empty, when they are not passed', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 270
+            });
+
+            expect(seriesItem.markers).toEqual([]);
+            expect(seriesItem.ranges).toEqual([]);
+        });
+    });
+
+    describe('addRatio()', function() {
+        it('add ratios of markers and ranges', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 200,
+                markers: [250, 300],
+                ranges: [100, 400]
+            });
+
+            seriesItem.addRatio(400);
+
+            expect(seriesItem.ratio).toBe(0.5);
+            expect(seriesItem.markerRatios).toEqual([0.625, 0.75]);
+            expect(seriesItem.rangeRatios).toEqual([0.25, 1]);
+        });
+    });
+
+    describe('pickValueMapForTooltip()', function() {
+        it('pick labels of targets and range, which contains actual value', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 200,
+                markers: [250, 300],
+                ranges: [150, 225, 300]
+            });
+            var actual = seriesItem.pickValueMapForTooltip();
+
+            expect(actual.value).toBe('200');
+            expect(actual.markerLabel).toBe('250, 300');
+            expect(actual.rangeLabel).toBe('150 ~ 225');
+        });
+
+        it('first range starts from zero', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 100,
+                ranges: [150, 225]
+            });
+
+            expect(seriesItem.pickValueMapForTooltip().rangeLabel).toBe('0 ~ 150');
+        });
+
+        it('range label is over last threshold, when actual value is greater than all thresholds', function() {
+            var seriesItem = new SeriesItemForBullet({
+                datum: 250,
+                ranges: [150, 225]
+            });
+
+            expect(seriesItem.pickValueMapForTooltip().rangeLabel).toBe('> 225');
+        });
+    });
+});
@@ -0,0 +1,98 @@
+/**
+ * @fileoverview Test for SeriesItemForCandlestick.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItemForCandlestick = require('../../../src/js/models/data/seriesItemForCandlestick');
+
+describe('Test for SeriesItemForCandlestick', function() {
+    describe('_initValues()', function() {
+        it('initialize open, high, low and close values and close value is used as value', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30],
+                index: 2
+            });
+
+            expect(seriesItem.open).toBe(10);
+            expect(seriesItem.high).toBe(40);
+            expect(seriesItem.low).toBe(5);
+            expect(seriesItem.close).toBe(30);
+            expect(seriesItem.value).toBe(30);
+            expect(seriesItem.label).toBe('30');
+            expect(seriesItem.volume).toBeNull();
+            expect(seriesItem.index).toBe(2);
+        });
+
+        it('initialize volume, when raw datum has fifth value', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30, 1000]
+            });
+
+            expect(seriesItem.volume).toBe(1000);
+            expect(seriesItem.volumeLabel).toBe('1000');
+        });
+
+        it('isRising is true when close value is greater than or equal to open value', function() {
+            expect(new SeriesItemForCandlestick({datum: [10, 40, 5, 30]}).isRising).toBe(true);
+            expect(new SeriesItemForCandlestick({datum: [10, 40, 5, 10]}).isRising).toBe(true);
+            expect(new SeriesItemForCandlestick({datum: [30, 40, 5, 10]}).isRising).toBe(false);
+        });
+    });
+
+    describe('addRatio()', function() {
+        it('add ratios of open, high, low and close', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [20, 40, 0, 30]
+            });
+
+            seriesItem.addRatio(40);
+
+            expect(seriesItem.openRatio).toBe(0.5);
+            expect(seriesItem.highRatio).toBe(1);
+            expect(seriesItem.lowRatio).toBe(0);
+            expect(seriesItem.closeRatio).toBe(0.75);
+            expect(seriesItem.ratio).toBe(0.75);
+        });
+
+        it('subtract subNumber from values before division', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [20, 40, 10, 30]
+            });
+
+            seriesItem.addRatio(40, 10);
+
+            expect(seriesItem.openRatio).toBe(0.25);
+            expect(seriesItem.lowRatio).toBe(0);
+        });
+    });
+
+    describe('pickValueMapForTooltip()', function() {
+        it('pick formatted open, high, low, close and volume', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30, 1000],
+                formatFunctions: [function(value) {
+                    return '$' + value;
+                }]
+            });
+            var actual = seriesItem.pickValueMapForTooltip();
+
+            expect(actual.value).toBe('$30');
+            expect(actual.open).toBe('$10');
+            expect(actual.high).toBe('$40');
+            expect(actual.low).toBe('$5');
+            expect(actual.close).toBe('$30');
+            expect(actual.volume).toBe('$1000');
+        });
+
+        it('volume is empty string, when there is no volume', function() {
+            var seriesItem = new SeriesItemForCandlestick({
+                datum: [10, 40, 5, 30]
+            });
+
+            expect(seriesItem.pickValueMapForTooltip().volume).toBe('');
+        });
+    });
+});
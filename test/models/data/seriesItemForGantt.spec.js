@@ -0,0 +1,104 @@
+/**
+ * @fileoverview Test for SeriesItemForGantt.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var SeriesItemForGantt = require('../../../src/js/models/data/seriesItemForGantt');
+
+describe('Test for SeriesItemForGantt', function() {
+    describe('init()', function() {
+        it('make ranges sorted by start from a range', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [300, 100]
+            });
+
+            expect(seriesItem.ranges).toEqual([{
+                start: 100,
+                end: 300
+            }]);
+            expect(seriesItem.start).toBe(100);
+            expect(seriesItem.end).toBe(300);
+            expect(seriesItem.isRange).toBe(true);
+        });
+
+        it('make ranges from array of ranges, and invalid ranges are removed', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [[500, 700], [100, 300], [200, 'invalid'], [400]]
+            });
+
+            expect(seriesItem.ranges).toEqual([
+                {
+                    start: 100,
+                    end: 300
+                },
+                {
+                    start: 500,
+                    end: 700
+                }
+            ]);
+            expect(seriesItem.start).toBe(100);
+            expect(seriesItem.end).toBe(700);
+        });
+
+        it('make times of milestones in ascending order', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [100, 300],
+                milestones: [300, new Date(200), null]
+            });
+
+            expect(seriesItem.milestones).toEqual([200, 300]);
+        });
+
+        it('ranges and milestones are empty, when they are not passed', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: null
+            });
+
+            expect(seriesItem.ranges).toEqual([]);
+            expect(seriesItem.milestones).toEqual([]);
+            expect(seriesItem.label).toBe('');
+        });
+    });
+
+    describe('addRatio()', function() {
+        it('add ratios of ranges and milestones', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [[100, 200], [300, 500]],
+                milestones: [400]
+            });
+
+            seriesItem.addRatio(400, 100);
+
+            expect(seriesItem.rangeRatios).toEqual([
+                {
+                    start: 0,
+                    end: 0.25
+                },
+                {
+                    start: 0.5,
+                    end: 1
+                }
+            ]);
+            expect(seriesItem.milestoneRatios).toEqual([0.75]);
+        });
+    });
+
+    describe('pickValueMapForTooltip()', function() {
+        it('pick labels of periods and milestones, which are formatted by date format', function() {
+            var seriesItem = new SeriesItemForGantt({
+                datum: [[new Date(2017, 2, 1), new Date(2017, 2, 10)], [new Date(2017, 2, 15), new Date(2017, 2, 20)]],
+                milestones: new Date(2017, 2, 10),
+                dateFormat: 'YYYY.MM.DD'
+            });
+            var actual = seriesItem.pickValueMapForTooltip();
+
+            expect(actual.start).toBe('2017.03.01');
+            expect(actual.end).toBe('2017.03.20');
+            expect(actual.periodLabel).toBe('2017.03.01 ~ 2017.03.10, 2017.03.15 ~ 2017.03.20');
+            expect(actual.milestoneLabel).toBe('2017.03.10');
+        });
+    });
+});
@@ -171,6 +171,46 @@ describe('Test for axisDataMaker', function() {
         });
     });
 
+    describe('_makeLogarithmicMinorTickValues()', function() {
+        it('make multiples of each power, when step is 1.', function() {
+            var actual = maker._makeLogarithmicMinorTickValues({
+                min: 1,
+                max: 100,
+                logBase: 10
+            }, 1);
+
+            expect(actual).toEqual([2, 3, 4, 5, 6, 7, 8, 9, 20, 30, 40, 50, 60, 70, 80, 90]);
+        });
+
+        it('make powers skipped by step, when step is greater than 1.', function() {
+            var actual = maker._makeLogarithmicMinorTickValues({
+                min: 1,
+                max: 1000000,
+                logBase: 10
+            }, 3);
+
+            expect(actual).toEqual([10, 100, 10000, 100000]);
+        });
+    });
+
+    describe('makeValueAxisData() for logarithmic scale', function() {
+        it('add ratios of minor ticks, when limit is logarithmic.', function() {
+            var actual = maker.makeValueAxisData({
+                labels: [1, 100],
+                tickCount: 2,
+                limit: {
+                    min: 1,
+                    max: 100,
+                    logBase: 10
+                },
+                step: 2,
+                options: {}
+            });
+
+            expect(actual.minorTickRatios).toEqual([0.5]);
+        });
+    });
+
     describe('_makeAdjustingIntervalInfo()', function() {
         it('이전 블럭수와 영역 너비 새로운 block너비 정보를 계산하여 조정된 interval 정보를 반환합니다.', function() {
             var actual = maker._makeAdjustingIntervalInfo(30, 300, 50);
@@ -370,4 +370,92 @@ describe('Test for ScaleDataMaker', function() {
             });
         });
     });
+
+    describe('_getDatetimeLimit', function() {
+        it('get limit of times of values.', function() {
+            var actual = scaleDataMaker._getDatetimeLimit([3000, 1000, 2000]);
+
+            expect(actual).toEqual({
+                min: 1000,
+                max: 3000
+            });
+        });
+
+        it('get limit by date options, and invalid date options are ignored.', function() {
+            var actual = scaleDataMaker._getDatetimeLimit([1000, 3000], {
+                min: new Date(1500),
+                max: 'invalid'
+            });
+
+            expect(actual).toEqual({
+                min: 1500,
+                max: 3000
+            });
+        });
+    });
+
+    describe('_getLogarithmicLimit', function() {
+        it('get limit of positive values.', function() {
+            var actual = scaleDataMaker._getLogarithmicLimit([-10, 0, 3, 2000]);
+
+            expect(actual).toEqual({
+                min: 3,
+                max: 2000
+            });
+        });
+
+        it('get limit by positive limit options.', function() {
+            var actual = scaleDataMaker._getLogarithmicLimit([3, 2000], {
+                min: 0.01,
+                max: -1
+            });
+
+            expect(actual).toEqual({
+                min: 0.01,
+                max: 2000
+            });
+        });
+    });
+
+    describe('_calculateLogarithmicScale', function() {
+        it('calculate scale, which limit is extended to powers of base.', function() {
+            var actual = scaleDataMaker._calculateLogarithmicScale([3, 250, 2000], 400, {});
+
+            expect(actual).toEqual({
+                limit: {
+                    min: 1,
+                    max: 10000,
+                    logBase: 10
+                },
+                step: 1,
+                stepCount: 4
+            });
+        });
+
+        it('calculate scale by base option.', function() {
+            var actual = scaleDataMaker._calculateLogarithmicScale([3, 30], 400, {
+                base: 2
+            });
+
+            expect(actual.limit).toEqual({
+                min: 2,
+                max: 32,
+                logBase: 2
+            });
+        });
+
+        it('increase step, when base size is too small for ticks of all powers.', function() {
+            var actual = scaleDataMaker._calculateLogarithmicScale([1, 1000000], 100, {});
+
+            expect(actual).toEqual({
+                limit: {
+                    min: 1,
+                    max: 1000000,
+                    logBase: 10
+                },
+                step: 3,
+                stepCount: 2
+            });
+        });
+    });
 });
@@ -83,6 +83,31 @@ describe('Test for ScaleDataModel', function() {
         });
     });
 
+    describe('makeLimitMap()', function() {
+        it('should make limits of extra y axes, which are added by addExtraYAxisScale().', function() {
+            var actual;
+
+            spyOn(scaleDataModel, '_createScaleData').and.callFake(function(axisOptions) {
+                return {
+                    limit: axisOptions.limit
+                };
+            });
+            scaleDataModel.addScale('yAxis', {limit: {min: 0, max: 10}});
+            scaleDataModel.addExtraYAxisScale('yAxis1', {limit: {min: 0, max: 1000}}, true, {
+                seriesIndexes: [1]
+            });
+
+            actual = scaleDataModel.makeLimitMap(['line'], true);
+
+            expect(actual.yAxis1).toEqual({min: 0, max: 1000});
+            expect(actual.line).toEqual({min: 0, max: 10});
+            expect(scaleDataModel.extraYAxes).toEqual([{
+                name: 'yAxis1',
+                isPositionRight: true
+            }]);
+        });
+    });
+
     describe('updateXAxisDataForAutoTickInterval()', function() {
         beforeEach(function() {
             boundsModel.getDimension.and.returnValue({
@@ -119,4 +119,19 @@ describe('Test for scaleLabelFormatter', function() {
             ]);
         });
     });
+
+    describe('_createScaleValues()', function() {
+        it('create powers of base, when scale is logarithmic.', function() {
+            var actual = scaleLabelFormatter._createScaleValues({
+                limit: {
+                    min: 0.1,
+                    max: 1000,
+                    logBase: 10
+                },
+                step: 2
+            }, chartConst.CHART_TYPE_LINE);
+
+            expect(actual).toEqual([0.1, 10, 1000]);
+        });
+    });
 });
@@ -0,0 +1,27 @@
+/**
+ * @fileoverview Test for RaphaelMapChart.
+ * @author NHN Ent.
+ *         FE Development Lab <dl_javascript@nhnent.com>
+ */
+
+'use strict';
+
+var RaphaelMapChart = require('../../src/js/plugins/raphaelMapChart');
+
+describe('RaphaelMapChart', function() {
+    var mapChart;
+
+    beforeEach(function() {
+        mapChart = new RaphaelMapChart();
+    });
+
+    describe('destroy()', function() {
+        it('stop animation of drilldown, for not calling its callback after chart is destroyed', function() {
+            mapChart.sectorSet = jasmine.createSpyObj('sectorSet', ['stop']);
+
+            mapChart.destroy();
+
+            expect(mapChart.sectorSet.stop).toHaveBeenCalled();
+        });
+    });
+});
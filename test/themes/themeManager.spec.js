@@ -486,6 +486,7 @@ describe('Test for themeManager', function() {
             expect(theme.plot).toEqual({
                 lineColor: '#e5dbc4',
                 background: '#f6f1e5',
+                todayLineColor: '#ff5a46',
                 label: theme.plot.label
             });
         });